@@ -16,11 +16,11 @@ export const GRID_CONFIG = {
 
   // Grid size limits
   MIN_SIZE: 5,
-  MAX_SIZE: 50,
+  MAX_SIZE: 256,
   MIN_COLS: 5,
-  MAX_COLS: 50,
+  MAX_COLS: 256,
   MIN_ROWS: 5,
-  MAX_ROWS: 50,
+  MAX_ROWS: 256,
   MIN_CELL_SIZE: 16,
   MAX_CELL_SIZE: 128,
 
@@ -212,6 +212,111 @@ export const DICE_CONFIG = {
   },
 };
 
+// ── Scene Documents ──────────────────────────────────────────
+/**
+ * Saved scene (table) document configuration
+ * FORMAT tags the JSON so foreign files are rejected early; bump VERSION whenever the
+ * document shape changes.
+ */
+export const SCENE_DOCUMENT_CONFIG = {
+  FORMAT: 'taverntable.scene',
+  VERSION: 1,
+  FILE_EXTENSION: '.ttscene.json',
+  MIME_TYPE: 'application/json',
+  DEFAULT_FILE_NAME: 'taverntable-scene',
+};
+
+// Heightmap files exchanged with external map tools (base height field only)
+export const HEIGHTMAP_CONFIG = {
+  DEFAULT_FILE_NAME: 'taverntable-heightmap',
+  FORMATS: {
+    png: { extension: '.png', mimeType: 'image/png' },
+    csv: { extension: '.csv', mimeType: 'text/csv' },
+  },
+};
+
+// Printable top-down board images. Large images are captured in tiles of at most
+// MAX_CAPTURE_TILE_PX (further capped by the GPU's max texture size) and stitched together.
+export const MAP_EXPORT_CONFIG = {
+  DEFAULT_PIXELS_PER_TILE: 100,
+  MIN_PIXELS_PER_TILE: 16,
+  MAX_PIXELS_PER_TILE: 300,
+  MAX_OUTPUT_PX: 16384,
+  MAX_CAPTURE_TILE_PX: 2048,
+  GRID_LINE_COLOR: 0x000000,
+  GRID_LINE_ALPHA: 0.85,
+  LABEL_FONT_FAMILY: 'sans-serif',
+  DEFAULT_FILE_NAME: 'taverntable-map',
+};
+
+// Binary glTF (GLB) export of the 3D board for external tools (Blender, other VTTs)
+export const GLTF_EXPORT_CONFIG = {
+  DEFAULT_FILE_NAME: 'taverntable-board',
+  MIME_TYPE: 'model/gltf-binary',
+  EXTENSION: '.glb',
+};
+
+// Autosave: rolling scene snapshots in IndexedDB plus a session marker in localStorage
+// used to detect tabs that closed without a clean shutdown.
+export const AUTOSAVE_CONFIG = {
+  DB_NAME: 'taverntable',
+  DB_VERSION: 1,
+  STORE_NAME: 'sceneSnapshots',
+  MAX_SNAPSHOTS: 10,
+  INTERVAL_MS: 60000,
+  CHANGE_DEBOUNCE_MS: 2000,
+  SESSION_STORAGE_KEY: 'taverntable.session',
+};
+
+// ── Undo History ─────────────────────────────────────────────
+export const HISTORY_CONFIG = {
+  DEFAULT_DEPTH: 100,
+  MIN_DEPTH: 1,
+  MAX_DEPTH: 1000,
+};
+
 // RETENTION NOTE (2025-09-19): APP_CONFIG, INPUT_CONFIG, CREATURE_* groups surfaced as unused by
 // heuristic scan; they're intentionally exported as part of the public configuration surface and
 // may be consumed by external automation/scripts not in this repository. Keep (NFC).
+
+// Movement range overlay for the selected 3D token. Reachable tiles are tinted by the share of
+// the budget their cheapest route uses: BAND_COLORS[i] covers up to BAND_LIMITS[i] of it.
+export const MOVEMENT_RANGE_CONFIG = {
+  FEET_PER_TILE: 5,
+  DEFAULT_FEET: 30,
+  MAX_FEET: 300,
+  BAND_LIMITS: [1 / 3, 2 / 3, 1],
+  BAND_COLORS: [0x4ade80, 0xfacc15, 0xf97316],
+  FILL_ALPHA: 0.3,
+  PATH_COLOR: 0x60a5fa,
+  PATH_ALPHA: 0.75,
+};
+
+// Shift-click waypoint queues: the queued route is drawn as a line over the terrain with a marker
+// on each waypoint.
+export const WAYPOINT_ROUTE_CONFIG = {
+  MAX_WAYPOINTS: 16,
+  LINE_COLOR: 0xe0f2fe,
+  LINE_ALPHA: 0.9,
+  MARKER_COLOR: 0x38bdf8,
+  MARKER_ALPHA: 0.8,
+};
+
+// Group move orders for several selected tokens. A formation slot that is off the grid, blocked
+// or taken falls back to the nearest free tile within SLOT_SEARCH_RADIUS.
+export const GROUP_MOVE_CONFIG = {
+  DEFAULT_FORMATION: 'keep',
+  SLOT_SEARCH_RADIUS: 3,
+};
+
+// Tile occupancy for moving 3D tokens: other tokens, trees and structures block the tiles they
+// stand on. A plant is a tree when its placeable id starts with one of BLOCKING_PLANT_PREFIXES;
+// grass, flowers, bushes, ferns and mushrooms never block. With ALLIES_PASS_THROUGH, tokens sharing an allegiance walk through each other. Each
+// token's allegiance is one of ALLEGIANCES (set with GameManager.setTokenAllegiance and saved
+// with the scene); tokens without one are on DEFAULT_ALLEGIANCE.
+export const TOKEN_OCCUPANCY_CONFIG = {
+  ALLIES_PASS_THROUGH: false,
+  ALLEGIANCES: ['party', 'neutral', 'enemy'],
+  DEFAULT_ALLEGIANCE: 'party',
+  BLOCKING_PLANT_PREFIXES: ['tree-'],
+};
@@ -814,6 +814,25 @@ export function getBiomeColor(biomeKey, height, x = 0, y = 0, opts = {}) {
   return computePainterlyColor(biomeKey, height, x, y, opts);
 }
 
+/**
+ * Flat colour for a river/road surface tile; river beds darken toward deep water blue as they
+ * drop below sea level.
+ * @param {string|null} surface a TERRAIN_CONFIG.SURFACES key
+ * @returns {number|null} null when the tile has no known surface
+ */
+export function getSurfaceColorHex(surface, height = 0) {
+  const base = surface ? TERRAIN_CONFIG.SURFACES?.[surface] : null;
+  if (!Number.isFinite(base)) return null;
+  if (surface === 'river' && height < 0) {
+    return blendHex(
+      base,
+      0x0b1f3a,
+      Math.min(0.6, Math.abs(height) / Math.abs(TERRAIN_CONFIG.MIN_HEIGHT || 10))
+    );
+  }
+  return base;
+}
+
 export function getBiomeColorHex(biomeKey, height, x = 0, y = 0, opts = {}) {
   if (biomeKey === 'oasis') {
     const w = opts.mapWidth || 1;
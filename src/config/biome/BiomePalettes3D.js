@@ -17,6 +17,7 @@
  * API:
  *    getBiomeColor3DHex(biomeKey, height, x, y, opts?) -> hex
  *    registerCustom3DBiomePalette(key, triadOrStops)
+ *    getSurfaceColor3DHex(surface, height) -> hex | null
  *
  * This module intentionally does NOT depend on the heavy perceptual machinery
  * of the 2D painterly system to keep per‑vertex color generation lightweight.
@@ -204,6 +205,23 @@ export function getBiomeColor3DHex(biomeKey, height, opts = {}) {
   return base;
 }
 
+// ── Surface Color Lookup ──────────────────────────────────────
+/**
+ * Vertex colour for a river/road surface tile, shaded with the same depth and atmosphere
+ * effects as the biome palette so carved channels read as deeper water.
+ * @returns {number|null} null when the tile has no known surface
+ */
+export function getSurfaceColor3DHex(surface, height) {
+  let base = surface ? TERRAIN_CONFIG.SURFACES?.[surface] : null;
+  if (!Number.isFinite(base)) return null;
+  if (height < 0) {
+    base = applyDepth(base, Math.min(1, Math.abs(height) / Math.abs(MIN_H || 10)));
+  } else if (height > 0) {
+    base = applyAtmosphere(base, height / (MAX_H || 1));
+  }
+  return base;
+}
+
 // ── Pre-warming & Export Info ─────────────────────────────────
 // Pre-warm common palettes for shipped biome list (non-blocking, try/catch guarded)
 try {
@@ -22,6 +22,119 @@ export const TERRAIN_CONFIG = {
   DEFAULT_BRUSH_SIZE: 1,
   MIN_BRUSH_SIZE: 1,
   MAX_BRUSH_SIZE: 5,
+  // raise/lower step by HEIGHT_STEP; set paints the target level over the footprint; fill
+  // levels the contiguous equal-height region under the cursor to the target level; plateau
+  // flattens the footprint to the height under the cursor. smooth averages neighbours, noise
+  // roughens with fBm and erode moves material down slopes steeper than EROSION_TALUS.
+  // Path tools are drawn by dragging and applied once on release: ramp interpolates from the
+  // start tile's height to the end tile's, stairs does the same in treads of STAIR_STEP levels,
+  // ridge/trench raise/lower the dragged polyline by RIDGE_HEIGHT.
+  BRUSH_TOOLS: [
+    'raise',
+    'lower',
+    'set',
+    'fill',
+    'plateau',
+    'smooth',
+    'noise',
+    'erode',
+    'ramp',
+    'stairs',
+    'ridge',
+    'trench',
+  ],
+  PATH_TOOLS: ['ramp', 'stairs', 'ridge', 'trench'],
+  // Footprint outline and how strongly its outer cells are affected (1 at the centre)
+  BRUSH_SHAPES: ['square', 'diamond', 'circle'],
+  BRUSH_FALLOFFS: ['none', 'linear', 'smooth'],
+  SCULPT: {
+    NOISE_AMPLITUDE: 2, // max levels added/removed per dab
+    NOISE_SCALE: 0.35, // noise frequency per tile
+    NOISE_OCTAVES: 3,
+    EROSION_TALUS: 1, // drops larger than this many levels shed material
+    EROSION_ITERATIONS: 4, // relaxation passes per dab
+  },
+  PATH: {
+    STAIR_STEP: 2, // default levels per stair tread
+    RIDGE_HEIGHT: 2, // levels added (ridge) or removed (trench) along the path centre
+  },
+  // Saved terrain regions (heights + placeables) kept in localStorage
+  STAMPS: {
+    STORAGE_KEY: 'taverntable.terrainStamps',
+    MAX_STAMPS: 50, // oldest stamps are dropped beyond this
+    MAX_SIZE: 32, // captured regions are cropped to this many tiles per side
+  },
+  // Marquee/lasso tile selection and its bulk actions
+  SELECTION: {
+    TOOLS: ['marquee', 'lasso'],
+    HIGHLIGHT_COLOR: 0x38bdf8,
+    HIGHLIGHT_ALPHA: 0.45,
+    FLORA_DENSITY: 0.25, // share of selected land tiles that receive a plant when scattering
+  },
+  // Per-tile surface types painted over the biome palette (2D canvas and 3D vertex colours)
+  SURFACES: {
+    river: 0x3b7fb8,
+    road: 0x9a8466,
+  },
+  // Generated rivers: climbing a level costs UPHILL_COST steps and each level above the lowest
+  // tile ELEVATION_COST, so rivers run downhill along valleys; MEANDER adds seeded wander
+  RIVER: {
+    DEPTH: 1, // levels the bed is cut below the terrain it crosses
+    UPHILL_COST: 8,
+    ELEVATION_COST: 0.5,
+    MEANDER: 0.75,
+  },
+  // Generated roads: each level of slope costs SLOPE_COST steps; steps above MAX_STEP also
+  // cost STEEP_COST. The finished road is averaged over SMOOTH_RADIUS tiles each way.
+  ROAD: {
+    SLOPE_COST: 3,
+    MAX_STEP: 1,
+    STEEP_COST: 20,
+    SMOOTH_RADIUS: 2,
+  },
+  // Standing water: every tile below the map's water level is covered by a translucent animated
+  // surface. Tokens up to WADE_MAX_DEPTH levels deep are wading, deeper ones swimming.
+  WATER: {
+    // Level applied when one of these biomes is generated; other biomes start dry
+    BIOME_LEVELS: { ocean: -3, coast: -3, riverLake: -2, swamp: -1 },
+    WADE_MAX_DEPTH: 1,
+    SURFACE_OFFSET: 0.15, // levels the surface sits below the water level so shore tiles stay dry
+    WAVE_AMPLITUDE: 0.06, // levels
+    WAVE_LENGTH: 3, // tiles
+    WAVE_SPEED: 1.2, // radians per second
+    FOAM_WIDTH: 0.2, // share of a tile the shoreline foam reaches into the water
+    COLORS: { day: 0x2b7bb9, sunrise: 0x4d7fa6, sunset: 0x3f6590, night: 0x0d2140 },
+    FOAM_COLORS: { day: 0xf2f8ff, night: 0x8ea2c2 },
+    OPACITY: { day: 0.72, night: 0.86 },
+  },
+  // Painted biome regions over the map biome. Each tile mixes the biomes within BLEND_RADIUS
+  // tiles, weighted by a tent kernel, so colour, elevation and flora density change gradually.
+  BIOME_REGIONS: {
+    BLEND_RADIUS: 2,
+  },
+  // Climate biomes: temperature falls towards the north edge and with altitude, moisture rises
+  // near low ground; both 0..1, perturbed by seeded noise, then looked up Whittaker-style.
+  CLIMATE: {
+    LATITUDE_SPAN: 0.6, // temperature difference between the north and south edges
+    LAPSE_PER_LEVEL: 0.05, // temperature lost per level above 0
+    BASE_JITTER: 0.1, // seeded shift of the whole map warmer or colder
+    NOISE_SCALE: 0.08, // noise frequency per tile
+    TEMPERATURE_NOISE: 0.25,
+    WATER_MOISTURE_WEIGHT: 0.55, // share of moisture from nearness to low ground, rest is noise
+    // Rows: frozen → hot. Columns: arid → saturated.
+    WHITTAKER: [
+      ['desertCold', 'tundra', 'tundra', 'glacier', 'glacier'],
+      ['desertCold', 'steppe', 'forestConifer', 'forestConifer', 'wetlands'],
+      ['steppe', 'grassland', 'grassland', 'forestTemperate', 'swamp'],
+      ['desertHot', 'thornscrub', 'savanna', 'forestTemperate', 'swamp'],
+      ['sandDunes', 'desertHot', 'savanna', 'bambooThicket', 'mangrove'],
+    ],
+  },
+  // Maps wider or taller than SIZE tiles are meshed in SIZE x SIZE chunks: each chunk is its own
+  // terrain mesh and placeable instancing group, culled off-screen and rebuilt only when dirty.
+  CHUNKS: {
+    SIZE: 32,
+  },
 
   // ── Height Color Scale ────────────────────────────────────────
   HEIGHT_COLOR_SCALE: {
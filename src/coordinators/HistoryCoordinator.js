@@ -0,0 +1,402 @@
+/**
+ * HistoryCoordinator.js - Undo/redo for table edits
+ *
+ * Owns the CommandStack and turns edits into reversible steps. Managers keep mutating state
+ * through their existing code paths and wrap each mutation in one of the track* helpers,
+ * which capture the affected state before and after and record the difference:
+ * - terrain heights: brush strokes, coalesced per mouse-down → mouse-up (beginStroke/endStroke)
+ * - placeables: per-tile contents around placeItem/removeItem/cyclePlaceableVariant
+ * - surfaces: the river/road surface layer around waterway generation
+ * - biome regions: the painted biome layer around biome paint dabs
+ * - tokens: place/move/remove, diffed by token identity
+ * - whole scene: biome generation and grid resize, restored through scene documents
+ *
+ * Each tracked mutation is one step: edits it makes internally are not recorded again.
+ * Undo/redo replays through the same public entry points, with recording paused so the
+ * replay does not record itself.
+ */
+
+import { logger, LOG_CATEGORY } from '../utils/Logger.js';
+import { GameErrors } from '../utils/ErrorHandler.js';
+import { CommandStack } from '../systems/CommandStack.js';
+import {
+  describeToken,
+  placeTokenEntry,
+  describeTilePlaceables,
+  placePlaceableEntry,
+} from './persistence-coordinator/sceneEntities.js';
+
+export class HistoryCoordinator {
+  // ── Constructor ─────────────────────────────────────────────
+
+  /**
+   * @param {object} gameManager
+   * @param {{depth?: number}} [options]
+   */
+  constructor(gameManager, options = {}) {
+    this.gameManager = gameManager;
+    this.stack = new CommandStack({ depth: options.depth });
+    this._suppressed = 0;
+    this._strokeHeights = null;
+  }
+
+  // ── Public API ──────────────────────────────────────────────
+
+  /** @returns {Promise<string|null>} label of the undone step */
+  async undo() {
+    return this._replay('undo');
+  }
+
+  /** @returns {Promise<string|null>} label of the redone step */
+  async redo() {
+    return this._replay('redo');
+  }
+
+  canUndo() {
+    return this.stack.canUndo();
+  }
+
+  canRedo() {
+    return this.stack.canRedo();
+  }
+
+  clear() {
+    this._strokeHeights = null;
+    this.stack.clear();
+  }
+
+  getDepth() {
+    return this.stack.depth;
+  }
+
+  setDepth(depth) {
+    this.stack.setDepth(depth);
+  }
+
+  /** True when edits are currently being recorded (not replaying, not suppressed). */
+  isRecording() {
+    return !this.stack.applying && this._suppressed === 0;
+  }
+
+  /**
+   * Run a (possibly async) mutation without recording it, e.g. loading a scene.
+   * @param {Function} apply
+   * @returns {*} apply's result
+   */
+  runUnrecorded(apply) {
+    this._suppressed++;
+    return settle(apply, () => {
+      this._suppressed--;
+    });
+  }
+
+  // ── Strokes ─────────────────────────────────────────────────
+
+  /**
+   * Start coalescing edits into one undo step. Height changes are diffed against the
+   * heights captured here when the outermost stroke ends.
+   * @param {string} [label]
+   */
+  beginStroke(label = 'Terrain stroke') {
+    if (!this.isRecording()) return;
+    if (!this.stack.isGrouping) {
+      this._strokeHeights = this._captureHeights();
+    }
+    this.stack.beginGroup(label);
+  }
+
+  /** Finish the current stroke; safe to call when none is open. */
+  endStroke() {
+    if (!this.stack.isGrouping) return false;
+    if (this.stack.groupDepth === 1 && this._strokeHeights) {
+      const changes = diffHeights(this._strokeHeights, this._captureHeights());
+      this._strokeHeights = null;
+      this.recordHeightChanges('Terrain heights', changes);
+    }
+    return this.stack.endGroup();
+  }
+
+  // ── Tracking ────────────────────────────────────────────────
+
+  /**
+   * Record already-applied height changes.
+   * @param {string} label
+   * @param {Array<{x: number, y: number, before: number, after: number}>} changes
+   */
+  recordHeightChanges(label, changes) {
+    if (!this.isRecording() || !changes?.length) return false;
+    const tc = this.gameManager.terrainCoordinator;
+    const write = (key) =>
+      tc.setHeightsAt(changes.map((c) => ({ x: c.x, y: c.y, height: c[key] })));
+    return this.stack.record({
+      label,
+      undo: () => write('before'),
+      redo: () => write('after'),
+    });
+  }
+
+  /**
+   * Run a placeable mutation and record how the given tiles changed.
+   * @param {string} label
+   * @param {Array<{x: number, y: number}>} cells tiles the mutation may touch
+   * @param {Function} apply mutation; may return a promise
+   * @returns {*} apply's result
+   */
+  trackPlaceables(label, cells, apply) {
+    if (!this.isRecording()) return apply();
+    const before = this._captureTiles(cells);
+    this._suppressed++;
+    return settle(apply, () => {
+      this._suppressed--;
+      const after = this._captureTiles(cells);
+      if (sameTiles(before, after)) return;
+      this.stack.record({
+        label,
+        undo: () => this._applyTiles(before),
+        redo: () => this._applyTiles(after),
+      });
+    });
+  }
+
+  /**
+   * Run a mutation of the river/road surface layer and record the layer before and after it.
+   * @param {string} label
+   * @param {Function} apply mutation; may return a promise
+   * @returns {*} apply's result
+   */
+  trackSurfaces(label, apply) {
+    const tc = this.gameManager.terrainCoordinator;
+    if (!this.isRecording() || !tc?.dataStore) return apply();
+    const before = tc.dataStore.listSurfaces();
+    this._suppressed++;
+    return settle(apply, () => {
+      this._suppressed--;
+      const after = tc.dataStore.listSurfaces();
+      if (JSON.stringify(before) === JSON.stringify(after)) return;
+      this.stack.record({
+        label,
+        undo: () => tc.loadSurfaces(before),
+        redo: () => tc.loadSurfaces(after),
+      });
+    });
+  }
+
+  /**
+   * Run a mutation of the painted biome layer and record the layer before and after it.
+   * @param {string} label
+   * @param {Function} apply mutation; may return a promise
+   * @returns {*} apply's result
+   */
+  trackBiomes(label, apply) {
+    const tc = this.gameManager.terrainCoordinator;
+    if (!this.isRecording() || !tc?.dataStore) return apply();
+    const before = tc.dataStore.listBiomes();
+    this._suppressed++;
+    return settle(apply, () => {
+      this._suppressed--;
+      const after = tc.dataStore.listBiomes();
+      if (JSON.stringify(before) === JSON.stringify(after)) return;
+      this.stack.record({
+        label,
+        undo: () => tc.loadBiomeRegions(before),
+        redo: () => tc.loadBiomeRegions(after),
+      });
+    });
+  }
+
+  /**
+   * Run a token mutation and record which tokens appeared, disappeared, moved or turned.
+   * @param {string} label
+   * @param {Function} apply
+   * @returns {*} apply's result
+   */
+  trackTokens(label, apply) {
+    if (!this.isRecording()) return apply();
+    const before = this._captureTokens();
+    this._suppressed++;
+    return settle(apply, () => {
+      this._suppressed--;
+      const { removed, added } = diffTokens(before, this._captureTokens());
+      if (!removed.length && !added.length) return;
+      this.stack.record({
+        label,
+        undo: () => this._swapTokens(added, removed),
+        redo: () => this._swapTokens(removed, added),
+      });
+    });
+  }
+
+  /**
+   * Run a table-wide mutation (biome generation, grid resize) and record the scene before and
+   * after it.
+   * @param {string} label
+   * @param {Function} apply
+   * @returns {*} apply's result
+   */
+  trackScene(label, apply) {
+    const pc = this.gameManager.persistenceCoordinator;
+    if (!this.isRecording() || !pc) return apply();
+    const before = captureScene(pc);
+    if (!before) return apply();
+    this._suppressed++;
+    return settle(apply, () => {
+      this._suppressed--;
+      const after = captureScene(pc);
+      if (!after || sceneSignature(before) === sceneSignature(after)) return;
+      this.stack.record({
+        label,
+        undo: () => pc.importScene(before),
+        redo: () => pc.importScene(after),
+      });
+    });
+  }
+
+  // ── Private Helpers (Replay) ────────────────────────────────
+
+  async _replay(direction) {
+    try {
+      const label = await this.stack[direction]();
+      if (label) logger.debug(`History ${direction}`, { label }, LOG_CATEGORY.USER);
+      return label;
+    } catch (error) {
+      GameErrors.gameState(error, {
+        stage: direction,
+        context: `HistoryCoordinator.${direction}`,
+      });
+      return null;
+    }
+  }
+
+  // ── Private Helpers (Capture) ───────────────────────────────
+
+  _captureHeights() {
+    const working = this.gameManager.terrainCoordinator?.dataStore?.working;
+    return Array.isArray(working) ? working.map((row) => [...row]) : [];
+  }
+
+  _captureTiles(cells) {
+    const tm = this.gameManager.terrainManager;
+    return (cells || []).map(({ x, y }) => ({ x, y, items: describeTilePlaceables(tm, x, y) }));
+  }
+
+  _captureTokens() {
+    return (this.gameManager.placedTokens || []).map((token) => ({
+      token,
+      entry: describeToken(token),
+    }));
+  }
+
+  // ── Private Helpers (Apply) ─────────────────────────────────
+
+  async _applyTiles(tiles) {
+    const tm = this.gameManager.terrainManager;
+    if (!tm) return;
+    for (const { x, y, items } of tiles) {
+      tm.removeTerrainItem(x, y);
+      for (const entry of items) {
+        await placePlaceableEntry(tm, entry);
+      }
+    }
+    try {
+      tm.flushUpdateQueue?.();
+      this.gameManager.reinstanceExistingPlants?.();
+    } catch (_) {
+      /* ignore */
+    }
+  }
+
+  _swapTokens(remove, add) {
+    const gm = this.gameManager;
+    const tm = gm.tokenManager;
+    if (!tm) return;
+    for (const entry of remove) {
+      const token = tm.findExistingTokenAt(entry.gridX, entry.gridY);
+      if (token) tm.removeToken(token);
+    }
+    for (const entry of add) {
+      if (!placeTokenEntry(gm, entry)) {
+        logger.warn('Undo could not restore token', { entry }, LOG_CATEGORY.USER);
+      }
+    }
+  }
+}
+
+// ── Module Helpers ───────────────────────────────────────────
+
+/** Run `apply`, then `done` once it has finished (awaiting promises). Returns apply's result. */
+function settle(apply, done) {
+  let result;
+  try {
+    result = apply();
+  } catch (error) {
+    done();
+    throw error;
+  }
+  if (result && typeof result.then === 'function') {
+    return result.then(
+      (value) => {
+        done();
+        return value;
+      },
+      (error) => {
+        done();
+        throw error;
+      }
+    );
+  }
+  done();
+  return result;
+}
+
+function diffHeights(before, after) {
+  const changes = [];
+  for (let y = 0; y < after.length; y++) {
+    const row = after[y] || [];
+    for (let x = 0; x < row.length; x++) {
+      const prev = before[y]?.[x];
+      if (prev !== undefined && prev !== row[x]) {
+        changes.push({ x, y, before: prev, after: row[x] });
+      }
+    }
+  }
+  return changes;
+}
+
+function sameTiles(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function diffTokens(before, after) {
+  const afterByToken = new Map(after.map((s) => [s.token, s.entry]));
+  const beforeTokens = new Set(before.map((s) => s.token));
+  const removed = [];
+  const added = [];
+  for (const { token, entry } of before) {
+    const next = afterByToken.get(token);
+    if (!next) {
+      removed.push(entry);
+    } else if (JSON.stringify(next) !== JSON.stringify(entry)) {
+      // Moved or turned: replay as remove + place so undo needs no live reference
+      removed.push(entry);
+      added.push(next);
+    }
+  }
+  for (const { token, entry } of after) {
+    if (!beforeTokens.has(token)) added.push(entry);
+  }
+  return { removed, added };
+}
+
+/** Export the scene, or null when it cannot be captured (the edit then goes unrecorded). */
+function captureScene(pc) {
+  try {
+    return pc.exportScene();
+  } catch (error) {
+    logger.debug('History scene capture failed', { error: error?.message }, LOG_CATEGORY.SYSTEM);
+    return null;
+  }
+}
+
+function sceneSignature(doc) {
+  return JSON.stringify({ ...doc, savedAt: null });
+}
@@ -0,0 +1,386 @@
+/**
+ * PersistenceCoordinator.js - Scene (table) save/load
+ *
+ * Captures everything needed to rebuild a table into a plain, versioned JSON document and
+ * applies such a document back onto a running GameManager:
+ * - committed terrain heights, river/road surfaces, painted biome regions, water level, active
+ *   biome and biome seed
+ * - terrain placeables (trees, structures, paths)
+ * - tokens (type, grid position, facing, quick command)
+ * - sun time of day and camera view mode
+ *
+ * The document never references live objects (sprites, meshes) so it can be written to disk
+ * and diffed. Rendering state is rebuilt through the same public entry points the UI uses.
+ * The same documents back crash-recovery autosaves (see AutosaveController).
+ */
+
+import { logger, LOG_CATEGORY } from '../utils/Logger.js';
+import { SCENE_DOCUMENT_CONFIG } from '../config/GameConstants.js';
+import { TERRAIN_PLACEABLES } from '../config/terrain/TerrainPlaceables.js';
+import { migrateSceneDocument } from './persistence-coordinator/migrations.js';
+import {
+  validateSceneDocument,
+  repairSceneDocument,
+  SCENE_VIEW_MODES,
+} from './persistence-coordinator/schema.js';
+import { AutosaveController } from './persistence-coordinator/AutosaveController.js';
+import {
+  describeToken,
+  placeTokenEntry,
+  describePlaceable,
+  placePlaceableEntry,
+} from './persistence-coordinator/sceneEntities.js';
+
+// ── Constants ─────────────────────────────────────────────
+const MINUTES_PER_DAY = 1440;
+const MAX_REPORTED_ERRORS = 10;
+
+export class PersistenceCoordinator {
+  // ── Constructor ─────────────────────────────────────────────
+
+  /**
+   * @param {object} gameManager
+   * @param {object} [autosaveOptions] forwarded to AutosaveController (store, timers)
+   */
+  constructor(gameManager, autosaveOptions = {}) {
+    this.gameManager = gameManager;
+    this.autosave = new AutosaveController(this, autosaveOptions);
+  }
+
+  // ── Public API ──────────────────────────────────────────────
+
+  /**
+   * Build a scene document describing the current table.
+   * @returns {object} plain JSON-serializable scene document
+   */
+  exportScene() {
+    const gm = this.gameManager;
+    const doc = {
+      format: SCENE_DOCUMENT_CONFIG.FORMAT,
+      version: SCENE_DOCUMENT_CONFIG.VERSION,
+      savedAt: new Date().toISOString(),
+      grid: { cols: gm.cols, rows: gm.rows },
+      terrain: this._captureTerrain(),
+      placeables: this._capturePlaceables(),
+      tokens: this._captureTokens(),
+      lighting: { sunTimeMinutes: this._captureSunTime() },
+      camera: { viewMode: gm.getViewMode?.() || 'isometric' },
+    };
+    logger.debug(
+      'Scene exported',
+      {
+        grid: doc.grid,
+        placeables: doc.placeables.length,
+        tokens: doc.tokens.length,
+      },
+      LOG_CATEGORY.SYSTEM
+    );
+    return doc;
+  }
+
+  /**
+   * Replace the current table with the contents of a scene document.
+   * Documents from older builds are migrated first, then validated. With `repair` enabled,
+   * invalid parts (unknown placeable ids, out-of-grid entries, out-of-range values) are
+   * dropped or clamped instead of failing the whole load.
+   * Existing tokens and placeables are cleared first.
+   * @param {object|string} input scene document or its JSON text
+   * @param {{repair?: boolean}} [options]
+   * @returns {Promise<{placeables: number, tokens: number, skipped: string[], repairs: string[], migratedFrom: number[]}>} load summary
+   * @throws {Error} when the document cannot be read, migrated or validated; validation
+   *   failures carry the full path list on `error.validationErrors`
+   */
+  async importScene(input, options = {}) {
+    const { doc, repairs, migratedFrom } = this.prepareSceneDocument(input, options);
+    const gm = this.gameManager;
+    const skipped = [];
+
+    this._clearTokens();
+    this._clearPlaceables();
+
+    const { cols, rows } = doc.grid;
+    if (cols !== gm.cols || rows !== gm.rows) {
+      gm.resizeGrid(cols, rows);
+    }
+    this._restoreTerrain(doc.terrain);
+    const placeables = await this._restorePlaceables(doc.placeables, skipped);
+    const tokens = this._restoreTokens(doc.tokens, skipped);
+    this._restoreSunTime(doc.lighting?.sunTimeMinutes);
+    this._restoreViewMode(doc.camera?.viewMode);
+
+    logger.info(
+      'Scene imported',
+      {
+        grid: doc.grid,
+        placeables,
+        tokens,
+        skipped: skipped.length,
+        repairs: repairs.length,
+        migratedFrom,
+      },
+      LOG_CATEGORY.SYSTEM
+    );
+    return { placeables, tokens, skipped, repairs, migratedFrom };
+  }
+
+  /**
+   * Parse, migrate and validate (optionally repair) a scene document without touching the
+   * table. Lets callers inspect problems before deciding to load.
+   * @param {object|string} input scene document or its JSON text
+   * @param {{repair?: boolean}} [options]
+   * @returns {{doc: object, repairs: string[], migratedFrom: number[]}}
+   * @throws {Error} see importScene
+   */
+  prepareSceneDocument(input, options = {}) {
+    const parsed = this._parseDocument(input);
+    const { doc: migrated, applied } = migrateSceneDocument(parsed);
+    let doc = migrated;
+    let repairs = [];
+    let validation = validateSceneDocument(doc);
+    if (!validation.isValid && options.repair) {
+      ({ doc, repairs } = repairSceneDocument(doc));
+      validation = validateSceneDocument(doc);
+    }
+    if (!validation.isValid) {
+      const shown = validation.errors.slice(0, MAX_REPORTED_ERRORS);
+      const more = validation.errors.length - shown.length;
+      const error = new Error(
+        `Scene document is invalid: ${shown.join('; ')}${more > 0 ? ` (+${more} more)` : ''}`
+      );
+      error.validationErrors = validation.errors;
+      throw error;
+    }
+    return { doc, repairs, migratedFrom: applied };
+  }
+
+  // ── Private Helpers (Capture) ───────────────────────────────
+
+  _captureTerrain() {
+    const tc = this.gameManager.terrainCoordinator;
+    const store = tc?.dataStore;
+    // While editing, the working buffer holds the user's uncommitted strokes.
+    const source = tc?.isTerrainModeActive ? store?.working : store?.base;
+    const heights = Array.isArray(source) ? source.map((row) => [...row]) : [];
+    const selected = typeof window !== 'undefined' ? window.selectedBiome : null;
+    return {
+      heights,
+      biome: selected || tc?._lastGeneratedBiomeKey || null,
+      seed: Number.isFinite(tc?._biomeSeed) ? tc._biomeSeed >>> 0 : 0,
+      treeDensity: tc?.getTreeDensityMultiplier?.() ?? 1,
+      surfaces: (store?.listSurfaces?.() || []).map(({ x, y, type }) => ({
+        gridX: x,
+        gridY: y,
+        type,
+      })),
+      biomes: (store?.listBiomes?.() || []).map(({ x, y, biome }) => ({
+        gridX: x,
+        gridY: y,
+        biome,
+      })),
+      waterLevel: Number.isFinite(tc?.waterLevel) ? tc.waterLevel : null,
+    };
+  }
+
+  _capturePlaceables() {
+    const map = this.gameManager.terrainManager?.placeables;
+    const out = [];
+    if (!map || typeof map.values !== 'function') return out;
+    for (const list of map.values()) {
+      if (!Array.isArray(list)) continue;
+      for (const record of list) {
+        const entry = describePlaceable(record);
+        if (entry) out.push(entry);
+      }
+    }
+    return out;
+  }
+
+  _captureTokens() {
+    const tokens = this.gameManager.placedTokens || [];
+    return tokens
+      .filter((t) => t && Number.isInteger(t.gridX) && Number.isInteger(t.gridY))
+      .map(describeToken);
+  }
+
+  _captureSunTime() {
+    try {
+      const tsm = this.gameManager.threeSceneManager;
+      if (typeof tsm?.getSunTimeMinutes === 'function') {
+        const minutes = tsm.getSunTimeMinutes();
+        if (Number.isFinite(minutes)) return minutes;
+      }
+    } catch (_) {
+      /* fall back to pending value */
+    }
+    if (typeof window !== 'undefined' && Number.isFinite(window.__TT_PENDING_SUN_TIME_MINUTES)) {
+      return window.__TT_PENDING_SUN_TIME_MINUTES;
+    }
+    return null;
+  }
+
+  // ── Private Helpers (Restore) ───────────────────────────────
+
+  _parseDocument(input) {
+    let doc = input;
+    if (typeof input === 'string') {
+      try {
+        doc = JSON.parse(input);
+      } catch (error) {
+        throw new Error(`Scene file is not valid JSON: ${error.message}`);
+      }
+    }
+    if (!doc || typeof doc !== 'object' || doc.format !== SCENE_DOCUMENT_CONFIG.FORMAT) {
+      throw new Error('Not a TavernTable scene document');
+    }
+    return doc;
+  }
+
+  _clearTokens() {
+    const tm = this.gameManager.tokenManager;
+    if (!tm) return;
+    for (const token of [...(tm.placedTokens || [])]) {
+      try {
+        tm.removeToken(token);
+      } catch (_) {
+        /* best-effort */
+      }
+    }
+    tm.placedTokens = [];
+  }
+
+  _clearPlaceables() {
+    const terrainManager = this.gameManager.terrainManager;
+    const map = terrainManager?.placeables;
+    if (map && typeof map.keys === 'function') {
+      for (const key of [...map.keys()]) {
+        const [x, y] = key.split(',').map(Number);
+        try {
+          terrainManager.removeTerrainItem(x, y);
+        } catch (_) {
+          /* best-effort */
+        }
+      }
+      map.clear();
+    }
+    try {
+      const pool = this.gameManager.placeableMeshPool;
+      if (typeof pool?.purgeAll === 'function') pool.purgeAll();
+      else if (typeof pool?.clearAll === 'function') pool.clearAll();
+    } catch (_) {
+      /* ignore */
+    }
+  }
+
+  _restoreTerrain(terrain) {
+    const tc = this.gameManager.terrainCoordinator;
+    if (!tc) return;
+    if (typeof terrain.biome === 'string' && terrain.biome) {
+      tc._lastGeneratedBiomeKey = terrain.biome;
+      if (typeof window !== 'undefined') {
+        window.selectedBiome = terrain.biome;
+      }
+    }
+    if (Number.isFinite(terrain.treeDensity)) {
+      tc.setTreeDensityMultiplier?.(terrain.treeDensity);
+    }
+    if (Number.isFinite(terrain.seed)) {
+      tc.setBiomeSeed(terrain.seed);
+    }
+    // Surfaces and regions first so the repaint triggered by loading heights already shows them
+    tc.dataStore?.loadSurfaces?.(
+      (terrain.surfaces || []).map(({ gridX, gridY, type }) => ({ x: gridX, y: gridY, type }))
+    );
+    tc.dataStore?.loadBiomes?.(
+      (terrain.biomes || []).map(({ gridX, gridY, biome }) => ({ x: gridX, y: gridY, biome }))
+    );
+    tc.loadHeightField(terrain.heights);
+    // After the heights so the water surface is built over the restored terrain
+    tc.setWaterLevel?.(terrain.waterLevel ?? null);
+  }
+
+  async _restorePlaceables(entries, skipped) {
+    const terrainManager = this.gameManager.terrainManager;
+    if (!terrainManager || !Array.isArray(entries)) return 0;
+    let placed = 0;
+    for (const entry of entries) {
+      const { id, gridX, gridY } = entry || {};
+      if (!TERRAIN_PLACEABLES[id] || !this._inBounds(gridX, gridY)) {
+        skipped.push(`placeable ${id} at ${gridX},${gridY}`);
+        continue;
+      }
+      if (!(await placePlaceableEntry(terrainManager, entry))) {
+        skipped.push(`placeable ${id} at ${gridX},${gridY}`);
+        continue;
+      }
+      placed++;
+    }
+    try {
+      this.gameManager.reinstanceExistingPlants?.();
+    } catch (_) {
+      /* ignore */
+    }
+    return placed;
+  }
+
+  _restoreTokens(entries, skipped) {
+    const gm = this.gameManager;
+    if (!gm.tokenManager || !Array.isArray(entries)) return 0;
+    let placed = 0;
+    for (const entry of entries) {
+      const { gridX, gridY } = entry || {};
+      if (!this._inBounds(gridX, gridY)) {
+        skipped.push(`token at ${gridX},${gridY}`);
+        continue;
+      }
+      if (!placeTokenEntry(gm, entry)) {
+        skipped.push(`token at ${gridX},${gridY}`);
+        continue;
+      }
+      placed++;
+    }
+    return placed;
+  }
+
+  _restoreSunTime(minutes) {
+    if (!Number.isFinite(minutes)) return;
+    const normalized = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    if (typeof window !== 'undefined') {
+      window.__TT_PENDING_SUN_TIME_MINUTES = normalized;
+      if (Array.isArray(window.__TT_SUN_TIME_LISTENERS__)) {
+        window.__TT_SUN_TIME_LISTENERS__.forEach((fn) => {
+          try {
+            fn(normalized);
+          } catch (_) {
+            /* ignore */
+          }
+        });
+      }
+    }
+    try {
+      this.gameManager.threeSceneManager?.setSunTimeMinutes?.(normalized, { immediate: true });
+    } catch (_) {
+      /* ignore lighting errors */
+    }
+  }
+
+  _restoreViewMode(viewMode) {
+    if (!SCENE_VIEW_MODES.includes(viewMode)) return;
+    try {
+      this.gameManager.stateCoordinator?.setViewMode?.(viewMode);
+    } catch (_) {
+      /* ignore */
+    }
+  }
+
+  _inBounds(gridX, gridY) {
+    const gm = this.gameManager;
+    return (
+      Number.isInteger(gridX) &&
+      Number.isInteger(gridY) &&
+      gridX >= 0 &&
+      gridY >= 0 &&
+      gridX < gm.cols &&
+      gridY < gm.rows
+    );
+  }
+}
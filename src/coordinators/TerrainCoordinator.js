@@ -9,8 +9,14 @@ import { logger, LOG_CATEGORY } from '../utils/Logger.js';
 import { GameErrors } from '../utils/ErrorHandler.js';
 // Validation utilities are referenced within internals; no direct import needed here
 import { TERRAIN_CONFIG } from '../config/terrain/TerrainConstants.js';
+import { GRID_CONFIG } from '../config/GameConstants.js';
+import { TerrainValidation } from '../utils/terrain/TerrainValidation.js';
 import { TerrainDataStore } from '../terrain/TerrainDataStore.js';
 import { TerrainBrushController } from '../terrain/brush/TerrainBrushController.js';
+import { TerrainStampController } from '../terrain/stamps/TerrainStampController.js';
+import { TileSelectionController } from '../terrain/selection/TileSelectionController.js';
+import { RoadToolController } from '../terrain/waterways/RoadToolController.js';
+import { BiomePaintController } from '../terrain/biomes/BiomePaintController.js';
 import { TerrainFacesRenderer } from '../terrain/TerrainFacesRenderer.js';
 import { TerrainInputHandlers } from './terrain-coordinator/TerrainInputHandlers.js';
 import { ElevationScaleController } from './terrain-coordinator/ElevationScaleController.js';
@@ -18,6 +24,7 @@ import { ActivationHelpers } from './terrain-coordinator/ActivationHelpers.js';
 import { BiomeShadingController } from './terrain-coordinator/BiomeShadingController.js';
 import { TileLifecycleController } from './terrain-coordinator/TileLifecycleController.js';
 import { ElevationVisualsController } from './terrain-coordinator/ElevationVisualsController.js';
+import { TerrainGenerationService } from './terrain-coordinator/TerrainGenerationService.js';
 import {
   validateTerrainSystemState as _validateSystemState,
   validateTerrainDataConsistency as _validateDataConsistency,
@@ -31,7 +38,9 @@ import {
 } from './terrain-coordinator/internals/apply.js';
 import {
   getGridCoordinatesFromEvent as _getCoordsFromEvent,
+  getGroundPointFromEvent as _getGroundPointFromEvent,
   modifyTerrainAtPosition as _modifyAtPos,
+  applyTerrainPath as _applyPath,
 } from './terrain-coordinator/internals/inputs.js';
 import {
   setRichShadingEnabled as _setRichShadingEnabled,
@@ -45,6 +54,10 @@ import { isValidGridPosition as _isValidPos } from './terrain-coordinator/intern
 import { modifyTerrainHeightAtCell as _modifyAtCell } from './terrain-coordinator/internals/brush.js';
 import {
   setTerrainTool as _setTool,
+  setBrushTargetHeight as _setTargetHeight,
+  setBrushStairStep as _setStairStep,
+  setBrushShape as _setBrushShape,
+  setBrushFalloff as _setBrushFalloff,
   getBrushSize as _getBrushSize,
   setBrushSize as _setBrushSize,
   increaseBrushSize as _incBrush,
@@ -55,14 +68,75 @@ import {
   replaceBaseGridTile as _replaceBaseGridTile,
 } from './terrain-coordinator/internals/baseGridUpdates.js';
 import { resetTerrain as _resetTerrain } from './terrain-coordinator/internals/reset.js';
+import {
+  startStampCapture as _startStampCapture,
+  startStampPaste as _startStampPaste,
+  cancelStampMode as _cancelStampMode,
+  rotateStamp as _rotateStamp,
+  mirrorStamp as _mirrorStamp,
+  deleteStamp as _deleteStamp,
+  finishStampCapture as _finishStampCapture,
+  pasteStampAt as _pasteStampAt,
+} from './terrain-coordinator/internals/stamps.js';
+import {
+  startSelectionTool as _startSelectionTool,
+  cancelSelectionTool as _cancelSelectionTool,
+  clearSelection as _clearSelection,
+  finishSelectionDrag as _finishSelectionDrag,
+  adjustSelectionHeight as _adjustSelectionHeight,
+  setSelectionHeight as _setSelectionHeight,
+  clearSelectionPlaceables as _clearSelectionPlaceables,
+  scatterSelectionFlora as _scatterSelectionFlora,
+  listFloraProfiles as _listFloraProfiles,
+  copySelection as _copySelection,
+  cutSelection as _cutSelection,
+  startSelectionPaste as _startSelectionPaste,
+  pasteSelectionAt as _pasteSelectionAt,
+} from './terrain-coordinator/internals/selection.js';
+import {
+  getSurfaceAt as _getSurfaceAt,
+  loadSurfaces as _loadSurfaces,
+  clearSurfaces as _clearSurfaces,
+  carveRiver as _carveRiver,
+  startRoadTool as _startRoadTool,
+  cancelRoadTool as _cancelRoadTool,
+  buildRoad as _buildRoad,
+  pickRoadTile as _pickRoadTile,
+} from './terrain-coordinator/internals/waterways.js';
+import {
+  setWaterLevel as _setWaterLevel,
+  getWaterDepthAt as _getWaterDepthAt,
+  getWaterStateAt as _getWaterStateAt,
+  syncTokenWaterStates as _syncTokenWaterStates,
+} from './terrain-coordinator/internals/water.js';
+import {
+  getBiomeAt as _getBiomeAt,
+  getBiomeBlendAt as _getBiomeBlendAt,
+  generateRegionElevationField as _generateRegionElevationField,
+  startBiomePaint as _startBiomePaint,
+  cancelBiomePaint as _cancelBiomePaint,
+  setPaintBiome as _setPaintBiome,
+  paintBiomeAt as _paintBiomeAt,
+  loadBiomeRegions as _loadBiomeRegions,
+  clearBiomeRegions as _clearBiomeRegions,
+} from './terrain-coordinator/internals/regions.js';
+import { generateClimateBiomes as _generateClimateBiomes } from './terrain-coordinator/internals/climate.js';
+import {
+  resolveGenerationRun as _resolveGenerationRun,
+  applyGeneratedTerrain as _applyGeneratedTerrain,
+  generateBiomeElevationInBackground as _generateInBackground,
+  notifyGenerationProgress as _notifyGenerationProgress,
+} from './terrain-coordinator/internals/generation.js';
+import {
+  getMapCode as _getMapCode,
+  applyMapCode as _applyMapCode,
+  notifyMapCodeChanged as _notifyMapCodeChanged,
+} from './terrain-coordinator/internals/mapCode.js';
 import { loadBaseTerrainIntoWorkingState as _loadBaseIntoWorking } from './terrain-coordinator/internals/state.js';
 import { validateDependencies as _validateDeps } from './terrain-coordinator/internals/deps.js';
 import { initializeTerrainData as _initTerrainData } from './terrain-coordinator/internals/init.js';
-import {
-  generateBiomeElevationField,
-  isAllDefaultHeight,
-  getBiomeElevationScaleHint,
-} from '../terrain/generation/BiomeElevationGenerator.js';
+import { isAllDefaultHeight } from '../terrain/generation/BiomeElevationGenerator.js';
+import { getBiomeWaterLevel } from '../terrain/water/WaterLevel.js';
 
 export class TerrainCoordinator {
   // ── Constructor ─────────────────────────────────────────────
@@ -108,6 +182,12 @@ export class TerrainCoordinator {
     this.isTerrainModeActive = false;
     this.dataStore = new TerrainDataStore(this.gameManager.cols, this.gameManager.rows);
     this.brush = new TerrainBrushController(this.dataStore);
+    this.stamps = new TerrainStampController(this.dataStore);
+    this.selection = new TileSelectionController(this.dataStore);
+    this.roads = new RoadToolController(this.dataStore);
+    this.biomePaint = new BiomePaintController(this.dataStore, this.brush);
+    // Height level below which tiles are under water; null for a dry map
+    this.waterLevel = null;
     this.faces = new TerrainFacesRenderer(this.gameManager);
     // Façade-backed extractions
     this._inputHandlers = new TerrainInputHandlers(this);
@@ -127,6 +207,8 @@ export class TerrainCoordinator {
     this._biomeCanvas = null;
     // Biome shading façade
     this._biomeShading = new BiomeShadingController(this);
+    // Runs "Generate Map" jobs in a Web Worker (inline where workers are unavailable)
+    this._generationService = new TerrainGenerationService();
     // Shared seed for biome color/painter coherence (can be overridden by UI)
     this._biomeSeed =
       typeof window !== 'undefined' && Number.isFinite(window.richShadingSettings?.seed)
@@ -506,7 +588,9 @@ export class TerrainCoordinator {
    * @param {number} unit - Pixels per height level (0 disables vertical exaggeration)
    */
   setElevationScale(unit, options = {}) {
-    return this._elevationScaleController.apply(unit, options);
+    const result = this._elevationScaleController.apply(unit, options);
+    if (this._lastGeneration) _notifyMapCodeChanged(this);
+    return result;
   }
 
   getTreeDensityMultiplier() {
@@ -532,6 +616,15 @@ export class TerrainCoordinator {
     return _getCoordsFromEvent(this, event);
   }
 
+  /**
+   * Unrounded grid position under the pointer (tile centres on whole numbers)
+   * @param {MouseEvent} event - Mouse event
+   * @returns {{x: number, y: number}|null}
+   */
+  getGroundPointFromEvent(event) {
+    return _getGroundPointFromEvent(this, event);
+  }
+
   /**
    * Modify terrain height at specified position
    * @param {number} gridX - Grid X coordinate
@@ -542,6 +635,14 @@ export class TerrainCoordinator {
     return _modifyAtPos(this, gridX, gridY) || false;
   }
 
+  /**
+   * Apply the path drawn with a path tool (ramp, stairs, ridge, trench) during the current drag
+   * @returns {boolean} whether any cell height changed
+   */
+  applyTerrainPath() {
+    return _applyPath(this);
+  }
+
   /**
    * Modify height at a specific cell
    * @param {number} gridX - Grid X coordinate
@@ -694,12 +795,48 @@ export class TerrainCoordinator {
 
   /**
    * Set current terrain tool with robust validation
-   * @param {string} tool - Tool name ('raise' or 'lower')
+   * @param {string} tool - Tool name (see TERRAIN_CONFIG.BRUSH_TOOLS)
    */
   setTerrainTool(tool) {
     return _setTool(this, tool);
   }
 
+  /**
+   * Set the level painted by the 'set' and 'fill' tools
+   * @param {number} height - Clamped to the terrain height range
+   * @returns {number|null} the level in effect
+   */
+  setBrushTargetHeight(height) {
+    return _setTargetHeight(this, height);
+  }
+
+  /**
+   * Set how many levels each tread of the stairs tool climbs
+   * @param {number} step - Rounded; at least 1
+   * @returns {number|null} the step in effect
+   */
+  setBrushStairStep(step) {
+    return _setStairStep(this, step);
+  }
+
+  /**
+   * Set the brush footprint outline
+   * @param {string} shape - see TERRAIN_CONFIG.BRUSH_SHAPES; unknown values fall back to 'square'
+   * @returns {string|null} the shape in effect
+   */
+  setBrushShape(shape) {
+    return _setBrushShape(this, shape);
+  }
+
+  /**
+   * Set how strongly the brush affects cells away from its centre
+   * @param {string} falloff - see TERRAIN_CONFIG.BRUSH_FALLOFFS; unknown values fall back to 'none'
+   * @returns {string|null} the falloff in effect
+   */
+  setBrushFalloff(falloff) {
+    return _setBrushFalloff(this, falloff);
+  }
+
   /**
    * Brush size proxy for UI and render calls
    * Getter returns current brush size from controller.
@@ -798,9 +935,12 @@ export class TerrainCoordinator {
     return _getBiomeOrBaseColorInternal(this, height);
   }
 
-  /** Re-color existing base grid tiles using currently selected biome palette. */
-  applyBiomePaletteToBaseGrid() {
-    return this._biomeShading.applyToBaseGrid();
+  /**
+   * Re-color existing base grid tiles using currently selected biome palette.
+   * @param {{paintFields?: object|null}} [options] precomputed painter fields from generation
+   */
+  applyBiomePaletteToBaseGrid(options = {}) {
+    return this._biomeShading.applyToBaseGrid(options);
   }
 
   /** Optional: allow external systems/UI to set a deterministic seed for biome visuals. */
@@ -847,6 +987,12 @@ export class TerrainCoordinator {
    */
   generateBiomeElevationIfFlat(biomeKey, options = {}) {
     if (this.gameManager?.getViewMode && this.gameManager.getViewMode() === 'topdown') return false;
+    const history = this.gameManager?.historyCoordinator;
+    if (history?.isRecording()) {
+      return history.trackScene('Generate biome', () =>
+        this.generateBiomeElevationIfFlat(biomeKey, options)
+      );
+    }
     try {
       if (this.isTerrainModeActive) return false;
       // Headless/test mode support: if gridContainer is missing (no app), create a stub
@@ -874,10 +1020,20 @@ export class TerrainCoordinator {
         biomeKey || (typeof window !== 'undefined' && window.selectedBiome) || 'grassland';
       // Track last generated biome for 3D palette parity
       this._lastGeneratedBiomeKey = resolvedBiome;
+      this._lastGeneration = {
+        biome: resolvedBiome,
+        cols,
+        rows,
+        seed: seed >>> 0,
+        treeDensity: this.getTreeDensityMultiplier(),
+      };
       if (typeof window !== 'undefined' && !window.selectedBiome) {
         window.selectedBiome = resolvedBiome; // ensure global reflects active biome for consistency
       }
-      const field = generateBiomeElevationField(resolvedBiome, rows, cols, { ...options, seed });
+      const field = _generateRegionElevationField(this, resolvedBiome, rows, cols, {
+        ...options,
+        seed,
+      });
 
       // Before applying new flora, clear any existing placeable sprites + instanced meshes so trees don't persist.
       try {
@@ -891,6 +1047,9 @@ export class TerrainCoordinator {
       // Update data store
       this.dataStore.base = field.map((r) => [...r]);
       this.dataStore.working = field.map((r) => [...r]);
+      // Rivers and roads were traced over the old terrain
+      this.dataStore.clearSurfaces();
+      _setWaterLevel(this, getBiomeWaterLevel(resolvedBiome));
 
       // Repaint base tiles to reflect new elevations
       _validateApplyReqs(this); // throws if missing requirements
@@ -933,6 +1092,7 @@ export class TerrainCoordinator {
       } catch (_) {
         /* ignore notify errors */
       }
+      _notifyMapCodeChanged(this);
       return true;
     } catch (_) {
       return false;
@@ -951,157 +1111,477 @@ export class TerrainCoordinator {
    */
   generateBiomeElevation(biomeKey, options = {}) {
     if (this.gameManager?.getViewMode && this.gameManager.getViewMode() === 'topdown') return false;
+    const history = this.gameManager?.historyCoordinator;
+    if (history?.isRecording()) {
+      return history.trackScene('Generate biome', () =>
+        this.generateBiomeElevation(biomeKey, options)
+      );
+    }
     try {
       if (this.isTerrainModeActive) return false;
-      if (!this.gameManager?.gridContainer) {
-        // Headless mode: provide a minimal container so downstream calls succeed
-        this.gameManager.gridContainer = {
-          removeChildren() {},
-          addChild() {},
-        };
-      }
       if (this._isGenerating) return false;
       this._isGenerating = true;
 
-      const rows = this.gameManager.rows;
-      const cols = this.gameManager.cols;
-      const seed = Number.isFinite(options.seed) ? options.seed : this._biomeSeed >>> 0;
-      const activeBiome =
-        biomeKey || (typeof window !== 'undefined' && window.selectedBiome) || 'grassland';
-      this._lastGeneratedBiomeKey = activeBiome;
-      if (typeof window !== 'undefined' && !window.selectedBiome) {
-        window.selectedBiome = activeBiome;
-      }
-      this._generationRunId = (this._generationRunId || 0) + 1;
-      // Auto-apply biome-appropriate elevation perception (pixels per level) before generation
-      try {
-        const hintedUnit = getBiomeElevationScaleHint(activeBiome);
-        if (Number.isFinite(hintedUnit) && this.setElevationScale) {
-          // Avoid mid-generation repaint to reduce flicker/ghosting
-          this.setElevationScale(hintedUnit, { repaintBiome: false });
-        }
-      } catch (_) {
-        /* non-fatal: fall back to current unit */
-      }
-      const field = generateBiomeElevationField(activeBiome, rows, cols, { ...options, seed });
+      const run = _resolveGenerationRun(this, biomeKey, options);
+      const field = _generateRegionElevationField(this, run.biome, run.rows, run.cols, {
+        ...options,
+        seed: run.seed,
+      });
+      return _applyGeneratedTerrain(this, run, field, options);
+    } catch (_) {
+      return false;
+    } finally {
+      this._isGenerating = false;
+    }
+  }
 
-      // Clear any existing biome flora (2D sprites + 3D instanced meshes) so old trees don't persist
-      // into the freshly generated map. This mirrors the behavior in generateBiomeElevationIfFlat.
-      try {
-        this._logPlaceableInstancingState('pre-clear:generateBiomeElevation');
-        this._clearAllBiomeFlora?.();
-        this._logPlaceableInstancingState('post-clear:generateBiomeElevation');
-      } catch (_) {
-        /* non-fatal */
-      }
+  /**
+   * Generate and apply biome-based elevations like generateBiomeElevation, but compute the
+   * height field, flora and shading in a Web Worker so the UI stays responsive. Progress is
+   * reported through the 'taverntable:generationProgress' window event; calling it again cancels
+   * the run in flight.
+   * @param {string} biomeKey
+   * @param {{seed?: number}} options
+   * @returns {Promise<boolean>} true if generation applied (false when cancelled)
+   */
+  generateBiomeElevationInBackground(biomeKey, options = {}) {
+    return _generateInBackground(this, biomeKey, options);
+  }
 
-      // Update data store
-      this.dataStore.base = field.map((r) => [...r]);
-      this.dataStore.working = field.map((r) => [...r]);
+  /**
+   * Short shareable code for the last generated map (biome, grid size, seed, tree density and
+   * elevation scale), e.g. 'grassland-25x25-8f3a-100'.
+   * @returns {string|null} null when no map has been generated on this grid
+   */
+  getMapCode() {
+    return _getMapCode(this);
+  }
 
-      // If running in headless/testing mode, optionally skip expensive tile processing & rendering
-      if (options.headless === true) {
-        // Provide a stub terrainManager if not already available so flora population can record placements
-        if (!this.terrainManager) {
-          this.terrainManager = {
-            gameManager: this.gameManager,
-            placeables: new Map(),
-            placeTerrainItem(x, y, id) {
-              const key = `${x},${y}`;
-              let arr = this.placeables.get(key);
-              if (!arr) {
-                arr = [];
-                this.placeables.set(key, arr);
-              }
-              const sprite = { placeableType: 'plant', id, x, y, parent: null };
-              arr.push(sprite);
-              return true;
-            },
-          };
+  /**
+   * Regenerate the identical map from a map code (see getMapCode).
+   * @param {string} code
+   * @returns {Promise<boolean>} true if the map was generated
+   * @throws {Error} When the code is invalid
+   */
+  applyMapCode(code) {
+    return _applyMapCode(this, code);
+  }
+
+  /** Cancel a background generation in flight. @returns {boolean} true if one was cancelled */
+  cancelBiomeGeneration() {
+    const cancelled = this._generationService.cancel();
+    if (cancelled) _notifyGenerationProgress({ running: false, stage: 'cancelled', progress: 0 });
+    return cancelled;
+  }
+
+  // ── Public API (Height Fields) ─────────────────────────────
+
+  /**
+   * Write individual cell heights (e.g. undo/redo of a brush stroke) and refresh visuals.
+   * In terrain edit mode only the working buffer and overlay tiles change; otherwise the
+   * committed base is updated and base tiles are repainted.
+   * @param {Array<{x: number, y: number, height: number}>} cells
+   * @returns {number} number of cells written
+   */
+  setHeightsAt(cells) {
+    if (!Array.isArray(cells) || !cells.length) return 0;
+    try {
+      const store = this.dataStore;
+      const editing = !!this.isTerrainModeActive;
+      let written = 0;
+      for (const cell of cells) {
+        if (!this.isValidGridPosition(cell?.x, cell?.y) || !Number.isFinite(cell.height)) continue;
+        const height = Math.max(
+          TERRAIN_CONFIG.MIN_HEIGHT,
+          Math.min(TERRAIN_CONFIG.MAX_HEIGHT, Math.round(cell.height))
+        );
+        store.set(cell.x, cell.y, height);
+        if (!editing && Array.isArray(store.base?.[cell.y])) {
+          store.base[cell.y][cell.x] = height;
         }
-        try {
-          _autoPopulateBiomeFlora(this, activeBiome, seed);
-        } catch (_) {
-          /* ignore flora errors */
+        if (editing && this.terrainManager) {
+          this.terrainManager.updateTerrainDisplay(cell.x, cell.y, 1);
         }
+        written++;
+      }
+      if (!written || !this.terrainManager) return written;
+
+      if (editing) {
+        this.terrainManager.flushUpdateQueue?.();
+      } else {
+        _validateApplyReqs(this);
+        _processAllTiles(this);
         try {
-          const tm3 = this.terrainManager;
-          for (const arr of tm3?.placeables?.values() || []) {
-            for (const s of arr) {
-              if (s?.placeableType === 'plant') s.__generationRunId = this._generationRunId;
-            }
-          }
+          this.applyBiomePaletteToBaseGrid();
         } catch (_) {
-          /* ignore */
+          /* non-fatal */
         }
-        return true;
       }
-
-      // Repaint base tiles to reflect new elevations (full mode)
-      _validateApplyReqs(this);
-      const modified = _processAllTiles(this);
-      _logApplyComplete(this, modified);
-      // Repaint biome canvas/shading with updated heights to prevent ghosting from the previous map
       try {
-        this.applyBiomePaletteToBaseGrid();
+        this.gameManager?.notifyTerrainHeightsChanged?.(cells);
       } catch (_) {
-        /* non-fatal */
+        /* ignore notify errors */
       }
-      try {
-        this._logPlaceableInstancingState('pre-populate:generateBiomeElevation');
-        _autoPopulateBiomeFlora(this, activeBiome, seed);
-        this._logPlaceableInstancingState('post-populate:generateBiomeElevation');
-      } catch (_) {
-        /* ignore flora errors */
+      return written;
+    } catch (error) {
+      GameErrors.gameState(error, {
+        stage: 'setHeightsAt',
+        context: 'TerrainCoordinator.setHeightsAt',
+        cellCount: cells.length,
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * Replace the whole height field (base + working) with externally supplied values,
+   * e.g. a loaded scene document. Values are clamped to the configured height range and
+   * missing cells fall back to the default height. Flora is left untouched; callers own it.
+   * Leaves terrain edit mode first so the new field becomes the committed base.
+   * @param {number[][]} field rows x cols array indexed [y][x]
+   * @param {{headless?: boolean}} [options] headless skips tile repainting (tests/tools)
+   * @returns {boolean} true if the field was applied
+   */
+  loadHeightField(field, options = {}) {
+    if (!Array.isArray(field)) return false;
+    try {
+      if (this.isTerrainModeActive) {
+        this.disableTerrainMode();
       }
-      try {
-        const tm4 = this.terrainManager;
-        for (const arr of tm4?.placeables?.values() || []) {
-          for (const s of arr) {
-            if (s?.placeableType === 'plant') s.__generationRunId = this._generationRunId;
-          }
+      const rows = this.gameManager.rows;
+      const cols = this.gameManager.cols;
+      const next = [];
+      for (let y = 0; y < rows; y++) {
+        const src = Array.isArray(field[y]) ? field[y] : [];
+        const row = new Array(cols);
+        for (let x = 0; x < cols; x++) {
+          const h = Number(src[x]);
+          row[x] = Number.isFinite(h)
+            ? Math.max(
+                TERRAIN_CONFIG.MIN_HEIGHT,
+                Math.min(TERRAIN_CONFIG.MAX_HEIGHT, Math.round(h))
+              )
+            : TERRAIN_CONFIG.DEFAULT_HEIGHT;
         }
-      } catch (_) {
-        /* ignore */
+        next.push(row);
       }
-      // Reinstance any newly populated plants into 3D pool
-      try {
-        this.gameManager?.reinstanceExistingPlants?.();
-      } catch (_) {
-        /* ignore */
+      this.dataStore.base = next.map((r) => [...r]);
+      this.dataStore.working = next.map((r) => [...r]);
+
+      if (options.headless === true || !this.terrainManager) {
+        return true;
       }
-      // If zero plants were placed but instancing enabled, attempt a single retry (defensive)
+
+      _validateApplyReqs(this);
+      const modified = _processAllTiles(this);
+      _logApplyComplete(this, modified);
       try {
-        const tm = this.terrainManager;
-        const hasPlants = (() => {
-          if (!tm?.placeables) return false;
-          for (const arr of tm.placeables.values()) {
-            if (arr.some((s) => s.placeableType === 'plant')) return true;
-          }
-          return false;
-        })();
-        if (!hasPlants && this.gameManager?.features?.instancedPlaceables) {
-          // Retry once with a salt tweak to avoid identical zero-density edge case
-          _autoPopulateBiomeFlora(this, activeBiome, (seed + 0x9e3779b1) >>> 0);
-          this.gameManager?.reinstanceExistingPlants?.();
-        }
+        this.applyBiomePaletteToBaseGrid();
       } catch (_) {
-        /* ignore retry errors */
+        /* non-fatal */
       }
-      // 3D transition: ensure fresh mesh rebuild + token/placeable height sync
       try {
-        if (this.gameManager?.is3DModeActive?.()) {
-          this.gameManager.notifyTerrainHeightsChanged?.();
-        }
+        this.gameManager?.notifyTerrainHeightsChanged?.();
       } catch (_) {
         /* ignore notify errors */
       }
       return true;
-    } catch (_) {
+    } catch (error) {
+      GameErrors.gameState(error, {
+        stage: 'loadHeightField',
+        context: 'TerrainCoordinator.loadHeightField',
+      });
       return false;
-    } finally {
-      this._isGenerating = false;
     }
   }
+
+  // ── Public API (Stamps) ────────────────────────────────────
+
+  /** @returns {string[]} names of the stamps in the local library */
+  listStamps() {
+    return this.stamps.library.names();
+  }
+
+  /** Arm capture of the next dragged region as stamp `name` */
+  startStampCapture(name) {
+    return _startStampCapture(this, name);
+  }
+
+  /** Arm pasting of library stamp `name` on each click */
+  startStampPaste(name) {
+    return _startStampPaste(this, name);
+  }
+
+  cancelStampMode() {
+    return _cancelStampMode(this);
+  }
+
+  rotateStamp() {
+    return _rotateStamp(this);
+  }
+
+  mirrorStamp() {
+    return _mirrorStamp(this);
+  }
+
+  deleteStamp(name) {
+    return _deleteStamp(this, name);
+  }
+
+  /** Called when the capture drag is released */
+  finishStampCapture() {
+    return _finishStampCapture(this);
+  }
+
+  /** Paste the armed stamp centred on a cell (one undo step) */
+  pasteStampAt(gridX, gridY) {
+    return _pasteStampAt(this, gridX, gridY);
+  }
+
+  // ── Public API (Selection) ─────────────────────────────────
+
+  /** Arm the marquee or lasso tool */
+  startSelectionTool(tool) {
+    return _startSelectionTool(this, tool);
+  }
+
+  cancelSelectionTool() {
+    return _cancelSelectionTool(this);
+  }
+
+  clearSelection() {
+    return _clearSelection(this);
+  }
+
+  /** Called when the selection drag is released */
+  finishSelectionDrag() {
+    return _finishSelectionDrag(this);
+  }
+
+  adjustSelectionHeight(delta) {
+    return _adjustSelectionHeight(this, delta);
+  }
+
+  setSelectionHeight(level) {
+    return _setSelectionHeight(this, level);
+  }
+
+  clearSelectionPlaceables() {
+    return _clearSelectionPlaceables(this);
+  }
+
+  scatterSelectionFlora(biomeKey) {
+    return _scatterSelectionFlora(this, biomeKey);
+  }
+
+  listFloraProfiles() {
+    return _listFloraProfiles();
+  }
+
+  copySelection() {
+    return _copySelection(this);
+  }
+
+  cutSelection() {
+    return _cutSelection(this);
+  }
+
+  /** Arm pasting of the selection clipboard on the next click */
+  startSelectionPaste() {
+    return _startSelectionPaste(this);
+  }
+
+  /** Paste the selection clipboard centred on a cell (one undo step) */
+  pasteSelectionAt(gridX, gridY) {
+    return _pasteSelectionAt(this, gridX, gridY);
+  }
+
+  // ── Public API (Rivers & Roads) ────────────────────────────
+
+  getSurfaceAt(gridX, gridY) {
+    return _getSurfaceAt(this, gridX, gridY);
+  }
+
+  /** Replace the river/road surface layer (undo/redo, scene loads) */
+  loadSurfaces(entries) {
+    return _loadSurfaces(this, entries);
+  }
+
+  clearSurfaces() {
+    return _clearSurfaces(this);
+  }
+
+  /** Carve a river between two map edges (one undo step) */
+  carveRiver(options = {}) {
+    return _carveRiver(this, options);
+  }
+
+  startRoadTool() {
+    return _startRoadTool(this);
+  }
+
+  cancelRoadTool() {
+    return _cancelRoadTool(this);
+  }
+
+  /** Build and level the lowest-slope road between two tiles (one undo step) */
+  buildRoad(from, to) {
+    return _buildRoad(this, from, to);
+  }
+
+  /** Road tool click: the first pick marks the start, the second builds the road */
+  pickRoadTile(gridX, gridY) {
+    return _pickRoadTile(this, gridX, gridY);
+  }
+
+  // ── Public API (Biome Regions) ─────────────────────────────
+
+  /** @returns {string} biome painted on a tile, or the map biome when unpainted */
+  getBiomeAt(gridX, gridY) {
+    return _getBiomeAt(this, gridX, gridY);
+  }
+
+  getBiomeBlendAt(gridX, gridY) {
+    return _getBiomeBlendAt(this, gridX, gridY);
+  }
+
+  /** @returns {Array<{x: number, y: number, biome: string}>} painted tiles */
+  listBiomeRegions() {
+    return this.dataStore.listBiomes();
+  }
+
+  /** Arm the biome brush (null erases back to the map biome) */
+  startBiomePaint(biome) {
+    return _startBiomePaint(this, biome);
+  }
+
+  cancelBiomePaint() {
+    return _cancelBiomePaint(this);
+  }
+
+  setPaintBiome(biome) {
+    return _setPaintBiome(this, biome);
+  }
+
+  paintBiomeAt(gridX, gridY) {
+    return _paintBiomeAt(this, gridX, gridY);
+  }
+
+  /** Replace the painted biome layer (undo/redo, scene loads) */
+  loadBiomeRegions(entries) {
+    return _loadBiomeRegions(this, entries);
+  }
+
+  clearBiomeRegions() {
+    return _clearBiomeRegions(this);
+  }
+
+  /** Paint every tile with the biome its climate suggests */
+  generateClimateBiomes(options = {}) {
+    return _generateClimateBiomes(this, options);
+  }
+
+  // ── Public API (Water) ─────────────────────────────────────
+
+  /** @returns {number|null} height level below which tiles are under water */
+  getWaterLevel() {
+    return this.waterLevel;
+  }
+
+  /**
+   * Flood every tile below a height level (null drains the map). Rebuilds the 3D water surface
+   * and re-flags tokens as wading or swimming.
+   * @param {number|null} level
+   * @returns {number|null} the level applied (rounded and clamped to the height range)
+   */
+  setWaterLevel(level) {
+    return _setWaterLevel(this, level);
+  }
+
+  /** @returns {number} levels of water over a tile (0 when dry) */
+  getWaterDepthAt(gridX, gridY) {
+    return _getWaterDepthAt(this, gridX, gridY);
+  }
+
+  /** @returns {'wading'|'swimming'|null} what a token standing on the tile would be doing */
+  getWaterStateAt(gridX, gridY) {
+    return _getWaterStateAt(this, gridX, gridY);
+  }
+
+  /**
+   * Update each placed token's `waterState` ('wading', 'swimming' or absent) from its tile
+   * @returns {number} tokens whose state changed
+   */
+  syncTokenWaterStates() {
+    return _syncTokenWaterStates(this);
+  }
+
+  // ── Public API (Heightmap Files) ───────────────────────────
+
+  /**
+   * Export the committed (base) height field as a heightmap file.
+   * @param {'png'|'csv'} [format='png']
+   * @param {{deflate?: Function}} [options] zlib compressor override for PNG
+   * @returns {Promise<string|Uint8Array>} CSV text or PNG bytes
+   */
+  async exportHeightmap(format = 'png', options = {}) {
+    if (format === 'csv') return this.dataStore.exportBaseCSV();
+    if (format === 'png') return this.dataStore.exportBasePNG(options);
+    throw new Error(`Unknown heightmap format: ${format}`);
+  }
+
+  /**
+   * Replace the height field with a heightmap file. The file is resampled to the current grid,
+   * or the grid is resized to the file's dimensions first when `resizeGrid` is set (clamped to
+   * the grid limits). Leaves terrain edit mode and rebuilds the 3D terrain once.
+   * @param {string|ArrayBuffer|Uint8Array} input CSV text or PNG/CSV bytes
+   * @param {{format?: 'png'|'csv', resizeGrid?: boolean, inflate?: Function}} [options]
+   * @returns {Promise<{cols: number, rows: number, sourceCols: number, sourceRows: number, warnings: string[]}>}
+   * @throws {Error} When the file cannot be decoded or fails validation
+   */
+  async importHeightmap(input, options = {}) {
+    const history = this.gameManager?.historyCoordinator;
+    if (history?.isRecording()) {
+      return history.trackScene('Import heightmap', () => this.importHeightmap(input, options));
+    }
+
+    const source = await TerrainDataStore.readHeightmap(input, options);
+    const sourceCheck = TerrainValidation.validateHeightField(source);
+    if (!sourceCheck.isValid) {
+      throw new Error(`Invalid heightmap: ${TerrainValidation.getErrorMessage(sourceCheck)}`);
+    }
+    const { cols: sourceCols, rows: sourceRows } = sourceCheck.details;
+
+    const gm = this.gameManager;
+    return gm.batchTerrainRebuild(() => {
+      if (options.resizeGrid === true) {
+        const cols = Math.max(GRID_CONFIG.MIN_COLS, Math.min(GRID_CONFIG.MAX_COLS, sourceCols));
+        const rows = Math.max(GRID_CONFIG.MIN_ROWS, Math.min(GRID_CONFIG.MAX_ROWS, sourceRows));
+        if (cols !== gm.cols || rows !== gm.rows) gm.resizeGrid(cols, rows);
+      }
+
+      const field = TerrainDataStore.fitHeightField(source, gm.cols, gm.rows);
+      const check = TerrainValidation.validateHeightField(field, { cols: gm.cols, rows: gm.rows });
+      if (!check.isValid) {
+        throw new Error(`Invalid heightmap: ${TerrainValidation.getErrorMessage(check)}`);
+      }
+      if (!this.loadHeightField(field)) {
+        throw new Error('Heightmap could not be applied to the terrain');
+      }
+
+      logger.info(
+        'Heightmap imported',
+        { sourceCols, sourceRows, cols: gm.cols, rows: gm.rows },
+        LOG_CATEGORY.SYSTEM
+      );
+      return {
+        cols: gm.cols,
+        rows: gm.rows,
+        sourceCols,
+        sourceRows,
+        warnings: TerrainValidation.getWarningMessages(sourceCheck),
+      };
+    });
+  }
 }
 // End of TerrainCoordinator
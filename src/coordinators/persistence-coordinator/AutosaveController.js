@@ -0,0 +1,211 @@
+import { logger, LOG_CATEGORY } from '../../utils/Logger.js';
+import { AUTOSAVE_CONFIG } from '../../config/GameConstants.js';
+import { openSnapshotStore } from './snapshotStore.js';
+
+// Interaction ends that usually follow a table edit (brush stroke, token drop, menu pick)
+const CHANGE_EVENTS = ['pointerup', 'keyup'];
+
+/**
+ * AutosaveController - Periodic and on-change scene snapshots for crash recovery.
+ * Owned by PersistenceCoordinator; snapshots are full scene documents kept as a rolling
+ * history in IndexedDB. A session marker in localStorage stays "open" while the page runs
+ * and flips to "closed" on a normal page exit, so a marker still "open" at startup means
+ * the previous session crashed (or was reloaded from an error notification).
+ */
+export class AutosaveController {
+  /**
+   * @param {object} coordinator PersistenceCoordinator instance
+   * @param {object} [options]
+   * @param {Function} [options.openStore] async factory returning a snapshot store or null
+   * @param {Storage} [options.storage] session marker storage (defaults to localStorage)
+   * @param {EventTarget} [options.target] event source for change/exit events (defaults to window)
+   * @param {number} [options.intervalMs]
+   * @param {number} [options.debounceMs]
+   * @param {number} [options.maxSnapshots]
+   */
+  constructor(coordinator, options = {}) {
+    this.c = coordinator;
+    this.openStore = options.openStore || openSnapshotStore;
+    const defaultStorage = typeof localStorage !== 'undefined' ? localStorage : null;
+    this.storage = options.storage !== undefined ? options.storage : defaultStorage;
+    this.target = options.target || (typeof window !== 'undefined' ? window : null);
+    this.intervalMs = options.intervalMs ?? AUTOSAVE_CONFIG.INTERVAL_MS;
+    this.debounceMs = options.debounceMs ?? AUTOSAVE_CONFIG.CHANGE_DEBOUNCE_MS;
+    this.maxSnapshots = options.maxSnapshots ?? AUTOSAVE_CONFIG.MAX_SNAPSHOTS;
+
+    this.store = null;
+    this.running = false;
+    this._lastSignature = null;
+    this._saving = null;
+    this._intervalId = null;
+    this._debounceId = null;
+    this._recoveryReload = false;
+    this._listeners = [];
+  }
+
+  // ── Session Lifecycle ──────────────────────────────────────────────
+
+  /**
+   * Open the snapshot store and mark this session as running. Must be called before
+   * start() so the previous session's marker is read before it is overwritten.
+   * @returns {Promise<{uncleanShutdown: boolean, snapshot: object|null}>} newest snapshot
+   *   when the previous session ended without a clean shutdown
+   */
+  async beginSession() {
+    const previous = this._readSessionMarker();
+    this._writeSessionMarker({ state: 'open', startedAt: new Date().toISOString() });
+    try {
+      this.store = await this.openStore();
+    } catch (error) {
+      logger.warn('Autosave store unavailable', { error: error?.message }, LOG_CATEGORY.SYSTEM);
+      this.store = null;
+    }
+    const uncleanShutdown = previous?.state === 'open';
+    let snapshot = null;
+    if (uncleanShutdown && this.store) {
+      try {
+        snapshot = await this.store.latest();
+      } catch (error) {
+        logger.warn(
+          'Autosave snapshot read failed',
+          { error: error?.message },
+          LOG_CATEGORY.SYSTEM
+        );
+      }
+    }
+    return { uncleanShutdown, snapshot };
+  }
+
+  /** Start periodic saves and listen for edits and page exit. Idempotent. */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    if (this.intervalMs > 0) {
+      this._intervalId = setInterval(() => this.saveNow('interval'), this.intervalMs);
+      if (typeof this._intervalId?.unref === 'function') this._intervalId.unref();
+    }
+    if (!this.target?.addEventListener) return;
+    const onChange = () => this.requestSave('change');
+    CHANGE_EVENTS.forEach((type) => this._listen(type, onChange));
+    this._listen('pagehide', () => this.markCleanShutdown());
+    this._listen('errorReload', () => {
+      this._recoveryReload = true;
+    });
+    this._listen('visibilitychange', () => {
+      if (typeof document !== 'undefined' && document.visibilityState === 'hidden') {
+        this.saveNow('hidden');
+      }
+    });
+  }
+
+  /** Stop timers and listeners. Pending debounced saves are dropped. */
+  stop() {
+    this.running = false;
+    clearInterval(this._intervalId);
+    clearTimeout(this._debounceId);
+    this._intervalId = null;
+    this._debounceId = null;
+    this._listeners.forEach(([type, fn]) => this.target.removeEventListener(type, fn));
+    this._listeners = [];
+  }
+
+  /** Record a normal page exit unless the exit is an error-recovery reload. */
+  markCleanShutdown() {
+    if (this._recoveryReload) return;
+    this._writeSessionMarker({ state: 'closed', closedAt: new Date().toISOString() });
+  }
+
+  // ── Snapshots ──────────────────────────────────────────────────────
+
+  /** Schedule a save once edits settle for `debounceMs`. */
+  requestSave(reason = 'change') {
+    if (!this.running) return;
+    clearTimeout(this._debounceId);
+    this._debounceId = setTimeout(() => {
+      this._debounceId = null;
+      this.saveNow(reason);
+    }, this.debounceMs);
+    if (typeof this._debounceId?.unref === 'function') this._debounceId.unref();
+  }
+
+  /**
+   * Store a snapshot of the current table if it changed since the last one, then trim the
+   * history to `maxSnapshots`.
+   * @param {string} [reason]
+   * @returns {Promise<number|null>} stored snapshot id, or null when nothing was written
+   */
+  async saveNow(reason = 'manual') {
+    if (!this.store) return null;
+    if (this._saving) return this._saving;
+    this._saving = this._writeSnapshot(reason).finally(() => {
+      this._saving = null;
+    });
+    return this._saving;
+  }
+
+  /** @returns {Promise<object[]>} stored snapshots, newest first */
+  async listSnapshots() {
+    return this.store ? this.store.list() : [];
+  }
+
+  /**
+   * Load a stored snapshot onto the table. Invalid parts are repaired rather than failing,
+   * since an autosave is the user's only copy.
+   * @param {object} snapshot record from listSnapshots()/beginSession()
+   * @returns {Promise<object>} importScene summary
+   */
+  async restore(snapshot) {
+    if (!snapshot?.document) {
+      throw new Error('Autosave snapshot has no scene document');
+    }
+    const result = await this.c.importScene(snapshot.document, { repair: true });
+    // The restored table is already on disk; don't write it again as a new snapshot.
+    this._lastSignature = this._signature(this.c.exportScene());
+    return result;
+  }
+
+  // ── Private Helpers ────────────────────────────────────────────────
+
+  async _writeSnapshot(reason) {
+    try {
+      const doc = this.c.exportScene();
+      const signature = this._signature(doc);
+      if (signature === this._lastSignature) return null;
+      const id = await this.store.put({ savedAt: doc.savedAt, reason, document: doc });
+      this._lastSignature = signature;
+      await this.store.prune(this.maxSnapshots);
+      logger.debug('Autosave snapshot stored', { id, reason }, LOG_CATEGORY.SYSTEM);
+      return id;
+    } catch (error) {
+      logger.warn('Autosave failed', { reason, error: error?.message }, LOG_CATEGORY.SYSTEM);
+      return null;
+    }
+  }
+
+  /** Scene content without the timestamp, so unchanged tables compare equal. */
+  _signature(doc) {
+    return JSON.stringify({ ...doc, savedAt: null });
+  }
+
+  _listen(type, fn) {
+    this.target.addEventListener(type, fn);
+    this._listeners.push([type, fn]);
+  }
+
+  _readSessionMarker() {
+    try {
+      const raw = this.storage?.getItem(AUTOSAVE_CONFIG.SESSION_STORAGE_KEY);
+      return raw ? JSON.parse(raw) : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  _writeSessionMarker(marker) {
+    try {
+      this.storage?.setItem(AUTOSAVE_CONFIG.SESSION_STORAGE_KEY, JSON.stringify(marker));
+    } catch (_) {
+      /* storage full or disabled: recovery prompt just won't appear */
+    }
+  }
+}
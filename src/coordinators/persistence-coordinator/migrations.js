@@ -0,0 +1,81 @@
+// migrations.js - Version upgrade chain for saved scene documents
+//
+// Each registered step upgrades a document from version N to N + 1. Steps are applied in
+// order until the document reaches SCENE_DOCUMENT_CONFIG.VERSION, so a file saved by any
+// older build loads through the same chain. When a change breaks old files (a renamed
+// TERRAIN_PLACEABLES id, a MANNEQUIN_MODEL key change, new GRID_CONFIG limits), bump
+// SCENE_DOCUMENT_CONFIG.VERSION and register the step that rewrites the old shape here.
+
+import { SCENE_DOCUMENT_CONFIG } from '../../config/GameConstants.js';
+
+// ── Registry ───────────────────────────────────────────────
+
+/**
+ * Migration steps keyed by the document version they upgrade FROM.
+ * @type {Map<number, (doc: object) => object>}
+ */
+export const SCENE_MIGRATIONS = new Map();
+
+// ── Public API ─────────────────────────────────────────────
+
+/**
+ * Register the step that upgrades documents from `fromVersion` to `fromVersion + 1`.
+ * @param {number} fromVersion
+ * @param {(doc: object) => object} migrate receives a copy and returns the upgraded document
+ * @param {Map<number, Function>} [registry]
+ */
+export function registerSceneMigration(fromVersion, migrate, registry = SCENE_MIGRATIONS) {
+  if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+    throw new Error(`Invalid scene migration version: ${fromVersion}`);
+  }
+  if (typeof migrate !== 'function') {
+    throw new Error(`Scene migration for version ${fromVersion} must be a function`);
+  }
+  registry.set(fromVersion, migrate);
+}
+
+/**
+ * Upgrade a scene document to the target version. The input is never mutated.
+ * @param {object} doc parsed scene document with an integer `version`
+ * @param {object} [options]
+ * @param {Map<number, Function>} [options.registry]
+ * @param {number} [options.targetVersion]
+ * @returns {{doc: object, applied: number[]}} upgraded document and the versions migrated from
+ * @throws {Error} when the document is newer than supported or a step is missing
+ */
+export function migrateSceneDocument(doc, options = {}) {
+  const { registry = SCENE_MIGRATIONS, targetVersion = SCENE_DOCUMENT_CONFIG.VERSION } = options;
+  const fromVersion = doc?.version;
+  if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+    throw new Error('Scene document has no valid version');
+  }
+  if (fromVersion > targetVersion) {
+    throw new Error(
+      `Scene document version ${fromVersion} is newer than supported version ${targetVersion}`
+    );
+  }
+
+  let current = cloneDocument(doc);
+  const applied = [];
+  while (current.version < targetVersion) {
+    const step = registry.get(current.version);
+    if (!step) {
+      throw new Error(`No scene migration registered from version ${current.version}`);
+    }
+    const from = current.version;
+    const next = step(current);
+    if (!next || typeof next !== 'object') {
+      throw new Error(`Scene migration from version ${from} returned no document`);
+    }
+    next.version = from + 1;
+    applied.push(from);
+    current = next;
+  }
+  return { doc: current, applied };
+}
+
+// ── Private Helpers ────────────────────────────────────────
+
+function cloneDocument(doc) {
+  return JSON.parse(JSON.stringify(doc));
+}
@@ -0,0 +1,98 @@
+// sceneEntities.js - Plain descriptions of tokens and placeables, and rebuilding them
+//
+// Shared by scene documents (PersistenceCoordinator) and undo history (HistoryCoordinator):
+// both need to turn live tokens/placeables into JSON-safe entries and place them back
+// through the same manager entry points the UI uses.
+
+// ── Tokens ─────────────────────────────────────────────────
+
+/**
+ * @param {object} token placed token entry
+ * @returns {{type: string, gridX: number, gridY: number, facingAngle: number,
+ *   quickCommand: string|null, allegiance: string|null}} allegiance is null on the default side
+ */
+export function describeToken(token) {
+  return {
+    type: token.type || token.creature?.type || 'mannequin',
+    gridX: token.gridX,
+    gridY: token.gridY,
+    facingAngle: Number.isFinite(token.facingAngle) ? token.facingAngle : 0,
+    quickCommand: typeof token.quickCommand === 'string' ? token.quickCommand : null,
+    allegiance: typeof token.allegiance === 'string' ? token.allegiance : null,
+  };
+}
+
+/**
+ * Place a token from its description, restoring facing, quick command and allegiance.
+ * @param {object} gameManager
+ * @param {object} entry see describeToken
+ * @returns {object|null} the placed token entry, or null if placement was rejected
+ */
+export function placeTokenEntry(gameManager, entry) {
+  const tm = gameManager.tokenManager;
+  const { type, gridX, gridY } = entry;
+  tm.placeTokenOfType(type, gridX, gridY, gameManager.gridContainer);
+  const token = tm.findExistingTokenAt(gridX, gridY);
+  if (!token) return null;
+  if (Number.isFinite(entry.facingAngle) && entry.facingAngle !== 0) {
+    const current = Number.isFinite(token.facingAngle) ? token.facingAngle : 0;
+    tm.rotateToken(token, entry.facingAngle - current);
+  }
+  if (typeof entry.quickCommand === 'string' && entry.quickCommand) {
+    gameManager.applyTokenCommand(token, entry.quickCommand);
+  }
+  if (typeof entry.allegiance === 'string' && entry.allegiance) {
+    gameManager.setTokenAllegiance(token, entry.allegiance);
+  }
+  return token;
+}
+
+// ── Placeables ─────────────────────────────────────────────
+
+/**
+ * @param {object} record placeable record from TerrainManager.placeables
+ * @returns {{id: string, gridX: number, gridY: number, variantIndex: number}|null}
+ */
+export function describePlaceable(record) {
+  const id = record?.placeableId || record?.id;
+  if (typeof id !== 'string') return null;
+  if (!Number.isInteger(record.gridX) || !Number.isInteger(record.gridY)) return null;
+  return {
+    id,
+    gridX: record.gridX,
+    gridY: record.gridY,
+    variantIndex: Number.isInteger(record.placeableVariantIndex) ? record.placeableVariantIndex : 0,
+  };
+}
+
+/**
+ * Describe every placeable on one tile, in placement order.
+ * @param {object} terrainManager
+ * @param {number} x
+ * @param {number} y
+ * @returns {object[]}
+ */
+export function describeTilePlaceables(terrainManager, x, y) {
+  const list = terrainManager?.placeables?.get?.(`${x},${y}`);
+  if (!Array.isArray(list)) return [];
+  return list.map(describePlaceable).filter(Boolean);
+}
+
+/**
+ * Place a placeable from its description, then select its variant.
+ * @param {object} terrainManager
+ * @param {object} entry see describePlaceable
+ * @returns {Promise<boolean>} true if placed
+ */
+export async function placePlaceableEntry(terrainManager, entry) {
+  const { id, gridX, gridY } = entry;
+  if (!terrainManager.placeItem(id, gridX, gridY)) return false;
+  if (Number.isInteger(entry.variantIndex) && entry.variantIndex > 0) {
+    try {
+      await terrainManager.cyclePlaceableVariant(gridX, gridY, id, entry.variantIndex);
+    } catch (_) {
+      /* keep default variant */
+    }
+  }
+  return true;
+}
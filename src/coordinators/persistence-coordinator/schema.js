@@ -0,0 +1,514 @@
+// schema.js - Validation and repair for scene documents (current version only)
+//
+// Run after migrations: the validator only knows the latest document shape. Every problem is
+// reported with the path to the offending value, e.g. `tokens[3].gridX out of range (0-24)`,
+// so a broken save can be diagnosed without a debugger.
+
+import {
+  GRID_CONFIG,
+  SCENE_DOCUMENT_CONFIG,
+  TOKEN_OCCUPANCY_CONFIG,
+} from '../../config/GameConstants.js';
+import { TERRAIN_CONFIG } from '../../config/terrain/TerrainConstants.js';
+import { TERRAIN_PLACEABLES } from '../../config/terrain/TerrainPlaceables.js';
+import { getTokenCommand } from '../../config/TokenCommandConfig.js';
+import { TypeValidators, GameValidators, Sanitizers } from '../../utils/Validation.js';
+import { normalizeWaterLevel } from '../../terrain/water/WaterLevel.js';
+import { isBiomeKey } from '../../terrain/biomes/BiomeRegions.js';
+
+// ── Constants ──────────────────────────────────────────────
+
+export const SCENE_VIEW_MODES = ['isometric', 'topdown'];
+const MINUTES_PER_DAY = 1440;
+
+// ── Public API ─────────────────────────────────────────────
+
+/**
+ * Validate a (migrated) scene document against the current schema.
+ * @param {object} doc
+ * @returns {{isValid: boolean, errors: string[]}} errors are `<path> <problem>` strings
+ */
+export function validateSceneDocument(doc) {
+  const result = { isValid: true, errors: [] };
+  const fail = (path, problem) => {
+    result.isValid = false;
+    result.errors.push(`${path} ${problem}`);
+  };
+
+  if (!TypeValidators.isObject(doc)) {
+    fail('document', 'must be an object');
+    return result;
+  }
+  if (doc.format !== SCENE_DOCUMENT_CONFIG.FORMAT) {
+    fail('format', `must be "${SCENE_DOCUMENT_CONFIG.FORMAT}"`);
+  }
+  if (doc.version !== SCENE_DOCUMENT_CONFIG.VERSION) {
+    fail('version', `must be ${SCENE_DOCUMENT_CONFIG.VERSION} after migration`);
+  }
+
+  const { cols, rows } = validateGrid(doc.grid, fail);
+  validateTerrain(doc.terrain, cols, rows, fail);
+  validatePlaceables(doc.placeables, cols, rows, fail);
+  validateTokens(doc.tokens, cols, rows, fail);
+  validateLighting(doc.lighting, fail);
+  validateCamera(doc.camera, fail);
+  return result;
+}
+
+/**
+ * Produce a loadable copy of a document by dropping or clamping invalid parts instead of
+ * failing the whole load: unknown placeable ids and unknown token types are dropped,
+ * out-of-range grid sizes and heights are clamped, entries outside the grid are dropped.
+ * Format and version are not repaired; run migrations first.
+ * @param {object} doc
+ * @returns {{doc: object, repairs: string[]}} repaired copy and a description of each change
+ */
+export function repairSceneDocument(doc) {
+  const repairs = [];
+  const src = TypeValidators.isObject(doc) ? doc : {};
+  const terrainSrc = TypeValidators.isObject(src.terrain) ? src.terrain : {};
+  const heightsSrc = Array.isArray(terrainSrc.heights) ? terrainSrc.heights : [];
+
+  const cols = repairDimension(src.grid?.cols, heightsSrc[0]?.length, 'cols', repairs);
+  const rows = repairDimension(src.grid?.rows, heightsSrc.length, 'rows', repairs);
+
+  const out = {
+    ...src,
+    grid: { cols, rows },
+    terrain: repairTerrain(terrainSrc, heightsSrc, cols, rows, repairs),
+    placeables: repairPlaceables(src.placeables, cols, rows, repairs),
+    tokens: repairTokens(src.tokens, cols, rows, repairs),
+    lighting: repairLighting(src.lighting, repairs),
+    camera: repairCamera(src.camera, repairs),
+  };
+  return { doc: out, repairs };
+}
+
+// ── Private Helpers (Validation) ───────────────────────────
+
+function validateGrid(grid, fail) {
+  if (!TypeValidators.isObject(grid)) {
+    fail('grid', 'must be an object');
+    return { cols: null, rows: null };
+  }
+  const cols = checkDimension(grid.cols, GRID_CONFIG.MIN_COLS, GRID_CONFIG.MAX_COLS);
+  const rows = checkDimension(grid.rows, GRID_CONFIG.MIN_ROWS, GRID_CONFIG.MAX_ROWS);
+  if (cols.error) fail('grid.cols', cols.error);
+  if (rows.error) fail('grid.rows', rows.error);
+  return { cols: cols.value, rows: rows.value };
+}
+
+function checkDimension(value, min, max) {
+  if (!TypeValidators.isNumber(value, { integer: true })) {
+    return { value: null, error: 'must be an integer' };
+  }
+  if (!TypeValidators.isNumber(value, { min, max })) {
+    return { value: null, error: `out of range (${min}-${max})` };
+  }
+  return { value, error: null };
+}
+
+function validateTerrain(terrain, cols, rows, fail) {
+  if (!TypeValidators.isObject(terrain)) {
+    fail('terrain', 'must be an object');
+    return;
+  }
+  const { heights } = terrain;
+  if (!TypeValidators.isArray(heights)) {
+    fail('terrain.heights', 'must be an array of rows');
+  } else {
+    if (rows !== null && heights.length !== rows) {
+      fail('terrain.heights', `has ${heights.length} rows, expected ${rows}`);
+    }
+    heights.forEach((row, y) => {
+      const rowPath = `terrain.heights[${y}]`;
+      if (!TypeValidators.isArray(row)) {
+        fail(rowPath, 'must be an array');
+        return;
+      }
+      if (cols !== null && row.length !== cols) {
+        fail(rowPath, `has ${row.length} cells, expected ${cols}`);
+      }
+      row.forEach((h, x) => {
+        if (!TypeValidators.isNumber(h)) {
+          fail(`${rowPath}[${x}]`, 'must be a number');
+        } else if (
+          !TypeValidators.isNumber(h, {
+            min: TERRAIN_CONFIG.MIN_HEIGHT,
+            max: TERRAIN_CONFIG.MAX_HEIGHT,
+          })
+        ) {
+          fail(
+            `${rowPath}[${x}]`,
+            `out of range (${TERRAIN_CONFIG.MIN_HEIGHT}-${TERRAIN_CONFIG.MAX_HEIGHT})`
+          );
+        }
+      });
+    });
+  }
+  if (terrain.biome !== null && !TypeValidators.isString(terrain.biome, { notEmpty: true })) {
+    fail('terrain.biome', 'must be a biome key or null');
+  }
+  if (!TypeValidators.isNumber(terrain.seed, { integer: true, min: 0 })) {
+    fail('terrain.seed', 'must be a non-negative integer');
+  }
+  if (
+    terrain.treeDensity !== undefined &&
+    !TypeValidators.isNumber(terrain.treeDensity, { min: 0 })
+  ) {
+    fail('terrain.treeDensity', 'must be a non-negative number');
+  }
+  if (
+    terrain.waterLevel !== undefined &&
+    terrain.waterLevel !== null &&
+    !isWaterLevel(terrain.waterLevel)
+  ) {
+    fail(
+      'terrain.waterLevel',
+      `must be null or an integer (${TERRAIN_CONFIG.MIN_HEIGHT}-${TERRAIN_CONFIG.MAX_HEIGHT})`
+    );
+  }
+  if (terrain.surfaces !== undefined) {
+    if (!TypeValidators.isArray(terrain.surfaces)) {
+      fail('terrain.surfaces', 'must be an array');
+      return;
+    }
+    terrain.surfaces.forEach((entry, i) => {
+      const path = `terrain.surfaces[${i}]`;
+      if (!TypeValidators.isObject(entry)) {
+        fail(path, 'must be an object');
+        return;
+      }
+      if (!isSurfaceType(entry.type)) fail(`${path}.type`, `unknown surface "${entry.type}"`);
+      checkGridPosition(entry, path, cols, rows, fail);
+    });
+  }
+  if (terrain.biomes !== undefined) {
+    if (!TypeValidators.isArray(terrain.biomes)) {
+      fail('terrain.biomes', 'must be an array');
+      return;
+    }
+    terrain.biomes.forEach((entry, i) => {
+      const path = `terrain.biomes[${i}]`;
+      if (!TypeValidators.isObject(entry)) {
+        fail(path, 'must be an object');
+        return;
+      }
+      if (!isBiomeKey(entry.biome)) fail(`${path}.biome`, `unknown biome "${entry.biome}"`);
+      checkGridPosition(entry, path, cols, rows, fail);
+    });
+  }
+}
+
+function isWaterLevel(level) {
+  return TypeValidators.isNumber(level, {
+    integer: true,
+    min: TERRAIN_CONFIG.MIN_HEIGHT,
+    max: TERRAIN_CONFIG.MAX_HEIGHT,
+  });
+}
+
+function isSurfaceType(type) {
+  return (
+    TypeValidators.isString(type) &&
+    Object.prototype.hasOwnProperty.call(TERRAIN_CONFIG.SURFACES, type)
+  );
+}
+
+/** Missing (older saves) and null mean the default side. */
+function isAllegiance(allegiance) {
+  return (
+    allegiance === undefined ||
+    allegiance === null ||
+    TOKEN_OCCUPANCY_CONFIG.ALLEGIANCES.includes(allegiance)
+  );
+}
+
+function validatePlaceables(placeables, cols, rows, fail) {
+  if (!TypeValidators.isArray(placeables)) {
+    fail('placeables', 'must be an array');
+    return;
+  }
+  placeables.forEach((entry, i) => {
+    const path = `placeables[${i}]`;
+    if (!TypeValidators.isObject(entry)) {
+      fail(path, 'must be an object');
+      return;
+    }
+    if (!TypeValidators.isString(entry.id, { notEmpty: true })) {
+      fail(`${path}.id`, 'must be a placeable id');
+    } else if (!TERRAIN_PLACEABLES[entry.id]) {
+      fail(`${path}.id`, `unknown placeable "${entry.id}"`);
+    }
+    checkGridPosition(entry, path, cols, rows, fail);
+    if (!TypeValidators.isNumber(entry.variantIndex, { integer: true, min: 0 })) {
+      fail(`${path}.variantIndex`, 'must be a non-negative integer');
+    }
+  });
+}
+
+function validateTokens(tokens, cols, rows, fail) {
+  if (!TypeValidators.isArray(tokens)) {
+    fail('tokens', 'must be an array');
+    return;
+  }
+  tokens.forEach((entry, i) => {
+    const path = `tokens[${i}]`;
+    if (!TypeValidators.isObject(entry)) {
+      fail(path, 'must be an object');
+      return;
+    }
+    const typeCheck = GameValidators.creatureType(entry.type);
+    if (!typeCheck.isValid) {
+      fail(`${path}.type`, `unknown token type "${entry.type}"`);
+    }
+    checkGridPosition(entry, path, cols, rows, fail);
+    if (!TypeValidators.isNumber(entry.facingAngle)) {
+      fail(`${path}.facingAngle`, 'must be a number (radians)');
+    }
+    if (entry.quickCommand !== null && !getTokenCommand(entry.quickCommand)) {
+      fail(`${path}.quickCommand`, `unknown command "${entry.quickCommand}"`);
+    }
+    if (!isAllegiance(entry.allegiance)) {
+      fail(`${path}.allegiance`, `unknown allegiance "${entry.allegiance}"`);
+    }
+  });
+}
+
+function checkGridPosition(entry, path, cols, rows, fail) {
+  const coords = GameValidators.coordinates(entry.gridX, entry.gridY);
+  if (!coords.isValid) {
+    if (!TypeValidators.isNumber(entry.gridX, { integer: true, min: 0 })) {
+      fail(`${path}.gridX`, 'must be a non-negative integer');
+    }
+    if (!TypeValidators.isNumber(entry.gridY, { integer: true, min: 0 })) {
+      fail(`${path}.gridY`, 'must be a non-negative integer');
+    }
+    return;
+  }
+  if (cols !== null && entry.gridX >= cols) fail(`${path}.gridX`, `out of range (0-${cols - 1})`);
+  if (rows !== null && entry.gridY >= rows) fail(`${path}.gridY`, `out of range (0-${rows - 1})`);
+}
+
+function validateLighting(lighting, fail) {
+  if (lighting === undefined) return;
+  if (!TypeValidators.isObject(lighting)) {
+    fail('lighting', 'must be an object');
+    return;
+  }
+  const minutes = lighting.sunTimeMinutes;
+  if (minutes !== null && !TypeValidators.isNumber(minutes, { min: 0, max: MINUTES_PER_DAY })) {
+    fail('lighting.sunTimeMinutes', `must be null or 0-${MINUTES_PER_DAY}`);
+  }
+}
+
+function validateCamera(camera, fail) {
+  if (camera === undefined) return;
+  if (!TypeValidators.isObject(camera)) {
+    fail('camera', 'must be an object');
+    return;
+  }
+  if (!SCENE_VIEW_MODES.includes(camera.viewMode)) {
+    fail('camera.viewMode', `must be one of ${SCENE_VIEW_MODES.join(', ')}`);
+  }
+}
+
+// ── Private Helpers (Repair) ───────────────────────────────
+
+function repairDimension(value, fallback, key, repairs) {
+  const min = key === 'cols' ? GRID_CONFIG.MIN_COLS : GRID_CONFIG.MIN_ROWS;
+  const max = key === 'cols' ? GRID_CONFIG.MAX_COLS : GRID_CONFIG.MAX_ROWS;
+  const def = key === 'cols' ? GRID_CONFIG.DEFAULT_COLS : GRID_CONFIG.DEFAULT_ROWS;
+  const base = TypeValidators.isNumber(value) ? value : fallback;
+  const repaired = Sanitizers.integer(base, def, { min, max });
+  if (repaired !== value) {
+    repairs.push(`grid.${key} ${value} -> ${repaired}`);
+  }
+  return repaired;
+}
+
+function repairTerrain(terrain, heightsSrc, cols, rows, repairs) {
+  let clamped = 0;
+  const heights = [];
+  for (let y = 0; y < rows; y++) {
+    const srcRow = Array.isArray(heightsSrc[y]) ? heightsSrc[y] : [];
+    const row = new Array(cols);
+    for (let x = 0; x < cols; x++) {
+      const h = srcRow[x];
+      if (!TypeValidators.isNumber(h)) {
+        row[x] = TERRAIN_CONFIG.DEFAULT_HEIGHT;
+        clamped++;
+      } else {
+        row[x] = Math.max(TERRAIN_CONFIG.MIN_HEIGHT, Math.min(TERRAIN_CONFIG.MAX_HEIGHT, h));
+        if (row[x] !== h) clamped++;
+      }
+    }
+    heights.push(row);
+  }
+  if (clamped > 0) repairs.push(`terrain.heights ${clamped} cell(s) filled or clamped`);
+
+  const biome = TypeValidators.isString(terrain.biome, { notEmpty: true }) ? terrain.biome : null;
+  if (terrain.biome !== undefined && biome !== terrain.biome) {
+    repairs.push('terrain.biome cleared');
+  }
+  const seed = TypeValidators.isNumber(terrain.seed) ? Math.abs(Math.trunc(terrain.seed)) >>> 0 : 0;
+  if (seed !== terrain.seed) repairs.push(`terrain.seed ${terrain.seed} -> ${seed}`);
+  const repaired = { ...terrain, heights, biome, seed };
+  if (
+    terrain.treeDensity !== undefined &&
+    !TypeValidators.isNumber(terrain.treeDensity, { min: 0 })
+  ) {
+    delete repaired.treeDensity;
+    repairs.push('terrain.treeDensity dropped');
+  }
+  if (
+    terrain.waterLevel !== undefined &&
+    terrain.waterLevel !== null &&
+    !isWaterLevel(terrain.waterLevel)
+  ) {
+    repaired.waterLevel = normalizeWaterLevel(terrain.waterLevel);
+    repairs.push(`terrain.waterLevel ${terrain.waterLevel} -> ${repaired.waterLevel}`);
+  }
+  if (terrain.surfaces !== undefined) {
+    repaired.surfaces = repairSurfaces(terrain.surfaces, cols, rows, repairs);
+  }
+  if (terrain.biomes !== undefined) {
+    repaired.biomes = repairBiomeRegions(terrain.biomes, cols, rows, repairs);
+  }
+  return repaired;
+}
+
+function repairSurfaces(surfaces, cols, rows, repairs) {
+  if (!Array.isArray(surfaces)) {
+    repairs.push('terrain.surfaces replaced with an empty list');
+    return [];
+  }
+  const kept = [];
+  surfaces.forEach((entry, i) => {
+    const path = `terrain.surfaces[${i}]`;
+    if (!TypeValidators.isObject(entry) || !isSurfaceType(entry.type)) {
+      repairs.push(`${path} dropped: unknown surface "${entry?.type}"`);
+      return;
+    }
+    if (!isInside(entry, cols, rows)) {
+      repairs.push(`${path} dropped: outside the ${cols}x${rows} grid`);
+      return;
+    }
+    kept.push({ gridX: entry.gridX, gridY: entry.gridY, type: entry.type });
+  });
+  return kept;
+}
+
+function repairBiomeRegions(biomes, cols, rows, repairs) {
+  if (!Array.isArray(biomes)) {
+    repairs.push('terrain.biomes replaced with an empty list');
+    return [];
+  }
+  const kept = [];
+  biomes.forEach((entry, i) => {
+    const path = `terrain.biomes[${i}]`;
+    if (!TypeValidators.isObject(entry) || !isBiomeKey(entry.biome)) {
+      repairs.push(`${path} dropped: unknown biome "${entry?.biome}"`);
+      return;
+    }
+    if (!isInside(entry, cols, rows)) {
+      repairs.push(`${path} dropped: outside the ${cols}x${rows} grid`);
+      return;
+    }
+    kept.push({ gridX: entry.gridX, gridY: entry.gridY, biome: entry.biome });
+  });
+  return kept;
+}
+
+function repairPlaceables(placeables, cols, rows, repairs) {
+  if (!Array.isArray(placeables)) {
+    if (placeables !== undefined) repairs.push('placeables replaced with an empty list');
+    return [];
+  }
+  const kept = [];
+  placeables.forEach((entry, i) => {
+    const path = `placeables[${i}]`;
+    if (!TypeValidators.isObject(entry) || !TERRAIN_PLACEABLES[entry.id]) {
+      repairs.push(`${path} dropped: unknown placeable "${entry?.id}"`);
+      return;
+    }
+    if (!isInside(entry, cols, rows)) {
+      repairs.push(`${path} dropped: outside the ${cols}x${rows} grid`);
+      return;
+    }
+    kept.push({
+      ...entry,
+      variantIndex: TypeValidators.isNumber(entry.variantIndex, { integer: true, min: 0 })
+        ? entry.variantIndex
+        : 0,
+    });
+  });
+  return kept;
+}
+
+function repairTokens(tokens, cols, rows, repairs) {
+  if (!Array.isArray(tokens)) {
+    if (tokens !== undefined) repairs.push('tokens replaced with an empty list');
+    return [];
+  }
+  const kept = [];
+  tokens.forEach((entry, i) => {
+    const path = `tokens[${i}]`;
+    const typeCheck = GameValidators.creatureType(entry?.type);
+    if (!TypeValidators.isObject(entry) || !typeCheck.isValid) {
+      repairs.push(`${path} dropped: unknown token type "${entry?.type}"`);
+      return;
+    }
+    if (!isInside(entry, cols, rows)) {
+      repairs.push(`${path} dropped: outside the ${cols}x${rows} grid`);
+      return;
+    }
+    let quickCommand = entry.quickCommand ?? null;
+    if (quickCommand !== null && !getTokenCommand(quickCommand)) {
+      repairs.push(`${path}.quickCommand cleared: unknown command "${quickCommand}"`);
+      quickCommand = null;
+    }
+    let allegiance = entry.allegiance ?? null;
+    if (!isAllegiance(allegiance)) {
+      repairs.push(`${path}.allegiance cleared: unknown allegiance "${allegiance}"`);
+      allegiance = null;
+    }
+    kept.push({
+      ...entry,
+      type: typeCheck.normalizedType,
+      facingAngle: TypeValidators.isNumber(entry.facingAngle) ? entry.facingAngle : 0,
+      quickCommand,
+      allegiance,
+    });
+  });
+  return kept;
+}
+
+function repairLighting(lighting, repairs) {
+  const minutes = lighting?.sunTimeMinutes;
+  if (minutes === undefined || minutes === null) return { sunTimeMinutes: null };
+  if (TypeValidators.isNumber(minutes)) {
+    const normalized = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    if (normalized !== minutes) {
+      repairs.push(`lighting.sunTimeMinutes ${minutes} -> ${normalized}`);
+    }
+    return { sunTimeMinutes: normalized };
+  }
+  repairs.push('lighting.sunTimeMinutes cleared');
+  return { sunTimeMinutes: null };
+}
+
+function repairCamera(camera, repairs) {
+  const viewMode = camera?.viewMode;
+  if (SCENE_VIEW_MODES.includes(viewMode)) return { viewMode };
+  if (viewMode !== undefined) repairs.push(`camera.viewMode "${viewMode}" -> "isometric"`);
+  return { viewMode: 'isometric' };
+}
+
+function isInside(entry, cols, rows) {
+  return (
+    GameValidators.coordinates(entry.gridX, entry.gridY).isValid &&
+    entry.gridX < cols &&
+    entry.gridY < rows
+  );
+}
@@ -0,0 +1,81 @@
+// snapshotStore.js - IndexedDB-backed rolling history of autosaved scene documents
+//
+// Records are `{ id, savedAt, reason, document }` with an auto-incrementing id, so key order
+// is save order. All methods return promises; callers never touch IDB requests directly.
+
+import { AUTOSAVE_CONFIG } from '../../config/GameConstants.js';
+
+// ── Public API ─────────────────────────────────────────────
+
+/**
+ * Open (creating on first use) the snapshot database.
+ * @param {object} [options]
+ * @param {IDBFactory} [options.indexedDB] factory override (defaults to the global)
+ * @param {string} [options.dbName]
+ * @param {string} [options.storeName]
+ * @returns {Promise<object|null>} store API, or null when IndexedDB is unavailable
+ */
+export async function openSnapshotStore(options = {}) {
+  const {
+    indexedDB: factory = typeof indexedDB !== 'undefined' ? indexedDB : null,
+    dbName = AUTOSAVE_CONFIG.DB_NAME,
+    storeName = AUTOSAVE_CONFIG.STORE_NAME,
+  } = options;
+  if (!factory || typeof factory.open !== 'function') return null;
+
+  const db = await new Promise((resolve, reject) => {
+    const request = factory.open(dbName, AUTOSAVE_CONFIG.DB_VERSION);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(storeName)) {
+        request.result.createObjectStore(storeName, { keyPath: 'id', autoIncrement: true });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('Autosave database is blocked by another tab'));
+  });
+
+  return {
+    /** @returns {Promise<number>} id of the stored snapshot */
+    put(snapshot) {
+      return run(db, storeName, 'readwrite', (store) => store.add(snapshot));
+    },
+    /** @returns {Promise<object[]>} snapshots, newest first */
+    async list() {
+      const all = await run(db, storeName, 'readonly', (store) => store.getAll());
+      return (all || []).sort((a, b) => b.id - a.id);
+    },
+    /** @returns {Promise<object|null>} newest snapshot */
+    async latest() {
+      const [newest] = await this.list();
+      return newest || null;
+    },
+    /**
+     * Delete all but the newest `keep` snapshots.
+     * @returns {Promise<number>} number of snapshots deleted
+     */
+    async prune(keep) {
+      const keys = await run(db, storeName, 'readonly', (store) => store.getAllKeys());
+      const stale = (keys || []).sort((a, b) => b - a).slice(Math.max(0, keep));
+      for (const key of stale) {
+        await run(db, storeName, 'readwrite', (store) => store.delete(key));
+      }
+      return stale.length;
+    },
+    close() {
+      db.close();
+    },
+  };
+}
+
+// ── Private Helpers ────────────────────────────────────────
+
+function run(db, storeName, mode, action) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = action(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error || request.error);
+    tx.onabort = () => reject(tx.error || new Error('Autosave transaction aborted'));
+  });
+}
@@ -2,7 +2,8 @@ import { logger, LOG_CATEGORY } from '../../utils/Logger.js';
 import { GRID_CONFIG } from '../../config/GameConstants.js';
 import { TERRAIN_CONFIG } from '../../config/terrain/TerrainConstants.js';
 import BiomeCanvasPainter from '../../terrain/painting/BiomeCanvasPainter.js';
-import { getBiomeColorHex } from '../../config/biome/BiomePalettes.js';
+import { getBiomeColorHex, getSurfaceColorHex } from '../../config/biome/BiomePalettes.js';
+import { blendBiomeColors } from '../../terrain/biomes/BiomeRegions.js';
 import { traceDiamondPath } from '../../utils/geometry/GeometryUtils.js';
 
 /**
@@ -16,8 +17,12 @@ export class BiomeShadingController {
 
   // ── Biome Palette Application ─────────────────────────────────────
 
-  /** Re-color existing base grid tiles using currently selected biome palette. */
-  applyToBaseGrid() {
+  /**
+   * Re-color existing base grid tiles using currently selected biome palette.
+   * @param {{paintFields?: object|null}} [options] paintFields are precomputed painter fields
+   *   (see computePaintFields); the painter ignores them if they do not fit the current map
+   */
+  applyToBaseGrid({ paintFields = null } = {}) {
     if (this.c.isTerrainModeActive) return;
     if (typeof window === 'undefined' || !window.selectedBiome) return;
     const biomeKey = window.selectedBiome;
@@ -54,10 +59,21 @@ export class BiomeShadingController {
           .fill(null)
           .map(() => Array(cols).fill(0));
       }
+      // Painted biome regions blend into the map biome (null when none are painted)
+      const blendAt = this.c.listBiomeRegions?.().length
+        ? (x, y) => this.c.getBiomeBlendAt(x, y)
+        : null;
       // Paint canvas only when rich shading is enabled; keep per-tile fills so tops raise visually
       if (richEnabled) {
         try {
-          this.c._biomeCanvas.paint(biomeKey, heights, null);
+          this.c._biomeCanvas.paint(
+            biomeKey,
+            heights,
+            null,
+            (x, y) => this.c.dataStore?.getSurface?.(x, y),
+            blendAt,
+            paintFields
+          );
         } catch (pe) {
           logger.warn('Biome painter paint() failed', {
             context: 'BiomeShadingController.applyToBaseGrid',
@@ -111,19 +127,18 @@ export class BiomeShadingController {
         child.lineStyle(1, borderColor, borderAlpha);
         // Fill the top with the biome palette color so elevation offsets are visible on the tile itself
         try {
-          const fillHex = getBiomeColorHex(
-            biomeKey,
-            h,
-            this.c._currentColorEvalX,
-            this.c._currentColorEvalY,
-            {
+          const colorOf = (biome) =>
+            getBiomeColorHex(biome, h, this.c._currentColorEvalX, this.c._currentColorEvalY, {
               moisture: 0.5,
               slope: 0,
               aspectRad: 0,
               seed: this.c._biomeSeed >>> 0,
               mapFreq: window?.richShadingSettings?.mapFreq || 0.05,
-            }
-          );
+            });
+          const blend = blendAt?.(child.gridX, child.gridY);
+          const fillHex =
+            getSurfaceColorHex(this.c.dataStore?.getSurface?.(child.gridX, child.gridY), h) ??
+            (blend ? blendBiomeColors(blend, colorOf) : colorOf(biomeKey));
           child.beginFill(fillHex, 1.0);
           // Track current top fill color so top-down projection squares can mirror biome coloration
           child.__currentFillColor = fillHex;
@@ -248,18 +263,24 @@ export class BiomeShadingController {
   /** Determine base tile color when not editing: biome palette if selected, else neutral. */
   getBiomeOrBaseColor(height, gx = 0, gy = 0) {
     try {
+      if (!this.c.isTerrainModeActive) {
+        const surfaceHex = getSurfaceColorHex(this.c.dataStore?.getSurface?.(gx, gy), height);
+        if (surfaceHex != null) return surfaceHex;
+      }
       if (!this.c.isTerrainModeActive && typeof window !== 'undefined' && window.selectedBiome) {
         const mapFreq =
           (typeof window !== 'undefined' && window.richShadingSettings?.mapFreq) || 0.05;
         const seed = (this.c._biomeSeed ?? 1337) >>> 0;
-        const hex = getBiomeColorHex(window.selectedBiome, height, gx, gy, {
-          moisture: 0.5,
-          slope: 0,
-          aspectRad: 0,
-          seed,
-          mapFreq,
-        });
-        return hex;
+        const colorOf = (biome) =>
+          getBiomeColorHex(biome, height, gx, gy, {
+            moisture: 0.5,
+            slope: 0,
+            aspectRad: 0,
+            seed,
+            mapFreq,
+          });
+        const blend = this.c.getBiomeBlendAt?.(gx, gy);
+        return blend ? blendBiomeColors(blend, colorOf) : colorOf(window.selectedBiome);
       }
     } catch (_) {
       /* ignore */
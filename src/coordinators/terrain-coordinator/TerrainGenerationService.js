@@ -0,0 +1,158 @@
+import { logger, LOG_CATEGORY } from '../../utils/Logger.js';
+import { runGenerationJob } from './internals/generationJob.js';
+
+// ── Constants ──────────────────────────────────────────────────────
+
+// Resolved against the page (index.html sits at the repository root)
+const WORKER_URL = './src/coordinators/terrain-coordinator/TerrainGenerationWorker.js';
+
+/**
+ * TerrainGenerationService - runs map generation jobs (internals/generationJob.js) in a Web
+ * Worker so the UI stays responsive, one job at a time: starting a job cancels the one in flight.
+ * Where workers are unavailable (Jest, file:// pages, old browsers) or the worker fails to load,
+ * the same job runs synchronously on the calling thread.
+ */
+export class TerrainGenerationService {
+  // ── Constructor ─────────────────────────────────────────────
+
+  /**
+   * @param {{createWorker?: (() => object)|null}} [options] createWorker overrides how the worker
+   *   is made; null forces inline jobs
+   */
+  constructor({ createWorker } = {}) {
+    this._createWorker = createWorker === undefined ? defaultCreateWorker : createWorker;
+    this._worker = null;
+    this._workerFailed = false;
+    this._jobSeq = 0;
+    this._active = null; // { id, request, resolve, reject, onProgress }
+  }
+
+  // ── Public API ──────────────────────────────────────────────
+
+  /**
+   * Run a job, cancelling any job still in flight.
+   * @param {object} request see runGenerationJob
+   * @param {{onProgress?: (stage: string, progress: number) => void}} [options]
+   * @returns {Promise<object|null>} the job result, or null when it was cancelled
+   */
+  run(request, { onProgress = null } = {}) {
+    this.cancel();
+    const worker = this._ensureWorker();
+    if (!worker) {
+      try {
+        return Promise.resolve(runGenerationJob(request, onProgress));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
+    const id = ++this._jobSeq;
+    return new Promise((resolve, reject) => {
+      this._active = { id, request, resolve, reject, onProgress };
+      worker.postMessage({ type: 'generate', id, request });
+    });
+  }
+
+  /** @returns {boolean} true while a worker job is running */
+  isRunning() {
+    return !!this._active;
+  }
+
+  /**
+   * Cancel the job in flight; its run() promise resolves to null. A worker busy with a job cannot
+   * be interrupted, so it is terminated and a fresh one is started for the next job.
+   * @returns {boolean} true if a job was cancelled
+   */
+  cancel() {
+    const job = this._active;
+    if (!job) return false;
+    this._active = null;
+    this._terminateWorker();
+    logger.debug('Terrain generation job cancelled', { id: job.id }, LOG_CATEGORY.SYSTEM);
+    job.resolve(null);
+    return true;
+  }
+
+  dispose() {
+    this.cancel();
+    this._terminateWorker();
+  }
+
+  // ── Event Handlers ──────────────────────────────────────────
+
+  _onMessage(event) {
+    const { type, id, stage, progress, result, message } = event?.data || {};
+    const job = this._active;
+    if (!job || job.id !== id) return; // late message from a cancelled job
+    if (type === 'progress') {
+      try {
+        job.onProgress?.(stage, progress);
+      } catch (_) {
+        /* progress is advisory */
+      }
+      return;
+    }
+    this._active = null;
+    if (type === 'result') job.resolve(result);
+    else job.reject(new Error(message || 'Terrain generation failed'));
+  }
+
+  /** The worker could not load or crashed: finish the job inline and stop using workers. */
+  _onError(event) {
+    event?.preventDefault?.();
+    logger.warn(
+      'Terrain generation worker failed; generating on the main thread',
+      { error: event?.message },
+      LOG_CATEGORY.SYSTEM
+    );
+    this._workerFailed = true;
+    this._terminateWorker();
+    const job = this._active;
+    if (!job) return;
+    this._active = null;
+    try {
+      job.resolve(runGenerationJob(job.request, job.onProgress));
+    } catch (error) {
+      job.reject(error);
+    }
+  }
+
+  // ── Private Helpers ─────────────────────────────────────────
+
+  _ensureWorker() {
+    if (this._worker) return this._worker;
+    if (this._workerFailed || !this._createWorker) return null;
+    try {
+      const worker = this._createWorker();
+      if (!worker) return null;
+      worker.onmessage = (event) => this._onMessage(event);
+      worker.onerror = (event) => this._onError(event);
+      this._worker = worker;
+      return worker;
+    } catch (error) {
+      logger.warn(
+        'Terrain generation worker unavailable; generating on the main thread',
+        { error: error?.message },
+        LOG_CATEGORY.SYSTEM
+      );
+      this._workerFailed = true;
+      return null;
+    }
+  }
+
+  _terminateWorker() {
+    const worker = this._worker;
+    this._worker = null;
+    try {
+      worker?.terminate?.();
+    } catch (_) {
+      /* ignore */
+    }
+  }
+}
+
+// ── Private Helpers ────────────────────────────────────────────────
+
+function defaultCreateWorker() {
+  if (typeof Worker !== 'function') return null;
+  return new Worker(WORKER_URL, { type: 'module' });
+}
@@ -0,0 +1,18 @@
+// TerrainGenerationWorker.js - Web Worker entry for map generation (see TerrainGenerationService).
+// Protocol: receives { type: 'generate', id, request }; posts { type: 'progress', id, stage,
+// progress } while working, then { type: 'result', id, result } or { type: 'error', id, message }.
+// Workers cannot use the page's import map, so everything imported here must be relative.
+import { runGenerationJob } from './internals/generationJob.js';
+
+self.onmessage = (event) => {
+  const { type, id, request } = event.data || {};
+  if (type !== 'generate') return;
+  try {
+    const result = runGenerationJob(request, (stage, progress) =>
+      self.postMessage({ type: 'progress', id, stage, progress })
+    );
+    self.postMessage({ type: 'result', id, result });
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: error?.message || String(error) });
+  }
+};
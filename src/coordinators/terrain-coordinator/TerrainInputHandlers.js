@@ -22,6 +22,92 @@ export class TerrainInputHandlers {
     return this.c?.domPorts?.getScaleMarks ? this.c.domPorts.getScaleMarks() : [];
   }
 
+  /** Open an undo step that coalesces edits until _endStroke() */
+  _beginStroke(label) {
+    try {
+      this.c.gameManager?.historyCoordinator?.beginStroke(label);
+    } catch (_) {
+      /* history is best-effort */
+    }
+  }
+
+  _endStroke() {
+    try {
+      this.c.gameManager?.historyCoordinator?.endStroke();
+    } catch (_) {
+      /* history is best-effort */
+    }
+  }
+
+  /** Brush whose footprint is previewed: an armed stamp, selection, road or biome tool replaces it */
+  _activeBrush() {
+    if (this.c.stamps?.isActive?.()) return this.c.stamps;
+    if (this.c.selection?.isActive?.()) return this.c.selection;
+    if (this.c.roads?.isActive?.()) return this.c.roads;
+    if (this.c.biomePaint?.isActive?.()) return this.c.biomePaint;
+    return this.c.brush;
+  }
+
+  /** True while a stamp, selection, road or biome tool owns terrain-mode clicks */
+  _isToolArmed() {
+    return (
+      this.c.isTerrainModeActive &&
+      (!!this.c.stamps?.isActive?.() ||
+        !!this.c.selection?.isActive?.() ||
+        !!this.c.roads?.isActive?.() ||
+        !!this.c.biomePaint?.isActive?.())
+    );
+  }
+
+  /** Stamp capture starts a rectangle drag; stamp paste pastes on click */
+  _handleStampMouseDown(gridCoords) {
+    const { gridX, gridY } = gridCoords;
+    this.lastGridCoords = { x: gridX, y: gridY };
+    if (this.c.stamps.mode === 'capture') {
+      if (this.c.stamps.startCaptureDrag(gridX, gridY)) this.c.isDragging = true;
+      this._rerenderPreviewAtLastHover();
+      return;
+    }
+    Promise.resolve(this.c.pasteStampAt(gridX, gridY)).then(() =>
+      this._rerenderPreviewAtLastHover()
+    );
+  }
+
+  /** Marquee/lasso start a selection drag (Shift adds to the selection); paste pastes on click */
+  _handleSelectionMouseDown(event, gridCoords) {
+    const { gridX, gridY } = gridCoords;
+    this.lastGridCoords = { x: gridX, y: gridY };
+    if (this.c.selection.tool === 'paste') {
+      Promise.resolve(this.c.pasteSelectionAt(gridX, gridY)).then(() =>
+        this._rerenderPreviewAtLastHover()
+      );
+      return;
+    }
+    const point = this.c.getGroundPointFromEvent?.(event) || { x: gridX, y: gridY };
+    if (this.c.selection.startDrag(point, { additive: !!event.shiftKey })) {
+      this.c.isDragging = true;
+    }
+    this._rerenderPreviewAtLastHover();
+  }
+
+  /** The road tool's first click marks the start, the second builds the road */
+  _handleRoadMouseDown(gridCoords) {
+    const { gridX, gridY } = gridCoords;
+    this.lastGridCoords = { x: gridX, y: gridY };
+    this.c.pickRoadTile(gridX, gridY);
+    this._rerenderPreviewAtLastHover();
+  }
+
+  /** The biome brush paints on press and keeps painting while dragged, as one undo step */
+  _handleBiomePaintMouseDown(gridCoords) {
+    const { gridX, gridY } = gridCoords;
+    this.lastGridCoords = { x: gridX, y: gridY };
+    this.c.isDragging = true;
+    this.c.lastModifiedCell = `${gridX},${gridY}`;
+    this._beginStroke('Paint biome');
+    this.c.paintBiomeAt(gridX, gridY);
+  }
+
   // ── Event Setup ───────────────────────────────────────────────────
 
   /** Set up terrain-specific input event handlers */
@@ -50,12 +136,17 @@ export class TerrainInputHandlers {
           if (this.c.isDragging) {
             this.c.isDragging = false;
             this.c.lastModifiedCell = null;
+            // An unreleased path or capture is discarded rather than applied
+            this.c.brush?.cancelPath?.();
+            this.c.stamps?.cancelCaptureDrag?.();
+            this.c.selection?.cancelDrag?.();
             // Ensure any pending updates are applied now to avoid lingering visuals
             try {
               this.c.terrainManager?.flushUpdateQueue();
             } catch {
               /* ignore */
             }
+            this._endStroke();
           }
         },
         true
@@ -112,6 +203,8 @@ export class TerrainInputHandlers {
             ? desc.cells
             : [{ x: gridCoords.gridX, y: gridCoords.gridY }];
         let removedAny = false;
+        // One click removes the whole footprint as a single undo step
+        this._beginStroke('Remove placeables');
         for (const c of cells) {
           try {
             const key = `${c.x},${c.y}`;
@@ -138,6 +231,7 @@ export class TerrainInputHandlers {
             /* ignore cell errors */
           }
         }
+        this._endStroke();
         if (removedAny) {
           try {
             this.c.terrainManager?.flushUpdateQueue?.();
@@ -184,7 +278,35 @@ export class TerrainInputHandlers {
         return;
       }
 
+      // An armed stamp capture/paste takes over the click from brushes and placeables
+      if (this.c.isTerrainModeActive && this.c.stamps?.isActive?.()) {
+        this._handleStampMouseDown(gridCoords);
+        event.preventDefault();
+        event.stopPropagation();
+        return;
+      }
+      if (this.c.isTerrainModeActive && this.c.selection?.isActive?.()) {
+        this._handleSelectionMouseDown(event, gridCoords);
+        event.preventDefault();
+        event.stopPropagation();
+        return;
+      }
+      if (this.c.isTerrainModeActive && this.c.roads?.isActive?.()) {
+        this._handleRoadMouseDown(gridCoords);
+        event.preventDefault();
+        event.stopPropagation();
+        return;
+      }
+      if (this.c.isTerrainModeActive && this.c.biomePaint?.isActive?.()) {
+        this._handleBiomePaintMouseDown(gridCoords);
+        event.preventDefault();
+        event.stopPropagation();
+        return;
+      }
+
       this.c.isDragging = true;
+      // Everything edited until mouse up is undone as one step
+      this._beginStroke(uiSelected ? 'Place placeables' : 'Terrain stroke');
       // Reset drag bookkeeping at the start of a new stroke
       this.c.lastModifiedCell = `${gridCoords.gridX},${gridCoords.gridY}`;
 
@@ -253,6 +375,11 @@ export class TerrainInputHandlers {
         } catch (e) {
           /* non-fatal */
         }
+      } else if (this.c.brush?.isPathTool?.()) {
+        // Path tools only preview while dragging; the path is applied on mouse up
+        this.c.brush.beginPath(gridCoords.gridX, gridCoords.gridY);
+        this.lastGridCoords = { x: gridCoords.gridX, y: gridCoords.gridY };
+        this._rerenderPreviewAtLastHover();
       } else {
         this.c.modifyTerrainAtPosition(gridCoords.gridX, gridCoords.gridY);
       }
@@ -292,7 +419,7 @@ export class TerrainInputHandlers {
           : true;
 
       // Render preview: prefer placeable preview when a placeable is selected, otherwise render terrain elevation preview
-      if (gridCoords && uiSelected && panelVisible) {
+      if (gridCoords && uiSelected && panelVisible && !this._isToolArmed()) {
         try {
           const ptBrush = Object.assign({}, this.c.brush, { brushSize: this.c.ptBrushSize });
           const desc = buildBrushHighlightDescriptor({
@@ -306,10 +433,10 @@ export class TerrainInputHandlers {
         }
         this.lastGridCoords = { x: gridCoords.gridX, y: gridCoords.gridY };
       } else if (gridCoords && this.c.isTerrainModeActive) {
-        // Elevation tool hover highlight
+        // Elevation tool (or stamp/selection) hover highlight
         try {
           const desc = buildBrushHighlightDescriptor({
-            brush: this.c.brush,
+            brush: this._activeBrush(),
             center: { gridX: gridCoords.gridX, gridY: gridCoords.gridY },
             terrainModeActive: true,
           });
@@ -354,7 +481,19 @@ export class TerrainInputHandlers {
           : typeof window !== 'undefined'
             ? window.selectedTerrainPlaceable
             : null;
-      if (selected && panelVisible) {
+      if (this.c.stamps?.isCaptureDragging?.()) {
+        this.c.stamps.updateCaptureDrag(gridCoords.gridX, gridCoords.gridY);
+        this._rerenderPreviewAtLastHover();
+      } else if (this.c.selection?.isDragging?.()) {
+        const point = this.c.getGroundPointFromEvent?.(event) || {
+          x: gridCoords.gridX,
+          y: gridCoords.gridY,
+        };
+        this.c.selection.updateDrag(point);
+        this._rerenderPreviewAtLastHover();
+      } else if (this.c.biomePaint?.isActive?.()) {
+        if (this.c.isTerrainModeActive) this.c.paintBiomeAt(gridCoords.gridX, gridCoords.gridY);
+      } else if (selected && panelVisible) {
         try {
           // On drag, paint placeable across the brush footprint for consistency with preview
           const ptBrush = Object.assign({}, this.c.brush, { brushSize: this.c.ptBrushSize });
@@ -377,6 +516,9 @@ export class TerrainInputHandlers {
         } catch (_) {
           /* ignore */
         }
+      } else if (this.c.brush?.hasActivePath?.()) {
+        this.c.brush.extendPath(gridCoords.gridX, gridCoords.gridY);
+        this._rerenderPreviewAtLastHover();
       } else {
         this.c.modifyTerrainAtPosition(gridCoords.gridX, gridCoords.gridY);
       }
@@ -397,12 +539,26 @@ export class TerrainInputHandlers {
       if (event.button === 0 && this.c.isDragging) {
         this.c.isDragging = false;
         this.c.lastModifiedCell = null;
+        // Released path tools write their whole path now (one 3D rebuild per drag)
+        if (this.c.brush?.hasActivePath?.()) {
+          this.c.applyTerrainPath();
+          this._rerenderPreviewAtLastHover();
+        }
+        if (this.c.stamps?.isCaptureDragging?.()) {
+          this.c.finishStampCapture();
+          this._rerenderPreviewAtLastHover();
+        }
+        if (this.c.selection?.isDragging?.()) {
+          this.c.finishSelectionDrag();
+          this._rerenderPreviewAtLastHover();
+        }
         // Complete any pending terrain updates immediately
         try {
           this.c.terrainManager?.flushUpdateQueue();
         } catch {
           /* ignore */
         }
+        this._endStroke();
         // Do NOT clear preview on mouse up; keep showing hover footprint per spec
 
         logger.trace(
@@ -430,6 +586,10 @@ export class TerrainInputHandlers {
     if (this.c.isDragging) {
       this.c.isDragging = false;
       this.c.lastModifiedCell = null;
+      this.c.brush?.cancelPath?.();
+      this.c.stamps?.cancelCaptureDrag?.();
+      this.c.selection?.cancelDrag?.();
+      this._endStroke();
     }
     // If leaving the canvas, finish any pending updates to prevent later application
     try {
@@ -476,6 +636,21 @@ export class TerrainInputHandlers {
           event.preventDefault();
           this._rerenderPreviewAtLastHover();
           break;
+        case 'Escape':
+          if (this.c.stamps?.isActive?.()) {
+            this.c.cancelStampMode();
+            event.preventDefault();
+          } else if (this.c.selection?.isActive?.()) {
+            this.c.cancelSelectionTool();
+            event.preventDefault();
+          } else if (this.c.roads?.isActive?.()) {
+            this.c.cancelRoadTool();
+            event.preventDefault();
+          } else if (this.c.biomePaint?.isActive?.()) {
+            this.c.cancelBiomePaint();
+            event.preventDefault();
+          }
+          break;
         case 'BracketRight': // ]
           this.c.increaseBrushSize();
           event.preventDefault();
@@ -505,7 +680,7 @@ export class TerrainInputHandlers {
       const { x, y } = this.lastGridCoords;
       if (!this.c.isValidGridPosition(x, y)) return;
       const desc = buildBrushHighlightDescriptor({
-        brush: this.c.brush,
+        brush: this._activeBrush(),
         center: { gridX: x, gridY: y },
         terrainModeActive: this.c.isTerrainModeActive,
       });
@@ -0,0 +1,69 @@
+// Internal climate biome helper for TerrainCoordinator: fills the painted biome layer from the
+// temperature and moisture of the current terrain, then regrows flora for the new regions.
+import { logger, LOG_LEVEL, LOG_CATEGORY } from '../../../utils/Logger.js';
+import { GameErrors } from '../../../utils/ErrorHandler.js';
+import { assignClimateBiomes } from '../../../terrain/biomes/ClimateBiomes.js';
+import { getMapBiome, notifyBiomeRegionsChanged } from './regions.js';
+import { autoPopulateBiomeFlora } from './flora.js';
+import { refreshSurfaceVisuals } from './waterways.js';
+import { notifyMapCodeChanged } from './mapCode.js';
+
+/**
+ * Assign every tile a biome from its climate: temperature from latitude and altitude, moisture
+ * from nearness to low ground, both varied by the seed. Tiles whose climate matches the map biome
+ * stay unpainted. Biome layer and flora change together as one undo step.
+ * @param {{seed?: number, flora?: boolean}} [options] seed defaults to the biome seed; pass
+ *   flora: false to leave existing plants alone
+ * @returns {number} tiles painted with a biome other than the map biome (-1 on failure)
+ */
+export function generateClimateBiomes(c, options = {}) {
+  const history = c.gameManager?.historyCoordinator;
+  if (history?.isRecording()) {
+    return history.trackScene('Generate climate biomes', () => generateClimateBiomes(c, options));
+  }
+  try {
+    const seed = Number.isFinite(options.seed) ? options.seed >>> 0 : c._biomeSeed >>> 0;
+    const mapBiome = getMapBiome(c);
+    const biomes = assignClimateBiomes(c.dataStore.working, { seed });
+    const entries = [];
+    biomes.forEach((row, y) =>
+      row.forEach((biome, x) => {
+        if (biome !== mapBiome) entries.push({ x, y, biome });
+      })
+    );
+    c.dataStore.loadBiomes(entries);
+    refreshSurfaceVisuals(c);
+    if (options.flora !== false) {
+      autoPopulateBiomeFlora(c, mapBiome, seed);
+      try {
+        c.gameManager?.reinstanceExistingPlants?.();
+      } catch (_) {
+        /* ignore */
+      }
+    }
+    logger.log(LOG_LEVEL.INFO, 'Climate biomes generated', LOG_CATEGORY.USER, {
+      seed,
+      mapBiome,
+      tiles: entries.length,
+      biomes: new Set(entries.map((entry) => entry.biome)).size,
+    });
+    notifyBiomeRegionsChanged(c);
+    recordClimatePass(c, options.flora === false ? null : seed);
+    return entries.length;
+  } catch (error) {
+    GameErrors.input(error, { stage: 'generateClimateBiomes' });
+    return -1;
+  }
+}
+
+/**
+ * Put the climate pass into the map code. A pass that kept the old plants cannot be replayed
+ * from a code, so it leaves the map without one.
+ * @param {number|null} seed climate seed, or null when the pass is not reproducible
+ */
+function recordClimatePass(c, seed) {
+  if (!c._lastGeneration) return;
+  if (seed === null) c._lastGeneration = null;
+  else c._lastGeneration = { ...c._lastGeneration, climateSeed: seed };
+  notifyMapCodeChanged(c);
+}
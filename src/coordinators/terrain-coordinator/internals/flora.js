@@ -17,6 +17,9 @@ import {
   relocateTropicalCandidate,
   isCoastlineTile,
 } from '../../../config/terrain/FloraProfiles.js';
+import { TERRAIN_CONFIG } from '../../../config/terrain/TerrainConstants.js';
+import { listBlendBiomes, getBiomeWeight } from '../../../terrain/biomes/BiomeRegions.js';
+import { getBiomeBlend } from './regions.js';
 
 // ── Cleanup & Resolution Helpers ───────────────────────────────────
 
@@ -57,141 +60,135 @@ function getBiomeRNG(baseSeed, biomeKey, salt) {
 
 // ── Main Population Entry Point ───────────────────────────────────
 
+/**
+ * Replace all plants with flora for the map biome. With painted biome regions, every biome on
+ * the map populates from its own profile, thinned to its blend weight on each tile.
+ */
 export function autoPopulateBiomeFlora(c, biomeKey, seed) {
   try {
     if (!c?.terrainManager?.gameManager?.gridContainer) return true; // headless mode: allow logic proceed as success
-    const tm = c.terrainManager;
     clearExistingPlants(c);
-    const profile = resolveProfile(biomeKey);
-    const {
-      density: profileDensity,
-      spacing,
-      weights: profileWeights,
-      elevationFilter,
-      coastlinePalms,
-      candidateFilter,
-      strategy,
-      grid,
-    } = profile;
-
-    const allowSpectral = profile.allowSpectral === true;
-    const weights = allowSpectral ? profileWeights : stripSpectralWeights(profileWeights);
-
-    let densityMultiplier = 1;
-    try {
-      if (c && typeof c.getTreeDensityMultiplier === 'function') {
-        const val = c.getTreeDensityMultiplier();
-        if (Number.isFinite(val) && val >= 0) densityMultiplier = val;
-      } else if (Number.isFinite(c?.treeDensityMultiplier) && c.treeDensityMultiplier >= 0) {
-        densityMultiplier = c.treeDensityMultiplier;
-      } else if (
-        typeof window !== 'undefined' &&
-        Number.isFinite(window.treeDensityMultiplier) &&
-        window.treeDensityMultiplier >= 0
-      ) {
-        densityMultiplier = window.treeDensityMultiplier;
-      }
-    } catch (_) {
-      /* ignore multiplier resolution failure */
+    const weights = c.dataStore?.listBiomes ? getBiomeBlend(c, biomeKey) : null;
+    if (!weights) {
+      populateBiome(c, biomeKey, seed);
+      return;
     }
-    if (!Number.isFinite(densityMultiplier) || densityMultiplier < 0) {
-      densityMultiplier = 1;
+    for (const biome of listBlendBiomes(weights)) {
+      populateBiome(c, biome, seed, (x, y) => getBiomeWeight(weights[y]?.[x], biome));
     }
+  } catch (_) {
+    /* best effort */
+  }
+}
 
-    const baseDensity = Number.isFinite(profileDensity) ? profileDensity : 0;
-    const effectiveDensity = Math.max(0, baseDensity * densityMultiplier);
-    if (!effectiveDensity) return;
-    const rows = c.gameManager.rows;
-    const cols = c.gameManager.cols;
-    const densityScale = densityMultiplier;
-    // ── Grid Strategy ─────────────────────────────────────────────────
-    // Strategy: grid (orchard deterministic rows)
-    if (strategy === 'grid' && grid) {
-      const gx = Math.max(2, grid.x | 0);
-      const baseGy = Math.max(2, grid.y | 0);
-      const rowSpacings =
-        Array.isArray(grid.rowSpacings) && grid.rowSpacings.length > 0
-          ? grid.rowSpacings.map((v) => Math.max(1, v | 0))
-          : [baseGy];
-      const rowDensity =
-        Array.isArray(grid.rowDensity) && grid.rowDensity.length > 0 ? grid.rowDensity : [1];
-      // Deterministic offset unless fixedOrigin directive present
-      let offX = 0;
-      let offY = 0;
-      if (!grid.fixedOrigin) {
-        const offRng = getBiomeRNG(seed || c._biomeSeed || 0, biomeKey, 101);
-        offX = Math.floor(offRng() * gx);
-        offY = Math.floor(offRng() * baseGy);
-      }
-      const plantRng = getBiomeRNG(seed || c._biomeSeed || 0, biomeKey, 103);
-      const pick = makeWeightedPicker(
-        weights,
-        getBiomeRNG(seed || c._biomeSeed || 0, biomeKey, 102)
-      );
-      if (grid.uniformRowCounts) {
-        // Uniform row mode: every planted row attempts to use identical column positions;
-        // perceived density differences arise from horizontal jitter scaled by rowDensity factors.
-        const colsAvailable = Math.floor((cols - offX) / gx);
-        const jitterX = Math.max(0, grid.jitterX | 0);
-        if (colsAvailable > 0) {
-          let y = offY;
-          let rowIndex = 0;
-          const [minSpace, maxSpace] =
-            Array.isArray(grid.rowSpacingRange) && grid.rowSpacingRange.length === 2
-              ? [Math.max(1, grid.rowSpacingRange[0] | 0), Math.max(1, grid.rowSpacingRange[1] | 0)]
-              : [baseGy, baseGy];
-          while (y < rows) {
-            const densityFactor = rowDensity[rowIndex % rowDensity.length];
-            const rowRng = getBiomeRNG(seed || c._biomeSeed || 0, biomeKey, 400 + rowIndex);
-            for (let ci = 0; ci < colsAvailable; ci++) {
-              let x = offX + ci * gx;
-              if (x >= cols) break;
-              if (densityScale < 1) {
-                const sliderRand = rowRng();
-                if (sliderRand > densityScale) continue;
-              }
-              if (jitterX > 0) {
-                // Jitter scaled inversely by densityFactor so sparser rows look more irregular.
-                const scale = densityFactor < 1 ? 1 + (1 - densityFactor) : 1;
-                const j = Math.round((rowRng() - 0.5) * 2 * jitterX * scale);
-                x = Math.min(cols - 1, Math.max(0, x + j));
-              }
-              const h = c.getTerrainHeight?.(x, y) ?? 0;
-              if (h <= 0) continue;
-              if (elevationFilter && !elevationFilter(c, h)) continue;
-              const id = pick();
-              if (!allowSpectral && isSpectralPlaceable(id)) continue;
-              let placeX = x;
-              let placeY = y;
-              let placeHeight = h;
-              if (isTropicalCluster(id)) {
-                const relocated = relocateTropicalCandidate(c, x, y, h);
-                if (!relocated) continue;
-                placeX = relocated.x;
-                placeY = relocated.y;
-                placeHeight = relocated.height;
-                if (placeHeight <= 0) continue;
-                if (elevationFilter && !elevationFilter(c, placeHeight)) continue;
-              }
-              tm.placeTerrainItem(placeX, placeY, id);
-            }
-            const span = Math.abs(maxSpace - minSpace);
-            const jitter = span > 0 ? Math.floor(rowRng() * (span + 1)) : 0;
-            y += Math.min(minSpace, maxSpace) + jitter;
-            rowIndex++;
-          }
-        }
-      } else {
+/** @returns {number} the tree density slider value (1 when unset or invalid) */
+export function resolveTreeDensityMultiplier(c) {
+  let densityMultiplier = 1;
+  try {
+    if (c && typeof c.getTreeDensityMultiplier === 'function') {
+      const val = c.getTreeDensityMultiplier();
+      if (Number.isFinite(val) && val >= 0) densityMultiplier = val;
+    } else if (Number.isFinite(c?.treeDensityMultiplier) && c.treeDensityMultiplier >= 0) {
+      densityMultiplier = c.treeDensityMultiplier;
+    } else if (
+      typeof window !== 'undefined' &&
+      Number.isFinite(window.treeDensityMultiplier) &&
+      window.treeDensityMultiplier >= 0
+    ) {
+      densityMultiplier = window.treeDensityMultiplier;
+    }
+  } catch (_) {
+    /* ignore multiplier resolution failure */
+  }
+  if (!Number.isFinite(densityMultiplier) || densityMultiplier < 0) {
+    densityMultiplier = 1;
+  }
+  return densityMultiplier;
+}
+
+/**
+ * Place one biome's flora.
+ * @param {(x: number, y: number) => number} [weightAt] the biome's share of each tile (0..1);
+ *   omitted for a single-biome map, which keeps its seeded layout unchanged
+ */
+function populateBiome(c, biomeKey, seed, weightAt = null) {
+  const tm = c.terrainManager;
+  const profile = resolveProfile(biomeKey);
+  const {
+    density: profileDensity,
+    spacing,
+    weights: profileWeights,
+    elevationFilter,
+    coastlinePalms,
+    candidateFilter,
+    strategy,
+    grid,
+  } = profile;
+
+  const allowSpectral = profile.allowSpectral === true;
+  const weights = allowSpectral ? profileWeights : stripSpectralWeights(profileWeights);
+
+  const densityMultiplier = resolveTreeDensityMultiplier(c);
+
+  const baseDensity = Number.isFinite(profileDensity) ? profileDensity : 0;
+  const effectiveDensity = Math.max(0, baseDensity * densityMultiplier);
+  if (!effectiveDensity) return;
+  const rows = c.gameManager.rows;
+  const cols = c.gameManager.cols;
+  const densityScale = densityMultiplier;
+  // Region thinning draws from its own stream so single-biome layouts stay as they were
+  const regionRng = weightAt ? getBiomeRNG(seed || c._biomeSeed || 0, biomeKey, 901) : null;
+  const inRegion = (x, y) => !weightAt || regionRng() < weightAt(x, y);
+  // ── Grid Strategy ─────────────────────────────────────────────────
+  // Strategy: grid (orchard deterministic rows)
+  if (strategy === 'grid' && grid) {
+    const gx = Math.max(2, grid.x | 0);
+    const baseGy = Math.max(2, grid.y | 0);
+    const rowSpacings =
+      Array.isArray(grid.rowSpacings) && grid.rowSpacings.length > 0
+        ? grid.rowSpacings.map((v) => Math.max(1, v | 0))
+        : [baseGy];
+    const rowDensity =
+      Array.isArray(grid.rowDensity) && grid.rowDensity.length > 0 ? grid.rowDensity : [1];
+    // Deterministic offset unless fixedOrigin directive present
+    let offX = 0;
+    let offY = 0;
+    if (!grid.fixedOrigin) {
+      const offRng = getBiomeRNG(seed || c._biomeSeed || 0, biomeKey, 101);
+      offX = Math.floor(offRng() * gx);
+      offY = Math.floor(offRng() * baseGy);
+    }
+    const plantRng = getBiomeRNG(seed || c._biomeSeed || 0, biomeKey, 103);
+    const pick = makeWeightedPicker(weights, getBiomeRNG(seed || c._biomeSeed || 0, biomeKey, 102));
+    if (grid.uniformRowCounts) {
+      // Uniform row mode: every planted row attempts to use identical column positions;
+      // perceived density differences arise from horizontal jitter scaled by rowDensity factors.
+      const colsAvailable = Math.floor((cols - offX) / gx);
+      const jitterX = Math.max(0, grid.jitterX | 0);
+      if (colsAvailable > 0) {
         let y = offY;
         let rowIndex = 0;
+        const [minSpace, maxSpace] =
+          Array.isArray(grid.rowSpacingRange) && grid.rowSpacingRange.length === 2
+            ? [Math.max(1, grid.rowSpacingRange[0] | 0), Math.max(1, grid.rowSpacingRange[1] | 0)]
+            : [baseGy, baseGy];
         while (y < rows) {
           const densityFactor = rowDensity[rowIndex % rowDensity.length];
-          for (let x = offX; x < cols; x += gx) {
+          const rowRng = getBiomeRNG(seed || c._biomeSeed || 0, biomeKey, 400 + rowIndex);
+          for (let ci = 0; ci < colsAvailable; ci++) {
+            let x = offX + ci * gx;
+            if (x >= cols) break;
             if (densityScale < 1) {
-              const sliderRand = plantRng();
+              const sliderRand = rowRng();
               if (sliderRand > densityScale) continue;
             }
-            if (densityFactor < 1 && plantRng() > densityFactor) continue; // thin within row
+            if (jitterX > 0) {
+              // Jitter scaled inversely by densityFactor so sparser rows look more irregular.
+              const scale = densityFactor < 1 ? 1 + (1 - densityFactor) : 1;
+              const j = Math.round((rowRng() - 0.5) * 2 * jitterX * scale);
+              x = Math.min(cols - 1, Math.max(0, x + j));
+            }
+            if (!inRegion(x, y)) continue;
             const h = c.getTerrainHeight?.(x, y) ?? 0;
             if (h <= 0) continue;
             if (elevationFilter && !elevationFilter(c, h)) continue;
@@ -211,96 +208,181 @@ export function autoPopulateBiomeFlora(c, biomeKey, seed) {
             }
             tm.placeTerrainItem(placeX, placeY, id);
           }
-          const spacing = rowSpacings[rowIndex % rowSpacings.length];
-          y += spacing;
+          const span = Math.abs(maxSpace - minSpace);
+          const jitter = span > 0 ? Math.floor(rowRng() * (span + 1)) : 0;
+          y += Math.min(minSpace, maxSpace) + jitter;
           rowIndex++;
         }
       }
-      return;
+    } else {
+      let y = offY;
+      let rowIndex = 0;
+      while (y < rows) {
+        const densityFactor = rowDensity[rowIndex % rowDensity.length];
+        for (let x = offX; x < cols; x += gx) {
+          if (densityScale < 1) {
+            const sliderRand = plantRng();
+            if (sliderRand > densityScale) continue;
+          }
+          if (densityFactor < 1 && plantRng() > densityFactor) continue; // thin within row
+          if (!inRegion(x, y)) continue;
+          const h = c.getTerrainHeight?.(x, y) ?? 0;
+          if (h <= 0) continue;
+          if (elevationFilter && !elevationFilter(c, h)) continue;
+          const id = pick();
+          if (!allowSpectral && isSpectralPlaceable(id)) continue;
+          let placeX = x;
+          let placeY = y;
+          let placeHeight = h;
+          if (isTropicalCluster(id)) {
+            const relocated = relocateTropicalCandidate(c, x, y, h);
+            if (!relocated) continue;
+            placeX = relocated.x;
+            placeY = relocated.y;
+            placeHeight = relocated.height;
+            if (placeHeight <= 0) continue;
+            if (elevationFilter && !elevationFilter(c, placeHeight)) continue;
+          }
+          tm.placeTerrainItem(placeX, placeY, id);
+        }
+        const spacing = rowSpacings[rowIndex % rowSpacings.length];
+        y += spacing;
+        rowIndex++;
+      }
     }
+    return;
+  }
 
-    // ── Generic Candidate Collection & Placement ───────────────────
+  // ── Generic Candidate Collection & Placement ───────────────────
 
-    // Generic candidate collection (with optional filters)
-    const filterFn =
-      typeof candidateFilter === 'string' ? candidateFilters[candidateFilter] : candidateFilter;
-    const candidates = [];
-    const coordRng = getBiomeRNG(seed || c._biomeSeed || 0, biomeKey, 555);
-    for (let y = 0; y < rows; y++) {
-      for (let x = 0; x < cols; x++) {
-        const h = c.getTerrainHeight?.(x, y) ?? 0;
-        // Depth gating rules:
-        if (candidateFilter === 'swampDeep') {
-          // Accept depths down to -3.2 via filter itself; no pre-skip except hard floor
-          if (h < -3.2 || h > 2.6) continue;
-        } else if (candidateFilter === 'swampEdge') {
-          if (h <= 0 && !(h >= -1.0)) continue; // legacy edge allowance
-        } else {
-          if (h <= 0) continue; // generic rule: stay above waterline
-        }
-        if (elevationFilter && !elevationFilter(c, h)) continue;
-        if (filterFn && !filterFn(c, x, y, h, coordRng)) continue;
-        candidates.push([x, y, h]);
+  // Generic candidate collection (with optional filters)
+  const filterFn =
+    typeof candidateFilter === 'string' ? candidateFilters[candidateFilter] : candidateFilter;
+  const candidates = [];
+  const coordRng = getBiomeRNG(seed || c._biomeSeed || 0, biomeKey, 555);
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      if (weightAt && !(weightAt(x, y) > 0)) continue;
+      const h = c.getTerrainHeight?.(x, y) ?? 0;
+      // Depth gating rules:
+      if (candidateFilter === 'swampDeep') {
+        // Accept depths down to -3.2 via filter itself; no pre-skip except hard floor
+        if (h < -3.2 || h > 2.6) continue;
+      } else if (candidateFilter === 'swampEdge') {
+        if (h <= 0 && !(h >= -1.0)) continue; // legacy edge allowance
+      } else {
+        if (h <= 0) continue; // generic rule: stay above waterline
       }
+      if (elevationFilter && !elevationFilter(c, h)) continue;
+      if (filterFn && !filterFn(c, x, y, h, coordRng)) continue;
+      candidates.push([x, y, h]);
     }
-    if (!candidates.length) return;
-    const baseTargetRaw = candidates.length * effectiveDensity;
-    const tropicalModifier = getTropicalDensityModifier(weights);
-    const adjustedTargetRaw =
-      tropicalModifier === 1 ? baseTargetRaw : baseTargetRaw * tropicalModifier;
-    let target = Math.floor(adjustedTargetRaw);
-    if (tropicalModifier === 1 && baseTargetRaw > 0 && target === 0) {
-      target = 1;
+  }
+  if (!candidates.length) return;
+  // With regions, each tile counts only as much as the biome's share of it
+  const coverage = weightAt
+    ? candidates.reduce((sum, [x, y]) => sum + weightAt(x, y), 0)
+    : candidates.length;
+  const baseTargetRaw = coverage * effectiveDensity;
+  const tropicalModifier = getTropicalDensityModifier(weights);
+  const adjustedTargetRaw =
+    tropicalModifier === 1 ? baseTargetRaw : baseTargetRaw * tropicalModifier;
+  let target = Math.floor(adjustedTargetRaw);
+  if (tropicalModifier === 1 && baseTargetRaw > 0 && target === 0) {
+    target = 1;
+  }
+  if (target <= 0) return;
+  const placed = [];
+  let attempts = 0;
+  const maxAttempts = target * 20;
+  const rng = getBiomeRNG(seed || c._biomeSeed || 0, biomeKey, 201);
+  const pick = makeWeightedPicker(weights, getBiomeRNG(seed || c._biomeSeed || 0, biomeKey, 202));
+  while (placed.length < target && attempts < maxAttempts) {
+    attempts++;
+    const cand = candidates[rngInt(rng, candidates.length)];
+    if (!cand) continue;
+    const [baseX, baseY, baseHeight] = cand;
+    if (!inRegion(baseX, baseY)) continue;
+    let placeX = baseX;
+    let placeY = baseY;
+    let placeHeight = baseHeight;
+    let chosenWeights = weights;
+    if (coastlinePalms) {
+      const onCoast = isCoastlineTile(c, baseX, baseY);
+      chosenWeights = boostPalmWeights(weights, onCoast ? 3 : 0.4);
     }
-    if (target <= 0) return;
-    const placed = [];
-    let attempts = 0;
-    const maxAttempts = target * 20;
-    const rng = getBiomeRNG(seed || c._biomeSeed || 0, biomeKey, 201);
-    const pick = makeWeightedPicker(weights, getBiomeRNG(seed || c._biomeSeed || 0, biomeKey, 202));
-    while (placed.length < target && attempts < maxAttempts) {
-      attempts++;
-      const cand = candidates[rngInt(rng, candidates.length)];
-      if (!cand) continue;
-      const [baseX, baseY, baseHeight] = cand;
-      let placeX = baseX;
-      let placeY = baseY;
-      let placeHeight = baseHeight;
-      let chosenWeights = weights;
-      if (coastlinePalms) {
-        const onCoast = isCoastlineTile(c, baseX, baseY);
-        chosenWeights = boostPalmWeights(weights, onCoast ? 3 : 0.4);
-      }
-      // If coastline palm boost applied we need a new picker for that variation (deterministic via coordinate salt)
-      let id;
-      if (chosenWeights !== weights) {
-        const coordSalt = (baseX * 73856093) ^ (baseY * 19349663);
-        const localPick = makeWeightedPicker(
-          chosenWeights,
-          getBiomeRNG(seed || c._biomeSeed || 0, biomeKey, 300 + (coordSalt & 0xff))
-        );
-        id = localPick();
-      } else {
-        id = pick();
-      }
-      if (!id) continue;
-      if (!allowSpectral && isSpectralPlaceable(id)) continue;
-      if (isTropicalCluster(id)) {
-        const relocated = relocateTropicalCandidate(c, placeX, placeY, placeHeight);
-        if (!relocated) continue;
-        placeX = relocated.x;
-        placeY = relocated.y;
-        placeHeight = relocated.height;
-        if (placeHeight <= 0) continue;
-        if (elevationFilter && !elevationFilter(c, placeHeight)) continue;
-      }
-      if (spacing > 0 && placed.some((p) => manhattan(p, [placeX, placeY]) < spacing)) continue;
-      const ok = tm.placeTerrainItem(placeX, placeY, id);
-      if (ok) placed.push([placeX, placeY]);
+    // If coastline palm boost applied we need a new picker for that variation (deterministic via coordinate salt)
+    let id;
+    if (chosenWeights !== weights) {
+      const coordSalt = (baseX * 73856093) ^ (baseY * 19349663);
+      const localPick = makeWeightedPicker(
+        chosenWeights,
+        getBiomeRNG(seed || c._biomeSeed || 0, biomeKey, 300 + (coordSalt & 0xff))
+      );
+      id = localPick();
+    } else {
+      id = pick();
     }
-  } catch (_) {
-    /* best effort */
+    if (!id) continue;
+    if (!allowSpectral && isSpectralPlaceable(id)) continue;
+    if (isTropicalCluster(id)) {
+      const relocated = relocateTropicalCandidate(c, placeX, placeY, placeHeight);
+      if (!relocated) continue;
+      placeX = relocated.x;
+      placeY = relocated.y;
+      placeHeight = relocated.height;
+      if (placeHeight <= 0) continue;
+      if (elevationFilter && !elevationFilter(c, placeHeight)) continue;
+    }
+    if (spacing > 0 && placed.some((p) => manhattan(p, [placeX, placeY]) < spacing)) continue;
+    const ok = tm.placeTerrainItem(placeX, placeY, id);
+    if (ok) placed.push([placeX, placeY]);
+  }
+}
+
+// ── Selection Scatter ─────────────────────────────────────────────
+
+/** True when a biome's flora profile has any plants to scatter. */
+export function hasScatterableFlora(biomeKey) {
+  const profile = resolveProfile(biomeKey);
+  return profile.density > 0 && Object.keys(profile.weights || {}).length > 0;
+}
+
+/**
+ * Scatter plants from a biome's flora profile over the given tiles only. Species weights,
+ * spacing and the elevation filter come from the profile; existing placeables are kept.
+ * @param {Array<{x:number,y:number}>} cells
+ * @returns {number} plants placed
+ */
+export function scatterFloraInCells(c, cells, biomeKey, seed = 0) {
+  const tm = c?.terrainManager;
+  if (!tm || !cells?.length || !hasScatterableFlora(biomeKey)) return 0;
+  const profile = resolveProfile(biomeKey);
+  const weights =
+    profile.allowSpectral === true ? profile.weights : stripSpectralWeights(profile.weights);
+  const { spacing, elevationFilter } = profile;
+  const candidates = cells.filter(({ x, y }) => {
+    const h = c.getTerrainHeight?.(x, y) ?? 0;
+    return h > 0 && (!elevationFilter || elevationFilter(c, h));
+  });
+  if (!candidates.length) return 0;
+  const target = Math.max(
+    1,
+    Math.round(candidates.length * TERRAIN_CONFIG.SELECTION.FLORA_DENSITY)
+  );
+  const rng = getBiomeRNG(seed, biomeKey, 701);
+  const pick = makeWeightedPicker(weights, getBiomeRNG(seed, biomeKey, 702));
+  const placed = [];
+  // Partial Fisher-Yates: visit candidates in a seeded random order
+  for (let i = 0; i < candidates.length && placed.length < target; i++) {
+    const j = i + rngInt(rng, candidates.length - i);
+    [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+    const { x, y } = candidates[i];
+    if (spacing > 0 && placed.some((p) => manhattan(p, [x, y]) < spacing)) continue;
+    const id = pick();
+    if (id && tm.placeTerrainItem(x, y, id)) placed.push([x, y]);
   }
+  return placed.length;
 }
 
 function boostPalmWeights(weights, factor) {
@@ -0,0 +1,305 @@
+// Internal map generation helpers for TerrainCoordinator: resolving a generation run, applying a
+// generated height field (with its flora and shading) to the map, and the background "Generate
+// Map" flow that computes the field off the main thread through TerrainGenerationService.
+import { logger, LOG_LEVEL, LOG_CATEGORY } from '../../../utils/Logger.js';
+import { GameErrors } from '../../../utils/ErrorHandler.js';
+import { getBiomeElevationScaleHint } from '../../../terrain/generation/BiomeElevationGenerator.js';
+import { getBiomeWaterLevel } from '../../../terrain/water/WaterLevel.js';
+import { validateApplicationRequirements, processAllGridTiles, logCompletion } from './apply.js';
+import { autoPopulateBiomeFlora, resolveTreeDensityMultiplier } from './flora.js';
+import { setWaterLevel } from './water.js';
+import { FLORA_RETRY_SALT } from './generationJob.js';
+import { notifyMapCodeChanged } from './mapCode.js';
+
+/**
+ * Fired on window while a background generation runs, with detail { running, stage, progress,
+ * biome }. stage is 'elevation', 'flora', 'shading', 'apply', 'done', 'cancelled' or 'failed'.
+ */
+export const GENERATION_PROGRESS_EVENT = 'taverntable:generationProgress';
+
+// ── Notifications ─────────────────────────────────────────────────
+
+export function notifyGenerationProgress(detail) {
+  if (typeof window === 'undefined' || typeof CustomEvent !== 'function') return;
+  window.dispatchEvent(new CustomEvent(GENERATION_PROGRESS_EVENT, { detail }));
+}
+
+// ── Generation ────────────────────────────────────────────────────
+
+/**
+ * Generate the map for a biome without blocking the UI: the height field, flora plan and shading
+ * fields are computed by the generation worker, then applied as one undo step. Starting another
+ * generation cancels this one, which then resolves false without touching the map.
+ * @param {string} [biomeKey] defaults to the selected biome
+ * @param {{seed?: number, relief?: number, roughness?: number, waterBias?: number,
+ *   orientation?: number}} [options]
+ * @returns {Promise<boolean>} true if the generated map was applied
+ */
+export async function generateBiomeElevationInBackground(c, biomeKey, options = {}) {
+  if (c.gameManager?.getViewMode?.() === 'topdown' || c.isTerrainModeActive) return false;
+  const run = resolveGenerationRun(c, biomeKey, options);
+  const report = (stage, progress, running = true) =>
+    notifyGenerationProgress({ running, stage, progress, biome: run.biome });
+  let result;
+  try {
+    report('elevation', 0);
+    result = await c._generationService.run(buildGenerationRequest(c, run, options), {
+      onProgress: (stage, progress) => report(stage, progress),
+    });
+  } catch (error) {
+    report('failed', 0, false);
+    GameErrors.input(error, { stage: 'generateBiomeElevationInBackground', biome: run.biome });
+    return false;
+  }
+  // Cancelled by a newer run, which reports its own progress
+  if (!result) return false;
+  if (c.gameManager.rows !== run.rows || c.gameManager.cols !== run.cols || c.isTerrainModeActive) {
+    report('cancelled', 0, false);
+    return false;
+  }
+  report('apply', 1);
+  const apply = () => {
+    if (c._isGenerating) return false;
+    c._isGenerating = true;
+    try {
+      return applyGeneratedTerrain(c, run, result.field, options, result);
+    } finally {
+      c._isGenerating = false;
+    }
+  };
+  const history = c.gameManager?.historyCoordinator;
+  let applied = false;
+  try {
+    applied = await (history?.isRecording()
+      ? history.trackScene('Generate biome', apply)
+      : apply());
+  } catch (error) {
+    GameErrors.input(error, { stage: 'generateBiomeElevationInBackground', biome: run.biome });
+  }
+  report(applied ? 'done' : 'failed', 1, false);
+  logger.log(LOG_LEVEL.INFO, 'Biome map generated', LOG_CATEGORY.USER, {
+    biome: run.biome,
+    seed: run.seed,
+    applied,
+    plants: result.flora?.length ?? 0,
+  });
+  return applied;
+}
+
+/**
+ * Size, seed, biome and tree density of a generation run. Reads state only, so a run can be
+ * computed in the background before anything on the map changes.
+ * @returns {{rows: number, cols: number, seed: number, biome: string, treeDensity: number}}
+ */
+export function resolveGenerationRun(c, biomeKey, options = {}) {
+  return {
+    rows: c.gameManager.rows,
+    cols: c.gameManager.cols,
+    seed: Number.isFinite(options.seed) ? options.seed : c._biomeSeed >>> 0,
+    biome: biomeKey || (typeof window !== 'undefined' && window.selectedBiome) || 'grassland',
+    treeDensity: resolveTreeDensityMultiplier(c),
+  };
+}
+
+/**
+ * Plain-data job for runGenerationJob (structured-cloneable, so it can be posted to the worker).
+ * @returns {object}
+ */
+export function buildGenerationRequest(c, run, options = {}) {
+  const pick = (key) => (Number.isFinite(options[key]) ? options[key] : undefined);
+  const settings = (typeof window !== 'undefined' && window.richShadingSettings) || {};
+  const shade = !!settings.enabled && options.headless !== true;
+  return {
+    biome: run.biome,
+    rows: run.rows,
+    cols: run.cols,
+    seed: run.seed,
+    elevation: {
+      relief: pick('relief'),
+      roughness: pick('roughness'),
+      waterBias: pick('waterBias'),
+      orientation: pick('orientation'),
+    },
+    regions: c.dataStore.listBiomes(),
+    flora: {
+      densityMultiplier: run.treeDensity,
+      biomeSeed: c._biomeSeed >>> 0,
+      retryEmpty: !!c.gameManager?.features?.instancedPlaceables,
+    },
+    shading: shade
+      ? {
+          seed: (Number.isFinite(settings.seed) ? settings.seed : c._biomeSeed) >>> 0,
+          mapFreq: settings.mapFreq || 0.05,
+          intensity: settings.intensity || 1.0,
+        }
+      : null,
+  };
+}
+
+/**
+ * Replace the map with a generated height field: clears old flora, rivers and roads, sets the
+ * biome's water level, repaints tiles and shading, repopulates flora and rebuilds the 3D terrain.
+ * @param {{rows: number, cols: number, seed: number, biome: string, treeDensity: number}} run
+ * @param {number[][]} field
+ * @param {{headless?: boolean}} [options] headless skips tile processing and rendering
+ * @param {{flora?: Array<{x: number, y: number, id: string}>|null, shading?: object|null}|null}
+ *   [job] runGenerationJob result; its flora plan and shading fields are used instead of
+ *   recomputing them here
+ * @returns {boolean} true once applied
+ */
+export function applyGeneratedTerrain(c, run, field, options = {}, job = null) {
+  const { biome, seed } = run;
+  if (!c.gameManager.gridContainer) {
+    // Headless mode: provide a minimal container so downstream calls succeed
+    c.gameManager.gridContainer = {
+      removeChildren() {},
+      addChild() {},
+    };
+  }
+  c._lastGeneratedBiomeKey = biome;
+  // Everything a map code needs to regenerate this map (see mapCode.js)
+  c._lastGeneration = {
+    biome,
+    cols: run.cols,
+    rows: run.rows,
+    seed: seed >>> 0,
+    treeDensity: run.treeDensity,
+  };
+  if (typeof window !== 'undefined' && !window.selectedBiome) {
+    window.selectedBiome = biome;
+  }
+  c._generationRunId = (c._generationRunId || 0) + 1;
+  // Auto-apply biome-appropriate elevation perception (pixels per level) before generation
+  try {
+    const hintedUnit = getBiomeElevationScaleHint(biome);
+    if (Number.isFinite(hintedUnit) && c.setElevationScale) {
+      // Avoid mid-generation repaint to reduce flicker/ghosting
+      c.setElevationScale(hintedUnit, { repaintBiome: false });
+    }
+  } catch (_) {
+    /* non-fatal: fall back to current unit */
+  }
+
+  // Clear any existing biome flora (2D sprites + 3D instanced meshes) so old trees don't persist
+  // into the freshly generated map. This mirrors the behavior in generateBiomeElevationIfFlat.
+  try {
+    c._logPlaceableInstancingState('pre-clear:generateBiomeElevation');
+    c._clearAllBiomeFlora?.();
+    c._logPlaceableInstancingState('post-clear:generateBiomeElevation');
+  } catch (_) {
+    /* non-fatal */
+  }
+
+  // Update data store
+  c.dataStore.base = field.map((r) => [...r]);
+  c.dataStore.working = field.map((r) => [...r]);
+  // Rivers and roads were traced over the old terrain
+  c.dataStore.clearSurfaces();
+  setWaterLevel(c, getBiomeWaterLevel(biome));
+
+  // If running in headless/testing mode, optionally skip expensive tile processing & rendering
+  if (options.headless === true) {
+    // Provide a stub terrainManager if not already available so flora population can record placements
+    if (!c.terrainManager) {
+      c.terrainManager = {
+        gameManager: c.gameManager,
+        placeables: new Map(),
+        placeTerrainItem(x, y, id) {
+          const key = `${x},${y}`;
+          let arr = this.placeables.get(key);
+          if (!arr) {
+            arr = [];
+            this.placeables.set(key, arr);
+          }
+          const sprite = { placeableType: 'plant', id, x, y, parent: null };
+          arr.push(sprite);
+          return true;
+        },
+      };
+    }
+    populateFlora(c, run, job);
+    tagGeneratedPlants(c);
+    notifyMapCodeChanged(c);
+    return true;
+  }
+
+  // Repaint base tiles to reflect new elevations (full mode)
+  validateApplicationRequirements(c);
+  const modified = processAllGridTiles(c);
+  logCompletion(c, modified);
+  // Repaint biome canvas/shading with updated heights to prevent ghosting from the previous map
+  try {
+    c.applyBiomePaletteToBaseGrid({ paintFields: job?.shading });
+  } catch (_) {
+    /* non-fatal */
+  }
+  c._logPlaceableInstancingState('pre-populate:generateBiomeElevation');
+  populateFlora(c, run, job);
+  c._logPlaceableInstancingState('post-populate:generateBiomeElevation');
+  tagGeneratedPlants(c);
+  // Reinstance any newly populated plants into 3D pool
+  try {
+    c.gameManager?.reinstanceExistingPlants?.();
+  } catch (_) {
+    /* ignore */
+  }
+  // If zero plants were placed but instancing enabled, attempt a single retry (defensive). A
+  // job's flora plan already includes its retry.
+  try {
+    if (!job?.flora && !hasPlants(c) && c.gameManager?.features?.instancedPlaceables) {
+      // Retry once with a salt tweak to avoid identical zero-density edge case
+      autoPopulateBiomeFlora(c, biome, (seed + FLORA_RETRY_SALT) >>> 0);
+      c.gameManager?.reinstanceExistingPlants?.();
+    }
+  } catch (_) {
+    /* ignore retry errors */
+  }
+  // 3D transition: ensure fresh mesh rebuild + token/placeable height sync
+  try {
+    if (c.gameManager?.is3DModeActive?.()) {
+      c.gameManager.notifyTerrainHeightsChanged?.();
+    }
+  } catch (_) {
+    /* ignore notify errors */
+  }
+  notifyMapCodeChanged(c);
+  return true;
+}
+
+// ── Private Helpers ───────────────────────────────────────────────
+
+/** Place the job's flora plan, or populate flora here when there is no plan. */
+function populateFlora(c, run, job) {
+  try {
+    if (!job?.flora) {
+      autoPopulateBiomeFlora(c, run.biome, run.seed);
+      return;
+    }
+    const tm = c.terrainManager;
+    if (!tm?.gameManager?.gridContainer) return;
+    for (const { x, y, id } of job.flora) tm.placeTerrainItem(x, y, id);
+  } catch (_) {
+    /* ignore flora errors */
+  }
+}
+
+function tagGeneratedPlants(c) {
+  try {
+    for (const arr of c.terrainManager?.placeables?.values() || []) {
+      for (const s of arr) {
+        if (s?.placeableType === 'plant') s.__generationRunId = c._generationRunId;
+      }
+    }
+  } catch (_) {
+    /* ignore */
+  }
+}
+
+function hasPlants(c) {
+  const tm = c.terrainManager;
+  if (!tm?.placeables) return false;
+  for (const arr of tm.placeables.values()) {
+    if (arr.some((s) => s.placeableType === 'plant')) return true;
+  }
+  return false;
+}
@@ -0,0 +1,101 @@
+// Map generation job: the pure part of "Generate Map" — elevation, the flora plan and the painter's
+// shading fields — computed from plain data so it can run in TerrainGenerationWorker.js or inline.
+// Nothing here touches the DOM, Pixi or three; the main thread applies the result.
+import { TerrainDataStore } from '../../../terrain/TerrainDataStore.js';
+import { computeBiomeWeights, blendBiomeHeights } from '../../../terrain/biomes/BiomeRegions.js';
+import { generateBiomeElevationField } from '../../../terrain/generation/BiomeElevationGenerator.js';
+import { computePaintFields } from '../../../terrain/painting/biome-painter/fields.js';
+import { autoPopulateBiomeFlora } from './flora.js';
+import { getTerrainHeight } from './height.js';
+
+// Salt for the one flora retry when a generated map comes out treeless
+export const FLORA_RETRY_SALT = 0x9e3779b1;
+
+// ── Public API ────────────────────────────────────────────────────
+
+/**
+ * Run a generation job.
+ * @param {object} request built by buildGenerationRequest (generation.js)
+ * @param {string} request.biome map biome
+ * @param {number} request.rows
+ * @param {number} request.cols
+ * @param {number} request.seed
+ * @param {{relief?: number, roughness?: number, waterBias?: number, orientation?: number}} [request.elevation]
+ * @param {Array<{x: number, y: number, biome: string}>} [request.regions] painted biome regions
+ * @param {{densityMultiplier: number, biomeSeed: number, retryEmpty: boolean}|null} [request.flora]
+ *   null skips flora
+ * @param {{seed: number, mapFreq: number, intensity: number}|null} [request.shading] null skips
+ *   the painter fields (rich shading off)
+ * @param {(stage: string, progress: number) => void} [onProgress] called as each stage
+ *   ('elevation', 'flora', 'shading', 'done') starts; progress is 0..1 across the whole job
+ * @returns {{field: number[][], flora: Array<{x: number, y: number, id: string}>|null,
+ *   shading: object|null}}
+ */
+export function runGenerationJob(request, onProgress = null) {
+  const { biome, rows, cols, seed } = request;
+  const report = (stage, progress) => {
+    try {
+      onProgress?.(stage, progress);
+    } catch (_) {
+      /* progress is advisory */
+    }
+  };
+  const store = new TerrainDataStore(cols, rows);
+  store.loadBiomes(request.regions || []);
+  const weights = store.listBiomes().length
+    ? computeBiomeWeights((x, y) => store.getBiome(x, y) || biome, cols, rows)
+    : null;
+
+  report('elevation', 0);
+  const elevation = { ...request.elevation, seed };
+  const field = weights
+    ? blendBiomeHeights(weights, (key) => generateBiomeElevationField(key, rows, cols, elevation))
+    : generateBiomeElevationField(biome, rows, cols, elevation);
+
+  report('flora', 0.4);
+  const flora = request.flora ? planFlora(store, field, biome, seed, request.flora) : null;
+
+  let shading = null;
+  if (request.shading) {
+    report('shading', 0.7);
+    shading = computePaintFields({ cols, rows }, biome, field, {
+      ...request.shading,
+      blendAt: weights ? (x, y) => weights[y]?.[x] : null,
+    });
+  }
+  report('done', 1);
+  return { field, flora, shading };
+}
+
+// ── Private Helpers ───────────────────────────────────────────────
+
+/**
+ * Run the flora populator against a recording stand-in for the coordinator and terrain manager,
+ * so the plan places exactly what autoPopulateBiomeFlora would on the live map.
+ * @returns {Array<{x: number, y: number, id: string}>} placements in order
+ */
+function planFlora(store, field, biome, seed, { densityMultiplier, biomeSeed, retryEmpty }) {
+  const plan = [];
+  store.working = field;
+  const ctx = {
+    dataStore: store,
+    treeDensityMultiplier: densityMultiplier,
+    _biomeSeed: biomeSeed,
+    gameManager: { rows: store.rows, cols: store.cols },
+    terrainManager: {
+      // flora treats a manager without a grid container as headless and places nothing
+      gameManager: { gridContainer: {} },
+      placeables: new Map(),
+      placeTerrainItem(x, y, id) {
+        plan.push({ x, y, id });
+        return true;
+      },
+    },
+    getTerrainHeight: (x, y) => getTerrainHeight(ctx, x, y),
+  };
+  autoPopulateBiomeFlora(ctx, biome, seed);
+  if (!plan.length && retryEmpty) {
+    autoPopulateBiomeFlora(ctx, biome, (seed + FLORA_RETRY_SALT) >>> 0);
+  }
+  return plan;
+}
@@ -83,6 +83,31 @@ export function getGridCoordinatesFromEvent(c, event) {
   }
 }
 
+/**
+ * Unrounded grid position under the pointer, e.g. for lasso vertices. Uses the 3D ground pick
+ * when available and falls back to the tile under the pointer otherwise.
+ * @returns {{x: number, y: number}|null} grid units; tile centres sit on whole numbers
+ */
+export function getGroundPointFromEvent(c, event) {
+  try {
+    if (c.gameManager?.is3DModeActive?.()) {
+      const picking = c.gameManager?.pickingService;
+      const targetElement =
+        c.gameManager?.threeSceneManager?.canvas ||
+        c.gameManager?.app?.view ||
+        (event?.currentTarget ?? null);
+      const ground = picking?.pickGroundSync?.(event.clientX, event.clientY, targetElement);
+      const x = Number(ground?.grid?.gx);
+      const y = Number(ground?.grid?.gy);
+      if (Number.isFinite(x) && Number.isFinite(y)) return { x, y };
+    }
+  } catch (_) {
+    /* fall back to tile coordinates */
+  }
+  const coords = getGridCoordinatesFromEvent(c, event);
+  return coords ? { x: coords.gridX, y: coords.gridY } : null;
+}
+
 // ── Terrain Height Modification ────────────────────────────────────
 
 /**
@@ -107,11 +132,17 @@ export function modifyTerrainAtPosition(c, gridX, gridY) {
     if (changed) {
       // Update 2D terrain visuals immediately
       if (c.terrainManager) {
-        c.terrainManager.updateTerrainDisplay(gridX, gridY, c.brushSize);
+        const cells = c.brush.lastModifiedCells;
+        if (cells?.length && c.terrainManager.updateTerrainCells) {
+          c.terrainManager.updateTerrainCells(cells);
+        } else {
+          c.terrainManager.updateTerrainDisplay(gridX, gridY, c.brushSize);
+        }
       }
       // NEW: schedule / debounce 3D terrain mesh rebuild & height resync (GameManager handles debouncing)
       try {
-        c.gameManager?.notifyTerrainHeightsChanged?.();
+        const cells = c.brush.lastModifiedCells;
+        c.gameManager?.notifyTerrainHeightsChanged?.(cells?.length ? cells : undefined);
       } catch (_) {
         /* non-fatal */
       }
@@ -122,7 +153,7 @@ export function modifyTerrainAtPosition(c, gridX, gridY) {
       GameErrors.input(error, {
         stage: 'modifyTerrainAtPosition',
         coordinates: { gridX, gridY },
-        tool: c.currentTerrainTool,
+        tool: c.brush?.tool,
         brushSize: c.brushSize,
       });
     } catch (_) {
@@ -132,3 +163,37 @@ export function modifyTerrainAtPosition(c, gridX, gridY) {
     }
   }
 }
+
+// ── Path Tools ─────────────────────────────────────────────────────
+
+/**
+ * Apply the ramp/stairs/ridge/trench path drawn during the current drag. The whole path is
+ * written at once, so the 3D terrain is rebuilt once per drag rather than per cell.
+ */
+export function applyTerrainPath(c) {
+  try {
+    if (!c.brush?.hasActivePath?.()) {
+      return false;
+    }
+    const changed = c.brush.applyPath();
+    if (changed) {
+      const cells = c.brush.lastModifiedCells;
+      if (c.terrainManager?.updateTerrainCells) {
+        c.terrainManager.updateTerrainCells(cells);
+      }
+      try {
+        c.gameManager?.notifyTerrainHeightsChanged?.(cells?.length ? cells : undefined);
+      } catch (_) {
+        /* non-fatal */
+      }
+    }
+    return changed;
+  } catch (error) {
+    GameErrors.input(error, {
+      stage: 'applyTerrainPath',
+      tool: c.brush?.tool,
+      brushSize: c.brushSize,
+    });
+    return false;
+  }
+}
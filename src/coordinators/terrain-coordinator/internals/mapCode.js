@@ -0,0 +1,64 @@
+// Internal map code helpers for TerrainCoordinator: describing the last generated map as a short
+// shareable code (see terrain/generation/MapCode.js) and regenerating a map from one.
+import { logger, LOG_LEVEL, LOG_CATEGORY } from '../../../utils/Logger.js';
+import { encodeMapCode, decodeMapCode } from '../../../terrain/generation/MapCode.js';
+import { getBiomeElevationScaleHint } from '../../../terrain/generation/BiomeElevationGenerator.js';
+
+/** Fired on window with detail { code } (null when there is none) when the map code changes. */
+export const MAP_CODE_CHANGED_EVENT = 'taverntable:mapCode';
+
+// ── Notifications ─────────────────────────────────────────────────
+
+export function notifyMapCodeChanged(c) {
+  if (typeof window === 'undefined' || typeof CustomEvent !== 'function') return;
+  window.dispatchEvent(
+    new CustomEvent(MAP_CODE_CHANGED_EVENT, { detail: { code: getMapCode(c) } })
+  );
+}
+
+// ── Map Codes ─────────────────────────────────────────────────────
+
+/**
+ * Code for the last generated map with the current elevation scale and any climate biome pass,
+ * or null when nothing was generated on this grid. Painted biome regions and hand edits are not
+ * part of the code.
+ * @returns {string|null}
+ */
+export function getMapCode(c) {
+  const last = c._lastGeneration;
+  if (!last || last.cols !== c.gameManager.cols || last.rows !== c.gameManager.rows) return null;
+  const scale = c.getElevationScale();
+  return encodeMapCode({
+    ...last,
+    elevationScale: scale === getBiomeElevationScaleHint(last.biome) ? null : scale,
+  });
+}
+
+/**
+ * Regenerate the map a code describes: resizes the grid if needed, clears painted biome regions,
+ * applies the seed and tree density, generates, then applies the code's elevation scale and
+ * reruns its climate biome pass.
+ * @param {string} code
+ * @returns {Promise<boolean>} true if the map was generated (false when cancelled or refused)
+ * @throws {Error} When the code is invalid
+ */
+export async function applyMapCode(c, code) {
+  const params = decodeMapCode(code);
+  if (c.isTerrainModeActive) return false;
+  const gm = c.gameManager;
+  if (gm.cols !== params.cols || gm.rows !== params.rows) {
+    await gm.resizeGrid(params.cols, params.rows);
+  }
+  c.clearBiomeRegions();
+  c.setTreeDensityMultiplier(params.treeDensity);
+  if (typeof window !== 'undefined') window.selectedBiome = params.biome;
+  c.setBiomeSeed(params.seed);
+  const ok = await c.generateBiomeElevationInBackground(params.biome, { seed: params.seed });
+  if (ok && params.elevationScale !== null) c.setElevationScale(params.elevationScale);
+  if (ok && params.climateSeed !== null) c.generateClimateBiomes({ seed: params.climateSeed });
+  logger.log(LOG_LEVEL.INFO, 'Map code applied', LOG_CATEGORY.USER, {
+    code: String(code).trim(),
+    applied: ok,
+  });
+  return ok;
+}
@@ -0,0 +1,183 @@
+// Internal biome region helpers for TerrainCoordinator: the biome paint tool, the cached blend
+// weights read by the painters and flora, and elevation generation across painted regions.
+import { logger, LOG_LEVEL, LOG_CATEGORY } from '../../../utils/Logger.js';
+import { GameErrors } from '../../../utils/ErrorHandler.js';
+import { computeBiomeWeights, blendBiomeHeights } from '../../../terrain/biomes/BiomeRegions.js';
+import { generateBiomeElevationField } from '../../../terrain/generation/BiomeElevationGenerator.js';
+import { cancelOtherModalTools } from './tools.js';
+import { refreshSurfaceVisuals } from './waterways.js';
+import { notifyMapCodeChanged } from './mapCode.js';
+
+/** Fired on window with detail { painting, paintBiome, regions, biomes } when regions change. */
+export const BIOME_REGIONS_CHANGED_EVENT = 'taverntable:biomeRegions';
+
+// ── Notifications ─────────────────────────────────────────────────
+
+export function notifyBiomeRegionsChanged(c) {
+  if (typeof window === 'undefined' || typeof CustomEvent !== 'function') return;
+  const painted = c.dataStore.listBiomes();
+  window.dispatchEvent(
+    new CustomEvent(BIOME_REGIONS_CHANGED_EVENT, {
+      detail: {
+        painting: c.biomePaint.isActive(),
+        paintBiome: c.biomePaint.biome,
+        regions: painted.length,
+        biomes: [...new Set(painted.map((entry) => entry.biome))],
+      },
+    })
+  );
+}
+
+// ── Queries ───────────────────────────────────────────────────────
+
+/** @returns {string} the biome of every unpainted tile */
+export function getMapBiome(c) {
+  const selected = typeof window !== 'undefined' ? window.selectedBiome : null;
+  return selected || c._lastGeneratedBiomeKey || 'grassland';
+}
+
+/** @returns {string} painted biome of a tile, or the map biome */
+export function getBiomeAt(c, gridX, gridY) {
+  return c.dataStore.getBiome(gridX, gridY) || getMapBiome(c);
+}
+
+/**
+ * Blend weights for the whole map, recomputed only when the biome layer, map biome or grid
+ * size changed.
+ * @param {string} [mapBiome] biome of unpainted tiles; defaults to the current map biome
+ * @returns {Array<Array<Array<{biome:string, weight:number}>>>|null} null when nothing is painted
+ */
+export function getBiomeBlend(c, mapBiome = getMapBiome(c)) {
+  const store = c.dataStore;
+  const key = `${store.biomeVersion}:${mapBiome}:${store.cols}x${store.rows}`;
+  if (c._biomeBlendCache?.key !== key) {
+    const weights = store.listBiomes().length
+      ? computeBiomeWeights((x, y) => store.getBiome(x, y) || mapBiome, store.cols, store.rows)
+      : null;
+    c._biomeBlendCache = { key, weights };
+  }
+  return c._biomeBlendCache.weights;
+}
+
+/**
+ * How the biomes around a tile blend into it.
+ * @returns {Array<{biome:string, weight:number}>|null} heaviest first; null when nothing is
+ *   painted
+ */
+export function getBiomeBlendAt(c, gridX, gridY) {
+  return getBiomeBlend(c)?.[gridY]?.[gridX] ?? null;
+}
+
+// ── Generation ────────────────────────────────────────────────────
+
+/**
+ * Height field for the map biome, or, with painted regions, each tile's weighted mix of the
+ * fields generated for the biomes around it (all from the same seed).
+ * @returns {number[][]}
+ */
+export function generateRegionElevationField(c, mapBiome, rows, cols, options = {}) {
+  const weights = getBiomeBlend(c, mapBiome);
+  if (!weights || weights.length !== rows || weights[0]?.length !== cols) {
+    return generateBiomeElevationField(mapBiome, rows, cols, options);
+  }
+  return blendBiomeHeights(weights, (biome) =>
+    generateBiomeElevationField(biome, rows, cols, options)
+  );
+}
+
+// ── Biome Paint Tool ──────────────────────────────────────────────
+
+/**
+ * Arm the biome brush: clicks and drags in terrain mode paint the biome over the brush
+ * footprint, and the next generation blends elevation and flora across the painted regions.
+ * Other modal terrain tools are left first.
+ * @param {string|null} biome BIOME_GROUPS key; null erases back to the map biome
+ * @returns {boolean} false for an unknown biome
+ */
+export function startBiomePaint(c, biome) {
+  cancelOtherModalTools(c, 'biomePaint');
+  const started = c.biomePaint.begin(biome);
+  if (started) notifyBiomeRegionsChanged(c);
+  c._inputHandlers._rerenderPreviewAtLastHover();
+  return started;
+}
+
+/** Leave the biome brush and return to the terrain brush. */
+export function cancelBiomePaint(c) {
+  c.biomePaint.cancel();
+  try {
+    c.terrainManager?.clearBrushPreview?.();
+  } catch (_) {
+    /* ignore */
+  }
+  notifyBiomeRegionsChanged(c);
+}
+
+/**
+ * Change the biome painted by the armed brush.
+ * @param {string|null} biome
+ * @returns {boolean} false for an unknown biome
+ */
+export function setPaintBiome(c, biome) {
+  if (!c.biomePaint.setBiome(biome)) return false;
+  notifyBiomeRegionsChanged(c);
+  return true;
+}
+
+/**
+ * Paint the armed biome over the brush footprint. Drags group their dabs into one undo step
+ * through the input handlers' stroke.
+ * @returns {number} tiles whose biome changed
+ */
+export function paintBiomeAt(c, gridX, gridY) {
+  const history = c.gameManager?.historyCoordinator;
+  try {
+    const paint = () => c.biomePaint.paintAt(gridX, gridY);
+    const changed = history ? history.trackBiomes('Paint biome', paint) : paint();
+    if (!changed.length) return 0;
+    refreshSurfaceVisuals(c);
+    logger.log(LOG_LEVEL.DEBUG, 'Biome painted', LOG_CATEGORY.USER, {
+      biome: c.biomePaint.biome,
+      tiles: changed.length,
+    });
+    notifyBiomeRegionsChanged(c);
+    return changed.length;
+  } catch (error) {
+    GameErrors.input(error, { stage: 'paintBiomeAt', coordinates: { gridX, gridY } });
+    return 0;
+  }
+}
+
+// ── Region Layer ──────────────────────────────────────────────────
+
+/**
+ * Replace the biome layer (undo/redo, scene loads) and repaint.
+ * @param {Array<{x:number, y:number, biome:string}>} entries
+ */
+export function loadBiomeRegions(c, entries) {
+  c.dataStore.loadBiomes(entries);
+  refreshSurfaceVisuals(c);
+  notifyBiomeRegionsChanged(c);
+}
+
+/**
+ * Return every tile to the map biome (one undo step).
+ * @returns {number} tiles cleared
+ */
+export function clearBiomeRegions(c) {
+  const history = c.gameManager?.historyCoordinator;
+  const count = c.dataStore.listBiomes().length;
+  if (!count) return 0;
+  const clear = () => c.dataStore.clearBiomes();
+  if (history) history.trackBiomes('Clear biome regions', clear);
+  else clear();
+  refreshSurfaceVisuals(c);
+  logger.log(LOG_LEVEL.INFO, 'Biome regions cleared', LOG_CATEGORY.USER, { tiles: count });
+  notifyBiomeRegionsChanged(c);
+  // A climate pass no longer describes the map once its biomes are gone
+  if (Number.isFinite(c._lastGeneration?.climateSeed)) {
+    c._lastGeneration = { ...c._lastGeneration, climateSeed: null };
+    notifyMapCodeChanged(c);
+  }
+  return count;
+}
@@ -0,0 +1,291 @@
+// Internal tile selection helpers for TerrainCoordinator: the grid overlay highlight, bulk
+// height/placeable actions on the selection, and copy/cut/paste. Each action is one undo step.
+import { logger, LOG_LEVEL, LOG_CATEGORY } from '../../../utils/Logger.js';
+import { GameErrors } from '../../../utils/ErrorHandler.js';
+import { TERRAIN_CONFIG } from '../../../config/terrain/TerrainConstants.js';
+import { BIOME_GROUPS } from '../../../config/biome/BiomeConstants.js';
+import { describeTilePlaceables } from '../../persistence-coordinator/sceneEntities.js';
+import { scatterFloraInCells, hasScatterableFlora } from './flora.js';
+import { applyPastePlan } from './stamps.js';
+import { cancelOtherModalTools } from './tools.js';
+
+/** Fired on window with detail { tool, count, hasClipboard } whenever the selection changes. */
+export const SELECTION_CHANGED_EVENT = 'taverntable:selection';
+
+// Grid overlay style layer currently pushed for the selection highlight (per coordinator)
+const highlightStyles = new WeakMap();
+
+// ── Notifications ─────────────────────────────────────────────────
+
+/** Re-draw the selection highlight and tell the UI what changed. */
+export function notifySelectionChanged(c) {
+  syncSelectionHighlight(c);
+  if (typeof window === 'undefined' || typeof CustomEvent !== 'function') return;
+  const { tool } = c.selection;
+  window.dispatchEvent(
+    new CustomEvent(SELECTION_CHANGED_EVENT, {
+      detail: {
+        tool,
+        count: c.selection.getCells().length,
+        hasClipboard: c.selection.hasClipboard(),
+      },
+    })
+  );
+}
+
+/** Swap the selection highlight layer on the grid overlay style stack. */
+function syncSelectionHighlight(c) {
+  const tsm = c.gameManager?.threeSceneManager;
+  if (!tsm?.pushGridOverlayStyle || !tsm?.popGridOverlayStyle) return;
+  try {
+    const pushed = highlightStyles.get(c);
+    if (pushed?.tsm === tsm) {
+      // Pop our own layer by token; other owners may have pushed on top of it
+      tsm.popGridOverlayStyle(pushed.token);
+      highlightStyles.delete(c);
+    }
+    const cells = c.selection.getCells();
+    if (!cells.length) return;
+    const token = tsm.pushGridOverlayStyle({
+      highlightCells: cells,
+      highlightColor: TERRAIN_CONFIG.SELECTION.HIGHLIGHT_COLOR,
+      highlightAlpha: TERRAIN_CONFIG.SELECTION.HIGHLIGHT_ALPHA,
+    });
+    highlightStyles.set(c, { tsm, token });
+  } catch (_) {
+    /* highlight is cosmetic */
+  }
+}
+
+// ── Tools ─────────────────────────────────────────────────────────
+
+/**
+ * Arm a selection tool; drags in terrain mode then select tiles (Shift adds to the selection).
+ * Other modal terrain tools are left first.
+ * @param {'marquee'|'lasso'} tool
+ * @returns {boolean} false for an unknown tool
+ */
+export function startSelectionTool(c, tool) {
+  cancelOtherModalTools(c, 'selection');
+  const started = c.selection.setTool(tool);
+  notifySelectionChanged(c);
+  c._inputHandlers._rerenderPreviewAtLastHover();
+  return started;
+}
+
+/** Leave the selection tools and return to the terrain brush; the selection is kept. */
+export function cancelSelectionTool(c) {
+  c.selection.cancel();
+  try {
+    c.terrainManager?.clearBrushPreview?.();
+  } catch (_) {
+    /* ignore */
+  }
+  notifySelectionChanged(c);
+}
+
+/** Deselect all tiles. */
+export function clearSelection(c) {
+  c.selection.clear();
+  notifySelectionChanged(c);
+}
+
+/** Commit the dragged marquee/lasso; called when the drag is released. */
+export function finishSelectionDrag(c) {
+  const cells = c.selection.finishDrag();
+  notifySelectionChanged(c);
+  return cells;
+}
+
+// ── Bulk Actions ──────────────────────────────────────────────────
+
+/** Write new heights for the selection as one undo step; `heightFor` maps the current height. */
+function writeSelectionHeights(c, label, heightFor) {
+  const cells = c.selection.getCells();
+  if (!cells.length) return 0;
+  const history = c.gameManager?.historyCoordinator;
+  try {
+    history?.beginStroke(label);
+    const clamp = (h) =>
+      Math.max(TERRAIN_CONFIG.MIN_HEIGHT, Math.min(TERRAIN_CONFIG.MAX_HEIGHT, h));
+    const changed = [];
+    for (const { x, y } of cells) {
+      const current = c.getTerrainHeight(x, y);
+      const height = clamp(Math.round(heightFor(current)));
+      if (height !== current) changed.push({ x, y, height });
+    }
+    if (changed.length) c.setHeightsAt(changed);
+    logger.log(LOG_LEVEL.INFO, label, LOG_CATEGORY.USER, {
+      selectedCells: cells.length,
+      changedCells: changed.length,
+    });
+    return changed.length;
+  } catch (error) {
+    GameErrors.input(error, { stage: 'writeSelectionHeights', label });
+    return 0;
+  } finally {
+    history?.endStroke();
+  }
+}
+
+/**
+ * Raise (positive) or lower (negative) every selected tile.
+ * @returns {number} tiles whose height changed
+ */
+export function adjustSelectionHeight(c, delta) {
+  const step = Math.round(Number(delta)) || 0;
+  if (!step) return 0;
+  return writeSelectionHeights(
+    c,
+    step > 0 ? 'Raise selection' : 'Lower selection',
+    (h) => h + step
+  );
+}
+
+/**
+ * Set every selected tile to one height.
+ * @returns {number} tiles whose height changed
+ */
+export function setSelectionHeight(c, level) {
+  const target = Number(level);
+  if (!Number.isFinite(target)) return 0;
+  return writeSelectionHeights(c, 'Set selection height', () => target);
+}
+
+/** Run a placeable mutation over the selection as one undo step, then refresh visuals. */
+async function mutateSelectionPlaceables(c, label, cells, apply) {
+  const tm = c.terrainManager;
+  if (!tm || !cells.length) return undefined;
+  const history = c.gameManager?.historyCoordinator;
+  const run = async () => {
+    const result = await apply(tm);
+    tm.flushUpdateQueue?.();
+    c.gameManager?.reinstanceExistingPlants?.();
+    return result;
+  };
+  return history ? history.trackPlaceables(label, cells, run) : run();
+}
+
+/** @returns {Promise<number>} tiles that had placeables removed */
+export async function clearSelectionPlaceables(c) {
+  const cells = c.selection.getCells();
+  try {
+    const cleared = await mutateSelectionPlaceables(
+      c,
+      'Clear placeables',
+      cells,
+      (tm) => cells.filter(({ x, y }) => tm.removeTerrainItem(x, y)).length
+    );
+    logger.log(LOG_LEVEL.INFO, 'Selection placeables cleared', LOG_CATEGORY.USER, {
+      selectedCells: cells.length,
+      clearedCells: cleared || 0,
+    });
+    return cleared || 0;
+  } catch (error) {
+    GameErrors.input(error, { stage: 'clearSelectionPlaceables' });
+    return 0;
+  }
+}
+
+/** @returns {Array<{key: string, label: string}>} biomes whose flora profile has plants */
+export function listFloraProfiles() {
+  return Object.values(BIOME_GROUPS)
+    .flat()
+    .filter((biome) => hasScatterableFlora(biome.key))
+    .map(({ key, label }) => ({ key, label }));
+}
+
+/**
+ * Scatter plants from a biome's flora profile over the selection.
+ * @returns {Promise<number>} plants placed
+ */
+export async function scatterSelectionFlora(c, biomeKey) {
+  const cells = c.selection.getCells();
+  // A fresh seed per scatter so repeated clicks vary; the result is recorded for undo
+  const seed = (Date.now() ^ (cells.length << 16)) >>> 0;
+  try {
+    const placed = await mutateSelectionPlaceables(c, 'Scatter flora', cells, () =>
+      scatterFloraInCells(c, cells, biomeKey, seed)
+    );
+    logger.log(LOG_LEVEL.INFO, 'Selection flora scattered', LOG_CATEGORY.USER, {
+      biomeKey,
+      selectedCells: cells.length,
+      placed: placed || 0,
+    });
+    return placed || 0;
+  } catch (error) {
+    GameErrors.input(error, { stage: 'scatterSelectionFlora', biomeKey });
+    return 0;
+  }
+}
+
+// ── Clipboard ─────────────────────────────────────────────────────
+
+/**
+ * Copy the selected heights and placeables to the selection clipboard.
+ * @returns {object|null} the clipboard
+ */
+export function copySelection(c) {
+  const tm = c.terrainManager;
+  const clipboard = c.selection.copy((x, y) => describeTilePlaceables(tm, x, y));
+  notifySelectionChanged(c);
+  return clipboard;
+}
+
+/**
+ * Copy the selection, then flatten it to the default height and remove its placeables
+ * (one undo step).
+ * @returns {Promise<object|null>} the clipboard
+ */
+export async function cutSelection(c) {
+  const clipboard = copySelection(c);
+  if (!clipboard) return null;
+  const history = c.gameManager?.historyCoordinator;
+  try {
+    history?.beginStroke('Cut selection');
+    writeSelectionHeights(c, 'Cut selection', () => TERRAIN_CONFIG.DEFAULT_HEIGHT);
+    await clearSelectionPlaceables(c);
+  } finally {
+    history?.endStroke();
+  }
+  return clipboard;
+}
+
+/**
+ * Arm pasting of the selection clipboard; the next click in terrain mode places it. Other modal
+ * terrain tools are left first.
+ * @returns {boolean} false when the clipboard is empty
+ */
+export function startSelectionPaste(c) {
+  cancelOtherModalTools(c, 'selection');
+  const started = c.selection.beginPaste();
+  notifySelectionChanged(c);
+  c._inputHandlers._rerenderPreviewAtLastHover();
+  return started;
+}
+
+/**
+ * Paste the clipboard centred on a cell (heights and placeables, one undo step). The pasted
+ * tiles become the selection and the marquee tool is re-armed.
+ * @returns {Promise<boolean>} true if anything was pasted
+ */
+export async function pasteSelectionAt(c, gridX, gridY) {
+  const plan = c.selection.planPasteAt(gridX, gridY);
+  if (!plan.cells.length) return false;
+  try {
+    const changed = await applyPastePlan(c, 'Paste selection', plan);
+    logger.log(LOG_LEVEL.INFO, 'Selection pasted', LOG_CATEGORY.USER, {
+      center: { x: gridX, y: gridY },
+      changedCells: changed,
+      placeables: plan.placeables.length,
+    });
+    return changed > 0 || plan.placeables.length > 0;
+  } catch (error) {
+    GameErrors.input(error, { stage: 'pasteSelectionAt', coordinates: { gridX, gridY } });
+    return false;
+  } finally {
+    c.selection.select(plan.cells);
+    c.selection.setTool('marquee');
+    notifySelectionChanged(c);
+  }
+}
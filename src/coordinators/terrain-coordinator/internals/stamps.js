@@ -0,0 +1,177 @@
+// Internal terrain stamp helpers for TerrainCoordinator: capture with placeables, paste as one
+// undo step (shared with selection pasting), and library changes announced to the UI through a
+// window event.
+import { logger, LOG_LEVEL, LOG_CATEGORY } from '../../../utils/Logger.js';
+import { GameErrors } from '../../../utils/ErrorHandler.js';
+import {
+  describeTilePlaceables,
+  placePlaceableEntry,
+} from '../../persistence-coordinator/sceneEntities.js';
+import { cancelOtherModalTools } from './tools.js';
+
+/** Fired on window with detail { mode, stampName, names } whenever stamps or the mode change. */
+export const STAMPS_CHANGED_EVENT = 'taverntable:stamps';
+
+// ── Notifications ─────────────────────────────────────────────────
+
+export function notifyStampsChanged(c) {
+  if (typeof window === 'undefined' || typeof CustomEvent !== 'function') return;
+  const { mode, stampName, library } = c.stamps;
+  window.dispatchEvent(
+    new CustomEvent(STAMPS_CHANGED_EVENT, {
+      detail: { mode, stampName, names: library.names() },
+    })
+  );
+}
+
+// ── Modes ─────────────────────────────────────────────────────────
+
+/**
+ * Arm region capture: the next drag in terrain mode saves a rectangle as a stamp. Other modal
+ * terrain tools are left first.
+ * @param {string} name library name; an existing stamp with this name is replaced
+ * @returns {boolean} false when the name is blank
+ */
+export function startStampCapture(c, name) {
+  cancelOtherModalTools(c, 'stamps');
+  const started = c.stamps.beginCapture(name);
+  notifyStampsChanged(c);
+  return started;
+}
+
+/**
+ * Arm pasting of a library stamp; each click in terrain mode pastes it centred on the tile.
+ * Other modal terrain tools are left first.
+ * @param {string} name
+ * @returns {boolean} false when no stamp has this name
+ */
+export function startStampPaste(c, name) {
+  cancelOtherModalTools(c, 'stamps');
+  const started = c.stamps.beginPaste(name);
+  notifyStampsChanged(c);
+  c._inputHandlers._rerenderPreviewAtLastHover();
+  return started;
+}
+
+/** Leave stamp capture/paste mode and return to the terrain brush. */
+export function cancelStampMode(c) {
+  c.stamps.cancel();
+  try {
+    c.terrainManager?.clearBrushPreview?.();
+  } catch (_) {
+    /* ignore */
+  }
+  notifyStampsChanged(c);
+}
+
+/** Rotate the stamp being pasted a quarter turn clockwise. */
+export function rotateStamp(c) {
+  c.stamps.rotate(1);
+  notifyStampsChanged(c);
+  c._inputHandlers._rerenderPreviewAtLastHover();
+}
+
+/** Toggle left-right mirroring of the stamp being pasted. */
+export function mirrorStamp(c) {
+  c.stamps.toggleMirror();
+  notifyStampsChanged(c);
+  c._inputHandlers._rerenderPreviewAtLastHover();
+}
+
+/**
+ * Remove a stamp from the library.
+ * @returns {boolean} true if it existed
+ */
+export function deleteStamp(c, name) {
+  const removed = c.stamps.library.remove(name);
+  if (removed && c.stamps.stampName === name) c.stamps.cancel();
+  notifyStampsChanged(c);
+  return removed;
+}
+
+// ── Capture ───────────────────────────────────────────────────────
+
+/**
+ * Save the dragged capture region (heights and placeables) to the stamp library.
+ * @returns {object|null} the saved stamp
+ */
+export function finishStampCapture(c) {
+  try {
+    const tm = c.terrainManager;
+    const stamp = c.stamps.finishCapture((x, y) => describeTilePlaceables(tm, x, y));
+    if (stamp) {
+      logger.log(LOG_LEVEL.INFO, 'Terrain stamp captured', LOG_CATEGORY.USER, {
+        name: stamp.name,
+        width: stamp.width,
+        height: stamp.height,
+        placeables: stamp.placeables.length,
+      });
+    }
+    return stamp;
+  } catch (error) {
+    GameErrors.input(error, { stage: 'finishStampCapture' });
+    return null;
+  } finally {
+    notifyStampsChanged(c);
+  }
+}
+
+// ── Paste ─────────────────────────────────────────────────────────
+
+/**
+ * Write a planned stamp or clipboard paste: heights, then placeables, as one undo step.
+ * Shared by stamp and selection pasting; errors propagate to the caller.
+ * @param {string} label undo step label
+ * @param {{cells: Array<{x:number,y:number,currentHeight:number,previewHeight:number}>,
+ *   placeables: Array<object>}} plan from planStampPaste
+ * @returns {Promise<number>} tiles whose height changed
+ */
+export async function applyPastePlan(c, label, { cells, placeables }) {
+  const history = c.gameManager?.historyCoordinator;
+  const tm = c.terrainManager;
+  try {
+    history?.beginStroke(label);
+    const changed = cells
+      .filter((cell) => cell.previewHeight !== cell.currentHeight)
+      .map(({ x, y, previewHeight }) => ({ x, y, height: previewHeight }));
+    if (changed.length) c.setHeightsAt(changed);
+    if (placeables.length && tm) {
+      const place = async () => {
+        for (const entry of placeables) {
+          await placePlaceableEntry(tm, entry);
+        }
+        tm.flushUpdateQueue?.();
+        c.gameManager?.reinstanceExistingPlants?.();
+      };
+      await (history ? history.trackPlaceables(label, cells, place) : place());
+    }
+    return changed.length;
+  } finally {
+    history?.endStroke();
+  }
+}
+
+/**
+ * Paste the armed stamp centred on a cell: heights and placeables are one undo step.
+ * Paste mode stays armed so the same stamp can be placed repeatedly.
+ * @returns {Promise<boolean>} true if anything was pasted
+ */
+export async function pasteStampAt(c, gridX, gridY) {
+  const plan = c.stamps.planPasteAt(gridX, gridY);
+  if (!plan.cells.length) return false;
+  try {
+    const changed = await applyPastePlan(c, 'Paste stamp', plan);
+    logger.log(LOG_LEVEL.INFO, 'Terrain stamp pasted', LOG_CATEGORY.USER, {
+      name: c.stamps.stampName,
+      center: { x: gridX, y: gridY },
+      rotation: c.stamps.rotation * 90,
+      mirror: c.stamps.mirror,
+      changedCells: changed,
+      placeables: plan.placeables.length,
+    });
+    return changed > 0 || plan.placeables.length > 0;
+  } catch (error) {
+    GameErrors.input(error, { stage: 'pasteStampAt', coordinates: { gridX, gridY } });
+    return false;
+  }
+}
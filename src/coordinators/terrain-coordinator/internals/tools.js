@@ -23,7 +23,7 @@ const clampToOddBrushSize = (value) => {
 export function setTerrainTool(c, tool) {
   let sanitizedTool;
   if (typeof Sanitizers?.enum === 'function') {
-    sanitizedTool = Sanitizers.enum(tool, 'raise', ['raise', 'lower']);
+    sanitizedTool = Sanitizers.enum(tool, 'raise', TERRAIN_CONFIG.BRUSH_TOOLS);
     logger.debug(
       'Used Sanitizers.enum for validation',
       {
@@ -33,7 +33,7 @@ export function setTerrainTool(c, tool) {
       LOG_CATEGORY.SYSTEM
     );
   } else {
-    const allowedTools = ['raise', 'lower'];
+    const allowedTools = TERRAIN_CONFIG.BRUSH_TOOLS;
     sanitizedTool = allowedTools.includes(tool) ? tool : 'raise';
     logger.debug(
       'Used fallback validation',
@@ -60,6 +60,84 @@ export function setTerrainTool(c, tool) {
   );
 }
 
+// ── Target Height ─────────────────────────────────────────────────
+
+/** Set the level painted by the 'set' and 'fill' tools; returns the clamped level. */
+export function setBrushTargetHeight(c, height) {
+  if (!c?.brush) return null;
+  c.brush.setTargetHeight(height);
+  logger.debug(
+    'Brush target height changed',
+    {
+      context: 'TerrainCoordinator.setBrushTargetHeight',
+      requested: height,
+      targetHeight: c.brush.targetHeight,
+    },
+    LOG_CATEGORY.USER
+  );
+  return c.brush.targetHeight;
+}
+
+/** Set the tread height of the stairs tool; returns the step in effect. */
+export function setBrushStairStep(c, step) {
+  if (!c?.brush) return null;
+  c.brush.setStairStep(step);
+  logger.debug(
+    'Brush stair step changed',
+    {
+      context: 'TerrainCoordinator.setBrushStairStep',
+      requested: step,
+      stairStep: c.brush.stairStep,
+    },
+    LOG_CATEGORY.USER
+  );
+  return c.brush.stairStep;
+}
+
+// ── Brush Shape & Falloff ─────────────────────────────────────────
+
+/** Set the footprint outline (see TERRAIN_CONFIG.BRUSH_SHAPES); returns the shape in effect. */
+export function setBrushShape(c, shape) {
+  if (!c?.brush) return null;
+  c.brush.setShape(shape);
+  logger.debug(
+    'Brush shape changed',
+    { context: 'TerrainCoordinator.setBrushShape', requested: shape, shape: c.brush.shape },
+    LOG_CATEGORY.USER
+  );
+  return c.brush.shape;
+}
+
+/** Set the edge falloff (see TERRAIN_CONFIG.BRUSH_FALLOFFS); returns the falloff in effect. */
+export function setBrushFalloff(c, falloff) {
+  if (!c?.brush) return null;
+  c.brush.setFalloff(falloff);
+  logger.debug(
+    'Brush falloff changed',
+    { context: 'TerrainCoordinator.setBrushFalloff', requested: falloff, falloff: c.brush.falloff },
+    LOG_CATEGORY.USER
+  );
+  return c.brush.falloff;
+}
+
+// ── Modal Tools ───────────────────────────────────────────────────
+
+// Tools that take over terrain-mode clicks from the brush: the coordinator property holding each
+// one and the coordinator method that leaves it
+const MODAL_TOOLS = [
+  ['stamps', 'cancelStampMode'],
+  ['selection', 'cancelSelectionTool'],
+  ['roads', 'cancelRoadTool'],
+  ['biomePaint', 'cancelBiomePaint'],
+];
+
+/** Leave every armed modal tool except `keep`, so only one tool handles terrain input. */
+export function cancelOtherModalTools(c, keep) {
+  MODAL_TOOLS.forEach(([key, cancel]) => {
+    if (key !== keep && c[key]?.isActive?.()) c[cancel]();
+  });
+}
+
 // ── Brush Size Accessors ───────────────────────────────────────────
 
 export function getBrushSize(c) {
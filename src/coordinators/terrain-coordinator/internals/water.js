@@ -0,0 +1,98 @@
+// Internal water helpers for TerrainCoordinator: the per-map water level, depth lookups and the
+// wading/swimming flag kept on each placed token.
+import { logger, LOG_LEVEL, LOG_CATEGORY } from '../../../utils/Logger.js';
+import {
+  normalizeWaterLevel,
+  getWaterDepth,
+  getWaterState,
+} from '../../../terrain/water/WaterLevel.js';
+
+/** Fired on window with detail { waterLevel, wading, swimming } when water or token states change. */
+export const WATER_CHANGED_EVENT = 'taverntable:water';
+
+// ── Notifications ─────────────────────────────────────────────────
+
+export function notifyWaterChanged(c) {
+  if (typeof window === 'undefined' || typeof CustomEvent !== 'function') return;
+  const tokens = c.gameManager?.placedTokens || [];
+  window.dispatchEvent(
+    new CustomEvent(WATER_CHANGED_EVENT, {
+      detail: {
+        waterLevel: c.waterLevel,
+        wading: tokens.filter((t) => t?.waterState === 'wading').length,
+        swimming: tokens.filter((t) => t?.waterState === 'swimming').length,
+      },
+    })
+  );
+}
+
+// ── Queries ───────────────────────────────────────────────────────
+
+/** @returns {number} levels of water over a tile */
+export function getWaterDepthAt(c, gridX, gridY) {
+  if (c.waterLevel === null || !c.dataStore) return 0;
+  return getWaterDepth(c.dataStore.get(gridX, gridY), c.waterLevel);
+}
+
+/** @returns {'wading'|'swimming'|null} */
+export function getWaterStateAt(c, gridX, gridY) {
+  return getWaterState(getWaterDepthAt(c, gridX, gridY));
+}
+
+// ── Water Level ───────────────────────────────────────────────────
+
+/**
+ * Set the map's water level, rebuild the 3D water surface and re-flag tokens.
+ * @param {number|null} level
+ * @returns {number|null} the level applied
+ */
+export function setWaterLevel(c, level) {
+  const next = normalizeWaterLevel(level);
+  if (next === c.waterLevel) return next;
+  c.waterLevel = next;
+  try {
+    c.gameManager?.threeSceneManager?.syncWaterSurface?.();
+    // Water is difficult terrain, so movement ranges cost more across it
+    c.gameManager?.token3DAdapter?.invalidateMovementRange?.();
+  } catch (_) {
+    /* ignore 3D sync errors */
+  }
+  logger.log(LOG_LEVEL.INFO, 'Water level set', LOG_CATEGORY.USER, { waterLevel: next });
+  // syncTokenWaterStates notifies when a token changed; otherwise announce the level here
+  if (!syncTokenWaterStates(c)) notifyWaterChanged(c);
+  return next;
+}
+
+// ── Tokens ────────────────────────────────────────────────────────
+
+/**
+ * Flag each placed token as wading or swimming from the water depth on its tile (the flag is
+ * removed on dry land). Cheap enough to run every frame.
+ * @returns {number} tokens whose state changed
+ */
+export function syncTokenWaterStates(c) {
+  const tokens = c.gameManager?.placedTokens || [];
+  let changed = 0;
+  for (const token of tokens) {
+    if (!token || !Number.isInteger(token.gridX) || !Number.isInteger(token.gridY)) continue;
+    const depth = getWaterDepthAt(c, token.gridX, token.gridY);
+    const state = getWaterState(depth);
+    if ((token.waterState || null) === state) continue;
+    if (state) token.waterState = state;
+    else delete token.waterState;
+    changed++;
+    logger.log(
+      LOG_LEVEL.DEBUG,
+      state ? `Token ${state}` : 'Token left the water',
+      LOG_CATEGORY.USER,
+      {
+        type: token.type || token.creature?.type,
+        gridX: token.gridX,
+        gridY: token.gridY,
+        depth,
+      }
+    );
+  }
+  if (changed) notifyWaterChanged(c);
+  return changed;
+}
@@ -0,0 +1,167 @@
+// Internal river/road helpers for TerrainCoordinator: carve a generated waterway into the height
+// field and paint its surface in one undo step, the two-click road tool, and surface repaints.
+import { logger, LOG_LEVEL, LOG_CATEGORY } from '../../../utils/Logger.js';
+import { GameErrors } from '../../../utils/ErrorHandler.js';
+import { planRiver, WATERWAY_EDGES } from '../../../terrain/waterways/WaterwayGenerator.js';
+import { cancelOtherModalTools } from './tools.js';
+
+/** Fired on window with detail { roadTool, hasRoadStart, surfaces } when waterways change. */
+export const WATERWAYS_CHANGED_EVENT = 'taverntable:waterways';
+
+// ── Notifications ─────────────────────────────────────────────────
+
+export function notifyWaterwaysChanged(c) {
+  if (typeof window === 'undefined' || typeof CustomEvent !== 'function') return;
+  window.dispatchEvent(
+    new CustomEvent(WATERWAYS_CHANGED_EVENT, {
+      detail: {
+        roadTool: c.roads.isActive(),
+        hasRoadStart: !!c.roads.start,
+        surfaces: c.dataStore.listSurfaces().length,
+      },
+    })
+  );
+}
+
+/** Repaint 2D tiles and rebuild the 3D terrain after the surface layer changed. */
+export function refreshSurfaceVisuals(c) {
+  try {
+    if (!c.isTerrainModeActive) c.applyBiomePaletteToBaseGrid();
+  } catch (_) {
+    /* non-fatal */
+  }
+  try {
+    c.gameManager?.notifyTerrainHeightsChanged?.();
+  } catch (_) {
+    /* ignore notify errors */
+  }
+}
+
+// ── Surfaces ──────────────────────────────────────────────────────
+
+/** @returns {string|null} surface type painted on a tile ('river', 'road') */
+export function getSurfaceAt(c, gridX, gridY) {
+  return c.dataStore.getSurface(gridX, gridY);
+}
+
+/**
+ * Replace the surface layer (undo/redo, scene loads) and repaint.
+ * @param {Array<{x:number, y:number, type:string}>} entries
+ */
+export function loadSurfaces(c, entries) {
+  c.dataStore.loadSurfaces(entries);
+  refreshSurfaceVisuals(c);
+  notifyWaterwaysChanged(c);
+}
+
+/**
+ * Write a planned waterway: heights and surface type together as one undo step.
+ * @param {Array<{x:number,y:number,height:number}>} cells
+ * @returns {number} tiles painted
+ */
+function applyWaterway(c, label, type, cells) {
+  const history = c.gameManager?.historyCoordinator;
+  try {
+    history?.beginStroke(label);
+    const paint = () => cells.filter(({ x, y }) => c.dataStore.setSurface(x, y, type)).length;
+    const painted = history ? history.trackSurfaces(label, paint) : paint();
+    const changed = cells.filter(({ x, y, height }) => c.getTerrainHeight(x, y) !== height);
+    // setHeightsAt repaints; otherwise only the surface changed and needs its own repaint
+    if (!changed.length || !c.setHeightsAt(changed)) refreshSurfaceVisuals(c);
+    logger.log(LOG_LEVEL.INFO, label, LOG_CATEGORY.USER, {
+      tiles: painted,
+      changedHeights: changed.length,
+    });
+    return painted;
+  } catch (error) {
+    GameErrors.input(error, { stage: 'applyWaterway', label });
+    return 0;
+  } finally {
+    history?.endStroke();
+    notifyWaterwaysChanged(c);
+  }
+}
+
+/**
+ * Remove every river and road surface (one undo step); heights are left as carved.
+ * @returns {number} tiles cleared
+ */
+export function clearSurfaces(c) {
+  const history = c.gameManager?.historyCoordinator;
+  const count = c.dataStore.listSurfaces().length;
+  if (!count) return 0;
+  const clear = () => c.dataStore.clearSurfaces();
+  if (history) history.trackSurfaces('Clear rivers and roads', clear);
+  else clear();
+  refreshSurfaceVisuals(c);
+  notifyWaterwaysChanged(c);
+  return count;
+}
+
+// ── Rivers ────────────────────────────────────────────────────────
+
+/**
+ * Trace a river downhill between two map edges over the current heights and carve its channel
+ * (one undo step).
+ * @param {{source?: 'north'|'south'|'east'|'west', mouth?: 'north'|'south'|'east'|'west', seed?: number}} [options]
+ * @returns {number} river tiles (0 when the edges are invalid)
+ */
+export function carveRiver(c, options = {}) {
+  const { source = 'north', mouth = 'south' } = options;
+  if (!WATERWAY_EDGES.includes(source) || !WATERWAY_EDGES.includes(mouth)) return 0;
+  const seed = Number.isFinite(options.seed) ? options.seed : c._biomeSeed >>> 0;
+  const plan = planRiver(c.dataStore.working, { source, mouth, seed });
+  if (!plan) return 0;
+  return applyWaterway(c, 'Carve river', 'river', plan.cells);
+}
+
+// ── Roads ─────────────────────────────────────────────────────────
+
+/**
+ * Arm the road tool: two clicks in terrain mode pick the road's ends. Other modal terrain tools
+ * are left first.
+ * @returns {boolean} true
+ */
+export function startRoadTool(c) {
+  cancelOtherModalTools(c, 'roads');
+  c.roads.begin();
+  notifyWaterwaysChanged(c);
+  c._inputHandlers._rerenderPreviewAtLastHover();
+  return true;
+}
+
+/** Leave the road tool and return to the terrain brush. */
+export function cancelRoadTool(c) {
+  c.roads.cancel();
+  try {
+    c.terrainManager?.clearBrushPreview?.();
+  } catch (_) {
+    /* ignore */
+  }
+  notifyWaterwaysChanged(c);
+}
+
+/**
+ * Build the lowest-slope road between two tiles and level it (one undo step).
+ * @param {{x: number, y: number}} from
+ * @param {{x: number, y: number}} to
+ * @returns {number} road tiles (0 when either end is outside the grid)
+ */
+export function buildRoad(c, from, to) {
+  const plan = c.roads.planRoad(from, to);
+  if (!plan) return 0;
+  return applyWaterway(c, 'Build road', 'road', plan.cells);
+}
+
+/**
+ * Road tool click: the first pick marks the start, the second builds the road.
+ * @returns {number} road tiles built by this click
+ */
+export function pickRoadTile(c, gridX, gridY) {
+  const ends = c.roads.pick(gridX, gridY);
+  if (!ends) {
+    notifyWaterwaysChanged(c);
+    return 0;
+  }
+  return buildRoad(c, ends.from, ends.to);
+}
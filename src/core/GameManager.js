@@ -28,7 +28,7 @@ import {
   ERROR_CATEGORY,
 } from '../utils/ErrorHandler.js';
 import { Sanitizers } from '../utils/Validation.js';
-import { GRID_CONFIG } from '../config/GameConstants.js';
+import { GRID_CONFIG, TOKEN_OCCUPANCY_CONFIG } from '../config/GameConstants.js';
 import { TERRAIN_CONFIG } from '../config/terrain/TerrainConstants.js';
 import { getTokenCommand } from '../config/TokenCommandConfig.js';
 
@@ -37,6 +37,8 @@ import { RenderCoordinator } from '../coordinators/RenderCoordinator.js';
 import { StateCoordinator } from '../coordinators/StateCoordinator.js';
 import { InputCoordinator } from '../coordinators/InputCoordinator.js';
 import { TerrainCoordinator } from '../coordinators/TerrainCoordinator.js';
+import { PersistenceCoordinator } from '../coordinators/PersistenceCoordinator.js';
+import { HistoryCoordinator } from '../coordinators/HistoryCoordinator.js';
 // 3D Transition Phase 0: Spatial coordinator (grid <-> world abstraction)
 import { SpatialCoordinator } from '../scene/picking/SpatialCoordinator.js';
 import { ThreeSceneManager } from '../scene/ThreeSceneManager.js';
@@ -50,6 +52,7 @@ import { PickingService } from '../scene/picking/PickingService.js';
 import { TerrainHeightUtils } from '../utils/terrain/TerrainHeightUtils.js';
 
 const EMOTE_COMMAND_PREFIX = 'emote-';
+const ADVANCE_COMMAND_ID = 'advance';
 const EMOTE_IDLE_ACTIONS = ['idle', 'idleVariant2', 'idleVariant3', 'idleVariant4', 'idleVariant5'];
 
 // Import existing managers
@@ -90,6 +93,8 @@ class GameManager {
     this.stateCoordinator = new StateCoordinator(this);
     this.inputCoordinator = new InputCoordinator(this);
     this.terrainCoordinator = new TerrainCoordinator(this);
+    this.persistenceCoordinator = new PersistenceCoordinator(this);
+    this.historyCoordinator = new HistoryCoordinator(this);
 
     // Managers will be initialized after app creation in initialize()
     this.tokenManager = null;
@@ -103,6 +108,9 @@ class GameManager {
     this.renderMode = '3d';
     this.threeSceneManager = null; // lazy init when entering hybrid mode
     this.terrainRebuilder = null; // Phase 2: debounced terrain mesh updates
+    this._terrainRebuildBatch = 0; // >0 while batchTerrainRebuild() defers rebuild requests
+    this._terrainRebuildPending = false;
+    this._terrainRebuildPendingCells = []; // tiles edited during the batch; null = rebuild all
     this.placeableMeshPool = null; // Phase 4: instanced placeables (scaffold)
     this.pickingService = null; // Centralized picking abstraction
     // Feature flags (incremental enablement of new systems)
@@ -336,14 +344,22 @@ class GameManager {
                     targetEl
                   );
                   let hoverToken = null;
+                  let hoverGridX = null;
+                  let hoverGridY = null;
                   if (ground?.grid) {
                     const gx = Math.round(ground.grid.gx);
                     const gy = Math.round(ground.grid.gy);
-                    if (Number.isFinite(gx) && Number.isFinite(gy) && this.findExistingTokenAt) {
-                      hoverToken = this.findExistingTokenAt(gx, gy) || null;
+                    if (Number.isFinite(gx) && Number.isFinite(gy)) {
+                      hoverGridX = gx;
+                      hoverGridY = gy;
+                      if (this.findExistingTokenAt) {
+                        hoverToken = this.findExistingTokenAt(gx, gy) || null;
+                      }
                     }
                   }
                   this.token3DAdapter.setHoverToken(hoverToken);
+                  // Preview the selected token's route to the tile under the pointer
+                  this.token3DAdapter.previewMovementPath?.(hoverGridX, hoverGridY);
                   try {
                     const t1 =
                       (typeof performance !== 'undefined' && performance.now()) || Date.now();
@@ -788,6 +804,9 @@ class GameManager {
   /** Commit the drag (apply grid change) */
   commitTokenDrag() {
     if (!this._draggingToken) return false;
+    if (this.historyCoordinator?.isRecording()) {
+      return this.historyCoordinator.trackTokens('Move token', () => this.commitTokenDrag());
+    }
     const token = this._draggingToken;
     const from = { ...(this._dragStart || { gx: token.gridX, gy: token.gridY }) };
     const to = { ...(this._dragLastPreview || from) };
@@ -869,6 +888,15 @@ class GameManager {
       return true;
     }
 
+    // Advance orders given to one token of a multi-selection go to the whole group
+    const group = this.token3DAdapter?.getSelectedTokens?.() || [];
+    const isAdvance =
+      commandId === ADVANCE_COMMAND_ID || commandId.startsWith(`${ADVANCE_COMMAND_ID}-`);
+    if (isAdvance && group.length > 1 && group.includes(targetToken)) {
+      group.forEach((token) => this._setTokenQuickCommand(token, commandId));
+      return true;
+    }
+
     if (targetToken) {
       this._setTokenQuickCommand(targetToken, commandId);
     }
@@ -880,6 +908,27 @@ class GameManager {
     return true;
   }
 
+  /**
+   * Put a token on a side for the allies pass-through rule; saved with the scene.
+   * @param {string} allegiance one of TOKEN_OCCUPANCY_CONFIG.ALLEGIANCES
+   * @returns {boolean} false for an unknown token or allegiance
+   */
+  setTokenAllegiance(tokenEntry, allegiance) {
+    const token = this._resolveTokenEntry(tokenEntry);
+    if (!token || !TOKEN_OCCUPANCY_CONFIG.ALLEGIANCES.includes(allegiance)) return false;
+    if (allegiance === TOKEN_OCCUPANCY_CONFIG.DEFAULT_ALLEGIANCE) {
+      delete token.allegiance;
+    } else {
+      token.allegiance = allegiance;
+    }
+    try {
+      this.token3DAdapter?.invalidateMovementRange?.();
+    } catch (_) {
+      /* ignore */
+    }
+    return true;
+  }
+
   /**
    * Ensure the instanced placeables mesh pool exists if the feature flag is enabled.
    * Safe to call repeatedly (idempotent). Returns the pool instance or null if not created.
@@ -1160,7 +1209,7 @@ class GameManager {
 
   /**
    * Set current terrain tool
-   * @param {string} tool - Tool name ('raise' or 'lower')
+   * @param {string} tool - Tool name (see TERRAIN_CONFIG.BRUSH_TOOLS)
    */
   setTerrainTool(tool) {
     if (this.terrainCoordinator) {
@@ -1218,6 +1267,129 @@ class GameManager {
     return this.terrainCoordinator ? this.terrainCoordinator.isTerrainModeActive : false;
   }
 
+  /**
+   * Capture the whole table (terrain, biome, placeables, tokens, lighting, camera)
+   * as a versioned, JSON-serializable scene document.
+   * @returns {object} scene document
+   */
+  exportScene() {
+    return this.persistenceCoordinator.exportScene();
+  }
+
+  /**
+   * Replace the current table with a previously exported scene document.
+   * Older documents are migrated; invalid ones are rejected unless `repair` is set.
+   * @param {object|string} doc scene document or its JSON text
+   * @param {{repair?: boolean}} [options] repair drops/clamps invalid parts instead of failing
+   * @returns {Promise<{placeables: number, tokens: number, skipped: string[], repairs: string[], migratedFrom: number[]}>}
+   * @throws {Error} When the document cannot be read, migrated or validated
+   */
+  async importScene(doc, options = {}) {
+    const result = await this.historyCoordinator.runUnrecorded(() =>
+      this.persistenceCoordinator.importScene(doc, options)
+    );
+    // A loaded scene starts a fresh history
+    this.historyCoordinator.clear();
+    return result;
+  }
+
+  /**
+   * Open the autosave store and mark this session as running.
+   * @returns {Promise<{uncleanShutdown: boolean, snapshot: object|null}>} newest autosave
+   *   when the previous session did not shut down cleanly
+   */
+  async beginAutosaveSession() {
+    return this.persistenceCoordinator.autosave.beginSession();
+  }
+
+  /** Start periodic and on-change autosaves. */
+  startAutosave() {
+    this.persistenceCoordinator.autosave.start();
+  }
+
+  /**
+   * Replace the current table with an autosave snapshot.
+   * @param {object} snapshot record returned by beginAutosaveSession()
+   * @returns {Promise<object>} importScene summary
+   */
+  async restoreAutosave(snapshot) {
+    const result = await this.historyCoordinator.runUnrecorded(() =>
+      this.persistenceCoordinator.autosave.restore(snapshot)
+    );
+    this.historyCoordinator.clear();
+    return result;
+  }
+
+  /**
+   * Revert the most recent table edit.
+   * @returns {Promise<string|null>} label of the undone step, or null if nothing to undo
+   */
+  async undo() {
+    return this.historyCoordinator.undo();
+  }
+
+  /**
+   * Re-apply the most recently undone table edit.
+   * @returns {Promise<string|null>} label of the redone step, or null if nothing to redo
+   */
+  async redo() {
+    return this.historyCoordinator.redo();
+  }
+
+  /**
+   * Set how many undo steps are kept (clamped to HISTORY_CONFIG.MIN_DEPTH..MAX_DEPTH).
+   * @param {number} depth
+   */
+  setUndoDepth(depth) {
+    this.historyCoordinator.setDepth(depth);
+  }
+
+  /**
+   * Export the terrain height field as a heightmap file.
+   * @param {'png'|'csv'} [format='png'] 16-bit grayscale PNG or CSV
+   * @returns {Promise<string|Uint8Array>} CSV text or PNG bytes
+   */
+  async exportHeightmap(format = 'png') {
+    return this.terrainCoordinator.exportHeightmap(format);
+  }
+
+  /**
+   * Replace the terrain heights with a heightmap file, resampled to the grid or resizing it.
+   * @param {string|ArrayBuffer|Uint8Array} input CSV text or PNG/CSV bytes
+   * @param {{format?: 'png'|'csv', resizeGrid?: boolean}} [options]
+   * @returns {Promise<{cols: number, rows: number, sourceCols: number, sourceRows: number, warnings: string[]}>}
+   * @throws {Error} When the file cannot be decoded or fails validation
+   */
+  async importHeightmap(input, options = {}) {
+    return this.terrainCoordinator.importHeightmap(input, options);
+  }
+
+  /**
+   * Render the board straight down into a printable PNG battle map.
+   * @param {{pixelsPerTile?: number, gridOverlay?: boolean, gridLabels?: boolean, printScale?: boolean}} [options]
+   * @returns {Promise<{bytes: Uint8Array, width: number, height: number, pixelsPerTile: number}>}
+   * @throws {Error} When the 3D renderer is unavailable
+   */
+  async exportMapImage(options = {}) {
+    if (!this.threeSceneManager?.exportTopDownMapPNG) {
+      throw new Error('Map export needs the 3D view; it is not available right now.');
+    }
+    return this.threeSceneManager.exportTopDownMapPNG(options);
+  }
+
+  /**
+   * Export the 3D board as a binary glTF model (terrain, placeables, tokens).
+   * @param {{terrain?: boolean, placeables?: boolean, tokens?: boolean}} [options]
+   * @returns {Promise<{bytes: Uint8Array, stats: {terrain: boolean, placeables: number, tokens: number}}>}
+   * @throws {Error} When the 3D renderer is unavailable
+   */
+  async exportSceneModel(options = {}) {
+    if (!this.threeSceneManager?.exportSceneGLB) {
+      throw new Error('GLB export needs the 3D view; it is not available right now.');
+    }
+    return this.threeSceneManager.exportSceneGLB(options);
+  }
+
   getViewMode() {
     return this.stateCoordinator?.getViewMode() || 'isometric';
   }
@@ -1236,6 +1408,11 @@ class GameManager {
    * @throws {Error} When dimensions are invalid or out of range
    */
   resizeGrid(newCols, newRows, centerAfterResize = false) {
+    if (this.historyCoordinator?.isRecording()) {
+      return this.historyCoordinator.trackScene('Resize grid', () =>
+        this.resizeGrid(newCols, newRows, centerAfterResize)
+      );
+    }
     try {
       // Sanitize and validate input parameters
       const sanitizedCols = Sanitizers.integer(newCols, GRID_CONFIG.DEFAULT_COLS, {
@@ -1292,15 +1469,52 @@ class GameManager {
 
   // ── Event Handlers ─────────────────────────────────────────
 
-  /** Phase 2 hook: invoked by TerrainCoordinator after height edits to schedule 3D rebuild. */
-  notifyTerrainHeightsChanged() {
+  /**
+   * Run `apply` with terrain rebuild notifications coalesced: however many height changes it
+   * makes, the 3D terrain is rebuilt once when it finishes.
+   * @param {Function} apply may return a promise
+   * @returns {Promise<*>} apply's result
+   */
+  async batchTerrainRebuild(apply) {
+    this._terrainRebuildBatch++;
+    try {
+      return await apply();
+    } finally {
+      this._terrainRebuildBatch--;
+      if (this._terrainRebuildBatch === 0 && this._terrainRebuildPending) {
+        const cells = this._terrainRebuildPendingCells;
+        this._terrainRebuildPending = false;
+        this._terrainRebuildPendingCells = [];
+        this.notifyTerrainHeightsChanged(cells || undefined);
+      }
+    }
+  }
+
+  /**
+   * Schedule a 3D terrain rebuild and height resync after terrain heights change.
+   * @param {Array<{x: number, y: number}>} [cells] tiles that changed; on chunked maps only their
+   *   chunks are rebuilt. Omit to rebuild everything.
+   */
+  notifyTerrainHeightsChanged(cells) {
+    if (this._terrainRebuildBatch > 0) {
+      // Carry the edited tiles through the batch; any full-rebuild request makes it full
+      if (!Array.isArray(cells)) this._terrainRebuildPendingCells = null;
+      else if (this._terrainRebuildPendingCells) this._terrainRebuildPendingCells.push(...cells);
+      this._terrainRebuildPending = true;
+      return;
+    }
+    try {
+      this.token3DAdapter?.invalidateMovementRange?.();
+    } catch (_) {
+      /* ignore */
+    }
     if (!this.terrainRebuilder || !this.threeSceneManager || !this.is3DModeActive()) {
       return;
     }
     // Synchronous optimistic request so callers (and tests) can observe the call immediately.
     // A second debounced request with the three namespace (if available) will override args.
     try {
-      this.terrainRebuilder.request();
+      this.terrainRebuilder.request(cells ? { cells } : undefined);
     } catch (_) {
       /* ignore */
     }
@@ -1308,7 +1522,7 @@ class GameManager {
       import('three')
         .then((threeNS) => {
           try {
-            this.terrainRebuilder.request({ three: threeNS });
+            this.terrainRebuilder.request(cells ? { three: threeNS, cells } : { three: threeNS });
             // After scheduling rebuild, resync token heights (placeables future when we store per-instance coords)
             try {
               this.token3DAdapter?.resyncHeights?.();
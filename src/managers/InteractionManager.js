@@ -30,7 +30,14 @@ import {
   handleTokenMovementKeyDown as _handleMovementDown,
   handleTokenMovementKeyUp as _handleMovementUp,
   shouldIgnoreKeyTarget as _shouldIgnoreKey,
+  handleHistoryKeyDown as _handleHistory,
+  handleWaypointCancelKeyDown as _handleWaypointCancel,
 } from './interaction-manager/internals/keyboard.js';
+import {
+  startBoxSelect as _startBoxSelect,
+  updateBoxSelect as _updateBoxSelect,
+  finishBoxSelect as _finishBoxSelect,
+} from './interaction-manager/internals/boxSelect.js';
 import {
   start3DRotation as _start3DRotation,
   update3DRotation as _update3DRotation,
@@ -76,6 +83,9 @@ export class InteractionManager {
     this._pendingRadialContext = null;
     this._radialDragThresholdSq = 81; // ~9px of pointer travel cancels radial capture
     this._radialProjectVector = null;
+
+    // Ctrl/⌘+left-drag token selection box
+    this._boxSelect = null;
   }
 
   // ── Lifecycle ─────────────────────────────────────────────
@@ -132,6 +142,13 @@ export class InteractionManager {
         return;
       }
 
+      if ((event.ctrlKey || event.metaKey) && this.gameManager?.token3DAdapter?.setSelectedTokens) {
+        this._activeDragButton = 0;
+        this.startBoxSelect(event);
+        this._ensureGlobalDragListeners();
+        return;
+      }
+
       // Regular left click = token placement
       this.handleLeftClick(event);
     });
@@ -157,6 +174,11 @@ export class InteractionManager {
           }
         }
       }
+      if (this._boxSelect) {
+        this.updateBoxSelect(event);
+        return;
+      }
+
       if (this.isRotating3D) {
         this.update3DRotation(event);
         return;
@@ -191,7 +213,9 @@ export class InteractionManager {
       }
 
       if (event.button === 0) {
-        if (this.isRotating3D) {
+        if (this._boxSelect) {
+          this.finishBoxSelect(event);
+        } else if (this.isRotating3D) {
           this.stop3DRotation();
         } else if (this.isDragging) {
           this.stopGridDragging();
@@ -221,7 +245,12 @@ export class InteractionManager {
         this.gameManager?.token3DAdapter?.setShiftModifier?.(true);
       }
 
-      if (this._handleTokenRotationKeyDown(event) || this._handleTokenMovementKeyDown(event)) {
+      if (
+        this._handleHistoryKeyDown(event) ||
+        this._handleWaypointCancelKeyDown(event) ||
+        this._handleTokenRotationKeyDown(event) ||
+        this._handleTokenMovementKeyDown(event)
+      ) {
         event.preventDefault();
       }
     });
@@ -316,12 +345,17 @@ export class InteractionManager {
             return;
           }
 
+          const adapter = gm?.token3DAdapter;
           if (tokenEntry) {
-            this._selectTokenEntry(tokenEntry);
+            // Shift+click adds the token to the selection, or drops it from there
+            if (event.shiftKey && typeof adapter?.toggleTokenSelection === 'function') {
+              adapter.toggleTokenSelection(tokenEntry);
+            } else {
+              this._selectTokenEntry(tokenEntry);
+            }
             return;
           }
 
-          const adapter = gm?.token3DAdapter;
           const selectedToken = adapter?.getSelectedToken?.() || null;
           const canNavigate =
             selectedToken &&
@@ -333,30 +367,49 @@ export class InteractionManager {
 
           if (canNavigate) {
             const tokenDescriptor = this._describeTokenForLogs(selectedToken);
+            // Shift+click appends a waypoint; a plain click replaces the route
+            const queueing = !!event.shiftKey && typeof adapter.queueWaypoint === 'function';
+            const source = queueing ? 'grid-shift-click' : 'grid-click';
+            // Several selected tokens move together in the chosen formation
+            const group = adapter.getSelectedTokens?.() || [selectedToken];
+            const groupMove = group.length > 1 && typeof adapter.navigateGroupToGrid === 'function';
             logger.log('Token navigation requested', LOG_LEVEL.INFO, LOG_CATEGORY.INTERACTION, {
-              source: 'grid-click',
+              source,
               token: tokenDescriptor,
               target: { gridX, gridY },
+              group: groupMove ? group.length : null,
             });
 
-            const result = adapter.navigateToGrid(selectedToken, gridX, gridY);
+            if (!queueing) group.forEach((token) => adapter.cancelWaypointQueue?.(token));
+            let result;
+            if (groupMove) {
+              result = adapter.navigateGroupToGrid(group, gridX, gridY, { queue: queueing });
+            } else {
+              result = queueing
+                ? adapter.queueWaypoint(selectedToken, gridX, gridY)
+                : adapter.navigateToGrid(selectedToken, gridX, gridY);
+            }
             if (result) {
               logger.log('Token navigation accepted', LOG_LEVEL.INFO, LOG_CATEGORY.INTERACTION, {
-                source: 'grid-click',
+                source,
                 token: tokenDescriptor,
                 target: { gridX, gridY },
                 goal: result.goal ? { gridX: result.goal.gridX, gridY: result.goal.gridY } : null,
                 speedMode: result.speedMode || null,
                 distance: Number.isFinite(result.distance) ? result.distance : null,
+                queued: Number.isFinite(result.queued) ? result.queued : null,
+                moved: Number.isFinite(result.moved) ? result.moved : null,
               });
               return;
             }
 
             logger.log('Token navigation rejected', LOG_LEVEL.WARN, LOG_CATEGORY.INTERACTION, {
-              source: 'grid-click',
+              source,
               token: tokenDescriptor,
               target: { gridX, gridY },
             });
+            // A refused waypoint keeps the selection and the route already queued
+            if (queueing) return;
           }
 
           this._clearTokenSelection();
@@ -392,6 +445,10 @@ export class InteractionManager {
   }
 
   _handleGlobalMouseMove(event) {
+    if (this._boxSelect) {
+      this.updateBoxSelect(event);
+      return;
+    }
     if (this.isRotating3D) {
       this.update3DRotation(event);
       return;
@@ -422,6 +479,9 @@ export class InteractionManager {
     }
 
     if (this._activeDragButton === 0) {
+      if (this._boxSelect) {
+        this.finishBoxSelect(event);
+      }
       if (this.isRotating3D) {
         this.stop3DRotation();
       } else if (this.isDragging) {
@@ -514,6 +574,29 @@ export class InteractionManager {
     return _resetZoom(this);
   }
 
+  _handleHistoryKeyDown(event) {
+    return _handleHistory(this, event);
+  }
+
+  _handleWaypointCancelKeyDown(event) {
+    return _handleWaypointCancel(this, event);
+  }
+
+  /** Begin a Ctrl/⌘+drag token selection box */
+  startBoxSelect(event) {
+    return _startBoxSelect(this, event);
+  }
+
+  /** Stretch the selection box to the pointer */
+  updateBoxSelect(event) {
+    return _updateBoxSelect(this, event);
+  }
+
+  /** Select the tokens inside the box and remove it */
+  finishBoxSelect(event) {
+    return _finishBoxSelect(this, event);
+  }
+
   _handleTokenRotationKeyDown(event) {
     return _handleRotationDown(this, event);
   }
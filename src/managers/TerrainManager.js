@@ -41,6 +41,7 @@ import {
 } from './terrain-manager/internals/sorting.js';
 import {
   updateTerrainDisplay as _updateDisplay,
+  updateTerrainCells as _updateCells,
   processUpdateQueue as _processUpdates,
   flushUpdateQueue as _flushUpdates,
 } from './terrain-manager/internals/updates.js';
@@ -92,7 +93,7 @@ export class TerrainManager {
    */
   placeItem(id, x, y) {
     try {
-      return _placeItem(this, id, x, y);
+      return this._trackTile('Place item', x, y, () => _placeItem(this, id, x, y));
     } catch (_) {
       return false;
     }
@@ -108,7 +109,7 @@ export class TerrainManager {
    */
   removeItem(id, x, y) {
     try {
-      return _removeItem(this, x, y, id);
+      return this._trackTile('Remove item', x, y, () => _removeItem(this, x, y, id));
     } catch (_) {
       return false;
     }
@@ -342,7 +343,7 @@ export class TerrainManager {
         }
       }
       const preResolvedId = placeableId;
-      const result = _placeItem(this, placeableId, x, y);
+      const result = this._trackTile('Place item', x, y, () => _placeItem(this, placeableId, x, y));
       const success = !!result;
       const afterList = getTileEntries();
       let resolvedId = preResolvedId;
@@ -440,7 +441,11 @@ export class TerrainManager {
       // Delegate to internals implementation
       const mod = await import('./terrain-manager/internals/placeables.js');
       const fn = mod.cyclePlaceableVariant;
-      if (typeof fn === 'function') return fn(this, x, y, placeableId, index);
+      if (typeof fn === 'function') {
+        return this._trackTile('Change item variant', x, y, () =>
+          fn(this, x, y, placeableId, index)
+        );
+      }
       return false;
     } catch (e) {
       // Fallback: no-op
@@ -451,7 +456,7 @@ export class TerrainManager {
   /** Remove a placeable item (optionally by id) from a tile. */
   removeTerrainItem(x, y, placeableId = null) {
     try {
-      return _removeItem(this, x, y, placeableId);
+      return this._trackTile('Remove item', x, y, () => _removeItem(this, x, y, placeableId));
     } catch (e) {
       logger.warn(
         'removeTerrainItem failed',
@@ -480,6 +485,15 @@ export class TerrainManager {
 
   // ── Private Helpers ─────────────────────────────────────────
 
+  /** Run a placeable mutation on one tile through the undo history (when available). */
+  _trackTile(label, x, y, apply) {
+    const history = this.gameManager?.historyCoordinator;
+    const result = history ? history.trackPlaceables(label, [{ x, y }], apply) : apply();
+    // Trees and structures block movement, so the selected token's range may have changed
+    this.gameManager?.token3DAdapter?.invalidateMovementRange?.();
+    return result;
+  }
+
   /**
    * DECOMPOSED METHOD: Validate tile creation inputs
    * @private
@@ -724,6 +738,14 @@ export class TerrainManager {
     return _updateDisplay(this, centerX, centerY, brushSize);
   }
 
+  /**
+   * Update terrain display for an explicit set of cells
+   * @param {Array<{x:number,y:number}>} cells
+   */
+  updateTerrainCells(cells) {
+    return _updateCells(this, cells);
+  }
+
   /**
    * Process queued terrain tile updates with performance throttling
    */
@@ -884,7 +906,16 @@ export class TerrainManager {
         const getHeight = this.terrainCoordinator?.getTerrainHeight?.bind?.(
           this.terrainCoordinator
         );
-        if (brush && typeof getHeight === 'function') {
+        const planned = cells.every((cell) => Number.isFinite(cell?.previewHeight));
+        if (brush && planned) {
+          // Cells already carry the brush's planned heights (see TerrainBrushController.planAt)
+          previewStyle3D = {
+            ...options,
+            previewMode: 'terrain-height',
+            brushTool: brush.tool || 'raise',
+            heightStep: Number.isFinite(brush.heightStep) ? Math.abs(brush.heightStep) : 1,
+          };
+        } else if (brush && typeof getHeight === 'function') {
           const maxH = Number.isFinite(TERRAIN_CONFIG?.MAX_HEIGHT)
             ? TERRAIN_CONFIG.MAX_HEIGHT
             : Infinity;
@@ -155,7 +155,7 @@ export class TokenManager {
    * @param {Object} token - Token to remove
    */
   removeToken(token) {
-    return _removeToken(this, token);
+    return this._trackTokens('Remove token', () => _removeToken(this, token));
   }
 
   /**
@@ -165,7 +165,9 @@ export class TokenManager {
    * @param {Object} gridContainer - Grid container to add token to
    */
   placeNewToken(gridX, gridY, gridContainer) {
-    return _placeNewToken(this, gridX, gridY, gridContainer);
+    return this._trackTokens('Place token', () =>
+      _placeNewToken(this, gridX, gridY, gridContainer)
+    );
   }
 
   placeTokenOfType(tokenType, gridX, gridY, gridContainer) {
@@ -180,7 +182,9 @@ export class TokenManager {
     }
 
     try {
-      return _placeNewToken(this, gridX, gridY, gridContainer);
+      return this._trackTokens('Place token', () =>
+        _placeNewToken(this, gridX, gridY, gridContainer)
+      );
     } finally {
       this.selectedTokenType = previousType;
       if (hadWindow) {
@@ -199,7 +203,9 @@ export class TokenManager {
    * @param {Object} token - Token sprite to snap
    */
   snapToGrid(token, pointerLocalX = null, pointerLocalY = null) {
-    return _snapTokenToGrid(this, token, pointerLocalX, pointerLocalY);
+    return this._trackTokens('Move token', () =>
+      _snapTokenToGrid(this, token, pointerLocalX, pointerLocalY)
+    );
   }
 
   // ── Collection & Interactions ──────────────────────────
@@ -223,4 +229,12 @@ export class TokenManager {
   setupTokenInteractions(sprite, tokenData) {
     return _setupTokenInteractions(this, sprite, tokenData);
   }
+
+  // ── Private Helpers ────────────────────────────────────
+  /** Run a token mutation through the undo history (when available). */
+  _trackTokens(label, apply) {
+    const history = this.gameManager?.historyCoordinator;
+    if (!history) return apply();
+    return history.trackTokens(label, apply);
+  }
 }
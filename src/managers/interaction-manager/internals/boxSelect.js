@@ -0,0 +1,111 @@
+// Token box selection — Ctrl/⌘+left-drag draws a screen-space box; releasing it selects every
+// 3D token whose on-screen position lies inside (added to the selection when Shift is held).
+
+import { logger, LOG_LEVEL, LOG_CATEGORY } from '../../../utils/Logger.js';
+
+// ── Constants ───────────────────────────────────────────────────
+
+const MIN_BOX_SIZE = 4; // px; anything smaller is a stray Ctrl+click and selects nothing
+
+// ── Helpers ─────────────────────────────────────────────────────
+
+function boxRect(box) {
+  return {
+    left: Math.min(box.originX, box.lastX),
+    top: Math.min(box.originY, box.lastY),
+    right: Math.max(box.originX, box.lastX),
+    bottom: Math.max(box.originY, box.lastY),
+  };
+}
+
+function drawBox(box) {
+  if (!box.el) return;
+  const rect = boxRect(box);
+  box.el.style.left = `${rect.left}px`;
+  box.el.style.top = `${rect.top}px`;
+  box.el.style.width = `${rect.right - rect.left}px`;
+  box.el.style.height = `${rect.bottom - rect.top}px`;
+}
+
+// ── Box Start ───────────────────────────────────────────────────
+
+/**
+ * Begin a selection box at the pointer.
+ * @param {InteractionManager} c - InteractionManager context
+ * @param {MouseEvent} event
+ */
+export function startBoxSelect(c, event) {
+  let el = null;
+  if (typeof document !== 'undefined' && document.body) {
+    el = document.createElement('div');
+    el.className = 'token-box-select';
+    Object.assign(el.style, {
+      position: 'fixed',
+      pointerEvents: 'none',
+      border: '1px dashed #38bdf8',
+      background: 'rgba(56, 189, 248, 0.12)',
+      zIndex: '1000',
+    });
+    document.body.appendChild(el);
+  }
+  c._boxSelect = {
+    originX: event.clientX,
+    originY: event.clientY,
+    lastX: event.clientX,
+    lastY: event.clientY,
+    el,
+  };
+  drawBox(c._boxSelect);
+  event.preventDefault();
+  event.stopPropagation();
+}
+
+// ── Box Update ──────────────────────────────────────────────────
+
+export function updateBoxSelect(c, event) {
+  const box = c._boxSelect;
+  if (!box) return;
+  box.lastX = event.clientX;
+  box.lastY = event.clientY;
+  drawBox(box);
+}
+
+// ── Box End ─────────────────────────────────────────────────────
+
+/**
+ * Close the box and select the tokens inside it.
+ * @returns {object[]|null} tokens inside the box, or null when the box was too small to count
+ */
+export function finishBoxSelect(c, event) {
+  const box = c._boxSelect;
+  if (!box) return null;
+  if (event) updateBoxSelect(c, event);
+  c._boxSelect = null;
+  box.el?.remove();
+
+  const rect = boxRect(box);
+  if (rect.right - rect.left < MIN_BOX_SIZE && rect.bottom - rect.top < MIN_BOX_SIZE) return null;
+  const adapter = c.gameManager?.token3DAdapter;
+  if (typeof adapter?.setSelectedTokens !== 'function') return null;
+
+  const tokens = (c.gameManager.placedTokens || []).filter((token) => {
+    const point = c._get3DTokenScreenPosition(token);
+    return (
+      !!point &&
+      point.x >= rect.left &&
+      point.x <= rect.right &&
+      point.y >= rect.top &&
+      point.y <= rect.bottom
+    );
+  });
+  const additive = !!event?.shiftKey;
+  const current = additive ? adapter.getSelectedTokens?.() || [] : [];
+  adapter.setSelectedTokens([...current, ...tokens]);
+
+  logger.log('Token box selection', LOG_LEVEL.INFO, LOG_CATEGORY.INTERACTION, {
+    rect,
+    additive,
+    selected: tokens.length,
+  });
+  return tokens;
+}
@@ -1,4 +1,4 @@
-// Keyboard input handlers for token rotation and movement.
+// Keyboard input handlers for token rotation, movement, waypoint and undo/redo shortcuts.
 // Extracted from InteractionManager.js (Phase 8).
 // Follows the same (context, event) pattern as pan.js, zoom.js, picking.js.
 
@@ -144,3 +144,52 @@ export function handleTokenMovementKeyUp(c, event) {
     return false;
   }
 }
+
+// ── Waypoint Queue ──────────────────────────────────────────────
+
+/**
+ * Escape cancels the selected tokens' queued waypoints (every token's when none is selected).
+ * @returns {boolean} true when waypoints were cancelled
+ */
+export function handleWaypointCancelKeyDown(c, event) {
+  try {
+    if (!event || event.code !== 'Escape') return false;
+    if (shouldIgnoreKeyTarget(event.target)) return false;
+    const adapter = c.gameManager?.token3DAdapter;
+    if (typeof adapter?.cancelWaypointQueue !== 'function') return false;
+    const selected = adapter.getSelectedTokens?.() || [adapter.getSelectedToken?.()];
+    const tokens = selected.filter(Boolean);
+    if (!tokens.length) return adapter.cancelWaypointQueue(null) > 0;
+    return tokens.reduce((removed, token) => removed + adapter.cancelWaypointQueue(token), 0) > 0;
+  } catch (_) {
+    return false;
+  }
+}
+
+// ── Undo / Redo Shortcuts ───────────────────────────────────────
+
+/**
+ * Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redoes the last table edit.
+ * @returns {boolean} true when the event was a history shortcut
+ */
+export function handleHistoryKeyDown(c, event) {
+  try {
+    if (!event || !(event.ctrlKey || event.metaKey) || event.altKey) return false;
+    const isUndoKey = event.code === 'KeyZ';
+    const isRedoKey = event.code === 'KeyY' && !event.shiftKey;
+    if (!isUndoKey && !isRedoKey) return false;
+    if (shouldIgnoreKeyTarget(event.target)) return false;
+
+    const gm = c.gameManager;
+    if (typeof gm?.undo !== 'function') return false;
+    if (event.repeat) return true;
+    if (isRedoKey || event.shiftKey) {
+      gm.redo();
+    } else {
+      gm.undo();
+    }
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
@@ -32,6 +32,21 @@ export function updateTerrainDisplay(m, centerX, centerY, brushSize) {
   }
 }
 
+/** Enqueue an explicit list of cells (e.g. a flood-filled region) and trigger processing. */
+export function updateTerrainCells(m, cells) {
+  try {
+    for (const { x, y } of cells || []) {
+      if (m.isValidGridPosition(x, y)) m.updateQueue.add(`${x},${y}`);
+    }
+    processUpdateQueue(m);
+  } catch (error) {
+    GameErrors.rendering(error, {
+      stage: 'updateTerrainCells',
+      cellCount: cells?.length,
+    });
+  }
+}
+
 // ── Throttled Queue Processing ─────────────────────────────────
 
 /** Process queued updates with throttling to maintain frame rate. */
@@ -257,6 +257,11 @@ export function snapTokenToGrid(c, token, pointerLocalX = null, pointerLocalY =
       } catch (_) {
         /* ignore */
       }
+      try {
+        c.gameManager?.terrainCoordinator?.syncTokenWaterStates?.();
+      } catch (_) {
+        /* ignore */
+      }
       logger.debug(
         `Token snapped to grid (${target.gridX}, ${target.gridY})`,
         {
@@ -9,6 +9,9 @@ import { errorHandler, ERROR_SEVERITY, ERROR_CATEGORY } from '../utils/ErrorHand
 import { installLightingMethods } from './lighting/LightingSystem.js';
 import { installGridOverlayMethods } from './grid/GridOverlay.js';
 import { installCameraMethods } from './camera/CameraSystem.js';
+import { installMapExportMethods } from './export/MapExport.js';
+import { installGltfExportMethods } from './export/GltfExport.js';
+import { installWaterSurfaceMethods } from './water/WaterSurface.js';
 
 export class ThreeSceneManager {
   // ── Constructor ───────────────────────────────────────────────────────────
@@ -39,6 +42,8 @@ export class ThreeSceneManager {
     this._sunLastAnimTs = null;
     this._sunLerpTauMs = 220;
     this.brushOverlay = null;
+    this.movementRangeOverlay = null;
+    this.waypointRouteOverlay = null;
     this._gridOverlayGroup = null;
     this._gridOverlayKey = null;
     this._gridOverlayBaseStyle = {
@@ -53,12 +58,14 @@ export class ThreeSceneManager {
     this._ambientLight = null;
     this._hemisphereLight = null;
     this._timeOfDayProfile = null;
-    this._terrainColorAttribute = null;
-    this._terrainBaseColors = null;
-    this._terrainColorGeometryId = null;
+    // Terrain vertex colours before the time-of-day tint, per chunk ('terrain' for one mesh)
+    this._terrainColorBases = new Map();
     this._placeablePool = null;
     this._colorCacheLinear = new Map();
     this._pendingLightingProfile = null;
+    this._waterGroup = null;
+    this._waterProfile = null;
+    this._waterAnimFn = null;
     // User-facing toggles
     this.showBootstrapGrid = true;
     this._isoMode = false;
@@ -718,27 +725,38 @@ export class ThreeSceneManager {
     }
   }
 
-  _computeTileHeights(cols, rows) {
+  /**
+   * World heights of tile surfaces, row by row.
+   * @param {Array<{x: number, y: number}>} [cells] sample only these tiles (the rest stay 0)
+   * @returns {{heights: Float32Array, elevationUnit: number}}
+   */
+  _computeTileHeights(cols, rows, cells) {
     const total = cols * rows;
     const heights = new Float32Array(total);
     const gm = this.gameManager;
     const hasSampler = !!(gm && typeof gm.getTerrainHeight === 'function');
     const unitRaw = gm?.spatial?.elevationUnit;
     const elevationUnit = Number.isFinite(unitRaw) ? unitRaw : 0.5;
-
-    let idx = 0;
-    for (let gy = 0; gy < rows; gy += 1) {
-      for (let gx = 0; gx < cols; gx += 1, idx += 1) {
-        let heightLevel = 0;
-        if (hasSampler) {
-          try {
-            const sample = gm.getTerrainHeight(gx, gy);
-            if (Number.isFinite(sample)) heightLevel = sample;
-          } catch (_) {
-            /* ignore */
-          }
+    const sample = (gx, gy) => {
+      let heightLevel = 0;
+      if (hasSampler) {
+        try {
+          const h = gm.getTerrainHeight(gx, gy);
+          if (Number.isFinite(h)) heightLevel = h;
+        } catch (_) {
+          /* ignore */
         }
-        heights[idx] = heightLevel * elevationUnit;
+      }
+      heights[gy * cols + gx] = heightLevel * elevationUnit;
+    };
+
+    if (Array.isArray(cells)) {
+      for (const { x, y } of cells) {
+        if (x >= 0 && y >= 0 && x < cols && y < rows) sample(x, y);
+      }
+    } else {
+      for (let gy = 0; gy < rows; gy += 1) {
+        for (let gx = 0; gx < cols; gx += 1) sample(gx, gy);
       }
     }
 
@@ -937,12 +955,29 @@ export class ThreeSceneManager {
     } catch (_) {
       /* ignore */
     }
+    try {
+      this._disposeWaterSurface();
+    } catch (_) {
+      /* ignore */
+    }
     try {
       this.brushOverlay?.dispose?.();
     } catch (_) {
       /* ignore */
     }
     this.brushOverlay = null;
+    try {
+      this.movementRangeOverlay?.dispose?.();
+    } catch (_) {
+      /* ignore */
+    }
+    this.movementRangeOverlay = null;
+    try {
+      this.waypointRouteOverlay?.dispose?.();
+    } catch (_) {
+      /* ignore */
+    }
+    this.waypointRouteOverlay = null;
     this._gridOverlayGroup = null;
     this._gridOverlayKey = null;
     try {
@@ -989,3 +1024,6 @@ try {
 installLightingMethods(ThreeSceneManager.prototype);
 installGridOverlayMethods(ThreeSceneManager.prototype);
 installCameraMethods(ThreeSceneManager.prototype);
+installMapExportMethods(ThreeSceneManager.prototype);
+installGltfExportMethods(ThreeSceneManager.prototype);
+installWaterSurfaceMethods(ThreeSceneManager.prototype);
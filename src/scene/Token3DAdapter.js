@@ -43,6 +43,8 @@ import {
   CLIMB_APPROACH_TOLERANCE_SPRINT_SCALE,
   MAX_INTERMEDIATE_CLIMB_CHAIN,
   PATH_STALL_REPATH_DELAY,
+  PATH_DIFFICULT_TERRAIN_FACTOR,
+  PATH_GROUP_SHARED_TILE_FACTOR,
   SELECTION_COLLIDER_HEIGHT,
   SELECTION_COLLIDER_RADIUS_RATIO,
   CLIMB_RECOVER_DEFAULT_CROUCH_DROP,
@@ -57,9 +59,19 @@ import {
   FALL_HEIGHT_VERBOSE_STORAGE_KEYS,
   TOKEN_WORLD_LOCK_PROP,
 } from './token-adapter/MannequinConfig.js';
+import {
+  MOVEMENT_RANGE_CONFIG,
+  GROUP_MOVE_CONFIG,
+  TOKEN_OCCUPANCY_CONFIG,
+} from '../config/GameConstants.js';
 import { installAnimationMethods } from './token-adapter/AnimationController.js';
 import { installSelectionMethods } from './token-adapter/SelectionEffects.js';
 import { installMeshFactoryMethods } from './token-adapter/MeshFactory.js';
+import { installMovementRangeMethods } from './token-adapter/MovementRange.js';
+import { installWaypointMethods } from './token-adapter/WaypointQueue.js';
+import { installGroupMovementMethods } from './token-adapter/GroupMovement.js';
+import { installOccupancyMethods } from './token-adapter/TileOccupancy.js';
+import { findTokenPath, nextTokenPathLeg } from './token-adapter/TokenPathfinder.js';
 
 export class Token3DAdapter {
   // ── Constructor & Initialization ─────────────────────────────────────────────
@@ -70,6 +82,7 @@ export class Token3DAdapter {
     this._verticalBias = 0;
     this._hoverToken = null;
     this._selectedToken = null;
+    this._selectedTokens = new Set();
     this._originalMaterials = new WeakMap();
     this._threePromise = null;
     this._fbxCtorPromise = null;
@@ -89,6 +102,14 @@ export class Token3DAdapter {
     this._pathingLogArchive = [];
     this._manualAnimationRevertTimers = new WeakMap();
     this._manualAnimationStates = new WeakMap();
+    this._movementRangeFeet = MOVEMENT_RANGE_CONFIG.DEFAULT_FEET;
+    this._movementRangeKey = null;
+    this._movementRangeTiles = null;
+    this._movementPathHoverKey = null;
+    this._waypointQueues = new Map();
+    this._waypointRouteKey = null;
+    this._groupFormation = GROUP_MOVE_CONFIG.DEFAULT_FORMATION;
+    this._alliesPassThrough = TOKEN_OCCUPANCY_CONFIG.ALLIES_PASS_THROUGH;
   }
 
   // ── Pathing & Debug Logging ─────────────────────────────────────────────
@@ -607,6 +628,25 @@ export class Token3DAdapter {
             /* ignore */
           }
 
+          try {
+            gmRef?.terrainCoordinator?.syncTokenWaterStates?.();
+          } catch (_) {
+            /* ignore water state errors */
+          }
+
+          try {
+            this._advanceWaypointQueues();
+            this._syncWaypointRoutes();
+          } catch (_) {
+            /* ignore waypoint queue errors */
+          }
+
+          try {
+            this._syncMovementRange();
+          } catch (_) {
+            /* ignore movement range errors */
+          }
+
           try {
             const camera = gmRef?.threeSceneManager?.camera;
             if (!camera) return;
@@ -1153,6 +1193,7 @@ export class Token3DAdapter {
         climbAdvanceActive: false,
         climbAdvanceTargetWorld: null,
         climbContinuationGoal: null,
+        pathRoute: null,
         __pathingLogFlags: new Set(),
         __resumeProbe: null,
       };
@@ -1795,12 +1836,16 @@ export class Token3DAdapter {
       if (preserveLastGoal) {
         delete requestOptions.__maintainLastRequestedGoal;
       }
+      const groupMove = requestOptions.__group || null;
+      delete requestOptions.__group;
 
       const state = this._ensureMovementState(tokenEntry);
       if (!state) return null;
       if (!preserveLastGoal) {
         this._clearResumeProbe(state);
         state.climbContinuationGoal = null;
+        // Group mates and their tiles stay known to every re-plan until the next move order
+        state.groupMove = groupMove;
       }
       state.pathStallTime = 0;
       const tokenDescriptor = this._describeTokenForLogs(tokenEntry);
@@ -1886,7 +1931,49 @@ export class Token3DAdapter {
         : 0;
       let continuationGoal = state.climbContinuationGoal || null;
 
-      if (climbChainDepth < MAX_INTERMEDIATE_CLIMB_CHAIN) {
+      const route = this._planGridRoute(
+        tokenEntry,
+        currentGridX,
+        currentGridY,
+        targetGridX,
+        targetGridY
+      );
+      if (route === null) {
+        this._logPathing('navigate:no-route', {
+          token: tokenDescriptor,
+          from: { gridX: currentGridX, gridY: currentGridY },
+          requested: { gridX: requestedTargetGridX, gridY: requestedTargetGridY },
+        });
+        if (!preserveLastGoal) {
+          state.lastRequestedGoal = null;
+        }
+        return null;
+      }
+
+      if (route) {
+        // Travel the route one straight leg at a time; reaching a leg (or landing a climb on
+        // it) re-plans from there toward the requested goal.
+        const leg = route.path[route.legIndex];
+        if (leg.gridX !== requestedTargetGridX || leg.gridY !== requestedTargetGridY) {
+          continuationGoal = {
+            gridX: requestedTargetGridX,
+            gridY: requestedTargetGridY,
+            options: { ...requestOptions, __preferredSpeedMode: speedMode },
+          };
+        }
+        this._logPathing('navigate:route', {
+          token: tokenDescriptor,
+          steps: route.path.length - 1,
+          leg: { gridX: leg.gridX, gridY: leg.gridY },
+        });
+        targetGridX = leg.gridX;
+        targetGridY = leg.gridY;
+        targetHeightLevel = this._getTerrainHeight(targetGridX, targetGridY);
+        heightDelta =
+          Number.isFinite(startHeightLevel) && Number.isFinite(targetHeightLevel)
+            ? targetHeightLevel - startHeightLevel
+            : heightDelta;
+      } else if (climbChainDepth < MAX_INTERMEDIATE_CLIMB_CHAIN) {
         const intermediatePlan = this._planIntermediateClimbTraversal(
           currentGridX,
           currentGridY,
@@ -2183,6 +2270,7 @@ export class Token3DAdapter {
         clearOptions.preserveResumeProbe = true;
       }
       this._clearPathState(state, clearOptions);
+      state.pathRoute = route ? route.path : null;
       state.pathActive = true;
       state.pathGoal = { gridX: pathGoalGridX, gridY: pathGoalGridY, world: pathGoalWorld };
       state.pathSpeedMode = speedMode;
@@ -2572,6 +2660,9 @@ export class Token3DAdapter {
 
   _initiateStopPhase(state) {
     if (!state || state.phase === 'stop') return;
+    // A stop forced by an occupied tile plays runStop in place instead of gliding onward
+    const blocked = !!state.blockedStop;
+    state.blockedStop = false;
     state.activeStep = null;
     state.stepFinalized = true;
     state.phase = 'stop';
@@ -2591,10 +2682,15 @@ export class Token3DAdapter {
     const snapshot = this._captureMovementStyleSnapshot(state);
     this._updateMovementFlags(state, state.lastMoveSign || state.activeDirectionSign || -1);
     this._handleMovementStyleChange(state, snapshot);
-    const stopActionKey = state.stopActionKey;
+    const stopActionKey = blocked
+      ? this._resolveAvailableActionKey(state.token, 'runStop', state.stopActionKey)
+      : state.stopActionKey;
     const hasStopAction = !!(stopActionKey && data?.actions?.[stopActionKey]);
+    if (blocked && stopActionKey !== state.stopActionKey) {
+      state.stopDuration = this._getActionDuration(state.token, stopActionKey);
+    }
     let glideStep = null;
-    if (hasStopAction) {
+    if (hasStopAction && !blocked) {
       glideStep = this._createStopGlideStep(state, profile);
       if (glideStep) {
         state.activeStep = glideStep;
@@ -3403,6 +3499,19 @@ export class Token3DAdapter {
       nextWorld.y = baseNextY + worldYOffset;
     }
 
+    // Stop short of a tile another token or a tree/structure holds
+    const fromTile = this._mapWorldToGrid(currentWorld);
+    const toTile = this._mapWorldToGrid(nextWorld);
+    if (
+      Number.isFinite(toTile?.gridX) &&
+      Number.isFinite(toTile?.gridY) &&
+      (toTile.gridX !== fromTile?.gridX || toTile.gridY !== fromTile?.gridY) &&
+      this.isTileOccupiedFor(state.token, toTile.gridX, toTile.gridY)
+    ) {
+      this._stopAtOccupiedTile(state, toTile);
+      return;
+    }
+
     this._syncTokenAndMeshWorld(state, nextWorld);
 
     const actualDistance = Math.hypot(nextWorld.x - currentWorld.x, nextWorld.z - currentWorld.z);
@@ -3499,6 +3608,7 @@ export class Token3DAdapter {
     state.pathKey = null;
     state.pathTolerance = 0;
     state.pathReached = false;
+    state.pathRoute = null;
     state.__pathAdvanceLogAt = 0;
     if (!preserveResumeProbe) {
       if (silentResumeProbe) {
@@ -3754,6 +3864,7 @@ export class Token3DAdapter {
     const tokenEntry = state.token;
     const mesh = state.mesh;
     const climbInfo = this._cloneClimbWorldInfo(state.climbQueued);
+    const routed = Array.isArray(state.pathRoute);
 
     const tokenDescriptor = this._describeTokenForLogs(tokenEntry);
     this._logPathing('path:complete', {
@@ -3795,6 +3906,14 @@ export class Token3DAdapter {
       return;
     }
 
+    // End of a route leg: carry on toward the requested goal
+    if (routed && state.lastRequestedGoal) {
+      state.climbContinuationGoal = null;
+      if (this._reissueMaintainedGoal(state, state.lastRequestedGoal)) {
+        return;
+      }
+    }
+
     this._resetMovementState(state);
   }
 
@@ -4662,6 +4781,48 @@ export class Token3DAdapter {
     return Math.abs(fromX - toX) + Math.abs(fromY - toY);
   }
 
+  /**
+   * Plan an elevation-aware route (see TokenPathfinder.js) around cliffs, walls, blocking
+   * placeables and other tokens. During a group move the token walks past its group mates and
+   * steers clear of the tiles their routes and goals use.
+   * @returns {{path: Array<{gridX: number, gridY: number}>, legIndex: number}|null|undefined}
+   *   the route and the index of the tile its first straight leg ends on; null when the target
+   *   cannot be reached; undefined when the grid size is unknown and routing is unavailable
+   */
+  _planGridRoute(tokenEntry, startGridX, startGridY, targetGridX, targetGridY) {
+    const gm = this.gameManager;
+    if (!Number.isInteger(gm?.cols) || !Number.isInteger(gm?.rows)) return undefined;
+    const getHeight = (gx, gy) => this._getTerrainHeight(gx, gy);
+    const group = this._movementStates.get(tokenEntry)?.groupMove || null;
+    const occupancy = this.getTileOccupancy();
+    const isBlocked = (gx, gy) => this.isTileOccupiedFor(tokenEntry, gx, gy, occupancy);
+    const getMoveFactor = (gx, gy) =>
+      this._getGridMoveFactor(gx, gy) *
+      (group?.avoidTiles?.has(`${gx},${gy}`) ? PATH_GROUP_SHARED_TILE_FACTOR : 1);
+    const path = findTokenPath({
+      cols: gm.cols,
+      rows: gm.rows,
+      from: { gridX: startGridX, gridY: startGridY },
+      to: { gridX: targetGridX, gridY: targetGridY },
+      getHeight,
+      isBlocked,
+      getMoveFactor,
+    });
+    if (!path || path.length < 2) return null;
+    return { path, legIndex: nextTokenPathLeg(path, getHeight, isBlocked) };
+  }
+
+  /** @returns {number} movement cost multiplier for entering a tile (water is difficult terrain) */
+  _getGridMoveFactor(gx, gy) {
+    try {
+      const depth = this.gameManager?.terrainCoordinator?.getWaterDepthAt?.(gx, gy);
+      if (depth > 0) return PATH_DIFFICULT_TERRAIN_FACTOR;
+    } catch (_) {
+      /* ignore water lookup errors */
+    }
+    return 1;
+  }
+
   _planIntermediateClimbTraversal(startGridX, startGridY, targetGridX, targetGridY) {
     if (startGridX === targetGridX && startGridY === targetGridY) return null;
     const gm = this.gameManager;
@@ -5404,7 +5565,11 @@ export class Token3DAdapter {
     if (!tokenEntry || !tokenEntry.__threeMesh) return;
     const mesh = tokenEntry.__threeMesh;
     if (this._hoverToken === tokenEntry) this._hoverToken = null;
-    if (this._selectedToken === tokenEntry) this._selectedToken = null;
+    this._selectedTokens.delete(tokenEntry);
+    if (this._selectedToken === tokenEntry) {
+      this._selectedToken = this._selectedTokens.values().next().value || null;
+    }
+    this._waypointQueues.delete(tokenEntry);
     this._clearManualAnimationRevert(tokenEntry);
     this._clearManualAnimationState(tokenEntry);
     this._discardSelectionIndicator(tokenEntry);
@@ -5559,3 +5724,7 @@ export class Token3DAdapter {
 installAnimationMethods(Token3DAdapter.prototype);
 installSelectionMethods(Token3DAdapter.prototype);
 installMeshFactoryMethods(Token3DAdapter.prototype);
+installMovementRangeMethods(Token3DAdapter.prototype);
+installWaypointMethods(Token3DAdapter.prototype);
+installGroupMovementMethods(Token3DAdapter.prototype);
+installOccupancyMethods(Token3DAdapter.prototype);
@@ -624,6 +624,32 @@ function solveIsoPitchForTargetRatio(
   return best;
 }
 
+// ── Top-Down Capture ──────────────────────────────────────────────
+
+/**
+ * Build a standalone orthographic camera looking straight down at a board region, with grid
+ * columns running left→right and rows top→bottom (the top-down view without the iso yaw).
+ * Used for off-screen captures; the interactive camera is left untouched.
+ * @param {{minX: number, maxX: number, minZ: number, maxZ: number}} region world units
+ * @returns {object|null} THREE.OrthographicCamera
+ */
+function createTopDownCamera({ minX, maxX, minZ, maxZ }) {
+  const three = this.three;
+  if (!three?.OrthographicCamera) return null;
+  const metrics = this._getBoardMetrics();
+  const halfW = (maxX - minX) * 0.5;
+  const halfH = (maxZ - minZ) * 0.5;
+  // Well above the tallest terrain/placeables so nothing is clipped by the near plane
+  const altitude = (metrics?.maxHalfSpan || 25) * 4 + 100;
+  const camera = new three.OrthographicCamera(-halfW, halfW, halfH, -halfH, 0.1, altitude * 2);
+  camera.position.set(minX + halfW, altitude, minZ + halfH);
+  camera.up.set(0, 0, -1);
+  camera.lookAt(minX + halfW, 0, minZ + halfH);
+  camera.updateProjectionMatrix();
+  camera.updateMatrixWorld(true);
+  return camera;
+}
+
 // ── Mixin Installation ────────────────────────────────────────────
 
 export function installCameraMethods(prototype) {
@@ -643,4 +669,5 @@ export function installCameraMethods(prototype) {
   prototype.getZoom = getZoom;
   prototype.measureTileStepPixels = measureTileStepPixels;
   prototype.solveIsoPitchForTargetRatio = solveIsoPitchForTargetRatio;
+  prototype.createTopDownCamera = createTopDownCamera;
 }
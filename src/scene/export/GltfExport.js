@@ -0,0 +1,138 @@
+// GltfExport.js — Binary glTF (GLB) export of the 3D board.
+// Installed on ThreeSceneManager via mixin pattern. Runs entirely in the browser with three's
+// GLTFExporter: the terrain mesh (vertex colors included), every instanced placeable expanded
+// to its own node, and tokens at their current pose. Placeable nodes of one variant share the
+// pool's geometry and material, so the exporter writes each variant's mesh only once.
+
+const TERRAIN_MESH_NAME = 'TerrainMesh';
+const TOKEN_SELECTION_NAME = 'TokenSelectionIndicator';
+
+// ── Export ────────────────────────────────────────────────────────
+
+/**
+ * Serialize the board to a GLB file.
+ * @param {{terrain?: boolean, placeables?: boolean, tokens?: boolean}} [options] parts to
+ *   include (all by default)
+ * @returns {Promise<{bytes: Uint8Array, stats: {terrain: boolean, placeables: number, tokens: number}}>}
+ * @throws {Error} When the 3D view is unavailable or there is nothing to export
+ */
+async function exportSceneGLB(options = {}) {
+  const { terrain = true, placeables = true, tokens = true } = options;
+  const three = this.three;
+  if (!this.initialized || this.degraded || !this.scene || !three) {
+    throw new Error('GLB export needs the 3D view; it is not available right now.');
+  }
+  const GLTFExporter = await loadExporterCtor();
+
+  const roots = [];
+  const stats = { terrain: false, placeables: 0, tokens: 0 };
+  const terrainMesh = terrain ? this.scene.getObjectByName(TERRAIN_MESH_NAME) : null;
+  // Large maps keep the terrain as a group of chunk meshes
+  if (terrainMesh?.geometry || (terrainMesh?.userData?.chunked && terrainMesh.children.length)) {
+    roots.push(terrainMesh);
+    stats.terrain = true;
+  }
+  if (placeables) {
+    const group = this._buildPlaceableExportGroup(three);
+    if (group.children.length) {
+      roots.push(group);
+      stats.placeables = group.children.length;
+    }
+  }
+  const tokenMeshes = tokens ? this._collectTokenExportMeshes() : [];
+  roots.push(...tokenMeshes);
+  stats.tokens = tokenMeshes.length;
+  if (!roots.length) {
+    throw new Error('There is nothing on the board to export yet.');
+  }
+
+  // Selection rings are UI, not part of the model
+  const hidden = [];
+  tokenMeshes.forEach((mesh) => {
+    const ring = mesh.getObjectByName?.(TOKEN_SELECTION_NAME);
+    if (ring?.visible) {
+      ring.visible = false;
+      hidden.push(ring);
+    }
+  });
+  try {
+    const result = await new GLTFExporter().parseAsync(roots, {
+      binary: true,
+      onlyVisible: true,
+    });
+    return { bytes: new Uint8Array(result), stats };
+  } finally {
+    hidden.forEach((ring) => {
+      ring.visible = true;
+    });
+  }
+}
+
+// ── Private Helpers ───────────────────────────────────────────────
+
+/**
+ * One node per live placeable instance, posed with its instance matrix. Nodes of the same
+ * variant reference the pool's shared geometry and material.
+ */
+function _buildPlaceableExportGroup(three) {
+  const root = new three.Group();
+  root.name = 'Placeables';
+  const pool = this._placeablePool || this.gameManager?.placeableMeshPool;
+  if (!pool?._groups) return root;
+  const matrix = new three.Matrix4();
+  pool._groups.forEach((group, key) => {
+    const instanced = group?.instancedMesh;
+    if (!instanced || instanced.visible === false) return;
+    const material = exportableMaterial(instanced.material);
+    const live = pool._metadata?.get(key);
+    if (!live) return;
+    live.forEach((meta, index) => {
+      if (index >= instanced.count) return;
+      instanced.getMatrixAt(index, matrix);
+      const node = new three.Mesh(instanced.geometry, material);
+      node.name = `${key}@${meta?.gx ?? 0},${meta?.gy ?? 0}`;
+      matrix.decompose(node.position, node.quaternion, node.scale);
+      root.add(node);
+    });
+  });
+  return root;
+}
+
+/** Token meshes as they are posed right now (scene children, so local = world transform). */
+function _collectTokenExportMeshes() {
+  const tokens = this.gameManager?.placedTokens || [];
+  return tokens
+    .map((token) => token?.__threeMesh)
+    .filter((mesh) => mesh && mesh.parent === this.scene && mesh.visible !== false);
+}
+
+// ── Module Helpers ────────────────────────────────────────────────
+
+async function loadExporterCtor() {
+  const mod = await import('three/examples/jsm/exporters/GLTFExporter.js');
+  return mod.GLTFExporter || mod.default;
+}
+
+const exportMaterialCache = new WeakMap();
+
+/** Textures that never finished loading have no image to embed; export those untextured. */
+function exportableMaterial(material) {
+  if (!material || Array.isArray(material) || !material.map || material.map.image) {
+    return material;
+  }
+  let copy = exportMaterialCache.get(material);
+  if (!copy) {
+    copy = material.clone();
+    copy.map = null;
+    exportMaterialCache.set(material, copy);
+  }
+  return copy;
+}
+
+// ── Mixin Installation ────────────────────────────────────────────
+
+export function installGltfExportMethods(prototype) {
+  prototype.exportSceneGLB = exportSceneGLB;
+  prototype._buildPlaceableExportGroup = _buildPlaceableExportGroup;
+  prototype._collectTokenExportMeshes = _collectTokenExportMeshes;
+}
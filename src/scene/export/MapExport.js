@@ -0,0 +1,213 @@
+// MapExport.js — Printable top-down board images (tiled off-screen capture).
+// Installed on ThreeSceneManager via mixin pattern: reuses its renderer, scene, the
+// CameraSystem top-down camera and the GridOverlay lines rather than a separate renderer.
+
+import { MAP_EXPORT_CONFIG } from '../../config/GameConstants.js';
+import { setPngPixelsPerInch } from '../../utils/canvas/PngChunks.js';
+
+// ── Layout Helpers ────────────────────────────────────────────────
+
+/**
+ * Clamp a requested resolution to the configured range and so the whole board fits in
+ * MAX_OUTPUT_PX on its longer side.
+ * @param {number} value requested pixels per tile
+ * @param {number} cols
+ * @param {number} rows
+ * @returns {number}
+ */
+export function normalizePixelsPerTile(value, cols, rows) {
+  const requested = Math.round(Number(value));
+  const ppt = Number.isFinite(requested) ? requested : MAP_EXPORT_CONFIG.DEFAULT_PIXELS_PER_TILE;
+  const fit = Math.floor(MAP_EXPORT_CONFIG.MAX_OUTPUT_PX / Math.max(cols, rows, 1));
+  return Math.max(
+    MAP_EXPORT_CONFIG.MIN_PIXELS_PER_TILE,
+    Math.min(ppt, MAP_EXPORT_CONFIG.MAX_PIXELS_PER_TILE, fit)
+  );
+}
+
+/**
+ * Split an image into capture tiles no larger than `maxTilePx` on either side.
+ * @returns {Array<{x: number, y: number, width: number, height: number}>} pixel rectangles
+ */
+export function planCaptureTiles(width, height, maxTilePx) {
+  const tiles = [];
+  for (let y = 0; y < height; y += maxTilePx) {
+    for (let x = 0; x < width; x += maxTilePx) {
+      tiles.push({
+        x,
+        y,
+        width: Math.min(maxTilePx, width - x),
+        height: Math.min(maxTilePx, height - y),
+      });
+    }
+  }
+  return tiles;
+}
+
+/** Spreadsheet-style column letters: 0 → A, 25 → Z, 26 → AA. */
+export function columnLabel(index) {
+  let label = '';
+  let n = index + 1;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    label = String.fromCharCode(65 + rem) + label;
+    n = Math.floor((n - 1) / 26);
+  }
+  return label;
+}
+
+/** Battle-map coordinate for a grid cell, e.g. (0, 0) → "A1". */
+export function cellLabel(gridX, gridY) {
+  return `${columnLabel(gridX)}${gridY + 1}`;
+}
+
+// ── Capture ───────────────────────────────────────────────────────
+
+/**
+ * Render the whole board straight down at `pixelsPerTile`, tile by tile, into a 2D canvas.
+ * @param {{pixelsPerTile?: number, gridOverlay?: boolean, gridLabels?: boolean}} [options]
+ * @returns {{canvas: HTMLCanvasElement, pixelsPerTile: number}}
+ * @throws {Error} When the 3D renderer is unavailable
+ */
+function renderTopDownMap(options = {}) {
+  if (!this.initialized || this.degraded || !this.scene || !this.canvas) {
+    throw new Error('Map export needs the 3D view; it is not available right now.');
+  }
+  const { cols, rows, tileSize } = this._getBoardMetrics();
+  const ppt = normalizePixelsPerTile(options.pixelsPerTile, cols, rows);
+  const output = document.createElement('canvas');
+  output.width = cols * ppt;
+  output.height = rows * ppt;
+  const ctx = output.getContext('2d');
+
+  const gpuMax = this.renderer?.capabilities?.maxTextureSize;
+  const maxTilePx = Math.min(
+    MAP_EXPORT_CONFIG.MAX_CAPTURE_TILE_PX,
+    Number.isFinite(gpuMax) ? gpuMax : MAP_EXPORT_CONFIG.MAX_CAPTURE_TILE_PX
+  );
+  const restore = this._beginMapCapture(options);
+  try {
+    for (const tile of planCaptureTiles(output.width, output.height, maxTilePx)) {
+      const camera = this.createTopDownCamera({
+        minX: (tile.x / ppt) * tileSize,
+        maxX: ((tile.x + tile.width) / ppt) * tileSize,
+        minZ: (tile.y / ppt) * tileSize,
+        maxZ: ((tile.y + tile.height) / ppt) * tileSize,
+      });
+      this.renderer.setSize(tile.width, tile.height, false);
+      this.renderer.render(this.scene, camera);
+      // Copy before the browser presents the frame (drawing buffer is not preserved)
+      ctx.drawImage(
+        this.canvas,
+        0,
+        0,
+        tile.width,
+        tile.height,
+        tile.x,
+        tile.y,
+        tile.width,
+        tile.height
+      );
+    }
+  } finally {
+    restore();
+  }
+
+  if (options.gridLabels) {
+    this._drawMapGridLabels(ctx, cols, rows, ppt);
+  }
+  return { canvas: output, pixelsPerTile: ppt };
+}
+
+/**
+ * Render the board and encode it as PNG.
+ * @param {{pixelsPerTile?: number, gridOverlay?: boolean, gridLabels?: boolean, printScale?: boolean}} [options]
+ *   printScale tags the image so each tile prints one inch wide
+ * @returns {Promise<{bytes: Uint8Array, width: number, height: number, pixelsPerTile: number}>}
+ */
+async function exportTopDownMapPNG(options = {}) {
+  const { canvas, pixelsPerTile } = this.renderTopDownMap(options);
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob((b) => (b ? resolve(b) : reject(new Error('PNG encoding failed'))), 'image/png');
+  });
+  let bytes = new Uint8Array(await blob.arrayBuffer());
+  if (options.printScale) {
+    bytes = setPngPixelsPerInch(bytes, pixelsPerTile);
+  }
+  return { bytes, width: canvas.width, height: canvas.height, pixelsPerTile };
+}
+
+// ── Private Helpers ───────────────────────────────────────────────
+
+/**
+ * Prepare the scene for capture (print grid style or no grid, no brush preview or selection tint,
+ * 1:1 pixels).
+ * @returns {Function} restores the interactive state
+ */
+function _beginMapCapture({ gridOverlay = false } = {}) {
+  const renderer = this.renderer;
+  const prevRatio = renderer.getPixelRatio?.() ?? 1;
+  const prevSize =
+    renderer.getSize && this.three?.Vector2 ? renderer.getSize(new this.three.Vector2()) : null;
+  const prevGridVisible = this.showBootstrapGrid;
+
+  renderer.setPixelRatio?.(1);
+  this.clearTerrainBrushPreview?.();
+  const printStyle = gridOverlay
+    ? this.pushGridOverlayStyle({
+        fillAlpha: 0,
+        borderColor: MAP_EXPORT_CONFIG.GRID_LINE_COLOR,
+        borderAlpha: MAP_EXPORT_CONFIG.GRID_LINE_ALPHA,
+        highlightCells: [],
+      })
+    : null;
+  if (this._gridOverlayGroup) this._gridOverlayGroup.visible = !!gridOverlay;
+  // The highlight lives outside the grid group, so hiding the grid alone would still print it
+  const highlight = this._gridHighlightMesh;
+  if (highlight) highlight.visible = false;
+
+  return () => {
+    if (printStyle) this.popGridOverlayStyle(printStyle);
+    if (this._gridOverlayGroup) this._gridOverlayGroup.visible = !!prevGridVisible;
+    if (highlight) highlight.visible = true;
+    renderer.setPixelRatio?.(prevRatio);
+    if (prevSize) {
+      renderer.setSize(prevSize.x, prevSize.y, false);
+    } else {
+      this._resize();
+    }
+  };
+}
+
+/** Write the A1-style coordinate into the top-left corner of every cell. */
+function _drawMapGridLabels(ctx, cols, rows, ppt) {
+  const fontPx = Math.max(8, Math.round(ppt * 0.16));
+  const pad = Math.max(2, Math.round(ppt * 0.05));
+  ctx.save();
+  ctx.font = `600 ${fontPx}px ${MAP_EXPORT_CONFIG.LABEL_FONT_FAMILY}`;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.lineJoin = 'round';
+  ctx.lineWidth = Math.max(2, fontPx * 0.25);
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+  ctx.fillStyle = '#111111';
+  for (let gy = 0; gy < rows; gy++) {
+    for (let gx = 0; gx < cols; gx++) {
+      const label = cellLabel(gx, gy);
+      const x = gx * ppt + pad;
+      const y = gy * ppt + pad;
+      ctx.strokeText(label, x, y);
+      ctx.fillText(label, x, y);
+    }
+  }
+  ctx.restore();
+}
+
+// ── Mixin Installation ────────────────────────────────────────────
+
+export function installMapExportMethods(prototype) {
+  prototype.renderTopDownMap = renderTopDownMap;
+  prototype.exportTopDownMapPNG = exportTopDownMapPNG;
+  prototype._beginMapCapture = _beginMapCapture;
+  prototype._drawMapGridLabels = _drawMapGridLabels;
+}
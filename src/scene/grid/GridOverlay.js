@@ -1,11 +1,24 @@
-// GridOverlay.js — Grid overlay, brush preview, style stack, visibility toggles.
+// GridOverlay.js — Grid overlay, brush/movement/route previews, style stack, toggles.
 // Extracted from ThreeSceneManager.js (Phase 6). Installed via mixin pattern.
 
 import { GRID_CONFIG } from '../../config/GameConstants.js';
 import { TerrainBrushOverlay3D } from '../terrain/TerrainBrushOverlay3D.js';
+import { MovementRangeOverlay3D } from '../terrain/MovementRangeOverlay3D.js';
+import { WaypointRouteOverlay3D } from '../terrain/WaypointRouteOverlay3D.js';
+import { getTerrainMeshes } from '../terrain/TerrainChunks.js';
+
+// Floats per tile in the grid line buffer: four segments of two xyz points
+const LINE_FLOATS_PER_TILE = 24;
 
 // ── Grid Rebuild ───────────────────────────────────────────────────
 
+/** Fill sits just under the tile surface and lines just over it, scaled to the board. */
+function gridOverlayOffsets(tileSize, elevationUnit) {
+  const unitAbs = Math.max(Math.abs(elevationUnit), 0.0001);
+  const scaleUnit = Math.max(tileSize, unitAbs);
+  return { fillOffset: -scaleUnit * 0.01, lineOffset: scaleUnit * 0.004 };
+}
+
 function _rebuildGridOverlay(metrics = null, options = {}) {
   if (!this.scene || !this.three) return;
   const { force = false } = options;
@@ -54,10 +67,7 @@ function _rebuildGridOverlay(metrics = null, options = {}) {
 
   const { heights: tileHeights, elevationUnit } = this._computeTileHeights(cols, rows);
   const tileCount = cols * rows;
-  const unitAbs = Math.max(Math.abs(elevationUnit), 0.0001);
-  const scaleUnit = Math.max(tileSize, unitAbs);
-  const fillOffset = -scaleUnit * 0.01;
-  const lineOffset = scaleUnit * 0.004;
+  const { fillOffset, lineOffset } = gridOverlayOffsets(tileSize, elevationUnit);
 
   const activeStyle = this._gridOverlayStyle || this._gridOverlayBaseStyle;
   const fillColor =
@@ -197,9 +207,61 @@ function _rebuildGridOverlay(metrics = null, options = {}) {
     }
   }
 
+  this._rebuildGridHighlight(activeStyle, data, tileHeights, lineOffset * 0.5);
   this._gridOverlayKey = key;
 }
 
+/**
+ * Tinted tiles from the active style's `highlightCells` (e.g. the tile selection). Kept outside
+ * the grid group so the highlight stays visible when the grid itself is hidden.
+ */
+function _rebuildGridHighlight(style, metrics, tileHeights, offset) {
+  const three = this.three;
+  if (this._gridHighlightMesh) {
+    try {
+      this._gridHighlightMesh.parent?.remove?.(this._gridHighlightMesh);
+      this._gridHighlightMesh.geometry?.dispose?.();
+      this._gridHighlightMesh.material?.dispose?.();
+    } catch (_) {
+      /* ignore */
+    }
+    this._gridHighlightMesh = null;
+  }
+  const { cols, rows, tileSize } = metrics;
+  const cells = (style?.highlightCells || []).filter(
+    ({ x, y }) => x >= 0 && y >= 0 && x < cols && y < rows
+  );
+  if (!cells.length || !three.PlaneGeometry || !three.InstancedMesh || !three.Object3D) return;
+  try {
+    const geometry = new three.PlaneGeometry(tileSize, tileSize, 1, 1);
+    geometry.rotateX(-Math.PI / 2);
+    const alpha = Math.max(0, Math.min(1, style.highlightAlpha ?? 0.45));
+    const material = new three.MeshBasicMaterial({
+      color: style.highlightColor ?? GRID_CONFIG.HOVER_COLOR,
+      transparent: true,
+      opacity: alpha,
+      depthWrite: false,
+    });
+    material.toneMapped = false;
+    const mesh = new three.InstancedMesh(geometry, material, cells.length);
+    mesh.name = 'GridHighlightFill';
+    mesh.frustumCulled = false;
+    mesh.renderOrder = -1;
+    const dummy = new three.Object3D();
+    cells.forEach(({ x, y }, idx) => {
+      const baseHeight = tileHeights[y * cols + x] || 0;
+      dummy.position.set((x + 0.5) * tileSize, baseHeight + offset, (y + 0.5) * tileSize);
+      dummy.updateMatrix();
+      mesh.setMatrixAt(idx, dummy.matrix);
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+    this.scene.add(mesh);
+    this._gridHighlightMesh = mesh;
+  } catch (_) {
+    /* ignore highlight creation */
+  }
+}
+
 // ── Brush Overlay ─────────────────────────────────────────────────
 
 function _ensureBrushOverlay() {
@@ -224,23 +286,39 @@ function _ensureBrushOverlay() {
 
 // ── Style Stack ───────────────────────────────────────────────────
 
+/**
+ * Layer a style over the grid overlay. Layers apply in push order on top of the base style.
+ * @returns {symbol|undefined} token identifying the layer for popGridOverlayStyle
+ */
 function pushGridOverlayStyle(style = {}) {
-  if (!style) return;
-  this._gridOverlayStyleStack.push({ ...this._gridOverlayStyle });
-  this._gridOverlayStyle = {
-    ...this._gridOverlayStyle,
-    ...this._normalizeGridOverlayStyle(style),
-  };
-  this._rebuildGridOverlay();
+  if (!style) return undefined;
+  const token = Symbol('gridOverlayStyle');
+  this._gridOverlayStyleStack.push({ token, style: this._normalizeGridOverlayStyle(style) });
+  this._applyGridOverlayStyleStack();
+  return token;
 }
 
-function popGridOverlayStyle() {
-  if (this._gridOverlayStyleStack.length) {
-    this._gridOverlayStyle = this._gridOverlayStyleStack.pop();
-  } else {
-    this._gridOverlayStyle = { ...this._gridOverlayBaseStyle };
-  }
-  this._rebuildGridOverlay();
+/**
+ * Remove a style layer. With a token only that layer is removed, wherever it sits, so owners
+ * pushing and popping independently never unwind each other's styles; without one the top goes.
+ * @param {symbol} [token] from pushGridOverlayStyle
+ * @returns {boolean} whether a layer was removed
+ */
+function popGridOverlayStyle(token) {
+  const stack = this._gridOverlayStyleStack;
+  const index = token === undefined ? stack.length - 1 : stack.findIndex((l) => l.token === token);
+  if (index < 0) return false;
+  stack.splice(index, 1);
+  this._applyGridOverlayStyleStack();
+  return true;
+}
+
+function _applyGridOverlayStyleStack() {
+  this._gridOverlayStyle = this._gridOverlayStyleStack.reduce(
+    (merged, layer) => ({ ...merged, ...layer.style }),
+    { ...this._gridOverlayBaseStyle }
+  );
+  this._rebuildGridOverlay(null, { force: true });
 }
 
 // ── Terrain Brush Preview ──────────────────────────────────────────
@@ -266,19 +344,119 @@ function clearTerrainBrushPreview() {
   }
 }
 
+// ── Movement Range Preview ─────────────────────────────────────────
+
+function _ensureMovementRangeOverlay() {
+  if (this.movementRangeOverlay) return this.movementRangeOverlay;
+  if (!this.three || !this.scene) return null;
+  try {
+    const overlay = new MovementRangeOverlay3D({
+      three: this.three,
+      scene: this.scene,
+      gameManager: this.gameManager,
+    });
+    this.movementRangeOverlay = overlay?.isAvailable ? overlay : null;
+  } catch (_) {
+    this.movementRangeOverlay = null;
+  }
+  return this.movementRangeOverlay;
+}
+
+/** Tint reachable tiles; each tile carries its band colour (see MovementRangeOverlay3D). */
+function setMovementRangePreview(tiles = [], style = {}) {
+  if (!this.gameManager?.is3DModeActive?.()) {
+    this.movementRangeOverlay?.clear?.();
+    return;
+  }
+  const overlay = this._ensureMovementRangeOverlay();
+  try {
+    overlay?.setRange?.(tiles, style);
+  } catch (_) {
+    /* ignore movement range overlay errors */
+  }
+}
+
+/** Mark the route to the hovered tile on top of the range; an empty path hides it. */
+function setMovementPathPreview(path = [], style = {}) {
+  if (!this.gameManager?.is3DModeActive?.()) {
+    this.movementRangeOverlay?.clearPath?.();
+    return;
+  }
+  const overlay = this._ensureMovementRangeOverlay();
+  try {
+    overlay?.setPath?.(path, style);
+  } catch (_) {
+    /* ignore movement path overlay errors */
+  }
+}
+
+function clearMovementRangePreview() {
+  try {
+    this.movementRangeOverlay?.clear?.();
+  } catch (_) {
+    /* ignore */
+  }
+}
+
+// ── Waypoint Route Preview ─────────────────────────────────────────
+
+function _ensureWaypointRouteOverlay() {
+  if (this.waypointRouteOverlay) return this.waypointRouteOverlay;
+  if (!this.three || !this.scene) return null;
+  try {
+    const overlay = new WaypointRouteOverlay3D({
+      three: this.three,
+      scene: this.scene,
+      gameManager: this.gameManager,
+    });
+    this.waypointRouteOverlay = overlay?.isAvailable ? overlay : null;
+  } catch (_) {
+    this.waypointRouteOverlay = null;
+  }
+  return this.waypointRouteOverlay;
+}
+
+/** Draw queued token routes (see WaypointRouteOverlay3D); an empty list hides them. */
+function setWaypointRoutePreview(routes = [], style = {}) {
+  if (!this.gameManager?.is3DModeActive?.()) {
+    this.waypointRouteOverlay?.clear?.();
+    return;
+  }
+  const overlay = this._ensureWaypointRouteOverlay();
+  try {
+    overlay?.setRoutes?.(routes, style);
+  } catch (_) {
+    /* ignore waypoint overlay errors */
+  }
+}
+
+function clearWaypointRoutePreview() {
+  try {
+    this.waypointRouteOverlay?.clear?.();
+  } catch (_) {
+    /* ignore */
+  }
+}
+
 // ── Terrain Mesh Opacity ───────────────────────────────────────────
 
 function setTerrainMeshOpacity(opacity = 1) {
   const clamped = Number.isFinite(opacity) ? Math.max(0, Math.min(1, opacity)) : 1;
   this._terrainMeshOpacity = clamped;
-  let mesh = null;
+  let meshes = [];
   try {
-    mesh = this.scene?.getObjectByName?.('TerrainMesh') || null;
+    meshes = getTerrainMeshes(this.scene);
   } catch (_) {
-    mesh = null;
+    meshes = [];
+  }
+  // Chunks share one material, so collect each material once
+  const materials = new Set();
+  for (const mesh of meshes) {
+    if (!mesh?.material) continue;
+    (Array.isArray(mesh.material) ? mesh.material : [mesh.material]).forEach((mat) =>
+      materials.add(mat)
+    );
   }
-  if (!mesh || !mesh.material) return;
-  const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
   for (const mat of materials) {
     if (!mat) continue;
     if (typeof mat.opacity === 'number') mat.opacity = clamped;
@@ -290,20 +468,73 @@ function setTerrainMeshOpacity(opacity = 1) {
 
 // ── Grid Sync & Helpers ───────────────────────────────────────────
 
-function syncGridOverlayToTerrain() {
+/**
+ * Follow terrain height changes with the grid overlay.
+ * @param {Array<{x: number, y: number}>} [cells] tiles that changed; only they are moved when
+ *   the overlay is already built for this board. Omit to rebuild the whole overlay.
+ */
+function syncGridOverlayToTerrain(cells) {
   try {
+    if (Array.isArray(cells) && this._patchGridOverlayCells(cells)) return;
     this._rebuildGridOverlay(null, { force: true });
   } catch (_) {
     /* ignore */
   }
 }
 
+/**
+ * Move the fill instances and line segments of a few tiles to their current heights, and
+ * redraw the highlight. Same layout as _rebuildGridOverlay writes (tile index = y * cols + x).
+ * @returns {boolean} false when the overlay must be rebuilt instead
+ */
+function _patchGridOverlayCells(cells) {
+  const group = this._gridOverlayGroup;
+  const three = this.three;
+  const data = group && three?.Object3D ? this._getBoardMetrics() : null;
+  if (!data) return false;
+  const { cols, rows, tileSize } = data;
+  if (this._gridOverlayKey !== `${cols}x${rows}x${tileSize}`) return false;
+  const fill = group.getObjectByName('GridBaseFill');
+  const lines = group.getObjectByName('GridLineFrame');
+  const linePositions = lines?.geometry?.getAttribute?.('position');
+  if (!fill?.isInstancedMesh || linePositions?.count !== cols * rows * 8) return false;
+
+  const style = this._gridOverlayStyle || this._gridOverlayBaseStyle;
+  const highlightCells = style?.highlightCells || [];
+  const { heights, elevationUnit } = this._computeTileHeights(cols, rows, [
+    ...cells,
+    ...highlightCells,
+  ]);
+  const { fillOffset, lineOffset } = gridOverlayOffsets(tileSize, elevationUnit);
+  const dummy = new three.Object3D();
+  const array = linePositions.array;
+  for (const { x, y } of cells) {
+    if (!(x >= 0 && y >= 0 && x < cols && y < rows)) continue;
+    const idx = y * cols + x;
+    dummy.position.set((x + 0.5) * tileSize, heights[idx] + fillOffset, (y + 0.5) * tileSize);
+    dummy.updateMatrix();
+    fill.setMatrixAt(idx, dummy.matrix);
+    const base = idx * LINE_FLOATS_PER_TILE;
+    for (let i = 1; i < LINE_FLOATS_PER_TILE; i += 3) array[base + i] = heights[idx] + lineOffset;
+  }
+  fill.instanceMatrix.needsUpdate = true;
+  linePositions.needsUpdate = true;
+  lines.geometry.computeBoundingSphere?.();
+  if (highlightCells.length || this._gridHighlightMesh) {
+    this._rebuildGridHighlight(style, data, heights, lineOffset * 0.5);
+  }
+  return true;
+}
+
 function _normalizeGridOverlayStyle(style = {}) {
   const normalized = {};
   if (style.fillColor !== undefined) normalized.fillColor = style.fillColor;
   if (typeof style.fillAlpha === 'number') normalized.fillAlpha = style.fillAlpha;
   if (style.borderColor !== undefined) normalized.borderColor = style.borderColor;
   if (typeof style.borderAlpha === 'number') normalized.borderAlpha = style.borderAlpha;
+  if (Array.isArray(style.highlightCells)) normalized.highlightCells = style.highlightCells;
+  if (style.highlightColor !== undefined) normalized.highlightColor = style.highlightColor;
+  if (typeof style.highlightAlpha === 'number') normalized.highlightAlpha = style.highlightAlpha;
   return normalized;
 }
 
@@ -353,13 +584,23 @@ function setLegacyGridVisible(visible) {
 
 export function installGridOverlayMethods(prototype) {
   prototype._rebuildGridOverlay = _rebuildGridOverlay;
+  prototype._rebuildGridHighlight = _rebuildGridHighlight;
   prototype._ensureBrushOverlay = _ensureBrushOverlay;
   prototype.pushGridOverlayStyle = pushGridOverlayStyle;
   prototype.popGridOverlayStyle = popGridOverlayStyle;
+  prototype._applyGridOverlayStyleStack = _applyGridOverlayStyleStack;
   prototype.setTerrainBrushPreview = setTerrainBrushPreview;
   prototype.clearTerrainBrushPreview = clearTerrainBrushPreview;
+  prototype._ensureMovementRangeOverlay = _ensureMovementRangeOverlay;
+  prototype.setMovementRangePreview = setMovementRangePreview;
+  prototype.setMovementPathPreview = setMovementPathPreview;
+  prototype.clearMovementRangePreview = clearMovementRangePreview;
+  prototype._ensureWaypointRouteOverlay = _ensureWaypointRouteOverlay;
+  prototype.setWaypointRoutePreview = setWaypointRoutePreview;
+  prototype.clearWaypointRoutePreview = clearWaypointRoutePreview;
   prototype.setTerrainMeshOpacity = setTerrainMeshOpacity;
   prototype.syncGridOverlayToTerrain = syncGridOverlayToTerrain;
+  prototype._patchGridOverlayCells = _patchGridOverlayCells;
   prototype._normalizeGridOverlayStyle = _normalizeGridOverlayStyle;
   prototype.setBootstrapGridVisible = setBootstrapGridVisible;
   prototype.setLegacyGridVisible = setLegacyGridVisible;
@@ -1,6 +1,9 @@
 // LightingSystem.js — Sun cycle, color math, time-of-day profiles, terrain/placeable lighting.
 // Extracted from ThreeSceneManager.js (Phase 6). Installed via mixin pattern.
 
+import { TERRAIN_CONFIG } from '../../config/terrain/TerrainConstants.js';
+import { getTerrainMeshes } from '../terrain/TerrainChunks.js';
+
 // ── Time Normalization ─────────────────────────────────────────────
 
 function _normalizeMinutes(mins) {
@@ -213,6 +216,11 @@ function _applyTimeOfDayProfile(profile) {
   } catch (_) {
     /* ignore lighting profile errors */
   }
+  try {
+    this._applyWaterProfile?.(profile.water);
+  } catch (_) {
+    /* ignore water tint errors */
+  }
 }
 
 function _clamp(value, min = 0, max = 1) {
@@ -489,6 +497,34 @@ function getTimeOfDayProfile(minutes = this.getSunTimeMinutes()) {
     { profile: lightingNight, weight: nightBlend },
   ]);
 
+  // Water picks up the sky: warm at sunrise/sunset, deep and more opaque at night
+  const waterConfig = TERRAIN_CONFIG.WATER;
+  let waterColor = this._hexToLinearRGB(waterConfig.COLORS.day);
+  waterColor = this._mixLinearColor(
+    waterColor,
+    this._hexToLinearRGB(waterConfig.COLORS.sunrise),
+    sunriseBlend
+  );
+  waterColor = this._mixLinearColor(
+    waterColor,
+    this._hexToLinearRGB(waterConfig.COLORS.sunset),
+    sunsetBlend
+  );
+  waterColor = this._mixLinearColor(
+    waterColor,
+    this._hexToLinearRGB(waterConfig.COLORS.night),
+    nightBlend
+  );
+  const water = {
+    color: waterColor,
+    foamColor: this._mixLinearColor(
+      this._hexToLinearRGB(waterConfig.FOAM_COLORS.day),
+      this._hexToLinearRGB(waterConfig.FOAM_COLORS.night),
+      nightBlend
+    ),
+    opacity: mixScalar(waterConfig.OPACITY.day, waterConfig.OPACITY.night, nightBlend),
+  };
+
   const cloneTint = (entry) => ({
     saturation: entry.saturation,
     brightness: entry.brightness,
@@ -513,38 +549,39 @@ function getTimeOfDayProfile(minutes = this.getSunTimeMinutes()) {
       path: cloneTint(pathProfile),
     },
     lighting,
+    water,
   };
 }
 
 // ── Terrain / Placeable Color Registration ────────────────────────
 
-function registerTerrainGeometryBasis(geometry) {
+/**
+ * Remember a terrain geometry's vertex colours so time-of-day tints start from them.
+ * @param {object|null} geometry
+ * @param {string|null} [key] chunk key; without one the geometry is the whole terrain and
+ *   replaces every registered chunk (null geometry clears them all)
+ */
+function registerTerrainGeometryBasis(geometry, key = null) {
   try {
-    if (!geometry || typeof geometry.getAttribute !== 'function') {
-      this._terrainColorAttribute = null;
-      this._terrainBaseColors = null;
-      this._terrainColorGeometryId = null;
-      return;
-    }
-    const colorAttr = geometry.getAttribute('color');
+    if (key == null) this._terrainColorBases.clear();
+    const id = key ?? 'terrain';
+    const colorAttr = geometry?.getAttribute?.('color');
     if (!colorAttr || !colorAttr.array || !colorAttr.array.length) {
-      this._terrainColorAttribute = null;
-      this._terrainBaseColors = null;
-      this._terrainColorGeometryId = geometry.uuid || null;
+      this._terrainColorBases.delete(id);
       return;
     }
     const arr = colorAttr.array;
-    if (!this._terrainBaseColors || this._terrainBaseColors.length !== arr.length) {
-      this._terrainBaseColors = new Float32Array(arr.length);
-    }
-    this._terrainBaseColors.set(arr);
-    this._terrainColorAttribute = colorAttr;
-    this._terrainColorGeometryId = geometry.uuid || null;
+    const previous = this._terrainColorBases.get(id)?.baseColors;
+    const baseColors =
+      previous && previous.length === arr.length ? previous : new Float32Array(arr.length);
+    baseColors.set(arr);
+    const basis = { attribute: colorAttr, baseColors, geometryId: geometry.uuid || null };
+    this._terrainColorBases.set(id, basis);
     if (!this._timeOfDayProfile) {
       this._timeOfDayProfile = this.getTimeOfDayProfile(this._sunTimeMinutes ?? 720);
     }
     if (this._timeOfDayProfile) {
-      this._applyTerrainColorProfile(this._timeOfDayProfile.terrain);
+      this._applyTerrainColorProfile(this._timeOfDayProfile.terrain, [basis]);
     }
   } catch (_) {
     /* ignore terrain basis errors */
@@ -564,61 +601,74 @@ function registerPlaceablePool(pool) {
 
 // ── Profile Application (terrain, placeables, lights) ───────────
 
-function _applyTerrainColorProfile(terrainProfile) {
-  if (!terrainProfile || !this._terrainColorAttribute || !this._terrainBaseColors) return;
-  const attr = this._terrainColorAttribute;
-  const dest = attr.array;
-  if (!dest || dest.length !== this._terrainBaseColors.length) return;
+/**
+ * Tint the registered terrain colours for the time of day.
+ * @param {object} terrainProfile
+ * @param {Iterable<{attribute: object, baseColors: Float32Array}>} [bases] defaults to every
+ *   registered terrain geometry
+ */
+function _applyTerrainColorProfile(terrainProfile, bases = this._terrainColorBases.values()) {
+  if (!terrainProfile) return;
   const saturation = this._clamp(terrainProfile.saturation ?? 1, 0, 2);
   const brightness = this._clamp(terrainProfile.brightness ?? 1, 0, 2.5);
   const warmMix = this._clamp(terrainProfile.warmMix ?? 0, 0, 1);
   const coolMix = this._clamp(terrainProfile.coolMix ?? 0, 0, 1);
   const warm = terrainProfile.warmColor || this._hexToLinearRGB(0xffc683);
   const cool = terrainProfile.coolColor || this._hexToLinearRGB(0x1e2f53);
-  const len = dest.length;
-  for (let i = 0; i < len; i += 3) {
-    let r = this._terrainBaseColors[i];
-    let g = this._terrainBaseColors[i + 1];
-    let b = this._terrainBaseColors[i + 2];
-    const avg = (r + g + b) / 3;
-    r = avg + (r - avg) * saturation;
-    g = avg + (g - avg) * saturation;
-    b = avg + (b - avg) * saturation;
-    if (warmMix > 0) {
-      const inv = 1 - warmMix;
-      r = r * inv + warm.r * warmMix;
-      g = g * inv + warm.g * warmMix;
-      b = b * inv + warm.b * warmMix;
+  let tinted = 0;
+  for (const { attribute: attr, baseColors } of bases) {
+    const dest = attr?.array;
+    if (!dest || !baseColors || dest.length !== baseColors.length) continue;
+    const len = dest.length;
+    for (let i = 0; i < len; i += 3) {
+      let r = baseColors[i];
+      let g = baseColors[i + 1];
+      let b = baseColors[i + 2];
+      const avg = (r + g + b) / 3;
+      r = avg + (r - avg) * saturation;
+      g = avg + (g - avg) * saturation;
+      b = avg + (b - avg) * saturation;
+      if (warmMix > 0) {
+        const inv = 1 - warmMix;
+        r = r * inv + warm.r * warmMix;
+        g = g * inv + warm.g * warmMix;
+        b = b * inv + warm.b * warmMix;
+      }
+      if (coolMix > 0) {
+        const inv = 1 - coolMix;
+        r = r * inv + cool.r * coolMix;
+        g = g * inv + cool.g * coolMix;
+        b = b * inv + cool.b * coolMix;
+      }
+      r *= brightness;
+      g *= brightness;
+      b *= brightness;
+      dest[i] = this._clamp(r, 0, 1);
+      dest[i + 1] = this._clamp(g, 0, 1);
+      dest[i + 2] = this._clamp(b, 0, 1);
     }
-    if (coolMix > 0) {
-      const inv = 1 - coolMix;
-      r = r * inv + cool.r * coolMix;
-      g = g * inv + cool.g * coolMix;
-      b = b * inv + cool.b * coolMix;
+    try {
+      attr.needsUpdate = true;
+    } catch (_) {
+      /* ignore */
     }
-    r *= brightness;
-    g *= brightness;
-    b *= brightness;
-    dest[i] = this._clamp(r, 0, 1);
-    dest[i + 1] = this._clamp(g, 0, 1);
-    dest[i + 2] = this._clamp(b, 0, 1);
+    tinted++;
   }
-  try {
-    attr.needsUpdate = true;
-  } catch (_) {
-    /* ignore */
+  if (!tinted) return;
+  // Chunks share one material, so collect each material once
+  const materials = new Set();
+  for (const mesh of getTerrainMeshes(this.scene)) {
+    (Array.isArray(mesh.material) ? mesh.material : [mesh.material]).forEach((mat) =>
+      materials.add(mat)
+    );
   }
-  const mesh = this.scene?.getObjectByName?.('TerrainMesh');
-  if (mesh) {
-    const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
-    for (const mat of materials) {
-      if (!mat) continue;
-      if ('needsUpdate' in mat) {
-        try {
-          mat.needsUpdate = true;
-        } catch (_) {
-          /* ignore */
-        }
+  for (const mat of materials) {
+    if (!mat) continue;
+    if ('needsUpdate' in mat) {
+      try {
+        mat.needsUpdate = true;
+      } catch (_) {
+        /* ignore */
       }
     }
   }
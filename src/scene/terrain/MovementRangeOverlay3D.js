@@ -0,0 +1,188 @@
+// MovementRangeOverlay3D.js
+// Tints the tiles a selected token can reach (one colour per cost band) and marks the route to the
+// hovered tile. Both layers are instanced planes from OverlayMeshPool resting on the terrain.
+
+import { ensurePlaneMesh, syncMeshMaterial } from './OverlayMeshPool.js';
+
+export class MovementRangeOverlay3D {
+  // ── Constructor ───────────────────────────────────────────────────
+
+  constructor({ three, scene, gameManager } = {}) {
+    this.three = three;
+    this.scene = scene;
+    this.gameManager = gameManager;
+    this._group = null;
+    this._rangeMesh = null;
+    this._rangeCapacity = 0;
+    this._pathMesh = null;
+    this._pathCapacity = 0;
+    this._dummy = null;
+    this._color = null;
+
+    try {
+      if (!three || !scene || !three.Group || !three.InstancedMesh) {
+        return;
+      }
+      this._group = new three.Group();
+      this._group.name = 'MovementRangeOverlay3D';
+      this._group.visible = false;
+      this._group.renderOrder = 10;
+      scene.add(this._group);
+      this._dummy = new three.Object3D();
+      this._color = new three.Color();
+    } catch (_) {
+      this._group = null;
+    }
+  }
+
+  get isAvailable() {
+    return !!(this._group && this.three && this.scene);
+  }
+
+  // ── Range & Path ──────────────────────────────────────────────────
+
+  /**
+   * @param {Array<{gridX: number, gridY: number, color: number}>} tiles reachable tiles
+   * @param {{alpha?: number}} [style]
+   */
+  setRange(tiles = [], style = {}) {
+    if (!this.isAvailable) return;
+    const cells = this._validCells(tiles);
+    if (!cells.length) {
+      this.clear();
+      return;
+    }
+    const alpha = Number.isFinite(style.alpha) ? style.alpha : 0.3;
+    const result = ensurePlaneMesh({
+      three: this.three,
+      group: this._group,
+      mesh: this._rangeMesh,
+      capacity: this._rangeCapacity,
+      required: cells.length,
+      colorHex: 0xffffff,
+      opacity: alpha,
+      name: 'MovementRangeOverlay3DTiles',
+    });
+    this._rangeMesh = result.mesh;
+    this._rangeCapacity = result.capacity;
+    if (!this._rangeMesh) return;
+    syncMeshMaterial(this._rangeMesh, 0xffffff, alpha);
+    this._placeCells(this._rangeMesh, cells, 0.92, 1);
+    cells.forEach((cell, index) => {
+      this._color.set(typeof cell.color === 'number' ? cell.color : 0xffffff);
+      this._rangeMesh.setColorAt(index, this._color);
+    });
+    if (this._rangeMesh.instanceColor) this._rangeMesh.instanceColor.needsUpdate = true;
+    this._group.visible = true;
+  }
+
+  /**
+   * @param {Array<{gridX: number, gridY: number}>} path tiles the token will cross
+   * @param {{color?: number, alpha?: number}} [style]
+   */
+  setPath(path = [], style = {}) {
+    if (!this.isAvailable) return;
+    const cells = this._validCells(path);
+    if (!cells.length) {
+      this.clearPath();
+      return;
+    }
+    const color = typeof style.color === 'number' ? style.color : 0xffffff;
+    const alpha = Number.isFinite(style.alpha) ? style.alpha : 0.75;
+    const result = ensurePlaneMesh({
+      three: this.three,
+      group: this._group,
+      mesh: this._pathMesh,
+      capacity: this._pathCapacity,
+      required: cells.length,
+      colorHex: color,
+      opacity: alpha,
+      name: 'MovementRangeOverlay3DPath',
+    });
+    this._pathMesh = result.mesh;
+    this._pathCapacity = result.capacity;
+    if (!this._pathMesh) return;
+    syncMeshMaterial(this._pathMesh, color, alpha);
+    this._pathMesh.renderOrder = 11;
+    this._placeCells(this._pathMesh, cells, 0.4, 2);
+    this._pathMesh.visible = true;
+    this._group.visible = true;
+  }
+
+  // ── Clear / Dispose ───────────────────────────────────────────────
+
+  clearPath() {
+    if (!this._pathMesh) return;
+    this._pathMesh.count = 0;
+    this._pathMesh.instanceMatrix.needsUpdate = true;
+    this._pathMesh.visible = false;
+  }
+
+  clear() {
+    if (!this.isAvailable) return;
+    if (this._rangeMesh) {
+      this._rangeMesh.count = 0;
+      this._rangeMesh.instanceMatrix.needsUpdate = true;
+    }
+    this.clearPath();
+    this._group.visible = false;
+  }
+
+  dispose() {
+    for (const mesh of [this._rangeMesh, this._pathMesh]) {
+      if (!mesh) continue;
+      try {
+        mesh.parent?.remove?.(mesh);
+        mesh.geometry?.dispose?.();
+        mesh.material?.dispose?.();
+      } catch (_) {
+        /* ignore */
+      }
+    }
+    try {
+      this._group?.parent?.remove?.(this._group);
+    } catch (_) {
+      /* ignore */
+    }
+    this._group = null;
+    this._rangeMesh = null;
+    this._rangeCapacity = 0;
+    this._pathMesh = null;
+    this._pathCapacity = 0;
+  }
+
+  // ── Helpers ───────────────────────────────────────────────────────
+
+  _validCells(tiles) {
+    if (!Array.isArray(tiles)) return [];
+    return tiles.filter((t) => Number.isFinite(t?.gridX) && Number.isFinite(t?.gridY));
+  }
+
+  /** Lay one plane per cell on its tile top; `lift` stacks layers so the path sits on the range. */
+  _placeCells(mesh, cells, sizeRatio, lift) {
+    const gm = this.gameManager;
+    const tileSize = gm?.spatial?.tileWorldSize || 1;
+    const elevationUnit = gm?.spatial?.elevationUnit || 0.5;
+    const hoverOffset = Math.max(Math.abs(elevationUnit) * 0.025, tileSize * 0.005, 0.012);
+    const dummy = this._dummy;
+    cells.forEach(({ gridX, gridY }, index) => {
+      const height =
+        gm?.terrainCoordinator?.getTerrainHeight?.(gridX, gridY) ??
+        gm?.getTerrainHeight?.(gridX, gridY) ??
+        0;
+      dummy.position.set(
+        (gridX + 0.5) * tileSize,
+        height * elevationUnit + hoverOffset * lift,
+        (gridY + 0.5) * tileSize
+      );
+      dummy.rotation.set(0, 0, 0);
+      dummy.scale.set(tileSize * sizeRatio, 1, tileSize * sizeRatio);
+      dummy.updateMatrix();
+      mesh.setMatrixAt(index, dummy.matrix);
+    });
+    mesh.count = cells.length;
+    mesh.instanceMatrix.needsUpdate = true;
+  }
+}
+
+export default MovementRangeOverlay3D;
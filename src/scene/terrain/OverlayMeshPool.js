@@ -23,7 +23,16 @@ function disposeMesh(group, mesh) {
 }
 
 // ── Instanced Plane Mesh ───────────────────────────────
-export function ensurePlaneMesh({ three, group, mesh, capacity = 0, required, colorHex, opacity }) {
+export function ensurePlaneMesh({
+  three,
+  group,
+  mesh,
+  capacity = 0,
+  required,
+  colorHex,
+  opacity,
+  name,
+}) {
   if (!group || !three?.InstancedMesh || !three?.PlaneGeometry || !three?.MeshBasicMaterial) {
     return { mesh, capacity };
   }
@@ -52,7 +61,7 @@ export function ensurePlaneMesh({ three, group, mesh, capacity = 0, required, co
   material.depthTest = false;
 
   const instanced = new three.InstancedMesh(geometry, material, newCapacity);
-  instanced.name = 'TerrainBrushOverlay3DMesh';
+  instanced.name = name || 'TerrainBrushOverlay3DMesh';
   instanced.instanceMatrix.setUsage?.(three.DynamicDrawUsage || three.StreamDrawUsage);
   instanced.frustumCulled = false;
   instanced.count = 0;
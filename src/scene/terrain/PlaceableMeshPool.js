@@ -9,6 +9,7 @@ import {
   validateHidden as _validateHidden,
   debugSnapshot as _debugSnapshot,
 } from './PlaceablePoolLifecycle.js';
+import { isChunked, chunkKeyOf } from './TerrainChunks.js';
 
 // PlaceableMeshPool.js - Phase 4 scaffold
 // Manages instanced meshes for static placeables (trees, rocks, etc.).
@@ -97,6 +98,14 @@ export class PlaceableMeshPool {
     return key || 'default';
   }
 
+  /** Group key for a placeable: its variant key, plus its chunk on chunked maps so off-screen
+   * chunks are culled as whole instancing groups. */
+  _groupKey(variantKey, placeable) {
+    const gm = this.gameManager;
+    if (!isChunked(gm?.cols ?? 0, gm?.rows ?? 0)) return variantKey;
+    return `${variantKey}@${chunkKeyOf(placeable?.gridX ?? 0, placeable?.gridY ?? 0)}`;
+  }
+
   _resolveWorldScale(placeable, profile = 'ground') {
     try {
       const gm = this.gameManager;
@@ -152,7 +161,8 @@ export class PlaceableMeshPool {
       return null;
     }
     const rawVariant = placeable?.variantKey;
-    const key = this._deriveKey(placeable);
+    const variantKey = this._deriveKey(placeable);
+    const key = this._groupKey(variantKey, placeable);
     // Preserve original texture path separately for material creation
     try {
       if (placeable && rawVariant) placeable.__rawVariantKey = rawVariant;
@@ -166,8 +176,8 @@ export class PlaceableMeshPool {
           mappings: {},
           counts: {},
         });
-        if (rawVariant) dbg.mappings[rawVariant] = key;
-        dbg.counts[key] = (dbg.counts[key] || 0) + 1;
+        if (rawVariant) dbg.mappings[rawVariant] = variantKey;
+        dbg.counts[variantKey] = (dbg.counts[variantKey] || 0) + 1;
       }
     } catch (_) {
       /* ignore */
@@ -242,6 +252,8 @@ export class PlaceableMeshPool {
       dummy.updateMatrix();
       instancedMesh.setMatrixAt(index, dummy.matrix);
       instancedMesh.instanceMatrix.needsUpdate = true;
+      // Recomputed on the next render so frustum culling covers the new instance
+      instancedMesh.boundingSphere = null;
       // Ensure draw range covers this new instance (three renders 0..count-1)
       try {
         if (typeof instancedMesh.count === 'number' && instancedMesh.count < index + 1) {
@@ -744,6 +756,7 @@ export class PlaceableMeshPool {
         }
         try {
           inst.instanceMatrix.needsUpdate = true;
+          inst.boundingSphere = null;
         } catch (_) {
           /* ignore */
         }
@@ -224,7 +224,8 @@ export class TerrainBrushOverlay3D {
       if (!Number.isFinite(gx) || !Number.isFinite(gy)) continue;
       const currentHeight = Number.isFinite(cell?.currentHeight) ? cell.currentHeight : null;
       const previewHeight = Number.isFinite(cell?.previewHeight) ? cell.previewHeight : null;
-      validCells.push({ gx, gy, currentHeight, previewHeight });
+      const weight = Number.isFinite(cell?.weight) ? Math.max(0, Math.min(1, cell.weight)) : 1;
+      validCells.push({ gx, gy, currentHeight, previewHeight, weight });
     }
 
     if (!validCells.length) {
@@ -318,7 +319,7 @@ export class TerrainBrushOverlay3D {
     let instanceIndex = 0;
 
     for (const entry of validCells) {
-      const { gx, gy, currentHeight, previewHeight } = entry;
+      const { gx, gy, currentHeight, previewHeight, weight } = entry;
       const baseHeight = Number.isFinite(currentHeight)
         ? currentHeight
         : (terrainCoordinator?.getTerrainHeight?.(gx, gy) ?? gm?.getTerrainHeight?.(gx, gy) ?? 0);
@@ -332,7 +333,9 @@ export class TerrainBrushOverlay3D {
       const worldTop = previewWorld + hoverOffset;
       dummy.position.set(x, worldTop, z);
       dummy.rotation.set(0, 0, 0);
-      dummy.scale.set(tileSize, 1, tileSize);
+      // Falloff: weaker cells get a smaller fill square inside their (full-size) outline
+      const planeSize = tileSize * (0.35 + 0.65 * weight);
+      dummy.scale.set(planeSize, 1, planeSize);
       dummy.updateMatrix();
       this._instanced.setMatrixAt(instanceIndex, dummy.matrix);
 
@@ -0,0 +1,71 @@
+// TerrainChunks.js - Chunk layout for large maps.
+// Maps larger than TERRAIN_CONFIG.CHUNKS.SIZE on either side are split into square chunks of
+// tiles, each with its own terrain mesh and placeable instancing groups, so three.js can cull
+// what is off-screen and an edit rebuilds only the chunks it touched. Smaller maps keep one mesh.
+
+import { TERRAIN_CONFIG } from '../../config/terrain/TerrainConstants.js';
+
+/** @returns {boolean} true when a map of this size is meshed in chunks */
+export function isChunked(cols, rows, size = TERRAIN_CONFIG.CHUNKS.SIZE) {
+  return cols > size || rows > size;
+}
+
+/** @returns {string} key ("cx,cy") of the chunk holding a tile */
+export function chunkKeyOf(gridX, gridY, size = TERRAIN_CONFIG.CHUNKS.SIZE) {
+  return `${Math.floor(gridX / size)},${Math.floor(gridY / size)}`;
+}
+
+/**
+ * Every chunk of a map, row by row. Chunks on the east and south edges may be smaller.
+ * @returns {Array<{key: string, x: number, y: number, cols: number, rows: number}>} tile rects
+ */
+export function listChunks(cols, rows, size = TERRAIN_CONFIG.CHUNKS.SIZE) {
+  const chunks = [];
+  for (let y = 0; y < rows; y += size) {
+    for (let x = 0; x < cols; x += size) {
+      chunks.push({
+        key: chunkKeyOf(x, y, size),
+        x,
+        y,
+        cols: Math.min(size, cols - x),
+        rows: Math.min(size, rows - y),
+      });
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Chunks whose mesh changes when these tiles change height. A tile's height also shapes the
+ * walls of its four neighbours, which may sit in the next chunk.
+ * @param {Array<{x: number, y: number}>} cells
+ * @returns {Set<string>} chunk keys
+ */
+export function dirtyChunkKeys(cells, cols, rows, size = TERRAIN_CONFIG.CHUNKS.SIZE) {
+  const keys = new Set();
+  const touch = (x, y) => {
+    if (x >= 0 && y >= 0 && x < cols && y < rows) keys.add(chunkKeyOf(x, y, size));
+  };
+  for (const cell of cells || []) {
+    const { x, y } = cell || {};
+    if (!Number.isInteger(x) || !Number.isInteger(y)) continue;
+    touch(x, y);
+    touch(x - 1, y);
+    touch(x + 1, y);
+    touch(x, y - 1);
+    touch(x, y + 1);
+  }
+  return keys;
+}
+
+/**
+ * The meshes that make up the terrain: the single terrain mesh, or every chunk mesh.
+ * @param {object} scene three.js scene
+ * @returns {object[]}
+ */
+export function getTerrainMeshes(scene) {
+  const root = scene?.getObjectByName?.('TerrainMesh');
+  if (!root) return [];
+  if (!root.userData?.chunked) return [root];
+  return (root.children || []).filter((child) => child?.geometry);
+}
@@ -20,13 +20,20 @@ export class TerrainMeshBuilder {
 
   // ── Build: Geometry Generation ────────────────────────────────────
 
-  build({ cols, rows, getHeight, three, getBiomeColor, getWallColor }) {
+  /**
+   * @param {object} args
+   * @param {{x: number, y: number, cols: number, rows: number}} [args.region] tiles to mesh
+   *   (a terrain chunk); walls along its edge still read the neighbouring tiles outside it.
+   *   Vertices stay in map world coordinates, so chunk meshes sit side by side at the origin.
+   */
+  build({ cols, rows, getHeight, three, getBiomeColor, getWallColor, region = null }) {
     if (!three) throw new Error('Three namespace required');
     if (!Number.isInteger(cols) || !Number.isInteger(rows)) {
       throw new Error('cols/rows must be integers');
     }
     // Legacy shared-vertex plane path (used by older tests expecting (cols+1)*(rows+1) vertices).
     const canLegacy =
+      !region &&
       !this.forceAdvanced &&
       !this.hardEdges &&
       typeof getWallColor !== 'function' &&
@@ -76,12 +83,20 @@ export class TerrainMeshBuilder {
     const indices = [];
     const ts = this.tileWorldSize;
     const getElev = (x, y) => (typeof getHeight === 'function' ? getHeight(x, y) : 0);
-    // Pre-cache heights for neighbor lookups.
-    const heightGrid = new Array(rows);
-    for (let gy = 0; gy < rows; gy++) {
-      const row = new Array(cols);
-      for (let gx = 0; gx < cols; gx++) row[gx] = getElev(gx, gy);
-      heightGrid[gy] = row;
+    const minX = Math.max(0, region?.x ?? 0);
+    const minY = Math.max(0, region?.y ?? 0);
+    const maxX = region ? Math.min(cols, minX + region.cols) : cols;
+    const maxY = region ? Math.min(rows, minY + region.rows) : rows;
+    // Pre-cache heights for neighbor lookups (the region plus a one-tile border).
+    const cacheX = Math.max(0, minX - 1);
+    const cacheY = Math.max(0, minY - 1);
+    const cacheCols = Math.min(cols, maxX + 1) - cacheX;
+    const cacheRows = Math.min(rows, maxY + 1) - cacheY;
+    const heightGrid = new Array(cacheRows);
+    for (let cy = 0; cy < cacheRows; cy++) {
+      const row = new Array(cacheCols);
+      for (let cx = 0; cx < cacheCols; cx++) row[cx] = getElev(cacheX + cx, cacheY + cy);
+      heightGrid[cy] = row;
     }
 
     const pushColor4 = (r, g, b) => {
@@ -122,11 +137,11 @@ export class TerrainMeshBuilder {
       vertCount += 4;
     };
 
-    for (let gy = 0; gy < rows; gy++) {
-      for (let gx = 0; gx < cols; gx++) {
+    for (let gy = minY; gy < maxY; gy++) {
+      for (let gx = minX; gx < maxX; gx++) {
         const baseX = gx * ts;
         const baseZ = gy * ts;
-        const elev = heightGrid[gy][gx];
+        const elev = heightGrid[gy - cacheY][gx - cacheX];
         const topY = elev * this.elevationUnit;
         // Color for tile top
         const sampleColor = wantsColors ? getBiomeColor(gx, gy, elev) : null;
@@ -166,7 +181,7 @@ export class TerrainMeshBuilder {
         // Helper to add a vertical wall if neighbor lower (or OOB -> treat neighbor elev = 0)
         const neighborOr0 = (nx, ny) => {
           if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) return 0;
-          return heightGrid[ny][nx];
+          return heightGrid[ny - cacheY][nx - cacheX];
         };
         // Precompute wall color (could be same as top if no override)
         let wr = r,
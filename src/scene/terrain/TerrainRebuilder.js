@@ -6,6 +6,9 @@
 import { TERRAIN_CONFIG } from '../../config/terrain/TerrainConstants.js';
 import { GRID_CONFIG } from '../../config/GameConstants.js';
 import { getBiomeColorWithHydrology } from '../../config/biome/BiomePalettes.js';
+import { blendBiomeColors } from '../../terrain/biomes/BiomeRegions.js';
+import { getSurfaceColor3DHex } from '../../config/biome/BiomePalettes3D.js';
+import { isChunked, listChunks, dirtyChunkKeys } from './TerrainChunks.js';
 
 export class TerrainRebuilder {
   // ── Constructor ───────────────────────────────────────────────────
@@ -17,12 +20,22 @@ export class TerrainRebuilder {
     this._timer = null;
     this._lastArgs = null;
     this._lastFlushTime = Number.NEGATIVE_INFINITY;
+    // Tiles edited since the last flush; null once any request asked for a full rebuild
+    this._dirtyCells = [];
   }
 
   // ── Debounce / Request ─────────────────────────────────────────────
 
+  /**
+   * Schedule a rebuild (throttled to one per debounceMs).
+   * @param {{three?: object, cells?: Array<{x: number, y: number}>}} [args] cells limits the
+   *   rebuild to the chunks they touch; a request without cells rebuilds everything
+   */
   request(args = {}) {
-    this._lastArgs = this._mergeArgs(this._lastArgs, args);
+    const { cells, ...rest } = args || {};
+    if (!Array.isArray(cells)) this._dirtyCells = null;
+    else if (this._dirtyCells) this._dirtyCells.push(...cells);
+    this._lastArgs = this._mergeArgs(this._lastArgs, rest);
     const safeDebounce = Number.isFinite(this.debounceMs) ? this.debounceMs : 0;
     const interval = Math.max(0, safeDebounce || 0);
     const rawNow = Date.now();
@@ -49,10 +62,12 @@ export class TerrainRebuilder {
 
   _flush() {
     const args = this._lastArgs || {};
+    const cells = this._dirtyCells;
+    this._dirtyCells = [];
     this._timer = null;
     this._lastFlushTime = Date.now();
     try {
-      this.rebuild(args);
+      this.rebuild(cells ? { ...args, cells } : args);
     } catch (_) {
       /* swallow build errors early phase */
     }
@@ -73,7 +88,13 @@ export class TerrainRebuilder {
 
   // ── Rebuild Logic ─────────────────────────────────────────────────
 
-  rebuild({ three } = {}) {
+  /**
+   * Rebuild the terrain mesh. Large maps are meshed in chunks (see TerrainChunks.js).
+   * @param {{three?: object, cells?: Array<{x: number, y: number}>}} [args] with cells, only
+   *   the chunks holding (or bordering) those tiles are rebuilt; without, every chunk is
+   * @returns {object|null} the terrain mesh, or the group of chunk meshes
+   */
+  rebuild({ three, cells } = {}) {
     if (!this.gameManager || !this.builder) return null;
     if (!this.gameManager.threeSceneManager || !this.gameManager.threeSceneManager.scene) {
       return null;
@@ -89,6 +110,9 @@ export class TerrainRebuilder {
     const neutralColor = GRID_CONFIG?.TILE_COLOR ?? 0x444444;
     const gmBiomeGetter = (gx, gy, elev) => {
       const h = Number.isFinite(elev) ? elev : 0;
+      // Rivers and roads stay visible in every colour mode
+      const surfaceColor = getSurfaceColor3DHex(gm?.terrainCoordinator?.getSurfaceAt?.(gx, gy), h);
+      if (surfaceColor != null) return surfaceColor;
       const terrainModeActive =
         (gm?.terrainCoordinator?.isTerrainModeActive ?? false) ||
         (typeof gm.isTerrainModeActive === 'function' && gm.isTerrainModeActive());
@@ -115,7 +139,9 @@ export class TerrainRebuilder {
         return neutralColor;
       }
       try {
-        // Prefer hydrology-enhanced color if available
+        // Prefer hydrology-enhanced color if available; painted regions blend in
+        const blend = gm?.terrainCoordinator?.getBiomeBlendAt?.(gx, gy);
+        if (blend) return blendBiomeColors(blend, (biome) => getBiomeColorWithHydrology(biome, h));
         return getBiomeColorWithHydrology(biomeKey, h);
       } catch (_) {
         const key = h.toString();
@@ -127,14 +153,72 @@ export class TerrainRebuilder {
     };
     const wallColor = 0x050505;
     const wantsWalls = !!(threeNs && threeNs.BufferGeometry);
-    const geo = this.builder.build({
+    const buildArgs = {
       cols,
       rows,
       getHeight,
       three: threeNs,
       getBiomeColor: gmBiomeGetter,
       getWallColor: wantsWalls ? () => wallColor : undefined,
-    });
+    };
+    const scene = gm.threeSceneManager.scene;
+    const chunked = isChunked(cols, rows) && typeof threeNs?.Group === 'function';
+    const { mesh, rebuiltChunks } = chunked
+      ? this._rebuildChunks(scene, threeNs, buildArgs, cells)
+      : {
+          mesh: this._rebuildSingleMesh(scene, threeNs, buildArgs, forceStandard),
+          rebuiltChunks: 1,
+        };
+    try {
+      const currentOpacity = Number.isFinite(gm?.threeSceneManager?._terrainMeshOpacity)
+        ? gm.threeSceneManager._terrainMeshOpacity
+        : 1;
+      gm?.threeSceneManager?.setTerrainMeshOpacity?.(currentOpacity);
+    } catch (_) {
+      /* ignore opacity sync */
+    }
+    // The grid overlay and water follow only the edited tiles; without cells both are redone
+    try {
+      gm?.threeSceneManager?.syncGridOverlayToTerrain?.(cells);
+    } catch (_) {
+      /* ignore grid overlay sync */
+    }
+    try {
+      gm?.threeSceneManager?.syncWaterSurface?.(cells);
+    } catch (_) {
+      /* ignore water surface sync */
+    }
+    try {
+      const t1 = (typeof performance !== 'undefined' && performance.now()) || Date.now();
+      const dt = t1 - t0;
+      if (typeof window !== 'undefined') {
+        window.__TT_METRICS__ = window.__TT_METRICS__ || {};
+        window.__TT_METRICS__.terrain = window.__TT_METRICS__.terrain || {};
+        window.__TT_METRICS__.terrain.lastRebuildMs = dt;
+        window.__TT_METRICS__.terrain.lastRebuildCols = cols;
+        window.__TT_METRICS__.terrain.lastRebuildRows = rows;
+        window.__TT_METRICS__.terrain.chunks = chunked ? mesh.children.length : 1;
+        window.__TT_METRICS__.terrain.lastRebuildChunks = rebuiltChunks;
+        window.__TT_METRICS__.terrain.rebuildCount =
+          (window.__TT_METRICS__.terrain.rebuildCount || 0) + 1;
+      }
+    } catch (_) {
+      /* ignore metrics errors */
+    }
+    if (!chunked) {
+      try {
+        gm?.threeSceneManager?.registerTerrainGeometryBasis?.(mesh?.geometry);
+      } catch (_) {
+        /* ignore terrain basis registration */
+      }
+    }
+    return mesh;
+  }
+
+  // ── Single Mesh ───────────────────────────────────────────────────
+
+  _rebuildSingleMesh(scene, threeNs, buildArgs, forceStandard) {
+    const geo = this.builder.build(buildArgs);
     // Debug sample of first vertex color to help diagnose "all black" issues.
     try {
       if (typeof window !== 'undefined' && !window.__TT_LAST_TERRAIN_COLOR_SAMPLE__) {
@@ -152,40 +236,13 @@ export class TerrainRebuilder {
     } catch (_) {
       /* ignore debug sampling */
     }
-    const scene = gm.threeSceneManager.scene;
     let mesh = scene.getObjectByName('TerrainMesh');
+    if (mesh?.userData?.chunked) {
+      this._removeTerrainRoot(scene, mesh);
+      mesh = null;
+    }
     if (!mesh) {
-      let material;
-      // Prefer Lambert (simpler diffuse) unless explicitly overridden to Standard via flag.
-      const forceStandard = typeof window !== 'undefined' && window.__TT_TERRAIN_STANDARD__;
-      try {
-        if (!forceStandard && threeNs?.MeshLambertMaterial) {
-          material = new threeNs.MeshLambertMaterial({ vertexColors: true });
-        } else if (threeNs?.MeshStandardMaterial) {
-          material = new threeNs.MeshStandardMaterial({
-            vertexColors: true,
-            flatShading: false,
-            roughness: 0.92,
-            metalness: 0.0,
-          });
-        }
-      } catch (_) {
-        /* fallback below */
-      }
-      if (!material) {
-        const FallbackMaterial = threeNs?.MeshBasicMaterial || function Dummy() {};
-        material = new FallbackMaterial({ vertexColors: true });
-      }
-      try {
-        if (geo.getAttribute('color') && material && material.isMaterial) {
-          material.vertexColors = true;
-        }
-        if (material && material.isMaterial && threeNs?.DoubleSide) {
-          material.side = threeNs.DoubleSide;
-        }
-      } catch (_) {
-        /* ignore */
-      }
+      const material = this._createTerrainMaterial(threeNs, geo);
       mesh = new threeNs.Mesh(geo, material);
       mesh.name = 'TerrainMesh';
       mesh.position.set(0, 0, 0);
@@ -261,39 +318,110 @@ export class TerrainRebuilder {
         /* ignore reposition */
       }
     }
-    try {
-      const currentOpacity = Number.isFinite(gm?.threeSceneManager?._terrainMeshOpacity)
-        ? gm.threeSceneManager._terrainMeshOpacity
-        : 1;
-      gm?.threeSceneManager?.setTerrainMeshOpacity?.(currentOpacity);
-    } catch (_) {
-      /* ignore opacity sync */
+    return mesh;
+  }
+
+  // ── Chunks ────────────────────────────────────────────────────────
+
+  /**
+   * Rebuild the chunk meshes under the 'TerrainMesh' group. A new grid size (or switching from
+   * the single mesh) starts a fresh group with every chunk built.
+   * @returns {{mesh: object, rebuiltChunks: number}}
+   */
+  _rebuildChunks(scene, threeNs, buildArgs, cells) {
+    const { cols, rows } = buildArgs;
+    const layout = `${cols}x${rows}`;
+    let root = scene.getObjectByName('TerrainMesh');
+    if (root && (!root.userData?.chunked || root.userData.layout !== layout)) {
+      this._removeTerrainRoot(scene, root);
+      root = null;
+    }
+    let dirty = null;
+    if (!root) {
+      root = new threeNs.Group();
+      root.name = 'TerrainMesh';
+      root.userData = { chunked: true, layout, material: null };
+      scene.add(root);
+    } else if (Array.isArray(cells)) {
+      dirty = dirtyChunkKeys(cells, cols, rows);
     }
+    const existing = new Map(root.children.map((child) => [child.userData.chunkKey, child]));
+    let rebuilt = 0;
+    for (const chunk of listChunks(cols, rows)) {
+      let mesh = existing.get(chunk.key);
+      if (mesh && dirty && !dirty.has(chunk.key)) continue;
+      const geo = this.builder.build({ ...buildArgs, region: chunk });
+      if (mesh) {
+        mesh.geometry.dispose();
+        mesh.geometry = geo;
+      } else {
+        // One material for every chunk, so opacity and lighting changes reach them all
+        if (!root.userData.material) {
+          root.userData.material = this._createTerrainMaterial(threeNs, geo);
+        }
+        mesh = new threeNs.Mesh(geo, root.userData.material);
+        mesh.name = `TerrainChunk:${chunk.key}`;
+        mesh.userData.chunkKey = chunk.key;
+        mesh.receiveShadow = true;
+        root.add(mesh);
+      }
+      try {
+        this.gameManager.threeSceneManager?.registerTerrainGeometryBasis?.(geo, chunk.key);
+      } catch (_) {
+        /* ignore terrain basis registration */
+      }
+      rebuilt++;
+    }
+    return { mesh: root, rebuiltChunks: rebuilt };
+  }
+
+  /** Remove the terrain mesh or chunk group and free its GPU resources. */
+  _removeTerrainRoot(scene, root) {
     try {
-      gm?.threeSceneManager?.syncGridOverlayToTerrain?.();
+      scene.remove?.(root);
+      const meshes = root.userData?.chunked ? root.children : [root];
+      meshes.forEach((mesh) => mesh.geometry?.dispose?.());
+      (root.userData?.material || root.material)?.dispose?.();
+      this.gameManager.threeSceneManager?.registerTerrainGeometryBasis?.(null);
     } catch (_) {
-      /* ignore grid overlay sync */
+      /* ignore disposal errors */
     }
+  }
+
+  // ── Materials ─────────────────────────────────────────────────────
+
+  _createTerrainMaterial(threeNs, geo) {
+    let material;
+    // Prefer Lambert (simpler diffuse) unless explicitly overridden to Standard via flag.
+    const forceStandard = typeof window !== 'undefined' && window.__TT_TERRAIN_STANDARD__;
     try {
-      const t1 = (typeof performance !== 'undefined' && performance.now()) || Date.now();
-      const dt = t1 - t0;
-      if (typeof window !== 'undefined') {
-        window.__TT_METRICS__ = window.__TT_METRICS__ || {};
-        window.__TT_METRICS__.terrain = window.__TT_METRICS__.terrain || {};
-        window.__TT_METRICS__.terrain.lastRebuildMs = dt;
-        window.__TT_METRICS__.terrain.lastRebuildCols = cols;
-        window.__TT_METRICS__.terrain.lastRebuildRows = rows;
-        window.__TT_METRICS__.terrain.rebuildCount =
-          (window.__TT_METRICS__.terrain.rebuildCount || 0) + 1;
+      if (!forceStandard && threeNs?.MeshLambertMaterial) {
+        material = new threeNs.MeshLambertMaterial({ vertexColors: true });
+      } else if (threeNs?.MeshStandardMaterial) {
+        material = new threeNs.MeshStandardMaterial({
+          vertexColors: true,
+          flatShading: false,
+          roughness: 0.92,
+          metalness: 0.0,
+        });
       }
     } catch (_) {
-      /* ignore metrics errors */
+      /* fallback below */
+    }
+    if (!material) {
+      const FallbackMaterial = threeNs?.MeshBasicMaterial || function Dummy() {};
+      material = new FallbackMaterial({ vertexColors: true });
     }
     try {
-      gm?.threeSceneManager?.registerTerrainGeometryBasis?.(mesh?.geometry);
+      if (geo.getAttribute('color') && material && material.isMaterial) {
+        material.vertexColors = true;
+      }
+      if (material && material.isMaterial && threeNs?.DoubleSide) {
+        material.side = threeNs.DoubleSide;
+      }
     } catch (_) {
-      /* ignore terrain basis registration */
+      /* ignore */
     }
-    return mesh;
+    return material;
   }
 }
@@ -0,0 +1,187 @@
+// WaypointRouteOverlay3D.js
+// Draws queued token routes as lines over the terrain, with a marker on each waypoint. Routes run
+// through tile centres at tile-top height; markers are instanced planes from OverlayMeshPool.
+
+import { ensurePlaneMesh, syncMeshMaterial } from './OverlayMeshPool.js';
+
+export class WaypointRouteOverlay3D {
+  // ── Constructor ───────────────────────────────────────────────────
+
+  constructor({ three, scene, gameManager } = {}) {
+    this.three = three;
+    this.scene = scene;
+    this.gameManager = gameManager;
+    this._group = null;
+    this._lines = null;
+    this._markerMesh = null;
+    this._markerCapacity = 0;
+    this._dummy = null;
+
+    try {
+      if (!three || !scene || !three.Group || !three.LineSegments || !three.BufferGeometry) {
+        return;
+      }
+      this._group = new three.Group();
+      this._group.name = 'WaypointRouteOverlay3D';
+      this._group.visible = false;
+      this._group.renderOrder = 12;
+      scene.add(this._group);
+      this._dummy = new three.Object3D();
+    } catch (_) {
+      this._group = null;
+    }
+  }
+
+  get isAvailable() {
+    return !!(this._group && this.three && this.scene);
+  }
+
+  // ── Routes ────────────────────────────────────────────────────────
+
+  /**
+   * @param {Array<{path: Array<{gridX: number, gridY: number}>,
+   *   waypoints: Array<{gridX: number, gridY: number}>}>} routes one per token; path runs from
+   *   the token through every waypoint
+   * @param {{lineColor?: number, lineAlpha?: number, markerColor?: number,
+   *   markerAlpha?: number}} [style]
+   */
+  setRoutes(routes = [], style = {}) {
+    if (!this.isAvailable) return;
+    const three = this.three;
+    const segments = [];
+    const markers = [];
+    for (const route of Array.isArray(routes) ? routes : []) {
+      const path = (route?.path || []).filter(isTile);
+      for (let i = 1; i < path.length; i++) {
+        segments.push(...this._tileTop(path[i - 1], 3), ...this._tileTop(path[i], 3));
+      }
+      markers.push(...(route?.waypoints || []).filter(isTile));
+    }
+    if (!segments.length && !markers.length) {
+      this.clear();
+      return;
+    }
+
+    this._disposeLines();
+    if (segments.length) {
+      const geometry = new three.BufferGeometry();
+      geometry.setAttribute('position', new three.Float32BufferAttribute(segments, 3));
+      const lineAlpha = Number.isFinite(style.lineAlpha) ? style.lineAlpha : 0.9;
+      const material = new three.LineBasicMaterial({
+        color: typeof style.lineColor === 'number' ? style.lineColor : 0xffffff,
+        transparent: lineAlpha < 1,
+        opacity: lineAlpha,
+      });
+      material.depthTest = false;
+      material.depthWrite = false;
+      material.toneMapped = false;
+      this._lines = new three.LineSegments(geometry, material);
+      this._lines.name = 'WaypointRouteOverlay3DLines';
+      this._lines.frustumCulled = false;
+      this._lines.renderOrder = 12;
+      this._group.add(this._lines);
+    }
+
+    this._setMarkers(markers, style);
+    this._group.visible = true;
+  }
+
+  // ── Clear / Dispose ───────────────────────────────────────────────
+
+  clear() {
+    if (!this.isAvailable) return;
+    this._disposeLines();
+    if (this._markerMesh) {
+      this._markerMesh.count = 0;
+      this._markerMesh.instanceMatrix.needsUpdate = true;
+    }
+    this._group.visible = false;
+  }
+
+  dispose() {
+    this._disposeLines();
+    try {
+      this._markerMesh?.parent?.remove?.(this._markerMesh);
+      this._markerMesh?.geometry?.dispose?.();
+      this._markerMesh?.material?.dispose?.();
+    } catch (_) {
+      /* ignore */
+    }
+    try {
+      this._group?.parent?.remove?.(this._group);
+    } catch (_) {
+      /* ignore */
+    }
+    this._group = null;
+    this._markerMesh = null;
+    this._markerCapacity = 0;
+  }
+
+  // ── Helpers ───────────────────────────────────────────────────────
+
+  _setMarkers(markers, style) {
+    const color = typeof style.markerColor === 'number' ? style.markerColor : 0xffffff;
+    const alpha = Number.isFinite(style.markerAlpha) ? style.markerAlpha : 0.8;
+    const result = ensurePlaneMesh({
+      three: this.three,
+      group: this._group,
+      mesh: this._markerMesh,
+      capacity: this._markerCapacity,
+      required: markers.length,
+      colorHex: color,
+      opacity: alpha,
+      name: 'WaypointRouteOverlay3DMarkers',
+    });
+    this._markerMesh = result.mesh;
+    this._markerCapacity = result.capacity;
+    if (!this._markerMesh) return;
+    syncMeshMaterial(this._markerMesh, color, alpha);
+    const tileSize = this.gameManager?.spatial?.tileWorldSize || 1;
+    const dummy = this._dummy;
+    markers.forEach((tile, index) => {
+      const [x, y, z] = this._tileTop(tile, 2);
+      dummy.position.set(x, y, z);
+      dummy.rotation.set(0, 0, 0);
+      dummy.scale.set(tileSize * 0.45, 1, tileSize * 0.45);
+      dummy.updateMatrix();
+      this._markerMesh.setMatrixAt(index, dummy.matrix);
+    });
+    this._markerMesh.count = markers.length;
+    this._markerMesh.instanceMatrix.needsUpdate = true;
+  }
+
+  /** World position of a tile's centre, `lift` hover offsets above its top. */
+  _tileTop({ gridX, gridY }, lift) {
+    const gm = this.gameManager;
+    const tileSize = gm?.spatial?.tileWorldSize || 1;
+    const elevationUnit = gm?.spatial?.elevationUnit || 0.5;
+    const hoverOffset = Math.max(Math.abs(elevationUnit) * 0.025, tileSize * 0.005, 0.012);
+    const height =
+      gm?.terrainCoordinator?.getTerrainHeight?.(gridX, gridY) ??
+      gm?.getTerrainHeight?.(gridX, gridY) ??
+      0;
+    return [
+      (gridX + 0.5) * tileSize,
+      height * elevationUnit + hoverOffset * lift,
+      (gridY + 0.5) * tileSize,
+    ];
+  }
+
+  _disposeLines() {
+    if (!this._lines) return;
+    try {
+      this._lines.parent?.remove?.(this._lines);
+      this._lines.geometry?.dispose?.();
+      this._lines.material?.dispose?.();
+    } catch (_) {
+      /* ignore */
+    }
+    this._lines = null;
+  }
+}
+
+function isTile(tile) {
+  return Number.isFinite(tile?.gridX) && Number.isFinite(tile?.gridY);
+}
+
+export default WaypointRouteOverlay3D;
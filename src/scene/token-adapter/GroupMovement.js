@@ -0,0 +1,154 @@
+/**
+ * GroupMovement.js
+ *
+ * Move orders for several selected tokens at once. Each member gets its own goal from the
+ * chosen formation (see TokenFormation.js) and its own navigateToGrid route; group mates don't
+ * block each other's routes, but every route steers around the tiles earlier members walk and
+ * all members' goals, so mannequins don't pile onto one tile. Every function uses `this` and is
+ * designed to be installed on a class prototype via `installGroupMovementMethods(prototype)`.
+ */
+
+import { GROUP_MOVE_CONFIG } from '../../config/GameConstants.js';
+import { TOKEN_FORMATIONS, formationGoals } from './TokenFormation.js';
+
+const tileKey = (tile) => `${tile.gridX},${tile.gridY}`;
+
+// ── Formation ──────────────────────────────────────────────────────
+
+function getGroupFormation() {
+  return this._groupFormation;
+}
+
+/**
+ * Choose how group move orders lay out the members.
+ * @param {string} formation one of TOKEN_FORMATIONS; anything else restores the default
+ * @returns {string} the formation in use
+ */
+function setGroupFormation(formation) {
+  this._groupFormation = TOKEN_FORMATIONS.includes(formation)
+    ? formation
+    : GROUP_MOVE_CONFIG.DEFAULT_FORMATION;
+  this._logPathing('group:formation', { formation: this._groupFormation });
+  return this._groupFormation;
+}
+
+// ── Move Orders ────────────────────────────────────────────────────
+
+/**
+ * Send a group of tokens to a tile in the current formation; the first token leads and heads
+ * for the tile itself.
+ * @param {object[]} tokens lead first
+ * @param {{queue?: boolean}} [options] queue appends each member's goal to its waypoint queue
+ *   (laid out from where its queued route ends) instead of replacing its move order
+ * @returns {{goal: {gridX: number, gridY: number}, moved: number,
+ *   goals: Array<{token: object, gridX: number, gridY: number}>}|null} the goal each member was
+ *   ordered to, or null when none of them could move
+ */
+function navigateGroupToGrid(tokens, gridX, gridY, options = {}) {
+  if (!Number.isFinite(gridX) || !Number.isFinite(gridY)) return null;
+  const placed = this.gameManager?.placedTokens || [];
+  const members = Array.from(new Set(tokens || [])).filter(
+    (t) => placed.includes(t) && Number.isFinite(t.gridX) && Number.isFinite(t.gridY)
+  );
+  if (!members.length) return null;
+  const queue = !!options.queue;
+  const target = { gridX: Math.round(gridX), gridY: Math.round(gridY) };
+  const origins = members.map((token) => this._groupRouteEnd(token, queue));
+  const slots = formationGoals({ formation: this._groupFormation, members: origins, target });
+
+  const mates = new Set(members);
+  const claimed = new Set();
+  const goals = members.map((token, i) => {
+    const tile = this._resolveFormationTile(token, slots[i], claimed, mates);
+    if (tile) claimed.add(tileKey(tile));
+    return tile;
+  });
+
+  // Earlier members' routes become soft obstacles for the ones planned after them
+  const avoidTiles = new Set(claimed);
+  const ordered = [];
+  members.forEach((token, i) => {
+    const goal = goals[i];
+    const descriptor = this._describeTokenForLogs(token);
+    if (!goal) {
+      this._logPathing('group:no-slot', { token: descriptor, slot: slots[i] });
+      return;
+    }
+    const own = tileKey(goal);
+    const group = { mates, avoidTiles: new Set([...avoidTiles].filter((k) => k !== own)) };
+    // Queued goals carry the group context so mates still pass each other once they set off
+    const result = queue
+      ? this.queueWaypoint(token, goal.gridX, goal.gridY, { group })
+      : this.navigateToGrid(token, goal.gridX, goal.gridY, { __group: group });
+    const from = origins[i];
+    const route =
+      result && this._planGridRoute(token, from.gridX, from.gridY, goal.gridX, goal.gridY);
+    route?.path.forEach((tile) => avoidTiles.add(tileKey(tile)));
+    this._logPathing(result ? 'group:ordered' : 'group:unreachable', {
+      token: descriptor,
+      goal,
+      queued: queue,
+    });
+    if (result) ordered.push({ token, gridX: goal.gridX, gridY: goal.gridY });
+  });
+  if (!ordered.length) return null;
+  return { goal: target, moved: ordered.length, goals: ordered };
+}
+
+// ── Private Helpers ────────────────────────────────────────────────
+
+/** @returns {{gridX: number, gridY: number}} where the token's route ends now, or once queued */
+function _groupRouteEnd(tokenEntry, queued) {
+  if (queued) {
+    const waypoints = this._waypointQueues.get(tokenEntry);
+    if (waypoints?.length) {
+      const { gridX, gridY } = waypoints[waypoints.length - 1];
+      return { gridX, gridY };
+    }
+    const goal = this._movementStates.get(tokenEntry)?.lastRequestedGoal;
+    if (goal && this._isTokenNavigating(tokenEntry)) {
+      return { gridX: goal.gridX, gridY: goal.gridY };
+    }
+  }
+  return { gridX: Math.round(tokenEntry.gridX), gridY: Math.round(tokenEntry.gridY) };
+}
+
+/**
+ * Nearest tile to a formation slot the token can stand on: on the grid, not blocked by anything
+ * outside the group and not already claimed by a group mate.
+ * @returns {{gridX: number, gridY: number}|null} null when nothing within SLOT_SEARCH_RADIUS fits
+ */
+function _resolveFormationTile(tokenEntry, slot, claimed, mates) {
+  const occupancy = this.getTileOccupancy();
+  const fits = (gx, gy) =>
+    this._isGridWithinBounds(gx, gy) &&
+    !claimed.has(`${gx},${gy}`) &&
+    !this.isTileOccupiedFor(tokenEntry, gx, gy, occupancy, mates);
+  if (fits(slot.gridX, slot.gridY)) return { gridX: slot.gridX, gridY: slot.gridY };
+  for (let radius = 1; radius <= GROUP_MOVE_CONFIG.SLOT_SEARCH_RADIUS; radius++) {
+    const ring = [];
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        if (Math.max(Math.abs(dx), Math.abs(dy)) !== radius) continue;
+        ring.push({ gridX: slot.gridX + dx, gridY: slot.gridY + dy, d: dx * dx + dy * dy });
+      }
+    }
+    ring.sort((a, b) => a.d - b.d);
+    const tile = ring.find((t) => fits(t.gridX, t.gridY));
+    if (tile) return { gridX: tile.gridX, gridY: tile.gridY };
+  }
+  return null;
+}
+
+/**
+ * Attach the group movement methods to the given prototype.
+ */
+function installGroupMovementMethods(prototype) {
+  prototype.getGroupFormation = getGroupFormation;
+  prototype.setGroupFormation = setGroupFormation;
+  prototype.navigateGroupToGrid = navigateGroupToGrid;
+  prototype._groupRouteEnd = _groupRouteEnd;
+  prototype._resolveFormationTile = _resolveFormationTile;
+}
+
+export { installGroupMovementMethods };
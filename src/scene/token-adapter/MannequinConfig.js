@@ -280,6 +280,17 @@ export const CLIMB_APPROACH_TOLERANCE_RUN_SCALE = 0.65;
 export const CLIMB_APPROACH_TOLERANCE_SPRINT_SCALE = 0.45;
 export const MAX_INTERMEDIATE_CLIMB_CHAIN = 4;
 export const PATH_STALL_REPATH_DELAY = 0.35;
+// ── Pathfinding Costs ────────────────────────────────
+// Costs are in tiles walked on flat ground (a diagonal step costs √2).
+export const PATH_STEP_LEVEL_COST = 0.25; // per level on a step the token walks up or down
+export const PATH_CLIMB_COST = 4; // a climb of MAX_STANDARD_CLIMB_LEVELS or more
+export const PATH_CLIMB_LEVEL_COST = 1; // per level climbed
+export const PATH_MAX_CLIMB_LEVELS = MAX_STANDARD_CLIMB_LEVELS + HIGH_WALL_SEGMENT_LEVELS;
+export const PATH_FALL_COST = 3; // a drop above FALL_MIN_HEIGHT_THRESHOLD
+export const PATH_HARD_LANDING_COST = 8; // a drop above HARD_LANDING_HEIGHT_THRESHOLD
+export const PATH_DROP_LEVEL_COST = 1; // per level fallen beyond HARD_LANDING_HEIGHT_THRESHOLD
+export const PATH_DIFFICULT_TERRAIN_FACTOR = 2; // multiplier for stepping into wading/swimming water
+export const PATH_GROUP_SHARED_TILE_FACTOR = 3; // multiplier for tiles a group mate walks or stops on
 // ── Selection & Logging Constants ──────────────────────
 export const SELECTION_COLLIDER_HEIGHT = 2.3;
 export const SELECTION_COLLIDER_RADIUS_RATIO = 0.46;
@@ -0,0 +1,177 @@
+/**
+ * MovementRange.js
+ *
+ * Movement range overlay for the selected token: every tile it can reach within the movement
+ * budget, tinted by cost band, plus the route to the hovered tile. Ranges and routes share the
+ * pathfinder's costs, so climbs, drops and difficult terrain eat into the budget and the preview
+ * is the route navigateToGrid will follow; tiles are blocked by the same occupancy test
+ * (isTileOccupiedFor), allies pass-through included. Every function uses `this` and is designed
+ * to be installed on a class prototype via `installMovementRangeMethods(prototype)`.
+ */
+
+import { MOVEMENT_RANGE_CONFIG } from '../../config/GameConstants.js';
+import { findTokenRange } from './TokenPathfinder.js';
+
+const { FEET_PER_TILE, DEFAULT_FEET, MAX_FEET, BAND_LIMITS } = MOVEMENT_RANGE_CONFIG;
+
+// ── Budget ─────────────────────────────────────────────────────────
+
+/** @returns {number} movement budget in feet (0 when the overlay is off) */
+function getMovementRangeFeet() {
+  return this._movementRangeFeet;
+}
+
+/**
+ * @param {number} feet movement budget; rounded to whole tiles, 0 turns the overlay off
+ * @returns {number} the budget applied
+ */
+function setMovementRangeFeet(feet) {
+  const n = Number(feet);
+  this._movementRangeFeet = Number.isFinite(n)
+    ? Math.max(0, Math.min(MAX_FEET, Math.round(n / FEET_PER_TILE) * FEET_PER_TILE))
+    : DEFAULT_FEET;
+  this.invalidateMovementRange();
+  this._syncMovementRange();
+  return this._movementRangeFeet;
+}
+
+// ── Range ──────────────────────────────────────────────────────────
+
+/**
+ * Tiles a token can reach, with the cost of their route and its cost band.
+ * @param {object} tokenEntry
+ * @param {number} [budgetTiles] defaults to the movement budget
+ * @returns {Array<{gridX: number, gridY: number, cost: number, band: number}>} band indexes
+ *   MOVEMENT_RANGE_CONFIG.BAND_LIMITS; empty when the grid size is unknown
+ */
+function getMovementRange(tokenEntry, budgetTiles = this._movementRangeFeet / FEET_PER_TILE) {
+  const gm = this.gameManager;
+  if (!tokenEntry || !Number.isInteger(gm?.cols) || !Number.isInteger(gm?.rows)) return [];
+  const occupancy = this.getTileOccupancy();
+  const tiles = findTokenRange({
+    cols: gm.cols,
+    rows: gm.rows,
+    from: { gridX: Math.round(tokenEntry.gridX), gridY: Math.round(tokenEntry.gridY) },
+    budget: budgetTiles,
+    getHeight: (gx, gy) => this._getTerrainHeight(gx, gy),
+    isBlocked: (gx, gy) => this.isTileOccupiedFor(tokenEntry, gx, gy, occupancy),
+    getMoveFactor: (gx, gy) => this._getGridMoveFactor(gx, gy),
+  });
+  return tiles.map((tile) => {
+    const share = tile.cost / budgetTiles;
+    const band = BAND_LIMITS.findIndex((limit) => share <= limit + 1e-6);
+    return { ...tile, band: band === -1 ? BAND_LIMITS.length - 1 : band };
+  });
+}
+
+// ── Hover Preview ──────────────────────────────────────────────────
+
+/**
+ * Show the route the selected token would take to a tile. Nothing is shown for tiles outside
+ * the range; pass null to clear.
+ */
+function previewMovementPath(gridX, gridY) {
+  const key = Number.isFinite(gridX) && Number.isFinite(gridY) ? `${gridX},${gridY}` : null;
+  if (key === this._movementPathHoverKey) return;
+  this._movementPathHoverKey = key;
+  this._renderMovementPath();
+}
+
+function _renderMovementPath() {
+  const token = this._selectedToken;
+  const key = this._movementPathHoverKey;
+  let path = [];
+  if (token && key && this._movementRangeTiles?.has(key)) {
+    const [gx, gy] = key.split(',').map(Number);
+    const route = this._planGridRoute(
+      token,
+      Math.round(token.gridX),
+      Math.round(token.gridY),
+      gx,
+      gy
+    );
+    if (route) path = route.path.slice(1);
+  }
+  try {
+    this.gameManager?.threeSceneManager?.setMovementPathPreview?.(path, {
+      color: MOVEMENT_RANGE_CONFIG.PATH_COLOR,
+      alpha: MOVEMENT_RANGE_CONFIG.PATH_ALPHA,
+    });
+  } catch (_) {
+    /* ignore overlay errors */
+  }
+}
+
+// ── Frame Sync ─────────────────────────────────────────────────────
+
+/**
+ * Recompute the range on the next frame sync. Called when terrain heights, blocking placeables
+ * or the water level change, none of which show up in the sync key.
+ */
+function invalidateMovementRange() {
+  this._movementRangeKey = null;
+}
+
+/**
+ * Redraw the range when the selection, its tile, the budget or another token's tile changes,
+ * or after invalidateMovementRange; hide it while the selected token is moving. Cheap when
+ * nothing changed, so it runs every frame.
+ */
+function _syncMovementRange() {
+  const gm = this.gameManager;
+  const token = this._selectedToken;
+  const active =
+    !!token &&
+    this._movementRangeFeet > 0 &&
+    !this._isTokenNavigating(token) &&
+    !!gm?.is3DModeActive?.();
+  const key = active
+    ? [
+        this._movementRangeFeet,
+        ...(gm.placedTokens || []).map((t) => {
+          const tile = this._getTokenOccupiedTile(t);
+          return tile ? `${tile.gridX},${tile.gridY}` : '-';
+        }),
+        `${Math.round(token.gridX)},${Math.round(token.gridY)}`,
+      ].join('|')
+    : 'off';
+  if (key === this._movementRangeKey) return;
+  this._movementRangeKey = key;
+
+  const sceneManager = gm?.threeSceneManager;
+  if (!active) {
+    this._movementRangeTiles = null;
+    try {
+      sceneManager?.clearMovementRangePreview?.();
+    } catch (_) {
+      /* ignore overlay errors */
+    }
+    return;
+  }
+  const range = this.getMovementRange(token);
+  this._movementRangeTiles = new Set(range.map((t) => `${t.gridX},${t.gridY}`));
+  try {
+    sceneManager?.setMovementRangePreview?.(
+      range.map((t) => ({ ...t, color: MOVEMENT_RANGE_CONFIG.BAND_COLORS[t.band] })),
+      { alpha: MOVEMENT_RANGE_CONFIG.FILL_ALPHA }
+    );
+  } catch (_) {
+    /* ignore overlay errors */
+  }
+  this._renderMovementPath();
+}
+
+/**
+ * Attach the movement range methods to the given prototype.
+ */
+function installMovementRangeMethods(prototype) {
+  prototype.getMovementRangeFeet = getMovementRangeFeet;
+  prototype.setMovementRangeFeet = setMovementRangeFeet;
+  prototype.getMovementRange = getMovementRange;
+  prototype.previewMovementPath = previewMovementPath;
+  prototype._renderMovementPath = _renderMovementPath;
+  prototype.invalidateMovementRange = invalidateMovementRange;
+  prototype._syncMovementRange = _syncMovementRange;
+}
+
+export { installMovementRangeMethods };
@@ -1,9 +1,10 @@
 /**
  * SelectionEffects.js
  *
- * Selection, hover, facing/orientation, and visual-state helpers for tokens.
- * Every function uses `this` and is designed to be installed on a class
- * prototype via `installSelectionMethods(prototype)`.
+ * Selection, hover, facing/orientation, and visual-state helpers for tokens. Several tokens can
+ * be selected at once; the primary one (getSelectedToken) drives single-token tools such as
+ * keyboard movement and the movement range. Every function uses `this` and is designed to be
+ * installed on a class prototype via `installSelectionMethods(prototype)`.
  */
 
 // ── Material Creation ──────────────────────────────────────────────
@@ -80,6 +81,18 @@ function getSelectedToken() {
   return this._selectedToken || null;
 }
 
+/** @returns {object[]} every selected token, the primary one first */
+function getSelectedTokens() {
+  const primary = this._selectedToken;
+  if (!primary) return [];
+  return [primary, ...Array.from(this._selectedTokens).filter((t) => t && t !== primary)];
+}
+
+function isTokenSelected(tokenEntry) {
+  if (!tokenEntry || !this._selectedToken) return false;
+  return tokenEntry === this._selectedToken || this._selectedTokens.has(tokenEntry);
+}
+
 function setHoverToken(tokenEntry) {
   if (this._hoverToken === tokenEntry) return;
   const previous = this._hoverToken;
@@ -88,18 +101,40 @@ function setHoverToken(tokenEntry) {
   if (tokenEntry) void this._refreshVisualState(tokenEntry);
 }
 
+/** Select a single token (null clears the selection). */
 async function setSelectedToken(tokenEntry) {
-  if (this._selectedToken === tokenEntry) return;
-  const previous = this._selectedToken;
-  this._selectedToken = tokenEntry || null;
-  if (previous) {
-    await this._refreshVisualState(previous);
-  }
-  if (tokenEntry) {
-    await this._refreshVisualState(tokenEntry);
+  if (this._selectedToken === tokenEntry && this.getSelectedTokens().length <= 1) return;
+  await this.setSelectedTokens(tokenEntry ? [tokenEntry] : []);
+}
+
+/**
+ * Replace the selection. The primary token stays primary while it is still selected; otherwise
+ * the first token in the list takes over.
+ */
+async function setSelectedTokens(tokens) {
+  const next = Array.from(new Set((tokens || []).filter(Boolean)));
+  const previous = this.getSelectedTokens();
+  this._selectedToken = next.includes(this._selectedToken) ? this._selectedToken : next[0] || null;
+  this._selectedTokens = new Set(next);
+  for (const token of new Set([...previous, ...next])) {
+    await this._refreshVisualState(token);
   }
 }
 
+/**
+ * Add a token to the selection, or drop it when already selected.
+ * @returns {boolean} true when the token is now selected
+ */
+function toggleTokenSelection(tokenEntry) {
+  if (!tokenEntry) return false;
+  const tokens = this.getSelectedTokens();
+  const selected = !tokens.includes(tokenEntry);
+  void this.setSelectedTokens(
+    selected ? [...tokens, tokenEntry] : tokens.filter((t) => t !== tokenEntry)
+  );
+  return selected;
+}
+
 function updateTokenOrientation(tokenEntry) {
   if (!tokenEntry) return;
   const normalized = this._normalizeAngle(
@@ -287,7 +322,7 @@ function _setSelectionIndicatorSuppressed(state, suppressed) {
   state.selectionIndicatorSuppressed = next;
   if (next) {
     this._hideSelectionIndicator(state.token);
-  } else if (this._selectedToken === state.token) {
+  } else if (this.isTokenSelected(state.token)) {
     this._refreshVisualState(state.token);
   }
 }
@@ -300,7 +335,7 @@ function _refreshVisualState(tokenEntry) {
   const indicatorSuppressed = !!state?.selectionIndicatorSuppressed;
   const canShowSelectionIndicator = is3DToken && !indicatorSuppressed;
 
-  if (this._selectedToken === tokenEntry) {
+  if (this.isTokenSelected(tokenEntry)) {
     this._restoreMaterial(mesh);
     if (is3DToken) {
       if (canShowSelectionIndicator) {
@@ -338,8 +373,12 @@ function installSelectionMethods(prototype) {
   prototype._createMaterialForToken = _createMaterialForToken;
   prototype._syncFacingDirection = _syncFacingDirection;
   prototype.getSelectedToken = getSelectedToken;
+  prototype.getSelectedTokens = getSelectedTokens;
+  prototype.isTokenSelected = isTokenSelected;
   prototype.setHoverToken = setHoverToken;
   prototype.setSelectedToken = setSelectedToken;
+  prototype.setSelectedTokens = setSelectedTokens;
+  prototype.toggleTokenSelection = toggleTokenSelection;
   prototype.updateTokenOrientation = updateTokenOrientation;
   prototype._shouldDeferOrientation = _shouldDeferOrientation;
   prototype._applyPendingOrientation = _applyPendingOrientation;
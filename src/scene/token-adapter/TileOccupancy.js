@@ -0,0 +1,138 @@
+/**
+ * TileOccupancy.js
+ *
+ * Tile occupancy for moving 3D tokens. A tile is occupied by any token standing on it (taken
+ * from the token's live world position, so tokens part-way through a move count where they
+ * are) and by structure placeables and trees; grass and other low flora never block.
+ * isTileOccupiedFor is the one blocking test: route planning, movement ranges and formation
+ * slots use it, and free movement stops a token before it steps into an occupied tile. With
+ * allies passing through, tokens of the same allegiance share tiles; group mates moving
+ * together always pass each other. Every function uses `this` and is designed to be installed
+ * on a class prototype via `installOccupancyMethods(prototype)`.
+ */
+
+import { TOKEN_OCCUPANCY_CONFIG } from '../../config/GameConstants.js';
+
+// ── Rules ──────────────────────────────────────────────────────────
+
+function getAlliesPassThrough() {
+  return this._alliesPassThrough;
+}
+
+/** @returns {boolean} the rule now in force */
+function setAlliesPassThrough(enabled) {
+  this._alliesPassThrough = !!enabled;
+  this.invalidateMovementRange();
+  this._logPathing('occupancy:allies-pass-through', { enabled: this._alliesPassThrough });
+  return this._alliesPassThrough;
+}
+
+/** @returns {string} the token's side; tokens without a known one share the default side */
+function getTokenAllegiance(tokenEntry) {
+  const allegiance = tokenEntry?.allegiance;
+  return TOKEN_OCCUPANCY_CONFIG.ALLEGIANCES.includes(allegiance)
+    ? allegiance
+    : TOKEN_OCCUPANCY_CONFIG.DEFAULT_ALLEGIANCE;
+}
+
+// ── Occupancy Map ──────────────────────────────────────────────────
+
+/** @returns {Map<string, object[]>} placed tokens keyed by the "x,y" tile they stand on */
+function getTileOccupancy() {
+  const occupancy = new Map();
+  for (const token of this.gameManager?.placedTokens || []) {
+    const tile = this._getTokenOccupiedTile(token);
+    if (!tile) continue;
+    const key = `${tile.gridX},${tile.gridY}`;
+    const list = occupancy.get(key);
+    if (list) list.push(token);
+    else occupancy.set(key, [token]);
+  }
+  return occupancy;
+}
+
+/**
+ * @param {Map<string, object[]>} [occupancy] from getTileOccupancy, when checking several tiles
+ * @param {Set<object>} [mates] group mates that never block; defaults to those of the token's
+ *   current group move order
+ * @returns {boolean} true when the token may not step into the tile
+ */
+function isTileOccupiedFor(
+  tokenEntry,
+  gx,
+  gy,
+  occupancy = this.getTileOccupancy(),
+  mates = this._movementStates.get(tokenEntry)?.groupMove?.mates
+) {
+  if (this._tileHasBlockingPlaceable(gx, gy)) return true;
+  const others = (occupancy.get(`${gx},${gy}`) || []).filter((t) => t !== tokenEntry);
+  if (!others.length) return false;
+  const allegiance = this.getTokenAllegiance(tokenEntry);
+  return others.some(
+    (other) =>
+      !mates?.has(other) &&
+      !(this._alliesPassThrough && this.getTokenAllegiance(other) === allegiance)
+  );
+}
+
+// ── Private Helpers ────────────────────────────────────────────────
+
+/** @returns {{gridX: number, gridY: number}|null} */
+function _getTokenOccupiedTile(tokenEntry) {
+  const fromWorld = this._mapWorldToGrid(tokenEntry?.world);
+  if (Number.isFinite(fromWorld?.gridX) && Number.isFinite(fromWorld?.gridY)) return fromWorld;
+  if (!Number.isFinite(tokenEntry?.gridX) || !Number.isFinite(tokenEntry?.gridY)) return null;
+  return { gridX: Math.round(tokenEntry.gridX), gridY: Math.round(tokenEntry.gridY) };
+}
+
+/** @returns {boolean} true when a structure or tree stands on the tile; other flora never blocks */
+function _tileHasBlockingPlaceable(gx, gy) {
+  try {
+    const list = this.gameManager?.terrainManager?.placeables?.get?.(`${gx},${gy}`);
+    return Array.isArray(list) && list.some((p) => p && isBlockingPlaceable(p));
+  } catch (_) {
+    return false;
+  }
+}
+
+function isBlockingPlaceable(placeable) {
+  if (placeable.placeableType === 'structure') return true;
+  if (placeable.placeableType !== 'plant') return false;
+  const id = String(placeable.placeableId ?? placeable.id ?? '');
+  return TOKEN_OCCUPANCY_CONFIG.BLOCKING_PLANT_PREFIXES.some((prefix) => id.startsWith(prefix));
+}
+
+/**
+ * Halt free movement that would enter an occupied tile: drop the move order and queued
+ * waypoints and play runStop where the token stands.
+ */
+function _stopAtOccupiedTile(state, tile) {
+  const tokenEntry = state.token;
+  this._logPathing('movement:blocked', {
+    token: this._describeTokenForLogs(tokenEntry),
+    tile,
+    pathActive: !!state.pathActive,
+  });
+  this.cancelWaypointQueue(tokenEntry);
+  state.climbContinuationGoal = null;
+  state.lastRequestedGoal = null;
+  this._clearPathState(state, { silentResumeProbe: true });
+  state.blockedStop = true;
+  this._triggerStop(state);
+}
+
+/**
+ * Attach the occupancy methods to the given prototype.
+ */
+function installOccupancyMethods(prototype) {
+  prototype.getAlliesPassThrough = getAlliesPassThrough;
+  prototype.setAlliesPassThrough = setAlliesPassThrough;
+  prototype.getTokenAllegiance = getTokenAllegiance;
+  prototype.getTileOccupancy = getTileOccupancy;
+  prototype.isTileOccupiedFor = isTileOccupiedFor;
+  prototype._getTokenOccupiedTile = _getTokenOccupiedTile;
+  prototype._tileHasBlockingPlaceable = _tileHasBlockingPlaceable;
+  prototype._stopAtOccupiedTile = _stopAtOccupiedTile;
+}
+
+export { installOccupancyMethods };
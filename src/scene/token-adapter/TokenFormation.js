@@ -0,0 +1,99 @@
+/**
+ * TokenFormation.js
+ *
+ * Goal tiles for a group move order. Pure functions over grid positions, used by
+ * Token3DAdapter.navigateGroupToGrid.
+ *
+ * 'keep' moves the group as it stands: every member keeps its offset from the lead. The other
+ * formations put the lead on the target tile and lay the remaining slots out behind and beside
+ * it, facing the way the group travels (snapped to the 8 grid directions):
+ *   line   - side by side across the direction of travel
+ *   column - single file behind the lead
+ *   wedge  - a V that opens backwards from the lead
+ * Members are matched to the nearest free slots so they don't cross each other's paths.
+ */
+
+export const TOKEN_FORMATIONS = ['keep', 'line', 'column', 'wedge'];
+
+// ── Layout ─────────────────────────────────────────────────────────
+
+/**
+ * Grid direction from one tile toward another, snapped to the 8 neighbours.
+ * @returns {{dx: number, dy: number}} +x when the tiles coincide
+ */
+export function formationFacing(from, to) {
+  const x = to.gridX - from.gridX;
+  const y = to.gridY - from.gridY;
+  if (!x && !y) return { dx: 1, dy: 0 };
+  const octant = Math.round(Math.atan2(y, x) / (Math.PI / 4));
+  const angle = octant * (Math.PI / 4);
+  return { dx: Math.round(Math.cos(angle)), dy: Math.round(Math.sin(angle)) };
+}
+
+/**
+ * Slot offsets for a formation in the group's own frame; slot 0 is the lead's.
+ * @param {string} formation 'line', 'column' or 'wedge'
+ * @param {number} count
+ * @returns {Array<{forward: number, right: number}>}
+ */
+export function formationOffsets(formation, count) {
+  const offsets = count > 0 ? [{ forward: 0, right: 0 }] : [];
+  for (let k = 1; k < count; k++) {
+    // Alternate sides outward from the lead: +1, -1, +2, -2, ...
+    const rank = Math.ceil(k / 2);
+    const side = k % 2 ? rank : -rank;
+    if (formation === 'column') offsets.push({ forward: -k, right: 0 });
+    else if (formation === 'wedge') offsets.push({ forward: -rank, right: side });
+    else offsets.push({ forward: 0, right: side });
+  }
+  return offsets;
+}
+
+/**
+ * Goal tile for every member of a group moving to a target tile. Goals may fall off the grid or
+ * on blocked tiles; the caller settles those.
+ * @param {object} params
+ * @param {string} params.formation one of TOKEN_FORMATIONS
+ * @param {Array<{gridX: number, gridY: number}>} params.members member tiles, lead first
+ * @param {{gridX: number, gridY: number}} params.target the lead's goal
+ * @returns {Array<{gridX: number, gridY: number}>} goals in member order
+ */
+export function formationGoals({ formation, members, target }) {
+  if (!members.length) return [];
+  const lead = members[0];
+  if (!TOKEN_FORMATIONS.includes(formation) || formation === 'keep') {
+    return members.map((m) => ({
+      gridX: target.gridX + m.gridX - lead.gridX,
+      gridY: target.gridY + m.gridY - lead.gridY,
+    }));
+  }
+
+  const centre = {
+    gridX: Math.round(members.reduce((sum, m) => sum + m.gridX, 0) / members.length),
+    gridY: Math.round(members.reduce((sum, m) => sum + m.gridY, 0) / members.length),
+  };
+  const { dx, dy } = formationFacing(centre, target);
+  const slots = formationOffsets(formation, members.length).map(({ forward, right }) => ({
+    gridX: target.gridX + forward * dx - right * dy,
+    gridY: target.gridY + forward * dy + right * dx,
+  }));
+
+  // The lead takes the front slot; the rest pair up nearest-first
+  const goals = [slots[0]];
+  const pairs = [];
+  for (let i = 1; i < members.length; i++) {
+    for (let s = 1; s < slots.length; s++) {
+      const x = members[i].gridX - slots[s].gridX;
+      const y = members[i].gridY - slots[s].gridY;
+      pairs.push([x * x + y * y, i, s]);
+    }
+  }
+  pairs.sort((a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2]);
+  const taken = new Set();
+  for (const [, i, s] of pairs) {
+    if (goals[i] || taken.has(s)) continue;
+    goals[i] = slots[s];
+    taken.add(s);
+  }
+  return goals;
+}
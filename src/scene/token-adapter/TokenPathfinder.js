@@ -0,0 +1,240 @@
+/**
+ * TokenPathfinder.js
+ *
+ * Elevation-aware grid pathfinding for token navigation. Pure functions over height and
+ * blocker lookups, used by Token3DAdapter.navigateToGrid to route around cliffs, walls,
+ * placeables and other tokens.
+ *
+ * A step is "gentle" when the token can simply walk it: a rise below MAX_STANDARD_CLIMB_LEVELS
+ * and a drop of at most FALL_MIN_HEIGHT_THRESHOLD. Steeper rises are climbs and deeper drops are
+ * falls; both are allowed (up to PATH_MAX_CLIMB_LEVELS for climbs) but cost extra, so routes
+ * prefer ramps over walls and cliffs. Climbs and falls only happen across tile edges, and a
+ * diagonal step is only taken when both tiles it cuts past are gentle and unblocked. Entering
+ * difficult terrain multiplies a step's cost by the tile's move factor.
+ *
+ * Costs are in tiles of flat walking, so the same numbers drive routes and movement ranges.
+ */
+
+import {
+  MAX_STANDARD_CLIMB_LEVELS,
+  FALL_MIN_HEIGHT_THRESHOLD,
+  HARD_LANDING_HEIGHT_THRESHOLD,
+  PATH_STEP_LEVEL_COST,
+  PATH_CLIMB_COST,
+  PATH_CLIMB_LEVEL_COST,
+  PATH_MAX_CLIMB_LEVELS,
+  PATH_FALL_COST,
+  PATH_HARD_LANDING_COST,
+  PATH_DROP_LEVEL_COST,
+} from './MannequinConfig.js';
+import { cheapestGridPath, gridCostField, GRID_STEPS_8 } from '../../utils/geometry/GridSearch.js';
+
+// ── Step Costs ─────────────────────────────────────────────────────
+
+/** @returns {boolean} true when a token walks a height change without climbing or falling */
+export function isGentleStep(fromHeight, toHeight) {
+  const delta = toHeight - fromHeight;
+  return delta < MAX_STANDARD_CLIMB_LEVELS && -delta <= FALL_MIN_HEIGHT_THRESHOLD;
+}
+
+/**
+ * Cost of one edge-crossing step between neighbouring tiles.
+ * @returns {number} Infinity when the rise is too high to climb
+ */
+export function tokenStepCost(fromHeight, toHeight) {
+  const delta = toHeight - fromHeight;
+  if (delta >= MAX_STANDARD_CLIMB_LEVELS) {
+    if (delta > PATH_MAX_CLIMB_LEVELS) return Infinity;
+    return 1 + PATH_CLIMB_COST + delta * PATH_CLIMB_LEVEL_COST;
+  }
+  const drop = -delta;
+  if (drop > HARD_LANDING_HEIGHT_THRESHOLD) {
+    return (
+      1 + PATH_HARD_LANDING_COST + (drop - HARD_LANDING_HEIGHT_THRESHOLD) * PATH_DROP_LEVEL_COST
+    );
+  }
+  if (drop > FALL_MIN_HEIGHT_THRESHOLD) return 1 + PATH_FALL_COST;
+  return 1 + Math.abs(delta) * PATH_STEP_LEVEL_COST;
+}
+
+// ── Public API ─────────────────────────────────────────────────────
+
+/**
+ * Cheapest route for a token between two tiles.
+ * @param {object} params
+ * @param {number} params.cols
+ * @param {number} params.rows
+ * @param {{gridX: number, gridY: number}} params.from
+ * @param {{gridX: number, gridY: number}} params.to
+ * @param {(gx: number, gy: number) => number} params.getHeight terrain height level
+ * @param {(gx: number, gy: number) => boolean} [params.isBlocked] tiles the token may not enter
+ * @param {(gx: number, gy: number) => number} [params.getMoveFactor] cost multiplier (>= 1) for
+ *   entering a tile; difficult terrain is above 1
+ * @returns {Array<{gridX: number, gridY: number}>|null} tiles from start to goal (both
+ *   included), or null when the goal is blocked or unreachable
+ */
+export function findTokenPath({
+  cols,
+  rows,
+  from,
+  to,
+  getHeight,
+  isBlocked = () => false,
+  getMoveFactor,
+}) {
+  const inBounds = (x, y) => x >= 0 && y >= 0 && x < cols && y < rows;
+  if (!inBounds(from.gridX, from.gridY) || !inBounds(to.gridX, to.gridY)) return null;
+  if (isBlocked(to.gridX, to.gridY)) return null;
+  // Octile distance: admissible because no step is cheaper than flat ground
+  const heuristic = (x, y) => {
+    const dx = Math.abs(x - to.gridX);
+    const dy = Math.abs(y - to.gridY);
+    return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+  };
+  const path = cheapestGridPath(
+    { cols, rows },
+    [{ x: from.gridX, y: from.gridY }],
+    (x, y) => x === to.gridX && y === to.gridY,
+    createStepCost(getHeight, isBlocked, getMoveFactor),
+    { heuristic, steps: GRID_STEPS_8 }
+  );
+  return path ? path.map(({ x, y }) => ({ gridX: x, gridY: y })) : null;
+}
+
+/**
+ * Every tile a token can reach within a movement budget, with the cost of its cheapest route.
+ * Takes the same parameters as findTokenPath, with a budget in place of the goal.
+ * @param {object} params
+ * @param {number} params.budget movement in tiles of flat walking
+ * @returns {Array<{gridX: number, gridY: number, cost: number}>} reachable tiles, cheapest
+ *   first; the start tile is not included
+ */
+export function findTokenRange({
+  cols,
+  rows,
+  from,
+  budget,
+  getHeight,
+  isBlocked = () => false,
+  getMoveFactor,
+}) {
+  if (!(budget > 0)) return [];
+  if (from.gridX < 0 || from.gridY < 0 || from.gridX >= cols || from.gridY >= rows) return [];
+  const cost = gridCostField(
+    { cols, rows },
+    [{ x: from.gridX, y: from.gridY }],
+    createStepCost(getHeight, isBlocked, getMoveFactor),
+    // Tolerance keeps tiles whose diagonal costs sum to the budget
+    { maxCost: budget + 1e-6, steps: GRID_STEPS_8 }
+  );
+  const tiles = [];
+  for (let i = 0; i < cost.length; i++) {
+    if (cost[i] === Infinity || cost[i] === 0) continue;
+    tiles.push({ gridX: i % cols, gridY: Math.floor(i / cols), cost: cost[i] });
+  }
+  return tiles.sort((a, b) => a.cost - b.cost);
+}
+
+/**
+ * Pick how far along a route the token can travel as one straight movement. Stops before the
+ * first climb or fall unless that step continues the straight line (the climb/fall then ends the
+ * leg, so the animation state machine can approach the wall or edge head-on).
+ * @param {Array<{gridX: number, gridY: number}>} path from findTokenPath (path[0] is the token)
+ * @param {(gx: number, gy: number) => number} getHeight
+ * @param {(gx: number, gy: number) => boolean} [isBlocked]
+ * @returns {number} index into path of the leg's end tile (0 when the path has no steps)
+ */
+export function nextTokenPathLeg(path, getHeight, isBlocked = () => false) {
+  if (!Array.isArray(path) || path.length < 2) return 0;
+  const heightOf = (p) => getHeight(p.gridX, p.gridY);
+  let special = path.length - 1; // index of the tile before the first climb/fall step
+  for (let i = 0; i < path.length - 1; i++) {
+    if (!isGentleStep(heightOf(path[i]), heightOf(path[i + 1]))) {
+      special = i;
+      break;
+    }
+  }
+  if (special === 0) return 1;
+  const start = path[0];
+  let end = 1;
+  for (let k = special; k > 1; k--) {
+    if (isStraightWalkable(start, path[k], getHeight, isBlocked)) {
+      end = k;
+      break;
+    }
+  }
+  const next = path[end + 1];
+  if (end === special && next && end < path.length - 1) {
+    // Continue into the climb/fall when it lies straight ahead of the approach tile
+    const approachX = next.gridX - Math.sign(next.gridX - start.gridX);
+    const approachY = next.gridY - Math.sign(next.gridY - start.gridY);
+    if (approachX === path[end].gridX && approachY === path[end].gridY) return end + 1;
+  }
+  return end;
+}
+
+// ── Private Helpers ────────────────────────────────────────────────
+
+/** Grid-search step cost: edge steps may climb or fall, diagonals only walk between gentle tiles. */
+function createStepCost(getHeight, isBlocked, getMoveFactor) {
+  const factorOf = (x, y) => {
+    const factor = getMoveFactor ? getMoveFactor(x, y) : 1;
+    return Number.isFinite(factor) && factor > 1 ? factor : 1;
+  };
+  return (ax, ay, bx, by) => {
+    if (isBlocked(bx, by)) return Infinity;
+    const ha = getHeight(ax, ay);
+    const hb = getHeight(bx, by);
+    if (ax === bx || ay === by) return tokenStepCost(ha, hb) * factorOf(bx, by);
+    if (!isGentleStep(ha, hb)) return Infinity;
+    // Never squeeze past a blocked or steep corner
+    for (const [cx, cy] of [
+      [bx, ay],
+      [ax, by],
+    ]) {
+      if (isBlocked(cx, cy)) return Infinity;
+      const hc = getHeight(cx, cy);
+      if (!isGentleStep(ha, hc) || !isGentleStep(hc, hb)) return Infinity;
+    }
+    return Math.SQRT2 * (1 + Math.abs(hb - ha) * PATH_STEP_LEVEL_COST) * factorOf(bx, by);
+  };
+}
+
+/** Walk the grid line between two tiles: every step gentle, no blocked tiles or corners. */
+function isStraightWalkable(a, b, getHeight, isBlocked) {
+  const dx = Math.abs(b.gridX - a.gridX);
+  const dy = Math.abs(b.gridY - a.gridY);
+  const sx = Math.sign(b.gridX - a.gridX);
+  const sy = Math.sign(b.gridY - a.gridY);
+  let x = a.gridX;
+  let y = a.gridY;
+  let err = dx - dy;
+  while (x !== b.gridX || y !== b.gridY) {
+    const px = x;
+    const py = y;
+    const err2 = err * 2;
+    if (err2 > -dy) {
+      err -= dy;
+      x += sx;
+    }
+    if (err2 < dx) {
+      err += dx;
+      y += sy;
+    }
+    if (isBlocked(x, y)) return false;
+    const from = getHeight(px, py);
+    const to = getHeight(x, y);
+    if (!isGentleStep(from, to)) return false;
+    if (px !== x && py !== y) {
+      for (const [cx, cy] of [
+        [x, py],
+        [px, y],
+      ]) {
+        if (isBlocked(cx, cy)) return false;
+        const corner = getHeight(cx, cy);
+        if (!isGentleStep(from, corner) || !isGentleStep(corner, to)) return false;
+      }
+    }
+  }
+  return true;
+}
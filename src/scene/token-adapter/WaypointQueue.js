@@ -0,0 +1,180 @@
+/**
+ * WaypointQueue.js
+ *
+ * Shift-click waypoint queues. Each token keeps the tiles it should visit after its current move
+ * order; whenever it comes to rest the next waypoint goes through navigateToGrid, so every stretch
+ * is routed (climbs and falls included) exactly like a plain move order. Queued routes are drawn
+ * over the terrain. Every function uses `this` and is designed to be installed on a class
+ * prototype via `installWaypointMethods(prototype)`.
+ */
+
+import { WAYPOINT_ROUTE_CONFIG } from '../../config/GameConstants.js';
+
+// ── Queue ──────────────────────────────────────────────────────────
+
+/**
+ * Append a waypoint to a token's route. A token with no move order and an empty queue heads
+ * there straight away.
+ * @param {{group?: {mates: Set<object>, avoidTiles: Set<string>}}} [options] group context of a
+ *   queued group move order, handed to navigateToGrid when the token sets off for the waypoint
+ * @returns {{goal: {gridX: number, gridY: number}, queued?: number}|null} navigateToGrid's
+ *   result when the move started, the waypoint and queue length when queued, or null when refused
+ */
+function queueWaypoint(tokenEntry, gridX, gridY, options = {}) {
+  if (!tokenEntry || !Number.isFinite(gridX) || !Number.isFinite(gridY)) return null;
+  const waypoint = { gridX: Math.round(gridX), gridY: Math.round(gridY) };
+  if (options.group) waypoint.group = options.group;
+  const queue = this._waypointQueues.get(tokenEntry) || [];
+  if (!queue.length && !this._isTokenNavigating(tokenEntry)) {
+    return this._navigateToWaypoint(tokenEntry, waypoint);
+  }
+  if (queue.length >= WAYPOINT_ROUTE_CONFIG.MAX_WAYPOINTS) return null;
+  queue.push(waypoint);
+  this._waypointQueues.set(tokenEntry, queue);
+  this._waypointRouteKey = null;
+  const goal = { gridX: waypoint.gridX, gridY: waypoint.gridY };
+  this._logPathing('waypoint:queued', {
+    token: this._describeTokenForLogs(tokenEntry),
+    waypoint: goal,
+    queued: queue.length,
+  });
+  return { goal, queued: queue.length };
+}
+
+/** @returns {Array<{gridX: number, gridY: number}>} waypoints still to visit after the current move */
+function getWaypointQueue(tokenEntry) {
+  return (this._waypointQueues.get(tokenEntry) || []).map(({ gridX, gridY }) => ({ gridX, gridY }));
+}
+
+/**
+ * Drop queued waypoints; the move in progress carries on to its goal.
+ * @param {object|null} [tokenEntry] null cancels every token's queue
+ * @returns {number} waypoints removed
+ */
+function cancelWaypointQueue(tokenEntry = null) {
+  const tokens = tokenEntry ? [tokenEntry] : Array.from(this._waypointQueues.keys());
+  let removed = 0;
+  for (const token of tokens) {
+    const queue = this._waypointQueues.get(token);
+    if (!queue) continue;
+    removed += queue.length;
+    this._waypointQueues.delete(token);
+    this._logPathing('waypoint:cancelled', {
+      token: this._describeTokenForLogs(token),
+      removed: queue.length,
+    });
+  }
+  if (removed) this._waypointRouteKey = null;
+  return removed;
+}
+
+/** @returns {boolean} true while the token follows a move order, climbs, falls or stops */
+function _isTokenNavigating(tokenEntry) {
+  const state = this._movementStates.get(tokenEntry);
+  if (!state) return false;
+  return (
+    !!state.pathActive ||
+    (!!state.phase && state.phase !== 'idle') ||
+    this._shouldHoldMovementState(state)
+  );
+}
+
+// ── Frame Sync ─────────────────────────────────────────────────────
+
+/** Send each resting token with a queue on to its next waypoint. Runs every frame. */
+function _advanceWaypointQueues() {
+  if (!this._waypointQueues.size) return;
+  const placed = this.gameManager?.placedTokens || [];
+  for (const [token, queue] of Array.from(this._waypointQueues.entries())) {
+    if (!placed.includes(token) || !queue.length) {
+      this._waypointQueues.delete(token);
+      this._waypointRouteKey = null;
+      continue;
+    }
+    if (this._isTokenNavigating(token)) continue;
+    const waypoint = queue.shift();
+    if (!queue.length) this._waypointQueues.delete(token);
+    this._waypointRouteKey = null;
+    const result = this._navigateToWaypoint(token, waypoint);
+    this._logPathing(result ? 'waypoint:advance' : 'waypoint:unreachable', {
+      token: this._describeTokenForLogs(token),
+      waypoint: { gridX: waypoint.gridX, gridY: waypoint.gridY },
+      remaining: queue.length,
+    });
+  }
+}
+
+/** Start the move order for a waypoint, restoring its group context when it has one. */
+function _navigateToWaypoint(tokenEntry, waypoint) {
+  const { gridX, gridY, group } = waypoint;
+  return group
+    ? this.navigateToGrid(tokenEntry, gridX, gridY, { __group: group })
+    : this.navigateToGrid(tokenEntry, gridX, gridY);
+}
+
+/**
+ * Redraw queued routes when a queue, a move order or a token's tile changes: from the token
+ * through its current goal and every waypoint, following the routes navigateToGrid will plan.
+ */
+function _syncWaypointRoutes() {
+  const gm = this.gameManager;
+  const entries = Array.from(this._waypointQueues.entries());
+  const key = entries
+    .map(([token, queue]) => {
+      const goal = this._movementStates.get(token)?.lastRequestedGoal;
+      return [
+        `${Math.round(token.gridX)},${Math.round(token.gridY)}`,
+        goal ? `${goal.gridX},${goal.gridY}` : '-',
+        ...queue.map((w) => `${w.gridX},${w.gridY}`),
+      ].join(' ');
+    })
+    .join('|');
+  if (key === this._waypointRouteKey) return;
+  this._waypointRouteKey = key;
+
+  const sceneManager = gm?.threeSceneManager;
+  try {
+    if (!entries.length) {
+      sceneManager?.clearWaypointRoutePreview?.();
+      return;
+    }
+    const routes = entries.map(([token, queue]) => {
+      const start = { gridX: Math.round(token.gridX), gridY: Math.round(token.gridY) };
+      const goal = this._isTokenNavigating(token)
+        ? this._movementStates.get(token)?.lastRequestedGoal
+        : null;
+      const waypoints = queue.map(({ gridX, gridY }) => ({ gridX, gridY }));
+      const stops = [...(goal ? [{ gridX: goal.gridX, gridY: goal.gridY }] : []), ...waypoints];
+      const path = [start];
+      for (const stop of stops) {
+        const from = path[path.length - 1];
+        const route = this._planGridRoute(token, from.gridX, from.gridY, stop.gridX, stop.gridY);
+        path.push(...(route ? route.path.slice(1) : [stop]));
+      }
+      return { path, waypoints };
+    });
+    sceneManager?.setWaypointRoutePreview?.(routes, {
+      lineColor: WAYPOINT_ROUTE_CONFIG.LINE_COLOR,
+      lineAlpha: WAYPOINT_ROUTE_CONFIG.LINE_ALPHA,
+      markerColor: WAYPOINT_ROUTE_CONFIG.MARKER_COLOR,
+      markerAlpha: WAYPOINT_ROUTE_CONFIG.MARKER_ALPHA,
+    });
+  } catch (_) {
+    /* ignore overlay errors */
+  }
+}
+
+/**
+ * Attach the waypoint queue methods to the given prototype.
+ */
+function installWaypointMethods(prototype) {
+  prototype.queueWaypoint = queueWaypoint;
+  prototype.getWaypointQueue = getWaypointQueue;
+  prototype.cancelWaypointQueue = cancelWaypointQueue;
+  prototype._isTokenNavigating = _isTokenNavigating;
+  prototype._advanceWaypointQueues = _advanceWaypointQueues;
+  prototype._navigateToWaypoint = _navigateToWaypoint;
+  prototype._syncWaypointRoutes = _syncWaypointRoutes;
+}
+
+export { installWaypointMethods };
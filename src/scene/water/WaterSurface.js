@@ -0,0 +1,275 @@
+// WaterSurface.js — Translucent animated water over submerged tiles, with shoreline foam.
+// Installed on ThreeSceneManager via mixin pattern. Rebuilt from the terrain coordinator's water
+// level after terrain rebuilds and level changes; tinted by the time-of-day profile's `water`
+// entry (see LightingSystem).
+
+import { TERRAIN_CONFIG } from '../../config/terrain/TerrainConstants.js';
+import { planWaterBody } from '../../terrain/water/WaterLevel.js';
+
+// ── Geometry ──────────────────────────────────────────────────────
+
+/**
+ * One quad per submerged tile over a shared corner lattice, so the wave displacement stays
+ * continuous across tiles. Only the corners actually used are emitted.
+ * @returns {{positions: Float32Array, indices: number[]}}
+ */
+export function buildWaterSurfaceArrays(tiles, cols, tileSize, surfaceY) {
+  const lattice = new Map();
+  const positions = [];
+  const indices = [];
+  const corner = (cx, cz) => {
+    const key = cz * (cols + 1) + cx;
+    let index = lattice.get(key);
+    if (index === undefined) {
+      index = positions.length / 3;
+      positions.push(cx * tileSize, surfaceY, cz * tileSize);
+      lattice.set(key, index);
+    }
+    return index;
+  };
+  for (const { x, y } of tiles) {
+    const a = corner(x, y);
+    const b = corner(x + 1, y);
+    const c = corner(x + 1, y + 1);
+    const d = corner(x, y + 1);
+    // Counter-clockwise seen from above so the face normal points up
+    indices.push(a, d, b, b, d, c);
+  }
+  return { positions: new Float32Array(positions), indices };
+}
+
+/**
+ * A strip along each shoreline edge, reaching `width` into the submerged tile.
+ * @param {Array<{x:number,y:number,side:string}>} shore
+ * @returns {Float32Array} non-indexed triangle positions
+ */
+export function buildShoreFoamPositions(shore, tileSize, foamY, width) {
+  const out = [];
+  const quad = (x0, z0, x1, z1) => {
+    out.push(x0, foamY, z0, x0, foamY, z1, x1, foamY, z0);
+    out.push(x1, foamY, z0, x0, foamY, z1, x1, foamY, z1);
+  };
+  const w = width * tileSize;
+  for (const { x, y, side } of shore) {
+    const x0 = x * tileSize;
+    const z0 = y * tileSize;
+    const x1 = x0 + tileSize;
+    const z1 = z0 + tileSize;
+    if (side === 'north') quad(x0, z0, x1, z0 + w);
+    else if (side === 'south') quad(x0, z1 - w, x1, z1);
+    else if (side === 'west') quad(x0, z0, x0 + w, z1);
+    else if (side === 'east') quad(x1 - w, z0, x1, z1);
+  }
+  return new Float32Array(out);
+}
+
+/**
+ * Displace the surface in the vertex shader rather than on the CPU: the lattice keeps its flat
+ * base height and the ripple (plus its analytic normal) is evaluated per vertex on the GPU, so a
+ * frame only advances `uWaveTime`.
+ * @param {{uWaveTime:{value:number}, uWaveK:{value:number}, uWaveAmplitude:{value:number}}} uniforms
+ */
+function installWaveShader(material, uniforms) {
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+    shader.vertexShader = shader.vertexShader
+      .replace(
+        '#include <common>',
+        `#include <common>
+uniform float uWaveTime;
+uniform float uWaveK;
+uniform float uWaveAmplitude;`
+      )
+      .replace(
+        '#include <beginnormal_vertex>',
+        `#include <beginnormal_vertex>
+float waveSx = sin(uWaveTime + position.x * uWaveK);
+float waveCz = cos(uWaveTime * 0.8 + position.z * uWaveK);
+float waveDx = uWaveAmplitude * uWaveK * cos(uWaveTime + position.x * uWaveK) * waveCz;
+float waveDz = -uWaveAmplitude * uWaveK * waveSx * sin(uWaveTime * 0.8 + position.z * uWaveK);
+objectNormal = normalize(vec3(-waveDx, 1.0, -waveDz));`
+      )
+      .replace(
+        '#include <begin_vertex>',
+        `#include <begin_vertex>
+transformed.y += uWaveAmplitude * sin(uWaveTime + position.x * uWaveK) *
+  cos(uWaveTime * 0.8 + position.z * uWaveK);`
+      );
+  };
+}
+
+// ── Build / Dispose ───────────────────────────────────────────────
+
+/**
+ * Rebuild the water meshes from the current water level and heights; removes them when the map
+ * has no water or nothing lies below it. Safe to call before the scene exists.
+ * @param {Array<{x: number, y: number}>} [cells] tiles whose height changed; when none of them
+ *   went under or came out of the water, the current surface is kept as is
+ * @returns {number} submerged tiles
+ */
+function syncWaterSurface(cells) {
+  const three = this.three;
+  const gm = this.gameManager;
+  const level = gm?.terrainCoordinator?.getWaterLevel?.();
+  const metrics = this.scene && Number.isFinite(level) ? this._getBoardMetrics() : null;
+  const unitRaw = gm?.spatial?.elevationUnit;
+  const unit = Number.isFinite(unitRaw) ? unitRaw : 0.5;
+  const heightAt = (x, y) => {
+    const h = gm.getTerrainHeight?.(x, y);
+    return Number.isFinite(h) ? h : TERRAIN_CONFIG.DEFAULT_HEIGHT;
+  };
+  const buildKey = metrics
+    ? `${level}:${metrics.cols}x${metrics.rows}x${metrics.tileSize}:${unit}`
+    : null;
+  const built = this._waterBuild;
+  if (
+    Array.isArray(cells) &&
+    buildKey &&
+    built?.key === buildKey &&
+    cells.every(({ x, y }) => heightAt(x, y) < level === built.submerged.has(`${x},${y}`))
+  ) {
+    return built.submerged.size;
+  }
+
+  this._disposeWaterSurface();
+  if (!three?.BufferGeometry || !metrics) return 0;
+  const { cols, rows, tileSize } = metrics;
+  const { tiles, shore } = planWaterBody(heightAt, cols, rows, level);
+  this._waterBuild = { key: buildKey, submerged: new Set(tiles.map(({ x, y }) => `${x},${y}`)) };
+  if (!tiles.length) return 0;
+
+  const water = TERRAIN_CONFIG.WATER;
+  const surfaceY = (level - water.SURFACE_OFFSET) * unit;
+  const amplitude = water.WAVE_AMPLITUDE * unit;
+  const profile = this._waterProfile || this.getTimeOfDayProfile?.()?.water || null;
+
+  const group = new three.Group();
+  group.name = 'WaterSurface';
+
+  const { positions, indices } = buildWaterSurfaceArrays(tiles, cols, tileSize, surfaceY);
+  const geometry = new three.BufferGeometry();
+  geometry.setAttribute('position', new three.BufferAttribute(positions, 3));
+  geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+  const MaterialCtor = three.MeshStandardMaterial || three.MeshBasicMaterial;
+  const material = new MaterialCtor({ transparent: true, depthWrite: false });
+  if (material.isMeshStandardMaterial) {
+    material.roughness = 0.25;
+    material.metalness = 0.05;
+  }
+  const surface = new three.Mesh(geometry, material);
+  surface.name = 'WaterSurfaceMesh';
+  surface.renderOrder = 2;
+  surface.userData.baseY = surfaceY;
+  surface.userData.waveUniforms = {
+    uWaveTime: { value: 0 },
+    uWaveK: { value: (2 * Math.PI) / (water.WAVE_LENGTH * tileSize) },
+    uWaveAmplitude: { value: amplitude },
+  };
+  installWaveShader(material, surface.userData.waveUniforms);
+  group.add(surface);
+
+  if (shore.length) {
+    // Lifted to the wave crests so the ripples never swallow it
+    const foamY = surfaceY + amplitude + unit * 0.01;
+    const foamGeometry = new three.BufferGeometry();
+    foamGeometry.setAttribute(
+      'position',
+      new three.BufferAttribute(
+        buildShoreFoamPositions(shore, tileSize, foamY, water.FOAM_WIDTH),
+        3
+      )
+    );
+    const foam = new three.Mesh(
+      foamGeometry,
+      new three.MeshBasicMaterial({ transparent: true, depthWrite: false })
+    );
+    foam.name = 'WaterShoreFoam';
+    foam.renderOrder = 3;
+    group.add(foam);
+  }
+
+  this.scene.add(group);
+  this._waterGroup = group;
+  this._applyWaterProfile(profile);
+  if (!this._waterAnimFn) {
+    this._waterAnimFn = (ts) => this._animateWaterSurface(ts);
+    this.addAnimationCallback(this._waterAnimFn);
+  }
+  return tiles.length;
+}
+
+function _disposeWaterSurface() {
+  if (this._waterAnimFn) {
+    this.removeAnimationCallback?.(this._waterAnimFn);
+    this._waterAnimFn = null;
+  }
+  this._waterBuild = null;
+  const group = this._waterGroup;
+  this._waterGroup = null;
+  if (!group) return;
+  for (const child of group.children) {
+    try {
+      child.geometry?.dispose?.();
+      child.material?.dispose?.();
+    } catch (_) {
+      /* ignore */
+    }
+  }
+  try {
+    group.parent?.remove(group);
+  } catch (_) {
+    /* ignore */
+  }
+}
+
+// ── Animation & Tint ──────────────────────────────────────────────
+
+/** Advance the surface ripple and pulse the foam. @param {number} ts frame timestamp (ms) */
+function _animateWaterSurface(ts) {
+  const group = this._waterGroup;
+  if (!group || !Number.isFinite(ts)) return;
+  const t = (ts / 1000) * TERRAIN_CONFIG.WATER.WAVE_SPEED;
+  const uniforms = group.getObjectByName('WaterSurfaceMesh')?.userData.waveUniforms;
+  if (uniforms) uniforms.uWaveTime.value = t;
+  const foam = group.getObjectByName('WaterShoreFoam');
+  if (foam?.material) {
+    const base = foam.userData.baseOpacity ?? 0.6;
+    foam.material.opacity = base * (0.75 + 0.25 * Math.sin(t * 1.7));
+  }
+}
+
+/**
+ * Tint the water from a time-of-day profile's `water` entry (linear RGB). Remembered so a
+ * rebuilt surface starts with the current tint.
+ * @param {{color: {r:number,g:number,b:number}, foamColor: {r:number,g:number,b:number}, opacity: number}|null} waterProfile
+ */
+function _applyWaterProfile(waterProfile) {
+  if (!waterProfile || typeof waterProfile !== 'object') return;
+  this._waterProfile = waterProfile;
+  const group = this._waterGroup;
+  if (!group) return;
+  const surface = group.getObjectByName('WaterSurfaceMesh');
+  if (surface?.material && waterProfile.color) {
+    const { r, g, b } = waterProfile.color;
+    surface.material.color.setRGB(this._clamp(r), this._clamp(g), this._clamp(b));
+    surface.material.opacity = this._clamp(waterProfile.opacity, 0.1, 1);
+  }
+  const foam = group.getObjectByName('WaterShoreFoam');
+  if (foam?.material && waterProfile.foamColor) {
+    const { r, g, b } = waterProfile.foamColor;
+    foam.material.color.setRGB(this._clamp(r), this._clamp(g), this._clamp(b));
+    // Foam stays a little fainter than the water it floats on
+    foam.userData.baseOpacity = this._clamp(waterProfile.opacity * 0.8, 0.1, 1);
+    foam.material.opacity = foam.userData.baseOpacity;
+  }
+}
+
+// ── Install ───────────────────────────────────────────────────────
+
+export function installWaterSurfaceMethods(prototype) {
+  prototype.syncWaterSurface = syncWaterSurface;
+  prototype._disposeWaterSurface = _disposeWaterSurface;
+  prototype._animateWaterSurface = _animateWaterSurface;
+  prototype._applyWaterProfile = _applyWaterProfile;
+}
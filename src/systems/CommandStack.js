@@ -0,0 +1,212 @@
+// src/systems/CommandStack.js - Bounded undo/redo history
+/**
+ * Command Stack
+ *
+ * Holds reversible commands (`{ label, undo(), redo() }`, either may be async) in an undo
+ * list and a redo list. Commands are recorded after the change they describe has already
+ * happened, so existing code paths keep mutating state directly and only report what they
+ * did. Recording a new command clears the redo list.
+ *
+ * Groups coalesce everything recorded between beginGroup() and endGroup() into a single
+ * step (e.g. one brush stroke from mouse-down to mouse-up). Groups nest; only the outermost
+ * endGroup() commits.
+ *
+ * While a command is being undone/redone the stack is "applying": record() ignores input so
+ * the mutations performed by undo/redo don't record themselves.
+ */
+
+import { HISTORY_CONFIG } from '../config/GameConstants.js';
+
+export class CommandStack {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.depth] maximum number of undo steps kept
+   */
+  constructor(options = {}) {
+    this.depth = CommandStack.normalizeDepth(options.depth ?? HISTORY_CONFIG.DEFAULT_DEPTH);
+    this.undoList = [];
+    this.redoList = [];
+    this.applying = false;
+    this._group = null;
+    this._groupDepth = 0;
+    this._listeners = new Set();
+  }
+
+  // ── Configuration ──────────────────────────────────────
+
+  static normalizeDepth(depth) {
+    const n = Math.round(Number(depth));
+    if (!Number.isFinite(n)) return HISTORY_CONFIG.DEFAULT_DEPTH;
+    return Math.max(HISTORY_CONFIG.MIN_DEPTH, Math.min(HISTORY_CONFIG.MAX_DEPTH, n));
+  }
+
+  /** Change the history depth, dropping the oldest steps if it shrinks. */
+  setDepth(depth) {
+    this.depth = CommandStack.normalizeDepth(depth);
+    this._trim();
+    this._emit();
+  }
+
+  // ── Recording ──────────────────────────────────────────
+
+  /**
+   * Record an already-applied command.
+   * @param {{label?: string, undo: Function, redo: Function}} command
+   * @returns {boolean} true if recorded
+   */
+  record(command) {
+    if (this.applying) return false;
+    if (!command || typeof command.undo !== 'function' || typeof command.redo !== 'function') {
+      return false;
+    }
+    if (this._group) {
+      this._group.commands.push(command);
+      return true;
+    }
+    this._push(command);
+    return true;
+  }
+
+  /** Start coalescing recorded commands into one step. */
+  beginGroup(label = 'group') {
+    if (this._groupDepth === 0) {
+      this._group = { label, commands: [] };
+    }
+    this._groupDepth++;
+  }
+
+  /**
+   * Close the current group. The outermost call commits the group as one step; empty groups
+   * are discarded.
+   * @returns {boolean} true if a step was committed
+   */
+  endGroup() {
+    if (this._groupDepth === 0) return false;
+    this._groupDepth--;
+    if (this._groupDepth > 0) return false;
+    const { label, commands } = this._group;
+    this._group = null;
+    if (!commands.length) return false;
+    this._push(commands.length === 1 ? commands[0] : composite(label, commands));
+    return true;
+  }
+
+  get isGrouping() {
+    return this._groupDepth > 0;
+  }
+
+  /** Nesting level of open groups (0 when none). */
+  get groupDepth() {
+    return this._groupDepth;
+  }
+
+  // ── Undo / Redo ────────────────────────────────────────
+
+  canUndo() {
+    return !this.applying && this.undoList.length > 0;
+  }
+
+  canRedo() {
+    return !this.applying && this.redoList.length > 0;
+  }
+
+  /**
+   * Revert the newest step. Returns early while another undo/redo is still applying.
+   * @returns {Promise<string|null>} label of the reverted step, or null if nothing to undo
+   */
+  async undo() {
+    if (this.applying || !this.canUndo()) return null;
+    return this._step(this.undoList, this.redoList, 'undo');
+  }
+
+  /**
+   * Re-apply the newest reverted step. Returns early while another undo/redo is still applying.
+   * @returns {Promise<string|null>} label of the re-applied step, or null if nothing to redo
+   */
+  async redo() {
+    if (this.applying || !this.canRedo()) return null;
+    return this._step(this.redoList, this.undoList, 'redo');
+  }
+
+  /** Drop all history (e.g. after loading a different scene). */
+  clear() {
+    this.undoList = [];
+    this.redoList = [];
+    this._group = null;
+    this._groupDepth = 0;
+    this._emit();
+  }
+
+  /**
+   * Subscribe to history changes.
+   * @param {(stack: CommandStack) => void} listener
+   * @returns {Function} unsubscribe
+   */
+  onChange(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  // ── Private Helpers ────────────────────────────────────
+
+  _push(command) {
+    this.undoList.push(command);
+    this.redoList = [];
+    this._trim();
+    this._emit();
+  }
+
+  _trim() {
+    const excess = this.undoList.length - this.depth;
+    if (excess > 0) this.undoList.splice(0, excess);
+  }
+
+  /**
+   * Move the newest command of `from` onto `to` by applying it. A command that throws goes
+   * back onto `from` so the step isn't lost, and listeners hear about it either way.
+   */
+  async _step(from, to, direction) {
+    const command = from.pop();
+    try {
+      await this._apply(command, direction);
+    } catch (error) {
+      from.push(command);
+      this._emit();
+      throw error;
+    }
+    to.push(command);
+    this._emit();
+    return command.label || null;
+  }
+
+  async _apply(command, direction) {
+    this.applying = true;
+    try {
+      await command[direction]();
+    } finally {
+      this.applying = false;
+    }
+  }
+
+  _emit() {
+    this._listeners.forEach((fn) => {
+      try {
+        fn(this);
+      } catch (_) {
+        /* listener errors must not break history */
+      }
+    });
+  }
+}
+
+function composite(label, commands) {
+  return {
+    label,
+    async undo() {
+      for (let i = commands.length - 1; i >= 0; i--) await commands[i].undo();
+    },
+    async redo() {
+      for (const command of commands) await command.redo();
+    },
+  };
+}
@@ -5,8 +5,21 @@
 import { TERRAIN_CONFIG } from '../config/terrain/TerrainConstants.js';
 import { TerrainHeightUtils } from '../utils/terrain/TerrainHeightUtils.js';
 import { logger, LOG_LEVEL, LOG_CATEGORY } from '../utils/Logger.js';
+import {
+  encodeHeightCSV,
+  decodeHeightCSV,
+  encodeHeightPNG,
+  decodeHeightPNG,
+  resampleHeightField,
+} from '../utils/terrain/HeightmapCodec.js';
+import { hasPngSignature } from '../utils/canvas/PngChunks.js';
+import { isBiomeKey } from './biomes/BiomeRegions.js';
 
 // ── Data Store ─────────────────────────────────────────────────
+function createSurfaceArray(rows, cols) {
+  return Array.from({ length: rows }, () => new Array(cols).fill(null));
+}
+
 export class TerrainDataStore {
   constructor(cols, rows, baseTerrainHeights = null) {
     // Defensive fallback if constructed before GameManager sets dimensions
@@ -34,6 +47,11 @@ export class TerrainDataStore {
       validCols,
       TERRAIN_CONFIG.DEFAULT_HEIGHT
     );
+    // Per-tile surface type (a TERRAIN_CONFIG.SURFACES key) or null; independent of heights
+    this.surface = createSurfaceArray(validRows, validCols);
+    // Per-tile painted biome key or null (the map biome); bumped version invalidates blend caches
+    this.biome = createSurfaceArray(validRows, validCols);
+    this.biomeVersion = 0;
   }
 
   resize(cols, rows) {
@@ -48,10 +66,14 @@ export class TerrainDataStore {
     const copyRows = Math.min(rows, oldBase.length);
     const copyCols = Math.min(cols, oldBase[0]?.length || 0);
 
+    const newSurface = createSurfaceArray(rows, cols);
+    const newBiome = createSurfaceArray(rows, cols);
     for (let y = 0; y < copyRows; y++) {
       for (let x = 0; x < copyCols; x++) {
         newBase[y][x] = oldBase[y][x];
         newWorking[y][x] = oldBase[y][x];
+        newSurface[y][x] = this.surface?.[y]?.[x] ?? null;
+        newBiome[y][x] = this.biome?.[y]?.[x] ?? null;
       }
     }
 
@@ -59,6 +81,9 @@ export class TerrainDataStore {
     this.rows = rows;
     this.base = newBase;
     this.working = newWorking;
+    this.surface = newSurface;
+    this.biome = newBiome;
+    this.biomeVersion++;
   }
 
   get(gridX, gridY) {
@@ -108,6 +133,160 @@ export class TerrainDataStore {
 
     this.base = TerrainHeightUtils.createHeightArray(rows, cols, value);
     this.working = TerrainHeightUtils.createHeightArray(rows, cols, value);
+    this.clearSurfaces();
+    this.clearBiomes();
+  }
+
+  // ── Surface Layer ───────────────────────────────────────────
+
+  /** @returns {string|null} surface type painted on the tile */
+  getSurface(gridX, gridY) {
+    return this.surface?.[gridY]?.[gridX] ?? null;
+  }
+
+  /**
+   * @param {string|null} type a TERRAIN_CONFIG.SURFACES key, or null to clear
+   * @returns {boolean} false for an unknown type or a tile outside the grid
+   */
+  setSurface(gridX, gridY, type) {
+    if (type !== null && !Object.prototype.hasOwnProperty.call(TERRAIN_CONFIG.SURFACES, type)) {
+      return false;
+    }
+    const row = Number.isInteger(gridY) ? this.surface?.[gridY] : null;
+    if (!Array.isArray(row) || !Number.isInteger(gridX) || gridX < 0 || gridX >= row.length) {
+      return false;
+    }
+    row[gridX] = type;
+    return true;
+  }
+
+  /** @returns {Array<{x:number, y:number, type:string}>} surfaced tiles, row by row */
+  listSurfaces() {
+    const out = [];
+    (this.surface || []).forEach((row, y) =>
+      row.forEach((type, x) => {
+        if (type) out.push({ x, y, type });
+      })
+    );
+    return out;
+  }
+
+  clearSurfaces() {
+    this.surface = createSurfaceArray(this.rows, this.cols);
+  }
+
+  /** Replace the whole surface layer; unknown types and off-grid entries are skipped. */
+  loadSurfaces(entries) {
+    this.clearSurfaces();
+    for (const entry of entries || []) {
+      this.setSurface(entry?.x, entry?.y, entry?.type ?? null);
+    }
+  }
+
+  // ── Biome Layer ─────────────────────────────────────────────
+
+  /** @returns {string|null} biome painted on the tile; null means the map biome */
+  getBiome(gridX, gridY) {
+    return this.biome?.[gridY]?.[gridX] ?? null;
+  }
+
+  /**
+   * @param {string|null} biomeKey a BIOME_GROUPS key, or null to return the tile to the map biome
+   * @returns {boolean} false for an unknown biome or a tile outside the grid
+   */
+  setBiome(gridX, gridY, biomeKey) {
+    if (biomeKey !== null && !isBiomeKey(biomeKey)) return false;
+    const row = Number.isInteger(gridY) ? this.biome?.[gridY] : null;
+    if (!Array.isArray(row) || !Number.isInteger(gridX) || gridX < 0 || gridX >= row.length) {
+      return false;
+    }
+    if (row[gridX] !== biomeKey) {
+      row[gridX] = biomeKey;
+      this.biomeVersion++;
+    }
+    return true;
+  }
+
+  /** @returns {Array<{x:number, y:number, biome:string}>} painted tiles, row by row */
+  listBiomes() {
+    const out = [];
+    (this.biome || []).forEach((row, y) =>
+      row.forEach((biome, x) => {
+        if (biome) out.push({ x, y, biome });
+      })
+    );
+    return out;
+  }
+
+  clearBiomes() {
+    this.biome = createSurfaceArray(this.rows, this.cols);
+    this.biomeVersion++;
+  }
+
+  /** Replace the whole biome layer; unknown biomes and off-grid entries are skipped. */
+  loadBiomes(entries) {
+    this.clearBiomes();
+    for (const entry of entries || []) {
+      this.setBiome(entry?.x, entry?.y, entry?.biome ?? null);
+    }
+  }
+
+  // ── Heightmap Import/Export ─────────────────────────────────
+
+  /** @returns {string} base height field as CSV (one line per row) */
+  exportBaseCSV() {
+    return encodeHeightCSV(this.base);
+  }
+
+  /**
+   * Base height field as a 16-bit grayscale PNG; MIN_HEIGHT..MAX_HEIGHT spans the pixel range.
+   * @param {{deflate?: Function}} [options] zlib compressor override (tests/non-browser)
+   * @returns {Promise<Uint8Array>}
+   */
+  async exportBasePNG(options = {}) {
+    return encodeHeightPNG(this.base, {
+      min: TERRAIN_CONFIG.MIN_HEIGHT,
+      max: TERRAIN_CONFIG.MAX_HEIGHT,
+      deflate: options.deflate,
+    });
+  }
+
+  /**
+   * Decode a heightmap file into a raw height field at the file's own resolution.
+   * @param {string|ArrayBuffer|Uint8Array} input CSV text or file bytes
+   * @param {{format?: 'png'|'csv', inflate?: Function}} [options] format is sniffed when omitted
+   * @returns {Promise<number[][]>}
+   */
+  static async readHeightmap(input, options = {}) {
+    const bytes =
+      input instanceof ArrayBuffer
+        ? new Uint8Array(input)
+        : input instanceof Uint8Array
+          ? input
+          : null;
+    const format = options.format || (bytes && hasPngSignature(bytes) ? 'png' : 'csv');
+    if (format === 'png') {
+      if (!bytes) throw new Error('PNG heightmaps must be provided as binary data');
+      return decodeHeightPNG(bytes, {
+        min: TERRAIN_CONFIG.MIN_HEIGHT,
+        max: TERRAIN_CONFIG.MAX_HEIGHT,
+        inflate: options.inflate,
+      });
+    }
+    return decodeHeightCSV(bytes ? new TextDecoder().decode(bytes) : input);
+  }
+
+  /**
+   * Resample a raw height field to `cols x rows` and snap it to whole, in-range heights.
+   * @param {number[][]} field
+   * @param {number} cols
+   * @param {number} rows
+   * @returns {number[][]}
+   */
+  static fitHeightField(field, cols, rows) {
+    return resampleHeightField(field, cols, rows, TERRAIN_CONFIG.DEFAULT_HEIGHT).map((row) =>
+      row.map((h) => TerrainHeightUtils.clampHeight(Math.round(h)))
+    );
   }
 
   isConsistent() {
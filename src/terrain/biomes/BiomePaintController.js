@@ -0,0 +1,89 @@
+// BiomePaintController.js - Biome region painting state for the terrain editor.
+// While armed, clicks and drags paint the chosen biome (or the map biome, to erase) over the
+// terrain brush's footprint. Heights are untouched, so the preview keeps them as they are.
+
+import { computeBrushFootprint } from '../brush/BrushCommon.js';
+import { isBiomeKey } from './BiomeRegions.js';
+
+// ── BiomePaintController Class ─────────────────────────
+export class BiomePaintController {
+  /**
+   * @param {object} dataStore TerrainDataStore
+   * @param {object} brush TerrainBrushController; its size and shape set the footprint
+   */
+  constructor(dataStore, brush) {
+    this.dataStore = dataStore;
+    this.brush = brush;
+    this.active = false;
+    this.biome = null; // BIOME_GROUPS key painted; null erases back to the map biome
+  }
+
+  isActive() {
+    return this.active;
+  }
+
+  /** @param {string|null} biome @returns {boolean} false for an unknown biome */
+  begin(biome) {
+    if (!this.setBiome(biome)) return false;
+    this.active = true;
+    return true;
+  }
+
+  cancel() {
+    this.active = false;
+  }
+
+  /** @param {string|null} biome @returns {boolean} false for an unknown biome */
+  setBiome(biome) {
+    const next = biome || null;
+    if (next !== null && !isBiomeKey(next)) return false;
+    this.biome = next;
+    return true;
+  }
+
+  /**
+   * Paint the footprint around a tile.
+   * @returns {Array<{x:number,y:number}>} tiles whose biome changed
+   */
+  paintAt(gridX, gridY) {
+    if (!this.active) return [];
+    return this.getFootprintCells(gridX, gridY).filter(({ x, y }) => {
+      if (this.dataStore.getBiome(x, y) === this.biome) return false;
+      return this.dataStore.setBiome(x, y, this.biome);
+    });
+  }
+
+  // ── Preview / Planning ─────────────────────────────────
+  getFootprintCells(gridX, gridY) {
+    if (!this.active || !this._inBounds(gridX, gridY)) return [];
+    return computeBrushFootprint(gridX, gridY, this.brush?.brushSize ?? 1, this._getBounds(), {
+      shape: this.brush?.shape,
+    }).map(({ x, y }) => ({ x, y }));
+  }
+
+  /**
+   * Non-mutating preview: the footprint with heights left unchanged.
+   * @returns {Array<{x:number,y:number,currentHeight:number,previewHeight:number}>}
+   */
+  planAt(gridX, gridY) {
+    return this.getFootprintCells(gridX, gridY).map(({ x, y }) => {
+      const h = this.dataStore.get(x, y);
+      return { x, y, currentHeight: h, previewHeight: h };
+    });
+  }
+
+  _inBounds(x, y) {
+    return (
+      Number.isInteger(x) &&
+      Number.isInteger(y) &&
+      x >= 0 &&
+      y >= 0 &&
+      y < this.dataStore.rows &&
+      x < this.dataStore.cols
+    );
+  }
+
+  _getBounds() {
+    return { cols: this.dataStore.cols, rows: this.dataStore.rows, minX: 0, minY: 0 };
+  }
+}
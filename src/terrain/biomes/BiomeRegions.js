@@ -0,0 +1,134 @@
+// BiomeRegions.js - Painted biome regions and the blend across their boundaries.
+// A map has one map biome; tiles may additionally be painted with another biome. Every tile mixes
+// the biomes of the tiles within BLEND_RADIUS with a tent kernel, so colour, elevation character
+// and flora density change gradually where regions meet. Pure functions; the per-tile layer
+// lives in TerrainDataStore.
+
+import { TERRAIN_CONFIG } from '../../config/terrain/TerrainConstants.js';
+import { BIOME_GROUPS } from '../../config/biome/BiomeConstants.js';
+import { TerrainHeightUtils } from '../../utils/terrain/TerrainHeightUtils.js';
+
+const BIOME_KEYS = new Set(
+  Object.values(BIOME_GROUPS).flatMap((list) => list.map((biome) => biome.key))
+);
+
+/** @returns {boolean} true for a key listed in BIOME_GROUPS */
+export function isBiomeKey(key) {
+  return typeof key === 'string' && BIOME_KEYS.has(key);
+}
+
+// ── Weights ───────────────────────────────────────────────────────
+
+/**
+ * Blend weights for every tile. Off-grid neighbours are skipped, so edges are not diluted.
+ * @param {(x: number, y: number) => string} biomeAt biome of each tile (painted or map biome)
+ * @param {number} cols
+ * @param {number} rows
+ * @param {number} [radius]
+ * @returns {Array<Array<Array<{biome:string, weight:number}>>>} per tile ([y][x]), weights sum
+ *   to 1 and the heaviest biome comes first (the tile's own biome wins ties)
+ */
+export function computeBiomeWeights(
+  biomeAt,
+  cols,
+  rows,
+  radius = TERRAIN_CONFIG.BIOME_REGIONS.BLEND_RADIUS
+) {
+  const r = Math.max(0, Math.floor(radius) || 0);
+  const biomes = [];
+  for (let y = 0; y < rows; y++) {
+    const row = [];
+    for (let x = 0; x < cols; x++) row.push(biomeAt(x, y));
+    biomes.push(row);
+  }
+  const weights = [];
+  for (let y = 0; y < rows; y++) {
+    const row = [];
+    for (let x = 0; x < cols; x++) {
+      const own = biomes[y][x];
+      const sums = new Map();
+      let total = 0;
+      for (let dy = -r; dy <= r; dy++) {
+        const ny = y + dy;
+        if (ny < 0 || ny >= rows) continue;
+        for (let dx = -r; dx <= r; dx++) {
+          const nx = x + dx;
+          if (nx < 0 || nx >= cols) continue;
+          const k = (r + 1 - Math.abs(dx)) * (r + 1 - Math.abs(dy));
+          const biome = biomes[ny][nx];
+          sums.set(biome, (sums.get(biome) || 0) + k);
+          total += k;
+        }
+      }
+      const entries = [...sums].map(([biome, sum]) => ({ biome, weight: sum / total }));
+      entries.sort(
+        (a, b) =>
+          b.weight - a.weight ||
+          (a.biome === own ? -1 : b.biome === own ? 1 : a.biome.localeCompare(b.biome))
+      );
+      row.push(entries);
+    }
+    weights.push(row);
+  }
+  return weights;
+}
+
+/** @returns {string[]} every biome with weight anywhere on the map, in first-seen order */
+export function listBlendBiomes(weights) {
+  const seen = new Set();
+  for (const row of weights) {
+    for (const entries of row) {
+      for (const { biome } of entries) seen.add(biome);
+    }
+  }
+  return [...seen];
+}
+
+/** @returns {number} a biome's share of a tile (0 when absent) */
+export function getBiomeWeight(entries, biome) {
+  return entries?.find((entry) => entry.biome === biome)?.weight ?? 0;
+}
+
+// ── Blending ──────────────────────────────────────────────────────
+
+/**
+ * Mix per-biome colours by weight.
+ * @param {Array<{biome:string, weight:number}>} entries
+ * @param {(biome: string) => number} colorOf hex colour of a biome at this tile
+ * @returns {number} hex colour
+ */
+export function blendBiomeColors(entries, colorOf) {
+  if (entries.length === 1) return colorOf(entries[0].biome);
+  let r = 0;
+  let g = 0;
+  let b = 0;
+  for (const { biome, weight } of entries) {
+    const hex = colorOf(biome);
+    r += ((hex >> 16) & 0xff) * weight;
+    g += ((hex >> 8) & 0xff) * weight;
+    b += (hex & 0xff) * weight;
+  }
+  return (Math.round(r) << 16) | (Math.round(g) << 8) | Math.round(b);
+}
+
+/**
+ * Mix per-biome height fields into one field of whole, in-range levels.
+ * @param {ReturnType<typeof computeBiomeWeights>} weights
+ * @param {(biome: string) => number[][]} fieldFor height field generated for a biome; called
+ *   once per biome
+ * @returns {number[][]}
+ */
+export function blendBiomeHeights(weights, fieldFor) {
+  const fields = new Map();
+  const field = (biome) => {
+    if (!fields.has(biome)) fields.set(biome, fieldFor(biome));
+    return fields.get(biome);
+  };
+  return weights.map((row, y) =>
+    row.map((entries, x) => {
+      let h = 0;
+      for (const { biome, weight } of entries) h += (field(biome)?.[y]?.[x] ?? 0) * weight;
+      return TerrainHeightUtils.clampHeight(Math.round(h));
+    })
+  );
+}
@@ -0,0 +1,80 @@
+// ClimateBiomes.js - Biome per tile from a temperature and moisture climate.
+// Temperature falls towards the north edge (latitude) and with altitude (lapse rate); moisture
+// is highest near low ground (the painter's moisture field). Seeded noise breaks up both before
+// a Whittaker-style table over BIOME_GROUPS picks the biome, so one seed gives one map.
+
+import { TERRAIN_CONFIG } from '../../config/terrain/TerrainConstants.js';
+import { createSeededRNG, rngInt } from '../../utils/SeededRNG.js';
+import { fbm2, clamp } from '../generation/NoisePrimitives.js';
+import { computeMoistureField } from '../painting/biome-painter/fields.js';
+
+const CLIMATE_SALT = 1307;
+
+/**
+ * Temperature and moisture for every tile.
+ * @param {number[][]} heights height field ([y][x])
+ * @param {{seed?: number}} [options]
+ * @returns {{temperature: number[][], moisture: number[][]}} both 0 (cold/arid) .. 1 (hot/wet)
+ */
+export function computeClimateFields(heights, options = {}) {
+  const cfg = TERRAIN_CONFIG.CLIMATE;
+  const rows = heights.length;
+  const cols = heights[0]?.length || 0;
+  const rng = createSeededRNG((options.seed ?? 0) >>> 0, CLIMATE_SALT);
+  const base = 0.5 + (rng() * 2 - 1) * cfg.BASE_JITTER;
+  const temperatureSeed = rngInt(rng, 100000);
+  const moistureSeed = rngInt(rng, 100000);
+  const water = computeMoistureField({ cols, rows }, heights);
+  const temperature = [];
+  const moisture = [];
+  for (let y = 0; y < rows; y++) {
+    const latitude = rows > 1 ? y / (rows - 1) - 0.5 : 0;
+    const tRow = [];
+    const mRow = [];
+    for (let x = 0; x < cols; x++) {
+      const h = Number.isFinite(heights[y][x]) ? heights[y][x] : 0;
+      const nx = x * cfg.NOISE_SCALE;
+      const ny = y * cfg.NOISE_SCALE;
+      const tNoise = fbm2(nx, ny, temperatureSeed, 3) - 0.5;
+      const t =
+        base +
+        latitude * cfg.LATITUDE_SPAN -
+        Math.max(0, h) * cfg.LAPSE_PER_LEVEL +
+        tNoise * cfg.TEMPERATURE_NOISE * 2;
+      const mNoise = fbm2(nx, ny, moistureSeed, 3);
+      const m =
+        water[y][x] * cfg.WATER_MOISTURE_WEIGHT +
+        // fbm2 rarely leaves 0.25..0.75; stretch it so dry and saturated bands are reachable
+        clamp((mNoise - 0.25) * 2, 0, 1) * (1 - cfg.WATER_MOISTURE_WEIGHT);
+      tRow.push(clamp(t, 0, 1));
+      mRow.push(clamp(m, 0, 1));
+    }
+    temperature.push(tRow);
+    moisture.push(mRow);
+  }
+  return { temperature, moisture };
+}
+
+/**
+ * Look a climate up in the Whittaker table.
+ * @param {number} temperature 0..1
+ * @param {number} moisture 0..1
+ * @param {string[][]} [table] rows cold → hot, columns arid → saturated
+ * @returns {string} biome key
+ */
+export function pickClimateBiome(temperature, moisture, table = TERRAIN_CONFIG.CLIMATE.WHITTAKER) {
+  const band = (value, count) => Math.min(count - 1, Math.max(0, Math.floor(value * count)));
+  const row = table[band(temperature, table.length)];
+  return row[band(moisture, row.length)];
+}
+
+/**
+ * Biome for every tile of a height field.
+ * @param {number[][]} heights
+ * @param {{seed?: number}} [options]
+ * @returns {string[][]} biome keys ([y][x])
+ */
+export function assignClimateBiomes(heights, options = {}) {
+  const { temperature, moisture } = computeClimateFields(heights, options);
+  return temperature.map((row, y) => row.map((t, x) => pickClimateBiome(t, moisture[y][x])));
+}
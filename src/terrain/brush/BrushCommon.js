@@ -45,17 +45,47 @@ function computeBrushRadii(size) {
   return { negativeRadius, positiveRadius };
 }
 
+/**
+ * Distance of an offset from the brush centre, measured in the shape's own metric so every
+ * shape's outline is a level set: Chebyshev (square), Manhattan (diamond), Euclidean (circle).
+ */
+function shapeDistance(shape, dx, dy) {
+  if (shape === 'diamond') return Math.abs(dx) + Math.abs(dy);
+  if (shape === 'circle') return Math.sqrt(dx * dx + dy * dy);
+  return Math.max(Math.abs(dx), Math.abs(dy));
+}
+
+/**
+ * Strength multiplier for a normalized distance t (0 at the centre, approaching 1 at the rim).
+ * @param {number} t
+ * @param {'none'|'linear'|'smooth'} falloff
+ * @returns {number} weight in (0, 1]
+ */
+export function brushFalloffWeight(t, falloff = 'none') {
+  const u = Math.max(0, Math.min(1, t));
+  if (falloff === 'linear') return 1 - u;
+  if (falloff === 'smooth') return 1 - u * u * (3 - 2 * u);
+  return 1;
+}
+
 /**
  * Build the list of cells touched by the brush, honoring optional grid bounds.
+ * Each cell carries a falloff `weight` (1 for the default square brush without falloff).
  * @param {number} gridX
  * @param {number} gridY
  * @param {number} brushSize
  * @param {{ cols?: number, rows?: number, minX?: number, minY?: number }} bounds
- * @returns {Array<{x:number,y:number}>}
+ * @param {{ shape?: 'square'|'diamond'|'circle', falloff?: 'none'|'linear'|'smooth' }} [options]
+ * @returns {Array<{x:number,y:number,weight:number}>}
  */
-export function computeBrushFootprint(gridX, gridY, brushSize, bounds = {}) {
+export function computeBrushFootprint(gridX, gridY, brushSize, bounds = {}, options = {}) {
+  const { shape = 'square', falloff = 'none' } = options;
   const size = normalizeBrushSize(brushSize);
   const { negativeRadius, positiveRadius } = computeBrushRadii(size);
+  // Even sizes are lopsided, so measure from the footprint's geometric centre
+  const centerOffset = (positiveRadius - negativeRadius) / 2;
+  // Half the brush plus half a tile: the rim cells keep a non-zero weight
+  const reach = size / 2 + 0.5;
   const minX = Number.isFinite(bounds.minX) ? bounds.minX : 0;
   const minY = Number.isFinite(bounds.minY) ? bounds.minY : 0;
   const hasMaxX = Number.isFinite(bounds.cols);
@@ -70,7 +100,43 @@ export function computeBrushFootprint(gridX, gridY, brushSize, bounds = {}) {
       const y = gridY + dy;
       if (x < minX || y < minY) continue;
       if ((hasMaxX && x > maxX) || (hasMaxY && y > maxY)) continue;
-      cells.push({ x, y });
+      const distance = shapeDistance(shape, dx - centerOffset, dy - centerOffset);
+      if (distance > size / 2) continue;
+      cells.push({ x, y, weight: brushFalloffWeight(distance / reach, falloff) });
+    }
+  }
+  return cells;
+}
+
+/**
+ * Cells 4-connected to the start cell that share its height (the fill tool's region).
+ * @param {number} gridX
+ * @param {number} gridY
+ * @param {(x:number, y:number) => number} getHeight
+ * @param {{ cols: number, rows: number }} bounds
+ * @returns {Array<{x:number,y:number}>} empty when the start cell is outside the bounds
+ */
+export function computeFloodRegion(gridX, gridY, getHeight, bounds) {
+  const { cols, rows } = bounds;
+  const inside = (x, y) => x >= 0 && y >= 0 && x < cols && y < rows;
+  if (!Number.isFinite(cols) || !Number.isFinite(rows) || !inside(gridX, gridY)) return [];
+  const level = getHeight(gridX, gridY);
+  const seen = new Uint8Array(cols * rows);
+  const cells = [];
+  const stack = [[gridX, gridY]];
+  seen[gridY * cols + gridX] = 1;
+  while (stack.length) {
+    const [x, y] = stack.pop();
+    cells.push({ x, y });
+    for (const [nx, ny] of [
+      [x + 1, y],
+      [x - 1, y],
+      [x, y + 1],
+      [x, y - 1],
+    ]) {
+      if (!inside(nx, ny) || seen[ny * cols + nx]) continue;
+      seen[ny * cols + nx] = 1;
+      if (getHeight(nx, ny) === level) stack.push([nx, ny]);
     }
   }
   return cells;
@@ -0,0 +1,83 @@
+// PathTools.js - Geometry for the drag-drawn terrain tools (ramp, stairs, ridge, trench).
+// Pure functions over grid cells: lines are rasterized with Bresenham so consecutive cells are
+// always 8-connected, and ramp heights come from each cell's projection onto the drag segment.
+
+// ── Rasterization ──────────────────────────────────────
+/**
+ * Cells on the line from (x0,y0) to (x1,y1), both ends included.
+ * @returns {Array<{x:number,y:number}>}
+ */
+export function rasterizeLine(x0, y0, x1, y1) {
+  const cells = [];
+  const dx = Math.abs(x1 - x0);
+  const dy = -Math.abs(y1 - y0);
+  const sx = x0 < x1 ? 1 : -1;
+  const sy = y0 < y1 ? 1 : -1;
+  let err = dx + dy;
+  let x = x0;
+  let y = y0;
+  for (;;) {
+    cells.push({ x, y });
+    if (x === x1 && y === y1) break;
+    const e2 = 2 * err;
+    if (e2 >= dy) {
+      err += dy;
+      x += sx;
+    }
+    if (e2 <= dx) {
+      err += dx;
+      y += sy;
+    }
+  }
+  return cells;
+}
+
+/**
+ * Cells along consecutive polyline vertices, without repeating shared vertices.
+ * @param {Array<{x:number,y:number}>} points
+ * @returns {Array<{x:number,y:number}>}
+ */
+export function rasterizePolyline(points) {
+  if (!points?.length) return [];
+  const cells = [{ x: points[0].x, y: points[0].y }];
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    cells.push(...rasterizeLine(a.x, a.y, b.x, b.y).slice(1));
+  }
+  return cells;
+}
+
+// ── Ramp Heights ───────────────────────────────────────
+/**
+ * Position of a cell along the segment start → end, clamped to 0..1 (0 when they coincide).
+ * @param {{x:number,y:number}} cell
+ * @param {{x:number,y:number}} start
+ * @param {{x:number,y:number}} end
+ */
+export function projectOntoSegment(cell, start, end) {
+  const vx = end.x - start.x;
+  const vy = end.y - start.y;
+  const lengthSq = vx * vx + vy * vy;
+  if (!lengthSq) return 0;
+  const t = ((cell.x - start.x) * vx + (cell.y - start.y) * vy) / lengthSq;
+  return Math.max(0, Math.min(1, t));
+}
+
+/**
+ * Level at position t of a ramp from `from` to `to`. With a stair step, the climb is split into
+ * flat treads of `stairStep` levels (the last tread may be shorter) spread evenly along the ramp.
+ * @param {number} t 0..1
+ * @param {number} from
+ * @param {number} to
+ * @param {number} [stairStep] 0/absent for a smooth ramp
+ * @returns {number} integer level
+ */
+export function rampHeightAt(t, from, to, stairStep = 0) {
+  const rise = to - from;
+  if (!(stairStep > 0) || !rise) return Math.round(from + t * rise) || 0;
+  const climb = Math.abs(rise);
+  const steps = Math.ceil(climb / stairStep);
+  const tread = Math.min(steps, Math.floor(t * (steps + 1)));
+  return from + Math.sign(rise) * Math.min(climb, tread * stairStep);
+}
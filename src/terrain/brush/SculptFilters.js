@@ -0,0 +1,104 @@
+// SculptFilters.js - Neighbourhood-aware height filters for the sculpt brushes.
+// Pure functions over integer height levels: each returns the new heights for the given cells
+// without mutating anything, so the brush can preview a stroke before applying it.
+
+import { TERRAIN_CONFIG } from '../../config/terrain/TerrainConstants.js';
+import { fbm2, clamp } from '../generation/NoisePrimitives.js';
+
+const NEIGHBOURS_4 = [
+  [1, 0],
+  [-1, 0],
+  [0, 1],
+  [0, -1],
+];
+
+// `|| 0` folds -0 (from rounding small negatives) into 0
+const clampLevel = (h) =>
+  clamp(Math.round(h), TERRAIN_CONFIG.MIN_HEIGHT, TERRAIN_CONFIG.MAX_HEIGHT) || 0;
+
+// ── Smooth ─────────────────────────────────────────────
+/**
+ * Average each cell with its in-grid 3x3 neighbourhood (read from the unmodified terrain),
+ * rounded to an integer level.
+ * @param {Array<{x:number,y:number}>} cells
+ * @param {(x:number, y:number) => number} getHeight
+ * @param {{ cols: number, rows: number }} bounds
+ * @returns {number[]} new height per cell
+ */
+export function smoothHeights(cells, getHeight, bounds) {
+  return cells.map(({ x, y }) => {
+    let sum = 0;
+    let count = 0;
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || ny < 0 || nx >= bounds.cols || ny >= bounds.rows) continue;
+        sum += getHeight(nx, ny);
+        count++;
+      }
+    }
+    return clampLevel(sum / count);
+  });
+}
+
+// ── Noise ──────────────────────────────────────────────
+/**
+ * Offset each cell by fBm noise in [-amplitude, amplitude] (rounded).
+ * @param {Array<{x:number,y:number}>} cells
+ * @param {number[]} heights current height per cell
+ * @param {{ seed: number, amplitude?: number, scale?: number, octaves?: number }} options
+ * @returns {number[]}
+ */
+export function noiseHeights(cells, heights, options) {
+  const sculpt = TERRAIN_CONFIG.SCULPT;
+  const { seed, amplitude = sculpt.NOISE_AMPLITUDE, scale = sculpt.NOISE_SCALE } = options;
+  const octaves = options.octaves ?? sculpt.NOISE_OCTAVES;
+  // fbm2's octave amplitudes (0.5, 0.25, ...) sum to 1 - 0.5^octaves, not 1; rescale so the
+  // offset is centred on zero instead of lowering the terrain on average
+  const span = 1 - Math.pow(0.5, octaves);
+  return cells.map(({ x, y }, i) => {
+    const n = (fbm2(x * scale, y * scale, seed, octaves) / span) * 2 - 1;
+    return clampLevel(heights[i] + n * amplitude);
+  });
+}
+
+// ── Thermal Erosion ────────────────────────────────────
+/**
+ * Move material one level at a time from each source cell to its lowest 4-neighbour while the
+ * drop between them exceeds `talus`. Material only moves between the given cells, so the total
+ * is conserved and levels stay within the height range.
+ * @param {Array<{x:number,y:number}>} cells region the material may move within
+ * @param {number[]} heights current height per cell
+ * @param {{ isSource?: (cell: {x:number,y:number}, index: number) => boolean, talus?: number, iterations?: number }} [options]
+ *   isSource limits which cells give material (default: all)
+ * @returns {number[]}
+ */
+export function erodeHeights(cells, heights, options = {}) {
+  const sculpt = TERRAIN_CONFIG.SCULPT;
+  const { isSource = () => true, talus = sculpt.EROSION_TALUS } = options;
+  const iterations = options.iterations ?? sculpt.EROSION_ITERATIONS;
+  const next = [...heights];
+  const indexByKey = new Map(cells.map((c, i) => [`${c.x},${c.y}`, i]));
+  const sources = cells.map((c, i) => (isSource(c, i) ? i : -1)).filter((i) => i >= 0);
+
+  for (let pass = 0; pass < iterations; pass++) {
+    let moved = false;
+    for (const i of sources) {
+      const { x, y } = cells[i];
+      let lowest = -1;
+      for (const [dx, dy] of NEIGHBOURS_4) {
+        const j = indexByKey.get(`${x + dx},${y + dy}`);
+        if (j === undefined) continue;
+        if (lowest < 0 || next[j] < next[lowest]) lowest = j;
+      }
+      if (lowest >= 0 && next[i] - next[lowest] > talus) {
+        next[i] -= 1;
+        next[lowest] += 1;
+        moved = true;
+      }
+    }
+    if (!moved) break;
+  }
+  return next;
+}
@@ -3,19 +3,58 @@
 
 import { LOG_LEVEL, LOG_CATEGORY, logger } from '../../utils/Logger.js';
 import { TERRAIN_CONFIG } from '../../config/terrain/TerrainConstants.js';
-import { normalizeBrushSize, computeBrushFootprint } from './BrushCommon.js';
+import { normalizeBrushSize, computeBrushFootprint, computeFloodRegion } from './BrushCommon.js';
+import { smoothHeights, noiseHeights, erodeHeights } from './SculptFilters.js';
+import { rasterizeLine, rasterizePolyline, projectOntoSegment, rampHeightAt } from './PathTools.js';
 
 // ── TerrainBrushController Class ───────────────────────
 export class TerrainBrushController {
   constructor(dataStore) {
     this.dataStore = dataStore; // TerrainDataStore
-    this.tool = 'raise'; // 'raise' | 'lower'
+    this.tool = 'raise'; // see TERRAIN_CONFIG.BRUSH_TOOLS
     this.brushSize = normalizeBrushSize(TERRAIN_CONFIG.DEFAULT_BRUSH_SIZE || 1);
     this.heightStep = 1;
+    this.targetHeight = TERRAIN_CONFIG.DEFAULT_HEIGHT; // level painted by 'set' and 'fill'
+    this.lastModifiedCells = []; // cells changed by the latest applyAt()/applyPath()
+    this.noiseSeed = 1337; // advanced after every noise dab so repeated dabs differ
+    this.shape = 'square'; // see TERRAIN_CONFIG.BRUSH_SHAPES
+    this.falloff = 'none'; // see TERRAIN_CONFIG.BRUSH_FALLOFFS
+    this._falloffCarry = new Map(); // "x,y" -> fractional raise/lower not yet applied
+    this.stairStep = TERRAIN_CONFIG.PATH.STAIR_STEP; // levels per tread for 'stairs'
+    this._path = null; // { points, startHeight } while a path tool is being dragged
   }
 
   setTool(tool) {
-    this.tool = tool === 'lower' ? 'lower' : 'raise';
+    this.tool = TERRAIN_CONFIG.BRUSH_TOOLS.includes(tool) ? tool : 'raise';
+    this._falloffCarry.clear();
+    this._path = null;
+  }
+
+  setShape(shape) {
+    this.shape = TERRAIN_CONFIG.BRUSH_SHAPES.includes(shape) ? shape : 'square';
+    this._falloffCarry.clear();
+  }
+
+  setFalloff(falloff) {
+    this.falloff = TERRAIN_CONFIG.BRUSH_FALLOFFS.includes(falloff) ? falloff : 'none';
+    this._falloffCarry.clear();
+  }
+
+  /** Level used by the 'set' and 'fill' tools, rounded and clamped to the height range. */
+  setTargetHeight(height) {
+    const n = Math.round(Number(height));
+    if (!Number.isFinite(n)) return;
+    this.targetHeight = Math.max(TERRAIN_CONFIG.MIN_HEIGHT, Math.min(TERRAIN_CONFIG.MAX_HEIGHT, n));
+  }
+
+  /** Levels per stair tread, a whole number of at least 1. */
+  setStairStep(step) {
+    const n = Math.round(Number(step));
+    if (!Number.isFinite(n)) return;
+    this.stairStep = Math.max(
+      1,
+      Math.min(TERRAIN_CONFIG.MAX_HEIGHT - TERRAIN_CONFIG.MIN_HEIGHT, n)
+    );
   }
 
   // ── Brush Sizing ───────────────────────────────────────
@@ -30,21 +69,200 @@ export class TerrainBrushController {
   // ── Footprint & Application ────────────────────────────
   /**
    * Get the set of grid cells affected by the current brush at a center position.
-   * This is a non-mutating helper used for hover/preview rendering.
+   * This is a non-mutating helper used for hover/preview rendering. The fill tool's
+   * footprint is the contiguous equal-height region around the center, not the brush shape.
    * @param {number} gridX
    * @param {number} gridY
-   * @returns {Array<{x:number,y:number}>}
+   * @returns {Array<{x:number,y:number,weight?:number}>} weight is the falloff strength (0..1]
    */
   getFootprintCells(gridX, gridY) {
-    return computeBrushFootprint(gridX, gridY, this.brushSize, this._getBounds());
+    if (this.tool === 'fill') {
+      return computeFloodRegion(
+        gridX,
+        gridY,
+        (x, y) => this.dataStore.get(x, y),
+        this._getBounds()
+      );
+    }
+    return computeBrushFootprint(gridX, gridY, this.brushSize, this._getBounds(), {
+      shape: this.shape,
+      falloff: this.falloff,
+    });
+  }
+
+  /**
+   * Non-mutating: what applyAt() would do at a center position. While a path is being
+   * dragged this is the path's plan instead, so hover previews show the whole path.
+   * @param {number} gridX
+   * @param {number} gridY
+   * @returns {Array<{x:number,y:number,currentHeight:number,previewHeight:number,weight:number}>}
+   */
+  planAt(gridX, gridY) {
+    if (this._path) return this.planPath();
+    const anchor = this._readHeight(gridX, gridY);
+    let cells = this.getFootprintCells(gridX, gridY).filter((cell) =>
+      this._inBounds(cell.x, cell.y)
+    );
+    const footprintSize = cells.length;
+    if (this.tool === 'erode') {
+      // Material may run off the footprint into the ring of cells around it
+      cells = cells.concat(this._ringAround(cells));
+    }
+    const heights = cells.map((cell) => this.dataStore.get(cell.x, cell.y));
+    const next = this._planHeights(cells, heights, anchor, footprintSize);
+    return cells
+      .map((cell, i) => ({
+        x: cell.x,
+        y: cell.y,
+        currentHeight: heights[i],
+        previewHeight: next[i],
+        weight: cell.weight ?? 1,
+      }))
+      .filter((cell, i) => i < footprintSize || cell.previewHeight !== cell.currentHeight);
   }
 
   applyAt(gridX, gridY) {
-    const footprint = computeBrushFootprint(gridX, gridY, this.brushSize, this._getBounds());
-    let modifiedCount = 0;
-    for (const cell of footprint) {
-      if (this._modifyCell(cell.x, cell.y)) modifiedCount += 1;
+    // Path tools only write when their drag is released (applyPath)
+    if (this.isPathTool()) {
+      this.lastModifiedCells = [];
+      return false;
+    }
+    const plan = this.planAt(gridX, gridY);
+    if (this.tool === 'raise' || this.tool === 'lower') {
+      for (const cell of plan) {
+        if (cell.weight < 1) {
+          this._falloffCarry.set(`${cell.x},${cell.y}`, this._falloffStep(cell).carry);
+        }
+      }
     }
+    if (this.tool === 'noise') this.noiseSeed += 1;
+    return this._commit(plan, { center: { x: gridX, y: gridY } });
+  }
+
+  // ── Path Tools ─────────────────────────────────────────
+  /** True for tools drawn by dragging a path (see TERRAIN_CONFIG.PATH_TOOLS). */
+  isPathTool() {
+    return TERRAIN_CONFIG.PATH_TOOLS.includes(this.tool);
+  }
+
+  hasActivePath() {
+    return !!this._path;
+  }
+
+  /** Start a path at the pressed cell; its current height is the ramp's start level. */
+  beginPath(gridX, gridY) {
+    if (!this.isPathTool() || !this._inBounds(gridX, gridY)) {
+      this._path = null;
+      return false;
+    }
+    this._path = {
+      points: [{ x: gridX, y: gridY }],
+      startHeight: this.dataStore.get(gridX, gridY),
+    };
+    return true;
+  }
+
+  /**
+   * Follow the cursor: ramps and stairs keep only the start and the latest cell, ridges and
+   * trenches add a polyline vertex for every new cell.
+   */
+  extendPath(gridX, gridY) {
+    if (!this._path || !this._inBounds(gridX, gridY)) return;
+    const { points } = this._path;
+    const last = points[points.length - 1];
+    if (last.x === gridX && last.y === gridY) return;
+    if (this.tool === 'ramp' || this.tool === 'stairs') {
+      points.splice(1, 1, { x: gridX, y: gridY });
+    } else {
+      points.push({ x: gridX, y: gridY });
+    }
+  }
+
+  cancelPath() {
+    this._path = null;
+  }
+
+  /**
+   * Non-mutating: the cells the current path would change and their new heights. The path is
+   * widened by the brush footprint; ramps ignore falloff so their cross-section stays level.
+   * @returns {Array<{x:number,y:number,currentHeight:number,previewHeight:number,weight:number}>}
+   */
+  planPath() {
+    if (!this._path) return [];
+    const { points, startHeight } = this._path;
+    const start = points[0];
+    const end = points[points.length - 1];
+    const isRamp = this.tool === 'ramp' || this.tool === 'stairs';
+    const spine = isRamp
+      ? rasterizeLine(start.x, start.y, end.x, end.y)
+      : rasterizePolyline(points);
+    const weights = this._widenPath(spine, isRamp ? 'none' : this.falloff);
+    const plan = [];
+    if (isRamp) {
+      const endHeight = this.dataStore.get(end.x, end.y);
+      const stairStep = this.tool === 'stairs' ? this.stairStep : 0;
+      for (const [key, weight] of weights) {
+        const [x, y] = key.split(',').map(Number);
+        const t = projectOntoSegment({ x, y }, start, end);
+        const currentHeight = this.dataStore.get(x, y);
+        const previewHeight = rampHeightAt(t, startHeight, endHeight, stairStep);
+        plan.push({ x, y, currentHeight, previewHeight, weight });
+      }
+      return plan;
+    }
+    const sign = this.tool === 'trench' ? -1 : 1;
+    for (const [key, weight] of weights) {
+      const [x, y] = key.split(',').map(Number);
+      const currentHeight = this.dataStore.get(x, y);
+      const delta = sign * Math.round(TERRAIN_CONFIG.PATH.RIDGE_HEIGHT * weight);
+      const previewHeight = Math.max(
+        TERRAIN_CONFIG.MIN_HEIGHT,
+        Math.min(TERRAIN_CONFIG.MAX_HEIGHT, currentHeight + delta)
+      );
+      plan.push({ x, y, currentHeight, previewHeight, weight });
+    }
+    return plan;
+  }
+
+  /** Write the current path to the terrain and end it. */
+  applyPath() {
+    if (!this._path) {
+      this.lastModifiedCells = [];
+      return false;
+    }
+    const plan = this.planPath();
+    const vertices = this._path.points.length;
+    this._path = null;
+    return this._commit(plan, { vertices });
+  }
+
+  /** In-grid cells covered by the brush along `spine`, with the strongest weight seen per cell. */
+  _widenPath(spine, falloff) {
+    const weights = new Map();
+    for (const { x, y } of spine) {
+      const footprint = computeBrushFootprint(x, y, this.brushSize, this._getBounds(), {
+        shape: this.shape,
+        falloff,
+      });
+      for (const cell of footprint) {
+        const key = `${cell.x},${cell.y}`;
+        weights.set(key, Math.max(weights.get(key) || 0, cell.weight));
+      }
+    }
+    return weights;
+  }
+
+  /** Write the changed cells of a plan and record them in lastModifiedCells. */
+  _commit(plan, details) {
+    const modified = [];
+    for (const cell of plan) {
+      if (cell.previewHeight !== cell.currentHeight) {
+        this.dataStore.set(cell.x, cell.y, cell.previewHeight);
+        modified.push({ x: cell.x, y: cell.y });
+      }
+    }
+    this.lastModifiedCells = modified;
+    const modifiedCount = modified.length;
     // Aggregate logging instead of per-cell to reduce overhead (perf optimization)
     if (modifiedCount > 0) {
       // Detailed per-cell tracing can be re-enabled by setting global/window.DEBUG_TERRAIN_TRACE
@@ -54,28 +272,109 @@ export class TerrainBrushController {
       logger.log(level, 'Terrain brush stroke', LOG_CATEGORY.USER, {
         tool: this.tool,
         brushSize: this.brushSize,
+        shape: this.shape,
+        falloff: this.falloff,
         heightStep: this.heightStep,
+        targetHeight: this.targetHeight,
         modifiedCells: modifiedCount,
-        center: { x: gridX, y: gridY },
+        ...details,
       });
     }
     return modifiedCount > 0; // signal to callers whether a terrain change occurred
   }
 
   // ── Cell Modification ─────────────────────────────────
-  _modifyCell(x, y) {
-    if (x < 0 || y < 0 || y >= this.dataStore.rows || x >= this.dataStore.cols) return;
-    const current = this.dataStore.get(x, y);
-    let next = current;
-    if (this.tool === 'raise')
-      next = Math.min(current + this.heightStep, TERRAIN_CONFIG.MAX_HEIGHT);
-    if (this.tool === 'lower')
-      next = Math.max(current - this.heightStep, TERRAIN_CONFIG.MIN_HEIGHT);
-    if (next !== current) {
-      this.dataStore.set(x, y, next);
-      return true; // signal modification took place
+  /**
+   * New heights for `cells` under the current tool. Neighbourhood tools (smooth, noise, erode)
+   * go through SculptFilters; the rest are per-cell. Falloff weakens the outer cells: raise and
+   * lower carry the fractional step over to later dabs, the other tools move only part of the
+   * way towards their result. Erode ignores falloff so it keeps conserving material.
+   * @param {number} footprintSize leading cells that belong to the footprint (erode sources)
+   */
+  _planHeights(cells, heights, anchor, footprintSize) {
+    let next;
+    switch (this.tool) {
+      case 'smooth':
+        next = smoothHeights(cells, (x, y) => this.dataStore.get(x, y), this._getBounds());
+        break;
+      case 'noise':
+        next = noiseHeights(cells, heights, { seed: this.noiseSeed });
+        break;
+      case 'erode':
+        return erodeHeights(cells, heights, {
+          isSource: (_cell, index) => index < footprintSize,
+        });
+      case 'raise':
+      case 'lower':
+        return cells.map((cell, i) =>
+          this._nextHeight(heights[i], anchor, this._falloffStep(cell).whole)
+        );
+      default:
+        next = heights.map((h) => this._nextHeight(h, anchor));
     }
-    return false;
+    return next.map((h, i) => blendHeight(heights[i], h, cells[i].weight));
+  }
+
+  /**
+   * Whole levels a raise/lower dab moves a weighted cell, plus the fraction left over.
+   * @param {{x:number,y:number,weight?:number}} cell
+   * @returns {{whole:number, carry:number}}
+   */
+  _falloffStep(cell) {
+    const weight = cell.weight ?? 1;
+    if (weight >= 1) return { whole: this.heightStep, carry: 0 };
+    const amount = this.heightStep * weight + (this._falloffCarry.get(`${cell.x},${cell.y}`) || 0);
+    const whole = Math.floor(amount + 1e-9);
+    return { whole, carry: amount - whole };
+  }
+
+  /**
+   * Height a cell takes under the current tool.
+   * @param {number} current
+   * @param {number} anchor height under the cursor (plateau target)
+   * @param {number} [step] levels raise/lower move the cell
+   */
+  _nextHeight(current, anchor, step = this.heightStep) {
+    switch (this.tool) {
+      case 'raise':
+        return Math.min(current + step, TERRAIN_CONFIG.MAX_HEIGHT);
+      case 'lower':
+        return Math.max(current - step, TERRAIN_CONFIG.MIN_HEIGHT);
+      case 'set':
+      case 'fill':
+        return this.targetHeight;
+      case 'plateau':
+        return Number.isFinite(anchor) ? anchor : current;
+      default:
+        return current;
+    }
+  }
+
+  /** In-grid cells edge-adjacent to `cells` but not part of them. */
+  _ringAround(cells) {
+    const inside = new Set(cells.map((c) => `${c.x},${c.y}`));
+    const ring = new Map();
+    for (const { x, y } of cells) {
+      for (const [nx, ny] of [
+        [x + 1, y],
+        [x - 1, y],
+        [x, y + 1],
+        [x, y - 1],
+      ]) {
+        const key = `${nx},${ny}`;
+        if (inside.has(key) || ring.has(key) || !this._inBounds(nx, ny)) continue;
+        ring.set(key, { x: nx, y: ny });
+      }
+    }
+    return [...ring.values()];
+  }
+
+  _readHeight(x, y) {
+    return this._inBounds(x, y) ? this.dataStore.get(x, y) : null;
+  }
+
+  _inBounds(x, y) {
+    return x >= 0 && y >= 0 && y < this.dataStore.rows && x < this.dataStore.cols;
   }
 
   _getBounds() {
@@ -84,3 +383,10 @@ export class TerrainBrushController {
     return { cols, rows, minX: 0, minY: 0 };
   }
 }
+
+// ── Module Helpers ─────────────────────────────────────
+/** Move `from` towards `to` by `weight` (whole levels); full strength when weight is absent. */
+function blendHeight(from, to, weight) {
+  if (!(weight < 1)) return to;
+  return from + Math.round((to - from) * weight);
+}
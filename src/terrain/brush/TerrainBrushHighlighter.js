@@ -13,9 +13,11 @@ import {
 // ── Type Definitions ──────────────────────────────────
 /**
  * @typedef {Object} Brush
- * @property {'raise'|'lower'} tool
+ * @property {string} tool - one of TERRAIN_CONFIG.BRUSH_TOOLS
  * @property {number} brushSize
  * @property {(cx:number, cy:number) => Array<{x:number,y:number}>} getFootprintCells
+ * @property {(cx:number, cy:number) => Array<{x:number,y:number,currentHeight:number,previewHeight:number}>} [planAt]
+ *   when present, cells carry the heights the stroke would produce (used by the 3D preview)
  */
 
 /**
@@ -52,7 +54,10 @@ export function buildBrushHighlightDescriptor(params) {
   }
 
   try {
-    const cells = brush.getFootprintCells(center.gridX, center.gridY) || [];
+    const cells =
+      (typeof brush.planAt === 'function'
+        ? brush.planAt(center.gridX, center.gridY)
+        : brush.getFootprintCells(center.gridX, center.gridY)) || [];
     const style = /** @type {HighlightStyle} */ (
       resolveHighlightStyle({
         // Slightly brighter alpha than default to distinguish hover state.
@@ -0,0 +1,104 @@
+/**
+ * MapCode.js - Short shareable codes for generated maps
+ *
+ * Biome generation is deterministic, so a map is fully described by the parameters it was
+ * generated from. A map code spells them out as `<biome>-<cols>x<rows>-<seed>-<density>` with
+ * optional `-<elevation>` and `-c[<climate seed>]` suffixes, e.g. `grassland-25x25-8f3a-100`,
+ * `hills-40x30-1c2b3d4e-80-12` or `hills-40x30-1c2b3d4e-80-c`:
+ * - seed: the 32-bit generation seed in lowercase hex
+ * - density: tree density as a percentage (100 = the biome's natural density)
+ * - elevation: pixels per height level, omitted when it is the biome's own default
+ * - climate: the climate biome pass was run over the map; its seed in hex follows the `c` only
+ *   when it differs from the generation seed
+ */
+
+import { ALL_BIOMES } from '../../config/biome/BiomeConstants.js';
+import { GRID_CONFIG } from '../../config/GameConstants.js';
+
+// ── Constants ──────────────────────────────────────────────────
+const MAP_CODE_PATTERN =
+  /^([a-z][a-z0-9]*)-(\d+)x(\d+)-([0-9a-f]{1,8})-(\d+)(?:-(\d+(?:\.\d+)?))?(?:-c([0-9a-f]{0,8}))?$/i;
+const MAX_TREE_DENSITY_PERCENT = 200;
+const MAX_ELEVATION_SCALE = 20;
+
+// ── Public API ─────────────────────────────────────────────────
+
+/**
+ * @param {{biome: string, cols: number, rows: number, seed: number, treeDensity: number,
+ *   elevationScale?: number|null, climateSeed?: number|null}} params treeDensity is a
+ *   multiplier (1 = 100%); elevationScale or climateSeed null or undefined leaves it out
+ * @returns {string}
+ */
+export function encodeMapCode({
+  biome,
+  cols,
+  rows,
+  seed,
+  treeDensity,
+  elevationScale = null,
+  climateSeed = null,
+}) {
+  const density = Math.round((Number.isFinite(treeDensity) ? treeDensity : 1) * 100);
+  const parts = [biome, `${cols}x${rows}`, (seed >>> 0).toString(16), String(density)];
+  if (Number.isFinite(elevationScale)) parts.push(String(elevationScale));
+  if (Number.isFinite(climateSeed)) {
+    parts.push(climateSeed >>> 0 === seed >>> 0 ? 'c' : `c${(climateSeed >>> 0).toString(16)}`);
+  }
+  return parts.join('-');
+}
+
+/**
+ * Parse a map code. Surrounding whitespace and a leading `#map=` (as copied from the URL) are
+ * ignored; biome keys are matched case-insensitively.
+ * @param {string} code
+ * @returns {{biome: string, cols: number, rows: number, seed: number, treeDensity: number,
+ *   elevationScale: number|null, climateSeed: number|null}} elevationScale and climateSeed are
+ *   null when the code leaves them out
+ * @throws {Error} When the code is malformed or a value is out of range
+ */
+export function decodeMapCode(code) {
+  const text = String(code ?? '')
+    .trim()
+    .replace(/^#?map=/i, '');
+  const match = MAP_CODE_PATTERN.exec(text);
+  if (!match) {
+    throw new Error(`Invalid map code "${text}" (expected e.g. grassland-25x25-8f3a-100)`);
+  }
+  const [, biomeText, colsText, rowsText, seedText, densityText, elevationText, climateText] =
+    match;
+  const biome = ALL_BIOMES.find((b) => b.key.toLowerCase() === biomeText.toLowerCase())?.key;
+  if (!biome) throw new Error(`Unknown biome "${biomeText}" in map code`);
+
+  const cols = Number(colsText);
+  const rows = Number(rowsText);
+  if (
+    cols < GRID_CONFIG.MIN_COLS ||
+    cols > GRID_CONFIG.MAX_COLS ||
+    rows < GRID_CONFIG.MIN_ROWS ||
+    rows > GRID_CONFIG.MAX_ROWS
+  ) {
+    throw new Error(
+      `Map size ${cols}x${rows} out of range (${GRID_CONFIG.MIN_COLS}-${GRID_CONFIG.MAX_COLS})`
+    );
+  }
+  const density = Number(densityText);
+  if (density > MAX_TREE_DENSITY_PERCENT) {
+    throw new Error(`Tree density ${density}% out of range (0-${MAX_TREE_DENSITY_PERCENT})`);
+  }
+  const elevationScale = elevationText === undefined ? null : Number(elevationText);
+  if (elevationScale !== null && elevationScale > MAX_ELEVATION_SCALE) {
+    throw new Error(`Elevation scale ${elevationScale} out of range (0-${MAX_ELEVATION_SCALE})`);
+  }
+  const seed = parseInt(seedText, 16) >>> 0;
+  let climateSeed = null;
+  if (climateText !== undefined) climateSeed = climateText ? parseInt(climateText, 16) >>> 0 : seed;
+  return {
+    biome,
+    cols,
+    rows,
+    seed,
+    treeDensity: density / 100,
+    elevationScale,
+    climateSeed,
+  };
+}
@@ -7,7 +7,7 @@
  */
 
 import { Sprite, Texture } from '../../core/PixiStub.js';
-import { getBiomeColorHex } from '../../config/biome/BiomePalettes.js';
+import { getBiomeColorHex, getSurfaceColorHex } from '../../config/biome/BiomePalettes.js';
 import { shadeMul as _sharedShadeMul } from '../../utils/color/ColorUtils.js';
 import { TerrainHeightUtils } from '../../utils/terrain/TerrainHeightUtils.js';
 // Internal style classification (inlined; original helper internalized)
@@ -31,7 +31,7 @@ import {
   scatterBlobsGlobal as motifScatterBlobsGlobal,
   scatterTuftsGlobal as motifScatterTuftsGlobal,
 } from './biome-painter/motifs.js';
-import { computeSlopeAspect, computeMoistureField } from './biome-painter/fields.js';
+import { computePaintFields } from './biome-painter/fields.js';
 import { traceDiamondFacePath2D } from '../../utils/canvas/CanvasShapeUtils.js';
 
 export class BiomeCanvasPainter {
@@ -572,21 +572,384 @@ export class BiomeCanvasPainter {
     };
   }
 
+  /**
+   * Biome-specific global passes for one depth band: continuous strokes across the band clip.
+   * @param {{heights:number[][], slope:number[][], aspect:number[][], moisture:number[][], seed:number, mapFreq:number, perf:number, densityMul:number}} env
+   */
+  _paintBiomePasses(ctx, canvas, biomeKey, d, env) {
+    const { heights, slope, aspect, moisture, seed, mapFreq, perf, densityMul } = env;
+    const cols = this.gameManager.cols;
+    const rows = this.gameManager.rows;
+    const w = this.gameManager.tileWidth;
+    const h = this.gameManager.tileHeight;
+    const shorelineSandStrength =
+      typeof window !== 'undefined' &&
+      Number.isFinite(window.richShadingSettings?.shorelineSandStrength)
+        ? Math.max(0, window.richShadingSettings.shorelineSandStrength)
+        : 1.0;
+    const style = this._styleForBiome(biomeKey);
+    const longCount = Math.floor(12 * perf * densityMul);
+    // Derive a band orientation (ribbons/striations follow terrain). For water/wetland, bias slightly to shallow downhill.
+    const bandOrient = this._bandOrientationForDepth(
+      d,
+      heights,
+      slope,
+      aspect,
+      null,
+      this._slopeGainForStroke
+    );
+    const avgSlope = this._bandAverage(slope, d);
+    if (style === 'plains') {
+      // Wind-swept tufts scattered across the band
+      const col = getBiomeColorHex(biomeKey, 0, 0, 0, {
+        moisture: this._bandAverage(moisture, d),
+        slope: avgSlope,
+        aspectRad: bandOrient,
+        seed,
+        mapFreq,
+      });
+      const avgMoist = this._bandAverage(moisture, d);
+      const density = (rows + cols) * (0.6 + avgMoist * 0.6) * perf;
+      this._scatterTuftsGlobal(
+        ctx,
+        canvas,
+        Math.floor(density),
+        Math.min(w, h) * 0.35,
+        this._shadeHex(col, 0.75),
+        0.18,
+        0.12
+      );
+    } else if (style === 'arid') {
+      const col = getBiomeColorHex(biomeKey, 2, 0, 0, {
+        moisture: this._bandAverage(moisture, d),
+        slope: avgSlope,
+        aspectRad: bandOrient,
+        seed,
+        mapFreq,
+      });
+      if (/salt|flat/i.test(String(biomeKey))) {
+        this._globalCracks(ctx, canvas, col, 0.22, 8 + Math.floor(4 * densityMul));
+      } else {
+        // Dunes prefer along-contour undulations (perpendicular to flow)
+        this._ribbonAlongFlow = false;
+        this._globalRibbons(
+          ctx,
+          canvas,
+          longCount,
+          Math.max(2, h * 0.18),
+          col,
+          0.1,
+          bandOrient + Math.PI
+        );
+        // Some savanna/steppe tufts layered sparsely
+        if (/savanna|steppe|prairie|grass/i.test(String(biomeKey))) {
+          this._scatterTuftsGlobal(
+            ctx,
+            canvas,
+            Math.floor((rows + cols) * 0.4 * perf),
+            Math.min(w, h) * 0.3,
+            this._shadeHex(col, 0.7),
+            0.16,
+            0.15
+          );
+        }
+      }
+    } else if (style === 'forest') {
+      const col = getBiomeColorHex(biomeKey, 0, 0, 0, {
+        moisture: this._bandAverage(moisture, d),
+        slope: avgSlope,
+        aspectRad: bandOrient,
+        seed,
+        mapFreq,
+      });
+      const avgMoist = this._bandAverage(moisture, d);
+      const count = (rows + cols) * (0.7 + avgMoist * 0.8) * perf;
+      this._scatterBlobsGlobal(
+        ctx,
+        canvas,
+        Math.floor(count),
+        Math.min(w, h) * 0.26,
+        0.7,
+        this._shadeHex(col, 0.85),
+        0.16,
+        0.08,
+        18
+      );
+    } else if (style === 'wetland') {
+      // Two clips: depressions get ripples, others get reeds
+      // 1) Ripples on negative tiles of this band
+      ctx.save();
+      this._applyFaceClip(
+        ctx,
+        this.bounds,
+        heights,
+        (gx, gy) => gx + gy === d && (heights[gy][gx] || 0) < 0
+      );
+      const wetOrient = this._bandOrientationForDepth(
+        d,
+        heights,
+        slope,
+        aspect,
+        (x, y) => (heights[y][x] || 0) < 0,
+        this._slopeGainForStroke
+      );
+      const negMoist = this._bandAverage(moisture, d, (x, y) => (heights[y][x] || 0) < 0);
+      const negSlope = this._bandAverage(slope, d, (x, y) => (heights[y][x] || 0) < 0);
+      const waterCol = getBiomeColorHex(biomeKey, -2, 0, 0, {
+        moisture: negMoist,
+        slope: negSlope,
+        aspectRad: wetOrient,
+        seed,
+        mapFreq,
+      });
+      // Water flows downhill -> align ribbons along flow
+      this._ribbonAlongFlow = true;
+      this._globalRibbons(
+        ctx,
+        canvas,
+        longCount + 4,
+        Math.max(2, h * 0.16),
+        waterCol,
+        0.1,
+        wetOrient + Math.PI
+      );
+      ctx.restore();
+      // 2) Reeds on non-negative faces of this band
+      ctx.save();
+      this._applyFaceClip(
+        ctx,
+        this.bounds,
+        heights,
+        (gx, gy) => gx + gy === d && (heights[gy][gx] || 0) >= 0
+      );
+      const reedCol = getBiomeColorHex(biomeKey, 0, 0, 0, {
+        moisture: this._bandAverage(moisture, d, (x, y) => (heights[y][x] || 0) >= 0),
+        slope: this._bandAverage(slope, d, (x, y) => (heights[y][x] || 0) >= 0),
+        aspectRad: bandOrient,
+        seed,
+        mapFreq,
+      });
+      const bandMoist = this._bandAverage(moisture, d, (x, y) => (heights[y][x] || 0) >= 0);
+      const reedCount = (rows + cols) * (0.6 + bandMoist * 0.8) * perf;
+      this._scatterTuftsGlobal(
+        ctx,
+        canvas,
+        Math.floor(reedCount),
+        Math.min(w, h) * 0.32,
+        this._shadeHex(reedCol, 0.6),
+        0.18,
+        0.08
+      );
+      ctx.restore();
+    } else if (style === 'alpine') {
+      // Striations across band; then ice glints on high or frozen
+      const midCol = getBiomeColorHex(biomeKey, 0, 0, 0, {
+        moisture: this._bandAverage(moisture, d),
+        slope: avgSlope,
+        aspectRad: bandOrient,
+        seed,
+        mapFreq,
+      });
+      this._globalStriations(
+        ctx,
+        canvas,
+        midCol,
+        0.14,
+        bandOrient + Math.PI / 2,
+        Math.max(28, Math.floor(h * 0.7))
+      );
+      // High/frozen sub-clip for glints
+      ctx.save();
+      this._applyFaceClip(
+        ctx,
+        this.bounds,
+        heights,
+        (gx, gy) => gx + gy === d && (heights[gy][gx] || 0) > 1
+      );
+      this._globalStriations(
+        ctx,
+        canvas,
+        0xffffff,
+        0.1,
+        bandOrient - Math.PI / 3,
+        Math.max(36, Math.floor(h * 0.8))
+      );
+      ctx.restore();
+    } else if (style === 'water') {
+      // Water strokes only on underwater tiles (h<0)
+      const waterCol = getBiomeColorHex(biomeKey, -2, 0, 0, {
+        moisture: this._bandAverage(moisture, d, (x, y) => (heights[y][x] || 0) < 0),
+        slope: this._bandAverage(slope, d, (x, y) => (heights[y][x] || 0) < 0),
+        aspectRad: bandOrient,
+        seed,
+        mapFreq,
+      });
+      ctx.save();
+      this._applyFaceClip(
+        ctx,
+        this.bounds,
+        heights,
+        (gx, gy) => gx + gy === d && (heights[gy][gx] || 0) < 0
+      );
+      this._ribbonAlongFlow = true;
+      this._globalRibbons(
+        ctx,
+        canvas,
+        longCount + 6,
+        Math.max(2, h * 0.16),
+        waterCol,
+        0.1,
+        bandOrient + Math.PI
+      );
+      ctx.restore();
+
+      // For coast/beach on land (h>=0), ensure sand presence by a light scatter of blobs in sand tone
+      if (/coast|beach|shore/i.test(String(biomeKey))) {
+        const sandCol = getBiomeColorHex(
+          'beach',
+          2, // dry-ish sand reference
+          0,
+          0,
+          {
+            moisture: this._bandAverage(moisture, d, (x, y) => (heights[y][x] || 0) >= 0),
+            slope: this._bandAverage(slope, d, (x, y) => (heights[y][x] || 0) >= 0),
+            aspectRad: bandOrient,
+            seed,
+            mapFreq,
+          }
+        );
+        ctx.save();
+        this._applyFaceClip(
+          ctx,
+          this.bounds,
+          heights,
+          (gx, gy) => gx + gy === d && (heights[gy][gx] || 0) >= 0
+        );
+        // scale density and alpha by shorelineSandStrength
+        const landCount = Math.floor((rows + cols) * 0.35 * perf * shorelineSandStrength);
+        const landAlpha = 0.1 * Math.min(1.5, Math.max(0.4, shorelineSandStrength));
+        this._scatterBlobsGlobal(
+          ctx,
+          canvas,
+          landCount,
+          Math.min(w, h) * 0.18,
+          0.5,
+          sandCol,
+          landAlpha,
+          0.04,
+          14
+        );
+        ctx.restore();
+
+        // Add shallow-water speckles of sand just below sea level to suggest suspended sandbars
+        const wetSandCol = getBiomeColorHex(
+          'beach',
+          0, // wet sand
+          0,
+          0,
+          {
+            moisture: this._bandAverage(moisture, d, (x, y) => (heights[y][x] || 0) < 0),
+            slope: this._bandAverage(slope, d, (x, y) => (heights[y][x] || 0) < 0),
+            aspectRad: bandOrient,
+            seed,
+            mapFreq,
+          }
+        );
+        ctx.save();
+        this._applyFaceClip(
+          ctx,
+          this.bounds,
+          heights,
+          (gx, gy) => gx + gy === d && (heights[gy][gx] || 0) < 0 && (heights[gy][gx] || 0) > -2
+        );
+        const waterCount = Math.floor((rows + cols) * 0.15 * perf * shorelineSandStrength);
+        const waterAlpha = 0.06 * Math.min(1.5, Math.max(0.4, shorelineSandStrength));
+        this._scatterBlobsGlobal(
+          ctx,
+          canvas,
+          waterCount,
+          Math.min(w, h) * 0.14,
+          0.4,
+          wetSandCol,
+          waterAlpha,
+          0.03,
+          12
+        );
+        ctx.restore();
+      }
+    } else if (style === 'volcanic') {
+      const col = getBiomeColorHex(biomeKey, -1, 0, 0, {
+        moisture: this._bandAverage(moisture, d),
+        slope: avgSlope,
+        aspectRad: bandOrient,
+        seed,
+        mapFreq,
+      });
+      this._globalCracks(ctx, canvas, col, 0.24, 10 + Math.floor(4 * densityMul));
+    } else if (style === 'arcane') {
+      const col = getBiomeColorHex(biomeKey, 0, 0, 0, {
+        moisture: this._bandAverage(moisture, d),
+        slope: avgSlope,
+        aspectRad: bandOrient,
+        seed,
+        mapFreq,
+      });
+      this._globalRibbons(
+        ctx,
+        canvas,
+        Math.floor(longCount * 0.7),
+        Math.max(2, h * 0.14),
+        col,
+        0.1,
+        0.2
+      );
+    } else {
+      // Generic: light scatter to avoid flatness
+      const col = getBiomeColorHex(biomeKey, 0, 0, 0, {
+        moisture: this._bandAverage(moisture, d),
+        slope: avgSlope,
+        aspectRad: bandOrient,
+        seed,
+        mapFreq,
+      });
+      this._scatterBlobsGlobal(
+        ctx,
+        canvas,
+        Math.floor((rows + cols) * 0.3 * perf),
+        Math.min(w, h) * 0.2,
+        0.5,
+        col,
+        0.1,
+        0.05,
+        14
+      );
+    }
+  }
+
   // ── Public API ──────────────────────────────────────────────
 
-  /** Paint the canvas for the given biome and heights. */
-  paint(biomeKey, heights, tilesHiddenCallback = null) {
+  /**
+   * Paint the canvas for the given biome and heights.
+   * @param {(x:number, y:number) => string|null} [surfaceAt] river/road surface per tile;
+   *   surfaced tiles are filled flat over the biome strokes
+   * @param {(x:number, y:number) => Array<{biome:string, weight:number}>} [blendAt] painted
+   *   biome regions (see BiomeRegions.computeBiomeWeights): tile colours mix the weighted
+   *   biomes and each tile gets the strokes of its heaviest biome
+   * @param {object} [fields] computePaintFields() result for these heights, e.g. from the
+   *   generation worker; ignored (and recomputed) when its biome, size or settings differ
+   */
+  paint(
+    biomeKey,
+    heights,
+    tilesHiddenCallback = null,
+    surfaceAt = null,
+    blendAt = null,
+    fields = null
+  ) {
     if (!this.gameManager?.gridContainer || !Array.isArray(heights)) return;
     const cols = this.gameManager.cols;
     const rows = this.gameManager.rows;
     this.bounds = this._computeGridBounds(heights);
-    // Precompute terrain derivatives once
-    const { slope, aspect } = computeSlopeAspect(this.gameManager, heights);
-    const moisture = computeMoistureField(this.gameManager, heights);
-
-    // Expose fields to stroke helpers
-    this._aspectFieldForStroke = aspect;
-    this._slopeFieldForStroke = slope;
 
     const w = this.gameManager.tileWidth;
     const h = this.gameManager.tileHeight;
@@ -597,11 +960,6 @@ export class BiomeCanvasPainter {
     const intensity =
       (typeof window !== 'undefined' && window.richShadingSettings?.intensity) || 1.0;
     const mapFreq = (typeof window !== 'undefined' && window.richShadingSettings?.mapFreq) || 0.05;
-    const shorelineSandStrength =
-      typeof window !== 'undefined' &&
-      Number.isFinite(window.richShadingSettings?.shorelineSandStrength)
-        ? Math.max(0, window.richShadingSettings.shorelineSandStrength)
-        : 1.0;
     // Allow an external seed override for determinism
     const extSeed =
       typeof window !== 'undefined' && Number.isFinite(window.richShadingSettings?.seed)
@@ -614,7 +972,27 @@ export class BiomeCanvasPainter {
         ? Math.max(0.1, window.richShadingSettings.slopeGain)
         : 1.5;
     const baseRadius = Math.max(w, h) * 0.9;
-    const style = this._styleForBiome(biomeKey);
+    // Precompute terrain derivatives and tile colours once
+    const fits =
+      fields?.biomeKey === biomeKey &&
+      fields.cols === cols &&
+      fields.rows === rows &&
+      fields.seed === seed &&
+      fields.mapFreq === mapFreq &&
+      fields.intensity === intensity;
+    const { slope, aspect, moisture, colors } = fits
+      ? fields
+      : computePaintFields(this.gameManager, biomeKey, heights, {
+          seed,
+          mapFreq,
+          intensity,
+          blendAt,
+        });
+    // Expose fields to stroke helpers
+    this._aspectFieldForStroke = aspect;
+    this._slopeFieldForStroke = slope;
+    const colorAt = (x, y) => colors[y][x];
+    const dominantAt = (x, y) => blendAt?.(x, y)?.[0]?.biome ?? biomeKey;
 
     const minDepth = 0;
     const maxDepth = cols - 1 + (rows - 1);
@@ -637,14 +1015,7 @@ export class BiomeCanvasPainter {
         for (let x = 0; x < cols; x++) {
           if (x + y !== d) continue;
           const heightVal = Number.isFinite(heights?.[y]?.[x]) ? heights[y][x] : 0;
-          const color = getBiomeColorHex(biomeKey, heightVal, x, y, {
-            moisture: moisture?.[y]?.[x] ?? 0.5,
-            slope: slope?.[y]?.[x] ?? 0.0,
-            aspectRad: aspect?.[y]?.[x] ?? 0.0,
-            seed,
-            mapFreq,
-            intensity,
-          });
+          const color = colorAt(x, y);
           const { x: cx0, y: cy0 } = this._tileCenterToCanvas(x, y, this.bounds);
           const elev = TerrainHeightUtils.calculateElevationOffset(heightVal);
           const cx = cx0;
@@ -661,14 +1032,7 @@ export class BiomeCanvasPainter {
           if (x + y !== d) continue;
           if (this._randU(x, y, 'tileOverlay') > tilePatternProb) continue;
           const hv = heights[y][x];
-          const color = getBiomeColorHex(biomeKey, hv, x, y, {
-            moisture: moisture?.[y]?.[x] ?? 0.5,
-            slope: slope?.[y]?.[x] ?? 0.0,
-            aspectRad: aspect?.[y]?.[x] ?? 0.0,
-            seed,
-            mapFreq,
-            intensity,
-          });
+          const color = colorAt(x, y);
           const { x: px0, y: py0 } = this._tileCenterToCanvas(x, y, this.bounds);
           const elev = TerrainHeightUtils.calculateElevationOffset(hv);
           const px = px0;
@@ -684,342 +1048,41 @@ export class BiomeCanvasPainter {
       }
 
       // Biome-specific global passes (continuous strokes across the band clip)
-      const longCount = Math.floor(12 * perf * densityMul);
-      // Derive a band orientation (ribbons/striations follow terrain). For water/wetland, bias slightly to shallow downhill.
-      const bandOrient = this._bandOrientationForDepth(
-        d,
-        heights,
-        slope,
-        aspect,
-        null,
-        this._slopeGainForStroke
-      );
-      const avgSlope = this._bandAverage(slope, d);
-      if (style === 'plains') {
-        // Wind-swept tufts scattered across the band
-        const col = getBiomeColorHex(biomeKey, 0, 0, 0, {
-          moisture: this._bandAverage(moisture, d),
-          slope: avgSlope,
-          aspectRad: bandOrient,
-          seed,
-          mapFreq,
-        });
-        const avgMoist = this._bandAverage(moisture, d);
-        const density = (rows + cols) * (0.6 + avgMoist * 0.6) * perf;
-        this._scatterTuftsGlobal(
-          ctx,
-          canvas,
-          Math.floor(density),
-          Math.min(w, h) * 0.35,
-          this._shadeHex(col, 0.75),
-          0.18,
-          0.12
-        );
-      } else if (style === 'arid') {
-        const col = getBiomeColorHex(biomeKey, 2, 0, 0, {
-          moisture: this._bandAverage(moisture, d),
-          slope: avgSlope,
-          aspectRad: bandOrient,
-          seed,
-          mapFreq,
-        });
-        if (/salt|flat/i.test(String(biomeKey))) {
-          this._globalCracks(ctx, canvas, col, 0.22, 8 + Math.floor(4 * densityMul));
-        } else {
-          // Dunes prefer along-contour undulations (perpendicular to flow)
-          this._ribbonAlongFlow = false;
-          this._globalRibbons(
-            ctx,
-            canvas,
-            longCount,
-            Math.max(2, h * 0.18),
-            col,
-            0.1,
-            bandOrient + Math.PI
-          );
-          // Some savanna/steppe tufts layered sparsely
-          if (/savanna|steppe|prairie|grass/i.test(String(biomeKey))) {
-            this._scatterTuftsGlobal(
-              ctx,
-              canvas,
-              Math.floor((rows + cols) * 0.4 * perf),
-              Math.min(w, h) * 0.3,
-              this._shadeHex(col, 0.7),
-              0.16,
-              0.15
-            );
-          }
+      const passEnv = { heights, slope, aspect, moisture, seed, mapFreq, perf, densityMul };
+      if (!blendAt) {
+        this._paintBiomePasses(ctx, canvas, biomeKey, d, passEnv);
+      } else {
+        // Each region gets its own biome's strokes, clipped to the tiles it dominates
+        const bandBiomes = new Set();
+        for (let y = 0; y < rows; y++) {
+          const x = d - y;
+          if (x >= 0 && x < cols) bandBiomes.add(dominantAt(x, y));
         }
-      } else if (style === 'forest') {
-        const col = getBiomeColorHex(biomeKey, 0, 0, 0, {
-          moisture: this._bandAverage(moisture, d),
-          slope: avgSlope,
-          aspectRad: bandOrient,
-          seed,
-          mapFreq,
-        });
-        const avgMoist = this._bandAverage(moisture, d);
-        const count = (rows + cols) * (0.7 + avgMoist * 0.8) * perf;
-        this._scatterBlobsGlobal(
-          ctx,
-          canvas,
-          Math.floor(count),
-          Math.min(w, h) * 0.26,
-          0.7,
-          this._shadeHex(col, 0.85),
-          0.16,
-          0.08,
-          18
-        );
-      } else if (style === 'wetland') {
-        // Two clips: depressions get ripples, others get reeds
-        // 1) Ripples on negative tiles of this band
-        ctx.save();
-        this._applyFaceClip(
-          ctx,
-          this.bounds,
-          heights,
-          (gx, gy) => gx + gy === d && (heights[gy][gx] || 0) < 0
-        );
-        const wetOrient = this._bandOrientationForDepth(
-          d,
-          heights,
-          slope,
-          aspect,
-          (x, y) => (heights[y][x] || 0) < 0,
-          this._slopeGainForStroke
-        );
-        const negMoist = this._bandAverage(moisture, d, (x, y) => (heights[y][x] || 0) < 0);
-        const negSlope = this._bandAverage(slope, d, (x, y) => (heights[y][x] || 0) < 0);
-        const waterCol = getBiomeColorHex(biomeKey, -2, 0, 0, {
-          moisture: negMoist,
-          slope: negSlope,
-          aspectRad: wetOrient,
-          seed,
-          mapFreq,
-        });
-        // Water flows downhill -> align ribbons along flow
-        this._ribbonAlongFlow = true;
-        this._globalRibbons(
-          ctx,
-          canvas,
-          longCount + 4,
-          Math.max(2, h * 0.16),
-          waterCol,
-          0.1,
-          wetOrient + Math.PI
-        );
-        ctx.restore();
-        // 2) Reeds on non-negative faces of this band
-        ctx.save();
-        this._applyFaceClip(
-          ctx,
-          this.bounds,
-          heights,
-          (gx, gy) => gx + gy === d && (heights[gy][gx] || 0) >= 0
-        );
-        const reedCol = getBiomeColorHex(biomeKey, 0, 0, 0, {
-          moisture: this._bandAverage(moisture, d, (x, y) => (heights[y][x] || 0) >= 0),
-          slope: this._bandAverage(slope, d, (x, y) => (heights[y][x] || 0) >= 0),
-          aspectRad: bandOrient,
-          seed,
-          mapFreq,
-        });
-        const bandMoist = this._bandAverage(moisture, d, (x, y) => (heights[y][x] || 0) >= 0);
-        const reedCount = (rows + cols) * (0.6 + bandMoist * 0.8) * perf;
-        this._scatterTuftsGlobal(
-          ctx,
-          canvas,
-          Math.floor(reedCount),
-          Math.min(w, h) * 0.32,
-          this._shadeHex(reedCol, 0.6),
-          0.18,
-          0.08
-        );
-        ctx.restore();
-      } else if (style === 'alpine') {
-        // Striations across band; then ice glints on high or frozen
-        const midCol = getBiomeColorHex(biomeKey, 0, 0, 0, {
-          moisture: this._bandAverage(moisture, d),
-          slope: avgSlope,
-          aspectRad: bandOrient,
-          seed,
-          mapFreq,
-        });
-        this._globalStriations(
-          ctx,
-          canvas,
-          midCol,
-          0.14,
-          bandOrient + Math.PI / 2,
-          Math.max(28, Math.floor(h * 0.7))
-        );
-        // High/frozen sub-clip for glints
-        ctx.save();
-        this._applyFaceClip(
-          ctx,
-          this.bounds,
-          heights,
-          (gx, gy) => gx + gy === d && (heights[gy][gx] || 0) > 1
-        );
-        this._globalStriations(
-          ctx,
-          canvas,
-          0xffffff,
-          0.1,
-          bandOrient - Math.PI / 3,
-          Math.max(36, Math.floor(h * 0.8))
-        );
-        ctx.restore();
-      } else if (style === 'water') {
-        // Water strokes only on underwater tiles (h<0)
-        const waterCol = getBiomeColorHex(biomeKey, -2, 0, 0, {
-          moisture: this._bandAverage(moisture, d, (x, y) => (heights[y][x] || 0) < 0),
-          slope: this._bandAverage(slope, d, (x, y) => (heights[y][x] || 0) < 0),
-          aspectRad: bandOrient,
-          seed,
-          mapFreq,
-        });
-        ctx.save();
-        this._applyFaceClip(
-          ctx,
-          this.bounds,
-          heights,
-          (gx, gy) => gx + gy === d && (heights[gy][gx] || 0) < 0
-        );
-        this._ribbonAlongFlow = true;
-        this._globalRibbons(
-          ctx,
-          canvas,
-          longCount + 6,
-          Math.max(2, h * 0.16),
-          waterCol,
-          0.1,
-          bandOrient + Math.PI
-        );
-        ctx.restore();
-
-        // For coast/beach on land (h>=0), ensure sand presence by a light scatter of blobs in sand tone
-        if (/coast|beach|shore/i.test(String(biomeKey))) {
-          const sandCol = getBiomeColorHex(
-            'beach',
-            2, // dry-ish sand reference
-            0,
-            0,
-            {
-              moisture: this._bandAverage(moisture, d, (x, y) => (heights[y][x] || 0) >= 0),
-              slope: this._bandAverage(slope, d, (x, y) => (heights[y][x] || 0) >= 0),
-              aspectRad: bandOrient,
-              seed,
-              mapFreq,
-            }
-          );
-          ctx.save();
-          this._applyFaceClip(
-            ctx,
-            this.bounds,
-            heights,
-            (gx, gy) => gx + gy === d && (heights[gy][gx] || 0) >= 0
-          );
-          // scale density and alpha by shorelineSandStrength
-          const landCount = Math.floor((rows + cols) * 0.35 * perf * shorelineSandStrength);
-          const landAlpha = 0.1 * Math.min(1.5, Math.max(0.4, shorelineSandStrength));
-          this._scatterBlobsGlobal(
-            ctx,
-            canvas,
-            landCount,
-            Math.min(w, h) * 0.18,
-            0.5,
-            sandCol,
-            landAlpha,
-            0.04,
-            14
-          );
-          ctx.restore();
-
-          // Add shallow-water speckles of sand just below sea level to suggest suspended sandbars
-          const wetSandCol = getBiomeColorHex(
-            'beach',
-            0, // wet sand
-            0,
-            0,
-            {
-              moisture: this._bandAverage(moisture, d, (x, y) => (heights[y][x] || 0) < 0),
-              slope: this._bandAverage(slope, d, (x, y) => (heights[y][x] || 0) < 0),
-              aspectRad: bandOrient,
-              seed,
-              mapFreq,
-            }
-          );
-          ctx.save();
+        for (const regionBiome of bandBiomes) {
           this._applyFaceClip(
             ctx,
             this.bounds,
             heights,
-            (gx, gy) => gx + gy === d && (heights[gy][gx] || 0) < 0 && (heights[gy][gx] || 0) > -2
-          );
-          const waterCount = Math.floor((rows + cols) * 0.15 * perf * shorelineSandStrength);
-          const waterAlpha = 0.06 * Math.min(1.5, Math.max(0.4, shorelineSandStrength));
-          this._scatterBlobsGlobal(
-            ctx,
-            canvas,
-            waterCount,
-            Math.min(w, h) * 0.14,
-            0.4,
-            wetSandCol,
-            waterAlpha,
-            0.03,
-            12
+            (gx, gy) => gx + gy === d && dominantAt(gx, gy) === regionBiome
           );
+          this._paintBiomePasses(ctx, canvas, regionBiome, d, passEnv);
           ctx.restore();
         }
-      } else if (style === 'volcanic') {
-        const col = getBiomeColorHex(biomeKey, -1, 0, 0, {
-          moisture: this._bandAverage(moisture, d),
-          slope: avgSlope,
-          aspectRad: bandOrient,
-          seed,
-          mapFreq,
-        });
-        this._globalCracks(ctx, canvas, col, 0.24, 10 + Math.floor(4 * densityMul));
-      } else if (style === 'arcane') {
-        const col = getBiomeColorHex(biomeKey, 0, 0, 0, {
-          moisture: this._bandAverage(moisture, d),
-          slope: avgSlope,
-          aspectRad: bandOrient,
-          seed,
-          mapFreq,
-        });
-        this._globalRibbons(
-          ctx,
-          canvas,
-          Math.floor(longCount * 0.7),
-          Math.max(2, h * 0.14),
-          col,
-          0.1,
-          0.2
-        );
-      } else {
-        // Generic: light scatter to avoid flatness
-        const col = getBiomeColorHex(biomeKey, 0, 0, 0, {
-          moisture: this._bandAverage(moisture, d),
-          slope: avgSlope,
-          aspectRad: bandOrient,
-          seed,
-          mapFreq,
-        });
-        this._scatterBlobsGlobal(
-          ctx,
-          canvas,
-          Math.floor((rows + cols) * 0.3 * perf),
-          Math.min(w, h) * 0.2,
-          0.5,
-          col,
-          0.1,
-          0.05,
-          14
-        );
       }
+      // River/road surfaces go on last so biome strokes never cover them
+      if (typeof surfaceAt === 'function') {
+        for (let y = 0; y < rows; y++) {
+          const x = d - y;
+          if (x < 0 || x >= cols) continue;
+          const hv = Number.isFinite(heights?.[y]?.[x]) ? heights[y][x] : 0;
+          const color = getSurfaceColorHex(surfaceAt(x, y), hv);
+          if (color == null) continue;
+          const { x: cx, y: cy0 } = this._tileCenterToCanvas(x, y, this.bounds);
+          const cy = cy0 + TerrainHeightUtils.calculateElevationOffset(hv);
+          this._fillFaceSolid(ctx, cx, cy, w, h, color, 1.0);
+        }
+      }
+
       // Release face clip for this layer
       try {
         ctx.restore();
@@ -1,6 +1,46 @@
 // src/terrain/biome-painter/fields.js
 // Pure helpers to compute terrain derivative fields used by the painter.
 
+import { getBiomeColorHex } from '../../../config/biome/BiomePalettes.js';
+import { blendBiomeColors } from '../../biomes/BiomeRegions.js';
+
+// ── Paint Fields ───────────────────────────────────────
+/**
+ * Everything BiomeCanvasPainter.paint derives from the heights before it draws: slope, aspect,
+ * moisture and each tile's top colour. Pure, so map generation can compute it in a worker and
+ * hand it to paint(); the parameters are kept so paint() can tell whether the fields still fit.
+ * @param {{cols:number, rows:number}} gameManager - Provides grid dimensions
+ * @param {string} biomeKey - Map biome
+ * @param {number[][]} heights - Grid of heights
+ * @param {{seed?: number, mapFreq?: number, intensity?: number,
+ *   blendAt?: ((x:number, y:number) => Array<{biome:string, weight:number}>)|null}} [options]
+ * @returns {{biomeKey:string, cols:number, rows:number, seed:number, mapFreq:number,
+ *   intensity:number, slope:number[][], aspect:number[][], moisture:number[][], colors:number[][]}}
+ */
+export function computePaintFields(gameManager, biomeKey, heights, options = {}) {
+  const { cols, rows } = gameManager;
+  const { seed = 0, mapFreq = 0.05, intensity = 1.0, blendAt = null } = options;
+  const { slope, aspect } = computeSlopeAspect(gameManager, heights);
+  const moisture = computeMoistureField(gameManager, heights);
+  const colors = Array.from({ length: rows }, (_, y) =>
+    Array.from({ length: cols }, (__, x) => {
+      const hv = Number.isFinite(heights?.[y]?.[x]) ? heights[y][x] : 0;
+      const colorOf = (biome) =>
+        getBiomeColorHex(biome, hv, x, y, {
+          moisture: moisture[y][x],
+          slope: slope[y][x],
+          aspectRad: aspect[y][x],
+          seed,
+          mapFreq,
+          intensity,
+        });
+      const blend = blendAt?.(x, y);
+      return blend ? blendBiomeColors(blend, colorOf) : colorOf(biomeKey);
+    })
+  );
+  return { biomeKey, cols, rows, seed, mapFreq, intensity, slope, aspect, moisture, colors };
+}
+
 // ── Slope & Aspect Computation ─────────────────────────
 /**
  * Compute per-tile slope magnitude and aspect (downhill direction angle in radians)
@@ -0,0 +1,56 @@
+// TileSelection.js - Pure helpers for marquee/lasso tile selection. The clipboard is a masked,
+// absolute terrain stamp (see TerrainStamps.js).
+// Grid points are in tile units with tile centres on whole numbers (as PickingService reports
+// them), so a lasso selects every tile whose centre lies inside the drawn outline.
+
+// ── Shapes ─────────────────────────────────────────────
+/**
+ * Tiles whose centres lie inside a closed polygon (even-odd rule).
+ * @param {Array<{x:number,y:number}>} points - outline vertices in grid units
+ * @param {{cols:number, rows:number}} bounds
+ * @returns {Array<{x:number,y:number}>} row by row
+ */
+export function cellsInPolygon(points, bounds) {
+  if (!Array.isArray(points) || points.length < 3) return [];
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const x0 = Math.max(0, Math.ceil(Math.min(...xs)));
+  const x1 = Math.min(bounds.cols - 1, Math.floor(Math.max(...xs)));
+  const y0 = Math.max(0, Math.ceil(Math.min(...ys)));
+  const y1 = Math.min(bounds.rows - 1, Math.floor(Math.max(...ys)));
+  const cells = [];
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      if (pointInPolygon(x, y, points)) cells.push({ x, y });
+    }
+  }
+  return cells;
+}
+
+function pointInPolygon(x, y, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if (a.y > y !== b.y > y && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/** @returns {{x0:number,y0:number,x1:number,y1:number}|null} inclusive bounding box */
+export function cellBounds(cells) {
+  if (!cells?.length) return null;
+  let x0 = Infinity;
+  let y0 = Infinity;
+  let x1 = -Infinity;
+  let y1 = -Infinity;
+  for (const { x, y } of cells) {
+    x0 = Math.min(x0, x);
+    y0 = Math.min(y0, y);
+    x1 = Math.max(x1, x);
+    y1 = Math.max(y1, y);
+  }
+  return { x0, y0, x1, y1 };
+}
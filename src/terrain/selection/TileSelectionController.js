@@ -0,0 +1,199 @@
+// TileSelectionController.js - Marquee/lasso tile selection state for the terrain editor.
+// Like TerrainStampController it exposes getFootprintCells/planAt, so the brush highlight
+// pipeline previews the shape being dragged or the clipboard being pasted. The committed
+// selection itself is drawn by the grid overlay.
+
+import { TERRAIN_CONFIG } from '../../config/terrain/TerrainConstants.js';
+import { normalizeRect, rectCells, captureStamp, planStampPaste } from '../stamps/TerrainStamps.js';
+import { cellsInPolygon, cellBounds } from './TileSelection.js';
+
+// ── TileSelectionController Class ──────────────────────
+export class TileSelectionController {
+  /** @param {object} dataStore TerrainDataStore */
+  constructor(dataStore) {
+    this.dataStore = dataStore;
+    this.tool = null; // null | 'marquee' | 'lasso' | 'paste'
+    this.clipboard = null;
+    this._cells = new Set(); // 'x,y' keys
+    this._drag = null; // { start, end, points, additive }
+  }
+
+  isActive() {
+    return this.tool !== null;
+  }
+
+  // ── Tools ──────────────────────────────────────────────
+  /**
+   * Arm a selection tool; the current selection is kept.
+   * @param {'marquee'|'lasso'} tool
+   * @returns {boolean} false for an unknown tool
+   */
+  setTool(tool) {
+    if (!TERRAIN_CONFIG.SELECTION.TOOLS.includes(tool)) return false;
+    this.tool = tool;
+    this._drag = null;
+    return true;
+  }
+
+  /** Leave selection tools; the selection stays until cleared. */
+  cancel() {
+    this.tool = null;
+    this._drag = null;
+  }
+
+  // ── Selection ──────────────────────────────────────────
+  /** @returns {Array<{x:number,y:number}>} selected tiles still inside the grid */
+  getCells() {
+    const cells = [];
+    for (const key of this._cells) {
+      const [x, y] = key.split(',').map(Number);
+      if (this._inBounds(x, y)) cells.push({ x, y });
+    }
+    return cells;
+  }
+
+  hasSelection() {
+    return this.getCells().length > 0;
+  }
+
+  /**
+   * Replace the selection, or add to it.
+   * @param {Array<{x:number,y:number}>} cells
+   * @param {{additive?: boolean}} [options]
+   */
+  select(cells, { additive = false } = {}) {
+    if (!additive) this._cells.clear();
+    for (const { x, y } of cells || []) {
+      if (this._inBounds(x, y)) this._cells.add(`${x},${y}`);
+    }
+  }
+
+  clear() {
+    this._cells.clear();
+  }
+
+  // ── Drag ───────────────────────────────────────────────
+  /**
+   * @param {{x:number,y:number}} point - grid units, unrounded for lasso outlines
+   * @param {{additive?: boolean}} [options] add to the selection instead of replacing it
+   */
+  startDrag(point, { additive = false } = {}) {
+    if (this.tool !== 'marquee' && this.tool !== 'lasso') return false;
+    if (!point) return false;
+    this._drag = { start: point, end: point, points: [point], additive };
+    return true;
+  }
+
+  updateDrag(point) {
+    if (!this._drag || !point) return;
+    this._drag.end = point;
+    if (this.tool === 'lasso') this._drag.points.push(point);
+  }
+
+  isDragging() {
+    return !!this._drag;
+  }
+
+  cancelDrag() {
+    this._drag = null;
+  }
+
+  /** Tiles covered by the shape being dragged. */
+  dragCells() {
+    if (!this._drag) return [];
+    const bounds = { cols: this.dataStore.cols, rows: this.dataStore.rows };
+    if (this.tool === 'lasso') return cellsInPolygon(this._drag.points, bounds);
+    const round = (p) => ({ x: Math.round(p.x), y: Math.round(p.y) });
+    return rectCells(normalizeRect(round(this._drag.start), round(this._drag.end))).filter(
+      ({ x, y }) => this._inBounds(x, y)
+    );
+  }
+
+  /**
+   * Commit the dragged shape to the selection. A lasso too small to enclose a tile centre
+   * selects the tile it started on.
+   * @returns {Array<{x:number,y:number}>} the new selection
+   */
+  finishDrag() {
+    if (!this._drag) return this.getCells();
+    let cells = this.dragCells();
+    if (!cells.length) {
+      const x = Math.round(this._drag.start.x);
+      const y = Math.round(this._drag.start.y);
+      cells = this._inBounds(x, y) ? [{ x, y }] : [];
+    }
+    this.select(cells, { additive: this._drag.additive });
+    this._drag = null;
+    return this.getCells();
+  }
+
+  // ── Clipboard ──────────────────────────────────────────
+  /**
+   * Copy the selected tiles' absolute heights and the placeables anchored on them.
+   * @param {(x:number, y:number) => Array<object>} [placeablesAt] placeable descriptions per tile
+   * @returns {import('../stamps/TerrainStamps.js').TerrainStamp|null}
+   */
+  copy(placeablesAt) {
+    const cells = this.getCells();
+    const box = cellBounds(cells);
+    if (!box) return null;
+    this.clipboard = captureStamp(
+      'clipboard',
+      box,
+      (x, y) => this.dataStore.get(x, y),
+      placeablesAt,
+      { cells, absolute: true }
+    );
+    return this.clipboard;
+  }
+
+  hasClipboard() {
+    return !!this.clipboard;
+  }
+
+  /** Arm pasting of the clipboard; the next click places it centred on the tile. */
+  beginPaste() {
+    if (!this.clipboard) return false;
+    this.tool = 'paste';
+    this._drag = null;
+    return true;
+  }
+
+  /** @returns {ReturnType<typeof planStampPaste>} */
+  planPasteAt(gridX, gridY) {
+    if (this.tool !== 'paste' || !this.clipboard) return { cells: [], placeables: [] };
+    return planStampPaste(this.clipboard, gridX, gridY, (x, y) => this.dataStore.get(x, y), {
+      cols: this.dataStore.cols,
+      rows: this.dataStore.rows,
+    });
+  }
+
+  // ── Preview / Planning ─────────────────────────────────
+  /** Cells the current tool covers at a hover position (empty when inactive). */
+  getFootprintCells(gridX, gridY) {
+    return this.planAt(gridX, gridY).map(({ x, y }) => ({ x, y }));
+  }
+
+  /**
+   * Non-mutating preview: the clipboard where it would land, the shape being dragged, or the
+   * hovered tile before a drag starts.
+   * @returns {Array<{x:number,y:number,currentHeight:number,previewHeight:number}>}
+   */
+  planAt(gridX, gridY) {
+    if (this.tool === 'paste') return this.planPasteAt(gridX, gridY).cells;
+    if (!this.tool) return [];
+    const cells = this._drag
+      ? this.dragCells()
+      : this._inBounds(gridX, gridY)
+        ? [{ x: gridX, y: gridY }]
+        : [];
+    return cells.map(({ x, y }) => {
+      const h = this.dataStore.get(x, y);
+      return { x, y, currentHeight: h, previewHeight: h };
+    });
+  }
+
+  _inBounds(x, y) {
+    return x >= 0 && y >= 0 && y < this.dataStore.rows && x < this.dataStore.cols;
+  }
+}
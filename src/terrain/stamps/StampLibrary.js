@@ -0,0 +1,86 @@
+// StampLibrary.js - Named terrain stamps persisted in localStorage.
+// Stamps are stored as one JSON array; entries that fail validation are skipped on read so a
+// corrupted or outdated entry never breaks the rest of the library.
+
+import { logger, LOG_CATEGORY } from '../../utils/Logger.js';
+import { TERRAIN_CONFIG } from '../../config/terrain/TerrainConstants.js';
+import { isTerrainStamp } from './TerrainStamps.js';
+
+export class StampLibrary {
+  /**
+   * @param {object} [options]
+   * @param {Storage|null} [options.storage] defaults to localStorage; null keeps stamps in memory
+   * @param {string} [options.key]
+   * @param {number} [options.maxStamps]
+   */
+  constructor(options = {}) {
+    const defaultStorage = typeof localStorage !== 'undefined' ? localStorage : null;
+    this.storage = options.storage !== undefined ? options.storage : defaultStorage;
+    this.key = options.key || TERRAIN_CONFIG.STAMPS.STORAGE_KEY;
+    this.maxStamps = options.maxStamps ?? TERRAIN_CONFIG.STAMPS.MAX_STAMPS;
+    this._memory = [];
+  }
+
+  // ── Queries ────────────────────────────────────────────
+  /** @returns {import('./TerrainStamps.js').TerrainStamp[]} oldest first */
+  list() {
+    return this._read();
+  }
+
+  /** @returns {string[]} */
+  names() {
+    return this._read().map((stamp) => stamp.name);
+  }
+
+  get(name) {
+    return this._read().find((stamp) => stamp.name === name) || null;
+  }
+
+  // ── Mutations ──────────────────────────────────────────
+  /**
+   * Add a stamp, replacing any stamp with the same name. The oldest stamps are dropped
+   * when the library is full.
+   * @returns {boolean} false when the stamp could not be persisted
+   */
+  save(stamp) {
+    if (!isTerrainStamp(stamp) || !stamp.name.trim()) return false;
+    const stamps = this._read().filter((s) => s.name !== stamp.name);
+    stamps.push(stamp);
+    return this._write(stamps.slice(-this.maxStamps));
+  }
+
+  /** @returns {boolean} true if a stamp was removed */
+  remove(name) {
+    const stamps = this._read();
+    const kept = stamps.filter((s) => s.name !== name);
+    if (kept.length === stamps.length) return false;
+    return this._write(kept);
+  }
+
+  // ── Private Helpers ────────────────────────────────────
+  _read() {
+    if (!this.storage) return [...this._memory];
+    try {
+      const parsed = JSON.parse(this.storage.getItem(this.key) || '[]');
+      return Array.isArray(parsed) ? parsed.filter(isTerrainStamp) : [];
+    } catch (error) {
+      logger.warn('Stamp library unreadable', { error: error?.message }, LOG_CATEGORY.SYSTEM);
+      return [];
+    }
+  }
+
+  _write(stamps) {
+    if (!this.storage) {
+      this._memory = stamps;
+      return true;
+    }
+    try {
+      this.storage.setItem(this.key, JSON.stringify(stamps));
+      return true;
+    } catch (error) {
+      // Typically the storage quota; the library keeps its previous contents
+      logger.warn('Stamp library write failed', { error: error?.message }, LOG_CATEGORY.SYSTEM);
+      return false;
+    }
+  }
+}
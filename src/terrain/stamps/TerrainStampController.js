@@ -0,0 +1,169 @@
+// TerrainStampController.js - Stamp capture/paste session state for the terrain editor.
+// Mirrors TerrainBrushController: it exposes getFootprintCells/planAt so the regular brush
+// highlight pipeline (and TerrainBrushOverlay3D) previews the capture region or pasted stamp.
+
+import { TERRAIN_CONFIG } from '../../config/terrain/TerrainConstants.js';
+import { StampLibrary } from './StampLibrary.js';
+import {
+  normalizeRect,
+  rectCells,
+  captureStamp,
+  transformStamp,
+  planStampPaste,
+} from './TerrainStamps.js';
+
+// ── TerrainStampController Class ───────────────────────
+export class TerrainStampController {
+  /**
+   * @param {object} dataStore TerrainDataStore
+   * @param {StampLibrary} [library]
+   */
+  constructor(dataStore, library = new StampLibrary()) {
+    this.dataStore = dataStore;
+    this.library = library;
+    this.mode = null; // null | 'capture' | 'paste'
+    this.captureName = '';
+    this.stampName = null; // library stamp being pasted
+    this.rotation = 0; // quarter turns clockwise
+    this.mirror = false;
+    this._dragStart = null;
+    this._dragEnd = null;
+  }
+
+  isActive() {
+    return this.mode !== null;
+  }
+
+  // ── Modes ──────────────────────────────────────────────
+  /** Arm region capture; the next drag selects the rectangle saved as `name`. */
+  beginCapture(name) {
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed) return false;
+    this.cancel();
+    this.mode = 'capture';
+    this.captureName = trimmed;
+    return true;
+  }
+
+  /** Arm pasting of a library stamp, starting unrotated and unmirrored. */
+  beginPaste(name) {
+    if (!this.library.get(name)) return false;
+    this.cancel();
+    this.mode = 'paste';
+    this.stampName = name;
+    return true;
+  }
+
+  cancel() {
+    this.mode = null;
+    this.captureName = '';
+    this.stampName = null;
+    this.rotation = 0;
+    this.mirror = false;
+    this._dragStart = null;
+    this._dragEnd = null;
+  }
+
+  rotate(turns = 1) {
+    this.rotation = (((this.rotation + turns) % 4) + 4) % 4;
+  }
+
+  toggleMirror() {
+    this.mirror = !this.mirror;
+  }
+
+  /** @returns {import('./TerrainStamps.js').TerrainStamp|null} the stamp as it would be pasted */
+  getStamp() {
+    const stamp = this.stampName ? this.library.get(this.stampName) : null;
+    return stamp ? transformStamp(stamp, { rotation: this.rotation, mirror: this.mirror }) : null;
+  }
+
+  // ── Capture Drag ───────────────────────────────────────
+  startCaptureDrag(gridX, gridY) {
+    if (this.mode !== 'capture' || !this._inBounds(gridX, gridY)) return false;
+    this._dragStart = { x: gridX, y: gridY };
+    this._dragEnd = { x: gridX, y: gridY };
+    return true;
+  }
+
+  updateCaptureDrag(gridX, gridY) {
+    if (!this._dragStart || !this._inBounds(gridX, gridY)) return;
+    this._dragEnd = { x: gridX, y: gridY };
+  }
+
+  isCaptureDragging() {
+    return !!this._dragStart;
+  }
+
+  cancelCaptureDrag() {
+    this._dragStart = null;
+    this._dragEnd = null;
+  }
+
+  /**
+   * Selected rectangle, cropped to STAMPS.MAX_SIZE tiles per side from the drag start.
+   * @returns {import('./TerrainStamps.js').CellRect|null}
+   */
+  captureRect() {
+    if (!this._dragStart) return null;
+    const max = TERRAIN_CONFIG.STAMPS.MAX_SIZE - 1;
+    const start = this._dragStart;
+    const clampAxis = (from, to) => from + Math.max(-max, Math.min(max, to - from));
+    const end = { x: clampAxis(start.x, this._dragEnd.x), y: clampAxis(start.y, this._dragEnd.y) };
+    return normalizeRect(start, end);
+  }
+
+  /**
+   * Capture the dragged region and save it to the library. Ends capture mode.
+   * @param {(x:number, y:number) => Array<object>} [placeablesAt] placeable descriptions per tile
+   * @returns {import('./TerrainStamps.js').TerrainStamp|null} the saved stamp
+   */
+  finishCapture(placeablesAt) {
+    const rect = this.captureRect();
+    const name = this.captureName;
+    this.cancel();
+    if (!rect || !name) return null;
+    const stamp = captureStamp(name, rect, (x, y) => this.dataStore.get(x, y), placeablesAt);
+    return this.library.save(stamp) ? stamp : null;
+  }
+
+  // ── Preview / Planning ─────────────────────────────────
+  /** Cells the current mode covers at a hover position (empty when inactive). */
+  getFootprintCells(gridX, gridY) {
+    return this.planAt(gridX, gridY).map(({ x, y }) => ({ x, y }));
+  }
+
+  /**
+   * Non-mutating preview. Capture shows the selected rectangle (or the hovered tile before the
+   * drag starts) at its current heights; paste shows the stamp's heights where it would land.
+   * @returns {Array<{x:number,y:number,currentHeight:number,previewHeight:number}>}
+   */
+  planAt(gridX, gridY) {
+    if (this.mode === 'paste') return this.planPasteAt(gridX, gridY).cells;
+    if (this.mode !== 'capture') return [];
+    const rect =
+      this.captureRect() ||
+      (this._inBounds(gridX, gridY)
+        ? normalizeRect({ x: gridX, y: gridY }, { x: gridX, y: gridY })
+        : null);
+    if (!rect) return [];
+    return rectCells(rect).map(({ x, y }) => {
+      const h = this.dataStore.get(x, y);
+      return { x, y, currentHeight: h, previewHeight: h };
+    });
+  }
+
+  /** @returns {ReturnType<typeof planStampPaste>} */
+  planPasteAt(gridX, gridY) {
+    const stamp = this.mode === 'paste' ? this.getStamp() : null;
+    if (!stamp) return { cells: [], placeables: [] };
+    return planStampPaste(stamp, gridX, gridY, (x, y) => this.dataStore.get(x, y), {
+      cols: this.dataStore.cols,
+      rows: this.dataStore.rows,
+    });
+  }
+
+  _inBounds(x, y) {
+    return x >= 0 && y >= 0 && y < this.dataStore.rows && x < this.dataStore.cols;
+  }
+}
@@ -0,0 +1,218 @@
+// TerrainStamps.js - Capture, transform and place reusable terrain stamps.
+// A stamp is plain JSON so it can be stored in the stamp library. Heights are kept relative to
+// the captured region's edge level and re-based on the edge level where the stamp is pasted,
+// so a crater or mound blends into whatever ground it lands on. The tile selection clipboard is
+// a stamp too: masked to the selected tiles and keeping absolute heights.
+
+import { TERRAIN_CONFIG } from '../../config/terrain/TerrainConstants.js';
+
+/**
+ * @typedef {Object} TerrainStamp
+ * @property {string} name
+ * @property {number} width
+ * @property {number} height
+ * @property {Array<Array<number|null>>} heights - [y][x] levels relative to the region's edge
+ *   level (absolute when `absolute` is set); null leaves the tile untouched on paste
+ * @property {Array<{id:string, dx:number, dy:number, variantIndex:number}>} placeables -
+ *   offsets from the stamp's top-left cell
+ * @property {boolean} [absolute] - heights are pasted as captured instead of re-based
+ */
+
+/**
+ * @typedef {{x0:number, y0:number, x1:number, y1:number}} CellRect - inclusive corners
+ */
+
+// ── Regions ────────────────────────────────────────────
+/**
+ * Rectangle spanned by two corner cells, in either order.
+ * @returns {CellRect}
+ */
+export function normalizeRect(a, b) {
+  return {
+    x0: Math.min(a.x, b.x),
+    y0: Math.min(a.y, b.y),
+    x1: Math.max(a.x, b.x),
+    y1: Math.max(a.y, b.y),
+  };
+}
+
+/** @returns {Array<{x:number,y:number}>} every cell of the rectangle, row by row */
+export function rectCells(rect) {
+  const cells = [];
+  for (let y = rect.y0; y <= rect.y1; y++) {
+    for (let x = rect.x0; x <= rect.x1; x++) cells.push({ x, y });
+  }
+  return cells;
+}
+
+/**
+ * Rounded mean height of the rectangle's border cells.
+ * @param {CellRect} rect
+ * @param {(x:number, y:number) => number} getHeight
+ */
+export function edgeLevel(rect, getHeight) {
+  let sum = 0;
+  let count = 0;
+  for (const { x, y } of rectCells(rect)) {
+    if (x !== rect.x0 && x !== rect.x1 && y !== rect.y0 && y !== rect.y1) continue;
+    sum += getHeight(x, y);
+    count++;
+  }
+  return count ? Math.round(sum / count) || 0 : 0;
+}
+
+// ── Capture ────────────────────────────────────────────
+/**
+ * Capture the heights and placeables of a region. Placeables are kept once each, and only
+ * when their anchor tile lies inside the region.
+ * @param {string} name
+ * @param {CellRect} rect
+ * @param {(x:number, y:number) => number} getHeight
+ * @param {(x:number, y:number) => Array<{id:string,gridX:number,gridY:number,variantIndex:number}>} [placeablesAt]
+ * @param {{cells?: Array<{x:number,y:number}>, absolute?: boolean}} [options] `cells` masks the
+ *   region to those tiles; `absolute` keeps heights as they are instead of edge-relative
+ * @returns {TerrainStamp}
+ */
+export function captureStamp(
+  name,
+  rect,
+  getHeight,
+  placeablesAt = () => [],
+  { cells, absolute = false } = {}
+) {
+  const region = cells || rectCells(rect);
+  const mask = cells ? new Set(cells.map(({ x, y }) => `${x},${y}`)) : null;
+  const inRegion = (x, y) =>
+    mask ? mask.has(`${x},${y}`) : x >= rect.x0 && x <= rect.x1 && y >= rect.y0 && y <= rect.y1;
+  const base = absolute ? 0 : edgeLevel(rect, getHeight);
+  const heights = [];
+  for (let y = rect.y0; y <= rect.y1; y++) {
+    const row = [];
+    for (let x = rect.x0; x <= rect.x1; x++) {
+      row.push(inRegion(x, y) ? getHeight(x, y) - base : null);
+    }
+    heights.push(row);
+  }
+  const seen = new Set();
+  const placeables = [];
+  for (const { x, y } of region) {
+    for (const entry of placeablesAt(x, y) || []) {
+      const { gridX, gridY } = entry;
+      if (!inRegion(gridX, gridY)) continue;
+      const key = `${entry.id}@${gridX},${gridY}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      placeables.push({
+        id: entry.id,
+        dx: gridX - rect.x0,
+        dy: gridY - rect.y0,
+        variantIndex: entry.variantIndex || 0,
+      });
+    }
+  }
+  const stamp = {
+    name,
+    width: rect.x1 - rect.x0 + 1,
+    height: rect.y1 - rect.y0 + 1,
+    heights,
+    placeables,
+  };
+  if (absolute) stamp.absolute = true;
+  return stamp;
+}
+
+/** True when `value` has the shape of a TerrainStamp (e.g. read back from storage). */
+export function isTerrainStamp(value) {
+  return (
+    !!value &&
+    typeof value.name === 'string' &&
+    Number.isInteger(value.width) &&
+    Number.isInteger(value.height) &&
+    Array.isArray(value.heights) &&
+    value.heights.length === value.height &&
+    value.heights.every((row) => Array.isArray(row) && row.length === value.width) &&
+    Array.isArray(value.placeables)
+  );
+}
+
+// ── Transform ──────────────────────────────────────────
+/**
+ * Mirror (left-right) and then rotate clockwise in 90° steps.
+ * @param {TerrainStamp} stamp
+ * @param {{rotation?: number, mirror?: boolean}} [options] rotation in quarter turns
+ * @returns {TerrainStamp} a new stamp; the input is not modified
+ */
+export function transformStamp(stamp, { rotation = 0, mirror = false } = {}) {
+  let width = stamp.width;
+  let height = stamp.height;
+  let heights = stamp.heights.map((row) => [...row]);
+  let placeables = stamp.placeables.map((p) => ({ ...p }));
+  if (mirror) {
+    heights = heights.map((row) => row.reverse());
+    placeables = placeables.map((p) => ({ ...p, dx: width - 1 - p.dx }));
+  }
+  const turns = (((Math.round(rotation) || 0) % 4) + 4) % 4;
+  for (let i = 0; i < turns; i++) {
+    // Clockwise: (x, y) → (height - 1 - y, x)
+    const h = height;
+    const src = heights;
+    heights = Array.from({ length: width }, (_, ny) =>
+      Array.from({ length: h }, (_, nx) => src[h - 1 - nx][ny])
+    );
+    placeables = placeables.map((p) => ({ ...p, dx: h - 1 - p.dy, dy: p.dx }));
+    [width, height] = [height, width];
+  }
+  return { ...stamp, width, height, heights, placeables };
+}
+
+// ── Paste ──────────────────────────────────────────────
+/**
+ * Non-mutating: where a stamp centred on (gridX, gridY) would land. Cells outside the grid or
+ * masked out of the stamp are dropped; heights are re-based on the edge level of the covered
+ * region (unless the stamp is absolute) and clamped.
+ * @param {TerrainStamp} stamp
+ * @param {number} gridX
+ * @param {number} gridY
+ * @param {(x:number, y:number) => number} getHeight
+ * @param {{cols:number, rows:number}} bounds
+ * @returns {{cells: Array<{x:number,y:number,currentHeight:number,previewHeight:number}>,
+ *   placeables: Array<{id:string,gridX:number,gridY:number,variantIndex:number}>}}
+ */
+export function planStampPaste(stamp, gridX, gridY, getHeight, bounds) {
+  const originX = gridX - Math.floor(stamp.width / 2);
+  const originY = gridY - Math.floor(stamp.height / 2);
+  const rect = {
+    x0: Math.max(0, originX),
+    y0: Math.max(0, originY),
+    x1: Math.min(bounds.cols - 1, originX + stamp.width - 1),
+    y1: Math.min(bounds.rows - 1, originY + stamp.height - 1),
+  };
+  if (rect.x0 > rect.x1 || rect.y0 > rect.y1) return { cells: [], placeables: [] };
+
+  const base = stamp.absolute ? 0 : edgeLevel(rect, getHeight);
+  const cells = [];
+  for (const { x, y } of rectCells(rect)) {
+    const relative = stamp.heights[y - originY][x - originX];
+    if (relative === null) continue;
+    cells.push({
+      x,
+      y,
+      currentHeight: getHeight(x, y),
+      previewHeight: Math.max(
+        TERRAIN_CONFIG.MIN_HEIGHT,
+        Math.min(TERRAIN_CONFIG.MAX_HEIGHT, base + relative)
+      ),
+    });
+  }
+  const placeables = stamp.placeables
+    .map((p) => ({
+      id: p.id,
+      gridX: originX + p.dx,
+      gridY: originY + p.dy,
+      variantIndex: p.variantIndex,
+    }))
+    .filter(
+      (p) => p.gridX >= rect.x0 && p.gridX <= rect.x1 && p.gridY >= rect.y0 && p.gridY <= rect.y1
+    );
+  return { cells, placeables };
+}
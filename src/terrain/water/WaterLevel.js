@@ -0,0 +1,75 @@
+// WaterLevel.js - Standing water over the height field.
+// A map has at most one water level: a height level, or null for a dry map. Every tile lower
+// than it is submerged, and its depth in levels decides whether a token standing there wades
+// or swims. Pure functions; rendering lives in scene/water/WaterSurface.js.
+
+import { TERRAIN_CONFIG } from '../../config/terrain/TerrainConstants.js';
+
+/** Token water states, shallowest first. */
+export const WATER_STATES = ['wading', 'swimming'];
+
+const SIDES = [
+  ['north', 0, -1],
+  ['south', 0, 1],
+  ['west', -1, 0],
+  ['east', 1, 0],
+];
+
+/**
+ * @param {*} level height level; null, undefined or '' mean no water
+ * @returns {number|null} whole level within the height range, or null
+ */
+export function normalizeWaterLevel(level) {
+  if (level === null || level === undefined || level === '') return null;
+  const n = Number(level);
+  if (!Number.isFinite(n)) return null;
+  return Math.max(TERRAIN_CONFIG.MIN_HEIGHT, Math.min(TERRAIN_CONFIG.MAX_HEIGHT, Math.round(n)));
+}
+
+/** @returns {number|null} default water level for a freshly generated biome */
+export function getBiomeWaterLevel(biomeKey) {
+  const level = TERRAIN_CONFIG.WATER.BIOME_LEVELS[biomeKey];
+  return Number.isFinite(level) ? level : null;
+}
+
+/** @returns {number} levels of water above a tile (0 when dry or the map has no water) */
+export function getWaterDepth(height, waterLevel) {
+  if (!Number.isFinite(waterLevel) || !Number.isFinite(height)) return 0;
+  return Math.max(0, waterLevel - height);
+}
+
+/** @returns {'wading'|'swimming'|null} */
+export function getWaterState(depth) {
+  if (!(depth > 0)) return null;
+  return depth <= TERRAIN_CONFIG.WATER.WADE_MAX_DEPTH ? 'wading' : 'swimming';
+}
+
+/**
+ * Submerged tiles and the edges where they meet dry land.
+ * @param {(x: number, y: number) => number} heightAt
+ * @param {number} cols
+ * @param {number} rows
+ * @param {number|null} waterLevel
+ * @returns {{tiles: Array<{x:number,y:number,depth:number}>, shore: Array<{x:number,y:number,side:string}>}}
+ *   shore lists each side of a submerged tile that borders a dry tile; map edges are not shore
+ */
+export function planWaterBody(heightAt, cols, rows, waterLevel) {
+  const tiles = [];
+  const shore = [];
+  if (!Number.isFinite(waterLevel)) return { tiles, shore };
+  const depthAt = (x, y) => getWaterDepth(heightAt(x, y), waterLevel);
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      const depth = depthAt(x, y);
+      if (!depth) continue;
+      tiles.push({ x, y, depth });
+      for (const [side, dx, dy] of SIDES) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) continue;
+        if (!depthAt(nx, ny)) shore.push({ x, y, side });
+      }
+    }
+  }
+  return { tiles, shore };
+}
@@ -0,0 +1,86 @@
+// RoadToolController.js - Two-click road tool state for the terrain editor.
+// The first click picks where the road starts; while hovering for the second click the planned
+// route is previewed through getFootprintCells/planAt, like the stamp and selection tools.
+
+import { planRoad } from './WaterwayGenerator.js';
+
+// ── RoadToolController Class ───────────────────────────
+export class RoadToolController {
+  /** @param {object} dataStore TerrainDataStore */
+  constructor(dataStore) {
+    this.dataStore = dataStore;
+    this.active = false;
+    this.start = null; // {x, y} once the first tile is picked
+  }
+
+  isActive() {
+    return this.active;
+  }
+
+  begin() {
+    this.active = true;
+    this.start = null;
+  }
+
+  cancel() {
+    this.active = false;
+    this.start = null;
+  }
+
+  /**
+   * Pick a road end. The first pick remembers the start; the second returns both ends and
+   * waits for a new start, so roads can be chained.
+   * @returns {{from:{x:number,y:number}, to:{x:number,y:number}}|null} ends once both are picked
+   */
+  pick(gridX, gridY) {
+    if (!this.active || !this._inBounds(gridX, gridY)) return null;
+    if (!this.start) {
+      this.start = { x: gridX, y: gridY };
+      return null;
+    }
+    const ends = { from: this.start, to: { x: gridX, y: gridY } };
+    this.start = null;
+    return ends;
+  }
+
+  /** @returns {ReturnType<typeof planRoad>} */
+  planRoad(from, to) {
+    return planRoad(this.dataStore.working, from, to);
+  }
+
+  // ── Preview / Planning ─────────────────────────────────
+  getFootprintCells(gridX, gridY) {
+    return this.planAt(gridX, gridY).map(({ x, y }) => ({ x, y }));
+  }
+
+  /**
+   * Non-mutating preview: the hovered tile until a start is picked, then the levelled route
+   * from the start to the hovered tile.
+   * @returns {Array<{x:number,y:number,currentHeight:number,previewHeight:number}>}
+   */
+  planAt(gridX, gridY) {
+    if (!this.active || !this._inBounds(gridX, gridY)) return [];
+    if (!this.start) {
+      const h = this.dataStore.get(gridX, gridY);
+      return [{ x: gridX, y: gridY, currentHeight: h, previewHeight: h }];
+    }
+    const plan = this.planRoad(this.start, { x: gridX, y: gridY });
+    return (plan?.cells || []).map(({ x, y, height }) => ({
+      x,
+      y,
+      currentHeight: this.dataStore.get(x, y),
+      previewHeight: height,
+    }));
+  }
+
+  _inBounds(x, y) {
+    return (
+      Number.isInteger(x) &&
+      Number.isInteger(y) &&
+      x >= 0 &&
+      y >= 0 &&
+      y < this.dataStore.rows &&
+      x < this.dataStore.cols
+    );
+  }
+}
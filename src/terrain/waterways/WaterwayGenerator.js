@@ -0,0 +1,135 @@
+// WaterwayGenerator.js - Rivers and roads carved into an existing height field.
+// Pure functions over a rows x cols height array indexed [y][x]. Paths are 4-connected so
+// every step crosses a shared tile edge. A river takes the cheapest mostly-downhill route
+// between two map edges and is cut into a bed that never rises downstream; a road takes the
+// gentlest route between two tiles and is levelled so neighbouring road tiles differ by at
+// most ROAD.MAX_STEP.
+
+import { TERRAIN_CONFIG } from '../../config/terrain/TerrainConstants.js';
+import { hash2D } from '../generation/NoisePrimitives.js';
+import { cheapestGridPath } from '../../utils/geometry/GridSearch.js';
+
+/** Map edges a river can run between; north is row 0 and west is column 0. */
+export const WATERWAY_EDGES = ['north', 'south', 'east', 'west'];
+
+// ── Helpers ────────────────────────────────────────────
+function clampHeight(h) {
+  return Math.max(TERRAIN_CONFIG.MIN_HEIGHT, Math.min(TERRAIN_CONFIG.MAX_HEIGHT, Math.round(h)));
+}
+
+function dimensions(heights) {
+  const rows = Array.isArray(heights) ? heights.length : 0;
+  const cols = rows && Array.isArray(heights[0]) ? heights[0].length : 0;
+  return { cols, rows };
+}
+
+function heightAt(heights, x, y) {
+  const h = heights[y]?.[x];
+  return Number.isFinite(h) ? h : TERRAIN_CONFIG.DEFAULT_HEIGHT;
+}
+
+/** @returns {Array<{x:number,y:number}>} tiles along one map edge */
+export function edgeCells(edge, cols, rows) {
+  const cells = [];
+  if (edge === 'north' || edge === 'south') {
+    const y = edge === 'north' ? 0 : rows - 1;
+    for (let x = 0; x < cols; x++) cells.push({ x, y });
+  } else if (edge === 'west' || edge === 'east') {
+    const x = edge === 'west' ? 0 : cols - 1;
+    for (let y = 0; y < rows; y++) cells.push({ x, y });
+  }
+  return cells;
+}
+
+// ── Rivers ─────────────────────────────────────────────
+/**
+ * Trace a river from one map edge to another and carve its channel. Climbing costs
+ * RIVER.UPHILL_COST per level and every level above the lowest tile RIVER.ELEVATION_COST, so
+ * the route runs downhill and keeps to valleys; seeded noise makes it meander.
+ * The bed sits RIVER.DEPTH below the surrounding terrain and never rises downstream.
+ * @param {number[][]} heights
+ * @param {{source?: string, mouth?: string, seed?: number}} [options] edges from WATERWAY_EDGES
+ * @returns {{path: Array<{x:number,y:number}>, cells: Array<{x:number,y:number,height:number}>}|null}
+ *   tiles from source to mouth with their carved heights; null for invalid edges
+ */
+export function planRiver(heights, { source = 'north', mouth = 'south', seed = 0 } = {}) {
+  const { cols, rows } = dimensions(heights);
+  if (!cols || !rows || source === mouth) return null;
+  const starts = edgeCells(source, cols, rows);
+  const goals = new Set(edgeCells(mouth, cols, rows).map(({ x, y }) => y * cols + x));
+  if (!starts.length || !goals.size) return null;
+  const { UPHILL_COST, ELEVATION_COST, MEANDER, DEPTH } = TERRAIN_CONFIG.RIVER;
+  let lowest = Infinity;
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) lowest = Math.min(lowest, heightAt(heights, x, y));
+  }
+  const path = cheapestGridPath(
+    { cols, rows },
+    starts,
+    (x, y) => goals.has(y * cols + x),
+    (ax, ay, bx, by) => {
+      const h = heightAt(heights, bx, by);
+      const climb = Math.max(0, h - heightAt(heights, ax, ay));
+      return (
+        1 + climb * UPHILL_COST + (h - lowest) * ELEVATION_COST + hash2D(bx, by, seed) * MEANDER
+      );
+    }
+  );
+  if (!path) return null;
+  let bed = Infinity;
+  const cells = path.map(({ x, y }) => {
+    bed = Math.min(bed, clampHeight(heightAt(heights, x, y) - DEPTH));
+    return { x, y, height: bed };
+  });
+  return { path, cells };
+}
+
+// ── Roads ──────────────────────────────────────────────
+/**
+ * Find the lowest-slope route between two tiles and level it. Each level climbed or descended
+ * costs ROAD.SLOPE_COST; steps steeper than ROAD.MAX_STEP cost extra so the route detours
+ * around cliffs when it can. Heights along the route are averaged over ROAD.SMOOTH_RADIUS
+ * tiles, then limited to ROAD.MAX_STEP between neighbours.
+ * @param {number[][]} heights
+ * @param {{x:number,y:number}} from
+ * @param {{x:number,y:number}} to
+ * @returns {{path: Array<{x:number,y:number}>, cells: Array<{x:number,y:number,height:number}>}|null}
+ *   null when either end is outside the grid
+ */
+export function planRoad(heights, from, to) {
+  const { cols, rows } = dimensions(heights);
+  const inBounds = (p) =>
+    p &&
+    Number.isInteger(p.x) &&
+    Number.isInteger(p.y) &&
+    p.x >= 0 &&
+    p.y >= 0 &&
+    p.x < cols &&
+    p.y < rows;
+  if (!inBounds(from) || !inBounds(to)) return null;
+  const { SLOPE_COST, MAX_STEP, STEEP_COST, SMOOTH_RADIUS } = TERRAIN_CONFIG.ROAD;
+  const path = cheapestGridPath(
+    { cols, rows },
+    [{ x: from.x, y: from.y }],
+    (x, y) => x === to.x && y === to.y,
+    (ax, ay, bx, by) => {
+      const rise = Math.abs(heightAt(heights, bx, by) - heightAt(heights, ax, ay));
+      return 1 + rise * SLOPE_COST + (rise > MAX_STEP ? STEEP_COST : 0);
+    },
+    { heuristic: (x, y) => Math.abs(x - to.x) + Math.abs(y - to.y) }
+  );
+  if (!path) return null;
+  const raw = path.map(({ x, y }) => heightAt(heights, x, y));
+  const levelled = raw.map((_, i) => {
+    const lo = Math.max(0, i - SMOOTH_RADIUS);
+    const hi = Math.min(raw.length - 1, i + SMOOTH_RADIUS);
+    let sum = 0;
+    for (let k = lo; k <= hi; k++) sum += raw[k];
+    return clampHeight(sum / (hi - lo + 1));
+  });
+  for (let i = 1; i < levelled.length; i++) {
+    const prev = levelled[i - 1];
+    levelled[i] = Math.max(prev - MAX_STEP, Math.min(prev + MAX_STEP, levelled[i]));
+  }
+  return { path, cells: path.map(({ x, y }, i) => ({ x, y, height: levelled[i] })) };
+}
@@ -10,6 +10,7 @@ import {
   getDiceLogContentEl,
   getTokenButtonByType,
   getShadingControls,
+  getGenerateMapControls,
   getBiomeRootEl,
   getTabButtons,
   getTabPanels,
@@ -330,53 +331,38 @@ class SidebarController {
     if (btn && !btn.dataset.boundClick) {
       btn.addEventListener('click', async () => {
         const biome = window.selectedBiome;
-        if (!biome) return;
+        const coordinator = window.gameManager?.terrainCoordinator;
+        if (!biome || !coordinator) return;
         try {
+          window.gameManager?.placeableMeshPool?.clearAll?.();
+        } catch (e) {
+          // ignore clear error
+        }
+        if (lock && !lock.checked) {
+          const newSeed = Math.floor(Math.random() * 0xffffffff) >>> 0;
           try {
-            window.gameManager?.placeableMeshPool?.clearAll?.();
-          } catch (e) {
-            // ignore clear error
-          }
-          if (
-            !window.gameManager?.terrainCoordinator ||
-            window.gameManager.terrainCoordinator._isGenerating
-          )
-            return;
-          btn.disabled = true;
-          btn.classList.add('disabled');
-          if (lock && !lock.checked) {
-            const newSeed = Math.floor(Math.random() * 0xffffffff) >>> 0;
-            try {
-              window.gameManager?.terrainCoordinator?.setBiomeSeed?.(newSeed);
-            } catch (e) {
-              // ignore seed set error
-            }
-          }
-          let ok = false;
-          try {
-            ok = await window.gameManager?.terrainCoordinator?.generateBiomeElevation?.(biome);
-          } catch (e) {
-            // ignore generate error
-          }
-          if (ok) {
-            try {
-              window.gameManager?.terrainCoordinator?.applyBiomePaletteToBaseGrid?.();
-            } catch (e) {
-              // ignore palette error
-            }
-          }
-        } finally {
-          try {
-            btn.disabled = false;
-            btn.classList.remove('disabled');
+            coordinator.setBiomeSeed?.(newSeed);
           } catch (e) {
-            // ignore
+            // ignore seed set error
           }
         }
+        // Generation runs in the background; clicking again cancels the run in flight and restarts
+        try {
+          await coordinator.generateBiomeElevationInBackground?.(biome);
+        } catch (e) {
+          // ignore generate error
+        }
       });
       btn.dataset.boundClick = 'true';
     }
 
+    if (btn && !btn.dataset.boundProgress) {
+      window.addEventListener('taverntable:generationProgress', (e) =>
+        this._showGenerationProgress(e.detail)
+      );
+      btn.dataset.boundProgress = 'true';
+    }
+
     if (lock && !lock.dataset.boundChange) {
       try {
         const s = window.richShadingSettings || {};
@@ -410,6 +396,26 @@ class SidebarController {
     }
   }
 
+  /** Reflect a background map generation's progress next to the Generate button. */
+  _showGenerationProgress({ running, stage, progress } = {}) {
+    const { btn, progressEl, statusEl } = getGenerateMapControls();
+    const labels = {
+      elevation: 'Shaping terrain…',
+      flora: 'Placing flora…',
+      shading: 'Shading…',
+      apply: 'Applying…',
+      done: 'Map generated',
+      cancelled: 'Generation cancelled',
+      failed: 'Generation failed',
+    };
+    if (btn) btn.textContent = running ? 'Restart' : 'Generate';
+    if (progressEl) {
+      progressEl.hidden = !running;
+      progressEl.value = Number.isFinite(progress) ? progress : 0;
+    }
+    if (statusEl) statusEl.textContent = labels[stage] || '';
+  }
+
   _syncRichShadingControlsFromState() {
     try {
       const s = window.richShadingSettings || {};
@@ -19,7 +19,8 @@ import { isJest } from '../utils/env.js';
  */
 
 import GameManager from '../core/GameManager.js';
-import { GRID_CONFIG } from '../config/GameConstants.js';
+import { GRID_CONFIG, SCENE_DOCUMENT_CONFIG } from '../config/GameConstants.js';
+import { TERRAIN_CONFIG } from '../config/terrain/TerrainConstants.js';
 import { logger, LOG_LEVEL, LOG_CATEGORY } from '../utils/Logger.js';
 import { ErrorHandler, ERROR_SEVERITY, ERROR_CATEGORY } from '../utils/ErrorHandler.js';
 import { Sanitizers, GameValidators } from '../utils/Validation.js';
@@ -28,6 +29,11 @@ import {
   getCreatureButtons,
   getFacingButton,
   getTerrainToolButtons,
+  getTerrainTargetHeightInput,
+  getTerrainStairStepInput,
+  getBrushShapeControls,
+  getSelectionControls,
+  getWaterControls,
   getGridSizeInputs,
   getTerrainResetButton,
   getElevationScaleControls,
@@ -36,8 +42,66 @@ import {
   getCreaturePanelEls,
   getTerrainModeEls,
   getGameContainer,
+  getSceneFileControls,
 } from './domHelpers.js';
 import { getDiceButtons, getGridActionButtons } from './domHelpers.js';
+import {
+  bindStampControls,
+  captureStamp as _captureStamp,
+  pasteSelectedStamp as _pasteSelectedStamp,
+  deleteSelectedStamp as _deleteSelectedStamp,
+  renderStampLibrary,
+} from './ui-controller/internals/stamps.js';
+import {
+  bindSelectionControls,
+  selectTiles as _selectTiles,
+  applySelectionAction as _applySelectionAction,
+  renderSelectionControls,
+} from './ui-controller/internals/selection.js';
+import {
+  bindWaterwayControls,
+  applyWaterwayAction as _applyWaterwayAction,
+  renderWaterwayControls,
+} from './ui-controller/internals/waterways.js';
+import {
+  bindTokenMovementControls,
+  applyMovementRange as _applyMovementRange,
+  applyGroupFormation as _applyGroupFormation,
+  applyAlliesPassThrough as _applyAlliesPassThrough,
+  applyTokenAllegiance as _applyTokenAllegiance,
+} from './ui-controller/internals/tokenMovement.js';
+import {
+  bindWaterControls,
+  applyWaterLevel as _applyWaterLevel,
+  renderWaterControls,
+} from './ui-controller/internals/water.js';
+import {
+  bindBiomeRegionControls,
+  applyBiomeRegionAction as _applyBiomeRegionAction,
+  renderBiomeRegionControls,
+} from './ui-controller/internals/biomeRegions.js';
+import {
+  bindMapCodeControls,
+  readMapCodeFromHash,
+  handleMapCodeHashChange,
+  loadMapCode as _loadMapCode,
+  copyMapCode as _copyMapCode,
+  renderMapCode,
+} from './ui-controller/internals/mapCode.js';
+import {
+  bindHeightmapFileControls,
+  exportHeightmap as _exportHeightmap,
+  importHeightmapFile as _importHeightmapFile,
+} from './ui-controller/internals/heightmapFiles.js';
+import {
+  bindMapExportControls,
+  exportMapImage as _exportMapImage,
+} from './ui-controller/internals/mapExport.js';
+import {
+  bindModelExportControls,
+  exportSceneModel as _exportSceneModel,
+} from './ui-controller/internals/modelExport.js';
+import { downloadBlob } from './ui-controller/internals/download.js';
 import { rollDice } from '../systems/dice/dice.js';
 import { RadialMenu } from './components/RadialMenu.js';
 
@@ -112,6 +176,15 @@ function getTokenDragType(event) {
 
 // ── DOM Helpers ────────────────────────────────────────────
 
+/** Clamp height-level inputs to the terrain's configured range. */
+function applyTerrainHeightBounds(inputs) {
+  inputs.forEach((input) => {
+    if (!input) return;
+    input.min = String(TERRAIN_CONFIG.MIN_HEIGHT);
+    input.max = String(TERRAIN_CONFIG.MAX_HEIGHT);
+  });
+}
+
 function setupTokenDrag(button, tokenType) {
   if (!button || button.dataset.boundTokenDrag) return;
   button.setAttribute('draggable', 'true');
@@ -369,6 +442,8 @@ function attachDynamicUIHandlers() {
 
     ensureTokenDropTargets();
 
+    bindTokenMovementControls(window.gameManager);
+
     // Facing button
     const facingBtn = getFacingButton();
     if (facingBtn && !facingBtn.dataset.boundFacingHandler) {
@@ -377,15 +452,46 @@ function attachDynamicUIHandlers() {
     }
 
     // Terrain tool buttons
-    const { raiseBtn, lowerBtn } = getTerrainToolButtons();
-    if (raiseBtn && !raiseBtn.dataset.boundTerrainHandler) {
-      raiseBtn.addEventListener('click', () => setTerrainTool('raise'));
-      raiseBtn.dataset.boundTerrainHandler = 'true';
+    Object.entries(terrainToolButtonsByTool()).forEach(([tool, btn]) => {
+      if (btn && !btn.dataset.boundTerrainHandler) {
+        btn.addEventListener('click', () => setTerrainTool(tool));
+        btn.dataset.boundTerrainHandler = 'true';
+      }
+    });
+    const targetHeightInput = getTerrainTargetHeightInput();
+    applyTerrainHeightBounds([
+      targetHeightInput,
+      getSelectionControls().heightInput,
+      getWaterControls().levelInput,
+    ]);
+    if (targetHeightInput && !targetHeightInput.dataset.boundTerrainHandler) {
+      targetHeightInput.addEventListener('change', () =>
+        setTerrainTargetHeight(targetHeightInput.value)
+      );
+      targetHeightInput.dataset.boundTerrainHandler = 'true';
     }
-    if (lowerBtn && !lowerBtn.dataset.boundTerrainHandler) {
-      lowerBtn.addEventListener('click', () => setTerrainTool('lower'));
-      lowerBtn.dataset.boundTerrainHandler = 'true';
+    const stairStepInput = getTerrainStairStepInput();
+    if (stairStepInput && !stairStepInput.dataset.boundTerrainHandler) {
+      stairStepInput.addEventListener('change', () => setTerrainStairStep(stairStepInput.value));
+      stairStepInput.dataset.boundTerrainHandler = 'true';
     }
+    bindStampControls(window.gameManager);
+    bindSelectionControls(window.gameManager);
+    bindWaterwayControls(window.gameManager);
+    bindWaterControls(window.gameManager);
+    bindBiomeRegionControls(window.gameManager);
+    bindMapCodeControls(window.gameManager);
+    const { shapeButtons, falloffButtons } = getBrushShapeControls();
+    shapeButtons.forEach((btn) => {
+      if (btn.dataset.boundTerrainHandler) return;
+      btn.addEventListener('click', () => setBrushShape(btn.dataset.shape));
+      btn.dataset.boundTerrainHandler = 'true';
+    });
+    falloffButtons.forEach((btn) => {
+      if (btn.dataset.boundTerrainHandler) return;
+      btn.addEventListener('click', () => setBrushFalloff(btn.dataset.falloff));
+      btn.dataset.boundTerrainHandler = 'true';
+    });
 
     // Terrain reset
     const resetTerrainBtn = getTerrainResetButton();
@@ -541,6 +647,28 @@ function attachDynamicUIHandlers() {
       inc.dataset.boundClick = 'true';
     }
 
+    // Scene save/open
+    const { saveBtn, openBtn, fileInput } = getSceneFileControls();
+    if (saveBtn && !saveBtn.dataset.boundClick) {
+      saveBtn.addEventListener('click', saveScene);
+      saveBtn.dataset.boundClick = 'true';
+    }
+    if (openBtn && fileInput && !openBtn.dataset.boundClick) {
+      openBtn.addEventListener('click', () => fileInput.click());
+      fileInput.addEventListener('change', () => {
+        const file = fileInput.files?.[0];
+        // Clear so choosing the same file again still fires 'change'
+        fileInput.value = '';
+        if (file) openSceneFile(file);
+      });
+      openBtn.dataset.boundClick = 'true';
+    }
+
+    bindHeightmapFileControls(window.gameManager);
+
+    bindMapExportControls(window.gameManager);
+    bindModelExportControls(window.gameManager);
+
     // Placeable Tiles UI handlers removed — placeables menu and PT brush are deprecated.
 
     logger.debug('Dynamic UI handlers attached');
@@ -555,6 +683,25 @@ function attachDynamicUIHandlers() {
 function wireTerrainStyleControls() {}
 
 if (typeof window !== 'undefined') {
+  window.addEventListener('taverntable:stamps', (event) =>
+    renderStampLibrary(window.gameManager, event?.detail)
+  );
+  window.addEventListener('taverntable:selection', (event) =>
+    renderSelectionControls(window.gameManager, event?.detail)
+  );
+  window.addEventListener('taverntable:waterways', (event) =>
+    renderWaterwayControls(window.gameManager, event?.detail)
+  );
+  window.addEventListener('taverntable:water', (event) =>
+    renderWaterControls(window.gameManager, event?.detail)
+  );
+  window.addEventListener('taverntable:biomeRegions', (event) =>
+    renderBiomeRegionControls(window.gameManager, event?.detail)
+  );
+  window.addEventListener('taverntable:mapCode', (event) =>
+    renderMapCode(window.gameManager, event?.detail)
+  );
+  window.addEventListener('hashchange', () => handleMapCodeHashChange(window.gameManager));
   window.addEventListener('taverntable:tokenRadial', (event) => {
     try {
       showRadialMenu(event?.detail || {});
@@ -606,9 +753,28 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // ── Public API (Terrain Controls) ──────────────────────────
 
+/** Terrain tool buttons keyed by the tool they select. */
+function terrainToolButtonsByTool() {
+  const b = getTerrainToolButtons();
+  return {
+    raise: b.raiseBtn,
+    lower: b.lowerBtn,
+    set: b.setBtn,
+    fill: b.fillBtn,
+    plateau: b.plateauBtn,
+    smooth: b.smoothBtn,
+    noise: b.noiseBtn,
+    erode: b.erodeBtn,
+    ramp: b.rampBtn,
+    stairs: b.stairsBtn,
+    ridge: b.ridgeBtn,
+    trench: b.trenchBtn,
+  };
+}
+
 /**
  * Set the active terrain tool
- * @param {string} tool - Tool name ('raise' or 'lower')
+ * @param {string} tool - Tool name (see TERRAIN_CONFIG.BRUSH_TOOLS)
  */
 function setTerrainTool(tool) {
   try {
@@ -619,32 +785,21 @@ function setTerrainTool(tool) {
     // Update tool in game manager
     window.gameManager.setTerrainTool(tool);
 
-    // Update UI button states
-    const { raiseBtn, lowerBtn } = getTerrainToolButtons();
-
-    if (raiseBtn && lowerBtn) {
-      // Remove active class from all buttons
-      raiseBtn.classList.remove('active');
-      lowerBtn.classList.remove('active');
-
-      // Add active class to selected tool
-      if (tool === 'raise') {
-        raiseBtn.classList.add('active');
-        // accessibility state
-        raiseBtn.setAttribute('aria-pressed', 'true');
-        lowerBtn.setAttribute('aria-pressed', 'false');
-      } else if (tool === 'lower') {
-        lowerBtn.classList.add('active');
-        // accessibility state
-        lowerBtn.setAttribute('aria-pressed', 'true');
-        raiseBtn.setAttribute('aria-pressed', 'false');
-      }
-    }
+    // Update UI button states (active class + accessibility state)
+    const buttons = terrainToolButtonsByTool();
+    let uiUpdated = false;
+    Object.entries(buttons).forEach(([name, btn]) => {
+      if (!btn) return;
+      const active = name === tool;
+      btn.classList.toggle('active', active);
+      btn.setAttribute('aria-pressed', active ? 'true' : 'false');
+      uiUpdated = true;
+    });
 
     logger.log(LOG_LEVEL.DEBUG, 'Terrain tool selected', LOG_CATEGORY.USER, {
       context: 'setTerrainTool',
       selectedTool: tool,
-      uiUpdated: !!(raiseBtn && lowerBtn),
+      uiUpdated,
     });
   } catch (error) {
     new ErrorHandler().handle(error, ERROR_SEVERITY.MEDIUM, ERROR_CATEGORY.INPUT, {
@@ -656,6 +811,173 @@ function setTerrainTool(tool) {
   }
 }
 
+/**
+ * Set the level painted by the Set and Fill terrain tools
+ * @param {number|string} height - Requested level; the clamped level is written back to the input
+ */
+function setTerrainTargetHeight(height) {
+  try {
+    if (!window.gameManager?.terrainCoordinator) {
+      throw new Error('Terrain system not available');
+    }
+    const level = window.gameManager.terrainCoordinator.setBrushTargetHeight(Number(height));
+    const input = getTerrainTargetHeightInput();
+    if (input && Number.isFinite(level)) input.value = String(level);
+  } catch (error) {
+    new ErrorHandler().handle(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.INPUT, {
+      context: 'setTerrainTargetHeight',
+      stage: 'terrain_target_height',
+      requestedHeight: height,
+    });
+  }
+}
+
+/**
+ * Set how many levels each tread of the Stairs terrain tool climbs
+ * @param {number|string} step - Requested step; the clamped step is written back to the input
+ */
+function setTerrainStairStep(step) {
+  try {
+    if (!window.gameManager?.terrainCoordinator) {
+      throw new Error('Terrain system not available');
+    }
+    const applied = window.gameManager.terrainCoordinator.setBrushStairStep(Number(step));
+    const input = getTerrainStairStepInput();
+    if (input && Number.isFinite(applied)) input.value = String(applied);
+  } catch (error) {
+    new ErrorHandler().handle(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.INPUT, {
+      context: 'setTerrainStairStep',
+      stage: 'terrain_stair_step',
+      requestedStep: step,
+    });
+  }
+}
+
+/** Arm stamp capture under the typed name (click again to cancel). */
+function captureStamp() {
+  _captureStamp(window.gameManager);
+}
+
+/** Arm pasting of the stamp selected in the library list (click again to cancel). */
+function pasteSelectedStamp() {
+  _pasteSelectedStamp(window.gameManager);
+}
+
+/** Delete the stamp selected in the library list after confirmation. */
+function deleteSelectedStamp() {
+  _deleteSelectedStamp(window.gameManager);
+}
+
+/**
+ * Arm the marquee or lasso selection tool (click the armed tool again to leave selection).
+ * @param {'marquee'|'lasso'} tool
+ */
+function selectTiles(tool) {
+  _selectTiles(window.gameManager, tool);
+}
+
+/**
+ * Run a bulk action on the tile selection.
+ * @param {'deselect'|'raise'|'lower'|'set-height'|'scatter'|'clear-placeables'|'copy'|'cut'|'paste'} action
+ */
+function applySelectionAction(action) {
+  return _applySelectionAction(window.gameManager, action);
+}
+
+/**
+ * Carve a river between the chosen edges, toggle the two-click road tool, or clear all river
+ * and road surfaces.
+ * @param {'river'|'road'|'clear'} action
+ */
+function applyWaterwayAction(action) {
+  return _applyWaterwayAction(window.gameManager, action);
+}
+
+/** Apply the movement budget input to the selected token's range overlay. */
+function applyMovementRange() {
+  return _applyMovementRange(window.gameManager);
+}
+
+/** Apply the formation picker to group move orders. */
+function applyGroupFormation() {
+  return _applyGroupFormation(window.gameManager);
+}
+
+/** Apply the allies pass-through toggle to token collisions. */
+function applyAlliesPassThrough() {
+  return _applyAlliesPassThrough(window.gameManager);
+}
+
+/**
+ * Put the selected tokens on the side chosen in the side picker, then reset the picker.
+ * @returns {number|undefined} tokens updated
+ */
+function applyTokenAllegiance() {
+  return _applyTokenAllegiance(window.gameManager);
+}
+
+/** Apply the water toggle and level inputs: flood below the level, or drain the map. */
+function applyWaterLevel() {
+  return _applyWaterLevel(window.gameManager);
+}
+
+/**
+ * Toggle the biome paint tool, switch its biome, assign biomes from the climate, or clear them.
+ * @param {'paint'|'biome'|'climate'|'clear'} action
+ */
+function applyBiomeRegionAction(action) {
+  return _applyBiomeRegionAction(window.gameManager, action);
+}
+
+/**
+ * Set the terrain brush outline
+ * @param {string} shape - see TERRAIN_CONFIG.BRUSH_SHAPES
+ */
+function setBrushShape(shape) {
+  try {
+    if (!window.gameManager?.terrainCoordinator) {
+      throw new Error('Terrain system not available');
+    }
+    const applied = window.gameManager.terrainCoordinator.setBrushShape(shape);
+    markActiveButton(getBrushShapeControls().shapeButtons, 'shape', applied);
+  } catch (error) {
+    new ErrorHandler().handle(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.INPUT, {
+      context: 'setBrushShape',
+      stage: 'brush_shape',
+      requestedShape: shape,
+    });
+  }
+}
+
+/**
+ * Set how the terrain brush fades towards its edge
+ * @param {string} falloff - see TERRAIN_CONFIG.BRUSH_FALLOFFS
+ */
+function setBrushFalloff(falloff) {
+  try {
+    if (!window.gameManager?.terrainCoordinator) {
+      throw new Error('Terrain system not available');
+    }
+    const applied = window.gameManager.terrainCoordinator.setBrushFalloff(falloff);
+    markActiveButton(getBrushShapeControls().falloffButtons, 'falloff', applied);
+  } catch (error) {
+    new ErrorHandler().handle(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.INPUT, {
+      context: 'setBrushFalloff',
+      stage: 'brush_falloff',
+      requestedFalloff: falloff,
+    });
+  }
+}
+
+/** Toggle the active class and aria-pressed so only the button whose data-<key> matches is on. */
+function markActiveButton(buttons, key, value) {
+  buttons.forEach((btn) => {
+    const active = btn.dataset[key] === value;
+    btn.classList.toggle('active', active);
+    btn.setAttribute('aria-pressed', active ? 'true' : 'false');
+  });
+}
+
 /**
  * Increase brush size for terrain tools
  */
@@ -783,6 +1105,179 @@ function resetTerrain() {
   }
 }
 
+// ── Public API (Map Codes) ──────────────────────────────
+
+/**
+ * Regenerate the map a map code describes (typed into the sidebar or opened from a link).
+ * @param {string} code
+ * @returns {Promise<boolean>} true if the map was generated
+ */
+function loadMapCode(code) {
+  return _loadMapCode(window.gameManager, code);
+}
+
+/** Copy the current map code to the clipboard. */
+function copyMapCode() {
+  return _copyMapCode(window.gameManager);
+}
+
+// ── Public API (Scene Files) ───────────────────────────────
+
+/**
+ * Download the current scene as a versioned JSON document
+ */
+function saveScene() {
+  try {
+    if (!window.gameManager?.exportScene) {
+      throw new Error('Game is still loading. Please wait a moment and try again.');
+    }
+
+    const doc = window.gameManager.exportScene();
+    const blob = new Blob([JSON.stringify(doc, null, 2)], {
+      type: SCENE_DOCUMENT_CONFIG.MIME_TYPE,
+    });
+    const stamp = doc.savedAt.slice(0, 19).replace(/[:T]/g, '-');
+    downloadBlob(
+      blob,
+      `${SCENE_DOCUMENT_CONFIG.DEFAULT_FILE_NAME}-${stamp}${SCENE_DOCUMENT_CONFIG.FILE_EXTENSION}`
+    );
+
+    logger.log(LOG_LEVEL.INFO, 'Scene saved by user', LOG_CATEGORY.USER, {
+      context: 'saveScene',
+      tokens: doc.tokens.length,
+      placeables: doc.placeables.length,
+    });
+  } catch (error) {
+    new ErrorHandler().handle(error, ERROR_SEVERITY.ERROR, ERROR_CATEGORY.SYSTEM, {
+      context: 'saveScene',
+      stage: 'scene_export',
+      gameManagerAvailable: !!window.gameManager,
+    });
+  }
+}
+
+/**
+ * Load a scene document chosen by the user, replacing the current table.
+ * If the document fails validation, offers to repair it (dropping unknown placeables,
+ * out-of-grid entries and out-of-range values) and load the rest.
+ * @param {File} file - Scene JSON file
+ */
+async function openSceneFile(file) {
+  try {
+    if (!window.gameManager?.importScene) {
+      throw new Error('Game is still loading. Please wait a moment and try again.');
+    }
+
+    const text = await file.text();
+    let result;
+    try {
+      result = await window.gameManager.importScene(text);
+    } catch (error) {
+      const problems = error?.validationErrors;
+      if (!Array.isArray(problems)) throw error;
+      const listed = problems.slice(0, 8).map((p) => `• ${p}`);
+      if (problems.length > listed.length) {
+        listed.push(`• …and ${problems.length - listed.length} more`);
+      }
+      const accepted = confirm(
+        `This scene file has ${problems.length} problem(s):\n${listed.join('\n')}\n\n` +
+          'Repair and load anyway? Invalid items will be dropped.'
+      );
+      if (!accepted) return;
+      result = await window.gameManager.importScene(text, { repair: true });
+    }
+
+    logger.log(LOG_LEVEL.INFO, 'Scene loaded by user', LOG_CATEGORY.USER, {
+      context: 'openSceneFile',
+      fileName: file.name,
+      tokens: result.tokens,
+      placeables: result.placeables,
+      skipped: result.skipped,
+      repairs: result.repairs,
+      migratedFrom: result.migratedFrom,
+    });
+  } catch (error) {
+    new ErrorHandler().handle(error, ERROR_SEVERITY.ERROR, ERROR_CATEGORY.VALIDATION, {
+      context: 'openSceneFile',
+      stage: 'scene_import',
+      fileName: file?.name,
+    });
+  }
+}
+
+// ── Public API (Heightmap Files) ───────────────────────────
+
+/**
+ * Download the terrain height field as a heightmap file
+ * @param {'png'|'csv'} format - 16-bit grayscale PNG or CSV
+ */
+function exportHeightmap(format) {
+  return _exportHeightmap(window.gameManager, format);
+}
+
+/**
+ * Replace terrain heights with a heightmap file chosen by the user
+ * @param {File} file - PNG or CSV heightmap
+ * @param {{resizeGrid?: boolean}} [options] - resize the grid to the file instead of resampling
+ */
+function importHeightmapFile(file, options = {}) {
+  return _importHeightmapFile(window.gameManager, file, options);
+}
+
+// ── Public API (Map Export) ────────────────────────────────
+
+/**
+ * Download a top-down PNG battle map of the board
+ * @param {{pixelsPerTile?: number, gridOverlay?: boolean, gridLabels?: boolean, printScale?: boolean}} [options]
+ */
+function exportMapImage(options = {}) {
+  return _exportMapImage(window.gameManager, options);
+}
+
+/**
+ * Download the 3D board (terrain, placeables, tokens) as a GLB model
+ */
+function exportSceneModel() {
+  return _exportSceneModel(window.gameManager);
+}
+
+// ── Autosave & Session Recovery ───────────────────────────
+
+/**
+ * Offer to restore the newest autosave when the previous session ended without a clean
+ * shutdown (tab crash, error-recovery reload), then start autosaving this session.
+ */
+async function startAutosave() {
+  const gm = window.gameManager;
+  try {
+    const { uncleanShutdown, snapshot } = await gm.beginAutosaveSession();
+    if (uncleanShutdown && snapshot) {
+      const savedAt = new Date(snapshot.savedAt).toLocaleString();
+      const accepted = confirm(
+        `TavernTable did not shut down cleanly last time.\n\n` +
+          `Restore previous session? (autosaved ${savedAt})`
+      );
+      if (accepted) {
+        const result = await gm.restoreAutosave(snapshot);
+        logger.log(LOG_LEVEL.INFO, 'Previous session restored', LOG_CATEGORY.USER, {
+          context: 'startAutosave',
+          snapshotId: snapshot.id,
+          tokens: result.tokens,
+          placeables: result.placeables,
+          repairs: result.repairs,
+        });
+      }
+    }
+  } catch (error) {
+    new ErrorHandler().handle(error, ERROR_SEVERITY.WARNING, ERROR_CATEGORY.SYSTEM, {
+      context: 'startAutosave',
+      stage: 'session_recovery',
+    });
+  } finally {
+    gm.startAutosave();
+  }
+}
+
 // ── Constructor (Application Bootstrap) ───────────────────
 
 /**
@@ -795,9 +1290,16 @@ async function initializeApplication() {
     if (!window.gameManager) {
       throw new Error('GameManager not found. Application cannot start.');
     }
+    // Read before initialization can generate a map and rewrite the URL
+    const sharedMapCode = readMapCodeFromHash();
 
     // Initialize the game manager
     await window.gameManager.initialize();
+
+    await startAutosave();
+
+    // A shared link (#map=<code>) opens its map
+    if (sharedMapCode) await loadMapCode(sharedMapCode);
   } catch (error) {
     new ErrorHandler().handle(error, ERROR_SEVERITY.CRITICAL, ERROR_CATEGORY.INITIALIZATION, {
       context: 'initializeApplication',
@@ -859,9 +1361,33 @@ export {
   resetZoom,
   toggleTerrainMode,
   setTerrainTool,
+  setTerrainTargetHeight,
+  setTerrainStairStep,
+  setBrushShape,
+  setBrushFalloff,
+  captureStamp,
+  pasteSelectedStamp,
+  deleteSelectedStamp,
+  selectTiles,
+  applySelectionAction,
+  applyWaterwayAction,
+  applyWaterLevel,
+  applyMovementRange,
+  applyGroupFormation,
+  applyAlliesPassThrough,
+  applyTokenAllegiance,
+  applyBiomeRegionAction,
+  loadMapCode,
+  copyMapCode,
   increaseBrushSize,
   decreaseBrushSize,
   resetTerrain,
+  saveScene,
+  openSceneFile,
+  exportHeightmap,
+  importHeightmapFile,
+  exportMapImage,
+  exportSceneModel,
   initializeApplication,
 };
 
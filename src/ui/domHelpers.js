@@ -18,11 +18,124 @@ export function getFacingButton() {
 }
 
 // ── Terrain Controls ──────────────────────────────────
-/** Returns terrain tool buttons (raise/lower). */
+/** Returns terrain tool buttons (raise/lower/set/fill/plateau/smooth/noise/erode). */
 export function getTerrainToolButtons() {
   return {
     raiseBtn: document.getElementById('terrain-raise-btn'),
     lowerBtn: document.getElementById('terrain-lower-btn'),
+    setBtn: document.getElementById('terrain-set-btn'),
+    fillBtn: document.getElementById('terrain-fill-btn'),
+    plateauBtn: document.getElementById('terrain-plateau-btn'),
+    smoothBtn: document.getElementById('terrain-smooth-btn'),
+    noiseBtn: document.getElementById('terrain-noise-btn'),
+    erodeBtn: document.getElementById('terrain-erode-btn'),
+    rampBtn: document.getElementById('terrain-ramp-btn'),
+    stairsBtn: document.getElementById('terrain-stairs-btn'),
+    ridgeBtn: document.getElementById('terrain-ridge-btn'),
+    trenchBtn: document.getElementById('terrain-trench-btn'),
+  };
+}
+
+/** Returns the level input used by the Set and Fill terrain tools. */
+export function getTerrainTargetHeightInput() {
+  return document.getElementById('terrain-target-height');
+}
+
+/** Returns the tread height input used by the Stairs terrain tool. */
+export function getTerrainStairStepInput() {
+  return document.getElementById('terrain-stair-step');
+}
+
+/** Returns the terrain stamp library controls. */
+export function getStampControls() {
+  return {
+    nameInput: document.getElementById('stamp-name-input'),
+    captureBtn: document.getElementById('stamp-capture-btn'),
+    librarySelect: document.getElementById('stamp-library-select'),
+    deleteBtn: document.getElementById('stamp-delete-btn'),
+    pasteBtn: document.getElementById('stamp-paste-btn'),
+    rotateBtn: document.getElementById('stamp-rotate-btn'),
+    mirrorBtn: document.getElementById('stamp-mirror-btn'),
+  };
+}
+
+/** Returns the tile selection tool and bulk action controls. */
+export function getSelectionControls() {
+  return {
+    marqueeBtn: document.getElementById('select-marquee-btn'),
+    lassoBtn: document.getElementById('select-lasso-btn'),
+    clearBtn: document.getElementById('select-clear-btn'),
+    countLabel: document.getElementById('selection-count'),
+    raiseBtn: document.getElementById('selection-raise-btn'),
+    lowerBtn: document.getElementById('selection-lower-btn'),
+    heightInput: document.getElementById('selection-height-input'),
+    setHeightBtn: document.getElementById('selection-set-height-btn'),
+    floraSelect: document.getElementById('selection-flora-select'),
+    scatterBtn: document.getElementById('selection-scatter-btn'),
+    clearPlaceablesBtn: document.getElementById('selection-clear-placeables-btn'),
+    copyBtn: document.getElementById('selection-copy-btn'),
+    cutBtn: document.getElementById('selection-cut-btn'),
+    pasteBtn: document.getElementById('selection-paste-btn'),
+  };
+}
+
+/** Returns the river/road generator controls. */
+export function getWaterwayControls() {
+  return {
+    sourceSelect: document.getElementById('river-source-select'),
+    mouthSelect: document.getElementById('river-mouth-select'),
+    carveBtn: document.getElementById('river-carve-btn'),
+    roadBtn: document.getElementById('road-tool-btn'),
+    clearBtn: document.getElementById('waterways-clear-btn'),
+    statusLabel: document.getElementById('road-status'),
+  };
+}
+
+/** Returns the movement range budget input (feet) for the selected token's overlay. */
+export function getMovementRangeControls() {
+  return {
+    feetInput: document.getElementById('movement-range-input'),
+  };
+}
+
+/**
+ * Returns the formation picker used for group move orders, the allies pass-through toggle and
+ * the side picker for selected tokens.
+ */
+export function getGroupMovementControls() {
+  return {
+    formationSelect: document.getElementById('group-formation-select'),
+    alliesToggle: document.getElementById('allies-pass-through-toggle'),
+    allegianceSelect: document.getElementById('token-allegiance-select'),
+  };
+}
+
+/** Returns the water level toggle, level input and wading/swimming status line. */
+export function getWaterControls() {
+  return {
+    enabledToggle: document.getElementById('water-enabled-toggle'),
+    levelInput: document.getElementById('water-level-input'),
+    statusLabel: document.getElementById('water-status'),
+  };
+}
+
+/** Returns the region biome select, paint toggle, climate and clear buttons and status line. */
+export function getBiomeRegionControls() {
+  return {
+    biomeSelect: document.getElementById('biome-region-select'),
+    paintBtn: document.getElementById('biome-paint-btn'),
+    climateBtn: document.getElementById('biome-climate-btn'),
+    clearBtn: document.getElementById('biome-regions-clear-btn'),
+    statusLabel: document.getElementById('biome-region-status'),
+  };
+}
+
+/** Returns the brush shape and falloff buttons (keyed by their data-shape / data-falloff). */
+export function getBrushShapeControls() {
+  const query = (selector) => Array.from(document.querySelectorAll(selector));
+  return {
+    shapeButtons: query('#brush-shape-buttons [data-shape]'),
+    falloffButtons: query('#brush-falloff-buttons [data-falloff]'),
   };
 }
 
@@ -108,6 +221,44 @@ export function getDiceLogContentEl() {
   return document.getElementById('dice-log-content');
 }
 
+// ── Scene File Controls ────────────────────────────────
+/** Returns the scene save/open buttons and the hidden file input used by Open. */
+export function getSceneFileControls() {
+  return {
+    saveBtn: document.getElementById('scene-save-btn'),
+    openBtn: document.getElementById('scene-open-btn'),
+    fileInput: document.getElementById('scene-file-input'),
+  };
+}
+
+// ── Heightmap File Controls ────────────────────────────
+/** Returns the heightmap export/import buttons, resize toggle and hidden file input. */
+export function getHeightmapFileControls() {
+  return {
+    exportPngBtn: document.getElementById('heightmap-export-png-btn'),
+    exportCsvBtn: document.getElementById('heightmap-export-csv-btn'),
+    importBtn: document.getElementById('heightmap-import-btn'),
+    resizeToggle: document.getElementById('heightmap-resize-toggle'),
+    fileInput: document.getElementById('heightmap-file-input'),
+  };
+}
+
+/** Returns the map image export controls (resolution, grid lines, labels, print scale, export). */
+export function getMapExportControls() {
+  return {
+    pixelsPerTileInput: document.getElementById('map-export-ppt'),
+    gridToggle: document.getElementById('map-export-grid-toggle'),
+    labelsToggle: document.getElementById('map-export-labels-toggle'),
+    printScaleToggle: document.getElementById('map-export-print-toggle'),
+    exportBtn: document.getElementById('map-export-btn'),
+  };
+}
+
+/** Returns the 3D model (GLB) export button. */
+export function getModelExportButton() {
+  return document.getElementById('glb-export-btn');
+}
+
 // ── Shading & Biome Controls ───────────────────────────
 /** Returns the rich shading controls elements (shading intensity, density, shoreline sand, perf). */
 export function getShadingControls() {
@@ -123,6 +274,25 @@ export function getShadingControls() {
   };
 }
 
+/** Returns the Generate button with its progress bar and status text. */
+export function getGenerateMapControls() {
+  return {
+    btn: document.getElementById('generate-map'),
+    progressEl: document.getElementById('generate-map-progress'),
+    statusEl: document.getElementById('generate-map-status'),
+  };
+}
+
+/** Returns the map code input, its Load/Copy buttons and status line. */
+export function getMapCodeControls() {
+  return {
+    input: document.getElementById('map-code-input'),
+    loadBtn: document.getElementById('map-code-load'),
+    copyBtn: document.getElementById('map-code-copy'),
+    statusLabel: document.getElementById('map-code-status'),
+  };
+}
+
 /** Returns the biome menu root element. */
 export function getBiomeRootEl() {
   return document.getElementById('biome-menu-root');
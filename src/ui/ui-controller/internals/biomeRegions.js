@@ -0,0 +1,128 @@
+// Painted biome region panel — paint tool, biome picker, climate assignment and clearing.
+// Every exported function takes the GameManager as `c`.
+
+import { BIOME_GROUPS } from '../../../config/biome/BiomeConstants.js';
+
+import { logger, LOG_CATEGORY } from '../../../utils/Logger.js';
+import { ErrorHandler, ERROR_SEVERITY, ERROR_CATEGORY } from '../../../utils/ErrorHandler.js';
+import { getBiomeRegionControls } from '../../domHelpers.js';
+
+// ── Wiring ──────────────────────────────────────────────────────
+
+/** Bind the region buttons and biome select (once) and render the panel. */
+export function bindBiomeRegionControls(c) {
+  const regions = getBiomeRegionControls();
+  [
+    [regions.paintBtn, () => applyBiomeRegionAction(c, 'paint')],
+    [regions.climateBtn, () => applyBiomeRegionAction(c, 'climate')],
+    [regions.clearBtn, () => applyBiomeRegionAction(c, 'clear')],
+  ].forEach(([btn, handler]) => {
+    if (btn && !btn.dataset.boundClick) {
+      btn.addEventListener('click', handler);
+      btn.dataset.boundClick = 'true';
+    }
+  });
+  if (regions.biomeSelect && !regions.biomeSelect.dataset.boundTerrainHandler) {
+    regions.biomeSelect.addEventListener('change', () => applyBiomeRegionAction(c, 'biome'));
+    regions.biomeSelect.dataset.boundTerrainHandler = 'true';
+  }
+  renderBiomeRegionControls(c);
+}
+
+// ── Actions ─────────────────────────────────────────────────────
+
+/**
+ * Toggle the biome paint tool, switch the biome it paints, assign biomes from the climate, or
+ * return every tile to the map biome.
+ * @param {'paint'|'biome'|'climate'|'clear'} action
+ */
+export function applyBiomeRegionAction(c, action) {
+  try {
+    const tc = c?.terrainCoordinator;
+    if (!tc) {
+      throw new Error('Terrain system not available');
+    }
+    const biome = getBiomeRegionControls().biomeSelect?.value || null;
+    switch (action) {
+      case 'paint':
+        return tc.biomePaint.isActive() ? tc.cancelBiomePaint() : tc.startBiomePaint(biome);
+      case 'biome':
+        return tc.setPaintBiome(biome);
+      case 'climate':
+        return tc.generateClimateBiomes();
+      case 'clear':
+        return tc.clearBiomeRegions();
+      default:
+        throw new Error(`Unknown biome region action: ${action}`);
+    }
+  } catch (error) {
+    new ErrorHandler().handle(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.INPUT, {
+      context: 'applyBiomeRegionAction',
+      stage: 'biome_region_action',
+      action,
+    });
+    return undefined;
+  }
+}
+
+// ── Rendering ───────────────────────────────────────────────────
+
+/**
+ * Refresh the paint button, the biome select and the painted region status line.
+ * @param {{painting?: boolean, paintBiome?: string|null, regions?: number, biomes?: string[]}}
+ *   [detail] from the 'taverntable:biomeRegions' event; read from the terrain coordinator when
+ *   omitted
+ */
+export function renderBiomeRegionControls(c, detail) {
+  try {
+    const tc = c?.terrainCoordinator;
+    const controls = getBiomeRegionControls();
+    populateBiomeRegionSelect(controls.biomeSelect);
+    const painted = detail ? null : tc?.listBiomeRegions?.() || [];
+    const painting = detail?.painting ?? !!tc?.biomePaint?.isActive?.();
+    const regions = detail?.regions ?? painted.length;
+    const biomes = detail?.biomes ?? [...new Set(painted.map((entry) => entry.biome))];
+    if (controls.paintBtn) {
+      controls.paintBtn.classList.toggle('active', painting);
+      controls.paintBtn.setAttribute('aria-pressed', painting ? 'true' : 'false');
+    }
+    if (controls.biomeSelect && painting) {
+      controls.biomeSelect.value = (detail?.paintBiome ?? tc?.biomePaint?.biome) || '';
+    }
+    if (controls.clearBtn) controls.clearBtn.disabled = regions === 0;
+    if (controls.statusLabel) {
+      controls.statusLabel.textContent = regions
+        ? `${regions} painted tile${regions === 1 ? '' : 's'} · ${biomes.length} biome${
+            biomes.length === 1 ? '' : 's'
+          }`
+        : painting
+          ? 'Drag to paint a region'
+          : 'No painted regions';
+    }
+  } catch (error) {
+    logger.debug(
+      'Failed to render biome region controls',
+      { error: error?.message },
+      LOG_CATEGORY.UI
+    );
+  }
+}
+
+// ── Private Helpers ─────────────────────────────────────────────
+
+/** Fill the region biome select from BIOME_GROUPS once, keeping its leading erase option. */
+function populateBiomeRegionSelect(select) {
+  if (!select || select.dataset.populated) return;
+  Object.entries(BIOME_GROUPS).forEach(([group, list]) => {
+    const optgroup = document.createElement('optgroup');
+    optgroup.label = group;
+    list.forEach((biome) => {
+      const option = document.createElement('option');
+      option.value = biome.key;
+      option.textContent = `${biome.emoji || ''} ${biome.label}`.trim();
+      optgroup.appendChild(option);
+    });
+    select.appendChild(optgroup);
+  });
+  select.dataset.populated = 'true';
+}
@@ -0,0 +1,13 @@
+// Browser downloads for the file export buttons (scene, heightmap, map image, GLB model).
+
+/** Save a blob through a temporary download link. */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
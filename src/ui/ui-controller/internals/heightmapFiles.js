@@ -0,0 +1,92 @@
+// Heightmap file panel — export the height field as a 16-bit PNG or CSV and import one in its
+// place. Every function takes the GameManager as `c`.
+
+import { HEIGHTMAP_CONFIG } from '../../../config/GameConstants.js';
+import { logger, LOG_LEVEL, LOG_CATEGORY } from '../../../utils/Logger.js';
+import { ErrorHandler, ERROR_SEVERITY, ERROR_CATEGORY } from '../../../utils/ErrorHandler.js';
+import { getHeightmapFileControls } from '../../domHelpers.js';
+import { downloadBlob } from './download.js';
+
+// ── Wiring ──────────────────────────────────────────────────────
+
+/** Bind the export buttons and the import button and file picker (once). */
+export function bindHeightmapFileControls(c) {
+  const hm = getHeightmapFileControls();
+  if (hm.exportPngBtn && !hm.exportPngBtn.dataset.boundClick) {
+    hm.exportPngBtn.addEventListener('click', () => exportHeightmap(c, 'png'));
+    hm.exportPngBtn.dataset.boundClick = 'true';
+  }
+  if (hm.exportCsvBtn && !hm.exportCsvBtn.dataset.boundClick) {
+    hm.exportCsvBtn.addEventListener('click', () => exportHeightmap(c, 'csv'));
+    hm.exportCsvBtn.dataset.boundClick = 'true';
+  }
+  if (hm.importBtn && hm.fileInput && !hm.importBtn.dataset.boundClick) {
+    hm.importBtn.addEventListener('click', () => hm.fileInput.click());
+    hm.fileInput.addEventListener('change', () => {
+      const file = hm.fileInput.files?.[0];
+      // Clear so choosing the same file again still fires 'change'
+      hm.fileInput.value = '';
+      if (file) importHeightmapFile(c, file, { resizeGrid: !!hm.resizeToggle?.checked });
+    });
+    hm.importBtn.dataset.boundClick = 'true';
+  }
+}
+
+// ── Actions ─────────────────────────────────────────────────────
+
+/**
+ * Download the terrain height field as a heightmap file.
+ * @param {'png'|'csv'} format 16-bit grayscale PNG or CSV
+ */
+export async function exportHeightmap(c, format) {
+  try {
+    if (!c?.exportHeightmap) {
+      throw new Error('Game is still loading. Please wait a moment and try again.');
+    }
+    const { extension, mimeType } = HEIGHTMAP_CONFIG.FORMATS[format];
+    const data = await c.exportHeightmap(format);
+    const { cols, rows } = c;
+    downloadBlob(
+      new Blob([data], { type: mimeType }),
+      `${HEIGHTMAP_CONFIG.DEFAULT_FILE_NAME}-${cols}x${rows}${extension}`
+    );
+    logger.log(LOG_LEVEL.INFO, 'Heightmap exported by user', LOG_CATEGORY.USER, {
+      context: 'exportHeightmap',
+      format,
+      cols,
+      rows,
+    });
+  } catch (error) {
+    new ErrorHandler().handle(error, ERROR_SEVERITY.ERROR, ERROR_CATEGORY.SYSTEM, {
+      context: 'exportHeightmap',
+      stage: 'heightmap_export',
+      format,
+    });
+  }
+}
+
+/**
+ * Replace terrain heights with a heightmap file chosen by the user.
+ * @param {File} file PNG or CSV heightmap
+ * @param {{resizeGrid?: boolean}} [options] resize the grid to the file instead of resampling
+ */
+export async function importHeightmapFile(c, file, options = {}) {
+  try {
+    if (!c?.importHeightmap) {
+      throw new Error('Game is still loading. Please wait a moment and try again.');
+    }
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const result = await c.importHeightmap(bytes, options);
+    logger.log(LOG_LEVEL.INFO, 'Heightmap imported by user', LOG_CATEGORY.USER, {
+      context: 'importHeightmapFile',
+      fileName: file.name,
+      ...result,
+    });
+  } catch (error) {
+    new ErrorHandler().handle(error, ERROR_SEVERITY.ERROR, ERROR_CATEGORY.VALIDATION, {
+      context: 'importHeightmapFile',
+      stage: 'heightmap_import',
+      fileName: file?.name,
+    });
+  }
+}
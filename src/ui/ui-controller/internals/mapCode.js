@@ -0,0 +1,119 @@
+// Shareable map code panel — load, copy and display map codes and keep the page URL's
+// `#map=<code>` hash in step with the generated map. Functions that touch the board take the
+// GameManager as `c`.
+
+import { logger, LOG_CATEGORY } from '../../../utils/Logger.js';
+import { ErrorHandler, ERROR_SEVERITY, ERROR_CATEGORY } from '../../../utils/ErrorHandler.js';
+import { getMapCodeControls } from '../../domHelpers.js';
+
+// ── Wiring ──────────────────────────────────────────────────────
+
+/** Bind the load/copy buttons and the Enter key (once) and render the current code. */
+export function bindMapCodeControls(c) {
+  const mapCode = getMapCodeControls();
+  if (mapCode.loadBtn && !mapCode.loadBtn.dataset.boundClick) {
+    mapCode.loadBtn.addEventListener('click', () => loadMapCode(c, mapCode.input?.value));
+    mapCode.loadBtn.dataset.boundClick = 'true';
+  }
+  if (mapCode.input && !mapCode.input.dataset.boundKeydown) {
+    mapCode.input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') loadMapCode(c, mapCode.input.value);
+    });
+    mapCode.input.dataset.boundKeydown = 'true';
+  }
+  if (mapCode.copyBtn && !mapCode.copyBtn.dataset.boundClick) {
+    mapCode.copyBtn.addEventListener('click', () => copyMapCode(c));
+    mapCode.copyBtn.dataset.boundClick = 'true';
+  }
+  renderMapCode(c);
+}
+
+// ── URL Hash ────────────────────────────────────────────────────
+
+/** @returns {string|null} the map code in the page URL (`#map=<code>`), if any */
+export function readMapCodeFromHash() {
+  const match = /(?:^#|&)map=([^&]+)/.exec(window.location?.hash || '');
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/** Load the map a changed page hash points at, unless it is the map already shown. */
+export function handleMapCodeHashChange(c) {
+  const code = readMapCodeFromHash();
+  if (code && code !== c?.terrainCoordinator?.getMapCode?.()) {
+    loadMapCode(c, code);
+  }
+}
+
+// ── Actions ─────────────────────────────────────────────────────
+
+/**
+ * Regenerate the map a map code describes (typed into the sidebar or opened from a link).
+ * @param {string} code
+ * @returns {Promise<boolean>} true if the map was generated
+ */
+export async function loadMapCode(c, code) {
+  const { statusLabel } = getMapCodeControls();
+  try {
+    const tc = c?.terrainCoordinator;
+    if (!tc?.applyMapCode) {
+      throw new Error('Terrain system not available');
+    }
+    const ok = await tc.applyMapCode(code);
+    if (ok) {
+      window.sidebarController?.selectBiome?.(window.selectedBiome);
+    } else if (statusLabel) {
+      statusLabel.textContent = 'Map code not loaded (leave terrain editing first)';
+    }
+    return ok;
+  } catch (error) {
+    if (statusLabel) statusLabel.textContent = error.message;
+    new ErrorHandler().handle(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.INPUT, {
+      context: 'loadMapCode',
+      stage: 'map_code_apply',
+      code,
+    });
+    return false;
+  }
+}
+
+/** Copy the current map code to the clipboard (or select it when the clipboard is blocked). */
+export async function copyMapCode(c) {
+  const { input, statusLabel } = getMapCodeControls();
+  const code = c?.terrainCoordinator?.getMapCode?.();
+  if (!code) {
+    if (statusLabel) statusLabel.textContent = 'Generate a map first';
+    return;
+  }
+  try {
+    await navigator.clipboard.writeText(code);
+    if (statusLabel) statusLabel.textContent = 'Map code copied';
+  } catch (_) {
+    input?.select?.();
+    if (statusLabel) statusLabel.textContent = 'Press Ctrl+C to copy the selected code';
+  }
+}
+
+// ── Rendering ───────────────────────────────────────────────────
+
+/**
+ * Show the current map code and keep the page URL pointing at it, so the link opens the same map.
+ * @param {{code: string|null}} [detail] from the 'taverntable:mapCode' event; read from the
+ *   terrain coordinator when omitted
+ */
+export function renderMapCode(c, detail) {
+  try {
+    const code = detail ? detail.code : (c?.terrainCoordinator?.getMapCode?.() ?? null);
+    const { input, copyBtn, statusLabel } = getMapCodeControls();
+    // Don't overwrite a code the user is typing
+    if (input && document.activeElement !== input) input.value = code || '';
+    if (copyBtn) copyBtn.disabled = !code;
+    if (statusLabel && code) statusLabel.textContent = 'Share the code or this page link';
+    if (code && window.location.hash !== `#map=${code}` && window.history?.replaceState) {
+      // Replace rather than push so generating maps doesn't fill the back button history
+      const { pathname, search } = window.location;
+      window.history.replaceState(null, '', `${pathname}${search}#map=${code}`);
+    }
+  } catch (error) {
+    logger.debug('Failed to render map code', { error: error?.message }, LOG_CATEGORY.UI);
+  }
+}
@@ -0,0 +1,64 @@
+// Map image export panel — resolution, grid lines, cell labels and print scale options and the
+// export button that downloads a top-down PNG battle map. Every function takes the GameManager
+// as `c`.
+
+import { MAP_EXPORT_CONFIG } from '../../../config/GameConstants.js';
+import { logger, LOG_LEVEL, LOG_CATEGORY } from '../../../utils/Logger.js';
+import { ErrorHandler, ERROR_SEVERITY, ERROR_CATEGORY } from '../../../utils/ErrorHandler.js';
+import { getMapExportControls } from '../../domHelpers.js';
+import { downloadBlob } from './download.js';
+
+// ── Wiring ──────────────────────────────────────────────────────
+
+/** Bind the export button (once) to export with the options set in the panel. */
+export function bindMapExportControls(c) {
+  const mx = getMapExportControls();
+  if (mx.exportBtn && !mx.exportBtn.dataset.boundClick) {
+    mx.exportBtn.addEventListener('click', () =>
+      exportMapImage(c, {
+        pixelsPerTile: Number(mx.pixelsPerTileInput?.value),
+        gridOverlay: !!mx.gridToggle?.checked,
+        gridLabels: !!mx.labelsToggle?.checked,
+        printScale: !!mx.printScaleToggle?.checked,
+      })
+    );
+    mx.exportBtn.dataset.boundClick = 'true';
+  }
+}
+
+// ── Actions ─────────────────────────────────────────────────────
+
+/**
+ * Download a top-down PNG battle map of the board. The export button is disabled while the
+ * image renders.
+ * @param {{pixelsPerTile?: number, gridOverlay?: boolean, gridLabels?: boolean, printScale?: boolean}} [options]
+ */
+export async function exportMapImage(c, options = {}) {
+  const button = getMapExportControls().exportBtn;
+  try {
+    if (!c?.exportMapImage) {
+      throw new Error('Game is still loading. Please wait a moment and try again.');
+    }
+    if (button) button.disabled = true;
+    const result = await c.exportMapImage(options);
+    const { cols, rows } = c;
+    downloadBlob(
+      new Blob([result.bytes], { type: 'image/png' }),
+      `${MAP_EXPORT_CONFIG.DEFAULT_FILE_NAME}-${cols}x${rows}-${result.pixelsPerTile}ppt.png`
+    );
+    logger.log(LOG_LEVEL.INFO, 'Map image exported by user', LOG_CATEGORY.USER, {
+      context: 'exportMapImage',
+      width: result.width,
+      height: result.height,
+      pixelsPerTile: result.pixelsPerTile,
+      printScale: !!options.printScale,
+    });
+  } catch (error) {
+    new ErrorHandler().handle(error, ERROR_SEVERITY.ERROR, ERROR_CATEGORY.SYSTEM, {
+      context: 'exportMapImage',
+      stage: 'map_export',
+    });
+  } finally {
+    if (button) button.disabled = false;
+  }
+}
@@ -0,0 +1,50 @@
+// 3D model export button — downloads the board (terrain, placeables, tokens) as a GLB model.
+// Every function takes the GameManager as `c`.
+
+import { GLTF_EXPORT_CONFIG } from '../../../config/GameConstants.js';
+import { logger, LOG_LEVEL, LOG_CATEGORY } from '../../../utils/Logger.js';
+import { ErrorHandler, ERROR_SEVERITY, ERROR_CATEGORY } from '../../../utils/ErrorHandler.js';
+import { getModelExportButton } from '../../domHelpers.js';
+import { downloadBlob } from './download.js';
+
+// ── Wiring ──────────────────────────────────────────────────────
+
+/** Bind the GLB export button (once). */
+export function bindModelExportControls(c) {
+  const button = getModelExportButton();
+  if (button && !button.dataset.boundClick) {
+    button.addEventListener('click', () => exportSceneModel(c));
+    button.dataset.boundClick = 'true';
+  }
+}
+
+// ── Actions ─────────────────────────────────────────────────────
+
+/** Download the 3D board as a GLB model; the button is disabled while the model is built. */
+export async function exportSceneModel(c) {
+  const button = getModelExportButton();
+  try {
+    if (!c?.exportSceneModel) {
+      throw new Error('Game is still loading. Please wait a moment and try again.');
+    }
+    if (button) button.disabled = true;
+    const { bytes, stats } = await c.exportSceneModel();
+    const { cols, rows } = c;
+    downloadBlob(
+      new Blob([bytes], { type: GLTF_EXPORT_CONFIG.MIME_TYPE }),
+      `${GLTF_EXPORT_CONFIG.DEFAULT_FILE_NAME}-${cols}x${rows}${GLTF_EXPORT_CONFIG.EXTENSION}`
+    );
+    logger.log(LOG_LEVEL.INFO, 'GLB model exported by user', LOG_CATEGORY.USER, {
+      context: 'exportSceneModel',
+      bytes: bytes.length,
+      ...stats,
+    });
+  } catch (error) {
+    new ErrorHandler().handle(error, ERROR_SEVERITY.ERROR, ERROR_CATEGORY.SYSTEM, {
+      context: 'exportSceneModel',
+      stage: 'glb_export',
+    });
+  } finally {
+    if (button) button.disabled = false;
+  }
+}
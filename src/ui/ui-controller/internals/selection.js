@@ -0,0 +1,165 @@
+// Tile selection panel — marquee/lasso tools, bulk height and flora actions and the tile
+// clipboard. Every function takes the GameManager as `c`.
+
+import { logger, LOG_CATEGORY } from '../../../utils/Logger.js';
+import { ErrorHandler, ERROR_SEVERITY, ERROR_CATEGORY } from '../../../utils/ErrorHandler.js';
+import { getSelectionControls } from '../../domHelpers.js';
+
+// ── Wiring ──────────────────────────────────────────────────────
+
+/** Bind the selection tool and action buttons (once) and render the panel. */
+export function bindSelectionControls(c) {
+  const sel = getSelectionControls();
+  [
+    [sel.marqueeBtn, () => selectTiles(c, 'marquee')],
+    [sel.lassoBtn, () => selectTiles(c, 'lasso')],
+    [sel.clearBtn, () => applySelectionAction(c, 'deselect')],
+    [sel.raiseBtn, () => applySelectionAction(c, 'raise')],
+    [sel.lowerBtn, () => applySelectionAction(c, 'lower')],
+    [sel.setHeightBtn, () => applySelectionAction(c, 'set-height')],
+    [sel.scatterBtn, () => applySelectionAction(c, 'scatter')],
+    [sel.clearPlaceablesBtn, () => applySelectionAction(c, 'clear-placeables')],
+    [sel.copyBtn, () => applySelectionAction(c, 'copy')],
+    [sel.cutBtn, () => applySelectionAction(c, 'cut')],
+    [sel.pasteBtn, () => applySelectionAction(c, 'paste')],
+  ].forEach(([btn, handler]) => {
+    if (btn && !btn.dataset.boundClick) {
+      btn.addEventListener('click', handler);
+      btn.dataset.boundClick = 'true';
+    }
+  });
+  renderSelectionControls(c);
+}
+
+// ── Actions ─────────────────────────────────────────────────────
+
+/**
+ * Arm the marquee or lasso selection tool; clicking the armed tool again leaves selection.
+ * @param {'marquee'|'lasso'} tool
+ */
+export function selectTiles(c, tool) {
+  try {
+    const tc = c?.terrainCoordinator;
+    if (!tc) {
+      throw new Error('Terrain system not available');
+    }
+    if (tc.selection.tool === tool) {
+      tc.cancelSelectionTool();
+      return;
+    }
+    tc.startSelectionTool(tool);
+  } catch (error) {
+    new ErrorHandler().handle(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.INPUT, {
+      context: 'selectTiles',
+      stage: 'selection_tool',
+      tool,
+    });
+  }
+}
+
+/**
+ * Run a bulk action on the tile selection.
+ * @param {'deselect'|'raise'|'lower'|'set-height'|'scatter'|'clear-placeables'|'copy'|'cut'|'paste'} action
+ */
+export function applySelectionAction(c, action) {
+  try {
+    const tc = c?.terrainCoordinator;
+    if (!tc) {
+      throw new Error('Terrain system not available');
+    }
+    const { heightInput, floraSelect } = getSelectionControls();
+    if (action === 'deselect') return tc.clearSelection();
+    if (action === 'paste') {
+      if (tc.selection.tool === 'paste') return tc.cancelSelectionTool();
+      if (!tc.startSelectionPaste()) {
+        throw new Error('Copy or cut tiles before pasting');
+      }
+      return undefined;
+    }
+    if (!tc.selection.hasSelection()) {
+      throw new Error('Select tiles first');
+    }
+    switch (action) {
+      case 'raise':
+        return tc.adjustSelectionHeight(1);
+      case 'lower':
+        return tc.adjustSelectionHeight(-1);
+      case 'set-height':
+        return tc.setSelectionHeight(parseInt(heightInput?.value, 10) || 0);
+      case 'scatter':
+        return tc.scatterSelectionFlora(floraSelect?.value);
+      case 'clear-placeables':
+        return tc.clearSelectionPlaceables();
+      case 'copy':
+        return tc.copySelection();
+      case 'cut':
+        return tc.cutSelection();
+      default:
+        throw new Error(`Unknown selection action: ${action}`);
+    }
+  } catch (error) {
+    new ErrorHandler().handle(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.INPUT, {
+      context: 'applySelectionAction',
+      stage: 'selection_action',
+      action,
+    });
+    return undefined;
+  }
+}
+
+// ── Rendering ───────────────────────────────────────────────────
+
+/**
+ * Refresh the selection count, tool button states and the flora profile list.
+ * @param {{tool?: string|null, count?: number, hasClipboard?: boolean}} [detail] from the
+ *   'taverntable:selection' event; read from the terrain coordinator when omitted
+ */
+export function renderSelectionControls(c, detail) {
+  try {
+    const tc = c?.terrainCoordinator;
+    const controls = getSelectionControls();
+    const tool = detail ? detail.tool : (tc?.selection?.tool ?? null);
+    const count = detail?.count ?? tc?.selection?.getCells?.().length ?? 0;
+    const hasClipboard = detail?.hasClipboard ?? !!tc?.selection?.hasClipboard?.();
+    if (controls.countLabel) {
+      controls.countLabel.textContent = count
+        ? `${count} tile${count === 1 ? '' : 's'} selected`
+        : 'No tiles selected';
+    }
+    [
+      [controls.marqueeBtn, tool === 'marquee'],
+      [controls.lassoBtn, tool === 'lasso'],
+      [controls.pasteBtn, tool === 'paste'],
+    ].forEach(([btn, active]) => {
+      if (!btn) return;
+      btn.classList.toggle('active', active);
+      btn.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+    [
+      controls.clearBtn,
+      controls.raiseBtn,
+      controls.lowerBtn,
+      controls.setHeightBtn,
+      controls.scatterBtn,
+      controls.clearPlaceablesBtn,
+      controls.copyBtn,
+      controls.cutBtn,
+    ].forEach((btn) => {
+      if (btn) btn.disabled = count === 0;
+    });
+    if (controls.pasteBtn) controls.pasteBtn.disabled = !hasClipboard;
+    const { floraSelect } = controls;
+    if (floraSelect && !floraSelect.options.length && tc?.listFloraProfiles) {
+      floraSelect.replaceChildren(
+        ...tc.listFloraProfiles().map(({ key, label }) => {
+          const option = document.createElement('option');
+          option.value = key;
+          option.textContent = label;
+          return option;
+        })
+      );
+    }
+  } catch (error) {
+    logger.debug('Failed to render selection controls', { error: error?.message }, LOG_CATEGORY.UI);
+  }
+}
@@ -0,0 +1,133 @@
+// Terrain stamp panel — capture, paste, rotate, mirror and delete buttons plus the saved-stamp
+// list. Every function takes the GameManager as `c`.
+
+import { logger, LOG_CATEGORY } from '../../../utils/Logger.js';
+import { ErrorHandler, ERROR_SEVERITY, ERROR_CATEGORY } from '../../../utils/ErrorHandler.js';
+import { getStampControls } from '../../domHelpers.js';
+
+// ── Wiring ──────────────────────────────────────────────────────
+
+/** Bind the stamp buttons (once) and fill the library list. */
+export function bindStampControls(c) {
+  const stamp = getStampControls();
+  [
+    [stamp.captureBtn, () => captureStamp(c)],
+    [stamp.pasteBtn, () => pasteSelectedStamp(c)],
+    [stamp.rotateBtn, () => c?.terrainCoordinator?.rotateStamp()],
+    [stamp.mirrorBtn, () => c?.terrainCoordinator?.mirrorStamp()],
+    [stamp.deleteBtn, () => deleteSelectedStamp(c)],
+  ].forEach(([btn, handler]) => {
+    if (btn && !btn.dataset.boundClick) {
+      btn.addEventListener('click', handler);
+      btn.dataset.boundClick = 'true';
+    }
+  });
+  renderStampLibrary(c);
+}
+
+// ── Actions ─────────────────────────────────────────────────────
+
+/**
+ * Arm stamp capture under the typed name; the next terrain drag selects the region.
+ * Clicking again while armed cancels.
+ */
+export function captureStamp(c) {
+  try {
+    const tc = c?.terrainCoordinator;
+    if (!tc) {
+      throw new Error('Terrain system not available');
+    }
+    if (tc.stamps.mode === 'capture') {
+      tc.cancelStampMode();
+      return;
+    }
+    const name = getStampControls().nameInput?.value?.trim();
+    if (!name) {
+      throw new Error('Enter a stamp name before capturing');
+    }
+    tc.startStampCapture(name);
+  } catch (error) {
+    new ErrorHandler().handle(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.INPUT, {
+      context: 'captureStamp',
+      stage: 'stamp_capture',
+    });
+  }
+}
+
+/** Arm pasting of the stamp selected in the library list (click again to cancel). */
+export function pasteSelectedStamp(c) {
+  try {
+    const tc = c?.terrainCoordinator;
+    if (!tc) {
+      throw new Error('Terrain system not available');
+    }
+    if (tc.stamps.mode === 'paste') {
+      tc.cancelStampMode();
+      return;
+    }
+    const name = getStampControls().librarySelect?.value;
+    if (!name || !tc.startStampPaste(name)) {
+      throw new Error('Select a saved stamp to paste');
+    }
+  } catch (error) {
+    new ErrorHandler().handle(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.INPUT, {
+      context: 'pasteSelectedStamp',
+      stage: 'stamp_paste',
+    });
+  }
+}
+
+/** Delete the stamp selected in the library list after confirmation. */
+export function deleteSelectedStamp(c) {
+  try {
+    const tc = c?.terrainCoordinator;
+    const name = getStampControls().librarySelect?.value;
+    if (!tc || !name) return;
+    if (typeof window.confirm === 'function' && !window.confirm(`Delete stamp "${name}"?`)) return;
+    tc.deleteStamp(name);
+  } catch (error) {
+    new ErrorHandler().handle(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.INPUT, {
+      context: 'deleteSelectedStamp',
+      stage: 'stamp_delete',
+    });
+  }
+}
+
+// ── Rendering ───────────────────────────────────────────────────
+
+/**
+ * Refresh the stamp list and the capture/paste/mirror button states.
+ * @param {{mode?: string|null, stampName?: string|null, names?: string[]}} [detail] from the
+ *   'taverntable:stamps' event; read from the terrain coordinator when omitted
+ */
+export function renderStampLibrary(c, detail) {
+  try {
+    const tc = c?.terrainCoordinator;
+    const { librarySelect, captureBtn, pasteBtn, mirrorBtn } = getStampControls();
+    const names = detail?.names || tc?.listStamps?.() || [];
+    const mode = detail ? detail.mode : (tc?.stamps?.mode ?? null);
+    if (librarySelect) {
+      const selected = detail?.stampName || librarySelect.value;
+      librarySelect.replaceChildren(
+        ...names.map((name) => {
+          const option = document.createElement('option');
+          option.value = name;
+          option.textContent = name;
+          return option;
+        })
+      );
+      if (names.includes(selected)) librarySelect.value = selected;
+    }
+    [
+      [captureBtn, mode === 'capture'],
+      [pasteBtn, mode === 'paste'],
+      [mirrorBtn, !!tc?.stamps?.mirror],
+    ].forEach(([btn, active]) => {
+      if (!btn) return;
+      btn.classList.toggle('active', active);
+      btn.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+  } catch (error) {
+    logger.debug('Failed to render stamp library', { error: error?.message }, LOG_CATEGORY.UI);
+  }
+}
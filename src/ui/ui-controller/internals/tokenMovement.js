@@ -0,0 +1,111 @@
+// Token movement panel — movement budget, group formation, allies pass-through and the side
+// picker for selected tokens. Every function takes the GameManager as `c`.
+
+import { ErrorHandler, ERROR_SEVERITY, ERROR_CATEGORY } from '../../../utils/ErrorHandler.js';
+import { getMovementRangeControls, getGroupMovementControls } from '../../domHelpers.js';
+
+// ── Wiring ──────────────────────────────────────────────────────
+
+/** Bind the movement budget, formation, allies and side inputs (once). */
+export function bindTokenMovementControls(c) {
+  const { feetInput } = getMovementRangeControls();
+  const { formationSelect, alliesToggle, allegianceSelect } = getGroupMovementControls();
+  [
+    [feetInput, applyMovementRange],
+    [formationSelect, applyGroupFormation],
+    [alliesToggle, applyAlliesPassThrough],
+    [allegianceSelect, applyTokenAllegiance],
+  ].forEach(([input, apply]) => {
+    if (input && !input.dataset.boundTokenHandler) {
+      input.addEventListener('change', () => apply(c));
+      input.dataset.boundTokenHandler = 'true';
+    }
+  });
+}
+
+// ── Actions ─────────────────────────────────────────────────────
+
+/** Apply the movement budget input to the selected token's range overlay. */
+export function applyMovementRange(c) {
+  try {
+    const adapter = c?.token3DAdapter;
+    if (!adapter?.setMovementRangeFeet) {
+      throw new Error('3D token system not available');
+    }
+    const { feetInput } = getMovementRangeControls();
+    const feet = adapter.setMovementRangeFeet(feetInput?.value);
+    if (feetInput) feetInput.value = String(feet);
+    return feet;
+  } catch (error) {
+    new ErrorHandler().handle(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.INPUT, {
+      context: 'applyMovementRange',
+      stage: 'movement_range',
+    });
+    return undefined;
+  }
+}
+
+/** Apply the formation picker to group move orders. */
+export function applyGroupFormation(c) {
+  try {
+    const adapter = c?.token3DAdapter;
+    if (!adapter?.setGroupFormation) {
+      throw new Error('3D token system not available');
+    }
+    const { formationSelect } = getGroupMovementControls();
+    const formation = adapter.setGroupFormation(formationSelect?.value);
+    if (formationSelect) formationSelect.value = formation;
+    return formation;
+  } catch (error) {
+    new ErrorHandler().handle(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.INPUT, {
+      context: 'applyGroupFormation',
+      stage: 'group_formation',
+    });
+    return undefined;
+  }
+}
+
+/** Apply the allies pass-through toggle to token collisions. */
+export function applyAlliesPassThrough(c) {
+  try {
+    const adapter = c?.token3DAdapter;
+    if (!adapter?.setAlliesPassThrough) {
+      throw new Error('3D token system not available');
+    }
+    const { alliesToggle } = getGroupMovementControls();
+    const enabled = adapter.setAlliesPassThrough(!!alliesToggle?.checked);
+    if (alliesToggle) alliesToggle.checked = enabled;
+    return enabled;
+  } catch (error) {
+    new ErrorHandler().handle(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.INPUT, {
+      context: 'applyAlliesPassThrough',
+      stage: 'token_occupancy',
+    });
+    return undefined;
+  }
+}
+
+/**
+ * Put the selected tokens on the side chosen in the side picker, then reset the picker.
+ * @returns {number|undefined} tokens updated
+ */
+export function applyTokenAllegiance(c) {
+  try {
+    if (!c?.setTokenAllegiance) {
+      throw new Error('Game manager not available');
+    }
+    const { allegianceSelect } = getGroupMovementControls();
+    const allegiance = allegianceSelect?.value;
+    if (!allegiance) return 0;
+    const tokens = c.token3DAdapter?.getSelectedTokens?.() || [];
+    const updated = tokens.filter((token) => c.setTokenAllegiance(token, allegiance)).length;
+    allegianceSelect.value = '';
+    return updated;
+  } catch (error) {
+    new ErrorHandler().handle(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.INPUT, {
+      context: 'applyTokenAllegiance',
+      stage: 'token_occupancy',
+    });
+    return undefined;
+  }
+}
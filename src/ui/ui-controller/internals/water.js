@@ -0,0 +1,74 @@
+// Standing water panel — flood the map below a level, drain it, and report how many tokens are
+// wading or swimming. Every function takes the GameManager as `c`.
+
+import { logger, LOG_CATEGORY } from '../../../utils/Logger.js';
+import { ErrorHandler, ERROR_SEVERITY, ERROR_CATEGORY } from '../../../utils/ErrorHandler.js';
+import { getWaterControls } from '../../domHelpers.js';
+
+// ── Wiring ──────────────────────────────────────────────────────
+
+/** Bind the flood toggle and level input (once) and render the panel. */
+export function bindWaterControls(c) {
+  const water = getWaterControls();
+  [water.enabledToggle, water.levelInput].forEach((input) => {
+    if (input && !input.dataset.boundTerrainHandler) {
+      input.addEventListener('change', () => applyWaterLevel(c));
+      input.dataset.boundTerrainHandler = 'true';
+    }
+  });
+  renderWaterControls(c);
+}
+
+// ── Actions ─────────────────────────────────────────────────────
+
+/**
+ * Apply the water toggle and level inputs: flood below the level, or drain the map.
+ * @returns {number|null|undefined} the level applied
+ */
+export function applyWaterLevel(c) {
+  try {
+    const tc = c?.terrainCoordinator;
+    if (!tc) {
+      throw new Error('Terrain system not available');
+    }
+    const { enabledToggle, levelInput } = getWaterControls();
+    return tc.setWaterLevel(enabledToggle?.checked ? levelInput?.value : null);
+  } catch (error) {
+    new ErrorHandler().handle(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.INPUT, {
+      context: 'applyWaterLevel',
+      stage: 'water_level',
+    });
+    return undefined;
+  }
+}
+
+// ── Rendering ───────────────────────────────────────────────────
+
+/**
+ * Reflect the water level in its inputs and show how many tokens are in the water.
+ * @param {{waterLevel?: number|null, wading?: number, swimming?: number}} [detail] from the
+ *   'taverntable:water' event; read from the terrain coordinator when omitted
+ */
+export function renderWaterControls(c, detail) {
+  try {
+    const tc = c?.terrainCoordinator;
+    const controls = getWaterControls();
+    const level = detail ? detail.waterLevel : (tc?.getWaterLevel?.() ?? null);
+    const tokens = c?.placedTokens || [];
+    const wading = detail?.wading ?? tokens.filter((t) => t?.waterState === 'wading').length;
+    const swimming = detail?.swimming ?? tokens.filter((t) => t?.waterState === 'swimming').length;
+    const flooded = Number.isFinite(level);
+    if (controls.enabledToggle) controls.enabledToggle.checked = flooded;
+    if (controls.levelInput && flooded) controls.levelInput.value = String(level);
+    if (controls.statusLabel) {
+      const inWater = [wading && `${wading} wading`, swimming && `${swimming} swimming`]
+        .filter(Boolean)
+        .join(', ');
+      controls.statusLabel.textContent = flooded
+        ? `Water at level ${level}${inWater ? ` · ${inWater}` : ''}`
+        : 'Dry map';
+    }
+  } catch (error) {
+    logger.debug('Failed to render water controls', { error: error?.message }, LOG_CATEGORY.UI);
+  }
+}
@@ -0,0 +1,97 @@
+// River and road panel — carve a river between two edges, toggle the two-click road tool and
+// clear every river and road surface. Every function takes the GameManager as `c`.
+
+import { logger, LOG_CATEGORY } from '../../../utils/Logger.js';
+import { ErrorHandler, ERROR_SEVERITY, ERROR_CATEGORY } from '../../../utils/ErrorHandler.js';
+import { getWaterwayControls } from '../../domHelpers.js';
+
+// ── Wiring ──────────────────────────────────────────────────────
+
+/** Bind the river, road and clear buttons (once) and render the panel. */
+export function bindWaterwayControls(c) {
+  const ww = getWaterwayControls();
+  [
+    [ww.carveBtn, () => applyWaterwayAction(c, 'river')],
+    [ww.roadBtn, () => applyWaterwayAction(c, 'road')],
+    [ww.clearBtn, () => applyWaterwayAction(c, 'clear')],
+  ].forEach(([btn, handler]) => {
+    if (btn && !btn.dataset.boundClick) {
+      btn.addEventListener('click', handler);
+      btn.dataset.boundClick = 'true';
+    }
+  });
+  renderWaterwayControls(c);
+}
+
+// ── Actions ─────────────────────────────────────────────────────
+
+/**
+ * Carve a river between the chosen edges, toggle the two-click road tool, or clear all river
+ * and road surfaces.
+ * @param {'river'|'road'|'clear'} action
+ */
+export function applyWaterwayAction(c, action) {
+  try {
+    const tc = c?.terrainCoordinator;
+    if (!tc) {
+      throw new Error('Terrain system not available');
+    }
+    switch (action) {
+      case 'river': {
+        const { sourceSelect, mouthSelect } = getWaterwayControls();
+        const source = sourceSelect?.value || 'north';
+        const mouth = mouthSelect?.value || 'south';
+        if (source === mouth) {
+          throw new Error('Pick two different edges for the river');
+        }
+        return tc.carveRiver({ source, mouth });
+      }
+      case 'road':
+        return tc.roads.isActive() ? tc.cancelRoadTool() : tc.startRoadTool();
+      case 'clear':
+        return tc.clearSurfaces();
+      default:
+        throw new Error(`Unknown waterway action: ${action}`);
+    }
+  } catch (error) {
+    new ErrorHandler().handle(error, ERROR_SEVERITY.LOW, ERROR_CATEGORY.INPUT, {
+      context: 'applyWaterwayAction',
+      stage: 'waterway_action',
+      action,
+    });
+    return undefined;
+  }
+}
+
+// ── Rendering ───────────────────────────────────────────────────
+
+/**
+ * Refresh the road tool button and the river/road status line.
+ * @param {{roadTool?: boolean, hasRoadStart?: boolean, surfaces?: number}} [detail] from the
+ *   'taverntable:waterways' event; read from the terrain coordinator when omitted
+ */
+export function renderWaterwayControls(c, detail) {
+  try {
+    const tc = c?.terrainCoordinator;
+    const controls = getWaterwayControls();
+    const roadTool = detail?.roadTool ?? !!tc?.roads?.isActive?.();
+    const hasRoadStart = detail?.hasRoadStart ?? !!tc?.roads?.start;
+    const surfaces = detail?.surfaces ?? tc?.dataStore?.listSurfaces?.().length ?? 0;
+    if (controls.roadBtn) {
+      controls.roadBtn.classList.toggle('active', roadTool);
+      controls.roadBtn.setAttribute('aria-pressed', roadTool ? 'true' : 'false');
+    }
+    if (controls.clearBtn) controls.clearBtn.disabled = surfaces === 0;
+    if (controls.statusLabel) {
+      controls.statusLabel.textContent = roadTool
+        ? hasRoadStart
+          ? 'Click where the road ends'
+          : 'Click where the road starts'
+        : surfaces
+          ? `${surfaces} river/road tile${surfaces === 1 ? '' : 's'}`
+          : 'No rivers or roads';
+    }
+  } catch (error) {
+    logger.debug('Failed to render waterway controls', { error: error?.message }, LOG_CATEGORY.UI);
+  }
+}
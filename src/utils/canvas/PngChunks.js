@@ -0,0 +1,94 @@
+/**
+ * PngChunks
+ * Minimal helpers for reading and writing PNG chunk streams (no image decoding).
+ */
+
+export const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const INCHES_PER_METER = 39.3701;
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {boolean} true if the bytes start with the PNG signature
+ */
+export function hasPngSignature(bytes) {
+  return PNG_SIGNATURE.every((b, i) => bytes[i] === b);
+}
+
+/**
+ * Build one length-prefixed, CRC-terminated chunk.
+ * @param {string} type four-character chunk type
+ * @param {Uint8Array} body
+ * @returns {Uint8Array}
+ */
+export function pngChunk(type, body) {
+  const chunk = new Uint8Array(12 + body.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, body.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(body, 8);
+  view.setUint32(8 + body.length, crc32(chunk.subarray(4, 8 + body.length)));
+  return chunk;
+}
+
+/**
+ * Set the physical pixel density (pHYs chunk) so printers honour the intended scale.
+ * Any existing pHYs chunk is replaced.
+ * @param {Uint8Array} bytes PNG file
+ * @param {number} dpi pixels per inch
+ * @returns {Uint8Array} new PNG file
+ */
+export function setPngPixelsPerInch(bytes, dpi) {
+  if (!hasPngSignature(bytes)) throw new Error('Data is not a PNG image');
+  const ppm = Math.round(dpi * INCHES_PER_METER);
+  const body = new Uint8Array(9);
+  const bodyView = new DataView(body.buffer);
+  bodyView.setUint32(0, ppm);
+  bodyView.setUint32(4, ppm);
+  body[8] = 1; // unit: meter
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const parts = [bytes.subarray(0, PNG_SIGNATURE.length)];
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const end = offset + 12 + length;
+    if (type !== 'pHYs') parts.push(bytes.subarray(offset, end));
+    // pHYs must precede the image data; IHDR is always first
+    if (type === 'IHDR') parts.push(pngChunk('pHYs', body));
+    offset = end;
+  }
+  return concatBytes(parts);
+}
+
+/**
+ * @param {Uint8Array[]} parts
+ * @returns {Uint8Array}
+ */
+export function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+// ── CRC ──────────────────────────────────────────────────────
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
@@ -144,7 +144,7 @@ export class ErrorNotificationManager {
         const reloadBtn = document.createElement('button');
         reloadBtn.className = 'tavern-error-button';
         reloadBtn.textContent = 'Reload';
-        reloadBtn.onclick = () => window.location.reload();
+        reloadBtn.onclick = () => this.handleReload(errorEntry);
         actions.appendChild(reloadBtn);
         break;
       }
@@ -160,6 +160,13 @@ export class ErrorNotificationManager {
     this.dismiss(errorEntry.id);
   }
 
+  handleReload(errorEntry) {
+    // Lets listeners (e.g. autosave) know this page exit is a recovery, not a clean shutdown
+    const reloadEvent = new CustomEvent('errorReload', { detail: { errorEntry } });
+    window.dispatchEvent(reloadEvent);
+    window.location.reload();
+  }
+
   // ── Dismiss & Cleanup ─────────────────────────────────
   dismiss(errorId) {
     const notification = this.activeNotifications.get(errorId);
@@ -0,0 +1,136 @@
+// GridSearch.js - Cheapest-path search (Dijkstra / A*) over a cols x rows tile grid.
+// Shared by the waterway generator, token pathfinding and movement ranges; callers supply the
+// step costs.
+
+/** 4-connected steps: every step crosses a shared tile edge. */
+export const GRID_STEPS_4 = [
+  [1, 0],
+  [-1, 0],
+  [0, 1],
+  [0, -1],
+];
+
+/** 8-connected steps: the 4 edge steps followed by the diagonals. */
+export const GRID_STEPS_8 = [...GRID_STEPS_4, [1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+// ── Helpers ────────────────────────────────────────────
+
+// Binary min-heap of [cost, index] pairs
+function heapPush(heap, item) {
+  heap.push(item);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent][0] <= heap[i][0]) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const l = 2 * i + 1;
+      const r = l + 1;
+      let m = i;
+      if (l < heap.length && heap[l][0] < heap[m][0]) m = l;
+      if (r < heap.length && heap[r][0] < heap[m][0]) m = r;
+      if (m === i) break;
+      [heap[m], heap[i]] = [heap[i], heap[m]];
+      i = m;
+    }
+  }
+  return top;
+}
+
+// ── Public API ─────────────────────────────────────────
+
+/**
+ * Cheapest path from any start tile to any goal tile.
+ * @param {{cols:number, rows:number}} size
+ * @param {Array<{x:number,y:number}>} starts
+ * @param {(x:number, y:number) => boolean} isGoal
+ * @param {(ax:number, ay:number, bx:number, by:number) => number} stepCost - positive;
+ *   Infinity forbids the step
+ * @param {{heuristic?: (x:number, y:number) => number, steps?: number[][]}} [options]
+ *   heuristic is an admissible estimate to the nearest goal; steps defaults to GRID_STEPS_4
+ * @returns {Array<{x:number,y:number}>|null} start to goal, or null when unreachable
+ */
+export function cheapestGridPath({ cols, rows }, starts, isGoal, stepCost, options = {}) {
+  const { heuristic = () => 0, steps = GRID_STEPS_4 } = options;
+  const cost = new Float64Array(cols * rows).fill(Infinity);
+  const from = new Int32Array(cols * rows).fill(-1);
+  const heap = [];
+  for (const { x, y } of starts) {
+    const i = y * cols + x;
+    cost[i] = 0;
+    heapPush(heap, [heuristic(x, y), i]);
+  }
+  while (heap.length) {
+    const [estimate, i] = heapPop(heap);
+    const x = i % cols;
+    const y = (i - x) / cols;
+    if (estimate > cost[i] + heuristic(x, y)) continue; // superseded by a cheaper entry
+    if (isGoal(x, y)) {
+      const path = [];
+      for (let k = i; k !== -1; k = from[k]) path.push({ x: k % cols, y: Math.floor(k / cols) });
+      return path.reverse();
+    }
+    for (const [dx, dy] of steps) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) continue;
+      const j = ny * cols + nx;
+      const next = cost[i] + stepCost(x, y, nx, ny);
+      if (next < cost[j]) {
+        cost[j] = next;
+        from[j] = i;
+        heapPush(heap, [next + heuristic(nx, ny), j]);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Cost of the cheapest path from the start tiles to every tile within a budget (Dijkstra flood).
+ * @param {{cols:number, rows:number}} size
+ * @param {Array<{x:number,y:number}>} starts
+ * @param {(ax:number, ay:number, bx:number, by:number) => number} stepCost - positive;
+ *   Infinity forbids the step
+ * @param {{maxCost?: number, steps?: number[][]}} [options] tiles costing more than maxCost are
+ *   left unreached; steps defaults to GRID_STEPS_4
+ * @returns {Float64Array} cost per tile (index y * cols + x), Infinity when unreached
+ */
+export function gridCostField({ cols, rows }, starts, stepCost, options = {}) {
+  const { maxCost = Infinity, steps = GRID_STEPS_4 } = options;
+  const cost = new Float64Array(cols * rows).fill(Infinity);
+  const heap = [];
+  for (const { x, y } of starts) {
+    const i = y * cols + x;
+    cost[i] = 0;
+    heapPush(heap, [0, i]);
+  }
+  while (heap.length) {
+    const [reached, i] = heapPop(heap);
+    if (reached > cost[i]) continue; // superseded by a cheaper entry
+    const x = i % cols;
+    const y = (i - x) / cols;
+    for (const [dx, dy] of steps) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) continue;
+      const j = ny * cols + nx;
+      const next = reached + stepCost(x, y, nx, ny);
+      if (next <= maxCost && next < cost[j]) {
+        cost[j] = next;
+        heapPush(heap, [next, j]);
+      }
+    }
+  }
+  return cost;
+}
@@ -0,0 +1,285 @@
+/**
+ * HeightmapCodec.js - Height fields to/from grayscale PNG and CSV
+ *
+ * Pure encode/decode helpers so height fields can round-trip through external map tools.
+ * Height fields are row-major arrays indexed [y][x]. PNGs are written as 16-bit grayscale
+ * with `min..max` mapped linearly onto the full pixel range; reading also accepts 8-bit
+ * and color images (luminance is used). zlib (de)compression defaults to the browser's
+ * CompressionStream/DecompressionStream and can be injected for other environments.
+ */
+
+import { PNG_SIGNATURE, hasPngSignature, pngChunk, concatBytes } from '../canvas/PngChunks.js';
+
+// ── Constants ──────────────────────────────────────────────────
+const COLOR_TYPE_CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+const CSV_SEPARATOR = /[,;\t ]+/;
+
+// ── CSV ────────────────────────────────────────────────────────
+
+/**
+ * @param {number[][]} field
+ * @returns {string} one line per row, comma-separated
+ */
+export function encodeHeightCSV(field) {
+  return field.map((row) => row.join(',')).join('\n') + '\n';
+}
+
+/**
+ * Parse rows of numbers separated by commas, semicolons, tabs or spaces. Blank lines and
+ * lines starting with `#` are skipped.
+ * @param {string} text
+ * @returns {number[][]} parsed rows (values may be NaN where cells were not numeric)
+ * @throws {Error} When the text contains no rows
+ */
+export function decodeHeightCSV(text) {
+  const rows = String(text ?? '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'))
+    .map((line) => line.split(CSV_SEPARATOR).map((cell) => Number(cell)));
+  if (!rows.length) {
+    throw new Error('Heightmap CSV contains no rows');
+  }
+  return rows;
+}
+
+// ── PNG ────────────────────────────────────────────────────────
+
+/**
+ * Encode a height field as a 16-bit grayscale PNG.
+ * @param {number[][]} field
+ * @param {{min: number, max: number, deflate?: Function}} options deflate(bytes) returns
+ *   zlib-wrapped bytes (or a promise of them)
+ * @returns {Promise<Uint8Array>}
+ */
+export async function encodeHeightPNG(field, options) {
+  const { min, max } = options;
+  const deflate = options.deflate || deflateWithStream;
+  const height = field.length;
+  const width = field[0]?.length || 0;
+  if (!width || !height) throw new Error('Cannot encode an empty height field');
+
+  const span = max - min || 1;
+  const stride = width * 2 + 1;
+  const raw = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const offset = y * stride; // filter byte 0 (None) stays zero
+    for (let x = 0; x < width; x++) {
+      const t = Math.max(0, Math.min(1, (field[y][x] - min) / span));
+      const value = Math.round(t * 0xffff);
+      raw[offset + 1 + x * 2] = value >> 8;
+      raw[offset + 2 + x * 2] = value & 0xff;
+    }
+  }
+
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  header[8] = 16; // bit depth
+  header[9] = 0; // grayscale
+
+  return concatBytes([
+    Uint8Array.from(PNG_SIGNATURE),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', await deflate(raw)),
+    pngChunk('IEND', new Uint8Array(0)),
+  ]);
+}
+
+/**
+ * Decode a PNG into a height field, mapping the pixel range back onto `min..max`.
+ * @param {Uint8Array|ArrayBuffer} bytes
+ * @param {{min: number, max: number, inflate?: Function}} options
+ * @returns {Promise<number[][]>} heights (not rounded)
+ * @throws {Error} When the data is not a PNG or uses an unsupported layout
+ */
+export async function decodeHeightPNG(bytes, options) {
+  const { min, max } = options;
+  const inflate = options.inflate || inflateWithStream;
+  const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  if (!hasPngSignature(data)) {
+    throw new Error('Heightmap file is not a PNG image');
+  }
+
+  const { header, idat } = readChunks(data);
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = COLOR_TYPE_CHANNELS[colorType];
+  if (!channels || (bitDepth !== 8 && bitDepth !== 16)) {
+    throw new Error(`Unsupported PNG format (color type ${colorType}, ${bitDepth}-bit)`);
+  }
+  if (interlace !== 0) {
+    throw new Error('Interlaced PNG heightmaps are not supported');
+  }
+
+  const bytesPerSample = bitDepth / 8;
+  const bpp = channels * bytesPerSample;
+  const stride = width * bpp;
+  const pixels = unfilter(await inflate(idat), width, height, bpp);
+  const maxSample = bitDepth === 16 ? 0xffff : 0xff;
+  const sample = (offset) =>
+    bytesPerSample === 2 ? (pixels[offset] << 8) | pixels[offset + 1] : pixels[offset];
+
+  const field = [];
+  for (let y = 0; y < height; y++) {
+    const row = new Array(width);
+    for (let x = 0; x < width; x++) {
+      const offset = y * stride + x * bpp;
+      let value;
+      if (channels >= 3) {
+        value =
+          0.299 * sample(offset) +
+          0.587 * sample(offset + bytesPerSample) +
+          0.114 * sample(offset + 2 * bytesPerSample);
+      } else {
+        value = sample(offset);
+      }
+      row[x] = min + (value / maxSample) * (max - min);
+    }
+    field.push(row);
+  }
+  return field;
+}
+
+// ── Resampling ─────────────────────────────────────────────────
+
+/**
+ * Bilinearly resample a height field to `cols x rows`. Corners map onto corners so edges
+ * are preserved. Non-finite source cells count as `fallback`.
+ * @param {number[][]} field
+ * @param {number} cols
+ * @param {number} rows
+ * @param {number} [fallback=0]
+ * @returns {number[][]}
+ */
+export function resampleHeightField(field, cols, rows, fallback = 0) {
+  const srcRows = field.length;
+  const srcCols = field[0]?.length || 0;
+  const at = (x, y) => {
+    const v = field[y]?.[x];
+    return Number.isFinite(v) ? v : fallback;
+  };
+  if (srcRows === rows && srcCols === cols) {
+    return field.map((row, y) => row.map((_, x) => at(x, y)));
+  }
+  const scaleX = cols > 1 ? (srcCols - 1) / (cols - 1) : 0;
+  const scaleY = rows > 1 ? (srcRows - 1) / (rows - 1) : 0;
+  const out = [];
+  for (let y = 0; y < rows; y++) {
+    const sy = y * scaleY;
+    const y0 = Math.floor(sy);
+    const y1 = Math.min(srcRows - 1, y0 + 1);
+    const ty = sy - y0;
+    const row = new Array(cols);
+    for (let x = 0; x < cols; x++) {
+      const sx = x * scaleX;
+      const x0 = Math.floor(sx);
+      const x1 = Math.min(srcCols - 1, x0 + 1);
+      const tx = sx - x0;
+      const top = at(x0, y0) * (1 - tx) + at(x1, y0) * tx;
+      const bottom = at(x0, y1) * (1 - tx) + at(x1, y1) * tx;
+      row[x] = top * (1 - ty) + bottom * ty;
+    }
+    out.push(row);
+  }
+  return out;
+}
+
+// ── Private Helpers (PNG chunks) ───────────────────────────────
+
+function readChunks(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  let header = null;
+  const idatParts = [];
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 8 <= data.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...data.subarray(offset + 4, offset + 8));
+    const body = data.subarray(offset + 8, offset + 8 + length);
+    if (body.length !== length) throw new Error('PNG data is truncated');
+    if (type === 'IHDR') {
+      header = {
+        width: view.getUint32(offset + 8),
+        height: view.getUint32(offset + 12),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlace: body[12],
+      };
+    } else if (type === 'IDAT') {
+      idatParts.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+  if (!header || !header.width || !header.height) throw new Error('PNG header is missing');
+  if (!idatParts.length) throw new Error('PNG contains no image data');
+  return { header, idat: concatBytes(idatParts) };
+}
+
+/** Reverse the per-scanline PNG filters (None, Sub, Up, Average, Paeth). */
+function unfilter(raw, width, height, bpp) {
+  const stride = width * bpp;
+  if (raw.length < (stride + 1) * height) throw new Error('PNG image data is truncated');
+  const out = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const dst = y * stride;
+    for (let i = 0; i < stride; i++) {
+      const left = i >= bpp ? out[dst + i - bpp] : 0;
+      const up = y > 0 ? out[dst - stride + i] : 0;
+      const upLeft = y > 0 && i >= bpp ? out[dst - stride + i - bpp] : 0;
+      let predictor;
+      switch (filter) {
+        case 0:
+          predictor = 0;
+          break;
+        case 1:
+          predictor = left;
+          break;
+        case 2:
+          predictor = up;
+          break;
+        case 3:
+          predictor = (left + up) >> 1;
+          break;
+        case 4:
+          predictor = paeth(left, up, upLeft);
+          break;
+        default:
+          throw new Error(`Unknown PNG filter type ${filter}`);
+      }
+      out[dst + i] = (raw[src + i] + predictor) & 0xff;
+    }
+  }
+  return out;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// ── Private Helpers (zlib) ─────────────────────────────────────
+
+async function deflateWithStream(bytes) {
+  return pipeThrough(bytes, 'CompressionStream');
+}
+
+async function inflateWithStream(bytes) {
+  return pipeThrough(bytes, 'DecompressionStream');
+}
+
+async function pipeThrough(bytes, streamName) {
+  const Stream = globalThis[streamName];
+  if (typeof Stream !== 'function' || typeof Response !== 'function') {
+    throw new Error(`${streamName} is not available in this environment`);
+  }
+  const stream = new Response(bytes).body.pipeThrough(new Stream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
@@ -548,6 +548,65 @@ export class TerrainValidation {
     }
   }
 
+  /**
+   * Validate an externally supplied height field (e.g. an imported heightmap)
+   * @param {any} field - Candidate rows x cols height array indexed [y][x]
+   * @param {Object} [bounds] - Optional expected cols and rows
+   * @returns {Object} Validation result with isValid flag and details
+   */
+  static validateHeightField(field, bounds = {}) {
+    const result = {
+      isValid: true,
+      errors: [],
+      warnings: [],
+      details: {},
+    };
+
+    try {
+      if (!TerrainHeightUtils.isValidHeightArray(field)) {
+        result.isValid = false;
+        result.errors.push('Height field must be a rectangular array of finite numbers');
+        return result;
+      }
+
+      const rows = field.length;
+      const cols = field[0].length;
+      if (Number.isInteger(bounds.cols) && cols !== bounds.cols) {
+        result.errors.push(`Height field has ${cols} columns, expected ${bounds.cols}`);
+        result.isValid = false;
+      }
+      if (Number.isInteger(bounds.rows) && rows !== bounds.rows) {
+        result.errors.push(`Height field has ${rows} rows, expected ${bounds.rows}`);
+        result.isValid = false;
+      }
+
+      let outOfRange = 0;
+      for (const row of field) {
+        for (const height of row) {
+          if (!TerrainHeightUtils.isValidHeight(height)) outOfRange++;
+        }
+      }
+      if (outOfRange > 0) {
+        result.warnings.push(
+          `${outOfRange} height(s) outside [${TERRAIN_CONFIG.MIN_HEIGHT}, ${TERRAIN_CONFIG.MAX_HEIGHT}] will be clamped`
+        );
+      }
+
+      result.details = { cols, rows, outOfRange };
+      return result;
+    } catch (error) {
+      result.isValid = false;
+      result.errors.push(`Height field validation error: ${error.message}`);
+
+      logger.log(LOG_LEVEL.ERROR, 'Error validating height field', LOG_CATEGORY.SYSTEM, {
+        context: 'TerrainValidation.validateHeightField',
+        error: error.message,
+      });
+
+      return result;
+    }
+  }
+
   /**
    * Get a formatted error message from validation result
    * @param {Object} validationResult - Result from any validation method
@@ -0,0 +1,22 @@
+// tests/fixtures/heightStore.js
+// In-memory height field with the get/set/cols/rows surface of TerrainDataStore, shared by the
+// brush, sculpt, path, stamp and selection suites.
+
+/** Store over a copy of the given rows of height levels. */
+export function makeStore(heights) {
+  const field = heights.map((row) => [...row]);
+  return {
+    field,
+    rows: field.length,
+    cols: field[0].length,
+    get: (x, y) => field[y][x],
+    set: (x, y, v) => {
+      field[y][x] = v;
+    },
+  };
+}
+
+/** Store of `cols` x `rows` tiles, all at `level`. */
+export function makeFlatStore(cols, rows, level = 0) {
+  return makeStore(Array.from({ length: rows }, () => new Array(cols).fill(level)));
+}
@@ -0,0 +1,86 @@
+// tests/fixtures/sceneGameManager.js
+// Headless GameManager with in-memory terrain and token managers, shared by the scene
+// save/load and undo/redo suites, plus a real terrain coordinator for the generation suites.
+
+import { GameManager } from '../../src/core/GameManager.js';
+import { TerrainGenerationService } from '../../src/coordinators/terrain-coordinator/TerrainGenerationService.js';
+
+function buildFakeTerrainManager(gm) {
+  return {
+    gameManager: gm,
+    placeables: new Map(),
+    placeItem(id, x, y) {
+      const key = `${x},${y}`;
+      if (!this.placeables.has(key)) this.placeables.set(key, []);
+      this.placeables.get(key).push({
+        placeableId: id,
+        placeableType: 'plant',
+        gridX: x,
+        gridY: y,
+        placeableVariantIndex: 0,
+      });
+      return true;
+    },
+    removeTerrainItem(x, y) {
+      return this.placeables.delete(`${x},${y}`);
+    },
+    async cyclePlaceableVariant(x, y, id, index) {
+      const rec = this.placeables.get(`${x},${y}`)?.find((p) => p.placeableId === id);
+      if (rec) rec.placeableVariantIndex = index;
+      return !!rec;
+    },
+  };
+}
+
+function buildFakeTokenManager() {
+  return {
+    placedTokens: [],
+    getPlacedTokens() {
+      return this.placedTokens;
+    },
+    placeTokenOfType(type, gridX, gridY) {
+      this.placedTokens.push({ type, gridX, gridY, facingAngle: 0, creature: {} });
+    },
+    findExistingTokenAt(gridX, gridY) {
+      return this.placedTokens.find((t) => t.gridX === gridX && t.gridY === gridY) || null;
+    },
+    removeToken(token) {
+      this.placedTokens = this.placedTokens.filter((t) => t !== token);
+    },
+    validateTokenPositions() {},
+    rotateToken(token, delta) {
+      token.facingAngle += delta;
+      return token.facingAngle;
+    },
+  };
+}
+
+export function buildGM(cols = 10, rows = 8) {
+  const gm = new GameManager({ cols, rows });
+  gm.terrainManager = buildFakeTerrainManager(gm);
+  gm.tokenManager = buildFakeTokenManager();
+  // Skip tile repaint in headless tests; heights still land in the data store
+  gm.terrainCoordinator.terrainManager = null;
+  return gm;
+}
+
+/**
+ * Terrain coordinator of a fresh GameManager whose background generation runs on the main
+ * thread (no worker), so background and synchronous generation give the same map.
+ * @param {{seed?: number}} [options] biome seed to start from
+ */
+export function buildTerrainCoordinator(rows = 24, cols = 24, { seed } = {}) {
+  const c = new GameManager({ rows, cols }).terrainCoordinator;
+  c._generationService = new TerrainGenerationService({ createWorker: null });
+  if (Number.isFinite(seed)) c.setBiomeSeed(seed);
+  return c;
+}
+
+/** Sorted `x,y:id` keys of every plant the coordinator's terrain manager holds. */
+export function listPlants(c) {
+  const plants = [];
+  for (const arr of c.terrainManager?.placeables?.values() || []) {
+    for (const s of arr) if (s.placeableType === 'plant') plants.push(`${s.x},${s.y}:${s.id}`);
+  }
+  return plants.sort();
+}
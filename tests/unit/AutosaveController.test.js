@@ -0,0 +1,156 @@
+// Autosave snapshots and unclean-shutdown detection (in-memory store, no IndexedDB)
+
+import { AutosaveController } from '../../src/coordinators/persistence-coordinator/AutosaveController.js';
+import { AUTOSAVE_CONFIG } from '../../src/config/GameConstants.js';
+
+function buildMemoryStore() {
+  let nextId = 1;
+  const records = [];
+  return {
+    records,
+    async put(snapshot) {
+      const id = nextId++;
+      records.push({ ...snapshot, id });
+      return id;
+    },
+    async list() {
+      return [...records].sort((a, b) => b.id - a.id);
+    },
+    async latest() {
+      return (await this.list())[0] || null;
+    },
+    async prune(keep) {
+      const stale = (await this.list()).slice(keep);
+      stale.forEach((s) => records.splice(records.indexOf(s), 1));
+      return stale.length;
+    },
+  };
+}
+
+function buildMemoryStorage(initial = {}) {
+  const data = { ...initial };
+  return {
+    data,
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => {
+      data[key] = String(value);
+    },
+  };
+}
+
+function buildCoordinator() {
+  const scene = { tokens: [] };
+  let tick = 0;
+  return {
+    scene,
+    exportScene: jest.fn(() => ({
+      savedAt: `2025-01-01T00:00:0${tick++}.000Z`,
+      tokens: [...scene.tokens],
+    })),
+    importScene: jest.fn(async (doc) => {
+      scene.tokens = [...doc.tokens];
+      return { tokens: doc.tokens.length, placeables: 0, skipped: [], repairs: [] };
+    }),
+  };
+}
+
+function buildController(overrides = {}) {
+  const store = overrides.store || buildMemoryStore();
+  const storage = overrides.storage || buildMemoryStorage();
+  const coordinator = buildCoordinator();
+  const target = new EventTarget();
+  const controller = new AutosaveController(coordinator, {
+    openStore: async () => store,
+    storage,
+    target,
+    intervalMs: 0,
+    debounceMs: 50,
+    maxSnapshots: 3,
+  });
+  return { controller, coordinator, store, storage, target };
+}
+
+const KEY = AUTOSAVE_CONFIG.SESSION_STORAGE_KEY;
+
+describe('AutosaveController', () => {
+  test('writes snapshots only when the table changed and keeps a rolling history', async () => {
+    const { controller, coordinator, store } = buildController();
+    await controller.beginSession();
+
+    expect(await controller.saveNow()).toBe(1);
+    // Same content, different timestamp: skipped
+    expect(await controller.saveNow()).toBeNull();
+
+    for (let i = 0; i < 4; i++) {
+      coordinator.scene.tokens.push({ type: 'mannequin', gridX: i, gridY: 0 });
+      await controller.saveNow('change');
+    }
+
+    const history = await controller.listSnapshots();
+    expect(history.map((s) => s.id)).toEqual([5, 4, 3]);
+    expect(history[0]).toMatchObject({ reason: 'change' });
+    expect(history[0].document.tokens).toHaveLength(4);
+    expect(store.records).toHaveLength(3);
+  });
+
+  test('detects an unclean previous session and offers its newest snapshot', async () => {
+    const store = buildMemoryStore();
+    await store.put({ savedAt: 'a', reason: 'interval', document: { tokens: [] } });
+    await store.put({ savedAt: 'b', reason: 'change', document: { tokens: [{ gridX: 1 }] } });
+    const storage = buildMemoryStorage({ [KEY]: JSON.stringify({ state: 'open' }) });
+    const { controller, coordinator } = buildController({ store, storage });
+
+    const { uncleanShutdown, snapshot } = await controller.beginSession();
+
+    expect(uncleanShutdown).toBe(true);
+    expect(snapshot.savedAt).toBe('b');
+    expect(JSON.parse(storage.data[KEY]).state).toBe('open');
+
+    await controller.restore(snapshot);
+    expect(coordinator.importScene).toHaveBeenCalledWith(snapshot.document, { repair: true });
+    // Restored content is not re-saved as a new snapshot
+    expect(await controller.saveNow()).toBeNull();
+  });
+
+  test('clean exits clear the marker, error-recovery reloads do not', async () => {
+    const clean = buildController({
+      storage: buildMemoryStorage({ [KEY]: JSON.stringify({ state: 'closed' }) }),
+    });
+    expect((await clean.controller.beginSession()).uncleanShutdown).toBe(false);
+    clean.controller.start();
+    clean.target.dispatchEvent(new Event('pagehide'));
+    expect(JSON.parse(clean.storage.data[KEY]).state).toBe('closed');
+    clean.controller.stop();
+
+    const crashed = buildController();
+    await crashed.controller.beginSession();
+    crashed.controller.start();
+    crashed.target.dispatchEvent(new Event('errorReload'));
+    crashed.target.dispatchEvent(new Event('pagehide'));
+    expect(JSON.parse(crashed.storage.data[KEY]).state).toBe('open');
+    crashed.controller.stop();
+  });
+
+  test('debounces change events into a single snapshot', async () => {
+    jest.useFakeTimers();
+    try {
+      const { controller, coordinator, target, store } = buildController();
+      await controller.beginSession();
+      controller.start();
+
+      coordinator.scene.tokens.push({ type: 'mannequin', gridX: 0, gridY: 0 });
+      target.dispatchEvent(new Event('pointerup'));
+      target.dispatchEvent(new Event('keyup'));
+      target.dispatchEvent(new Event('pointerup'));
+      expect(coordinator.exportScene).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(60);
+
+      expect(coordinator.exportScene).toHaveBeenCalledTimes(1);
+      expect(store.records).toHaveLength(1);
+      controller.stop();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,118 @@
+import {
+  computeBiomeWeights,
+  listBlendBiomes,
+  getBiomeWeight,
+  blendBiomeColors,
+  blendBiomeHeights,
+} from '../../src/terrain/biomes/BiomeRegions.js';
+import { BiomePaintController } from '../../src/terrain/biomes/BiomePaintController.js';
+import { TerrainDataStore } from '../../src/terrain/TerrainDataStore.js';
+import { HistoryCoordinator } from '../../src/coordinators/HistoryCoordinator.js';
+import {
+  getBiomeBlendAt,
+  generateRegionElevationField,
+  paintBiomeAt,
+  clearBiomeRegions,
+  loadBiomeRegions,
+} from '../../src/coordinators/terrain-coordinator/internals/regions.js';
+
+// 5x1 strip: grassland on the left, desert painted on the right
+const STRIP = ['grassland', 'grassland', 'desertHot', 'desertHot', 'desertHot'];
+
+describe('BiomeRegions', () => {
+  test('weights fade across a boundary and favour the tile biome first', () => {
+    const weights = computeBiomeWeights((x) => STRIP[x], 5, 1, 1);
+    // Away from the boundary a tile is pure
+    expect(weights[0][4]).toEqual([{ biome: 'desertHot', weight: 1 }]);
+    // Either side of the boundary mixes 3:1 towards its own biome
+    expect(weights[0][1].map((e) => e.biome)).toEqual(['grassland', 'desertHot']);
+    expect(getBiomeWeight(weights[0][1], 'desertHot')).toBeCloseTo(0.25);
+    expect(getBiomeWeight(weights[0][2], 'grassland')).toBeCloseTo(0.25);
+    expect(getBiomeWeight(weights[0][0], 'desertHot')).toBe(0);
+    expect(listBlendBiomes(weights)).toEqual(['grassland', 'desertHot']);
+  });
+
+  test('mixes colours and heights by weight', () => {
+    const entries = [
+      { biome: 'a', weight: 0.75 },
+      { biome: 'b', weight: 0.25 },
+    ];
+    expect(blendBiomeColors(entries, (b) => (b === 'a' ? 0x000000 : 0xffffff))).toBe(0x404040);
+
+    const weights = computeBiomeWeights((x) => STRIP[x], 5, 1, 1);
+    const fieldFor = jest.fn((biome) => [new Array(5).fill(biome === 'grassland' ? 0 : 12)]);
+    // Mixed heights are rounded, then clamped into range
+    expect(blendBiomeHeights(weights, fieldFor)).toEqual([[0, 3, 9, 10, 10]]);
+    expect(fieldFor).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('Biome layer', () => {
+  test('stores painted tiles, ignores unknown biomes and survives a resize', () => {
+    const store = new TerrainDataStore(4, 3);
+    expect(store.setBiome(1, 1, 'tundra')).toBe(true);
+    expect(store.setBiome(0, 0, 'moonscape')).toBe(false);
+    const version = store.biomeVersion;
+    store.setBiome(1, 1, 'tundra');
+    expect(store.biomeVersion).toBe(version);
+    expect(store.listBiomes()).toEqual([{ x: 1, y: 1, biome: 'tundra' }]);
+
+    store.resize(6, 6);
+    expect(store.getBiome(1, 1)).toBe('tundra');
+    store.resetAll();
+    expect(store.listBiomes()).toEqual([]);
+  });
+});
+
+describe('Biome painting', () => {
+  function makeCoordinator() {
+    const store = new TerrainDataStore(6, 6);
+    const c = {
+      dataStore: store,
+      isTerrainModeActive: true,
+      _lastGeneratedBiomeKey: 'grassland',
+      loadBiomeRegions: (entries) => loadBiomeRegions(c, entries),
+    };
+    c.biomePaint = new BiomePaintController(store, { brushSize: 2, shape: 'square' });
+    c.gameManager = { terrainCoordinator: c };
+    c.gameManager.historyCoordinator = new HistoryCoordinator(c.gameManager);
+    return c;
+  }
+
+  test('paints the brush footprint as one undoable step and erases back', async () => {
+    const c = makeCoordinator();
+    expect(paintBiomeAt(c, 0, 0)).toBe(0); // tool not armed
+    c.biomePaint.begin('swamp');
+
+    expect(paintBiomeAt(c, 2, 2)).toBe(4);
+    expect(paintBiomeAt(c, 2, 2)).toBe(0);
+    // 2x2 patch: the tile's own biome is only 25 of the 81 kernel units around it
+    expect(getBiomeWeight(getBiomeBlendAt(c, 2, 2), 'swamp')).toBeCloseTo(25 / 81);
+
+    await c.gameManager.historyCoordinator.undo();
+    expect(c.dataStore.listBiomes()).toEqual([]);
+    expect(getBiomeBlendAt(c, 2, 2)).toBeNull();
+
+    await c.gameManager.historyCoordinator.redo();
+    c.biomePaint.setBiome(null);
+    expect(paintBiomeAt(c, 2, 2)).toBe(4);
+    expect(c.dataStore.listBiomes()).toEqual([]);
+  });
+
+  test('clears every region and blends generated elevation across them', () => {
+    const c = makeCoordinator();
+    const options = { seed: 42 };
+    const plain = generateRegionElevationField(c, 'grassland', 6, 6, options);
+
+    c.biomePaint.begin('mountain');
+    paintBiomeAt(c, 4, 4);
+    const blended = generateRegionElevationField(c, 'grassland', 6, 6, options);
+    expect(blended).toHaveLength(6);
+    expect(blended[0][0]).toBe(plain[0][0]); // out of blend reach of the painted corner
+    expect(blended).not.toEqual(plain);
+
+    expect(clearBiomeRegions(c)).toBe(4);
+    expect(clearBiomeRegions(c)).toBe(0);
+    expect(generateRegionElevationField(c, 'grassland', 6, 6, options)).toEqual(plain);
+  });
+});
@@ -0,0 +1,93 @@
+import { TerrainBrushController } from '../../src/terrain/brush/TerrainBrushController.js';
+import { computeBrushFootprint, brushFalloffWeight } from '../../src/terrain/brush/BrushCommon.js';
+import { buildBrushHighlightDescriptor } from '../../src/terrain/brush/TerrainBrushHighlighter.js';
+
+import { makeFlatStore } from '../fixtures/heightStore.js';
+
+const keys = (cells) => cells.map((c) => `${c.x},${c.y}`).sort();
+
+describe('Brush shapes and falloff', () => {
+  test('square is the default and keeps the full box at full strength', () => {
+    const cells = computeBrushFootprint(5, 5, 5);
+    expect(cells).toHaveLength(25);
+    expect(cells.every((c) => c.weight === 1)).toBe(true);
+  });
+
+  test('diamond and circle trim the corners of the box', () => {
+    const diamond = computeBrushFootprint(5, 5, 5, {}, { shape: 'diamond' });
+    expect(diamond).toHaveLength(13);
+    expect(keys(diamond)).not.toContain('3,3');
+    expect(keys(diamond)).toContain('3,5');
+
+    const circle = computeBrushFootprint(5, 5, 5, {}, { shape: 'circle' });
+    expect(circle).toHaveLength(21);
+    expect(keys(circle)).not.toContain('3,3');
+    expect(keys(circle)).toContain('4,3');
+
+    // Shapes still honour the grid bounds
+    expect(
+      computeBrushFootprint(0, 0, 5, { cols: 10, rows: 10 }, { shape: 'diamond' })
+    ).toHaveLength(6);
+  });
+
+  test('falloff weakens cells towards the rim but never to zero', () => {
+    expect(brushFalloffWeight(0, 'linear')).toBe(1);
+    expect(brushFalloffWeight(0.5, 'smooth')).toBeCloseTo(0.5);
+    expect(brushFalloffWeight(0.9, 'none')).toBe(1);
+
+    const cells = computeBrushFootprint(5, 5, 5, {}, { falloff: 'linear' });
+    const at = (x, y) => cells.find((c) => c.x === x && c.y === y).weight;
+    expect(at(5, 5)).toBe(1);
+    expect(at(6, 5)).toBeLessThan(1);
+    expect(at(7, 7)).toBeLessThan(at(6, 5));
+    expect(at(7, 7)).toBeGreaterThan(0);
+  });
+
+  test('raise with falloff steps the rim more slowly, carrying the remainder between dabs', () => {
+    const store = makeFlatStore(7, 7);
+    const brush = new TerrainBrushController(store);
+    brush.brushSize = 5;
+    brush.setFalloff('linear');
+
+    brush.applyAt(3, 3);
+    expect(store.field[3][3]).toBe(1);
+    expect(store.field[1][1]).toBe(0); // weight 1/3: not enough for a whole level yet
+
+    brush.applyAt(3, 3);
+    brush.applyAt(3, 3);
+    expect(store.field[3][3]).toBe(3);
+    expect(store.field[1][1]).toBe(1);
+  });
+
+  test('set with falloff moves the rim only part of the way to the target', () => {
+    const store = makeFlatStore(5, 5);
+    const brush = new TerrainBrushController(store);
+    brush.setTool('set');
+    brush.setTargetHeight(6);
+    brush.brushSize = 5;
+    brush.setFalloff('linear');
+    brush.applyAt(2, 2);
+    expect(store.field[2][2]).toBe(6);
+    expect(store.field[0][0]).toBe(2);
+  });
+
+  test('unknown shapes fall back to square and the preview follows the shape', () => {
+    const store = makeFlatStore(9, 9);
+    const brush = new TerrainBrushController(store);
+    brush.brushSize = 5;
+    brush.setShape('hexagon');
+    expect(brush.shape).toBe('square');
+
+    brush.setShape('circle');
+    brush.setFalloff('smooth');
+    const desc = buildBrushHighlightDescriptor({
+      brush,
+      center: { gridX: 4, gridY: 4 },
+      terrainModeActive: true,
+    });
+    expect(desc.cells).toHaveLength(21);
+    const rim = desc.cells.find((c) => c.x === 2 && c.y === 4);
+    expect(rim.weight).toBeLessThan(1);
+    expect(rim.previewHeight).toBe(0); // too weak for a whole level on the first dab
+  });
+});
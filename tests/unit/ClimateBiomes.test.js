@@ -0,0 +1,58 @@
+import {
+  computeClimateFields,
+  pickClimateBiome,
+  assignClimateBiomes,
+} from '../../src/terrain/biomes/ClimateBiomes.js';
+import { isBiomeKey } from '../../src/terrain/biomes/BiomeRegions.js';
+import { TERRAIN_CONFIG } from '../../src/config/terrain/TerrainConstants.js';
+import { TerrainDataStore } from '../../src/terrain/TerrainDataStore.js';
+import { generateBiomeElevationField } from '../../src/terrain/generation/BiomeElevationGenerator.js';
+import { generateClimateBiomes } from '../../src/coordinators/terrain-coordinator/internals/climate.js';
+
+const flat = (rows, cols, h = 0) => Array.from({ length: rows }, () => new Array(cols).fill(h));
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+describe('ClimateBiomes', () => {
+  test('the Whittaker table only names known biomes', () => {
+    const keys = TERRAIN_CONFIG.CLIMATE.WHITTAKER.flat();
+    expect(keys.filter((key) => !isBiomeKey(key))).toEqual([]);
+    expect(pickClimateBiome(0, 0)).toBe('desertCold');
+    expect(pickClimateBiome(1, 1)).toBe('mangrove');
+    expect(pickClimateBiome(0.5, 0.5)).toBe('grassland');
+  });
+
+  test('it is colder to the north and at altitude, wetter near low ground', () => {
+    const heights = flat(20, 20);
+    for (let x = 10; x < 20; x++) heights[10][x] = 8;
+    heights[19][0] = -3;
+    const { temperature, moisture } = computeClimateFields(heights, { seed: 9 });
+
+    expect(mean(temperature[0])).toBeLessThan(mean(temperature[19]));
+    expect(mean(temperature[10].slice(10))).toBeLessThan(mean(temperature[9].slice(10)));
+    expect(moisture[19][0]).toBeGreaterThan(moisture[0][19]);
+  });
+
+  test('one seed always gives the same multi-biome map', () => {
+    const heights = generateBiomeElevationField('hills', 24, 24, { seed: 5 });
+    const first = assignClimateBiomes(heights, { seed: 5 });
+    expect(assignClimateBiomes(heights, { seed: 5 })).toEqual(first);
+    expect(assignClimateBiomes(heights, { seed: 6 })).not.toEqual(first);
+    expect(new Set(first.flat()).size).toBeGreaterThan(3);
+  });
+
+  test('fills the biome layer, leaving map-biome tiles unpainted', () => {
+    const store = new TerrainDataStore(16, 16);
+    store.working = generateBiomeElevationField('hills', 16, 16, { seed: 3 });
+    const c = { dataStore: store, isTerrainModeActive: true, _biomeSeed: 3 };
+    c._lastGeneratedBiomeKey = 'grassland';
+    c.biomePaint = { isActive: () => false, biome: null };
+
+    const painted = generateClimateBiomes(c, { flora: false });
+
+    const expected = assignClimateBiomes(store.working, { seed: 3 })
+      .flat()
+      .filter((biome) => biome !== 'grassland');
+    expect(painted).toBe(expected.length);
+    expect(store.listBiomes().map((entry) => entry.biome)).toEqual(expected);
+  });
+});
@@ -0,0 +1,117 @@
+// Bounded undo/redo stack: recording, grouping, depth and replay guard
+
+import { CommandStack } from '../../src/systems/CommandStack.js';
+import { HISTORY_CONFIG } from '../../src/config/GameConstants.js';
+
+function counterCommand(state, delta, label = 'step') {
+  state.value += delta;
+  return {
+    label,
+    undo: () => {
+      state.value -= delta;
+    },
+    redo: () => {
+      state.value += delta;
+    },
+  };
+}
+
+describe('CommandStack', () => {
+  test('undoes and redoes in order and drops redo history on a new edit', async () => {
+    const state = { value: 0 };
+    const stack = new CommandStack();
+    stack.record(counterCommand(state, 1, 'a'));
+    stack.record(counterCommand(state, 10, 'b'));
+
+    expect(await stack.undo()).toBe('b');
+    expect(state.value).toBe(1);
+    expect(await stack.redo()).toBe('b');
+    expect(state.value).toBe(11);
+
+    await stack.undo();
+    stack.record(counterCommand(state, 100, 'c'));
+    expect(stack.canRedo()).toBe(false);
+    expect(await stack.redo()).toBeNull();
+    expect(state.value).toBe(101);
+  });
+
+  test('groups coalesce into one step and empty groups are discarded', async () => {
+    const state = { value: 0 };
+    const stack = new CommandStack();
+    stack.beginGroup('stroke');
+    stack.record(counterCommand(state, 1));
+    stack.beginGroup('nested');
+    stack.record(counterCommand(state, 2));
+    expect(stack.endGroup()).toBe(false);
+    stack.record(counterCommand(state, 3));
+    expect(stack.endGroup()).toBe(true);
+
+    stack.beginGroup('empty');
+    expect(stack.endGroup()).toBe(false);
+
+    expect(stack.undoList).toHaveLength(1);
+    expect(await stack.undo()).toBe('stroke');
+    expect(state.value).toBe(0);
+    await stack.redo();
+    expect(state.value).toBe(6);
+  });
+
+  test('keeps at most `depth` steps and clamps the configured depth', () => {
+    const state = { value: 0 };
+    const stack = new CommandStack({ depth: 3 });
+    for (let i = 1; i <= 5; i++) stack.record(counterCommand(state, i, `s${i}`));
+    expect(stack.undoList.map((c) => c.label)).toEqual(['s3', 's4', 's5']);
+
+    stack.setDepth(1);
+    expect(stack.undoList.map((c) => c.label)).toEqual(['s5']);
+
+    expect(CommandStack.normalizeDepth(0)).toBe(HISTORY_CONFIG.MIN_DEPTH);
+    expect(CommandStack.normalizeDepth(1e9)).toBe(HISTORY_CONFIG.MAX_DEPTH);
+    expect(CommandStack.normalizeDepth('abc')).toBe(HISTORY_CONFIG.DEFAULT_DEPTH);
+  });
+
+  test('ignores commands recorded while a step is being replayed', async () => {
+    const stack = new CommandStack();
+    const inner = { undo: jest.fn(), redo: jest.fn() };
+    stack.record({
+      label: 'outer',
+      undo: () => stack.record(inner),
+      redo: () => stack.record(inner),
+    });
+    const listener = jest.fn();
+    stack.onChange(listener);
+
+    await stack.undo();
+
+    expect(stack.undoList).toHaveLength(0);
+    expect(stack.redoList).toHaveLength(1);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps a failed step in place and ignores undo/redo while one is applying', async () => {
+    const stack = new CommandStack();
+    stack.record({
+      label: 'broken',
+      undo: () => Promise.reject(new Error('boom')),
+      redo: jest.fn(),
+    });
+    const listener = jest.fn();
+    stack.onChange(listener);
+
+    await expect(stack.undo()).rejects.toThrow('boom');
+    expect(stack.undoList.map((c) => c.label)).toEqual(['broken']);
+    expect(stack.redoList).toHaveLength(0);
+    expect(stack.applying).toBe(false);
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    let finish;
+    const slow = { label: 'slow', undo: () => new Promise((r) => (finish = r)), redo: jest.fn() };
+    stack.record(slow);
+    const pending = stack.undo();
+    expect(await stack.undo()).toBeNull();
+    expect(await stack.redo()).toBeNull();
+    finish();
+    expect(await pending).toBe('slow');
+    expect(stack.undoList.map((c) => c.label)).toEqual(['broken']);
+  });
+});
@@ -0,0 +1,118 @@
+import * as THREE from 'three';
+import { ThreeSceneManager } from '../../src/scene/ThreeSceneManager.js';
+
+const parsed = [];
+jest.mock('three/examples/jsm/exporters/GLTFExporter.js', () => ({
+  GLTFExporter: class {
+    async parseAsync(input, options) {
+      parsed.push({
+        input,
+        options,
+        ringVisible: input.map((o) => o.getObjectByName('TokenSelectionIndicator')?.visible),
+      });
+      return new ArrayBuffer(12);
+    }
+  },
+}));
+
+function makeBoard() {
+  const tsm = new ThreeSceneManager({ placedTokens: [] });
+  tsm.three = THREE;
+  tsm.initialized = true;
+  tsm.scene = new THREE.Scene();
+
+  const terrain = new THREE.Mesh(
+    new THREE.PlaneGeometry(2, 2),
+    new THREE.MeshLambertMaterial({ vertexColors: true })
+  );
+  terrain.name = 'TerrainMesh';
+  tsm.scene.add(terrain);
+
+  const instanced = new THREE.InstancedMesh(
+    new THREE.PlaneGeometry(1, 1),
+    new THREE.MeshBasicMaterial(),
+    4
+  );
+  const dummy = new THREE.Object3D();
+  [
+    [0.5, 0.5],
+    [1.5, 0.5],
+    [0, 0],
+  ].forEach(([x, z], i) => {
+    dummy.position.set(x, 0.25, z);
+    dummy.updateMatrix();
+    instanced.setMatrixAt(i, dummy.matrix);
+  });
+  instanced.count = 3;
+  tsm.scene.add(instanced);
+  tsm._placeablePool = {
+    _groups: new Map([['tree.png', { instancedMesh: instanced }]]),
+    // index 2 was removed (metadata gone) and must not be exported
+    _metadata: new Map([
+      [
+        'tree.png',
+        new Map([
+          [0, { gx: 0, gy: 0 }],
+          [1, { gx: 1, gy: 0 }],
+        ]),
+      ],
+    ]),
+  };
+
+  const tokenMesh = new THREE.Group();
+  tokenMesh.position.set(1.5, 0, 1.5);
+  const ring = new THREE.Mesh(new THREE.RingGeometry(0.3, 0.4), new THREE.MeshBasicMaterial());
+  ring.name = 'TokenSelectionIndicator';
+  tokenMesh.add(ring);
+  tsm.scene.add(tokenMesh);
+  tsm.gameManager.placedTokens.push({ type: 'goblin', __threeMesh: tokenMesh });
+
+  return { tsm, terrain, instanced, tokenMesh, ring };
+}
+
+describe('ThreeSceneManager.exportSceneGLB', () => {
+  beforeEach(() => {
+    parsed.length = 0;
+  });
+
+  test('exports terrain, one node per live placeable and posed tokens as binary glTF', async () => {
+    const { tsm, terrain, instanced, tokenMesh, ring } = makeBoard();
+    const { bytes, stats } = await tsm.exportSceneGLB();
+
+    expect(bytes).toBeInstanceOf(Uint8Array);
+    expect(stats).toEqual({ terrain: true, placeables: 2, tokens: 1 });
+    const [{ input, options, ringVisible }] = parsed;
+    expect(options).toEqual(expect.objectContaining({ binary: true }));
+    expect(input[0]).toBe(terrain);
+    expect(input[2]).toBe(tokenMesh);
+
+    const nodes = input[1].children;
+    expect(nodes.map((n) => n.name)).toEqual(['tree.png@0,0', 'tree.png@1,0']);
+    nodes.forEach((node) => {
+      expect(node.isInstancedMesh).toBeFalsy();
+      expect(node.geometry).toBe(instanced.geometry);
+      expect(node.material).toBe(instanced.material);
+    });
+    expect(nodes[1].position.toArray()).toEqual([1.5, 0.25, 0.5]);
+
+    // Selection ring is hidden for the export only
+    expect(ringVisible[2]).toBe(false);
+    expect(ring.visible).toBe(true);
+  });
+
+  test('can leave out parts and rejects an empty export', async () => {
+    const { tsm } = makeBoard();
+    const { stats } = await tsm.exportSceneGLB({ placeables: false, tokens: false });
+    expect(stats).toEqual({ terrain: true, placeables: 0, tokens: 0 });
+    expect(parsed[0].input).toHaveLength(1);
+
+    await expect(
+      tsm.exportSceneGLB({ terrain: false, placeables: false, tokens: false })
+    ).rejects.toThrow(/nothing on the board/);
+  });
+
+  test('throws when the 3D view is unavailable', async () => {
+    const tsm = new ThreeSceneManager({});
+    await expect(tsm.exportSceneGLB()).rejects.toThrow(/3D view/);
+  });
+});
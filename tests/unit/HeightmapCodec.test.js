@@ -0,0 +1,165 @@
+// Heightmap PNG/CSV round trips and import through TerrainCoordinator (Node zlib in place of
+// the browser's CompressionStream)
+
+import { deflateSync, inflateSync } from 'zlib';
+import { GameManager } from '../../src/core/GameManager.js';
+import { TerrainDataStore } from '../../src/terrain/TerrainDataStore.js';
+import { TERRAIN_CONFIG } from '../../src/config/terrain/TerrainConstants.js';
+import {
+  decodeHeightCSV,
+  decodeHeightPNG,
+  encodeHeightPNG,
+  resampleHeightField,
+} from '../../src/utils/terrain/HeightmapCodec.js';
+
+const zlib = {
+  deflate: (bytes) => new Uint8Array(deflateSync(bytes)),
+  inflate: (bytes) => new Uint8Array(inflateSync(bytes)),
+};
+const RANGE = { min: TERRAIN_CONFIG.MIN_HEIGHT, max: TERRAIN_CONFIG.MAX_HEIGHT };
+
+function buildGM(cols = 6, rows = 5) {
+  const gm = new GameManager({ cols, rows });
+  // Skip tile repaint in headless tests; heights still land in the data store
+  gm.terrainCoordinator.terrainManager = null;
+  return gm;
+}
+
+describe('HeightmapCodec', () => {
+  test('16-bit PNG round-trips every height and spans the full pixel range', async () => {
+    const field = [
+      [RANGE.min, -3, 0],
+      [1, 7, RANGE.max],
+    ];
+    const png = await encodeHeightPNG(field, { ...RANGE, deflate: zlib.deflate });
+
+    // IHDR: 3x2, 16-bit grayscale
+    const view = new DataView(png.buffer);
+    expect([view.getUint32(16), view.getUint32(20), png[24], png[25]]).toEqual([3, 2, 16, 0]);
+    const raw = zlib.inflate(png.subarray(41, 41 + view.getUint32(33)));
+    expect((raw[1] << 8) | raw[2]).toBe(0);
+    expect((raw[12] << 8) | raw[13]).toBe(0xffff);
+
+    const decoded = await decodeHeightPNG(png, { ...RANGE, inflate: zlib.inflate });
+    expect(decoded.map((row) => row.map(Math.round))).toEqual(field);
+  });
+
+  test('CSV parsing accepts common separators and skips comments', () => {
+    expect(decodeHeightCSV('# exported\n1, 2;3\n\n4\t5 6\r\n')).toEqual([
+      [1, 2, 3],
+      [4, 5, 6],
+    ]);
+    expect(() => decodeHeightCSV('\n# nothing\n')).toThrow(/no rows/);
+  });
+
+  test('resampling preserves corners and interpolates between them', () => {
+    const out = resampleHeightField(
+      [
+        [0, 10],
+        [10, 20],
+      ],
+      3,
+      3
+    );
+    expect(out).toEqual([
+      [0, 5, 10],
+      [5, 10, 15],
+      [10, 15, 20],
+    ]);
+  });
+});
+
+describe('TerrainCoordinator heightmap import/export', () => {
+  test('exports the base field and imports it back into another grid', async () => {
+    const source = buildGM(6, 5);
+    source.terrainCoordinator.dataStore.base[1][2] = 9;
+    source.terrainCoordinator.dataStore.base[4][5] = -4;
+    const csv = await source.exportHeightmap('csv');
+    const png = await source.terrainCoordinator.exportHeightmap('png', zlib);
+
+    const fromCsv = buildGM(6, 5);
+    await fromCsv.importHeightmap(csv);
+    expect(fromCsv.terrainCoordinator.dataStore.base).toEqual(
+      source.terrainCoordinator.dataStore.base
+    );
+
+    const fromPng = buildGM(8, 8);
+    const result = await fromPng.terrainCoordinator.importHeightmap(png, {
+      resizeGrid: true,
+      inflate: zlib.inflate,
+    });
+    expect(result).toMatchObject({ cols: 6, rows: 5, sourceCols: 6, sourceRows: 5 });
+    expect(fromPng.terrainCoordinator.dataStore.base).toEqual(
+      source.terrainCoordinator.dataStore.base
+    );
+    expect(fromPng.terrainCoordinator.dataStore.working).toEqual(
+      source.terrainCoordinator.dataStore.base
+    );
+  });
+
+  test('resamples to the current grid, clamps out-of-range values and is undoable', async () => {
+    const gm = buildGM(5, 5);
+
+    const result = await gm.importHeightmap('0,40\n-40,0\n', { resizeGrid: false });
+
+    expect(result).toMatchObject({ cols: 5, rows: 5, sourceCols: 2, sourceRows: 2 });
+    expect(result.warnings[0]).toMatch(/2 height\(s\) outside/);
+    const base = gm.terrainCoordinator.dataStore.base;
+    expect(base[0][4]).toBe(TERRAIN_CONFIG.MAX_HEIGHT);
+    expect(base[4][0]).toBe(TERRAIN_CONFIG.MIN_HEIGHT);
+    expect(await gm.undo()).toBe('Import heightmap');
+    expect(gm.terrainCoordinator.dataStore.base[0][4]).toBe(0);
+  });
+
+  test('height changes inside a batch request a single terrain rebuild', async () => {
+    const gm = buildGM(5, 5);
+    const request = jest.fn();
+    gm.terrainRebuilder = { request };
+    gm.threeSceneManager = {};
+    gm.is3DModeActive = () => true;
+
+    await gm.batchTerrainRebuild(async () => {
+      gm.notifyTerrainHeightsChanged();
+      await Promise.resolve();
+      gm.notifyTerrainHeightsChanged();
+      expect(request).not.toHaveBeenCalled();
+    });
+
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  test('a batch passes the edited tiles on, unless any change asked for a full rebuild', async () => {
+    const gm = buildGM(5, 5);
+    const request = jest.fn();
+    gm.terrainRebuilder = { request };
+    gm.threeSceneManager = {};
+    gm.is3DModeActive = () => true;
+
+    await gm.batchTerrainRebuild(async () => {
+      gm.notifyTerrainHeightsChanged([{ x: 1, y: 1 }]);
+      gm.notifyTerrainHeightsChanged([{ x: 2, y: 3 }]);
+    });
+    expect(request).toHaveBeenLastCalledWith({
+      cells: [
+        { x: 1, y: 1 },
+        { x: 2, y: 3 },
+      ],
+    });
+
+    await gm.batchTerrainRebuild(async () => {
+      gm.notifyTerrainHeightsChanged([{ x: 1, y: 1 }]);
+      gm.notifyTerrainHeightsChanged();
+      gm.notifyTerrainHeightsChanged([{ x: 2, y: 3 }]);
+    });
+    expect(request).toHaveBeenLastCalledWith(undefined);
+  });
+
+  test('rejects ragged or non-numeric files before touching the terrain', async () => {
+    const gm = buildGM(5, 5);
+    gm.terrainCoordinator.dataStore.base[0][0] = 3;
+    await expect(gm.importHeightmap('1,2\n3\n')).rejects.toThrow(/Invalid heightmap/);
+    await expect(gm.importHeightmap('1,x\n3,4\n')).rejects.toThrow(/Invalid heightmap/);
+    expect(gm.terrainCoordinator.dataStore.base[0][0]).toBe(3);
+    expect(TerrainDataStore.fitHeightField([[1.6]], 1, 1)).toEqual([[2]]);
+  });
+});
@@ -0,0 +1,91 @@
+// Undo/redo through GameManager: brush strokes, placeables, tokens and grid resize
+
+import { buildGM } from '../fixtures/sceneGameManager.js';
+
+describe('HistoryCoordinator', () => {
+  test('a brush stroke is undone and redone as a single step', async () => {
+    const gm = buildGM();
+    const history = gm.historyCoordinator;
+    const store = gm.terrainCoordinator.dataStore;
+
+    history.beginStroke();
+    store.set(1, 1, 2);
+    store.set(2, 1, 3);
+    store.set(2, 1, 4);
+    history.endStroke();
+
+    expect(history.stack.undoList).toHaveLength(1);
+    expect(await gm.undo()).toBe('Terrain heights');
+    expect(store.get(1, 1)).toBe(0);
+    expect(store.get(2, 1)).toBe(0);
+
+    await gm.redo();
+    expect(store.get(1, 1)).toBe(2);
+    expect(store.get(2, 1)).toBe(4);
+  });
+
+  test('placeable edits restore tile contents including variants', async () => {
+    const gm = buildGM();
+    const tm = gm.terrainManager;
+    const history = gm.historyCoordinator;
+
+    history.trackPlaceables('Place item', [{ x: 3, y: 3 }], () =>
+      tm.placeItem('tree-green-willow', 3, 3)
+    );
+    await history.trackPlaceables('Change item variant', [{ x: 3, y: 3 }], () =>
+      tm.cyclePlaceableVariant(3, 3, 'tree-green-willow', 2)
+    );
+
+    await gm.undo();
+    expect(tm.placeables.get('3,3')[0].placeableVariantIndex).toBe(0);
+    await gm.undo();
+    expect(tm.placeables.has('3,3')).toBe(false);
+    await gm.redo();
+    await gm.redo();
+    expect(tm.placeables.get('3,3')[0]).toMatchObject({
+      placeableId: 'tree-green-willow',
+      placeableVariantIndex: 2,
+    });
+    expect(history.canRedo()).toBe(false);
+  });
+
+  test('token place and move are reversible without recording the replay', async () => {
+    const gm = buildGM();
+    const tm = gm.tokenManager;
+    const history = gm.historyCoordinator;
+
+    history.trackTokens('Place token', () => tm.placeTokenOfType('mannequin', 1, 2));
+    history.trackTokens('Move token', () => {
+      tm.placedTokens[0].gridX = 4;
+    });
+
+    await gm.undo();
+    expect(tm.placedTokens.map((t) => [t.gridX, t.gridY])).toEqual([[1, 2]]);
+    await gm.undo();
+    expect(tm.placedTokens).toHaveLength(0);
+    expect(history.stack.undoList).toHaveLength(0);
+
+    await gm.redo();
+    await gm.redo();
+    expect(tm.placedTokens.map((t) => [t.gridX, t.gridY])).toEqual([[4, 2]]);
+  });
+
+  test('grid resize is one step, and loading a scene starts a fresh history', async () => {
+    const gm = buildGM(10, 8);
+    gm.setUndoDepth(5);
+
+    gm.resizeGrid(14, 12);
+    expect([gm.cols, gm.rows]).toEqual([14, 12]);
+    expect(gm.historyCoordinator.stack.undoList).toHaveLength(1);
+
+    expect(await gm.undo()).toBe('Resize grid');
+    expect([gm.cols, gm.rows]).toEqual([10, 8]);
+    await gm.redo();
+    expect([gm.cols, gm.rows]).toEqual([14, 12]);
+
+    await gm.importScene(buildGM(9, 9).exportScene());
+    expect([gm.cols, gm.rows]).toEqual([9, 9]);
+    expect(gm.historyCoordinator.canUndo()).toBe(false);
+    expect(gm.historyCoordinator.getDepth()).toBe(5);
+  });
+});
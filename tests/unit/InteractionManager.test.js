@@ -44,3 +44,40 @@ describe('InteractionManager.getGridCoordinatesFromClick', () => {
     expect(result).toEqual({ gridX: 1, gridY: 2 });
   });
 });
+
+describe('InteractionManager box selection', () => {
+  test('selects the tokens whose screen position falls inside the dragged box', () => {
+    const tokens = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+    const screen = { a: { x: 20, y: 20 }, b: { x: 60, y: 40 }, c: { x: 200, y: 200 } };
+    const adapter = {
+      getSelectedTokens: jest.fn(() => [tokens[2]]),
+      setSelectedTokens: jest.fn(),
+    };
+    const manager = new InteractionManager({ placedTokens: tokens, token3DAdapter: adapter });
+    manager._get3DTokenScreenPosition = (token) => screen[token.id];
+    const drag = (x, y, extra = {}) => ({
+      clientX: x,
+      clientY: y,
+      preventDefault: jest.fn(),
+      stopPropagation: jest.fn(),
+      ...extra,
+    });
+
+    manager.startBoxSelect(drag(80, 50));
+    const box = document.querySelector('.token-box-select');
+    manager.updateBoxSelect(drag(40, 30));
+    expect(box.style.left).toBe('40px');
+    expect(box.style.width).toBe('40px');
+    expect(manager.finishBoxSelect(drag(10, 10))).toEqual([tokens[0], tokens[1]]);
+    expect(adapter.setSelectedTokens).toHaveBeenLastCalledWith([tokens[0], tokens[1]]);
+    expect(document.querySelector('.token-box-select')).toBeNull();
+
+    // Shift adds to the selection; a click-sized box selects nothing
+    manager.startBoxSelect(drag(0, 0));
+    manager.finishBoxSelect(drag(30, 30, { shiftKey: true }));
+    expect(adapter.setSelectedTokens).toHaveBeenLastCalledWith([tokens[2], tokens[0]]);
+    manager.startBoxSelect(drag(5, 5));
+    expect(manager.finishBoxSelect(drag(6, 7))).toBeNull();
+    expect(adapter.setSelectedTokens).toHaveBeenCalledTimes(2);
+  });
+});
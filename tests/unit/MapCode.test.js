@@ -0,0 +1,116 @@
+import { encodeMapCode, decodeMapCode } from '../../src/terrain/generation/MapCode.js';
+import { TerrainHeightUtils } from '../../src/utils/terrain/TerrainHeightUtils.js';
+import {
+  buildTerrainCoordinator as makeCoordinator,
+  listPlants,
+} from '../fixtures/sceneGameManager.js';
+
+describe('MapCode codec', () => {
+  test('round-trips every generation parameter', () => {
+    const params = {
+      biome: 'forestConifer',
+      cols: 40,
+      rows: 30,
+      seed: 0x8f3a,
+      treeDensity: 0.8,
+      elevationScale: 12,
+      climateSeed: null,
+    };
+    const code = encodeMapCode(params);
+    expect(code).toBe('forestConifer-40x30-8f3a-80-12');
+    expect(decodeMapCode(code)).toEqual(params);
+    expect(decodeMapCode(' #map=GRASSLAND-25x25-8f3a-100 ')).toEqual({
+      biome: 'grassland',
+      cols: 25,
+      rows: 25,
+      seed: 0x8f3a,
+      treeDensity: 1,
+      elevationScale: null,
+      climateSeed: null,
+    });
+    expect(encodeMapCode({ ...params, seed: 0xffffffff, elevationScale: null })).toBe(
+      'forestConifer-40x30-ffffffff-80'
+    );
+    // The climate pass: a bare `c` reuses the generation seed
+    expect(encodeMapCode({ ...params, climateSeed: 0x8f3a })).toBe(
+      'forestConifer-40x30-8f3a-80-12-c'
+    );
+    expect(decodeMapCode('forestConifer-40x30-8f3a-80-c').climateSeed).toBe(0x8f3a);
+    const reseeded = encodeMapCode({ ...params, elevationScale: null, climateSeed: 0xbeef });
+    expect(reseeded).toBe('forestConifer-40x30-8f3a-80-cbeef');
+    expect(decodeMapCode(reseeded)).toEqual({
+      ...params,
+      elevationScale: null,
+      climateSeed: 0xbeef,
+    });
+  });
+
+  test('rejects malformed codes and out-of-range values', () => {
+    expect(() => decodeMapCode('grassland-25-8f3a-100')).toThrow('Invalid map code');
+    expect(() => decodeMapCode('lavaLand-25x25-8f3a-100')).toThrow('Unknown biome');
+    expect(() => decodeMapCode('grassland-300x25-8f3a-100')).toThrow('out of range');
+    expect(() => decodeMapCode('grassland-25x25-8f3a-500')).toThrow('Tree density');
+    expect(() => decodeMapCode('grassland-25x25-8f3a-100-99')).toThrow('Elevation scale');
+  });
+});
+
+describe('TerrainCoordinator map codes', () => {
+  // Elevation unit, tree density and selected biome are process-wide; keep them per test
+  afterEach(() => {
+    TerrainHeightUtils.setElevationUnit(null);
+    delete window.treeDensityMultiplier;
+    delete window.selectedBiome;
+  });
+
+  test('a map code regenerates the identical map', async () => {
+    const source = makeCoordinator(16, 20);
+    expect(source.getMapCode()).toBeNull();
+    source.setTreeDensityMultiplier(1.5);
+    source.setBiomeSeed(0xc0ffee);
+    expect(source.generateBiomeElevation('forestTemperate')).toBe(true);
+    expect(source.getMapCode()).toBe('forestTemperate-20x16-c0ffee-150');
+    source.setElevationScale(3);
+    const code = source.getMapCode();
+    expect(code).toBe('forestTemperate-20x16-c0ffee-150-3');
+
+    const target = makeCoordinator(10, 10);
+    await expect(target.applyMapCode(code)).resolves.toBe(true);
+    expect(target.gameManager.cols).toBe(20);
+    expect(target.gameManager.rows).toBe(16);
+    expect(target.dataStore.base).toEqual(source.dataStore.base);
+    expect(listPlants(target)).toEqual(listPlants(source));
+    expect(target.getElevationScale()).toBe(3);
+    expect(target.getMapCode()).toBe(code);
+  });
+
+  test('a climate biome pass is part of the code and replayed from it', async () => {
+    const source = makeCoordinator(16, 20);
+    // As the biome picker does; the climate pass keeps tiles of the selected biome unpainted
+    window.selectedBiome = 'hills';
+    source.setBiomeSeed(0x51);
+    source.generateBiomeElevation('hills');
+    expect(source.generateClimateBiomes()).toBeGreaterThanOrEqual(0);
+    const code = source.getMapCode();
+    expect(code).toMatch(/-c$/);
+
+    const target = makeCoordinator(16, 20);
+    await expect(target.applyMapCode(code)).resolves.toBe(true);
+    expect(target.dataStore.listBiomes()).toEqual(source.dataStore.listBiomes());
+    expect(listPlants(target)).toEqual(listPlants(source));
+    expect(target.getMapCode()).toBe(code);
+
+    // Clearing the biome layer drops the pass; keeping old plants leaves no code at all
+    source.clearBiomeRegions();
+    expect(source.getMapCode()).toBe('hills-20x16-51-100');
+    source.generateClimateBiomes({ flora: false });
+    expect(source.getMapCode()).toBeNull();
+  });
+
+  test('an invalid code throws without touching the map', async () => {
+    const c = makeCoordinator(12, 12);
+    c.generateBiomeElevation('hills', { seed: 5 });
+    const before = c.dataStore.base.map((row) => [...row]);
+    await expect(c.applyMapCode('hills-12x12-zz-100')).rejects.toThrow('Invalid map code');
+    expect(c.dataStore.base).toEqual(before);
+  });
+});
@@ -0,0 +1,180 @@
+import * as THREE from 'three';
+import { ThreeSceneManager } from '../../src/scene/ThreeSceneManager.js';
+import {
+  normalizePixelsPerTile,
+  planCaptureTiles,
+  columnLabel,
+  cellLabel,
+} from '../../src/scene/export/MapExport.js';
+import { setPngPixelsPerInch, hasPngSignature } from '../../src/utils/canvas/PngChunks.js';
+import { MAP_EXPORT_CONFIG } from '../../src/config/GameConstants.js';
+
+function makeContext2D() {
+  const ctx = { draws: [], labels: [] };
+  ['save', 'restore', 'strokeText'].forEach((name) => (ctx[name] = jest.fn()));
+  ctx.drawImage = jest.fn((...args) => ctx.draws.push(args.slice(5)));
+  ctx.fillText = jest.fn((text) => ctx.labels.push(text));
+  return ctx;
+}
+
+function makeCaptureHost({ cols = 3, rows = 2, maxTextureSize = 128 } = {}) {
+  const tsm = new ThreeSceneManager({ cols, rows, spatial: { tileWorldSize: 1 } });
+  const size = new THREE.Vector2(640, 480);
+  const renders = [];
+  tsm.three = THREE;
+  tsm.initialized = true;
+  tsm.scene = new THREE.Scene();
+  tsm.canvas = document.createElement('canvas');
+  tsm._gridOverlayGroup = { visible: true };
+  tsm._gridHighlightMesh = { visible: true };
+  tsm.pushGridOverlayStyle = jest.fn(() => Symbol('print'));
+  tsm.popGridOverlayStyle = jest.fn();
+  tsm.renderer = {
+    capabilities: { maxTextureSize },
+    getPixelRatio: () => 2,
+    setPixelRatio: jest.fn(),
+    getSize: (target) => target.copy(size),
+    setSize: jest.fn((w, h) => size.set(w, h)),
+    render: jest.fn((scene, camera) =>
+      renders.push({
+        width: size.x,
+        height: size.y,
+        camera,
+        grid: tsm._gridOverlayGroup.visible,
+        highlight: tsm._gridHighlightMesh.visible,
+      })
+    ),
+  };
+  return { tsm, renders, size };
+}
+
+describe('MapExport helpers', () => {
+  test('capture tiles cover the image exactly once', () => {
+    const tiles = planCaptureTiles(250, 130, 100);
+    expect(tiles).toHaveLength(6);
+    const area = tiles.reduce((sum, t) => sum + t.width * t.height, 0);
+    expect(area).toBe(250 * 130);
+    expect(tiles[tiles.length - 1]).toEqual({ x: 200, y: 100, width: 50, height: 30 });
+  });
+
+  test('pixels per tile is clamped to the configured range and output size', () => {
+    expect(normalizePixelsPerTile(1, 10, 10)).toBe(MAP_EXPORT_CONFIG.MIN_PIXELS_PER_TILE);
+    expect(normalizePixelsPerTile(9999, 10, 10)).toBe(MAP_EXPORT_CONFIG.MAX_PIXELS_PER_TILE);
+    expect(normalizePixelsPerTile('abc', 10, 10)).toBe(MAP_EXPORT_CONFIG.DEFAULT_PIXELS_PER_TILE);
+    expect(normalizePixelsPerTile(300, 200, 50)).toBe(
+      Math.floor(MAP_EXPORT_CONFIG.MAX_OUTPUT_PX / 200)
+    );
+  });
+
+  test('cells are labelled with spreadsheet-style columns and 1-based rows', () => {
+    expect(cellLabel(0, 0)).toBe('A1');
+    expect(cellLabel(25, 49)).toBe('Z50');
+    expect(columnLabel(26)).toBe('AA');
+    expect(columnLabel(27)).toBe('AB');
+    expect(columnLabel(701)).toBe('ZZ');
+  });
+});
+
+describe('PngChunks.setPngPixelsPerInch', () => {
+  const minimalPng = () =>
+    Uint8Array.from([
+      137, 80, 78, 71, 13, 10, 26, 10,
+      // IHDR (13 bytes, CRC not checked here)
+      0, 0, 0, 13, 73, 72, 68, 82, 0, 0, 0, 1, 0, 0, 0, 1, 8, 0, 0, 0, 0, 0, 0, 0, 0,
+      // IEND
+      0, 0, 0, 0, 73, 69, 78, 68, 0, 0, 0, 0,
+    ]);
+
+  test('inserts a single pHYs chunk after IHDR, replacing any existing one', () => {
+    const once = setPngPixelsPerInch(minimalPng(), 100);
+    const twice = setPngPixelsPerInch(once, 100);
+    expect(hasPngSignature(twice)).toBe(true);
+    expect(twice.length).toBe(once.length);
+    const view = new DataView(twice.buffer, twice.byteOffset);
+    const phys = 8 + 25; // signature + IHDR chunk
+    expect(String.fromCharCode(...twice.subarray(phys + 4, phys + 8))).toBe('pHYs');
+    expect(view.getUint32(phys + 8)).toBe(Math.round(100 * 39.3701));
+    expect(view.getUint32(phys + 12)).toBe(Math.round(100 * 39.3701));
+    expect(twice[phys + 16]).toBe(1); // unit: meter
+  });
+});
+
+describe('ThreeSceneManager.renderTopDownMap', () => {
+  let ctx;
+  beforeEach(() => {
+    ctx = makeContext2D();
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(() => ctx);
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test('renders in tiles no larger than the GPU limit and restores the renderer', () => {
+    const { tsm, renders, size } = makeCaptureHost({ cols: 3, rows: 2, maxTextureSize: 128 });
+    const { canvas, pixelsPerTile } = tsm.renderTopDownMap({ pixelsPerTile: 100 });
+
+    expect(pixelsPerTile).toBe(100);
+    expect([canvas.width, canvas.height]).toEqual([300, 200]);
+    expect(renders).toHaveLength(6); // 3 x 2 tiles of <= 128px
+    renders.forEach((r) => {
+      expect(r.width).toBeLessThanOrEqual(128);
+      expect(r.height).toBeLessThanOrEqual(128);
+      expect(r.grid).toBe(false);
+    });
+    // First tile looks straight down at the board's top-left corner
+    const first = renders[0].camera;
+    expect(first.position.x).toBeCloseTo(0.64);
+    expect(first.position.z).toBeCloseTo(0.64);
+    expect(first.right - first.left).toBeCloseTo(1.28);
+
+    // Each capture lands at its own offset in the stitched image
+    expect(ctx.draws).toEqual([
+      [0, 0, 128, 128],
+      [128, 0, 128, 128],
+      [256, 0, 44, 128],
+      [0, 128, 128, 72],
+      [128, 128, 128, 72],
+      [256, 128, 44, 72],
+    ]);
+    expect(ctx.labels).toEqual([]);
+
+    expect([size.x, size.y]).toEqual([640, 480]);
+    expect(tsm.renderer.setPixelRatio).toHaveBeenLastCalledWith(2);
+    expect(tsm._gridOverlayGroup.visible).toBe(true);
+  });
+
+  test('grid overlay uses the print style during capture only', () => {
+    const { tsm, renders } = makeCaptureHost();
+    tsm.showBootstrapGrid = false;
+    tsm._gridOverlayGroup.visible = false;
+    tsm.renderTopDownMap({ pixelsPerTile: 32, gridOverlay: true, gridLabels: true });
+
+    expect(renders.every((r) => r.grid)).toBe(true);
+    expect(tsm.pushGridOverlayStyle).toHaveBeenCalledWith(
+      expect.objectContaining({
+        fillAlpha: 0,
+        borderColor: MAP_EXPORT_CONFIG.GRID_LINE_COLOR,
+        highlightCells: [],
+      })
+    );
+    expect(tsm.popGridOverlayStyle).toHaveBeenCalledTimes(1);
+    expect(tsm.popGridOverlayStyle).toHaveBeenCalledWith(
+      tsm.pushGridOverlayStyle.mock.results[0].value
+    );
+    expect(tsm._gridOverlayGroup.visible).toBe(false);
+    expect(ctx.labels).toEqual(['A1', 'B1', 'C1', 'A2', 'B2', 'C2']);
+  });
+
+  test('the selection tint is left out of the capture and restored afterwards', () => {
+    const { tsm, renders } = makeCaptureHost();
+    tsm.renderTopDownMap({ pixelsPerTile: 32 });
+    tsm.renderTopDownMap({ pixelsPerTile: 32, gridOverlay: true });
+
+    expect(renders.length).toBeGreaterThan(0);
+    expect(renders.every((r) => !r.highlight)).toBe(true);
+    expect(tsm._gridHighlightMesh.visible).toBe(true);
+  });
+
+  test('throws when the 3D renderer is unavailable', () => {
+    const tsm = new ThreeSceneManager({ cols: 2, rows: 2 });
+    expect(() => tsm.renderTopDownMap()).toThrow(/3D view/);
+  });
+});
@@ -0,0 +1,57 @@
+import * as THREE from 'three';
+import { MovementRangeOverlay3D } from '../../src/scene/terrain/MovementRangeOverlay3D.js';
+
+describe('MovementRangeOverlay3D', () => {
+  const buildOverlay = () => {
+    const gameManager = {
+      getTerrainHeight: (x) => (x === 1 ? 2 : 0),
+      spatial: { tileWorldSize: 1, elevationUnit: 0.5 },
+    };
+    return new MovementRangeOverlay3D({ three: THREE, scene: new THREE.Scene(), gameManager });
+  };
+
+  it('tints each reachable tile with its band colour on top of the terrain', () => {
+    const overlay = buildOverlay();
+    overlay.setRange(
+      [
+        { gridX: 0, gridY: 0, color: 0x00ff00 },
+        { gridX: 1, gridY: 0, color: 0xff0000 },
+      ],
+      { alpha: 0.4 }
+    );
+
+    const mesh = overlay._rangeMesh;
+    expect(mesh.count).toBe(2);
+    expect(mesh.material.opacity).toBeCloseTo(0.4);
+    const color = new THREE.Color();
+    mesh.getColorAt(1, color);
+    expect(color.getHex()).toBe(0xff0000);
+    const matrix = new THREE.Matrix4();
+    const position = new THREE.Vector3();
+    mesh.getMatrixAt(1, matrix);
+    position.setFromMatrixPosition(matrix);
+    expect(position.x).toBeCloseTo(1.5);
+    expect(position.y).toBeGreaterThan(1);
+    expect(overlay._group.visible).toBe(true);
+
+    overlay.dispose();
+  });
+
+  it('draws the hovered path as a separate layer and clears both', () => {
+    const overlay = buildOverlay();
+    overlay.setRange([{ gridX: 0, gridY: 0, color: 0x00ff00 }]);
+    overlay.setPath([{ gridX: 0, gridY: 0 }], { color: 0x0000ff });
+    expect(overlay._pathMesh.count).toBe(1);
+    expect(overlay._pathMesh.material.color.getHex()).toBe(0x0000ff);
+
+    overlay.setPath([]);
+    expect(overlay._pathMesh.visible).toBe(false);
+    expect(overlay._group.visible).toBe(true);
+
+    overlay.clear();
+    expect(overlay._rangeMesh.count).toBe(0);
+    expect(overlay._group.visible).toBe(false);
+
+    overlay.dispose();
+  });
+});
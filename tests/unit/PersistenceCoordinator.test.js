@@ -0,0 +1,135 @@
+// Scene save/load round-trip through GameManager.exportScene / importScene
+
+import { SCENE_DOCUMENT_CONFIG } from '../../src/config/GameConstants.js';
+
+import { buildGM } from '../fixtures/sceneGameManager.js';
+
+describe('PersistenceCoordinator scene documents', () => {
+  afterEach(() => {
+    delete window.selectedBiome;
+    delete window.__TT_PENDING_SUN_TIME_MINUTES;
+  });
+
+  test('exportScene captures terrain, placeables, tokens, lighting and camera', () => {
+    const gm = buildGM();
+    gm.terrainCoordinator.dataStore.base[2][3] = 4;
+    gm.terrainCoordinator.setBiomeSeed(1234);
+    window.selectedBiome = 'grassland';
+    window.__TT_PENDING_SUN_TIME_MINUTES = 990;
+    gm.terrainManager.placeItem('tree-green-conifer', 1, 1);
+    gm.tokenManager.placeTokenOfType('mannequin', 5, 6);
+    gm.tokenManager.placedTokens[0].facingAngle = 1.5;
+    gm.tokenManager.placedTokens[0].quickCommand = 'hold';
+    expect(gm.setTokenAllegiance(gm.tokenManager.placedTokens[0], 'enemy')).toBe(true);
+    expect(gm.setTokenAllegiance(gm.tokenManager.placedTokens[0], 'pirates')).toBe(false);
+
+    const doc = gm.exportScene();
+
+    expect(doc.format).toBe(SCENE_DOCUMENT_CONFIG.FORMAT);
+    expect(doc.version).toBe(SCENE_DOCUMENT_CONFIG.VERSION);
+    expect(doc.grid).toEqual({ cols: 10, rows: 8 });
+    expect(doc.terrain.heights[2][3]).toBe(4);
+    expect(doc.terrain.biome).toBe('grassland');
+    expect(doc.terrain.seed).toBe(1234);
+    expect(doc.placeables).toEqual([
+      { id: 'tree-green-conifer', gridX: 1, gridY: 1, variantIndex: 0 },
+    ]);
+    expect(doc.tokens).toEqual([
+      {
+        type: 'mannequin',
+        gridX: 5,
+        gridY: 6,
+        facingAngle: 1.5,
+        quickCommand: 'hold',
+        allegiance: 'enemy',
+      },
+    ]);
+    expect(doc.lighting.sunTimeMinutes).toBe(990);
+    expect(doc.camera.viewMode).toBe('isometric');
+    // Document must survive a JSON round trip unchanged
+    expect(JSON.parse(JSON.stringify(doc))).toEqual(doc);
+  });
+
+  test('importScene rebuilds the table from JSON text and replaces existing content', async () => {
+    const source = buildGM(12, 9);
+    source.terrainCoordinator.dataStore.base[0][0] = -3;
+    source.terrainCoordinator.dataStore.base[8][11] = 7;
+    source.terrainCoordinator.setBiomeSeed(42);
+    window.selectedBiome = 'desertHot';
+    source.terrainManager.placeItem('tree-green-willow', 2, 3);
+    source.terrainManager.placeables.get('2,3')[0].placeableVariantIndex = 2;
+    source.tokenManager.placeTokenOfType('mannequin', 4, 4);
+    source.tokenManager.placedTokens[0].facingAngle = -0.75;
+    source.setTokenAllegiance(source.tokenManager.placedTokens[0], 'neutral');
+    const json = JSON.stringify(source.exportScene());
+    delete window.selectedBiome;
+
+    const target = buildGM(10, 8);
+    target.tokenManager.placeTokenOfType('mannequin', 0, 0);
+    target.terrainManager.placeItem('tree-green-conifer', 5, 5);
+    target.applyTokenCommand = jest.fn();
+
+    const result = await target.importScene(json);
+
+    expect(target.cols).toBe(12);
+    expect(target.rows).toBe(9);
+    expect(target.getTerrainHeight(0, 0)).toBe(-3);
+    expect(target.getTerrainHeight(11, 8)).toBe(7);
+    expect(target.terrainCoordinator._biomeSeed).toBe(42);
+    expect(window.selectedBiome).toBe('desertHot');
+    expect([...target.terrainManager.placeables.keys()]).toEqual(['2,3']);
+    expect(target.terrainManager.placeables.get('2,3')[0].placeableVariantIndex).toBe(2);
+    expect(target.placedTokens).toHaveLength(1);
+    expect(target.placedTokens[0]).toMatchObject({
+      gridX: 4,
+      gridY: 4,
+      facingAngle: -0.75,
+      allegiance: 'neutral',
+    });
+    expect(target.applyTokenCommand).not.toHaveBeenCalled();
+    expect(result).toEqual({
+      placeables: 1,
+      tokens: 1,
+      skipped: [],
+      repairs: [],
+      migratedFrom: [],
+    });
+  });
+
+  test('importScene rejects invalid content unless repair is requested', async () => {
+    const gm = buildGM();
+    gm.terrainManager.placeItem('tree-green-conifer', 2, 2);
+    const doc = gm.exportScene();
+    doc.placeables.push({ id: 'no-such-thing', gridX: 1, gridY: 1, variantIndex: 0 });
+    doc.tokens.push({ type: 'mannequin', gridX: 40, gridY: 2, facingAngle: 0, quickCommand: null });
+
+    let caught = null;
+    try {
+      await gm.importScene(doc);
+    } catch (error) {
+      caught = error;
+    }
+    expect(caught.validationErrors).toEqual([
+      'placeables[1].id unknown placeable "no-such-thing"',
+      'tokens[0].gridX out of range (0-9)',
+    ]);
+    // Table untouched by the rejected load
+    expect(gm.terrainManager.placeables.has('2,2')).toBe(true);
+
+    const result = await gm.importScene(doc, { repair: true });
+
+    expect(result.placeables).toBe(1);
+    expect(result.tokens).toBe(0);
+    expect(result.repairs).toHaveLength(2);
+  });
+
+  test('importScene rejects foreign, newer or malformed documents', async () => {
+    const gm = buildGM();
+    await expect(gm.importScene('{not json')).rejects.toThrow(/not valid JSON/);
+    await expect(gm.importScene({ format: 'other' })).rejects.toThrow(/Not a TavernTable scene/);
+    const newer = { ...gm.exportScene(), version: SCENE_DOCUMENT_CONFIG.VERSION + 1 };
+    await expect(gm.importScene(newer)).rejects.toThrow(/newer than supported/);
+    const badGrid = { ...gm.exportScene(), grid: { cols: 500, rows: 8 } };
+    await expect(gm.importScene(badGrid)).rejects.toThrow(/out of range/);
+  });
+});
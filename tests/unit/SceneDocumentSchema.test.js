@@ -0,0 +1,217 @@
+import {
+  validateSceneDocument,
+  repairSceneDocument,
+} from '../../src/coordinators/persistence-coordinator/schema.js';
+import {
+  migrateSceneDocument,
+  registerSceneMigration,
+} from '../../src/coordinators/persistence-coordinator/migrations.js';
+import { SCENE_DOCUMENT_CONFIG } from '../../src/config/GameConstants.js';
+
+function buildDoc(overrides = {}) {
+  const cols = 6;
+  const rows = 5;
+  return {
+    format: SCENE_DOCUMENT_CONFIG.FORMAT,
+    version: SCENE_DOCUMENT_CONFIG.VERSION,
+    savedAt: '2025-01-01T00:00:00.000Z',
+    grid: { cols, rows },
+    terrain: {
+      heights: Array.from({ length: rows }, () => new Array(cols).fill(0)),
+      biome: 'grassland',
+      seed: 7,
+      treeDensity: 1,
+    },
+    placeables: [{ id: 'tree-green-conifer', gridX: 1, gridY: 1, variantIndex: 0 }],
+    tokens: [{ type: 'mannequin', gridX: 2, gridY: 3, facingAngle: 0, quickCommand: null }],
+    lighting: { sunTimeMinutes: 720 },
+    camera: { viewMode: 'isometric' },
+    ...overrides,
+  };
+}
+
+describe('validateSceneDocument', () => {
+  test('accepts a well-formed document', () => {
+    expect(validateSceneDocument(buildDoc())).toEqual({ isValid: true, errors: [] });
+  });
+
+  test('reports every problem with its path', () => {
+    const doc = buildDoc();
+    doc.grid.cols = 300;
+    doc.terrain.heights[1][2] = 99;
+    doc.placeables.push({ id: 'retired-stump', gridX: 0, gridY: 0, variantIndex: 0 });
+    doc.tokens.push({
+      type: 'dragon',
+      gridX: 1,
+      gridY: 9,
+      facingAngle: 'north',
+      quickCommand: 'x',
+      allegiance: 'pirates',
+    });
+    doc.camera.viewMode = 'fisheye';
+
+    const { isValid, errors } = validateSceneDocument(doc);
+
+    expect(isValid).toBe(false);
+    expect(errors).toEqual([
+      'grid.cols out of range (5-256)',
+      'terrain.heights[1][2] out of range (-10-10)',
+      'placeables[1].id unknown placeable "retired-stump"',
+      'tokens[1].type unknown token type "dragon"',
+      'tokens[1].gridY out of range (0-4)',
+      'tokens[1].facingAngle must be a number (radians)',
+      'tokens[1].quickCommand unknown command "x"',
+      'tokens[1].allegiance unknown allegiance "pirates"',
+      'camera.viewMode must be one of isometric, topdown',
+    ]);
+  });
+});
+
+describe('repairSceneDocument', () => {
+  test('drops unknown placeables and out-of-grid tokens, clamps heights', () => {
+    const doc = buildDoc();
+    doc.terrain.heights[0][0] = 25;
+    doc.placeables.push({ id: 'retired-stump', gridX: 0, gridY: 0, variantIndex: 0 });
+    doc.tokens.push({
+      type: 'female-humanoid',
+      gridX: 4,
+      gridY: 4,
+      facingAngle: 1,
+      quickCommand: null,
+      allegiance: 'pirates',
+    });
+    doc.tokens.push({ type: 'mannequin', gridX: 12, gridY: 0, facingAngle: 0, quickCommand: null });
+
+    const { doc: repaired, repairs } = repairSceneDocument(doc);
+
+    expect(validateSceneDocument(repaired).isValid).toBe(true);
+    expect(repaired.terrain.heights[0][0]).toBe(10);
+    expect(repaired.placeables.map((p) => p.id)).toEqual(['tree-green-conifer']);
+    // Legacy alias normalized, out-of-grid token dropped
+    expect(repaired.tokens.map((t) => [t.type, t.gridX, t.gridY])).toEqual([
+      ['mannequin', 2, 3],
+      ['mannequin', 4, 4],
+    ]);
+    expect(repairs).toEqual([
+      'terrain.heights 1 cell(s) filled or clamped',
+      'placeables[1] dropped: unknown placeable "retired-stump"',
+      'tokens[1].allegiance cleared: unknown allegiance "pirates"',
+      'tokens[2] dropped: outside the 6x5 grid',
+    ]);
+    // Input is left untouched
+    expect(doc.placeables).toHaveLength(2);
+  });
+
+  test('clamps grid dimensions to the current limits and crops the height field', () => {
+    const doc = buildDoc();
+    doc.grid.rows = 3;
+    doc.grid.cols = 2;
+
+    const { doc: repaired } = repairSceneDocument(doc);
+
+    expect(repaired.grid).toEqual({ cols: 5, rows: 5 });
+    expect(repaired.terrain.heights).toHaveLength(5);
+    expect(repaired.terrain.heights[0]).toHaveLength(5);
+  });
+
+  test('keeps river/road surfaces inside the grid and drops unknown ones', () => {
+    const doc = buildDoc();
+    doc.terrain.surfaces = [
+      { gridX: 1, gridY: 0, type: 'river' },
+      { gridX: 2, gridY: 9, type: 'road' },
+      { gridX: 0, gridY: 0, type: 'lava' },
+    ];
+    expect(validateSceneDocument(doc).errors).toEqual([
+      'terrain.surfaces[1].gridY out of range (0-4)',
+      'terrain.surfaces[2].type unknown surface "lava"',
+    ]);
+
+    const { doc: repaired, repairs } = repairSceneDocument(doc);
+
+    expect(repaired.terrain.surfaces).toEqual([{ gridX: 1, gridY: 0, type: 'river' }]);
+    expect(repairs).toEqual([
+      'terrain.surfaces[1] dropped: outside the 6x5 grid',
+      'terrain.surfaces[2] dropped: unknown surface "lava"',
+    ]);
+  });
+
+  test('keeps painted biome regions inside the grid and drops unknown biomes', () => {
+    const doc = buildDoc();
+    doc.terrain.biomes = [
+      { gridX: 2, gridY: 1, biome: 'desertHot' },
+      { gridX: 7, gridY: 0, biome: 'tundra' },
+      { gridX: 0, gridY: 0, biome: 'moonscape' },
+    ];
+    expect(validateSceneDocument(doc).errors).toEqual([
+      'terrain.biomes[1].gridX out of range (0-5)',
+      'terrain.biomes[2].biome unknown biome "moonscape"',
+    ]);
+
+    const { doc: repaired, repairs } = repairSceneDocument(doc);
+
+    expect(repaired.terrain.biomes).toEqual([{ gridX: 2, gridY: 1, biome: 'desertHot' }]);
+    expect(repairs).toEqual([
+      'terrain.biomes[1] dropped: outside the 6x5 grid',
+      'terrain.biomes[2] dropped: unknown biome "moonscape"',
+    ]);
+  });
+
+  test('rounds and clamps the water level', () => {
+    const doc = buildDoc();
+    doc.terrain.waterLevel = -14.2;
+    expect(validateSceneDocument(doc).errors).toEqual([
+      'terrain.waterLevel must be null or an integer (-10-10)',
+    ]);
+
+    const { doc: repaired, repairs } = repairSceneDocument(doc);
+
+    expect(repaired.terrain.waterLevel).toBe(-10);
+    expect(repairs).toEqual(['terrain.waterLevel -14.2 -> -10']);
+    expect(
+      validateSceneDocument(buildDoc({ terrain: { ...doc.terrain, waterLevel: null } }))
+    ).toEqual({ isValid: true, errors: [] });
+  });
+});
+
+describe('migrateSceneDocument', () => {
+  test('returns a copy unchanged when already current', () => {
+    const doc = buildDoc();
+    const { doc: migrated, applied } = migrateSceneDocument(doc);
+    expect(applied).toEqual([]);
+    expect(migrated).toEqual(doc);
+    expect(migrated).not.toBe(doc);
+  });
+
+  test('applies registered steps in order up to the target version', () => {
+    const registry = new Map();
+    registerSceneMigration(
+      1,
+      (doc) => ({
+        ...doc,
+        placeables: doc.placeables.map((p) => (p.id === 'old-oak' ? { ...p, id: 'tree-oak' } : p)),
+      }),
+      registry
+    );
+    registerSceneMigration(2, (doc) => ({ ...doc, camera: { viewMode: 'isometric' } }), registry);
+    const doc = buildDoc({
+      version: 1,
+      placeables: [{ id: 'old-oak', gridX: 0, gridY: 0, variantIndex: 0 }],
+      camera: undefined,
+    });
+
+    const { doc: migrated, applied } = migrateSceneDocument(doc, { registry, targetVersion: 3 });
+
+    expect(applied).toEqual([1, 2]);
+    expect(migrated.version).toBe(3);
+    expect(migrated.placeables[0].id).toBe('tree-oak');
+    expect(migrated.camera).toEqual({ viewMode: 'isometric' });
+    expect(doc.version).toBe(1);
+  });
+
+  test('fails on newer documents or gaps in the chain', () => {
+    expect(() => migrateSceneDocument(buildDoc({ version: 99 }))).toThrow(/newer than supported/);
+    expect(() =>
+      migrateSceneDocument(buildDoc({ version: 1 }), { registry: new Map(), targetVersion: 2 })
+    ).toThrow(/No scene migration registered from version 1/);
+  });
+});
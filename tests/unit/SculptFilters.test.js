@@ -0,0 +1,101 @@
+import {
+  smoothHeights,
+  noiseHeights,
+  erodeHeights,
+} from '../../src/terrain/brush/SculptFilters.js';
+import { TerrainBrushController } from '../../src/terrain/brush/TerrainBrushController.js';
+import { TERRAIN_CONFIG } from '../../src/config/terrain/TerrainConstants.js';
+
+import { makeStore } from '../fixtures/heightStore.js';
+
+const sum = (values) => values.reduce((a, b) => a + b, 0);
+
+describe('SculptFilters', () => {
+  test('smoothing averages the in-grid neighbourhood and rounds to levels', () => {
+    const store = makeStore([
+      [0, 0, 0],
+      [0, 9, 0],
+      [0, 0, 0],
+    ]);
+    const cells = [
+      { x: 1, y: 1 },
+      { x: 0, y: 0 },
+    ];
+    // centre: 9/9 = 1; corner: 9/4 = 2.25 -> 2
+    expect(smoothHeights(cells, store.get, store)).toEqual([1, 2]);
+  });
+
+  test('noise stays within the amplitude and the height range, and is deterministic', () => {
+    const cells = Array.from({ length: 25 }, (_, i) => ({ x: i % 5, y: Math.floor(i / 5) }));
+    const heights = cells.map(() => TERRAIN_CONFIG.MAX_HEIGHT - 1);
+    const a = noiseHeights(cells, heights, { seed: 7, amplitude: 3 });
+    expect(a).toEqual(noiseHeights(cells, heights, { seed: 7, amplitude: 3 }));
+    a.forEach((h, i) => {
+      expect(Math.abs(h - heights[i])).toBeLessThanOrEqual(3);
+      expect(h).toBeLessThanOrEqual(TERRAIN_CONFIG.MAX_HEIGHT);
+      expect(Number.isInteger(h)).toBe(true);
+    });
+  });
+
+  test('noise is centred on the current height rather than lowering it', () => {
+    const cells = Array.from({ length: 1600 }, (_, i) => ({ x: i % 40, y: Math.floor(i / 40) }));
+    const heights = cells.map(() => 0);
+    const means = [1, 7, 42].map((seed) => {
+      const out = noiseHeights(cells, heights, { seed, amplitude: 8 });
+      return sum(out) / out.length;
+    });
+    expect(Math.abs(sum(means) / means.length)).toBeLessThan(0.25);
+  });
+
+  test('erosion moves material downhill until no drop exceeds the talus', () => {
+    const cells = [0, 1, 2, 3].map((x) => ({ x, y: 0 }));
+    const heights = [8, 0, 0, 0];
+    const out = erodeHeights(cells, heights, { talus: 1, iterations: 50 });
+    expect(sum(out)).toBe(sum(heights));
+    for (let i = 1; i < out.length; i++) {
+      expect(Math.abs(out[i] - out[i - 1])).toBeLessThanOrEqual(1);
+    }
+    // Gentle slopes are left alone
+    expect(erodeHeights(cells, [3, 2, 1, 0], { talus: 1 })).toEqual([3, 2, 1, 0]);
+  });
+});
+
+describe('Sculpt brushes', () => {
+  test('erode brush sheds material into the ring around the footprint', () => {
+    const store = makeStore([
+      [0, 0, 0],
+      [0, 6, 0],
+      [0, 0, 0],
+    ]);
+    const brush = new TerrainBrushController(store);
+    brush.setTool('erode');
+    const plan = brush.planAt(1, 1);
+    expect(plan[0]).toEqual(expect.objectContaining({ x: 1, y: 1, currentHeight: 6 }));
+    expect(plan[0].previewHeight).toBeLessThan(6);
+    brush.applyAt(1, 1);
+    expect(sum(store.field.flat())).toBe(6);
+    expect(brush.lastModifiedCells.length).toBeGreaterThan(1);
+  });
+
+  test('noise dabs preview exactly what they apply, then reseed', () => {
+    const store = makeStore(Array.from({ length: 5 }, () => [0, 0, 0, 0, 0]));
+    const brush = new TerrainBrushController(store);
+    brush.setTool('noise');
+    brush.brushSize = 5;
+    const plan = brush.planAt(2, 2);
+    const seed = brush.noiseSeed;
+    brush.applyAt(2, 2);
+    plan.forEach((c) => expect(store.get(c.x, c.y)).toBe(c.previewHeight));
+    expect(brush.noiseSeed).toBe(seed + 1);
+  });
+
+  test('smooth brush uses the normalized brush size', () => {
+    const store = makeStore(Array.from({ length: 9 }, () => Array(9).fill(0)));
+    const brush = new TerrainBrushController(store);
+    brush.setTool('smooth');
+    brush.brushSize = 99;
+    expect(brush.planAt(4, 4)).toHaveLength(
+      TERRAIN_CONFIG.MAX_BRUSH_SIZE * TERRAIN_CONFIG.MAX_BRUSH_SIZE
+    );
+  });
+});
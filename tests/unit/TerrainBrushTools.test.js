@@ -0,0 +1,106 @@
+import { TerrainBrushController } from '../../src/terrain/brush/TerrainBrushController.js';
+import { computeFloodRegion } from '../../src/terrain/brush/BrushCommon.js';
+import { buildBrushHighlightDescriptor } from '../../src/terrain/brush/TerrainBrushHighlighter.js';
+import { TERRAIN_CONFIG } from '../../src/config/terrain/TerrainConstants.js';
+
+import { makeStore } from '../fixtures/heightStore.js';
+
+describe('Terrain brush tools', () => {
+  test('set paints the target level over the footprint, clamped to the height range', () => {
+    const store = makeStore([
+      [0, 1, 2],
+      [3, 4, 5],
+      [6, 7, 8],
+    ]);
+    const brush = new TerrainBrushController(store);
+    brush.setTool('set');
+    brush.brushSize = 3;
+    brush.setTargetHeight(99);
+    expect(brush.targetHeight).toBe(TERRAIN_CONFIG.MAX_HEIGHT);
+    brush.setTargetHeight(4);
+
+    // Size 3 at the corner clips to the 2x2 cells inside the grid
+    expect(brush.applyAt(0, 0)).toBe(true);
+    expect(store.field).toEqual([
+      [4, 4, 2],
+      [4, 4, 5],
+      [6, 7, 8],
+    ]);
+    // (1,1) was already at level 4
+    expect(brush.lastModifiedCells).toHaveLength(3);
+  });
+
+  test('fill levels only the contiguous equal-height region under the cursor', () => {
+    const store = makeStore([
+      [1, 1, 0, 1],
+      [1, 0, 0, 1],
+      [1, 1, 1, 1],
+    ]);
+    const brush = new TerrainBrushController(store);
+    brush.setTool('fill');
+    brush.setTargetHeight(-3);
+
+    // Footprint (and preview) is the region, regardless of brush size
+    expect(brush.getFootprintCells(2, 0)).toHaveLength(3);
+    brush.applyAt(2, 0);
+    expect(store.field).toEqual([
+      [1, 1, -3, 1],
+      [1, -3, -3, 1],
+      [1, 1, 1, 1],
+    ]);
+    // The surrounding 1s wrap around the pit, so they form one region
+    expect(computeFloodRegion(0, 0, store.get, store)).toHaveLength(9);
+    expect(computeFloodRegion(5, 5, store.get, store)).toEqual([]);
+  });
+
+  test('plateau flattens the footprint to the height under the cursor', () => {
+    const store = makeStore([
+      [0, 5, 9],
+      [2, 4, -1],
+      [7, 3, 1],
+    ]);
+    const brush = new TerrainBrushController(store);
+    brush.setTool('plateau');
+    brush.brushSize = 3;
+    brush.applyAt(1, 1);
+    expect(store.field.flat().every((h) => h === 4)).toBe(true);
+  });
+
+  test('planned heights feed the highlight descriptor without touching the terrain', () => {
+    const store = makeStore([
+      [0, 0],
+      [0, 6],
+    ]);
+    const brush = new TerrainBrushController(store);
+    brush.setTool('plateau');
+    brush.brushSize = 2;
+    const desc = buildBrushHighlightDescriptor({
+      brush,
+      center: { gridX: 1, gridY: 1 },
+      terrainModeActive: true,
+    });
+    expect(desc.cells).toEqual([{ x: 1, y: 1, currentHeight: 6, previewHeight: 6, weight: 1 }]);
+    const corner = buildBrushHighlightDescriptor({
+      brush,
+      center: { gridX: 0, gridY: 0 },
+      terrainModeActive: true,
+    });
+    expect(corner.cells.find((c) => c.x === 1 && c.y === 1)).toEqual({
+      x: 1,
+      y: 1,
+      currentHeight: 6,
+      previewHeight: 0,
+      weight: 1,
+    });
+    expect(store.field).toEqual([
+      [0, 0],
+      [0, 6],
+    ]);
+  });
+
+  test('unknown tools fall back to raise', () => {
+    const brush = new TerrainBrushController(makeStore([[0]]));
+    brush.setTool('dig');
+    expect(brush.tool).toBe('raise');
+  });
+});
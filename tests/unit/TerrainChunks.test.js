@@ -0,0 +1,163 @@
+import * as three from 'three';
+import {
+  isChunked,
+  chunkKeyOf,
+  listChunks,
+  dirtyChunkKeys,
+  getTerrainMeshes,
+} from '../../src/scene/terrain/TerrainChunks.js';
+import { TerrainMeshBuilder } from '../../src/scene/terrain/TerrainMeshBuilder.js';
+import { TerrainRebuilder } from '../../src/scene/terrain/TerrainRebuilder.js';
+
+describe('TerrainChunks layout', () => {
+  test('splits large maps into chunks with smaller edge chunks', () => {
+    expect(isChunked(32, 32)).toBe(false);
+    expect(isChunked(33, 10)).toBe(true);
+    expect(chunkKeyOf(40, 5)).toBe('1,0');
+
+    const chunks = listChunks(40, 20, 16);
+    expect(chunks.map((c) => c.key)).toEqual(['0,0', '1,0', '2,0', '0,1', '1,1', '2,1']);
+    expect(chunks[2]).toEqual({ key: '2,0', x: 32, y: 0, cols: 8, rows: 16 });
+    expect(chunks[5]).toEqual({ key: '2,1', x: 32, y: 16, cols: 8, rows: 4 });
+  });
+
+  test('marks the chunks bordering an edited tile dirty', () => {
+    expect([...dirtyChunkKeys([{ x: 5, y: 5 }], 64, 64)]).toEqual(['0,0']);
+    // A tile on a chunk edge shapes the wall of its neighbour across the boundary
+    expect([...dirtyChunkKeys([{ x: 31, y: 32 }], 64, 64)].sort()).toEqual(['0,0', '0,1', '1,1']);
+    expect([...dirtyChunkKeys([{ x: 63, y: 63 }, { x: 'a' }], 64, 64)]).toEqual(['1,1']);
+  });
+});
+
+describe('Chunked terrain meshes', () => {
+  const builder = () => new TerrainMeshBuilder({ tileWorldSize: 1, elevationUnit: 0.5 });
+
+  test('a region mesh keeps world coordinates and walls against tiles outside it', () => {
+    const heights = (x) => (x === 2 ? 2 : 0);
+    const geo = builder().build({
+      cols: 4,
+      rows: 1,
+      getHeight: heights,
+      three,
+      getBiomeColor: () => 0x446688,
+      getWallColor: () => 0x111111,
+      region: { x: 3, y: 0, cols: 1, rows: 1 },
+    });
+    const pos = geo.getAttribute('position');
+    // Top quad only: the raised neighbour at x=2 owns the wall between them
+    expect(pos.count).toBe(4);
+    geo.computeBoundingBox();
+    expect(geo.boundingBox.min.x).toBe(3);
+    expect(geo.boundingBox.max.x).toBe(4);
+
+    const walled = builder().build({
+      cols: 4,
+      rows: 1,
+      getHeight: heights,
+      three,
+      getBiomeColor: () => 0x446688,
+      getWallColor: () => 0x111111,
+      region: { x: 2, y: 0, cols: 1, rows: 1 },
+    });
+    expect(walled.getAttribute('position').count).toBeGreaterThan(4);
+  });
+
+  function makeGameManager(cols, rows) {
+    const scene = new three.Scene();
+    return {
+      cols,
+      rows,
+      getTerrainHeight: () => 0,
+      terrainCoordinator: { isTerrainModeActive: false },
+      isTerrainModeActive: () => false,
+      threeSceneManager: {
+        scene,
+        registerTerrainGeometryBasis: jest.fn(),
+        syncGridOverlayToTerrain: jest.fn(),
+        syncWaterSurface: jest.fn(),
+      },
+    };
+  }
+
+  test('builds one mesh per chunk and rebuilds only dirty chunks', () => {
+    const gm = makeGameManager(64, 40);
+    const meshBuilder = builder();
+    const build = jest.spyOn(meshBuilder, 'build');
+    const rebuilder = new TerrainRebuilder({ gameManager: gm, builder: meshBuilder });
+
+    const root = rebuilder.rebuild({ three });
+    expect(root.userData.chunked).toBe(true);
+    expect(getTerrainMeshes(gm.threeSceneManager.scene)).toHaveLength(4);
+    expect(build).toHaveBeenCalledTimes(4);
+    const material = root.children[0].material;
+    expect(root.children.every((mesh) => mesh.material === material)).toBe(true);
+
+    build.mockClear();
+    const untouched = root.children[3].geometry;
+    rebuilder.rebuild({ three, cells: [{ x: 10, y: 10 }] });
+    expect(build).toHaveBeenCalledTimes(1);
+    expect(build.mock.calls[0][0].region).toMatchObject({ key: '0,0' });
+    expect(root.children[3].geometry).toBe(untouched);
+    expect(gm.threeSceneManager.registerTerrainGeometryBasis).toHaveBeenLastCalledWith(
+      expect.anything(),
+      '0,0'
+    );
+    // The grid overlay and water are told which tiles changed, too
+    expect(gm.threeSceneManager.syncGridOverlayToTerrain).toHaveBeenLastCalledWith([
+      { x: 10, y: 10 },
+    ]);
+    expect(gm.threeSceneManager.syncWaterSurface).toHaveBeenLastCalledWith([{ x: 10, y: 10 }]);
+
+    build.mockClear();
+    rebuilder.rebuild({ three });
+    expect(build).toHaveBeenCalledTimes(4);
+    expect(gm.threeSceneManager.syncWaterSurface).toHaveBeenLastCalledWith(undefined);
+  });
+
+  test('request() collects dirty cells until flushed; a bare request rebuilds everything', () => {
+    jest.useFakeTimers();
+    try {
+      const rebuilder = new TerrainRebuilder({ gameManager: makeGameManager(64, 64) });
+      const rebuild = jest.spyOn(rebuilder, 'rebuild').mockReturnValue(null);
+      rebuilder.request({ cells: [{ x: 1, y: 1 }] });
+      expect(rebuild).toHaveBeenLastCalledWith({ cells: [{ x: 1, y: 1 }] });
+
+      rebuilder.request({ cells: [{ x: 2, y: 2 }] });
+      rebuilder.request({ three, cells: [{ x: 40, y: 40 }] });
+      jest.runOnlyPendingTimers();
+      expect(rebuild).toHaveBeenLastCalledWith({
+        three,
+        cells: [
+          { x: 2, y: 2 },
+          { x: 40, y: 40 },
+        ],
+      });
+
+      rebuilder.request({ cells: [{ x: 3, y: 3 }] });
+      rebuilder.request();
+      jest.runOnlyPendingTimers();
+      expect(rebuild).toHaveBeenCalledTimes(3);
+      expect(rebuild.mock.calls[2][0].cells).toBeUndefined();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('chunks outside the camera frustum are culled', () => {
+    const gm = makeGameManager(64, 64);
+    const rebuilder = new TerrainRebuilder({ gameManager: gm, builder: builder() });
+    rebuilder.rebuild({ three });
+
+    const camera = new three.PerspectiveCamera(30, 1, 0.1, 100);
+    camera.position.set(16, 10, 16);
+    camera.lookAt(16, 0, 16);
+    camera.updateMatrixWorld();
+    const frustum = new three.Frustum().setFromProjectionMatrix(
+      new three.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+    );
+    const visible = getTerrainMeshes(gm.threeSceneManager.scene)
+      .filter((mesh) => frustum.intersectsObject(mesh))
+      .map((mesh) => mesh.userData.chunkKey);
+    expect(visible).toEqual(['0,0']);
+  });
+});
@@ -96,4 +96,21 @@ describe('TerrainCoordinator public surface smoke tests', () => {
     c.applyBiomePaletteToBaseGrid();
     expect(c._biomeShading.applyToBaseGrid).toHaveBeenCalledTimes(1);
   });
+
+  test('arming a modal terrain tool leaves the one already armed', () => {
+    const c = new TerrainCoordinator(makeGameManager());
+    const armed = () =>
+      ['stamps', 'selection', 'roads', 'biomePaint'].filter((key) => c[key].isActive());
+
+    expect(c.startSelectionTool('marquee')).toBe(true);
+    expect(armed()).toEqual(['selection']);
+    c.startRoadTool();
+    expect(armed()).toEqual(['roads']);
+    expect(c.startBiomePaint(null)).toBe(true);
+    expect(armed()).toEqual(['biomePaint']);
+    expect(c.startStampCapture('hill')).toBe(true);
+    expect(armed()).toEqual(['stamps']);
+    c.startSelectionTool('lasso');
+    expect(armed()).toEqual(['selection']);
+  });
 });
@@ -0,0 +1,111 @@
+import { TerrainGenerationService } from '../../src/coordinators/terrain-coordinator/TerrainGenerationService.js';
+import { runGenerationJob } from '../../src/coordinators/terrain-coordinator/internals/generationJob.js';
+import {
+  resolveGenerationRun,
+  buildGenerationRequest,
+  GENERATION_PROGRESS_EVENT,
+} from '../../src/coordinators/terrain-coordinator/internals/generation.js';
+import { buildTerrainCoordinator, listPlants } from '../fixtures/sceneGameManager.js';
+
+const makeCoordinator = () => buildTerrainCoordinator(24, 24, { seed: 4242 });
+
+function makeFakeWorker() {
+  const worker = {
+    posted: [],
+    terminated: false,
+    postMessage(msg) {
+      this.posted.push(msg);
+    },
+    terminate() {
+      this.terminated = true;
+    },
+    reply(data) {
+      this.onmessage({ data });
+    },
+  };
+  return worker;
+}
+
+describe('Terrain generation job', () => {
+  test('matches synchronous generation: same heights and the same flora', () => {
+    const c = makeCoordinator();
+    const run = resolveGenerationRun(c, 'forest', { seed: 99 });
+    const job = runGenerationJob(buildGenerationRequest(c, run, { headless: true }));
+    expect(runGenerationJob(buildGenerationRequest(c, run, { headless: true }))).toEqual(job);
+
+    expect(c.generateBiomeElevation('forest', { seed: 99, headless: true })).toBe(true);
+    expect(job.field).toEqual(c.dataStore.base);
+    expect(job.flora.length).toBeGreaterThan(0);
+    expect(job.flora.map((p) => `${p.x},${p.y}:${p.id}`).sort()).toEqual(listPlants(c));
+    expect(job.shading).toBeNull();
+  });
+
+  test('background generation applies the job inline and reports progress', async () => {
+    const c = makeCoordinator();
+    const stages = [];
+    const onProgress = (e) => stages.push(e.detail.stage);
+    window.addEventListener(GENERATION_PROGRESS_EVENT, onProgress);
+    try {
+      const ok = await c.generateBiomeElevationInBackground('forest', { seed: 99, headless: true });
+      expect(ok).toBe(true);
+    } finally {
+      window.removeEventListener(GENERATION_PROGRESS_EVENT, onProgress);
+    }
+    expect(stages[0]).toBe('elevation');
+    expect(stages).toEqual(expect.arrayContaining(['flora', 'apply']));
+    expect(stages[stages.length - 1]).toBe('done');
+
+    const sync = makeCoordinator();
+    sync.generateBiomeElevation('forest', { seed: 99, headless: true });
+    expect(c.dataStore.base).toEqual(sync.dataStore.base);
+    expect(listPlants(c)).toEqual(listPlants(sync));
+  });
+});
+
+describe('TerrainGenerationService', () => {
+  const request = { biome: 'grassland', rows: 6, cols: 6, seed: 7, flora: null, shading: null };
+
+  test('forwards worker progress and results, ignoring messages from cancelled jobs', async () => {
+    const workers = [];
+    const service = new TerrainGenerationService({
+      createWorker: () => {
+        workers.push(makeFakeWorker());
+        return workers[workers.length - 1];
+      },
+    });
+    const progress = [];
+    const first = service.run(request, { onProgress: (stage) => progress.push(stage) });
+    const firstId = workers[0].posted[0].id;
+    workers[0].reply({ type: 'progress', id: firstId, stage: 'elevation', progress: 0 });
+    expect(progress).toEqual(['elevation']);
+
+    // Generating again cancels the job in flight and replaces its worker
+    const second = service.run(request);
+    await expect(first).resolves.toBeNull();
+    expect(workers[0].terminated).toBe(true);
+    expect(workers).toHaveLength(2);
+
+    const secondId = workers[1].posted[0].id;
+    expect(secondId).not.toBe(firstId);
+    workers[1].reply({ type: 'result', id: firstId, result: { stale: true } });
+    expect(service.isRunning()).toBe(true);
+    workers[1].reply({ type: 'result', id: secondId, result: { field: [[1]] } });
+    await expect(second).resolves.toEqual({ field: [[1]] });
+    expect(service.isRunning()).toBe(false);
+    expect(service.cancel()).toBe(false);
+  });
+
+  test('rejects on worker job errors and falls back inline when the worker fails', async () => {
+    const worker = makeFakeWorker();
+    const service = new TerrainGenerationService({ createWorker: () => worker });
+    const failed = service.run(request);
+    worker.reply({ type: 'error', id: worker.posted[0].id, message: 'boom' });
+    await expect(failed).rejects.toThrow('boom');
+
+    const pending = service.run(request);
+    worker.onerror({ message: 'module failed to load', preventDefault: jest.fn() });
+    const result = await pending;
+    expect(result.field).toEqual(runGenerationJob(request).field);
+    expect(worker.terminated).toBe(true);
+  });
+});
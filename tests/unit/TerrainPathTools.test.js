@@ -0,0 +1,142 @@
+import {
+  rasterizeLine,
+  rasterizePolyline,
+  rampHeightAt,
+} from '../../src/terrain/brush/PathTools.js';
+import { TerrainBrushController } from '../../src/terrain/brush/TerrainBrushController.js';
+import { TerrainInputHandlers } from '../../src/coordinators/terrain-coordinator/TerrainInputHandlers.js';
+import { applyTerrainPath } from '../../src/coordinators/terrain-coordinator/internals/inputs.js';
+import { TERRAIN_CONFIG } from '../../src/config/terrain/TerrainConstants.js';
+
+import { makeFlatStore } from '../fixtures/heightStore.js';
+
+describe('PathTools geometry', () => {
+  test('lines are 8-connected and include both ends', () => {
+    expect(rasterizeLine(0, 0, 3, 1)).toEqual([
+      { x: 0, y: 0 },
+      { x: 1, y: 0 },
+      { x: 2, y: 1 },
+      { x: 3, y: 1 },
+    ]);
+    expect(rasterizeLine(2, 2, 2, 2)).toEqual([{ x: 2, y: 2 }]);
+    // Shared vertices are not repeated
+    expect(
+      rasterizePolyline([
+        { x: 0, y: 0 },
+        { x: 2, y: 0 },
+        { x: 2, y: 2 },
+      ])
+    ).toHaveLength(5);
+  });
+
+  test('stairs split the climb into evenly spaced treads', () => {
+    expect(rampHeightAt(0.5, 0, 5)).toBe(3);
+    expect([0, 0.3, 0.4, 0.7, 1].map((t) => rampHeightAt(t, 0, 4, 2))).toEqual([0, 0, 2, 4, 4]);
+    // The last tread is shorter when the climb is not a multiple of the step
+    expect(rampHeightAt(1, 6, 1, 2)).toBe(1);
+  });
+});
+
+describe('Path brush tools', () => {
+  test('ramp interpolates from the start height to the end height on release', () => {
+    const store = makeFlatStore(6, 1);
+    store.field[0][5] = 5;
+    const brush = new TerrainBrushController(store);
+    brush.setTool('ramp');
+
+    expect(brush.applyAt(0, 0)).toBe(false); // path tools never paint per dab
+    brush.beginPath(0, 0);
+    brush.extendPath(3, 0);
+    brush.extendPath(5, 0);
+    // Previews (planAt) show the whole path wherever the cursor is
+    expect(brush.planAt(2, 0).map((c) => c.previewHeight)).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(store.field[0]).toEqual([0, 0, 0, 0, 0, 5]);
+
+    expect(brush.applyPath()).toBe(true);
+    expect(store.field[0]).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(brush.hasActivePath()).toBe(false);
+  });
+
+  test('stairs quantise the ramp by the stair step', () => {
+    const store = makeFlatStore(6, 1);
+    store.field[0][5] = 4;
+    const brush = new TerrainBrushController(store);
+    brush.setTool('stairs');
+    brush.setStairStep(2);
+    brush.beginPath(0, 0);
+    brush.extendPath(5, 0);
+    brush.applyPath();
+    expect(store.field[0]).toEqual([0, 0, 2, 2, 4, 4]);
+  });
+
+  test('ridge raises and trench lowers along the dragged polyline', () => {
+    const store = makeFlatStore(4, 4);
+    const brush = new TerrainBrushController(store);
+    brush.setTool('ridge');
+    brush.beginPath(0, 0);
+    brush.extendPath(3, 0);
+    brush.extendPath(3, 3);
+    brush.applyPath();
+    const raised = TERRAIN_CONFIG.PATH.RIDGE_HEIGHT;
+    expect(store.field[0]).toEqual([raised, raised, raised, raised]);
+    expect(store.field[3][3]).toBe(raised);
+    expect(store.field[1][1]).toBe(0);
+
+    brush.setTool('trench');
+    brush.beginPath(0, 2);
+    brush.extendPath(1, 2);
+    brush.applyPath();
+    expect(store.field[2].slice(0, 2)).toEqual([-raised, -raised]);
+  });
+
+  test('a drag applies once on mouse up and requests a single terrain rebuild', () => {
+    const store = makeFlatStore(5, 5);
+    store.field[4][4] = 4;
+    const brush = new TerrainBrushController(store);
+    brush.setTool('ramp');
+    const coords = [];
+    const c = {
+      brush,
+      isTerrainModeActive: true,
+      isDragging: false,
+      brushSize: 1,
+      getGridCoordinatesFromEvent: () => coords.shift(),
+      isValidGridPosition: (x, y) => x >= 0 && y >= 0 && x < 5 && y < 5,
+      getTerrainHeight: (x, y) => store.get(x, y),
+      modifyTerrainAtPosition: jest.fn(),
+      terrainManager: {
+        renderBrushPreview: jest.fn(),
+        updateTerrainCells: jest.fn(),
+        flushUpdateQueue: jest.fn(),
+      },
+      gameManager: { notifyTerrainHeightsChanged: jest.fn() },
+    };
+    c.applyTerrainPath = () => applyTerrainPath(c);
+    const handlers = new TerrainInputHandlers(c);
+    const event = (extra) => ({
+      button: 0,
+      buttons: 1,
+      preventDefault() {},
+      stopPropagation() {},
+      ...extra,
+    });
+
+    coords.push({ gridX: 0, gridY: 0 });
+    handlers.handleMouseDown(event());
+    for (const [gridX, gridY] of [
+      [2, 2],
+      [4, 4],
+    ]) {
+      coords.push({ gridX, gridY });
+      handlers.handleMouseMove(event());
+    }
+    expect(store.field[2][2]).toBe(0);
+    expect(c.gameManager.notifyTerrainHeightsChanged).not.toHaveBeenCalled();
+
+    handlers.handleMouseUp(event({ buttons: 0 }));
+    expect(store.field[2][2]).toBe(2);
+    expect(c.modifyTerrainAtPosition).not.toHaveBeenCalled();
+    expect(c.terrainManager.updateTerrainCells).toHaveBeenCalledTimes(1);
+    expect(c.gameManager.notifyTerrainHeightsChanged).toHaveBeenCalledTimes(1);
+  });
+});
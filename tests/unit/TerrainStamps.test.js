@@ -0,0 +1,187 @@
+import {
+  captureStamp,
+  transformStamp,
+  planStampPaste,
+  edgeLevel,
+} from '../../src/terrain/stamps/TerrainStamps.js';
+import { StampLibrary } from '../../src/terrain/stamps/StampLibrary.js';
+import { TerrainStampController } from '../../src/terrain/stamps/TerrainStampController.js';
+import { pasteStampAt } from '../../src/coordinators/terrain-coordinator/internals/stamps.js';
+import { TERRAIN_CONFIG } from '../../src/config/terrain/TerrainConstants.js';
+
+import { makeStore, makeFlatStore } from '../fixtures/heightStore.js';
+
+function memoryStorage() {
+  const data = new Map();
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+  };
+}
+
+// A 3x2 stamp: rim at 1, one bump at 4, a tree anchored on the bump
+const crater = {
+  name: 'bump',
+  width: 3,
+  height: 2,
+  heights: [
+    [0, 3, 0],
+    [0, 0, 1],
+  ],
+  placeables: [{ id: 'tree-oak', dx: 1, dy: 0, variantIndex: 2 }],
+};
+
+describe('Terrain stamp geometry', () => {
+  test('capture stores heights relative to the edge level and keeps placeables once', () => {
+    const field = [
+      [1, 1, 1],
+      [1, 5, 1],
+      [1, 1, 1],
+    ];
+    const tree = { id: 'tree-oak', gridX: 1, gridY: 1, variantIndex: 1 };
+    const outside = { id: 'tree-big', gridX: 3, gridY: 1, variantIndex: 0 };
+    const placeablesAt = (x, y) => (x >= 1 && y >= 1 ? [tree, outside] : []);
+    const stamp = captureStamp(
+      'mound',
+      { x0: 0, y0: 0, x1: 2, y1: 2 },
+      (x, y) => field[y][x],
+      placeablesAt
+    );
+
+    expect(stamp.heights).toEqual([
+      [0, 0, 0],
+      [0, 4, 0],
+      [0, 0, 0],
+    ]);
+    expect(stamp.placeables).toEqual([{ id: 'tree-oak', dx: 1, dy: 1, variantIndex: 1 }]);
+    expect(edgeLevel({ x0: 0, y0: 0, x1: 2, y1: 2 }, (x, y) => field[y][x])).toBe(1);
+  });
+
+  test('rotation turns clockwise in quarter steps and mirroring flips left-right', () => {
+    const turned = transformStamp(crater, { rotation: 1 });
+    expect([turned.width, turned.height]).toEqual([2, 3]);
+    expect(turned.heights).toEqual([
+      [0, 0],
+      [0, 3],
+      [1, 0],
+    ]);
+    expect(turned.placeables[0]).toMatchObject({ dx: 1, dy: 1 });
+
+    const mirrored = transformStamp(crater, { mirror: true });
+    expect(mirrored.heights[1]).toEqual([1, 0, 0]);
+    expect(mirrored.placeables[0].dx).toBe(1);
+
+    // Four quarter turns are the identity; the source stamp is untouched
+    expect(transformStamp(crater, { rotation: 4 }).heights).toEqual(crater.heights);
+    expect(crater.heights[0]).toEqual([0, 3, 0]);
+  });
+
+  test('paste re-bases heights on the target edge level and clips to the grid', () => {
+    const field = Array.from({ length: 4 }, () => new Array(4).fill(2));
+    const plan = planStampPaste(crater, 1, 1, (x, y) => field[y][x], { cols: 4, rows: 4 });
+    const at = (x, y) => plan.cells.find((c) => c.x === x && c.y === y);
+    expect(plan.cells).toHaveLength(6);
+    expect(at(1, 0).previewHeight).toBe(5);
+    expect(at(2, 1).previewHeight).toBe(3);
+    expect(plan.placeables).toEqual([{ id: 'tree-oak', gridX: 1, gridY: 0, variantIndex: 2 }]);
+
+    const corner = planStampPaste(crater, 0, 0, (x, y) => field[y][x], { cols: 4, rows: 4 });
+    expect(corner.cells.map((c) => `${c.x},${c.y}`)).toEqual(['0,0', '1,0']);
+    expect(corner.placeables).toEqual([]);
+  });
+});
+
+describe('StampLibrary', () => {
+  test('saves, replaces by name, drops the oldest when full and skips invalid entries', () => {
+    const storage = memoryStorage();
+    const library = new StampLibrary({ storage, maxStamps: 2 });
+    expect(library.save(crater)).toBe(true);
+    expect(library.save({ ...crater, name: 'a' })).toBe(true);
+    expect(library.save({ ...crater, name: 'b' })).toBe(true);
+    expect(library.names()).toEqual(['a', 'b']);
+    expect(library.save({ ...crater, name: 'a', width: 99 })).toBe(false);
+
+    storage.setItem(library.key, JSON.stringify([crater, { name: 'broken' }]));
+    expect(new StampLibrary({ storage }).names()).toEqual(['bump']);
+    storage.setItem(library.key, '{not json');
+    expect(new StampLibrary({ storage }).list()).toEqual([]);
+    expect(library.remove('missing')).toBe(false);
+  });
+});
+
+describe('TerrainStampController', () => {
+  test('capture drag saves the region and paste previews the transformed stamp', () => {
+    const store = makeStore([
+      [0, 0, 0, 0],
+      [0, 2, 0, 0],
+      [0, 0, 0, 0],
+    ]);
+    const stamps = new TerrainStampController(store, new StampLibrary({ storage: null }));
+    expect(stamps.beginCapture('  ')).toBe(false);
+    expect(stamps.beginCapture('peak')).toBe(true);
+    // Before dragging, the hovered tile is highlighted
+    expect(stamps.planAt(3, 2)).toEqual([{ x: 3, y: 2, currentHeight: 0, previewHeight: 0 }]);
+    stamps.startCaptureDrag(2, 2);
+    stamps.updateCaptureDrag(0, 0);
+    expect(stamps.planAt(3, 2)).toHaveLength(9);
+    const saved = stamps.finishCapture();
+    expect(saved.heights[1][1]).toBe(2);
+    expect(stamps.isActive()).toBe(false);
+
+    expect(stamps.beginPaste('missing')).toBe(false);
+    expect(stamps.beginPaste('peak')).toBe(true);
+    store.set(1, 1, 0);
+    expect(stamps.planAt(1, 1).find((c) => c.x === 1 && c.y === 1).previewHeight).toBe(2);
+    stamps.rotate(5);
+    expect(stamps.rotation).toBe(1);
+  });
+
+  test('capture regions are cropped to the maximum stamp size', () => {
+    const size = TERRAIN_CONFIG.STAMPS.MAX_SIZE + 5;
+    const store = makeFlatStore(size, size);
+    const stamps = new TerrainStampController(store, new StampLibrary({ storage: null }));
+    stamps.beginCapture('big');
+    stamps.startCaptureDrag(size - 1, 0);
+    stamps.updateCaptureDrag(0, size - 1);
+    const rect = stamps.captureRect();
+    expect(rect.x1 - rect.x0 + 1).toBe(TERRAIN_CONFIG.STAMPS.MAX_SIZE);
+    expect(rect.x1).toBe(size - 1);
+  });
+});
+
+describe('pasteStampAt', () => {
+  test('writes heights and placeables inside one history stroke', async () => {
+    const store = makeFlatStore(3, 3);
+    const library = new StampLibrary({ storage: null });
+    library.save(crater);
+    const stamps = new TerrainStampController(store, library);
+    stamps.beginPaste('bump');
+
+    const order = [];
+    const history = {
+      beginStroke: jest.fn(() => order.push('begin')),
+      endStroke: jest.fn(() => order.push('end')),
+      trackPlaceables: jest.fn(async (_label, _cells, apply) => {
+        await apply();
+        order.push('placeables');
+      }),
+    };
+    const terrainManager = { placeItem: jest.fn(() => true), flushUpdateQueue: jest.fn() };
+    const c = {
+      stamps,
+      terrainManager,
+      gameManager: { historyCoordinator: history },
+      setHeightsAt: jest.fn((cells) => {
+        cells.forEach(({ x, y, height }) => store.set(x, y, height));
+        order.push('heights');
+      }),
+    };
+
+    await expect(pasteStampAt(c, 1, 1)).resolves.toBe(true);
+    expect(order).toEqual(['begin', 'heights', 'placeables', 'end']);
+    expect(store.field[0][1]).toBe(3);
+    expect(terrainManager.placeItem).toHaveBeenCalledWith('tree-oak', 1, 0);
+    // Paste mode stays armed for repeated placement
+    expect(stamps.mode).toBe('paste');
+  });
+});
@@ -1,3 +1,4 @@
+import * as THREE from 'three';
 import { ThreeSceneManager } from '../../src/scene/ThreeSceneManager.js';
 
 describe('ThreeSceneManager (bootstrap)', () => {
@@ -18,3 +19,56 @@ describe('ThreeSceneManager (bootstrap)', () => {
     await tsm.initialize();
   });
 });
+
+describe('ThreeSceneManager grid overlay style stack', () => {
+  test('popping by token removes only that layer, even under a later push', () => {
+    const tsm = new ThreeSceneManager({ cols: 2, rows: 2 });
+    jest.spyOn(tsm, '_rebuildGridOverlay').mockImplementation(() => {});
+    const base = { ...tsm._gridOverlayStyle };
+    const selection = tsm.pushGridOverlayStyle({ highlightCells: [{ x: 0, y: 0 }] });
+    const print = tsm.pushGridOverlayStyle({ fillAlpha: 0, borderAlpha: 1 });
+
+    expect(tsm.popGridOverlayStyle(selection)).toBe(true);
+    expect(tsm._gridOverlayStyle.highlightCells).toBeUndefined();
+    expect(tsm._gridOverlayStyle.fillAlpha).toBe(0);
+    expect(tsm.popGridOverlayStyle(selection)).toBe(false);
+
+    expect(tsm.popGridOverlayStyle(print)).toBe(true);
+    expect(tsm._gridOverlayStyle).toEqual(base);
+  });
+});
+
+describe('ThreeSceneManager grid overlay terrain sync', () => {
+  test('edited tiles are moved in place instead of rebuilding the overlay', () => {
+    const heights = [
+      [0, 0, 0],
+      [0, 0, 0],
+    ];
+    const tsm = new ThreeSceneManager({
+      cols: 3,
+      rows: 2,
+      spatial: { tileWorldSize: 1, elevationUnit: 0.5 },
+      getTerrainHeight: (x, y) => heights[y][x],
+    });
+    tsm.three = THREE;
+    tsm.scene = new THREE.Scene();
+    tsm._rebuildGridOverlay(null, { force: true });
+    const fill = tsm.scene.getObjectByName('GridBaseFill');
+    const lines = tsm.scene.getObjectByName('GridLineFrame').geometry.getAttribute('position');
+    const rebuild = jest.spyOn(tsm, '_rebuildGridOverlay');
+
+    heights[1][2] = 4;
+    tsm.syncGridOverlayToTerrain([{ x: 2, y: 1 }]);
+    expect(rebuild).not.toHaveBeenCalled();
+    expect(tsm.scene.getObjectByName('GridBaseFill')).toBe(fill);
+    const matrix = new THREE.Matrix4();
+    fill.getMatrixAt(5, matrix);
+    expect(new THREE.Vector3().setFromMatrixPosition(matrix).y).toBeCloseTo(2 - 0.01);
+    expect(lines.getY(5 * 8)).toBeCloseTo(2 + 0.004);
+    fill.getMatrixAt(4, matrix);
+    expect(new THREE.Vector3().setFromMatrixPosition(matrix).y).toBeCloseTo(-0.01);
+
+    tsm.syncGridOverlayToTerrain();
+    expect(rebuild).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,203 @@
+import { cellsInPolygon } from '../../src/terrain/selection/TileSelection.js';
+import { TileSelectionController } from '../../src/terrain/selection/TileSelectionController.js';
+import {
+  adjustSelectionHeight,
+  setSelectionHeight,
+  finishSelectionDrag,
+  clearSelection,
+  copySelection,
+  pasteSelectionAt,
+} from '../../src/coordinators/terrain-coordinator/internals/selection.js';
+import { scatterFloraInCells } from '../../src/coordinators/terrain-coordinator/internals/flora.js';
+
+import { makeFlatStore } from '../fixtures/heightStore.js';
+
+const keys = (cells) => cells.map(({ x, y }) => `${x},${y}`);
+
+describe('Tile selection shapes', () => {
+  test('lasso selects tiles whose centres are inside the outline', () => {
+    // Triangle with its right angle at the origin
+    const triangle = [
+      { x: -0.5, y: -0.5 },
+      { x: 3.5, y: -0.5 },
+      { x: -0.5, y: 3.5 },
+    ];
+    expect(keys(cellsInPolygon(triangle, { cols: 10, rows: 10 }))).toEqual([
+      '0,0',
+      '1,0',
+      '2,0',
+      '0,1',
+      '1,1',
+      '0,2',
+    ]);
+    expect(cellsInPolygon(triangle.slice(0, 2), { cols: 10, rows: 10 })).toEqual([]);
+    // Clipped to the grid
+    expect(keys(cellsInPolygon(triangle, { cols: 1, rows: 1 }))).toEqual(['0,0']);
+  });
+
+  test('copy keeps absolute heights and selected placeables; paste centres on the cursor', () => {
+    const store = makeFlatStore(6, 6, 1);
+    store.set(2, 2, 4);
+    const tree = { id: 'tree-oak', gridX: 2, gridY: 2, variantIndex: 1 };
+    const outside = { id: 'tree-big', gridX: 3, gridY: 3, variantIndex: 0 };
+    const selection = new TileSelectionController(store);
+    expect(selection.copy()).toBeNull();
+    selection.select([
+      { x: 2, y: 2 },
+      { x: 3, y: 2 },
+      { x: 2, y: 3 },
+    ]);
+    const clipboard = selection.copy((x, y) => (x === 2 && y === 2 ? [tree] : [outside]));
+    // A masked stamp: the unselected corner is left out
+    expect([clipboard.width, clipboard.height, clipboard.absolute]).toEqual([2, 2, true]);
+    expect(clipboard.heights).toEqual([
+      [4, 1],
+      [1, null],
+    ]);
+    expect(clipboard.placeables).toEqual([{ id: 'tree-oak', dx: 0, dy: 0, variantIndex: 1 }]);
+
+    selection.beginPaste();
+    const plan = selection.planPasteAt(5, 5);
+    expect(plan.cells).toEqual([
+      { x: 4, y: 4, currentHeight: 1, previewHeight: 4 },
+      { x: 5, y: 4, currentHeight: 1, previewHeight: 1 },
+      { x: 4, y: 5, currentHeight: 1, previewHeight: 1 },
+    ]);
+    expect(plan.placeables).toEqual([{ id: 'tree-oak', gridX: 4, gridY: 4, variantIndex: 1 }]);
+  });
+});
+
+describe('TileSelectionController', () => {
+  test('marquee drags replace the selection and shift-drags add to it', () => {
+    const selection = new TileSelectionController(makeFlatStore(5, 5));
+    expect(selection.startDrag({ x: 0, y: 0 })).toBe(false);
+    expect(selection.setTool('marquee')).toBe(true);
+    selection.startDrag({ x: 1.2, y: 0.9 });
+    selection.updateDrag({ x: 0, y: 0 });
+    expect(selection.planAt(4, 4)).toHaveLength(4);
+    expect(keys(selection.finishDrag())).toEqual(['0,0', '1,0', '0,1', '1,1']);
+
+    selection.startDrag({ x: 4, y: 4 }, { additive: true });
+    expect(selection.finishDrag()).toHaveLength(5);
+    selection.startDrag({ x: 3, y: 3 });
+    expect(keys(selection.finishDrag())).toEqual(['3,3']);
+    expect(selection.setTool('bogus')).toBe(false);
+  });
+
+  test('a lasso too small to enclose a centre selects its starting tile', () => {
+    const selection = new TileSelectionController(makeFlatStore(5, 5));
+    selection.setTool('lasso');
+    selection.startDrag({ x: 2.1, y: 2.1 });
+    selection.updateDrag({ x: 2.3, y: 2.1 });
+    selection.updateDrag({ x: 2.3, y: 2.3 });
+    expect(keys(selection.finishDrag())).toEqual(['2,2']);
+  });
+
+  test('paste needs a clipboard and previews where it would land', () => {
+    const store = makeFlatStore(4, 4);
+    store.set(0, 0, 3);
+    const selection = new TileSelectionController(store);
+    expect(selection.beginPaste()).toBe(false);
+    selection.select([{ x: 0, y: 0 }]);
+    selection.copy();
+    expect(selection.beginPaste()).toBe(true);
+    expect(selection.planAt(2, 2)).toEqual([{ x: 2, y: 2, currentHeight: 0, previewHeight: 3 }]);
+  });
+});
+
+describe('Selection bulk actions', () => {
+  function makeCoordinator(store) {
+    const tsm = {
+      pushGridOverlayStyle: jest.fn(() => Symbol('selection')),
+      popGridOverlayStyle: jest.fn(),
+    };
+    const history = { beginStroke: jest.fn(), endStroke: jest.fn() };
+    const selection = new TileSelectionController(store);
+    return {
+      selection,
+      tsm,
+      history,
+      gameManager: { threeSceneManager: tsm, historyCoordinator: history },
+      getTerrainHeight: (x, y) => store.get(x, y),
+      setHeightsAt: jest.fn((cells) =>
+        cells.forEach(({ x, y, height }) => store.set(x, y, height))
+      ),
+    };
+  }
+
+  test('height actions clamp, skip unchanged tiles and form one undo step', () => {
+    const store = makeFlatStore(3, 3);
+    store.set(1, 0, 10);
+    const c = makeCoordinator(store);
+    c.selection.select([
+      { x: 0, y: 0 },
+      { x: 1, y: 0 },
+    ]);
+    expect(adjustSelectionHeight(c, 2)).toBe(1);
+    expect(store.field[0]).toEqual([2, 10, 0]);
+    expect(c.history.beginStroke).toHaveBeenCalledWith('Raise selection');
+    expect(c.history.endStroke).toHaveBeenCalledTimes(1);
+    expect(setSelectionHeight(c, -3)).toBe(2);
+    expect(store.field[0]).toEqual([-3, -3, 0]);
+    expect(adjustSelectionHeight(c, 0)).toBe(0);
+  });
+
+  test('paste writes the clipboard as one undo step and selects the pasted tiles', async () => {
+    const store = makeFlatStore(4, 4);
+    store.set(0, 0, 3);
+    const c = makeCoordinator(store);
+    c.selection.select([
+      { x: 0, y: 0 },
+      { x: 1, y: 0 },
+    ]);
+    copySelection(c);
+    c.selection.beginPaste();
+
+    await expect(pasteSelectionAt(c, 2, 2)).resolves.toBe(true);
+    expect(store.field[2]).toEqual([0, 3, 0, 0]);
+    expect(c.history.beginStroke).toHaveBeenCalledWith('Paste selection');
+    expect(c.history.endStroke).toHaveBeenCalledTimes(1);
+    expect(keys(c.selection.getCells())).toEqual(['1,2', '2,2']);
+    expect(c.selection.tool).toBe('marquee');
+  });
+
+  test('the selection highlight is swapped on the grid overlay style stack', () => {
+    const c = makeCoordinator(makeFlatStore(3, 3));
+    c.selection.setTool('marquee');
+    c.selection.startDrag({ x: 0, y: 0 });
+    finishSelectionDrag(c);
+    expect(c.tsm.pushGridOverlayStyle).toHaveBeenCalledWith(
+      expect.objectContaining({ highlightCells: [{ x: 0, y: 0 }] })
+    );
+    clearSelection(c);
+    expect(c.tsm.popGridOverlayStyle).toHaveBeenCalledTimes(1);
+    expect(c.tsm.popGridOverlayStyle).toHaveBeenCalledWith(
+      c.tsm.pushGridOverlayStyle.mock.results[0].value
+    );
+    expect(c.tsm.pushGridOverlayStyle).toHaveBeenCalledTimes(1);
+  });
+
+  test('flora scatter only plants on selected land tiles', () => {
+    const store = makeFlatStore(6, 6, 1);
+    store.set(0, 0, -1);
+    const placeTerrainItem = jest.fn(() => true);
+    const c = {
+      terrainManager: { placeTerrainItem },
+      getTerrainHeight: (x, y) => store.get(x, y),
+    };
+    const cells = [
+      { x: 0, y: 0 },
+      { x: 1, y: 0 },
+      { x: 2, y: 0 },
+      { x: 3, y: 0 },
+    ];
+    const placed = scatterFloraInCells(c, cells, 'forestTemperate', 42);
+    expect(placed).toBeGreaterThan(0);
+    for (const [x, y] of placeTerrainItem.mock.calls) {
+      expect(y).toBe(0);
+      expect(x).toBeGreaterThan(0);
+      expect(x).toBeLessThan(4);
+    }
+    expect(scatterFloraInCells(c, cells, 'desertHot', 42)).toBe(0);
+  });
+});
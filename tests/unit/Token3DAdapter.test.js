@@ -674,6 +674,428 @@ describe('Token3DAdapter (Phase 3)', () => {
     expect(state.lastRequestedGoal.options.__preferredSpeedMode).toBe('walk');
   });
 
+  test('navigateToGrid routes around other tokens and refuses occupied goals', () => {
+    const blocker = { id: 'guard', gridX: 2, gridY: 0 };
+    const gm = {
+      cols: 5,
+      rows: 3,
+      placedTokens: [blocker],
+      is3DModeActive: () => true,
+      spatial: {
+        tileWorldSize: 1,
+        elevationUnit: 0.5,
+        gridToWorld: (gridX, gridY, heightLevel = 0) => ({
+          x: gridX,
+          y: (heightLevel ?? 0) * 0.5,
+          z: gridY,
+        }),
+      },
+      getTerrainHeight: () => 0,
+    };
+
+    const adapter = new Token3DAdapter(gm);
+    const token = { id: 'hero', gridX: 0, gridY: 0, world: gm.spatial.gridToWorld(0.5, 0.5, 0) };
+    gm.placedTokens.push(token);
+
+    expect(adapter.navigateToGrid(token, 2, 0)).toBeNull();
+
+    const result = adapter.navigateToGrid(token, 4, 0);
+    expect(result).toBeTruthy();
+    const state = adapter._movementStates.get(token);
+    expect(state.pathRoute[state.pathRoute.length - 1]).toEqual({ gridX: 4, gridY: 0 });
+    expect(state.pathRoute).not.toContainEqual({ gridX: 2, gridY: 0 });
+    expect(state.pathGoal.gridX === 4 && state.pathGoal.gridY === 0).toBe(false);
+    expect(state.lastRequestedGoal).toMatchObject({ gridX: 4, gridY: 0 });
+  });
+
+  test('movement range overlay follows the selected token and previews hovered routes', () => {
+    const sceneManager = {
+      setMovementRangePreview: jest.fn(),
+      setMovementPathPreview: jest.fn(),
+      clearMovementRangePreview: jest.fn(),
+    };
+    const hero = { id: 'hero', gridX: 0, gridY: 0 };
+    const gm = {
+      cols: 6,
+      rows: 1,
+      placedTokens: [hero],
+      is3DModeActive: () => true,
+      threeSceneManager: sceneManager,
+      getTerrainHeight: () => 0,
+    };
+    const adapter = new Token3DAdapter(gm);
+    adapter._selectedToken = hero;
+    adapter.setMovementRangeFeet(17);
+
+    expect(adapter.getMovementRangeFeet()).toBe(15);
+    const [tiles] = sceneManager.setMovementRangePreview.mock.calls.at(-1);
+    expect(tiles.map((t) => [t.gridX, t.band])).toEqual([
+      [1, 0],
+      [2, 1],
+      [3, 2],
+    ]);
+
+    adapter.previewMovementPath(2, 0);
+    expect(sceneManager.setMovementPathPreview.mock.calls.at(-1)[0]).toEqual([
+      { gridX: 1, gridY: 0 },
+      { gridX: 2, gridY: 0 },
+    ]);
+    adapter.previewMovementPath(5, 0);
+    expect(sceneManager.setMovementPathPreview.mock.calls.at(-1)[0]).toEqual([]);
+
+    const renders = sceneManager.setMovementRangePreview.mock.calls.length;
+    adapter._syncMovementRange();
+    expect(sceneManager.setMovementRangePreview).toHaveBeenCalledTimes(renders);
+    hero.gridX = 1;
+    adapter._syncMovementRange();
+    expect(sceneManager.setMovementRangePreview).toHaveBeenCalledTimes(renders + 1);
+
+    adapter._selectedToken = null;
+    adapter._syncMovementRange();
+    expect(sceneManager.clearMovementRangePreview).toHaveBeenCalled();
+  });
+
+  test('movement range is recomputed after terrain, placeable or water changes', () => {
+    const sceneManager = {
+      setMovementRangePreview: jest.fn(),
+      setMovementPathPreview: jest.fn(),
+      clearMovementRangePreview: jest.fn(),
+    };
+    const hero = { id: 'hero', gridX: 0, gridY: 0 };
+    const placeables = new Map();
+    let waterDepth = 0;
+    const gm = {
+      cols: 6,
+      rows: 1,
+      placedTokens: [hero],
+      is3DModeActive: () => true,
+      threeSceneManager: sceneManager,
+      terrainManager: { placeables },
+      terrainCoordinator: { getWaterDepthAt: () => waterDepth },
+      getTerrainHeight: () => 0,
+    };
+    const adapter = new Token3DAdapter(gm);
+    adapter._selectedToken = hero;
+    adapter.setMovementRangeFeet(15);
+    const reach = () => sceneManager.setMovementRangePreview.mock.calls.at(-1)[0].length;
+    expect(reach()).toBe(3);
+
+    placeables.set('2,0', [{ placeableType: 'structure' }]);
+    adapter._syncMovementRange();
+    expect(reach()).toBe(3);
+    adapter.invalidateMovementRange();
+    adapter._syncMovementRange();
+    expect(reach()).toBe(1);
+
+    placeables.clear();
+    waterDepth = 1;
+    adapter.invalidateMovementRange();
+    adapter._syncMovementRange();
+    expect(reach()).toBe(1);
+  });
+
+  test('multi-selected tokens move as a group to distinct formation tiles', () => {
+    const tokens = [0, 1, 2].map((gridY) => ({
+      id: `t${gridY}`,
+      gridX: 0,
+      gridY,
+      world: { x: 0.5, y: 0, z: gridY + 0.5 },
+    }));
+    const [a, b, c] = tokens;
+    const gm = {
+      cols: 6,
+      rows: 3,
+      placedTokens: tokens,
+      is3DModeActive: () => true,
+      spatial: {
+        tileWorldSize: 1,
+        elevationUnit: 0.5,
+        gridToWorld: (gridX, gridY, heightLevel = 0) => ({
+          x: gridX,
+          y: (heightLevel ?? 0) * 0.5,
+          z: gridY,
+        }),
+      },
+      getTerrainHeight: () => 0,
+    };
+    const adapter = new Token3DAdapter(gm);
+
+    adapter.setSelectedTokens([a, b]);
+    expect(adapter.toggleTokenSelection(c)).toBe(true);
+    expect(adapter.toggleTokenSelection(b)).toBe(false);
+    expect(adapter.getSelectedTokens()).toEqual([a, c]);
+    expect(adapter.isTokenSelected(b)).toBe(false);
+    adapter.setSelectedToken(b);
+    expect(adapter.getSelectedTokens()).toEqual([b]);
+
+    // Keep spacing: c's slot is off the grid, so it takes the nearest free tile
+    const kept = adapter.navigateGroupToGrid(tokens, 4, 1);
+    expect(kept.moved).toBe(3);
+    expect(kept.goals.map((g) => `${g.gridX},${g.gridY}`)).toEqual(['4,1', '4,2', '3,2']);
+    const group = adapter._movementStates.get(b).groupMove;
+    expect(group.mates).toEqual(new Set(tokens));
+    expect(group.avoidTiles.has('4,1')).toBe(true);
+    expect(group.avoidTiles.has('4,2')).toBe(false);
+
+    // Goals on a group mate's current tile are fine: mates step out of each other's way
+    expect(adapter.setGroupFormation('square')).toBe('keep');
+    expect(adapter.navigateGroupToGrid(tokens, 0, 1).moved).toBe(3);
+
+    expect(adapter.setGroupFormation('line')).toBe('line');
+    const line = adapter.navigateGroupToGrid(tokens, 5, 1);
+    expect(line.goals.map((g) => `${g.gridX},${g.gridY}`)).toEqual(['5,1', '5,0', '5,2']);
+  });
+
+  test('shift-click waypoints queue behind the current move and advance in order', () => {
+    const sceneManager = {
+      setWaypointRoutePreview: jest.fn(),
+      clearWaypointRoutePreview: jest.fn(),
+    };
+    const hero = { id: 'hero', gridX: 0, gridY: 0, world: { x: 0.5, y: 0, z: 0.5 } };
+    const gm = {
+      cols: 6,
+      rows: 1,
+      placedTokens: [hero],
+      is3DModeActive: () => true,
+      threeSceneManager: sceneManager,
+      spatial: {
+        tileWorldSize: 1,
+        elevationUnit: 0.5,
+        gridToWorld: (gridX, gridY, heightLevel = 0) => ({
+          x: gridX,
+          y: (heightLevel ?? 0) * 0.5,
+          z: gridY,
+        }),
+      },
+      getTerrainHeight: () => 0,
+    };
+    const adapter = new Token3DAdapter(gm);
+
+    expect(adapter.queueWaypoint(hero, 2, 0).speedMode).toBeTruthy();
+    expect(adapter.getWaypointQueue(hero)).toEqual([]);
+    expect(adapter.queueWaypoint(hero, 4, 0)).toEqual({ goal: { gridX: 4, gridY: 0 }, queued: 1 });
+    adapter.queueWaypoint(hero, 5, 0);
+    expect(adapter.getWaypointQueue(hero)).toEqual([
+      { gridX: 4, gridY: 0 },
+      { gridX: 5, gridY: 0 },
+    ]);
+
+    adapter._syncWaypointRoutes();
+    const [[route]] = sceneManager.setWaypointRoutePreview.mock.calls.at(-1);
+    expect(route.path.map((t) => t.gridX)).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(route.waypoints).toHaveLength(2);
+
+    // Still walking to the first goal: nothing advances
+    const navigate = jest.spyOn(adapter, 'navigateToGrid');
+    adapter._advanceWaypointQueues();
+    expect(navigate).not.toHaveBeenCalled();
+
+    // Arrived and at rest: the next waypoint becomes the move order
+    adapter._movementStates.delete(hero);
+    hero.gridX = 2;
+    adapter._advanceWaypointQueues();
+    expect(navigate).toHaveBeenCalledWith(hero, 4, 0);
+    expect(adapter.getWaypointQueue(hero)).toEqual([{ gridX: 5, gridY: 0 }]);
+
+    expect(adapter.cancelWaypointQueue(hero)).toBe(1);
+    expect(adapter.getWaypointQueue(hero)).toEqual([]);
+    adapter._syncWaypointRoutes();
+    expect(sceneManager.clearWaypointRoutePreview).toHaveBeenCalled();
+  });
+
+  test('queued group move orders keep their group context until each member sets off', () => {
+    const tokens = [0, 1].map((gridY) => ({
+      id: `t${gridY}`,
+      gridX: 0,
+      gridY,
+      world: { x: 0.5, y: 0, z: gridY + 0.5 },
+    }));
+    const gm = {
+      cols: 6,
+      rows: 2,
+      placedTokens: [...tokens],
+      is3DModeActive: () => true,
+      spatial: {
+        tileWorldSize: 1,
+        elevationUnit: 0.5,
+        gridToWorld: (gridX, gridY, heightLevel = 0) => ({
+          x: gridX,
+          y: (heightLevel ?? 0) * 0.5,
+          z: gridY,
+        }),
+      },
+      getTerrainHeight: () => 0,
+    };
+    const adapter = new Token3DAdapter(gm);
+    adapter.navigateGroupToGrid(tokens, 2, 0);
+
+    const queued = adapter.navigateGroupToGrid(tokens, 5, 0, { queue: true });
+    expect(queued.moved).toBe(2);
+    expect(adapter.getWaypointQueue(tokens[1])).toEqual([
+      { gridX: queued.goals[1].gridX, gridY: queued.goals[1].gridY },
+    ]);
+
+    // At rest: the queued goal becomes a group move order again
+    const navigate = jest.spyOn(adapter, 'navigateToGrid');
+    tokens.forEach((token) => adapter._movementStates.delete(token));
+    adapter._advanceWaypointQueues();
+    expect(navigate).toHaveBeenCalledTimes(2);
+    for (const token of tokens) {
+      const group = adapter._movementStates.get(token).groupMove;
+      expect(group.mates).toEqual(new Set(tokens));
+    }
+    expect(adapter._movementStates.get(tokens[1]).groupMove.avoidTiles.has('5,0')).toBe(true);
+  });
+
+  test('occupied tiles block other tokens unless allies pass through or they move as a group', () => {
+    const hero = { id: 'hero', gridX: 0, gridY: 0, world: { x: 0.5, y: 0, z: 0.5 } };
+    const ally = { id: 'ally', gridX: 2, gridY: 0, world: { x: 2.5, y: 0, z: 0.5 } };
+    // Mid-move: the token counts where it stands, not where it started
+    const foe = {
+      id: 'foe',
+      gridX: 4,
+      gridY: 0,
+      allegiance: 'enemy',
+      world: { x: 3.5, y: 0, z: 0.5 },
+    };
+    const placeables = new Map([['5,0', [{ placeableType: 'structure' }]]]);
+    const gm = {
+      cols: 6,
+      rows: 1,
+      placedTokens: [hero, ally, foe],
+      terrainManager: { placeables },
+      spatial: {
+        tileWorldSize: 1,
+        worldToGrid: (x, z) => ({ gridX: Math.floor(x), gridY: Math.floor(z) }),
+      },
+    };
+    const adapter = new Token3DAdapter(gm);
+
+    expect(adapter.getTileOccupancy().get('3,0')).toEqual([foe]);
+    expect(adapter.isTileOccupiedFor(hero, 0, 0)).toBe(false);
+    expect(adapter.isTileOccupiedFor(hero, 1, 0)).toBe(false);
+    expect(adapter.isTileOccupiedFor(hero, 2, 0)).toBe(true);
+    expect(adapter.isTileOccupiedFor(hero, 4, 0)).toBe(false);
+    expect(adapter.isTileOccupiedFor(hero, 5, 0)).toBe(true);
+
+    expect(adapter.setAlliesPassThrough(true)).toBe(true);
+    expect(adapter.isTileOccupiedFor(hero, 2, 0)).toBe(false);
+    expect(adapter.isTileOccupiedFor(hero, 3, 0)).toBe(true);
+    expect(adapter.isTileOccupiedFor(hero, 5, 0)).toBe(true);
+
+    adapter.setAlliesPassThrough(false);
+    adapter._movementStates.set(hero, { token: hero, groupMove: { mates: new Set([hero, foe]) } });
+    expect(adapter.isTileOccupiedFor(hero, 2, 0)).toBe(true);
+    expect(adapter.isTileOccupiedFor(hero, 3, 0)).toBe(false);
+  });
+
+  test('routes and movement ranges block the same tiles as occupancy, allies included', () => {
+    const hero = { id: 'hero', gridX: 0, gridY: 0, world: { x: 0.5, y: 0, z: 0.5 } };
+    const ally = { id: 'ally', gridX: 1, gridY: 0, world: { x: 1.5, y: 0, z: 0.5 } };
+    // Mid-move: blocks the tile it stands on, not the one its grid position still names
+    const foe = {
+      id: 'foe',
+      gridX: 4,
+      gridY: 0,
+      allegiance: 'enemy',
+      world: { x: 3.5, y: 0, z: 0.5 },
+    };
+    const gm = {
+      cols: 6,
+      rows: 1,
+      placedTokens: [hero, ally, foe],
+      spatial: {
+        tileWorldSize: 1,
+        worldToGrid: (x, z) => ({ gridX: Math.floor(x), gridY: Math.floor(z) }),
+      },
+      getTerrainHeight: () => 0,
+    };
+    const adapter = new Token3DAdapter(gm);
+    const reachable = () => adapter.getMovementRange(hero, 5).map((t) => t.gridX);
+
+    // The ally fills the only corridor
+    expect(adapter._planGridRoute(hero, 0, 0, 2, 0)).toBeNull();
+    expect(reachable()).toEqual([]);
+
+    adapter.setAlliesPassThrough(true);
+    expect(adapter._planGridRoute(hero, 0, 0, 2, 0).path).toEqual([
+      { gridX: 0, gridY: 0 },
+      { gridX: 1, gridY: 0 },
+      { gridX: 2, gridY: 0 },
+    ]);
+    expect(reachable()).toEqual([1, 2]);
+    expect(adapter._planGridRoute(hero, 0, 0, 3, 0)).toBeNull();
+  });
+
+  test('tokens walk through grass and low flora but not trees', () => {
+    const hero = { id: 'hero', gridX: 0, gridY: 0, world: { x: 0.5, y: 0, z: 0.5 } };
+    const placeables = new Map([
+      ['1,0', [{ placeableType: 'plant', placeableId: 'grass-wispy-tall' }]],
+      ['2,0', [{ placeableType: 'plant', placeableId: 'flower-1-group' }]],
+      ['3,0', [{ placeableType: 'plant', placeableId: 'bush-common' }]],
+    ]);
+    const gm = {
+      cols: 6,
+      rows: 1,
+      placedTokens: [hero],
+      terrainManager: { placeables },
+      spatial: {
+        tileWorldSize: 1,
+        worldToGrid: (x, z) => ({ gridX: Math.floor(x), gridY: Math.floor(z) }),
+      },
+      getTerrainHeight: () => 0,
+    };
+    const adapter = new Token3DAdapter(gm);
+
+    expect(adapter._planGridRoute(hero, 0, 0, 4, 0).path.map((t) => t.gridX)).toEqual([
+      0, 1, 2, 3, 4,
+    ]);
+    expect(adapter.getMovementRange(hero, 5).map((t) => t.gridX)).toEqual([1, 2, 3, 4, 5]);
+
+    placeables.get('3,0').push({ placeableType: 'plant', placeableId: 'tree-birch-a' });
+    adapter.invalidateMovementRange();
+    expect(adapter.isTileOccupiedFor(hero, 3, 0)).toBe(true);
+    expect(adapter._planGridRoute(hero, 0, 0, 4, 0)).toBeNull();
+    expect(adapter.getMovementRange(hero, 5).map((t) => t.gridX)).toEqual([1, 2]);
+  });
+
+  test('blocked free movement drops the move order and stops with runStop', () => {
+    const hero = { id: 'hero', gridX: 0, gridY: 0, world: { x: 0.5, y: 0, z: 0.5 } };
+    const adapter = new Token3DAdapter({ placedTokens: [hero] });
+    adapter._waypointQueues.set(hero, [{ gridX: 4, gridY: 0 }]);
+    const clearPath = jest.spyOn(adapter, '_clearPathState').mockImplementation(() => {});
+    const triggerStop = jest.spyOn(adapter, '_triggerStop').mockImplementation(() => {});
+    const state = {
+      token: hero,
+      pathActive: true,
+      lastRequestedGoal: { gridX: 3, gridY: 0 },
+      climbContinuationGoal: { gridX: 3, gridY: 0 },
+    };
+
+    adapter._stopAtOccupiedTile(state, { gridX: 1, gridY: 0 });
+
+    expect(adapter.getWaypointQueue(hero)).toEqual([]);
+    expect(state.lastRequestedGoal).toBeNull();
+    expect(state.climbContinuationGoal).toBeNull();
+    expect(clearPath).toHaveBeenCalledWith(state, { silentResumeProbe: true });
+    expect(state.blockedStop).toBe(true);
+    expect(triggerStop).toHaveBeenCalledWith(state);
+
+    // The stop phase consumes the flag, swaps in runStop and skips the stop glide
+    const actions = { runStop: {}, walkStop: {} };
+    adapter._tokenAnimationData.set(hero, { actions });
+    jest.spyOn(adapter, '_resolveAvailableActionKey').mockReturnValue('runStop');
+    jest.spyOn(adapter, '_getActionDuration').mockReturnValue(0.8);
+    const glide = jest.spyOn(adapter, '_createStopGlideStep');
+    const setAnimation = jest.spyOn(adapter, '_setAnimation').mockImplementation(() => {});
+    Object.assign(state, { phase: 'run', stopActionKey: 'walkStop', stopDuration: 0.4 });
+    adapter._initiateStopPhase(state);
+    expect(state.blockedStop).toBe(false);
+    expect(state.stopDuration).toBe(0.8);
+    expect(glide).not.toHaveBeenCalled();
+    expect(setAnimation).toHaveBeenCalledWith(hero, 'runStop', expect.any(Object));
+  });
+
   test('_createForwardMovementStep selects correct fall landing variants by drop height', () => {
     const buildStep = (drop) => {
       const startHeight = 12;
@@ -0,0 +1,61 @@
+import {
+  formationFacing,
+  formationOffsets,
+  formationGoals,
+} from '../../src/scene/token-adapter/TokenFormation.js';
+
+const at = (gridX, gridY) => ({ gridX, gridY });
+const tiles = (goals) => goals.map((g) => `${g.gridX},${g.gridY}`);
+
+describe('TokenFormation', () => {
+  test('facing snaps the direction of travel to the 8 grid directions', () => {
+    expect(formationFacing(at(0, 0), at(5, 1))).toEqual({ dx: 1, dy: 0 });
+    expect(formationFacing(at(0, 0), at(4, 3))).toEqual({ dx: 1, dy: 1 });
+    expect(formationFacing(at(3, 3), at(3, 0))).toEqual({ dx: 0, dy: -1 });
+    expect(formationFacing(at(2, 2), at(2, 2))).toEqual({ dx: 1, dy: 0 });
+  });
+
+  test('slots fan out from the lead, alternating sides', () => {
+    expect(formationOffsets('line', 4)).toEqual([
+      { forward: 0, right: 0 },
+      { forward: 0, right: 1 },
+      { forward: 0, right: -1 },
+      { forward: 0, right: 2 },
+    ]);
+    expect(formationOffsets('column', 3).map((o) => o.forward)).toEqual([0, -1, -2]);
+    expect(formationOffsets('wedge', 5)).toEqual([
+      { forward: 0, right: 0 },
+      { forward: -1, right: 1 },
+      { forward: -1, right: -1 },
+      { forward: -2, right: 2 },
+      { forward: -2, right: -2 },
+    ]);
+  });
+
+  test('keep moves every member by the lead offset', () => {
+    const members = [at(1, 1), at(2, 1), at(1, 3)];
+    const goals = formationGoals({ formation: 'keep', members, target: at(5, 5) });
+    expect(tiles(goals)).toEqual(['5,5', '6,5', '5,7']);
+  });
+
+  test('line, column and wedge face the target and give each member the nearest slot', () => {
+    // Marching east (+x) from a cluster around (1, 2)
+    const members = [at(1, 2), at(0, 1), at(0, 3)];
+    const target = at(6, 2);
+    expect(tiles(formationGoals({ formation: 'line', members, target }))).toEqual([
+      '6,2',
+      '6,1',
+      '6,3',
+    ]);
+    expect(tiles(formationGoals({ formation: 'column', members, target }))).toEqual([
+      '6,2',
+      '4,2',
+      '5,2',
+    ]);
+    expect(tiles(formationGoals({ formation: 'wedge', members, target }))).toEqual([
+      '6,2',
+      '5,1',
+      '5,3',
+    ]);
+  });
+});
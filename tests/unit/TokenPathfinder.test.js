@@ -0,0 +1,140 @@
+import {
+  findTokenPath,
+  findTokenRange,
+  nextTokenPathLeg,
+  tokenStepCost,
+  isGentleStep,
+} from '../../src/scene/token-adapter/TokenPathfinder.js';
+import {
+  MAX_STANDARD_CLIMB_LEVELS,
+  FALL_MIN_HEIGHT_THRESHOLD,
+  HARD_LANDING_HEIGHT_THRESHOLD,
+  PATH_MAX_CLIMB_LEVELS,
+} from '../../src/scene/token-adapter/MannequinConfig.js';
+
+// Height maps are written as rows of single-digit levels
+const grid = (...rows) => rows.map((row) => [...row].map(Number));
+const route = (heights, from, to, isBlocked) =>
+  findTokenPath({
+    cols: heights[0].length,
+    rows: heights.length,
+    from: { gridX: from[0], gridY: from[1] },
+    to: { gridX: to[0], gridY: to[1] },
+    getHeight: (x, y) => heights[y][x],
+    isBlocked,
+  });
+const tiles = (path) => path.map((p) => `${p.gridX},${p.gridY}`);
+
+describe('TokenPathfinder step costs', () => {
+  test('climbs and falls cost more as they get higher; over-high walls are impassable', () => {
+    expect(isGentleStep(0, MAX_STANDARD_CLIMB_LEVELS - 1)).toBe(true);
+    expect(isGentleStep(0, MAX_STANDARD_CLIMB_LEVELS)).toBe(false);
+    expect(isGentleStep(FALL_MIN_HEIGHT_THRESHOLD, 0)).toBe(true);
+    expect(isGentleStep(FALL_MIN_HEIGHT_THRESHOLD + 1, 0)).toBe(false);
+
+    const walk = tokenStepCost(0, 1);
+    const climb = tokenStepCost(0, MAX_STANDARD_CLIMB_LEVELS);
+    expect(climb).toBeGreaterThan(walk + 2);
+    expect(tokenStepCost(0, PATH_MAX_CLIMB_LEVELS)).toBeGreaterThan(climb);
+    expect(tokenStepCost(0, PATH_MAX_CLIMB_LEVELS + 1)).toBe(Infinity);
+
+    const fall = tokenStepCost(FALL_MIN_HEIGHT_THRESHOLD + 1, 0);
+    const hardLanding = tokenStepCost(HARD_LANDING_HEIGHT_THRESHOLD + 1, 0);
+    expect(fall).toBeGreaterThan(tokenStepCost(FALL_MIN_HEIGHT_THRESHOLD, 0));
+    expect(hardLanding).toBeGreaterThan(fall);
+  });
+});
+
+describe('findTokenPath', () => {
+  test('takes the ramp up to a plateau instead of climbing the cliff', () => {
+    const heights = grid(
+      '88888', //
+      '02468'
+    );
+    const path = route(heights, [0, 1], [0, 0]);
+    expect(path).not.toBeNull();
+    for (let i = 1; i < path.length; i++) {
+      const a = path[i - 1];
+      const b = path[i];
+      expect(isGentleStep(heights[a.gridY][a.gridX], heights[b.gridY][b.gridX])).toBe(true);
+    }
+    expect(tiles(path)).toEqual(['0,1', '1,1', '2,1', '3,1', '3,0', '2,0', '1,0', '0,0']);
+  });
+
+  test('climbs when there is no way around and refuses walls that are too high', () => {
+    const wall = grid('00500');
+    expect(tiles(route(wall, [0, 0], [4, 0]))).toEqual(['0,0', '1,0', '2,0', '3,0', '4,0']);
+    wall[0][2] = PATH_MAX_CLIMB_LEVELS + 1;
+    expect(route(wall, [0, 0], [4, 0])).toBeNull();
+  });
+
+  test('avoids blocked tiles, never cuts blocked corners and rejects a blocked goal', () => {
+    const flat = grid('000', '000', '000');
+    const blocked = new Set(['1,0', '1,1']);
+    const isBlocked = (x, y) => blocked.has(`${x},${y}`);
+    const path = route(flat, [0, 0], [2, 0], isBlocked);
+    expect(tiles(path)).toEqual(['0,0', '0,1', '0,2', '1,2', '2,2', '2,1', '2,0']);
+    expect(route(flat, [0, 0], [1, 0], isBlocked)).toBeNull();
+  });
+});
+
+describe('nextTokenPathLeg', () => {
+  const heightsOf = (heights) => (x, y) => heights[y][x];
+
+  test('walks straight to the goal when nothing is in the way', () => {
+    const flat = grid('00000', '00000');
+    const path = route(flat, [0, 0], [4, 1]);
+    expect(nextTokenPathLeg(path, heightsOf(flat))).toBe(path.length - 1);
+  });
+
+  test('ends a leg on a climb straight ahead, or before a climb around a turn', () => {
+    const ahead = grid('00060');
+    const path = route(ahead, [0, 0], [4, 0]);
+    expect(path[nextTokenPathLeg(path, heightsOf(ahead))]).toEqual({ gridX: 3, gridY: 0 });
+
+    const turn = grid('000', '006');
+    const isBlocked = (x, y) => x === 1 && y === 1;
+    const turnPath = route(turn, [0, 0], [2, 1], isBlocked);
+    expect(tiles(turnPath)).toEqual(['0,0', '1,0', '2,0', '2,1']);
+    const leg = nextTokenPathLeg(turnPath, heightsOf(turn), isBlocked);
+    expect(turnPath[leg]).toEqual({ gridX: 2, gridY: 0 });
+    expect(nextTokenPathLeg(turnPath.slice(leg), heightsOf(turn))).toBe(1);
+  });
+});
+
+describe('findTokenRange', () => {
+  const range = (heights, from, budget, extra = {}) =>
+    findTokenRange({
+      cols: heights[0].length,
+      rows: heights.length,
+      from: { gridX: from[0], gridY: from[1] },
+      budget,
+      getHeight: (x, y) => heights[y][x],
+      ...extra,
+    });
+  const costs = (tiles) => Object.fromEntries(tiles.map((t) => [`${t.gridX},${t.gridY}`, t.cost]));
+
+  test('reaches tiles within the budget, diagonals costing more than edge steps', () => {
+    const flat = grid('00000', '00000', '00000', '00000', '00000');
+    const tiles = range(flat, [2, 2], 2);
+    const byTile = costs(tiles);
+    expect(byTile['2,2']).toBeUndefined();
+    expect(byTile['4,2']).toBeCloseTo(2);
+    expect(byTile['3,3']).toBeCloseTo(Math.SQRT2);
+    expect(byTile['4,4']).toBeUndefined();
+    expect(tiles.map((t) => t.cost)).toEqual([...tiles.map((t) => t.cost)].sort((a, b) => a - b));
+  });
+
+  test('climbs, blockers and difficult terrain eat into the budget', () => {
+    const heights = grid('00500');
+    expect(costs(range(heights, [0, 0], 4))['1,0']).toBeCloseTo(1);
+    expect(costs(range(heights, [0, 0], 4))['2,0']).toBeUndefined();
+    expect(costs(range(heights, [0, 0], 20))['2,0']).toBeCloseTo(1 + tokenStepCost(0, 5));
+
+    const flat = grid('0000');
+    const isBlocked = (x) => x === 2;
+    expect(Object.keys(costs(range(flat, [0, 0], 4, { isBlocked })))).toEqual(['1,0']);
+    const getMoveFactor = (x) => (x === 1 ? 2 : 1);
+    expect(costs(range(flat, [0, 0], 3, { getMoveFactor }))).toEqual({ '1,0': 2, '2,0': 3 });
+  });
+});
@@ -0,0 +1,174 @@
+import * as THREE from 'three';
+import { ThreeSceneManager } from '../../src/scene/ThreeSceneManager.js';
+import {
+  normalizeWaterLevel,
+  getWaterState,
+  planWaterBody,
+} from '../../src/terrain/water/WaterLevel.js';
+import { TerrainDataStore } from '../../src/terrain/TerrainDataStore.js';
+import {
+  setWaterLevel,
+  syncTokenWaterStates,
+} from '../../src/coordinators/terrain-coordinator/internals/water.js';
+
+// 4x3 map: a pool two levels deep in the middle of dry ground
+const HEIGHTS = [
+  [0, 0, 0, 0],
+  [0, -2, -1, 0],
+  [0, 0, 0, 0],
+];
+const heightAt = (x, y) => HEIGHTS[y][x];
+
+describe('WaterLevel', () => {
+  test('normalizes levels and maps depth to wading or swimming', () => {
+    expect(normalizeWaterLevel(null)).toBeNull();
+    expect(normalizeWaterLevel('')).toBeNull();
+    expect(normalizeWaterLevel('2.6')).toBe(3);
+    expect(normalizeWaterLevel(40)).toBe(10);
+    expect([0, 1, 2].map(getWaterState)).toEqual([null, 'wading', 'swimming']);
+  });
+
+  test('lists submerged tiles and the sides that meet dry land', () => {
+    const { tiles, shore } = planWaterBody(heightAt, 4, 3, 0);
+    expect(tiles).toEqual([
+      { x: 1, y: 1, depth: 2 },
+      { x: 2, y: 1, depth: 1 },
+    ]);
+    // Six sides touch dry ground; the shared side between the two pool tiles is not shore
+    expect(shore).toHaveLength(6);
+    expect(shore).not.toContainEqual({ x: 1, y: 1, side: 'east' });
+    expect(planWaterBody(heightAt, 4, 3, null).tiles).toEqual([]);
+  });
+});
+
+describe('Token water states', () => {
+  test('setting the level flags tokens by depth and clears the flag on dry land', () => {
+    const store = new TerrainDataStore(4, 3);
+    store.working = HEIGHTS.map((row) => [...row]);
+    const swimmer = { type: 'mannequin', gridX: 1, gridY: 1 };
+    const wader = { type: 'mannequin', gridX: 2, gridY: 1 };
+    const walker = { type: 'mannequin', gridX: 0, gridY: 0 };
+    const c = {
+      dataStore: store,
+      waterLevel: null,
+      gameManager: { placedTokens: [swimmer, wader, walker] },
+    };
+
+    expect(setWaterLevel(c, 0)).toBe(0);
+    expect([swimmer.waterState, wader.waterState, walker.waterState]).toEqual([
+      'swimming',
+      'wading',
+      undefined,
+    ]);
+
+    swimmer.gridX = 0;
+    expect(syncTokenWaterStates(c)).toBe(1);
+    expect('waterState' in swimmer).toBe(false);
+    expect(syncTokenWaterStates(c)).toBe(0);
+
+    setWaterLevel(c, null);
+    expect(wader.waterState).toBeUndefined();
+  });
+});
+
+describe('WaterSurface', () => {
+  function makeScene(level, getTerrainHeight = heightAt) {
+    const terrainCoordinator = { getWaterLevel: () => level };
+    const tsm = new ThreeSceneManager({
+      cols: 4,
+      rows: 3,
+      spatial: { tileWorldSize: 1, elevationUnit: 0.5 },
+      getTerrainHeight,
+      terrainCoordinator,
+    });
+    tsm.three = THREE;
+    tsm.scene = new THREE.Scene();
+    return { tsm, setLevel: (next) => (level = next) };
+  }
+
+  test('covers submerged tiles below the level, with foam along the shore', () => {
+    const { tsm, setLevel } = makeScene(0);
+    expect(tsm.syncWaterSurface()).toBe(2);
+    const surface = tsm.scene.getObjectByName('WaterSurfaceMesh');
+    const foam = tsm.scene.getObjectByName('WaterShoreFoam');
+    expect(surface.geometry.getIndex().count).toBe(12); // two quads
+    expect(foam.geometry.getAttribute('position').count).toBe(36); // six shore strips
+    expect(surface.material.transparent).toBe(true);
+    expect(surface.userData.baseY).toBeCloseTo(-0.15 * 0.5);
+
+    setLevel(null);
+    expect(tsm.syncWaterSurface()).toBe(0);
+    expect(tsm.scene.getObjectByName('WaterSurface')).toBeUndefined();
+  });
+
+  test('ripples in the vertex shader and only advances a uniform per frame', () => {
+    const { tsm } = makeScene(0);
+    tsm.syncWaterSurface();
+    const surface = tsm.scene.getObjectByName('WaterSurfaceMesh');
+    const shader = {
+      uniforms: {},
+      vertexShader: THREE.ShaderLib.standard.vertexShader,
+    };
+    surface.material.onBeforeCompile(shader);
+    expect(shader.uniforms.uWaveTime).toBe(surface.userData.waveUniforms.uWaveTime);
+    expect(shader.vertexShader).toContain('transformed.y += uWaveAmplitude');
+    expect(shader.vertexShader).toContain('objectNormal = normalize(');
+
+    const positions = surface.geometry.getAttribute('position');
+    const before = Array.from(positions.array);
+    const normals = jest.spyOn(surface.geometry, 'computeVertexNormals');
+    tsm._animateWaterSurface(500);
+    expect(surface.userData.waveUniforms.uWaveTime.value).toBeGreaterThan(0);
+    expect(Array.from(positions.array)).toEqual(before);
+    expect(normals).not.toHaveBeenCalled();
+  });
+
+  test('drops its frame callback when the water drains or the scene is disposed', () => {
+    const { tsm, setLevel } = makeScene(0);
+    tsm.syncWaterSurface();
+    tsm.syncWaterSurface();
+    expect(tsm._animCallbacks.filter((fn) => fn === tsm._waterAnimFn)).toHaveLength(1);
+
+    setLevel(null);
+    tsm.syncWaterSurface();
+    expect(tsm._waterAnimFn).toBeNull();
+    expect(tsm._animCallbacks).toHaveLength(0);
+
+    setLevel(0);
+    tsm.syncWaterSurface();
+    tsm.dispose();
+    expect(tsm._animCallbacks).toHaveLength(0);
+  });
+
+  test('edits that flood or drain no tile keep the current surface', () => {
+    const heights = HEIGHTS.map((row) => [...row]);
+    const { tsm } = makeScene(0, (x, y) => heights[y][x]);
+    tsm.syncWaterSurface();
+    const group = tsm.scene.getObjectByName('WaterSurface');
+
+    heights[0][0] = 3; // dry land raised
+    heights[1][1] = -1; // the pool made shallower
+    expect(
+      tsm.syncWaterSurface([
+        { x: 0, y: 0 },
+        { x: 1, y: 1 },
+      ])
+    ).toBe(2);
+    expect(tsm.scene.getObjectByName('WaterSurface')).toBe(group);
+
+    heights[2][1] = -1; // a dry tile dug below the level
+    expect(tsm.syncWaterSurface([{ x: 1, y: 2 }])).toBe(3);
+    expect(tsm.scene.getObjectByName('WaterSurface')).not.toBe(group);
+  });
+
+  test('is tinted darker and more opaque at night', () => {
+    const { tsm } = makeScene(0);
+    tsm.syncWaterSurface();
+    const material = tsm.scene.getObjectByName('WaterSurfaceMesh').material;
+    tsm._applyTimeOfDayProfile(tsm.getTimeOfDayProfile(780));
+    const day = { color: material.color.clone(), opacity: material.opacity };
+    tsm._applyTimeOfDayProfile(tsm.getTimeOfDayProfile(60));
+    expect(material.color.b).toBeLessThan(day.color.b);
+    expect(material.opacity).toBeGreaterThan(day.opacity);
+  });
+});
@@ -0,0 +1,129 @@
+import { planRiver, planRoad } from '../../src/terrain/waterways/WaterwayGenerator.js';
+import { RoadToolController } from '../../src/terrain/waterways/RoadToolController.js';
+import { TerrainDataStore } from '../../src/terrain/TerrainDataStore.js';
+import {
+  carveRiver,
+  pickRoadTile,
+  clearSurfaces,
+} from '../../src/coordinators/terrain-coordinator/internals/waterways.js';
+
+function field(rows) {
+  return rows.map((row) => [...row]);
+}
+
+const keys = (cells) => cells.map(({ x, y }) => `${x},${y}`);
+
+describe('planRiver', () => {
+  test('follows the valley between two edges and carves a bed below it', () => {
+    const heights = field([
+      [3, 3, 1, 3, 3],
+      [3, 3, 0, 3, 3],
+      [3, 3, 0, 3, 3],
+      [3, 3, -1, 3, 3],
+    ]);
+    const river = planRiver(heights, { source: 'north', mouth: 'south', seed: 3 });
+    expect(keys(river.path)).toEqual(['2,0', '2,1', '2,2', '2,3']);
+    expect(river.cells.map((c) => c.height)).toEqual([0, -1, -1, -2]);
+    expect(planRiver(heights, { source: 'north', mouth: 'north' })).toBeNull();
+    expect(planRiver(heights, { source: 'up', mouth: 'south' })).toBeNull();
+  });
+
+  test('the bed never rises downstream, even across a bump', () => {
+    const river = planRiver(field([[2], [4], [1], [3]]), { source: 'north', mouth: 'south' });
+    const bed = river.cells.map((c) => c.height);
+    expect(bed).toEqual([1, 1, 0, 0]);
+  });
+});
+
+describe('planRoad', () => {
+  test('detours through a gap instead of climbing a wall', () => {
+    const heights = field([
+      [0, 0, 6, 0, 0],
+      [0, 0, 6, 0, 0],
+      [0, 0, 0, 0, 0],
+    ]);
+    const road = planRoad(heights, { x: 0, y: 0 }, { x: 4, y: 0 });
+    expect(road.path[0]).toEqual({ x: 0, y: 0 });
+    expect(road.path[road.path.length - 1]).toEqual({ x: 4, y: 0 });
+    expect(keys(road.path)).toContain('2,2');
+    expect(road.cells.every((c) => c.height === 0)).toBe(true);
+    expect(planRoad(heights, { x: 0, y: 0 }, { x: 9, y: 0 })).toBeNull();
+  });
+
+  test('levels a forced climb into steps of at most one level', () => {
+    const road = planRoad(field([[0, 0, 4, 4, 4]]), { x: 0, y: 0 }, { x: 4, y: 0 });
+    const levels = road.cells.map((c) => c.height);
+    for (let i = 1; i < levels.length; i++) {
+      expect(Math.abs(levels[i] - levels[i - 1])).toBeLessThanOrEqual(1);
+    }
+  });
+});
+
+describe('Surface layer', () => {
+  test('stores known surface types per tile and keeps them across a resize', () => {
+    const store = new TerrainDataStore(4, 3);
+    expect(store.setSurface(1, 2, 'road')).toBe(true);
+    expect(store.setSurface(1, 1, 'lava')).toBe(false);
+    expect(store.setSurface(9, 0, 'river')).toBe(false);
+    store.resize(5, 5);
+    expect(store.getSurface(1, 2)).toBe('road');
+    expect(store.listSurfaces()).toEqual([{ x: 1, y: 2, type: 'road' }]);
+    store.resetAll();
+    expect(store.listSurfaces()).toEqual([]);
+  });
+});
+
+describe('Waterway actions', () => {
+  function makeCoordinator(rows) {
+    const store = new TerrainDataStore(rows[0].length, rows.length);
+    store.working = field(rows);
+    const history = {
+      beginStroke: jest.fn(),
+      endStroke: jest.fn(),
+      trackSurfaces: jest.fn((label, apply) => apply()),
+    };
+    return {
+      dataStore: store,
+      roads: new RoadToolController(store),
+      history,
+      isTerrainModeActive: true,
+      _biomeSeed: 1,
+      gameManager: { historyCoordinator: history },
+      getTerrainHeight: (x, y) => store.get(x, y),
+      setHeightsAt: jest.fn((cells) => {
+        cells.forEach(({ x, y, height }) => store.set(x, y, height));
+        return cells.length;
+      }),
+    };
+  }
+
+  test('a carved river paints its surface and heights as one undo step', () => {
+    const c = makeCoordinator([
+      [2, 0, 2],
+      [2, 0, 2],
+    ]);
+    expect(carveRiver(c, { source: 'north', mouth: 'south' })).toBe(2);
+    expect(c.dataStore.listSurfaces()).toEqual([
+      { x: 1, y: 0, type: 'river' },
+      { x: 1, y: 1, type: 'river' },
+    ]);
+    expect(c.dataStore.working.map((row) => row[1])).toEqual([-1, -1]);
+    expect(c.history.beginStroke).toHaveBeenCalledWith('Carve river');
+    expect(c.history.trackSurfaces).toHaveBeenCalledTimes(1);
+    expect(c.history.endStroke).toHaveBeenCalledTimes(1);
+    expect(carveRiver(c, { source: 'north', mouth: 'sideways' })).toBe(0);
+  });
+
+  test('the road tool builds a road on its second pick', () => {
+    const c = makeCoordinator([[1, 1, 1, 1]]);
+    c.roads.begin();
+    expect(pickRoadTile(c, 0, 0)).toBe(0);
+    expect(c.roads.planAt(3, 0)).toHaveLength(4);
+    expect(pickRoadTile(c, 3, 0)).toBe(4);
+    expect(c.dataStore.getSurface(2, 0)).toBe('road');
+    expect(c.setHeightsAt).not.toHaveBeenCalled();
+    expect(c.roads.start).toBeNull();
+    expect(clearSurfaces(c)).toBe(4);
+    expect(c.dataStore.listSurfaces()).toEqual([]);
+  });
+});
@@ -0,0 +1,43 @@
+import * as THREE from 'three';
+import { WaypointRouteOverlay3D } from '../../src/scene/terrain/WaypointRouteOverlay3D.js';
+
+describe('WaypointRouteOverlay3D', () => {
+  it('draws each route as line segments over the terrain with a marker per waypoint', () => {
+    const gameManager = {
+      getTerrainHeight: (x) => x,
+      spatial: { tileWorldSize: 1, elevationUnit: 0.5 },
+    };
+    const overlay = new WaypointRouteOverlay3D({
+      three: THREE,
+      scene: new THREE.Scene(),
+      gameManager,
+    });
+    overlay.setRoutes(
+      [
+        {
+          path: [
+            { gridX: 0, gridY: 0 },
+            { gridX: 1, gridY: 0 },
+            { gridX: 2, gridY: 0 },
+          ],
+          waypoints: [{ gridX: 2, gridY: 0 }],
+        },
+      ],
+      { lineColor: 0xff0000 }
+    );
+
+    const positions = overlay._lines.geometry.getAttribute('position');
+    expect(positions.count).toBe(4);
+    expect(positions.getX(3)).toBeCloseTo(2.5);
+    expect(positions.getY(3)).toBeGreaterThan(1);
+    expect(overlay._lines.material.color.getHex()).toBe(0xff0000);
+    expect(overlay._markerMesh.count).toBe(1);
+    expect(overlay._group.visible).toBe(true);
+
+    overlay.setRoutes([]);
+    expect(overlay._lines).toBeNull();
+    expect(overlay._group.visible).toBe(false);
+
+    overlay.dispose();
+  });
+});